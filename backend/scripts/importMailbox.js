@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Mailbox Import Script
+ *
+ * Queues every message in a maildir or mbox file through the inbound email
+ * pipeline, exactly as if it had arrived over SMTP. Useful for backfilling
+ * a mailing list archive or replaying mail captured during an outage.
+ * Messages are processed by the running email worker.
+ *
+ * Usage:
+ * ```bash
+ * # Import a maildir (reads new/ and cur/)
+ * node scripts/importMailbox.js ~/Maildir
+ *
+ * # Import an mbox archive
+ * node scripts/importMailbox.js archive.mbox
+ * ```
+ *
+ * Dependencies:
+ * - dotenv: Environment variable management
+ * - ../src/services/inbound: Inbound transport service and mailbox transport
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables before the config module reads them
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const inboundTransportService = require('../src/services/inbound');
+
+async function main() {
+ const target = process.argv[2];
+
+ if (!target) {
+   console.error('Usage: node scripts/importMailbox.js <maildir|mbox>');
+   process.exit(1);
+ }
+
+ try {
+   const mailbox = inboundTransportService.get('mailbox');
+   const stats = await mailbox.importPath(path.resolve(target));
+
+   console.log(`Queued ${stats.imported} message(s), ${stats.failed} failed`);
+   process.exitCode = stats.failed > 0 ? 1 : 0;
+ } catch (error) {
+   console.error(`Import failed: ${error.message}`);
+   process.exitCode = 1;
+ } finally {
+   await inboundTransportService.stopAll();
+ }
+}
+
+if (require.main === module) {
+ main();
+}
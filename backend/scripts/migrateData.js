@@ -36,6 +36,16 @@
  * - optimizeEmailStorage: Restructure email data for better performance
  * - migrateNotificationSettings: Update user notification preferences
  * - createPostMetadata: Add AI-generated metadata to existing posts
+ * - copyRepositoryMembers: Copy embedded repository emails into RepositoryMember
+ *   documents; run before deploying the release that reads them
+ * - finalizeRepositoryMembers: Copy late changes, then drop the embedded
+ *   emails; run once every server runs that release
+ * - baselineRepositoryHistory: Record existing members in the repository
+ *   change log, so older repositories can be diffed and restored from then
+ * - indexPostSimilarity: Build canonical URLs and term vectors for posts
+ *   saved before related posts and duplicate detection existed
+ * - rebuildSearchIndex: Replace the wildcard text index with the weighted
+ *   search indexes, fill in post domains and reindex the search backend
  * 
  * Safety Features:
  * - Interactive confirmation for potentially destructive operations
@@ -104,6 +114,9 @@ const Comment = require('../src/models/Comment.model');
 const Repository = require('../src/models/Repository.model');
 const Email = require('../src/models/Email.model');
 const Karma = require('../src/models/Karma.model');
+const RepositoryMember = require('../src/models/RepositoryMember.model');
+const RepositoryChange = require('../src/models/RepositoryChange.model');
+const { SUPPRESSED_STATUSES } = RepositoryMember;
 
 /**
  * Migration Tracking Schema
@@ -157,6 +170,79 @@ const rl = readline.createInterface({
  */
 const question = (query) => new Promise((resolve) => rl.question(query, resolve));
 
+// Embedded repository emails written per bulk operation
+const MEMBER_BATCH_SIZE = 1000;
+
+/**
+ * Copy Embedded Repository Emails
+ *
+ * Upserts a RepositoryMember for every entry of a raw repository document's
+ * emails array. Members that already exist are left alone, so the copy can
+ * be repeated. Entries keep their _id, so email ids in API URLs still work,
+ * and created members are flagged with migratedAt. Addresses whose latest
+ * change log record is a removal were deleted through the new release
+ * after an earlier copy, so they are not copied back.
+ *
+ * @param {Object} repository - Raw repository document with its emails
+ * @returns {Promise<number>} Number of members created
+ */
+const copyEmbeddedEmails = async (repository) => {
+  const entries = (repository.emails || []).filter(entry => entry && entry.email);
+  let copied = 0;
+
+  for (let start = 0; start < entries.length; start += MEMBER_BATCH_SIZE) {
+    const batch = entries
+      .slice(start, start + MEMBER_BATCH_SIZE)
+      .map(({ email, ...fields }) => ({ address: email.toLowerCase().trim(), fields }));
+    const latest = await RepositoryChange.latestRecords(repository._id, batch.map(({ address }) => address));
+    const removed = new Set(latest.filter(record => record.action === 'removed').map(record => record.email));
+
+    const operations = batch.filter(({ address }) => !removed.has(address)).map(({ address, fields }) => ({
+      updateOne: {
+        filter: { repository: repository._id, email: address },
+        update: {
+          $setOnInsert: {
+            ...fields,
+            repository: repository._id,
+            email: address,
+            domain: address.split('@')[1],
+            migratedAt: new Date()
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    if (operations.length === 0) continue;
+    const result = await RepositoryMember.bulkWrite(operations, { ordered: false });
+    copied += result.upsertedCount;
+  }
+
+  return copied;
+};
+
+/**
+ * Remove Dropped Copies
+ *
+ * Deletes the members copied by copyEmbeddedEmails whose address has since
+ * been removed from the raw repository document's emails array by the
+ * release still writing it, logging each removal in the change log.
+ *
+ * @param {Object} repository - Raw repository document with its emails
+ * @returns {Promise<number>} Number of members removed
+ */
+const removeDroppedCopies = async (repository) => {
+  const addresses = (repository.emails || [])
+    .filter(entry => entry && entry.email)
+    .map(entry => entry.email.toLowerCase().trim());
+
+  const removed = await RepositoryMember.removeMembers(
+    { repository: repository._id, migratedAt: { $exists: true }, email: { $nin: addresses } },
+    { channel: 'system', operation: 'migration' }
+  );
+  return removed.length;
+};
+
 /**
  * Migration Functions Collection
  * 
@@ -480,6 +566,158 @@ const migrations = {
    }
    
    return collections.length;
+ },
+
+ // Copy embedded repository emails into the RepositoryMember collection.
+ // Only reads Repository.emails, so the running release keeps working;
+ // addresses added after the copy are picked up by finalizeRepositoryMembers.
+ async copyRepositoryMembers() {
+   const cursor = mongoose.connection.db.collection('repositories').find(
+     { 'emails.0': { $exists: true } },
+     { projection: { emails: 1 } }
+   );
+   let count = 0;
+
+   for await (const repository of cursor) {
+     count += await copyEmbeddedEmails(repository);
+   }
+
+   return count;
+ },
+
+ // Finish the move once no server writes Repository.emails any more:
+ // copy entries added since copyRepositoryMembers, remove copies of
+ // entries deleted since, carry over opt-outs, suppressions and revoked
+ // consent recorded since, recount stats and drop the embedded array.
+ async finalizeRepositoryMembers() {
+   const repositories = mongoose.connection.db.collection('repositories');
+   const cursor = repositories.find({ emails: { $exists: true } }, { projection: { emails: 1 } });
+   let count = 0;
+
+   for await (const repository of cursor) {
+     await copyEmbeddedEmails(repository);
+     const removed = await removeDroppedCopies(repository);
+     if (removed > 0) {
+       logger.info(`Removed ${removed} members no longer in repository ${repository._id}`);
+     }
+
+     // Restrictions only ever tighten; never re-enable an address
+     const operations = [];
+     for (const entry of repository.emails || []) {
+       if (!entry || !entry.email) continue;
+
+       const update = {};
+       if (entry.optedOut) update.optedOut = true;
+       if (SUPPRESSED_STATUSES.includes(entry.status)) update.status = entry.status;
+       if (entry.consent && entry.consent.status === 'revoked') {
+         update['consent.status'] = 'revoked';
+         update['consent.revokedAt'] = entry.consent.revokedAt || new Date();
+       }
+
+       if (Object.keys(update).length > 0) {
+         operations.push({
+           updateOne: {
+             filter: { repository: repository._id, email: entry.email.toLowerCase().trim() },
+             update: { $set: update }
+           }
+         });
+       }
+     }
+
+     for (let start = 0; start < operations.length; start += MEMBER_BATCH_SIZE) {
+       await RepositoryMember.bulkWrite(operations.slice(start, start + MEMBER_BATCH_SIZE), { ordered: false });
+     }
+
+     await RepositoryMember.refreshStats(repository._id);
+     await repositories.updateOne({ _id: repository._id }, { $unset: { emails: '' } });
+     count++;
+   }
+
+   return count;
+ },
+
+ // Record members that have no change log entries yet as added, so the
+ // history of repositories created before the log starts here. Safe to
+ // repeat: members already in the log are skipped.
+ async baselineRepositoryHistory() {
+   const repositoryIds = await RepositoryMember.distinct('repository');
+   let count = 0;
+
+   for (const repositoryId of repositoryIds) {
+     const logged = new Set(await RepositoryChange.distinct('email', { repository: repositoryId }));
+     let lastId = null;
+     let batch;
+
+     do {
+       const query = { repository: repositoryId };
+       if (lastId) query._id = { $gt: lastId };
+       batch = await RepositoryMember.find(query).sort({ _id: 1 }).limit(MEMBER_BATCH_SIZE).lean();
+       if (batch.length > 0) lastId = batch[batch.length - 1]._id;
+
+       const missing = batch.filter(member => !logged.has(member.email));
+       await RepositoryChange.record(missing, 'added', { channel: 'system', operation: 'baseline' });
+       count += missing.length;
+     } while (batch.length === MEMBER_BATCH_SIZE);
+   }
+
+   return count;
+ },
+
+ // Canonical URLs and term vectors for posts saved before they were kept
+ // up to date on save. Safe to repeat: indexed posts are skipped.
+ async indexPostSimilarity() {
+   const { canonicalizeUrl } = require('../src/utils/canonicalUrl');
+   const cursor = Post.find({ 'similarity.indexedAt': { $exists: false } }).cursor();
+   let operations = [];
+   let count = 0;
+
+   for await (const post of cursor) {
+     const similarity = post.indexSimilarity();
+     const $set = { similarity };
+     if (post.url) $set.canonicalUrl = canonicalizeUrl(post.url);
+     operations.push({ updateOne: { filter: { _id: post._id }, update: { $set } } });
+     count++;
+
+     if (operations.length === MEMBER_BATCH_SIZE) {
+       await Post.bulkWrite(operations, { ordered: false });
+       operations = [];
+     }
+   }
+   if (operations.length > 0) await Post.bulkWrite(operations, { ordered: false });
+
+   return count;
+ },
+
+ // Weighted text indexes for search, domains for site: filters, and a
+ // fresh copy of every post and comment in the configured search backend.
+ // Safe to repeat.
+ async rebuildSearchIndex() {
+   const searchService = require('../src/services/search');
+   const { canonicalizeUrl } = require('../src/utils/canonicalUrl');
+
+   // A collection has one text index; the old wildcard one must go first
+   const postIndexes = await Post.collection.indexes();
+   if (postIndexes.some(index => index.name === '$**_text')) {
+     await Post.collection.dropIndex('$**_text');
+   }
+   await Post.createIndexes();
+   await Comment.createIndexes();
+
+   const cursor = Post.find({ url: { $nin: [null, ''] }, domain: { $exists: false } }).select('canonicalUrl url').cursor();
+   let operations = [];
+   for await (const post of cursor) {
+     const canonicalUrl = post.canonicalUrl || canonicalizeUrl(post.url);
+     if (!canonicalUrl) continue;
+     operations.push({ updateOne: { filter: { _id: post._id }, update: { $set: { domain: new URL(canonicalUrl).hostname } } } });
+
+     if (operations.length === MEMBER_BATCH_SIZE) {
+       await Post.bulkWrite(operations, { ordered: false });
+       operations = [];
+     }
+   }
+   if (operations.length > 0) await Post.bulkWrite(operations, { ordered: false });
+
+   return searchService.rebuild();
  }
 };
 
@@ -107,6 +107,7 @@ const User = require('../src/models/User.model');
 const Post = require('../src/models/Post.model');
 const Comment = require('../src/models/Comment.model');
 const Repository = require('../src/models/Repository.model');
+const RepositoryMember = require('../src/models/RepositoryMember.model');
 const Email = require('../src/models/Email.model');
 const Karma = require('../src/models/Karma.model');
 
@@ -171,6 +172,7 @@ const seedData = async () => {
      Post.deleteMany({}),
      Comment.deleteMany({}),
      Repository.deleteMany({}),
+     RepositoryMember.deleteMany({}),
      Email.deleteMany({}),
      Karma.deleteMany({})
    ]);
@@ -213,13 +215,6 @@ const seedData = async () => {
        description: faker.lorem.paragraph(),
        topic: faker.random.arrayElement(topics),
        owner: owner._id,
-       emails: Array.from({ length: faker.datatype.number({ min: 50, max: 500 }) }, () => ({
-         email: faker.internet.email().toLowerCase(),
-         addedBy: owner._id,
-         addedAt: faker.date.past(),
-         verified: faker.datatype.boolean(),
-         source: faker.random.arrayElement(['manual', 'csv', 'snowball'])
-       })),
        isPublic: true,
        settings: {
          autoApprove: faker.datatype.boolean(),
@@ -228,12 +223,19 @@ const seedData = async () => {
          snowballThreshold: faker.datatype.number({ min: 2, max: 5 })
        },
        stats: {
-         totalEmails: faker.datatype.number({ min: 50, max: 500 }),
-         activeEmails: faker.datatype.number({ min: 30, max: 400 }),
          growthRate: faker.datatype.float({ min: 0.5, max: 3.5 }),
          lastSnowball: faker.date.recent()
        }
      });
+
+     await RepositoryMember.addMembers(repository._id, Array.from({ length: faker.datatype.number({ min: 50, max: 500 }) }, () => ({
+       email: faker.internet.email().toLowerCase(),
+       addedBy: owner._id,
+       addedAt: faker.date.past(),
+       verified: faker.datatype.boolean(),
+       source: faker.random.arrayElement(['manual', 'csv', 'snowball'])
+     })));
+     Object.assign(repository.stats, await RepositoryMember.refreshStats(repository._id));
      repositories.push(repository);
    }
    console.log(`Created ${repositories.length} repositories`);
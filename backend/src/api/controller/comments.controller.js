@@ -61,6 +61,8 @@ const User = require('../../models/User.model');           // User database sche
 const karmaService = require('../../services/karma.service');           // Karma/reputation management
 const notificationService = require('../../services/notification.service'); // User notifications
 const aiService = require('../../services/ai.service');                 // AI content analysis
+const repositoryMailService = require('../../services/repositoryMail.service'); // List-mode redistribution
+const searchService = require('../../services/search');              // Full-text search
 
 // Validation and utilities
 const { validationResult } = require('express-validator');  // Input validation
@@ -121,7 +123,7 @@ const commentsController = {
       // This enhances content discoverability and categorization
       let finalHashtags = hashtags;
       if (!hashtags || hashtags.length === 0) {
-        finalHashtags = await aiService.suggestHashtags(content);
+        finalHashtags = await aiService.suggestHashtags(content, { userId });
       }
 
       // Create new comment document with all metadata
@@ -150,6 +152,13 @@ const commentsController = {
       // Award karma to the comment author for contributing to discussion
       await karmaService.awardKarma(userId, 'comment_created', comment._id);
 
+      // Send the comment on to the email lists of list-mode repositories
+      try {
+        await repositoryMailService.distributeComment(comment, post, req.user);
+      } catch (error) {
+        console.error('List distribution error:', error);
+      }
+
       // Send notification to post author (if not commenting on own post)
       if (post.userId.toString() !== userId) {
         await notificationService.notify({
@@ -321,7 +330,7 @@ const commentsController = {
       comment.editedAt = new Date();      // Timestamp the edit
       
       // Re-analyze content with AI for updated hashtags
-      comment.hashtags = await aiService.suggestHashtags(content);
+      comment.hashtags = await aiService.suggestHashtags(content, { userId });
       
       // Save changes to database
       await comment.save();
@@ -564,6 +573,44 @@ const commentsController = {
       console.error('Get user comments error:', error);
       res.status(500).json({ error: 'Failed to fetch user comments' });
     }
+  },
+
+  /**
+   * Search Comments
+   * Full-text search over comments with highlighted snippets
+   * 
+   * The query understands the same operators as post search (author:,
+   * #hashtag, repo:, site:, before:/after:, score:>10); repo: and site:
+   * match comments on posts in that repository or linking to that site.
+   * 
+   * @route GET /api/comments/search
+   * @access Public
+   * @param {string} req.query.q - Search query
+   * @param {string} [req.query.sort] - relevance, new or top
+   * @param {number} [req.query.page=1] - Page number
+   * @param {number} [req.query.limit] - Results per page
+   * @returns {Object} Comments with highlights, facets, corrections and warnings
+   */
+  async searchComments(req, res) {
+    try {
+      const q = String(req.query.q || '').trim();
+      if (!q) {
+        return res.status(400).json({ error: 'A search query is required' });
+      }
+
+      const results = await searchService.search(q, {
+        types: ['comment'],
+        sort: req.query.sort,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.json({ success: true, data: results });
+
+    } catch (error) {
+      console.error('Search comments error:', error);
+      res.status(500).json({ error: 'Failed to search comments' });
+    }
   }
 };
 
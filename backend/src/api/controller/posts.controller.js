@@ -60,15 +60,24 @@
 const Post = require('../../models/Post.model');           // Post data model
 const User = require('../../models/User.model');           // User data for ownership
 const Repository = require('../../models/Repository.model'); // Email repository integration
+const RepositoryMember = require('../../models/RepositoryMember.model'); // Repository list members
 
 // Service layer dependencies
 const aiService = require('../../services/ai.service');              // AI content analysis
 const karmaService = require('../../services/karma.service');        // Reputation system
 const notificationService = require('../../services/notification.service'); // User notifications
+const repositoryMailService = require('../../services/repositoryMail.service'); // List-mode redistribution
+const similarityService = require('../../services/similarity.service'); // Related posts and duplicates
+const searchService = require('../../services/search');              // Full-text search
+const rankingService = require('../../services/ranking');            // Feed ranking strategies
 
 // Utility dependencies
 const { validationResult } = require('express-validator');  // Input validation
 const logger = require('../../utils/logger');               // Application logging
+const config = require('../../config');                     // Ranking defaults
+
+// Content searched for each search type parameter
+const SEARCH_TYPES = { posts: ['post'], comments: ['comment'], all: ['post', 'comment'] };
 
 /**
  * Get All Posts with Advanced Filtering and Sorting
@@ -82,10 +91,11 @@ const logger = require('../../utils/logger');               // Application loggi
  * @access Public (no authentication required for basic post viewing)
  * @param {number} req.query.page - Page number for pagination (default: 1)
  * @param {number} req.query.limit - Number of posts per page (default: 30, max: 100)
- * @param {string} req.query.sort - Sorting method: 'hot', 'new', 'top' (default: 'hot')
+ * @param {string} req.query.sort - Ranking strategy: 'hot', 'new', 'top', 'controversial',
+ *   'rising', 'best' or 'quality' (default: the user's default, else 'hot')
  * @param {string} req.query.hashtag - Filter by specific hashtag
  * @param {string} req.query.repository - Filter by repository ID
- * @param {string} req.query.timeframe - Time window for 'top' sort: '1h', '24h', '1w', '1m', '1y'
+ * @param {string} req.query.timeframe - Window of 'top' and 'controversial': '1h', '24h', '1w', '1m', '1y', 'all'
  * @returns {Object} Paginated posts with metadata and population
  */
 exports.getPosts = async (req, res) => {
@@ -94,77 +104,51 @@ exports.getPosts = async (req, res) => {
     const { 
       page = 1, 
       limit = 30, 
-      sort = 'hot',         // Default to hot sorting for best content discovery
       hashtag, 
       repository,
-      timeframe = '24h'     // Default 24-hour window for top posts
+      timeframe               // Window of periodic sorts; 24 hours by default
     } = req.query;
 
-    // Calculate pagination offset
-    const skip = (page - 1) * limit;
-    let query = {};
-    let sortOption = {};
+    // Requested sort, else the signed-in user's default, else the site default
+    const sort = rankingService.resolveSort(req.query.sort, req.user);
+    if (!rankingService.has(sort)) {
+      return res.status(400).json({ error: `Unknown sort ${sort}`, sorts: rankingService.names() });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 30, 1), 100);
+
+    // Merged duplicates are shown through their canonical post
+    const filter = { status: { $ne: 'merged' } };
 
     // Apply hashtag filter for topical content discovery
     if (hashtag) {
-      query.hashtags = hashtag;
+      filter.hashtags = hashtag;
     }
 
     // Apply repository filter for email-specific content
     if (repository) {
-      query.repositories = repository;
+      filter.repositories = repository;
     }
 
-    // Implement sorting algorithms based on user preference
-    switch (sort) {
-      case 'new':
-        // Chronological sorting for latest content
-        sortOption = { createdAt: -1 };
-        break;
-        
-      case 'top':
-        // Score-based sorting with time constraints
-        const timeframeMap = {
-          '1h': 1,      // Last hour
-          '24h': 24,    // Last day
-          '1w': 168,    // Last week (168 hours)
-          '1m': 720,    // Last month (30 days)
-          '1y': 8760    // Last year (365 days)
-        };
-        const hoursAgo = timeframeMap[timeframe] || 24;
-        const cutoffDate = new Date(Date.now() - hoursAgo * 60 * 60 * 1000);
-        query.createdAt = { $gte: cutoffDate };
-        sortOption = { score: -1 };
-        break;
-        
-      case 'hot':
-      default:
-        // Reddit-style hot algorithm with time decay and engagement boost
-        // Combines score, age, and comment activity for optimal content discovery
-        sortOption = { hotScore: -1 };
-        break;
-    }
-
-    // Execute optimized database query with population for complete data
-    const posts = await Post.find(query)
-      .populate('author', 'username email karma')          // Author info with reputation
-      .populate('repositories', 'name emailCount')         // Repository metadata
-      .sort(sortOption)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();                                              // Use lean() for better performance
-
-    // Get total count for pagination metadata
-    const total = await Post.countDocuments(query);
+    // Sorting and time windows are up to the ranking strategy (services/ranking)
+    const { posts, total } = await rankingService.feed({
+      sort,
+      timeframe,
+      filter,
+      page: pageNumber,
+      limit: pageSize
+    });
 
     // Return comprehensive response with posts and pagination info
     res.json({
       posts,
+      sort,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page: pageNumber,
+        limit: pageSize,
         total,
-        pages: Math.ceil(total / limit)
+        pages: Math.ceil(total / pageSize)
       }
     });
   } catch (error) {
@@ -245,27 +229,24 @@ exports.createPost = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, url, text, repositories, hashtags, emailList } = req.body;
+    const { title, url, text, repositories, hashtags, emailList, acknowledgeDuplicates } = req.body;
     const userId = req.user.id;
 
-    // Prevent duplicate URL submissions to maintain content quality
-    if (url) {
-      const existingPost = await Post.findOne({ url });
-      if (existingPost) {
-        return res.status(409).json({ 
-          error: 'This URL has already been posted',
-          existingPostId: existingPost._id 
-        });
-      }
+    // Warn about the same URL (canonicalized) or a near-identical story;
+    // the author may submit anyway, and the post is flagged for merging
+    const { duplicates } = await similarityService.findDuplicates({ title, url, text, hashtags });
+    if (duplicates.length > 0 && !acknowledgeDuplicates) {
+      return res.status(409).json({
+        error: duplicates[0].reason === 'url' ? 'This URL has already been posted' : 'This story looks like it has already been posted',
+        existingPostId: duplicates[0].id,
+        duplicates
+      });
     }
 
-    // Use AI service to generate hashtags if none provided
-    // This improves content discoverability and categorization
-    let finalHashtags = hashtags;
-    if (!hashtags || hashtags.length === 0) {
-      const content = `${title} ${text || ''}`;
-      finalHashtags = await aiService.suggestHashtags(content);
-    }
+    // Analyze content for hashtags, summary, topics and sentiment;
+    // suggested hashtags are used if the author provided none
+    const aiMetadata = await aiService.analyzeContent(`${title} ${text || ''}`, { userId });
+    const finalHashtags = hashtags && hashtags.length > 0 ? hashtags : aiMetadata.suggestedHashtags;
 
     // Create post with initial scoring
     const post = new Post({
@@ -274,6 +255,8 @@ exports.createPost = async (req, res) => {
       text,
       author: userId,
       hashtags: finalHashtags,
+      aiMetadata,
+      possibleDuplicates: duplicates.map(duplicate => duplicate.id),
       repositories: repositories || [],
       score: 1,                                               // Initial upvote from author
       hotScore: calculateHotScore(1, 0, new Date())          // Initial hot score
@@ -285,9 +268,14 @@ exports.createPost = async (req, res) => {
       const repository = await Repository.create({
         name: `${title} Repository`,
         owner: userId,
-        emails: emailList,
         associatedPost: post._id
       });
+      await RepositoryMember.addMembers(repository._id, emailList.map(email => ({ email, addedBy: userId })), {
+        channel: 'api',
+        operation: 'post_repository',
+        actor: userId
+      });
+      await RepositoryMember.refreshStats(repository._id);
       post.repositories.push(repository._id);
     }
 
@@ -354,8 +342,11 @@ exports.updatePost = async (req, res) => {
       return res.status(403).json({ error: 'Posts can only be edited within 1 hour of creation' });
     }
 
-    // Update allowed fields
-    if (text !== undefined) post.text = text;
+    // Update allowed fields; changed text is analyzed again
+    if (text !== undefined) {
+      post.text = text;
+      post.aiMetadata = await aiService.analyzeContent(`${post.title} ${text || ''}`, { userId });
+    }
     if (hashtags !== undefined) post.hashtags = hashtags;
     post.editedAt = new Date();                              // Track edit timestamp
 
@@ -728,26 +719,22 @@ exports.createPost = async (req, res) => {
      return res.status(400).json({ errors: errors.array() });
    }
 
-   const { title, url, text, repositories, hashtags, emailList } = req.body;
+   const { title, url, text, repositories, hashtags, emailList, acknowledgeDuplicates } = req.body;
    const userId = req.user.id;
 
-   // Check if URL already posted
-   if (url) {
-     const existingPost = await Post.findOne({ url });
-     if (existingPost) {
-       return res.status(409).json({ 
-         error: 'This URL has already been posted',
-         existingPostId: existingPost._id 
-       });
-     }
+   // Warn about duplicates unless the author submits anyway
+   const { duplicates } = await similarityService.findDuplicates({ title, url, text, hashtags });
+   if (duplicates.length > 0 && !acknowledgeDuplicates) {
+     return res.status(409).json({
+       error: duplicates[0].reason === 'url' ? 'This URL has already been posted' : 'This story looks like it has already been posted',
+       existingPostId: duplicates[0].id,
+       duplicates
+     });
    }
 
-   // Get AI-suggested hashtags if not provided
-   let finalHashtags = hashtags;
-   if (!hashtags || hashtags.length === 0) {
-     const content = `${title} ${text || ''}`;
-     finalHashtags = await aiService.suggestHashtags(content);
-   }
+   // Analyze content; use suggested hashtags if none provided
+   const aiMetadata = await aiService.analyzeContent(`${title} ${text || ''}`, { userId });
+   const finalHashtags = hashtags && hashtags.length > 0 ? hashtags : aiMetadata.suggestedHashtags;
 
    // Create post
    const post = new Post({
@@ -756,6 +743,8 @@ exports.createPost = async (req, res) => {
      text,
      author: userId,
      hashtags: finalHashtags,
+     aiMetadata,
+     possibleDuplicates: duplicates.map(duplicate => duplicate.id),
      repositories: repositories || [],
      score: 1,
      hotScore: calculateHotScore(1, 0, new Date())
@@ -766,9 +755,14 @@ exports.createPost = async (req, res) => {
      const repository = await Repository.create({
        name: `${title} Repository`,
        owner: userId,
-       emails: emailList,
        associatedPost: post._id
      });
+     await RepositoryMember.addMembers(repository._id, emailList.map(email => ({ email, addedBy: userId })), {
+       channel: 'api',
+       operation: 'post_repository',
+       actor: userId
+     });
+     await RepositoryMember.refreshStats(repository._id);
      post.repositories.push(repository._id);
    }
 
@@ -783,6 +777,13 @@ exports.createPost = async (req, res) => {
      title: post.title
    });
 
+   // Send the post on to the email lists of list-mode repositories
+   try {
+     await repositoryMailService.distributePost(post, req.user);
+   } catch (error) {
+     logger.error('Error distributing post to repository lists:', error);
+   }
+
    const populatedPost = await Post.findById(post._id)
      .populate('author', 'username email karma')
      .populate('repositories', 'name emailCount');
@@ -817,8 +818,11 @@ exports.updatePost = async (req, res) => {
      return res.status(403).json({ error: 'Posts can only be edited within 1 hour of creation' });
    }
 
-   // Update fields
-   if (text !== undefined) post.text = text;
+   // Update fields; changed text is analyzed again
+   if (text !== undefined) {
+     post.text = text;
+     post.aiMetadata = await aiService.analyzeContent(`${post.title} ${text || ''}`, { userId });
+   }
    if (hashtags !== undefined) post.hashtags = hashtags;
    post.editedAt = new Date();
 
@@ -1033,6 +1037,252 @@ exports.getTrendingHashtags = async (req, res) => {
  }
 };
 
+/**
+ * Get Related Posts
+ *
+ * Public posts most similar to this one by title, text and hashtags,
+ * from the local TF-IDF index.
+ *
+ * @route GET /api/posts/:id/related
+ * @access Public
+ * @param {string} req.params.id - Post ID
+ * @param {number} [req.query.limit] - Most posts returned (max 50)
+ * @param {string} [req.query.exclude] - Comma-separated post IDs to leave out
+ * @returns {Array<Object>} Post summaries with their similarity (0-1)
+ */
+exports.getRelatedPosts = async (req, res) => {
+ try {
+   const post = await Post.findById(req.params.id);
+   if (!post || post.status === 'deleted') {
+     return res.status(404).json({ error: 'Post not found' });
+   }
+
+   const exclude = String(req.query.exclude || '').split(',').map(id => id.trim()).filter(Boolean);
+   const related = await similarityService.getRelatedPosts(post, {
+     limit: parseInt(req.query.limit, 10) || undefined,
+     exclude
+   });
+
+   res.json({ success: true, data: related });
+ } catch (error) {
+   logger.error('Error fetching related posts:', error);
+   res.status(500).json({ error: 'Failed to fetch related posts' });
+ }
+};
+
+/**
+ * Search Posts
+ *
+ * Full-text search over posts, and over comments with type=comments or
+ * type=all. The query understands operators such as author:, #hashtag,
+ * repo:, site:, before:/after: and score:>10 (see
+ * services/search/queryParser). Results carry highlighted titles and
+ * snippets; facets count matches by hashtag, repository and domain.
+ *
+ * @route GET /api/posts/search
+ * @access Public
+ * @param {string} req.query.q - Query
+ * @param {string} [req.query.type=posts] - posts, comments or all
+ * @param {string} [req.query.sort] - relevance, new or top
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit] - Results per page
+ * @returns {Object} { results, total, totals, facets, corrections, warnings, ... }
+ */
+exports.searchPosts = async (req, res) => {
+ try {
+   const q = String(req.query.q || '').trim();
+   if (!q) {
+     return res.status(400).json({ error: 'A search query is required' });
+   }
+
+   const types = SEARCH_TYPES[req.query.type || 'posts'];
+   if (!types) {
+     return res.status(400).json({ error: 'type must be posts, comments or all' });
+   }
+
+   const results = await searchService.search(q, {
+     types,
+     sort: req.query.sort,
+     page: req.query.page,
+     limit: req.query.limit
+   });
+
+   res.json({ success: true, data: results });
+ } catch (error) {
+   logger.error('Error searching posts:', error);
+   res.status(500).json({ error: 'Search failed' });
+ }
+};
+
+/**
+ * Check for Duplicates
+ *
+ * Posts a submission would duplicate, so the submit form can warn before
+ * posting: same canonical URL (UTM parameters, trailing slashes and
+ * mobile subdomains ignored) or a near-identical recent story.
+ *
+ * @route POST /api/posts/duplicates
+ * @access Private
+ * @param {string} req.body.title - Title
+ * @param {string} [req.body.url] - URL
+ * @param {string} [req.body.text] - Text
+ * @param {string[]} [req.body.hashtags] - Hashtags
+ * @returns {Object} { canonicalUrl, duplicates } with a reason per duplicate
+ */
+exports.checkDuplicates = async (req, res) => {
+ try {
+   const { title, url, text, hashtags } = req.body;
+   if (!title && !url) {
+     return res.status(400).json({ error: 'A title or URL is required' });
+   }
+
+   const result = await similarityService.findDuplicates({ title, url, text, hashtags });
+   res.json({ success: true, data: result });
+ } catch (error) {
+   logger.error('Error checking duplicates:', error);
+   res.status(500).json({ error: 'Failed to check for duplicates' });
+ }
+};
+
+/**
+ * Merge Duplicate Post
+ *
+ * Merges this post into the canonical discussion of another: comments,
+ * votes, hashtags and repositories move over and this post is marked
+ * merged. Open to admins, and to the author of the duplicate when the
+ * target shares its canonical URL or was flagged as a possible duplicate.
+ *
+ * @route POST /api/posts/:id/merge
+ * @access Private (duplicate's author or admin)
+ * @param {string} req.params.id - Duplicate post ID
+ * @param {string} req.body.into - Canonical post ID
+ * @returns {Object} Canonical post ID and comments moved
+ */
+exports.mergePost = async (req, res) => {
+ try {
+   const [duplicate, target] = await Promise.all([
+     Post.findById(req.params.id),
+     Post.findById(req.body.into)
+   ]);
+
+   if (!duplicate || !target || duplicate.status === 'deleted' || target.status === 'deleted') {
+     return res.status(404).json({ error: 'Post not found' });
+   }
+
+   if (duplicate.author.toString() !== req.user.id && !req.user.isAdmin) {
+     return res.status(403).json({ error: 'Only the author or an admin can merge this post' });
+   }
+
+   // Authors may only merge into a post this one was flagged as duplicating
+   const flagged = (duplicate.possibleDuplicates || []).some(id => id.equals(target._id)) ||
+     (!!duplicate.canonicalUrl && duplicate.canonicalUrl === target.canonicalUrl);
+   if (!flagged && !req.user.isAdmin) {
+     return res.status(403).json({ error: 'Only an admin can merge into a post that is not a known duplicate' });
+   }
+
+   if (duplicate.status === 'merged') {
+     return res.status(409).json({ error: 'This post has already been merged', mergedInto: duplicate.mergedInto });
+   }
+
+   const canonical = await similarityService.resolveCanonical(target);
+   if (canonical._id.equals(duplicate._id)) {
+     return res.status(400).json({ error: 'A post cannot be merged into itself' });
+   }
+
+   const { commentsMoved } = await similarityService.mergePosts(duplicate, canonical, { actor: req.user._id });
+
+   res.json({
+     success: true,
+     message: 'Post merged into the canonical discussion',
+     data: { mergedInto: canonical._id, commentsMoved }
+   });
+ } catch (error) {
+   logger.error('Error merging post:', error);
+   res.status(500).json({ error: 'Failed to merge post' });
+ }
+};
+
+/**
+ * Get Ranking Strategies
+ *
+ * The feed's sort options with their tunable parameters.
+ *
+ * @route GET /api/posts/ranking
+ * @access Public
+ * @returns {Object} { strategies, timeframes, defaultSort }
+ */
+exports.getRankingStrategies = async (req, res) => {
+ try {
+   res.json({
+     success: true,
+     data: {
+       strategies: await rankingService.describe(),
+       timeframes: rankingService.timeframes(),
+       defaultSort: config.ranking.defaultSort
+     }
+   });
+ } catch (error) {
+   logger.error('Error listing ranking strategies:', error);
+   res.status(500).json({ error: 'Failed to list ranking strategies' });
+ }
+};
+
+/**
+ * Tune Ranking Parameters
+ *
+ * @route PUT /api/posts/ranking
+ * @access Private (admin)
+ * @param {Object} req.body.params - { strategy: { parameter: value } }
+ * @returns {Object} Parameters in effect
+ */
+exports.updateRankingParams = async (req, res) => {
+ try {
+   const { params, problems } = await rankingService.updateParams(req.body.params, req.user);
+   if (problems.length > 0) {
+     return res.status(400).json({ error: 'Invalid ranking parameters', problems });
+   }
+
+   res.json({
+     success: true,
+     message: 'Ranking parameters updated; stored scores are recomputed on the next run',
+     data: { params }
+   });
+ } catch (error) {
+   logger.error('Error updating ranking parameters:', error);
+   res.status(500).json({ error: 'Failed to update ranking parameters' });
+ }
+};
+
+/**
+ * Preview Ranking Parameters
+ *
+ * The front page of a strategy with the parameters in effect and with
+ * proposed ones. Nothing is saved.
+ *
+ * @route POST /api/posts/ranking/preview
+ * @access Private (admin)
+ * @param {string} req.body.sort - Strategy
+ * @param {Object} [req.body.params] - Proposed { parameter: value }
+ * @param {number} [req.body.limit] - Front page size
+ * @returns {Object} { current, proposed, dropped }
+ */
+exports.previewRanking = async (req, res) => {
+ try {
+   const { sort, params = {}, limit } = req.body;
+   const { preview, problems } = await rankingService.preview(sort, params, {
+     limit: Math.min(Math.max(parseInt(limit) || config.ranking.previewSize, 1), 100)
+   });
+   if (problems.length > 0) {
+     return res.status(400).json({ error: 'Invalid ranking preview', problems });
+   }
+
+   res.json({ success: true, data: preview });
+ } catch (error) {
+   logger.error('Error previewing ranking parameters:', error);
+   res.status(500).json({ error: 'Failed to preview ranking parameters' });
+ }
+};
+
 // Helper function to calculate hot score
 function calculateHotScore(score, commentCount, createdAt) {
  const order = Math.log10(Math.max(Math.abs(score), 1));
@@ -13,7 +13,7 @@
  * - Advanced email validation and verification workflows
  * - Collaborative repository management with permission controls
  * - Snowball distribution integration for organic email growth
- * - Repository merging and archival functionality
+ * - Repository merging with dry-run diffs, conflict strategies and undo
  * - Comprehensive analytics and growth tracking
  * - Search and discovery with trending repositories
  * - Quality control with karma requirements and thresholds
@@ -70,16 +70,33 @@
 
 // Model dependencies for repository operations
 const Repository = require('../../models/Repository.model'); // Repository data model
+const RepositoryMember = require('../../models/RepositoryMember.model'); // Repository list members
 const User = require('../../models/User.model');             // User data for ownership
 const Email = require('../../models/Email.model');           // Email record management
+const Post = require('../../models/Post.model');             // Posts for the archive
+const Comment = require('../../models/Comment.model');       // Comments for archived threads
 
 // Service layer dependencies
 const csvService = require('../../services/csv.service');           // CSV processing
 const snowballService = require('../../services/snowball.service'); // Organic growth
 const emailService = require('../../services/email.service');       // Email validation
+const repositoryMailService = require('../../services/repositoryMail.service'); // List-mode mail
+const deliverabilityService = require('../../services/deliverability.service'); // Bounce/complaint health
+const consentService = require('../../services/consent.service'); // Double opt-in ledger
+const csvImportService = require('../../services/csvImport.service'); // Streamed CSV imports
+const segmentService = require('../../services/segment.service'); // Saved list segments
+const repositoryMergeService = require('../../services/repositoryMerge.service'); // Merges, dry runs and undo
+const repositoryHistoryService = require('../../services/repositoryHistory.service'); // Change log and restore
+const shareLinkService = require('../../services/shareLink.service'); // Scoped share links
+const searchService = require('../../services/search');             // Repository search
 
 // Utility dependencies
 const { validationResult } = require('express-validator');  // Input validation
+const csvParser = require('../../utils/csvParser');          // Import column mappings
+const formats = require('../../utils/formats');               // Import/export format adapters
+const { validateFieldValues } = require('../middleware/validation.middleware'); // Custom field values
+const { PermissionError } = require('../middleware/errorHandler.middleware'); // Consistent 403 responses
+const permissions = require('../../utils/permissions');      // Collaborator roles
 
 /**
  * Get All Repositories with Advanced Filtering
@@ -212,8 +229,6 @@ exports.createRepository = async (req, res) => {
       hashtags: hashtags || [],
       owner: req.user.id,
       isPrivate: isPrivate || false,
-      emails: [],
-      emailCount: 0,
       collaborators: [],
       settings: {
         autoApprove: false,            // Manual approval for new emails
@@ -223,20 +238,19 @@ exports.createRepository = async (req, res) => {
       }
     });
 
+    await repository.save();
+
     // Process initial emails if provided
     if (initialEmails && initialEmails.length > 0) {
       const validEmails = await emailService.validateEmails(initialEmails);
-      repository.emails = validEmails.map(email => ({
+      await RepositoryMember.addMembers(repository._id, validEmails.map(email => ({
         email,
         addedBy: req.user.id,
-        verificationStatus: 'pending',
         source: 'manual'
-      }));
-      repository.emailCount = validEmails.length;
+      })), { channel: 'api', operation: 'create', actor: req.user.id });
+      Object.assign(repository.stats, await RepositoryMember.refreshStats(repository._id));
     }
 
-    await repository.save();
-
     // Update user's repository count and award karma for creation
     await User.findByIdAndUpdate(req.user.id, {
       $push: { repositories: repository._id },
@@ -793,44 +807,32 @@ exports.calculateGrowthRate = async (repository) => {
  * Search Repositories
  * Advanced repository search with multiple filter options
  * 
- * This endpoint provides comprehensive repository search functionality
- * with text search, topic filtering, and quality thresholds for discovery.
+ * This endpoint searches names, descriptions and hashtags. The query
+ * understands words, "phrases", -excluded words, #hashtags and author:
+ * (owner); words are matched literally, never as patterns. Private
+ * repositories are only found by their owner.
  * 
  * @route GET /api/repositories/search
  * @access Public (with privacy controls for private repositories)
- * @param {string} req.query.q - Search query for name/description/topic
- * @param {string} req.query.topic - Filter by specific topic
+ * @param {string} req.query.q - Search query
  * @param {number} req.query.minEmails - Minimum email count threshold
- * @param {boolean} req.query.isPrivate - Privacy filter
- * @returns {Object} Array of matching repositories with owner info
+ * @param {number} req.query.page - Page number
+ * @param {number} req.query.limit - Results per page
+ * @returns {Object} Matching repositories with owner info and highlights
  */
 exports.searchRepositories = async (req, res) => {
   try {
-    const { q, topic, minEmails, isPrivate } = req.query;
-    const query = {};
-
-    // Build text search query across multiple fields
-    if (q) {
-      query.$or = [
-        { name: new RegExp(q, 'i') },           // Case-insensitive name search
-        { description: new RegExp(q, 'i') },   // Description search
-        { topic: new RegExp(q, 'i') }          // Topic search
-      ];
-    }
-
-    // Apply additional filters
-    if (topic) query.topic = new RegExp(topic, 'i');
-    if (minEmails) query.emailCount = { $gte: parseInt(minEmails) };
-    if (isPrivate !== undefined) query.isPrivate = isPrivate === 'true';
-
-    // Execute search with population and sensible limits
-    const repositories = await Repository.find(query)
-      .populate('owner', 'username karma')      // Owner info for credibility
-      .sort('-emailCount')                      // Sort by size for relevance
-      .limit(50)                               // Reasonable result limit
-      .exec();
+    const { q, minEmails, page, limit } = req.query;
+
+    // Parsed and escaped by the search service
+    const results = await searchService.searchRepositories(String(q || ''), {
+      userId: req.user?._id,
+      minEmails,
+      page,
+      limit
+    });
 
-    res.json(repositories);
+    res.json(results);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -894,248 +896,1103 @@ exports.getTrendingRepositories = async (req, res) => {
   }
 };
 
-// Update repository
-exports.updateRepository = async (req, res) => {
- try {
-   const repository = await Repository.findById(req.params.id);
+/**
+ * Get Repository Archive
+ * Lists the threads posted to a repository, newest first
+ * 
+ * Browsable archive of everything posted to the repository, including
+ * list-mode traffic. Private repositories are visible to the owner and
+ * collaborators only.
+ * 
+ * @route GET /api/repositories/:id/archive
+ * @access Public (with privacy controls for private repositories)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {number} req.query.page - Page number for pagination (default: 1)
+ * @param {number} req.query.limit - Threads per page (default: 20)
+ * @param {number} req.query.year - Restrict to one year (optional)
+ * @param {number} req.query.month - Restrict to one month of that year, 1-12 (optional)
+ * @returns {Object} Paginated threads with metadata
+ */
+exports.getArchive = async (req, res) => {
+  try {
+    const repository = await Repository.findById(req.params.id);
+    if (!repository || !repository.isActive || repository.deletedAt) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+    if (!repository.canUserAccess(req.user && req.user._id)) {
+      return res.status(403).json({ error: 'This repository archive is private' });
+    }
 
-   if (!repository) {
-     return res.status(404).json({ error: 'Repository not found' });
-   }
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { 'repositories.repository': repository._id, status: 'active' };
+
+    // Month or year ranges for browsing the archive by date
+    if (req.query.year) {
+      const year = parseInt(req.query.year);
+      const month = req.query.month ? parseInt(req.query.month) - 1 : null;
+      query.createdAt = month === null
+        ? { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+        : { $gte: new Date(Date.UTC(year, month, 1)), $lt: new Date(Date.UTC(year, month + 1, 1)) };
+    }
 
-   // Check ownership or collaborator status
-   if (repository.owner.toString() !== req.user.id && 
-       !repository.collaborators.includes(req.user.id)) {
-     return res.status(403).json({ error: 'You do not have permission to update this repository' });
-   }
+    const [threads, total] = await Promise.all([
+      Post.find(query)
+        .select('title author commentCount createdAt lastActivity')
+        .populate('author', 'username')
+        .sort('-createdAt')
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Post.countDocuments(query)
+    ]);
 
-   const allowedUpdates = ['name', 'description', 'hashtags', 'isPrivate', 'settings'];
-   const updates = Object.keys(req.body)
-     .filter(key => allowedUpdates.includes(key))
-     .reduce((obj, key) => {
-       obj[key] = req.body[key];
-       return obj;
-     }, {});
+    res.json({
+      repository: { id: repository._id, name: repository.name, slug: repository.slug },
+      threads,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-   Object.assign(repository, updates);
-   await repository.save();
+/**
+ * Get Archived Thread
+ * Returns one archived post with its full comment thread
+ * 
+ * @route GET /api/repositories/:id/archive/:postId
+ * @access Public (with privacy controls for private repositories)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.postId - Post MongoDB ObjectId
+ * @returns {Object} Post and its comments in posting order
+ */
+exports.getArchiveThread = async (req, res) => {
+  try {
+    const repository = await Repository.findById(req.params.id);
+    if (!repository || !repository.isActive || repository.deletedAt) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+    if (!repository.canUserAccess(req.user && req.user._id)) {
+      return res.status(403).json({ error: 'This repository archive is private' });
+    }
 
-   res.json(repository);
- } catch (error) {
-   res.status(500).json({ error: error.message });
- }
-};
+    const post = await Post.findOne({
+      _id: req.params.postId,
+      'repositories.repository': repository._id,
+      status: 'active'
+    }).populate('author', 'username');
 
-// Delete repository
-exports.deleteRepository = async (req, res) => {
- try {
-   const repository = await Repository.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Thread not found in this repository' });
+    }
 
-   if (!repository) {
-     return res.status(404).json({ error: 'Repository not found' });
-   }
+    // Flat and chronological, like a list archive; parent links keep the tree
+    const comments = await Comment.find({ post: post._id, isDeleted: false })
+      .select('author parent depth content createdAt')
+      .populate('author', 'username')
+      .sort('createdAt');
 
-   // Only owner can delete
-   if (repository.owner.toString() !== req.user.id) {
-     return res.status(403).json({ error: 'Only the owner can delete this repository' });
-   }
+    res.json({ post, comments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-   await repository.remove();
+/**
+ * Unsubscribe From Repository List
+ * Opts an address out of a repository's list mail
+ * 
+ * Target of the List-Unsubscribe header. GET serves the link in the mail
+ * footer; POST is the RFC 8058 one-click request mail clients send. The
+ * token in the link is bound to the repository and address, so no login
+ * is needed.
+ * 
+ * @route GET|POST /api/repositories/:id/list/unsubscribe
+ * @access Public (token-protected)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.query.email - Member address
+ * @param {string} req.query.token - Unsubscribe token
+ * @returns {Object} Unsubscribe confirmation
+ */
+exports.unsubscribeFromList = async (req, res) => {
+  try {
+    const { email, token } = req.query;
+    const unsubscribed = await repositoryMailService.unsubscribe(req.params.id, email, token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
 
-   // Update user's repository list
-   await User.findByIdAndUpdate(req.user.id, {
-     $pull: { repositories: repository._id }
-   });
+    if (!unsubscribed) {
+      return res.status(404).json({ error: 'Unsubscribe link is invalid or the address is not on this list' });
+    }
 
-   res.json({ message: 'Repository deleted successfully' });
- } catch (error) {
-   res.status(500).json({ error: error.message });
- }
+    res.json({ success: true, message: `${email} will no longer receive mail from this repository` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 };
 
-// Add emails to repository
-exports.addEmails = async (req, res) => {
- try {
-   const { emails, source = 'manual' } = req.body;
-   const repository = await Repository.findById(req.params.id);
+/**
+ * Get Repository Deliverability Report
+ *
+ * Per-address delivery health for a repository's email list: how many
+ * addresses are active, soft bouncing, bounced or have complained, and
+ * the most recent problem addresses with their last bounce reason.
+ *
+ * @route GET /api/repositories/:id/deliverability
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {number} req.query.limit - Problem addresses to include
+ * @returns {Object} Deliverability report
+ */
+exports.getDeliverabilityReport = async (req, res) => {
+  try {
+    const { repository } = req;
 
-   if (!repository) {
-     return res.status(404).json({ error: 'Repository not found' });
-   }
+    const report = await deliverabilityService.getRepositoryReport(repository, {
+      limit: parseInt(req.query.limit) || 50
+    });
 
-   // Check permissions
-   if (repository.owner.toString() !== req.user.id && 
-       !repository.collaborators.includes(req.user.id)) {
-     return res.status(403).json({ error: 'You do not have permission to add emails' });
-   }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-   // Validate and deduplicate emails
-   const validEmails = await emailService.validateEmails(emails);
-   const existingEmails = repository.emails.map(e => e.email);
-   const newEmails = validEmails.filter(email => !existingEmails.includes(email));
+/**
+ * Get Snowball Propagation Graph
+ *
+ * Who introduced whom on a repository's email list: one node per address
+ * snowball added (plus the inviters behind them), one edge per
+ * introduction, and conversion stats for each generation. Used to explain
+ * growth and to spot chains that need tighter snowball limits.
+ *
+ * @route GET /api/repositories/:id/snowball/graph
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @returns {Object} Nodes, edges, per-generation stats and current limits
+ */
+exports.getSnowballGraph = async (req, res) => {
+  try {
+    const { repository } = req;
 
-   if (newEmails.length === 0) {
-     return res.status(400).json({ error: 'No new valid emails to add' });
-   }
+    res.json({ success: true, data: await snowballService.buildPropagationGraph(repository) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-   // Add new emails
-   const emailDocs = newEmails.map(email => ({
-     email,
-     addedBy: req.user.id,
-     verificationStatus: 'pending',
-     source,
-     addedAt: new Date()
-   }));
+/**
+ * Toggle Snowball Growth
+ *
+ * Turns snowball distribution from the repository on or off. The limits
+ * in settings.snowballLimits are kept either way.
+ *
+ * @route PATCH /api/repositories/:id/snowball
+ * @access Private (snowball.toggle)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {boolean} req.body.enabled - Whether snowball distribution is on
+ * @returns {Object} The new setting
+ */
+exports.toggleSnowball = async (req, res) => {
+  try {
+    const { repository } = req;
 
-   repository.emails.push(...emailDocs);
-   repository.emailCount = repository.emails.length;
-   await repository.save();
+    repository.settings.allowSnowball = req.body.enabled;
+    await repository.save();
 
-   // Trigger verification process
-   await emailService.sendVerificationEmails(newEmails, repository._id);
+    res.json({ success: true, data: { allowSnowball: repository.settings.allowSnowball } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-   // Award karma for adding emails
-   await User.findByIdAndUpdate(req.user.id, {
-     $inc: { karma: newEmails.length * 2 }
-   });
+/**
+ * Get CSV Import Status
+ *
+ * Counts and state of a CSV import queued by uploadCSV. The same status is
+ * pushed to the uploader over the websocket as csv-import:progress events.
+ *
+ * @route GET /api/repositories/:id/imports/:importId
+ * @access Private (members.add)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.importId - CsvImport MongoDB ObjectId
+ * @returns {Object} Status, row counts and timing
+ */
+exports.getImportStatus = async (req, res) => {
+  try {
+    const { repository } = req;
 
-   res.json({
-     message: `Successfully added ${newEmails.length} new emails`,
-     newEmails: newEmails.length,
-     totalEmails: repository.emailCount
-   });
- } catch (error) {
-   res.status(500).json({ error: error.message });
- }
+    const csvImport = await csvImportService.getImport(repository._id, req.params.importId);
+    if (!csvImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json({ success: true, data: csvImportService.toStatus(csvImport) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 };
 
-// Upload CSV to repository
-exports.uploadCSV = async (req, res) => {
- try {
-   if (!req.file) {
-     return res.status(400).json({ error: 'No CSV file uploaded' });
-   }
+/**
+ * Download Rejected Rows
+ *
+ * CSV of the rows a completed import rejected, with the row number and
+ * the reason for each.
+ *
+ * @route GET /api/repositories/:id/imports/:importId/rejected
+ * @access Private (members.add)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.importId - CsvImport MongoDB ObjectId
+ * @returns {File} text/csv with columns row, email, reason
+ */
+exports.downloadRejectedRows = async (req, res) => {
+  try {
+    const { repository } = req;
 
-   const repository = await Repository.findById(req.params.id);
+    const csvImport = await csvImportService.getImport(repository._id, req.params.importId);
+    if (!csvImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
 
-   if (!repository) {
-     return res.status(404).json({ error: 'Repository not found' });
-   }
+    if (csvImport.status !== 'completed') {
+      return res.status(409).json({ error: 'Rejected rows are available once the import completes' });
+    }
 
-   // Check permissions
-   if (repository.owner.toString() !== req.user.id && 
-       !repository.collaborators.includes(req.user.id)) {
-     return res.status(403).json({ error: 'You do not have permission to upload CSV' });
-   }
+    res.download(csvImport.rejectedPath, `${repository.slug}-rejected-rows.csv`);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-   // Parse CSV
-   const emails = await csvService.parseEmailCSV(req.file.path);
-   
-   // Validate and deduplicate
-   const validEmails = await emailService.validateEmails(emails);
-   const existingEmails = repository.emails.map(e => e.email);
-   const newEmails = validEmails.filter(email => !existingEmails.includes(email));
+/**
+ * Commit CSV Import
+ *
+ * Queue a previewed import with the column mapping the uploader chose,
+ * either given explicitly or taken from a saved template. The mapping can
+ * be saved as a template for later uploads.
+ *
+ * @route POST /api/repositories/:id/imports/:importId/commit
+ * @access Private (members.add)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.importId - CsvImport MongoDB ObjectId
+ * @param {Object} [req.body.mapping] - Field -> header, plus fields for custom fields
+ * @param {string} [req.body.templateId] - Saved template to use instead
+ * @param {string} [req.body.saveAsTemplate] - Save the mapping under this name
+ * @returns {Object} Queued import status
+ */
+exports.commitImport = async (req, res) => {
+  try {
+    const { repository } = req;
 
-   if (newEmails.length === 0) {
-     return res.status(400).json({ error: 'No new valid emails found in CSV' });
-   }
+    const csvImport = await csvImportService.getImport(repository._id, req.params.importId);
+    if (!csvImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
 
-   // Add emails with CSV source
-   const emailDocs = newEmails.map(email => ({
-     email,
-     addedBy: req.user.id,
-     verificationStatus: 'pending',
-     source: 'csv',
-     csvFileName: req.file.originalname,
-     addedAt: new Date()
-   }));
-
-   repository.emails.push(...emailDocs);
-   repository.emailCount = repository.emails.length;
-   repository.lastCSVUpload = new Date();
-   await repository.save();
+    if (csvImport.status !== 'awaiting_mapping') {
+      return res.status(409).json({ error: 'This import has already been committed' });
+    }
 
-   // Trigger snowball effect if enabled
-   if (repository.settings.allowSnowball) {
-     await snowballService.processSnowball(repository._id, newEmails);
-   }
+    let { mapping } = req.body;
+    let template;
+    if (!mapping && req.body.templateId) {
+      template = await csvImportService.getTemplate(req.user._id, req.body.templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Mapping template not found' });
+      }
+      ({ mapping } = template);
+    }
 
-   // Award karma for CSV upload
-   await User.findByIdAndUpdate(req.user.id, {
-     $inc: { karma: Math.min(newEmails.length * 5, 100) }
-   });
+    const problems = csvParser.validateMapping(mapping, csvImport.preview.headers, { fields: repository.customFields });
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Mapping does not fit this file', problems });
+    }
 
-   res.json({
-     message: 'CSV uploaded successfully',
-     emailsFound: emails.length,
-     validEmails: validEmails.length,
-     newEmails: newEmails.length,
-     totalEmails: repository.emailCount,
-     snowballTriggered: repository.settings.allowSnowball
-   });
- } catch (error) {
-   res.status(500).json({ error: error.message });
- }
+    await csvImportService.commitImport(csvImport, mapping, { template, saveAs: req.body.saveAsTemplate });
+
+    res.status(202).json({ success: true, data: csvImportService.toStatus(csvImport) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 };
 
-// Download repository emails as CSV
-exports.downloadCSV = async (req, res) => {
- try {
-   const repository = await Repository.findById(req.params.id);
+/**
+ * List CSV Mapping Templates
+ *
+ * The current user's saved column mappings, most used first.
+ *
+ * @route GET /api/repositories/import-templates
+ * @access Private
+ * @returns {Array<Object>} Templates with their mapping and source headers
+ */
+exports.listImportTemplates = async (req, res) => {
+  try {
+    const templates = await csvImportService.listTemplates(req.user._id);
 
-   if (!repository) {
-     return res.status(404).json({ error: 'Repository not found' });
-   }
+    res.json({ success: true, data: templates.map(template => csvImportService.toTemplate(template)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-   // Check permissions (private repos require ownership/collaboration)
-   if (repository.isPrivate && 
-       repository.owner.toString() !== req.user.id && 
-       !repository.collaborators.includes(req.user.id)) {
-     return res.status(403).json({ error: 'You do not have permission to download this repository' });
-   }
+/**
+ * Delete CSV Mapping Template
+ *
+ * @route DELETE /api/repositories/import-templates/:templateId
+ * @access Private (template owner)
+ * @param {string} req.params.templateId - CsvMappingTemplate MongoDB ObjectId
+ */
+exports.deleteImportTemplate = async (req, res) => {
+  try {
+    const deleted = await csvImportService.deleteTemplate(req.user._id, req.params.templateId);
 
-   // Get verified emails only
-   const verifiedEmails = repository.emails
-     .filter(e => e.verificationStatus === 'verified')
-     .map(e => ({
-       email: e.email,
-       addedDate: e.addedAt,
-       source: e.source
-     }));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Mapping template not found' });
+    }
 
-   const csv = await csvService.generateEmailCSV(verifiedEmails);
+    res.json({ success: true, message: 'Mapping template deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
 
-   res.setHeader('Content-Type', 'text/csv');
-   res.setHeader('Content-Disposition', `attachment; filename="${repository.name}-emails.csv"`);
-   res.send(csv);
+/**
+ * @param {Object} entry - RepositoryMember document
+ * @returns {Object} The entry as returned by the email list endpoints
+ */
+const toEmailEntry = (entry) => ({
+  id: entry._id,
+  email: entry.email,
+  name: entry.name,
+  verified: entry.verified,
+  optedOut: entry.optedOut,
+  status: entry.status,
+  source: entry.source,
+  tags: (entry.metadata && entry.metadata.tags) || [],
+  fields: entry.fields instanceof Map ? Object.fromEntries(entry.fields) : { ...(entry.fields || {}) },
+  domain: entry.domain,
+  qualityScore: entry.qualityScore,
+  engagement: entry.engagement || { opens: 0, clicks: 0 },
+  addedAt: entry.addedAt
+});
 
-   // Track download
-   repository.downloadCount = (repository.downloadCount || 0) + 1;
-   await repository.save();
- } catch (error) {
-   res.status(500).json({ error: error.message });
- }
+/**
+ * Store converted custom field values on an entry. Empty values clear the
+ * field.
+ *
+ * @param {Object} entry - RepositoryMember document
+ * @param {Object} values - Output of validateFieldValues
+ */
+const setFieldValues = (entry, values) => {
+  if (!entry.fields) entry.fields = new Map();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === null || value === '') {
+      entry.fields.delete(key);
+    } else {
+      entry.fields.set(key, value);
+    }
+  });
 };
 
-// Get repository statistics
-exports.getRepositoryStats = async (req, res) => {
- try {
-   const repository = await Repository.findById(req.params.id);
-
-   if (!repository) {
-     return res.status(404).json({ error: 'Repository not found' });
-   }
+/**
+ * @param {Array<Object>} errors - Field-level errors from validateFieldValues
+ * @returns {Object} Body of the 400 response, as validate() sends it
+ */
+const fieldErrorResponse = (errors) => ({ success: false, message: 'Validation failed', errors });
 
-   const stats = {
-     totalEmails: repository.emailCount,
-     verifiedEmails: repository.emails.filter(e => e.verificationStatus === 'verified').length,
-     pendingEmails: repository.emails.filter(e => e.verificationStatus === 'pending').length,
-     bounceRate: repository.emails.filter(e => e.verificationStatus === 'bounced').length / repository.emailCount,
-     sources: {
-       manual: repository.emails.filter(e => e.source === 'manual').length,
-       csv: repository.emails.filter(e => e.source === 'csv').length,
-       snowball: repository.emails.filter(e => e.source === 'snowball').length,
-       api: repository.emails.filter(e => e.source === 'api').length
+/**
+ * Get Repository Emails
+ *
+ * One page of a repository's email list with each entry's custom field
+ * values. Entries can be narrowed by verification and by custom field
+ * values, e.g. ?fields[plan]=pro&fields[seats]=10; filter values are
+ * converted to the field's type first, so 10 matches the number 10.
+ *
+ * @route GET /api/repositories/:id/emails
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {number} [req.query.page] - Page number (default: 1)
+ * @param {number} [req.query.limit] - Entries per page (default: 50, max 100)
+ * @param {boolean} [req.query.verified] - Only verified or unverified entries
+ * @param {Object} [req.query.fields] - Custom field key -> value to match
+ * @returns {Object} Entries, custom field definitions and pagination
+ */
+exports.getRepositoryEmails = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const { value: filters, errors } = validateFieldValues(repository.customFields, req.query.fields || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json(fieldErrorResponse(errors));
+    }
+
+    const query = { repository: repository._id };
+    if (req.query.verified !== undefined) {
+      query.verified = String(req.query.verified) === 'true';
+    }
+    Object.entries(filters).forEach(([key, value]) => {
+      query[`fields.${key}`] = value === null || value === '' ? { $exists: false } : value;
+    });
+
+    const [entries, total] = await Promise.all([
+      RepositoryMember.find(query)
+        .sort({ addedAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RepositoryMember.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        emails: entries.map(toEmailEntry),
+        customFields: repository.customFields,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Add Email to Repository
+ *
+ * Adds one address with its name, tags and custom field values. Field
+ * values are validated against the repository's custom fields the same
+ * way CSV import rows are. The address is asked to confirm by double
+ * opt-in before it receives mail.
+ *
+ * @route POST /api/repositories/:id/emails
+ * @access Private (members.add)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.body.email - Address to add
+ * @param {string} [req.body.name] - Display name
+ * @param {Array<string>} [req.body.tags] - Tags
+ * @param {Object} [req.body.fields] - Custom field key -> value
+ * @returns {Object} The new entry
+ */
+exports.addEmail = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const email = req.body.email.toLowerCase().trim();
+    if (await RepositoryMember.exists({ repository: repository._id, email })) {
+      return res.status(409).json({ error: 'This email is already on the repository' });
+    }
+
+    const { value: fields, errors } = validateFieldValues(repository.customFields, req.body.fields || {});
+    if (errors.length > 0) {
+      return res.status(400).json(fieldErrorResponse(errors));
+    }
+
+    const entry = new RepositoryMember({
+      repository: repository._id,
+      email,
+      name: req.body.name,
+      addedBy: req.user._id,
+      source: 'manual',
+      metadata: { tags: req.body.tags || [] }
+    });
+    setFieldValues(entry, fields);
+    await entry.saveWithHistory({ channel: 'api', operation: 'add', actor: req.user._id });
+
+    await consentService.requestConsent(repository, [email], {
+      source: 'manual',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    await RepositoryMember.refreshStats(repository._id);
+
+    res.status(201).json({ success: true, data: toEmailEntry(entry) });
+  } catch (error) {
+    // Added by another request in the meantime
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This email is already on the repository' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update Repository Email
+ *
+ * Changes an entry's name, tags or custom field values. Only the fields
+ * given are changed; an empty value clears an optional field.
+ *
+ * @route PATCH /api/repositories/:id/emails/:emailId
+ * @access Private (members.add)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.emailId - RepositoryMember id
+ * @param {string} [req.body.name] - Display name
+ * @param {Array<string>} [req.body.tags] - Tags, replacing the current ones
+ * @param {Object} [req.body.fields] - Custom field key -> value
+ * @returns {Object} The updated entry
+ */
+exports.updateEmail = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const entry = await RepositoryMember.findOne({ _id: req.params.emailId, repository: repository._id });
+    if (!entry) {
+      return res.status(404).json({ error: 'Email not found in repository' });
+    }
+
+    const { value: fields, errors } = validateFieldValues(repository.customFields, req.body.fields || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json(fieldErrorResponse(errors));
+    }
+
+    if (req.body.name !== undefined) {
+      entry.name = req.body.name;
+    }
+    if (req.body.tags !== undefined) {
+      entry.set('metadata.tags', req.body.tags);
+    }
+    setFieldValues(entry, fields);
+
+    await entry.saveWithHistory({ channel: 'api', operation: 'update', actor: req.user._id });
+
+    res.json({ success: true, data: toEmailEntry(entry) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update Custom Field Definitions
+ *
+ * Replaces the custom fields declared on a repository. Stored values are
+ * checked against the new definitions: values of removed fields, and
+ * values that no longer fit a field whose type or options changed, are
+ * cleared. Numbers and dates stored as text are converted when a text
+ * field becomes a number or date field.
+ *
+ * @route PUT /api/repositories/:id/fields
+ * @access Private (settings.edit)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {Array<Object>} req.body.fields - { key, label, type, options, required }
+ * @returns {Object} The definitions, and how many stored values were cleared
+ */
+exports.updateCustomFields = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    repository.customFields = req.body.fields;
+    await repository.save();
+
+    let cleared = 0;
+    const members = RepositoryMember.find({ repository: repository._id, fields: { $exists: true } }).cursor();
+    for await (const entry of members) {
+      [...entry.fields.keys()].forEach(key => {
+        const definition = repository.customFields.find(field => field.key === key);
+        const { value, errors } = definition
+          ? validateFieldValues([definition], { [key]: entry.fields.get(key) }, { partial: true })
+          : { errors: [key] };
+
+        if (errors.length > 0) {
+          entry.fields.delete(key);
+          cleared++;
+        } else {
+          entry.fields.set(key, value[key]);
+        }
+      });
+      if (entry.isModified()) {
+        await entry.saveWithHistory({ channel: 'api', operation: 'custom_fields', actor: req.user._id });
+      }
+    }
+
+    res.json({ success: true, data: { customFields: repository.customFields, cleared } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * @param {Object} error - Error from saving a Segment
+ * @returns {boolean} True if another segment of the repository has the name
+ */
+const isDuplicateName = (error) => error.code === 11000;
+
+/**
+ * List Segments
+ *
+ * Saved segments of a repository, each with a live member count.
+ *
+ * @route GET /api/repositories/:id/segments
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @returns {Array<Object>} Segments with their filter and member count
+ */
+exports.listSegments = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const segments = await segmentService.listSegments(repository);
+
+    res.json({ success: true, data: segments.map(segment => segmentService.toSegment(segment)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Preview Segment Filter
+ *
+ * Count a filter and show its first members without saving it, for
+ * building a segment.
+ *
+ * @route POST /api/repositories/:id/segments/preview
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {Object} req.body.filter - Segment filter (see utils/segmentFilter)
+ * @returns {Object} Member count and a sample of members
+ */
+exports.previewSegment = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const problems = segmentService.validate(repository, req.body.filter);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid segment filter', problems });
+    }
+
+    const { count, sample } = await segmentService.preview(repository, req.body.filter);
+
+    res.json({ success: true, data: { memberCount: count, sample: sample.map(toEmailEntry) } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Create Segment
+ *
+ * @route POST /api/repositories/:id/segments
+ * @access Private (list.send)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.body.name - Segment name, unique in the repository
+ * @param {string} [req.body.description] - What the segment is for
+ * @param {Object} req.body.filter - Segment filter (see utils/segmentFilter)
+ * @returns {Object} The segment with its member count
+ */
+exports.createSegment = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const problems = segmentService.validate(repository, req.body.filter);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid segment filter', problems });
+    }
+
+    const segment = await segmentService.createSegment(repository, req.body, req.user._id);
+
+    res.status(201).json({ success: true, data: segmentService.toSegment(segment) });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A segment with this name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get Segment
+ *
+ * A segment with its live member count and its most recently added
+ * members.
+ *
+ * @route GET /api/repositories/:id/segments/:segmentId
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.segmentId - Segment MongoDB ObjectId
+ * @returns {Object} The segment and a sample of members
+ */
+exports.getSegment = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const segment = await segmentService.getSegment(repository, req.params.segmentId);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const problems = segmentService.validate(repository, segment.filter);
+    const { count, sample } = problems.length > 0
+      ? { count: 0, sample: [] }
+      : await segmentService.preview(repository, segment.filter);
+
+    segment.lastCount = count;
+    segment.lastCountedAt = new Date();
+    await segment.save();
+
+    res.json({
+      success: true,
+      data: { ...segmentService.toSegment(segment), problems, sample: sample.map(toEmailEntry) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Update Segment
+ *
+ * @route PATCH /api/repositories/:id/segments/:segmentId
+ * @access Private (list.send)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.segmentId - Segment MongoDB ObjectId
+ * @param {string} [req.body.name] - New name
+ * @param {string} [req.body.description] - New description
+ * @param {Object} [req.body.filter] - New filter
+ * @returns {Object} The segment, recounted
+ */
+exports.updateSegment = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const segment = await segmentService.getSegment(repository, req.params.segmentId);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    if (req.body.filter !== undefined) {
+      const problems = segmentService.validate(repository, req.body.filter);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid segment filter', problems });
+      }
+    }
+
+    await segmentService.updateSegment(repository, segment, req.body);
+
+    res.json({ success: true, data: segmentService.toSegment(segment) });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A segment with this name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Delete Segment
+ *
+ * Also stops using the segment for digests, which then go to the whole
+ * list again.
+ *
+ * @route DELETE /api/repositories/:id/segments/:segmentId
+ * @access Private (list.send)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.segmentId - Segment MongoDB ObjectId
+ */
+exports.deleteSegment = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const deleted = await segmentService.deleteSegment(repository, req.params.segmentId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    res.json({ success: true, message: 'Segment deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Set Digest Segment
+ *
+ * Choose the segment that receives the repository's digests; without one,
+ * digests go to the whole list.
+ *
+ * @route PUT /api/repositories/:id/digest-segment
+ * @access Private (list.send)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string|null} req.body.segmentId - Segment MongoDB ObjectId, or null
+ * @returns {Object} The digest settings
+ */
+exports.setDigestSegment = async (req, res) => {
+  try {
+    const { repository } = req;
+
+    let segment = null;
+    if (req.body.segmentId) {
+      segment = await segmentService.getSegment(repository, req.body.segmentId);
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+    }
+
+    repository.settings.digestSegment = segment ? segment._id : undefined;
+    await repository.save();
+
+    res.json({
+      success: true,
+      data: {
+        digestFrequency: repository.settings.digestFrequency,
+        nextDigestDate: repository.settings.nextDigestDate || null,
+        digestSegment: segment ? segmentService.toSegment(segment) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update repository
+exports.updateRepository = async (req, res, next) => {
+ try {
+   const { repository } = req;
+
+   const allowedUpdates = ['name', 'description', 'hashtags', 'isPrivate', 'inboundAliases', 'settings'];
+   const { settings = {}, ...updates } = Object.keys(req.body)
+     .filter(key => allowedUpdates.includes(key))
+     .reduce((obj, key) => {
+       obj[key] = req.body[key];
+       return obj;
+     }, {});
+
+   // settings.edit does not cover turning snowball growth on or off
+   if (settings.allowSnowball !== undefined &&
+       settings.allowSnowball !== repository.settings.allowSnowball &&
+       !repository.hasPermission(req.user._id, 'snowball.toggle')) {
+     return next(new PermissionError(`Your role on this repository does not allow: ${permissions.PERMISSIONS['snowball.toggle']}`, 'snowball.toggle'));
+   }
+
+   Object.assign(repository, updates);
+   // Set settings one by one so the ones not sent keep their values
+   Object.entries(settings).forEach(([key, value]) => repository.set(`settings.${key}`, value));
+   await repository.save();
+
+   res.json(repository);
+ } catch (error) {
+   // e.g. an inbound alias already used by another repository
+   if (error.name === 'ValidationError') {
+     return res.status(400).json({ error: error.message });
+   }
+   res.status(500).json({ error: error.message });
+ }
+};
+
+// Delete repository
+exports.deleteRepository = async (req, res) => {
+ try {
+   const { repository } = req;
+
+   await repository.remove();
+
+   // Update user's repository list
+   await User.findByIdAndUpdate(req.user.id, {
+     $pull: { repositories: repository._id }
+   });
+
+   res.json({ message: 'Repository deleted successfully' });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+// Add emails to repository
+exports.addEmails = async (req, res) => {
+ try {
+   const { emails, source = 'manual' } = req.body;
+   const { repository } = req;
+
+   // Validate emails; addresses already on the list are skipped
+   const validEmails = await emailService.validateEmails(emails);
+   const added = await RepositoryMember.addMembers(repository._id, validEmails.map(email => ({
+     email,
+     addedBy: req.user.id,
+     source: source === 'api' ? 'api' : 'manual'
+   })), { channel: 'api', operation: 'bulk_add', actor: req.user.id });
+   const newEmails = added.map(entry => entry.email);
+
+   if (newEmails.length === 0) {
+     return res.status(400).json({ error: 'No new valid emails to add' });
+   }
+
+   // Double opt-in: new addresses get mail only after confirming
+   await consentService.requestConsent(repository, newEmails, {
+     source: source === 'api' ? 'api' : 'manual',
+     actor: req.user.id,
+     ip: req.ip,
+     userAgent: req.get('user-agent')
+   });
+   const memberStats = await RepositoryMember.refreshStats(repository._id);
+
+   // Award karma for adding emails
+   await User.findByIdAndUpdate(req.user.id, {
+     $inc: { karma: newEmails.length * 2 }
+   });
+
+   res.json({
+     message: `Successfully added ${newEmails.length} new emails`,
+     newEmails: newEmails.length,
+     totalEmails: memberStats.totalEmails
+   });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+// Upload CSV to repository
+exports.uploadCSV = async (req, res) => {
+ try {
+   if (!req.file) {
+     return res.status(400).json({ error: 'No CSV file uploaded' });
+   }
+
+   const { repository } = req;
+
+   // Multipart fields arrive as strings
+   let mapping;
+   if (req.body.mapping) {
+     try {
+       mapping = JSON.parse(req.body.mapping);
+     } catch (error) {
+       return res.status(400).json({ error: 'mapping must be a JSON object' });
+     }
+   }
+
+   let template;
+   if (req.body.templateId) {
+     template = await csvImportService.getTemplate(req.user.id, req.body.templateId);
+     if (!template) {
+       return res.status(404).json({ error: 'Mapping template not found' });
+     }
+   }
+
+   // Streamed by the import worker: consent requests, snowball and karma
+   // follow batch by batch, with progress pushed over the websocket
+   const { csvImport, problems } = await csvImportService.startImport(repository, req.file, req.user.id, {
+     preview: req.body.preview === 'true' || req.body.preview === true,
+     mapping,
+     template
+   });
+
+   if (csvImport.status === 'awaiting_mapping') {
+     const templates = await csvImportService.listTemplates(req.user.id, csvImport.preview.headers);
+     return res.json({
+       message: problems.length > 0 ? 'Choose a column mapping to import this file' : 'CSV preview ready',
+       problems,
+       preview: csvImportService.toPreview(csvImport, templates),
+       commitUrl: `/api/repositories/${repository._id}/imports/${csvImport._id}/commit`
+     });
+   }
+
+   res.status(202).json({
+     message: 'CSV import queued',
+     importId: csvImport._id,
+     status: csvImport.status,
+     mapping: csvImport.mapping,
+     statusUrl: `/api/repositories/${repository._id}/imports/${csvImport._id}`
+   });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Download Repository
+ *
+ * Verified, subscribed addresses of a repository in any export format of
+ * the format registry: CSV (default), Google or Outlook contact CSV,
+ * vCard 4.0 or 3.0, XLSX or JSON Lines. A saved segment narrows the export
+ * to its members.
+ *
+ * @route GET /api/repositories/:id/download
+ * @access Private (members.export)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} [req.query.format] - Export format name, default 'csv'
+ * @param {string} [req.query.segment] - Segment MongoDB ObjectId
+ * @returns {File} The repository in the requested format
+ */
+exports.downloadCSV = async (req, res) => {
+ try {
+   const format = formats.get(req.query.format || 'csv');
+   if (!format || typeof format.serialize !== 'function') {
+     return res.status(400).json({
+       error: 'Unknown export format',
+       formats: formats.exporters().map(({ name }) => name)
+     });
+   }
+
+   const { repository } = req;
+
+   let entries;
+   let filename = `${repository.slug}-emails`;
+   if (req.query.segment) {
+     const segment = await segmentService.getSegment(repository, req.query.segment);
+     if (!segment) {
+       return res.status(404).json({ error: 'Segment not found' });
+     }
+     entries = await segmentService.getMembers(repository, segment.filter);
+     filename = `${repository.slug}-${segment.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+   } else {
+     entries = await RepositoryMember.find({ repository: repository._id, verified: true, optedOut: { $ne: true } })
+       .sort({ addedAt: 1 });
+   }
+
+   // Verified addresses only, and never ones that opted out
+   const contacts = entries
+     .filter(e => e.verified && !e.optedOut)
+     .map(formats.toContact);
+
+   const data = await format.serialize(contacts);
+
+   res.setHeader('Content-Type', format.mimeType);
+   res.setHeader('Content-Disposition', `attachment; filename="${filename}${format.extensions[0]}"`);
+   res.send(data);
+
+   // Track download
+   repository.downloadCount = (repository.downloadCount || 0) + 1;
+   await repository.save();
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+// Get repository statistics
+exports.getRepositoryStats = async (req, res) => {
+ try {
+   const repository = await Repository.findById(req.params.id);
+
+   if (!repository) {
+     return res.status(404).json({ error: 'Repository not found' });
+   }
+
+   // Member counts are kept on repository.stats; sources are counted here
+   const memberStats = repository.stats || {};
+   const total = memberStats.totalEmails || 0;
+   const sourceCounts = await RepositoryMember.aggregate([
+     { $match: { repository: repository._id } },
+     { $group: { _id: '$source', count: { $sum: 1 } } }
+   ]);
+   const bySource = Object.fromEntries(sourceCounts.map(({ _id, count }) => [_id, count]));
+
+   const stats = {
+     totalEmails: total,
+     verifiedEmails: memberStats.verifiedEmails || 0,
+     pendingEmails: total - (memberStats.verifiedEmails || 0),
+     bounceRate: total ? (memberStats.suppressedEmails || 0) / total : 0,
+     sources: {
+       manual: bySource.manual || 0,
+       csv: bySource.csv || 0,
+       snowball: bySource.snowball || 0,
+       api: bySource.api || 0
      },
      growthRate: await this.calculateGrowthRate(repository),
      engagementRate: repository.engagementMetrics?.averageOpenRate || 0,
@@ -1144,121 +2001,858 @@ exports.getRepositoryStats = async (req, res) => {
      collaborators: repository.collaborators.length
    };
 
-   res.json(stats);
+   res.json(stats);
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * @param {Object} req - Request with repository and repositoryRole
+ * @param {string[]} granted - Permissions of a role being granted or taken
+ * @returns {boolean} True if the requesting user lacks any of them; only
+ *   the owner may manage collaborators with more rights than their own
+ */
+const exceedsManager = (req, granted) =>
+ req.repositoryRole !== permissions.OWNER_ROLE &&
+ granted.some(permission => !req.repository.hasPermission(req.user._id, permission));
+
+/**
+ * @param {Object} repository - Repository document
+ * @param {string} userId - User MongoDB ObjectId
+ * @returns {Object|undefined} The user's collaborator entry
+ */
+const findCollaborator = (repository, userId) =>
+ repository.collaborators.find(collab => collab.user && collab.user.toString() === String(userId));
+
+/**
+ * List Collaborators
+ *
+ * @route GET /api/repositories/:id/collaborators
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @returns {Object} Owner, collaborators with their role and permissions,
+ *   and the requesting user's role
+ */
+exports.getCollaborators = async (req, res) => {
+ try {
+   const { repository } = req;
+
+   await repository.populate([
+     { path: 'owner', select: 'username email' },
+     { path: 'collaborators.user', select: 'username email' }
+   ]);
+
+   res.json({
+     success: true,
+     data: {
+       owner: repository.owner,
+       collaborators: repository.collaborators.map(({ user, role, addedAt }) => {
+         const found = permissions.findRole(repository, role);
+         return {
+           user,
+           role,
+           roleName: found ? found.name : null,
+           permissions: found ? found.permissions : [],
+           addedAt
+         };
+       }),
+       yourRole: req.repositoryRole
+     }
+   });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Add Collaborator
+ *
+ * Managers other than the owner can only grant roles whose permissions
+ * they have themselves.
+ *
+ * @route POST /api/repositories/:id/collaborators
+ * @access Private (collaborators.manage)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.body.userId - User MongoDB ObjectId
+ * @param {string} [req.body.role] - Built-in or custom role (default: contributor)
+ * @returns {Object} The new collaborator
+ */
+exports.addCollaborator = async (req, res, next) => {
+ try {
+   const { userId, role = 'contributor' } = req.body;
+   const { repository } = req;
+
+   const found = permissions.findRole(repository, role);
+   if (!found) {
+     return res.status(400).json({ error: `Unknown role "${role}"` });
+   }
+   if (exceedsManager(req, found.permissions)) {
+     return next(new PermissionError('You can only grant roles whose permissions you have', 'collaborators.manage'));
+   }
+
+   // Check if user exists
+   const collaborator = await User.findById(userId);
+   if (!collaborator) {
+     return res.status(404).json({ error: 'User not found' });
+   }
+
+   // Check if already the owner or a collaborator
+   if (repository.getUserRole(collaborator._id)) {
+     return res.status(400).json({ error: 'User is already the owner or a collaborator' });
+   }
+
+   repository.collaborators.push({ user: collaborator._id, role });
+   await repository.save();
+
+   // Notify the new collaborator
+   await emailService.sendCollaboratorInvite(collaborator.email, repository);
+
+   res.json({ message: 'Collaborator added successfully', collaborator: { user: collaborator._id, role } });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Change Collaborator Role
+ *
+ * @route PATCH /api/repositories/:id/collaborators/:userId
+ * @access Private (collaborators.manage)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.userId - Collaborator's User MongoDB ObjectId
+ * @param {string} req.body.role - Built-in or custom role
+ * @returns {Object} The collaborator with the new role
+ */
+exports.updateCollaboratorRole = async (req, res, next) => {
+ try {
+   const { repository } = req;
+   const { role } = req.body;
+
+   const entry = findCollaborator(repository, req.params.userId);
+   if (!entry) {
+     return res.status(404).json({ error: 'Collaborator not found' });
+   }
+
+   const found = permissions.findRole(repository, role);
+   if (!found) {
+     return res.status(400).json({ error: `Unknown role "${role}"` });
+   }
+
+   const current = permissions.findRole(repository, entry.role);
+   if (exceedsManager(req, [...found.permissions, ...(current ? current.permissions : [])])) {
+     return next(new PermissionError('You can only manage roles whose permissions you have', 'collaborators.manage'));
+   }
+
+   entry.role = role;
+   await repository.save();
+
+   res.json({ message: 'Collaborator role updated', collaborator: { user: entry.user, role } });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Remove Collaborator
+ *
+ * @route DELETE /api/repositories/:id/collaborators/:userId
+ * @access Private (collaborators.manage)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.userId - Collaborator's User MongoDB ObjectId
+ * @returns {Object} Confirmation message
+ */
+exports.removeCollaborator = async (req, res, next) => {
+ try {
+   const { userId } = req.params;
+   const { repository } = req;
+
+   const entry = findCollaborator(repository, userId);
+   if (!entry) {
+     return res.status(404).json({ error: 'Collaborator not found' });
+   }
+
+   const current = permissions.findRole(repository, entry.role);
+   if (exceedsManager(req, current ? current.permissions : [])) {
+     return next(new PermissionError('You can only remove collaborators whose permissions you have', 'collaborators.manage'));
+   }
+
+   repository.collaborators = repository.collaborators.filter(collab => collab !== entry);
+   await repository.save();
+
+   res.json({ message: 'Collaborator removed successfully' });
  } catch (error) {
    res.status(500).json({ error: error.message });
  }
 };
 
-// Add collaborator to repository
-exports.addCollaborator = async (req, res) => {
+/**
+ * List Roles
+ *
+ * The permission matrix, and the built-in and custom roles with how many
+ * collaborators have each.
+ *
+ * @route GET /api/repositories/:id/roles
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @returns {Object} Permissions with descriptions, and roles
+ */
+exports.listRoles = (req, res) => {
  try {
-   const { userId } = req.body;
-   const repository = await Repository.findById(req.params.id);
+   const { repository } = req;
 
-   if (!repository) {
-     return res.status(404).json({ error: 'Repository not found' });
-   }
+   res.json({
+     success: true,
+     data: {
+       permissions: permissions.PERMISSIONS,
+       roles: permissions.listRoles(repository).map(role => ({
+         ...role,
+         collaborators: repository.collaborators.filter(collab => collab.role === role.key).length
+       }))
+     }
+   });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
 
-   // Only owner can add collaborators
-   if (repository.owner.toString() !== req.user.id) {
-     return res.status(403).json({ error: 'Only the owner can add collaborators' });
+/**
+ * Create Custom Role
+ *
+ * @route POST /api/repositories/:id/roles
+ * @access Private (owner only)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.body.key - Role key, e.g. 'list-editor'
+ * @param {string} req.body.name - Display name
+ * @param {string[]} req.body.permissions - Permissions the role grants
+ * @returns {Object} The new role
+ */
+exports.createRole = async (req, res) => {
+ try {
+   const { repository } = req;
+   const { key, name, permissions: granted } = req.body;
+
+   const problems = permissions.validateRole({ key, name, permissions: granted });
+   if (problems.length > 0) {
+     return res.status(400).json({ error: 'Invalid role', problems });
+   }
+   if (permissions.findRole(repository, key)) {
+     return res.status(409).json({ error: `Role "${key}" already exists` });
    }
 
-   // Check if user exists
-   const collaborator = await User.findById(userId);
-   if (!collaborator) {
-     return res.status(404).json({ error: 'User not found' });
+   repository.customRoles.push({ key, name, permissions: [...new Set(granted)] });
+   await repository.save();
+
+   res.status(201).json({ success: true, data: permissions.findRole(repository, key) });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Update Custom Role
+ *
+ * Collaborators with the role get the new permissions straight away.
+ *
+ * @route PATCH /api/repositories/:id/roles/:roleKey
+ * @access Private (owner only)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.roleKey - Custom role key
+ * @param {string} [req.body.name] - Display name
+ * @param {string[]} [req.body.permissions] - Permissions the role grants
+ * @returns {Object} The updated role
+ */
+exports.updateRole = async (req, res) => {
+ try {
+   const { repository } = req;
+
+   const role = repository.customRoles.find(candidate => candidate.key === req.params.roleKey);
+   if (!role) {
+     const builtIn = permissions.findRole(repository, req.params.roleKey);
+     return builtIn
+       ? res.status(400).json({ error: 'Built-in roles cannot be changed' })
+       : res.status(404).json({ error: 'Role not found' });
    }
 
-   // Check if already a collaborator
-   if (repository.collaborators.includes(userId)) {
-     return res.status(400).json({ error: 'User is already a collaborator' });
+   const name = req.body.name !== undefined ? req.body.name : role.name;
+   const granted = req.body.permissions !== undefined ? req.body.permissions : [...role.permissions];
+   const problems = permissions.validateRole({ key: role.key, name, permissions: granted });
+   if (problems.length > 0) {
+     return res.status(400).json({ error: 'Invalid role', problems });
    }
 
-   repository.collaborators.push(userId);
+   role.name = name;
+   role.permissions = [...new Set(granted)];
    await repository.save();
 
-   // Notify the new collaborator
-   await emailService.sendCollaboratorInvite(collaborator.email, repository);
-
-   res.json({ message: 'Collaborator added successfully' });
+   res.json({ success: true, data: permissions.findRole(repository, role.key) });
  } catch (error) {
    res.status(500).json({ error: error.message });
  }
 };
 
-// Remove collaborator from repository
-exports.removeCollaborator = async (req, res) => {
+/**
+ * Delete Custom Role
+ *
+ * Refused while collaborators have the role; give them another one first.
+ *
+ * @route DELETE /api/repositories/:id/roles/:roleKey
+ * @access Private (owner only)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.roleKey - Custom role key
+ * @returns {Object} Confirmation message
+ */
+exports.deleteRole = async (req, res) => {
  try {
-   const { userId } = req.params;
-   const repository = await Repository.findById(req.params.id);
+   const { repository } = req;
+   const { roleKey } = req.params;
 
-   if (!repository) {
-     return res.status(404).json({ error: 'Repository not found' });
+   if (!repository.customRoles.some(role => role.key === roleKey)) {
+     return permissions.findRole(repository, roleKey)
+       ? res.status(400).json({ error: 'Built-in roles cannot be deleted' })
+       : res.status(404).json({ error: 'Role not found' });
    }
 
-   // Only owner can remove collaborators
-   if (repository.owner.toString() !== req.user.id) {
-     return res.status(403).json({ error: 'Only the owner can remove collaborators' });
+   const holders = repository.collaborators.filter(collab => collab.role === roleKey).length;
+   if (holders > 0) {
+     return res.status(409).json({ error: `${holders} collaborator(s) still have this role`, collaborators: holders });
    }
 
-   repository.collaborators = repository.collaborators.filter(
-     collab => collab.toString() !== userId
-   );
+   repository.customRoles = repository.customRoles.filter(role => role.key !== roleKey);
    await repository.save();
 
-   res.json({ message: 'Collaborator removed successfully' });
+   res.json({ message: 'Role deleted successfully' });
  } catch (error) {
    res.status(500).json({ error: error.message });
  }
 };
 
-// Merge two repositories
+/**
+ * Merge Repositories
+ *
+ * Merges another repository's email list into this one and archives it.
+ * With dryRun, returns the diff instead and changes nothing. A merge can
+ * be undone for config.repositoryMerge.undoHours.
+ *
+ * @route POST /api/repositories/:id/merge
+ * @access Private (owner of both repositories)
+ * @param {string} req.params.id - Target repository MongoDB ObjectId
+ * @param {string} req.body.sourceRepositoryId - Repository merged in
+ * @param {boolean} [req.body.dryRun] - Only return the diff
+ * @param {string} [req.body.strategy] - prefer_target (default),
+ *   prefer_source, newest or manual
+ * @param {Array<Object>} [req.body.resolutions] - For manual merges, one
+ *   { email, field, keep: 'source'|'target' } per conflicting value
+ * @returns {Object} The diff, or the merge with its undo deadline
+ */
 exports.mergeRepositories = async (req, res) => {
  try {
-   const { sourceRepoId } = req.body;
-   const targetRepo = await Repository.findById(req.params.id);
-   const sourceRepo = await Repository.findById(sourceRepoId);
+   const { sourceRepositoryId, dryRun, strategy, resolutions } = req.body;
+   const [targetRepo, sourceRepo] = await Promise.all([
+     Repository.findOne({ _id: req.params.id, deletedAt: null }),
+     Repository.findOne({ _id: sourceRepositoryId, deletedAt: null })
+   ]);
 
    if (!targetRepo || !sourceRepo) {
      return res.status(404).json({ error: 'Repository not found' });
    }
 
+   if (targetRepo._id.equals(sourceRepo._id)) {
+     return res.status(400).json({ error: 'A repository cannot be merged into itself' });
+   }
+
    // Check ownership of both repositories
    if (targetRepo.owner.toString() !== req.user.id || 
        sourceRepo.owner.toString() !== req.user.id) {
      return res.status(403).json({ error: 'You must own both repositories to merge them' });
    }
 
-   // Get all unique emails from source
-   const sourceEmails = sourceRepo.emails.map(e => e.email);
-   const targetEmails = targetRepo.emails.map(e => e.email);
-   const newEmails = sourceEmails.filter(email => !targetEmails.includes(email));
-
-   // Add new emails to target
-   const emailDocs = sourceRepo.emails
-     .filter(e => newEmails.includes(e.email))
-     .map(e => ({
-       ...e.toObject(),
-       source: 'merge',
-       mergedFrom: sourceRepo.name
-     }));
-
-   targetRepo.emails.push(...emailDocs);
-   targetRepo.emailCount = targetRepo.emails.length;
-   await targetRepo.save();
-
-   // Archive source repository
-   sourceRepo.isArchived = true;
-   sourceRepo.archivedAt = new Date();
-   sourceRepo.archiveReason = `Merged into ${targetRepo.name}`;
-   await sourceRepo.save();
+   const options = { strategy, resolutions };
+
+   if (dryRun) {
+     const diff = await repositoryMergeService.diff(targetRepo, sourceRepo, options);
+     return res.json({ success: true, data: diff });
+   }
+
+   if (await repositoryMergeService.isMerging([targetRepo._id, sourceRepo._id])) {
+     return res.status(409).json({ error: 'A merge involving these repositories is in progress' });
+   }
+
+   if (strategy === 'manual') {
+     const { conflicts } = await repositoryMergeService.diff(targetRepo, sourceRepo, options);
+     if (conflicts.unresolved > 0) {
+       return res.status(400).json({
+         error: 'Every conflict needs a resolution for a manual merge',
+         unresolved: conflicts.unresolved,
+         conflicts: conflicts.sample.filter(conflict => conflict.fields.some(field => field.keep === null))
+       });
+     }
+   }
+
+   const merge = await repositoryMergeService.merge(targetRepo, sourceRepo, {
+     ...options,
+     actor: req.user._id,
+     ip: req.ip,
+     userAgent: req.get('user-agent')
+   });
 
    res.json({
+     success: true,
      message: 'Repositories merged successfully',
-     emailsMerged: newEmails.length,
-     totalEmails: targetRepo.emailCount
+     emailsMerged: merge.summary.added,
+     data: repositoryMergeService.toMerge(merge)
+   });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * List Merges
+ *
+ * Repositories merged into this one, latest first, with whether each can
+ * still be undone.
+ *
+ * @route GET /api/repositories/:id/merges
+ * @access Private (owner)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @returns {Array<Object>} Merges with their summary and undo deadline
+ */
+exports.listMerges = async (req, res) => {
+ try {
+   const repository = await Repository.findOne({ _id: req.params.id, deletedAt: null });
+
+   if (!repository) {
+     return res.status(404).json({ error: 'Repository not found' });
+   }
+
+   if (repository.owner.toString() !== req.user.id) {
+     return res.status(403).json({ error: 'Only the owner can view merges of this repository' });
+   }
+
+   const merges = await repositoryMergeService.listMerges(repository);
+
+   res.json({ success: true, data: merges.map(merge => repositoryMergeService.toMerge(merge)) });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Undo Merge
+ *
+ * Removes the members a merge added, restores the values it changed and
+ * un-archives the source. Only the latest merge into a repository can be
+ * undone, within the undo window.
+ *
+ * @route POST /api/repositories/:id/merges/:mergeId/undo
+ * @access Private (owner)
+ * @param {string} req.params.id - Target repository MongoDB ObjectId
+ * @param {string} req.params.mergeId - RepositoryMerge MongoDB ObjectId
+ * @returns {Object} The merge, with the number of members removed and restored
+ */
+exports.undoMerge = async (req, res) => {
+ try {
+   const repository = await Repository.findOne({ _id: req.params.id, deletedAt: null });
+
+   if (!repository) {
+     return res.status(404).json({ error: 'Repository not found' });
+   }
+
+   if (repository.owner.toString() !== req.user.id) {
+     return res.status(403).json({ error: 'Only the owner can undo merges of this repository' });
+   }
+
+   const merge = await repositoryMergeService.getMerge(repository, req.params.mergeId);
+   if (!merge) {
+     return res.status(404).json({ error: 'Merge not found' });
+   }
+
+   if (!merge.canUndo()) {
+     const reasons = {
+       applying: 'This merge is still being applied',
+       undone: 'This merge has already been undone'
+     };
+     return res.status(409).json({ error: reasons[merge.status] || 'The undo window for this merge has passed' });
+   }
+
+   if (await repositoryMergeService.hasLaterMerge(merge)) {
+     return res.status(409).json({ error: 'Undo the later merges into this repository first' });
+   }
+
+   const { removed, restored } = await repositoryMergeService.undo(merge, req.user._id);
+
+   res.json({
+     success: true,
+     message: 'Merge undone',
+     data: { ...repositoryMergeService.toMerge(merge), membersRemoved: removed, membersRestored: restored }
+   });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Get Repository History
+ *
+ * Changes to the email list, latest first, with who made them and through
+ * which channel.
+ *
+ * @route GET /api/repositories/:id/history
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {Date} [req.query.from] - Only changes after this time
+ * @param {Date} [req.query.to] - Only changes up to this time
+ * @param {string} [req.query.email] - Only changes to this address
+ * @param {string} [req.query.channel] - Only changes through this channel
+ * @param {string} [req.query.action] - Only added, updated or removed
+ * @returns {Object} Changes with pagination, and when the history starts
+ */
+exports.getHistory = async (req, res) => {
+ try {
+   const { repository } = req;
+
+   const { from, to, email, channel, action } = req.query;
+   const [{ changes, pagination }, startsAt] = await Promise.all([
+     repositoryHistoryService.listChanges(repository, {
+       page: parseInt(req.query.page) || 1,
+       limit: parseInt(req.query.limit) || 50,
+       from,
+       to,
+       email,
+       channel,
+       action
+     }),
+     repositoryHistoryService.historyStartsAt(repository)
+   ]);
+
+   res.json({ success: true, data: { changes, historyStartsAt: startsAt }, pagination });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Get Repository History Diff
+ *
+ * The email list at two points in time compared: members added, removed
+ * and changed, and the changes made in between by channel and action.
+ *
+ * @route GET /api/repositories/:id/history/diff
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {Date} req.query.from - Earlier time
+ * @param {Date} [req.query.to] - Later time; defaults to now
+ * @returns {Object} The diff
+ */
+exports.getHistoryDiff = async (req, res) => {
+ try {
+   const { repository } = req;
+
+   const { from, to = new Date() } = req.query;
+   if (from > to) {
+     return res.status(400).json({ error: 'from must be earlier than to' });
+   }
+
+   const startsAt = await repositoryHistoryService.historyStartsAt(repository);
+   if (from < startsAt) {
+     return res.status(400).json({ error: 'The history of this repository starts later', historyStartsAt: startsAt });
+   }
+
+   const diff = await repositoryHistoryService.diff(repository, from, to);
+
+   res.json({ success: true, data: diff });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Restore Repository
+ *
+ * Rebuilds the email list as it stood at a point in time. Opt-outs,
+ * bounces, complaints and consent are never rolled back.
+ *
+ * @route POST /api/repositories/:id/history/restore
+ * @access Private (owner only)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {Date} req.body.timestamp - Point in time to restore
+ * @returns {Object} Numbers of members removed, updated and put back
+ */
+exports.restoreHistory = async (req, res) => {
+ try {
+   const { repository } = req;
+
+   const { timestamp } = req.body;
+   if (timestamp > new Date()) {
+     return res.status(400).json({ error: 'Cannot restore to a time in the future' });
+   }
+
+   const startsAt = await repositoryHistoryService.historyStartsAt(repository);
+   if (timestamp < startsAt) {
+     return res.status(400).json({ error: 'The history of this repository starts later', historyStartsAt: startsAt });
+   }
+
+   // Members the log does not know would be lost
+   const untracked = await repositoryHistoryService.countUntracked(repository);
+   if (untracked > 0) {
+     return res.status(409).json({ error: 'Some members are missing from the history of this repository', untracked });
+   }
+
+   const result = await repositoryHistoryService.restore(repository, timestamp, { actor: req.user._id });
+
+   res.json({ success: true, message: 'Repository restored', data: { timestamp, ...result } });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+// Status for each way opening a share link can be refused
+const SHARE_LINK_REFUSALS = {
+ password_required: [401, 'This link needs a password'],
+ wrong_password: [401, 'Wrong password'],
+ expired: [410, 'This link has expired'],
+ used_up: [410, 'This link has been used up'],
+ revoked: [410, 'This link has been revoked']
+};
+
+/**
+ * @param {Object} req - Request with repository
+ * @param {string} scope - Share link scope
+ * @returns {PermissionError|null} Refusal if the user's role may not
+ *   create or revoke links of the scope
+ */
+const shareScopeRefusal = (req, scope) => {
+ const permission = shareLinkService.SCOPE_PERMISSIONS[scope];
+ return req.repository.hasPermission(req.user._id, permission)
+   ? null
+   : new PermissionError(`Your role on this repository does not allow: ${permissions.PERMISSIONS[permission]}`, permission);
+};
+
+/**
+ * Create Share Link
+ *
+ * The link is returned once, here. Creating a link needs the permission
+ * it shares: members.view for stats, members.export for the member list,
+ * members.add for a join form.
+ *
+ * @route POST /api/repositories/:id/share
+ * @access Private (members.view, and the scope's permission)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.body.scope - 'stats', 'members' or 'join'
+ * @param {string} [req.body.label] - Note for the team
+ * @param {Date} [req.body.expiresAt] - Expiry (default: config.shareLinks.defaultTtlHours)
+ * @param {number} [req.body.maxUses] - Opens allowed
+ * @param {string} [req.body.password] - Password to ask for
+ * @returns {Object} The link, its token and URL
+ */
+exports.createShareLink = async (req, res, next) => {
+ try {
+   const { repository } = req;
+   const { scope, label, expiresAt, maxUses, password } = req.body;
+
+   const problems = shareLinkService.validate({ scope, expiresAt, maxUses, password });
+   if (problems.length > 0) {
+     return res.status(400).json({ error: 'Invalid share link', problems });
+   }
+
+   const refusal = shareScopeRefusal(req, scope);
+   if (refusal) {
+     return next(refusal);
+   }
+
+   const created = await shareLinkService.createLink(repository, req.user, { scope, label, expiresAt, maxUses, password });
+
+   res.status(201).json({ success: true, data: created });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * List Share Links
+ *
+ * @route GET /api/repositories/:id/share
+ * @access Private (members.view)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @returns {Object} The repository's links with their status and use counts
+ */
+exports.listShareLinks = async (req, res) => {
+ try {
+   res.json({ success: true, data: await shareLinkService.listLinks(req.repository) });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Revoke Share Link
+ *
+ * @route DELETE /api/repositories/:id/share/:linkId
+ * @access Private (members.view, and the scope's permission)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.linkId - ShareLink MongoDB ObjectId
+ * @returns {Object} The revoked link
+ */
+exports.revokeShareLink = async (req, res, next) => {
+ try {
+   const link = await shareLinkService.getLink(req.repository, req.params.linkId);
+   if (!link) {
+     return res.status(404).json({ error: 'Share link not found' });
+   }
+
+   const refusal = shareScopeRefusal(req, link.scope);
+   if (refusal) {
+     return next(refusal);
+   }
+
+   res.json({ success: true, data: await shareLinkService.revokeLink(link, req.user) });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Get Share Link Access Log
+ *
+ * Recent opens of a link, refused ones included, with client IP and
+ * user agent.
+ *
+ * @route GET /api/repositories/:id/share/:linkId/access
+ * @access Private (members.view, and the scope's permission)
+ * @param {string} req.params.id - Repository MongoDB ObjectId
+ * @param {string} req.params.linkId - ShareLink MongoDB ObjectId
+ * @returns {Object} Access log, latest first
+ */
+exports.getShareLinkAccessLog = async (req, res, next) => {
+ try {
+   const link = await shareLinkService.getLink(req.repository, req.params.linkId);
+   if (!link) {
+     return res.status(404).json({ error: 'Share link not found' });
+   }
+
+   const refusal = shareScopeRefusal(req, link.scope);
+   if (refusal) {
+     return next(refusal);
+   }
+
+   res.json({ success: true, data: shareLinkService.getAccessLog(link) });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Get Shared Link
+ *
+ * What a link is for, so the page can ask for a password or show the join
+ * form. Does not count as a use. The repository is only named for links
+ * without a password.
+ *
+ * @route GET /api/repositories/shared/:token
+ * @access Public (token-protected)
+ * @param {string} req.params.token - Share link token
+ * @returns {Object} Scope, status, expiry and whether a password is needed
+ */
+exports.getSharedLink = async (req, res) => {
+ try {
+   const link = await shareLinkService.findByToken(req.params.token.toLowerCase());
+   if (!link) {
+     return res.status(404).json({ error: 'Share link not found' });
+   }
+
+   const { repository } = link;
+   res.json({
+     success: true,
+     data: {
+       scope: link.scope,
+       status: link.status(),
+       passwordProtected: !!link.passwordHash,
+       expiresAt: link.expiresAt,
+       repository: link.passwordHash ? null : { name: repository.name, description: repository.description }
+     }
+   });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Open Shared Link
+ *
+ * Stats or the anonymized member list, depending on the link's scope.
+ * Counts as one use of the link.
+ *
+ * @route POST /api/repositories/shared/:token/view
+ * @access Public (token-protected)
+ * @param {string} req.params.token - Share link token
+ * @param {string} [req.body.password] - Link password
+ * @param {number} [req.body.page] - Member list page (default: 1)
+ * @returns {Object} Stats, or a page of members
+ */
+exports.openSharedLink = async (req, res) => {
+ try {
+   const link = await shareLinkService.findByToken(req.params.token.toLowerCase());
+   if (!link || link.scope === 'join') {
+     return res.status(404).json({ error: 'Share link not found' });
+   }
+
+   const outcome = await shareLinkService.open(link, {
+     password: req.body.password,
+     ip: req.ip,
+     userAgent: req.get('user-agent')
+   });
+   if (SHARE_LINK_REFUSALS[outcome]) {
+     const [status, message] = SHARE_LINK_REFUSALS[outcome];
+     return res.status(status).json({ error: message, reason: outcome });
+   }
+
+   const data = link.scope === 'stats'
+     ? shareLinkService.getStats(link.repository)
+     : await shareLinkService.listMembers(link.repository, parseInt(req.body.page) || 1);
+
+   res.json({ success: true, scope: link.scope, data });
+ } catch (error) {
+   res.status(500).json({ error: error.message });
+ }
+};
+
+/**
+ * Join Through Shared Link
+ *
+ * Asks to join the repository's list. The address is added pending and
+ * sent a consent request; it gets no mail until it confirms. The answer
+ * is the same whether or not the address was already on the list. Counts
+ * as one use of the link.
+ *
+ * @route POST /api/repositories/shared/:token/join
+ * @access Public (token-protected)
+ * @param {string} req.params.token - Share link token
+ * @param {string} req.body.email - Address joining
+ * @param {string} [req.body.name] - Name
+ * @param {string} [req.body.password] - Link password
+ * @returns {Object} Confirmation that a consent request was sent
+ */
+exports.joinThroughSharedLink = async (req, res) => {
+ try {
+   const client = { ip: req.ip, userAgent: req.get('user-agent') };
+
+   const link = await shareLinkService.findByToken(req.params.token.toLowerCase());
+   if (!link || link.scope !== 'join') {
+     return res.status(404).json({ error: 'Share link not found' });
+   }
+
+   const outcome = await shareLinkService.open(link, { password: req.body.password, ...client });
+   if (SHARE_LINK_REFUSALS[outcome]) {
+     const [status, message] = SHARE_LINK_REFUSALS[outcome];
+     return res.status(status).json({ error: message, reason: outcome });
+   }
+
+   await shareLinkService.requestJoin(link, { email: req.body.email, name: req.body.name }, client);
+
+   res.status(202).json({
+     success: true,
+     message: `If ${req.body.email} is not on the list yet, a confirmation email is on its way`
    });
  } catch (error) {
    res.status(500).json({ error: error.message });
@@ -1270,9 +2864,10 @@ exports.calculateGrowthRate = async (repository) => {
  const thirtyDaysAgo = new Date();
  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
  
- const recentEmails = repository.emails.filter(e => 
-   new Date(e.addedAt) > thirtyDaysAgo
- ).length;
+ const recentEmails = await RepositoryMember.countDocuments({
+   repository: repository._id,
+   addedAt: { $gt: thirtyDaysAgo }
+ });
  
  const totalEmails = repository.emailCount || 1;
  return (recentEmails / totalEmails) * 100;
@@ -1281,28 +2876,16 @@ exports.calculateGrowthRate = async (repository) => {
 // Search repositories
 exports.searchRepositories = async (req, res) => {
  try {
-   const { q, topic, minEmails, isPrivate } = req.query;
-   const query = {};
-
-   if (q) {
-     query.$or = [
-       { name: new RegExp(q, 'i') },
-       { description: new RegExp(q, 'i') },
-       { topic: new RegExp(q, 'i') }
-     ];
-   }
-
-   if (topic) query.topic = new RegExp(topic, 'i');
-   if (minEmails) query.emailCount = { $gte: parseInt(minEmails) };
-   if (isPrivate !== undefined) query.isPrivate = isPrivate === 'true';
+   const { q, minEmails, page, limit } = req.query;
 
-   const repositories = await Repository.find(query)
-     .populate('owner', 'username karma')
-     .sort('-emailCount')
-     .limit(50)
-     .exec();
+   const results = await searchService.searchRepositories(String(q || ''), {
+     userId: req.user?._id,
+     minEmails,
+     page,
+     limit
+   });
 
-   res.json(repositories);
+   res.json(results);
  } catch (error) {
    res.status(500).json({ error: error.message });
  }
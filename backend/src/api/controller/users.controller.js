@@ -21,7 +21,10 @@ const Post = require('../../models/Post.model');
 const Comment = require('../../models/Comment.model');
 const karmaService = require('../../services/karma.service');
 const emailService = require('../../services/email.service');
+const savedSearchService = require('../../services/savedSearch.service');
+const rankingService = require('../../services/ranking');
 const logger = require('../../utils/logger');
+const config = require('../../config');
 const { AppError } = require('../../utils/helpers');
 
 const usersController = {
@@ -134,7 +137,8 @@ const usersController = {
        notifyOnUpvote,
        notifyOnNewFollower,
        notifyOnRepositoryInvite,
-       marketingEmails
+       marketingEmails,
+       unauthenticatedMail
      } = req.body;
 
      const user = await User.findByIdAndUpdate(
@@ -146,15 +150,19 @@ const usersController = {
            'emailPreferences.notifyOnUpvote': notifyOnUpvote,
            'emailPreferences.notifyOnNewFollower': notifyOnNewFollower,
            'emailPreferences.notifyOnRepositoryInvite': notifyOnRepositoryInvite,
-           'emailPreferences.marketingEmails': marketingEmails
+           'emailPreferences.marketingEmails': marketingEmails,
+           'preferences.unauthenticatedMail': unauthenticatedMail
          }
        },
-       { new: true }
-     ).select('emailPreferences');
+       { new: true, runValidators: true }
+     ).select('emailPreferences preferences.unauthenticatedMail');
 
      res.json({
        status: 'success',
-       data: { emailPreferences: user.emailPreferences }
+       data: {
+         emailPreferences: user.emailPreferences,
+         unauthenticatedMail: user.preferences.unauthenticatedMail
+       }
      });
    } catch (error) {
      logger.error('Error updating email preferences:', error);
@@ -515,6 +523,110 @@ const usersController = {
    }
  },
 
+ // List saved searches, numbered as in the ALERT LIST email command
+ async getSavedSearches(req, res, next) {
+   try {
+     const savedSearches = await savedSearchService.list(req.user.id);
+
+     res.json({
+       status: 'success',
+       data: { savedSearches }
+     });
+   } catch (error) {
+     logger.error('Error fetching saved searches:', error);
+     next(error);
+   }
+ },
+
+ // Save a search to be alerted to new matches
+ async createSavedSearch(req, res, next) {
+   try {
+     const { query, name, notify } = req.body;
+     const { savedSearch, problems } = await savedSearchService.create(req.user, { query, name, notify });
+
+     if (problems.length > 0) {
+       return res.status(400).json({
+         status: 'error',
+         message: 'Invalid saved search',
+         problems
+       });
+     }
+
+     res.status(201).json({
+       status: 'success',
+       data: { savedSearch }
+     });
+   } catch (error) {
+     logger.error('Error saving search:', error);
+     next(error);
+   }
+ },
+
+ // Rename a saved search or change how it alerts
+ async updateSavedSearch(req, res, next) {
+   try {
+     const { name, notify } = req.body;
+     const savedSearch = await savedSearchService.update(req.user.id, req.params.savedSearchId, { name, notify });
+
+     if (!savedSearch) {
+       return next(new AppError('Saved search not found', 404));
+     }
+
+     res.json({
+       status: 'success',
+       data: { savedSearch }
+     });
+   } catch (error) {
+     logger.error('Error updating saved search:', error);
+     next(error);
+   }
+ },
+
+ // Delete a saved search
+ async deleteSavedSearch(req, res, next) {
+   try {
+     const removed = await savedSearchService.remove(req.user.id, req.params.savedSearchId);
+
+     if (!removed) {
+       return next(new AppError('Saved search not found', 404));
+     }
+
+     res.json({
+       status: 'success',
+       message: 'Saved search deleted'
+     });
+   } catch (error) {
+     logger.error('Error deleting saved search:', error);
+     next(error);
+   }
+ },
+
+ // Set the sort the feed uses when a request does not choose one
+ async updateFeedSort(req, res, next) {
+   try {
+     const { sort } = req.body;
+
+     // null goes back to the site default
+     if (sort !== null && !rankingService.has(sort)) {
+       return res.status(400).json({
+         status: 'error',
+         message: `Unknown sort ${sort}`,
+         sorts: rankingService.names()
+       });
+     }
+
+     await User.updateOne({ _id: req.user.id }, { $set: { 'preferences.feedSort': sort } });
+
+     res.json({
+       status: 'success',
+       data: { feedSort: sort || config.ranking.defaultSort }
+     });
+   } catch (error) {
+     logger.error('Error updating feed sort:', error);
+     next(error);
+   }
+ },
+
  // Export user data (GDPR compliance)
  async exportUserData(req, res, next) {
    try {
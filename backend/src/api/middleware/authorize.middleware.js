@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Repository Authorization Middleware for ShadowNews Platform
+ *
+ * Route-level enforcement of repository collaborator roles. Each route
+ * names the permission it needs from the matrix in utils/permissions; the
+ * middleware loads the repository from the :id parameter, checks the
+ * authenticated user's role and hands the repository to the controller.
+ *
+ * Refusals go through errorHandler.middleware, so every 403 has the same
+ * shape: { success: false, error: { message, code: 403,
+ * type: 'PermissionError', permission } }.
+ *
+ * Key Features:
+ * - Per-permission checks: members.view, members.export, members.add,
+ *   members.remove, list.send, settings.edit, collaborators.manage and
+ *   snowball.toggle
+ * - Owner-only routes (custom roles, deletion)
+ * - Loaded repository and the user's role on req for the controller
+ *
+ * Usage:
+ * ```javascript
+ * router.get('/:id/download',
+ *   authenticate,
+ *   requireRepositoryPermission('members.export'),
+ *   repositoriesController.downloadCSV
+ * );
+ * ```
+ *
+ * Dependencies:
+ * - Repository.model: Repository and its collaborators
+ * - errorHandler.middleware: ErrorResponse and PermissionError
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Repository = require('../../models/Repository.model');               // Repository and collaborators
+const { ErrorResponse, PermissionError } = require('./errorHandler.middleware'); // Error responses
+const { PERMISSIONS, OWNER_ROLE } = require('../../utils/permissions');   // Permission matrix
+
+/**
+ * Load the repository a route acts on and check the user's role.
+ *
+ * @param {Object} req - Express request with params.id and user
+ * @param {Function} allowed - (repository, role) => boolean
+ * @param {Function} refusal - () => PermissionError for refused users
+ * @returns {Promise<Error|null>} Error to pass to next, or null
+ */
+const authorizeRepository = async (req, allowed, refusal) => {
+  const repository = await Repository.findOne({ _id: req.params.id, deletedAt: null });
+  if (!repository) {
+    return new ErrorResponse('Repository not found', 404);
+  }
+
+  const role = repository.getUserRole(req.user._id);
+  if (!allowed(repository, role)) {
+    return refusal();
+  }
+
+  req.repository = repository;
+  req.repositoryRole = role;
+  return null;
+};
+
+/**
+ * Repository Permission Middleware
+ * Allows the owner and collaborators whose role grants a permission
+ *
+ * @param {string} permission - Permission from utils/permissions
+ * @returns {Function} Express middleware function
+ * @throws {404} Repository not found or deleted
+ * @throws {403} PermissionError naming the missing permission
+ *
+ * @example
+ * router.delete('/:id/emails/:emailId', authenticate, requireRepositoryPermission('members.remove'), removeEmail);
+ */
+const requireRepositoryPermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown repository permission "${permission}"`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      next(await authorizeRepository(
+        req,
+        (repository) => repository.hasPermission(req.user._id, permission),
+        () => new PermissionError(`Your role on this repository does not allow: ${PERMISSIONS[permission]}`, permission)
+      ));
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Repository Owner Middleware
+ * Allows only the repository owner, for actions no role can be granted
+ *
+ * @middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @throws {404} Repository not found or deleted
+ * @throws {403} PermissionError for anyone but the owner
+ */
+const requireRepositoryOwner = async (req, res, next) => {
+  try {
+    next(await authorizeRepository(
+      req,
+      (repository, role) => role === OWNER_ROLE,
+      () => new PermissionError('Only the owner of this repository can do this', OWNER_ROLE)
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireRepositoryPermission,  // Role must grant a permission
+  requireRepositoryOwner        // Owner only
+};
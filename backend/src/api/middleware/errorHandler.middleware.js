@@ -179,10 +179,11 @@ const errorHandler = (err, req, res, next) => {
   }
 
   // Permission Error Handling
-  // Custom application errors for authorization failures
+  // Custom application errors for authorization failures; the permission
+  // that was missing is reported so clients can explain the refusal
   if (err.name === 'PermissionError') {
-    const message = 'Insufficient permissions for this action';
-    error = new ErrorResponse(message, 403);
+    const message = err.message || 'Insufficient permissions for this action';
+    error = new PermissionError(message, err.permission);
   }
 
   // Email Service Error Handling
@@ -221,6 +222,8 @@ const errorHandler = (err, req, res, next) => {
       message: error.message || 'Server Error',
       code: error.statusCode || 500,
       type: error.name || 'ServerError',
+      // Permission a 403 was refused for, e.g. 'members.export'
+      ...(error.permission && { permission: error.permission }),
       // Include stack trace only in development for debugging
       // This prevents sensitive information leakage in production
       ...(process.env.NODE_ENV === 'development' && { 
@@ -281,6 +284,33 @@ class ErrorResponse extends Error {
   }
 }
 
+/**
+ * Permission Error Class
+ * Refusal of an action the user's role does not allow
+ * 
+ * Always a 403. Raised by authorize.middleware when a repository role
+ * lacks a permission; errorHandler reports the permission in the response.
+ * 
+ * @class PermissionError
+ * @extends ErrorResponse
+ * 
+ * @example
+ * next(new PermissionError('Your role cannot export this repository', 'members.export'));
+ */
+class PermissionError extends ErrorResponse {
+  /**
+   * @param {string} [message] - User-friendly error message
+   * @param {string} [permission] - Permission the user lacks
+   */
+  constructor(message = 'Insufficient permissions for this action', permission = null) {
+    super(message, 403);
+    this.name = 'PermissionError';
+    this.permission = permission;
+    
+    Error.captureStackTrace(this, PermissionError);
+  }
+}
+
 /**
  * Not Found Error Handler
  * Handles requests to non-existent endpoints
@@ -330,6 +360,7 @@ const asyncHandler = (fn) => (req, res, next) => {
 module.exports = { 
   errorHandler,      // Main error handling middleware
   ErrorResponse,     // Custom error response class
+  PermissionError,   // 403 for actions a role does not allow
   notFoundHandler,   // 404 error handler for undefined routes
   asyncHandler      // Async function wrapper for automatic error catching
 };
\ No newline at end of file
@@ -321,6 +321,21 @@ const search = createRateLimiter({
   message: 'Search rate limit exceeded. Please wait before searching again',
 });
 
+/**
+ * Share Link Rate Limiter
+ * Protection for public share link pages against token and password guessing
+ * 
+ * Limits: 20 opens per 15 minutes per IP
+ * Features: Skips successful requests, so only refusals count
+ * Use Case: Opening shared repository links and their join forms
+ */
+const shareLink = createRateLimiter({
+  windowMs: 15 * 60 * 1000,                    // 15-minute window
+  max: 20,                                     // 20 refused opens per window
+  skipSuccessfulRequests: true,                // Don't count opened links
+  message: 'Too many attempts to open this link',
+});
+
 /**
  * Karma-Based Dynamic Rate Limiter Factory
  * Creates rate limiters that scale with user reputation
@@ -383,6 +398,7 @@ module.exports = {
   createRepository,     // Repository creation limiting
   api,                  // Tiered API access limiting
   search,               // Search operation limiting
+  shareLink,            // Public share link protection
   karmaBasedLimiter,    // Dynamic karma-based limiter factory
   websocket,            // WebSocket connection protection
   createRateLimiter,    // Rate limiter factory for custom implementations
@@ -18,7 +18,8 @@
  * - Malicious file upload protection
  * 
  * Upload Types Supported:
- * - CSV Files: Email list imports with 10MB limit
+ * - CSV Files: Email list imports with 10MB limit (also vCard, XLSX, JSON
+ *   Lines and mbox, which utils/formats converts)
  * - Avatar Images: User profile pictures with 5MB limit
  * - Document Attachments: PDFs, documents, archives with 25MB limit
  * - Memory Uploads: Small temporary files for immediate processing
@@ -162,7 +163,16 @@ const fileFilter = (req, file, cb) => {
       'text/csv',                              // Standard CSV MIME type
       'application/vnd.ms-excel',              // Excel CSV format
       'application/csv',                       // Alternative CSV MIME type
-      'text/plain'                             // Plain text CSV files
+      'text/plain',                            // Plain text CSV files
+      'text/vcard',                            // vCard address books
+      'text/x-vcard',                          // Legacy vCard MIME type
+      'text/directory',                        // vCard 3.0 MIME type
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // XLSX workbooks
+      'application/x-ndjson',                  // JSON Lines
+      'application/jsonl',                     // Alternative JSON Lines MIME type
+      'application/json',                      // JSON Lines sent as JSON
+      'application/mbox',                      // mbox mailbox exports
+      'application/octet-stream'               // Browsers' default for .mbox/.jsonl; the format is sniffed
     ],
     
     // Image files for user avatars (web-optimized formats)
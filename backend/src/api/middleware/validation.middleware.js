@@ -57,6 +57,12 @@
 // Core validation dependency
 const Joi = require('joi');                    // Schema validation library
 
+// Types a repository custom field can have
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'enum', 'boolean'];
+
+// Custom field keys: used in RepositoryMember.fields, CSV mappings and merge tags
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
 /**
  * Request Body Validation Middleware Factory
  * Creates middleware for validating request body data using Joi schemas
@@ -447,6 +453,53 @@ const schemas = {
       })
   }),
   
+  /**
+   * Custom Field Definitions Validation Schema
+   * Validation for the custom fields declared on a repository
+   * 
+   * Features:
+   * - Lower-case keys, unique within the repository
+   * - Options required for enum fields and refused for the others
+   * - At most 50 fields per repository
+   */
+  customFields: Joi.object({
+    fields: Joi.array().items(Joi.object({
+      key: Joi.string().pattern(CUSTOM_FIELD_KEY_PATTERN).required()
+        .messages({
+          'string.pattern.base': 'Field key must start with a letter and contain only lower case letters, digits and underscores (max 50)',
+          'any.required': 'Field key is required'
+        }),
+      label: Joi.string().trim().max(100)
+        .messages({
+          'string.max': 'Field label cannot exceed 100 characters'
+        }),
+      type: Joi.string().valid(...CUSTOM_FIELD_TYPES).required()
+        .messages({
+          'any.only': `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`,
+          'any.required': 'Field type is required'
+        }),
+      options: Joi.when('type', {
+        is: 'enum',
+        then: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(100).unique().required()
+          .messages({
+            'array.min': 'Enum fields need at least one option',
+            'array.unique': 'Enum options must be unique',
+            'any.required': 'Enum fields need options'
+          }),
+        otherwise: Joi.forbidden()
+          .messages({
+            'any.unknown': 'Only enum fields take options'
+          })
+      }),
+      required: Joi.boolean().default(false)
+    })).max(50).unique('key').required()
+      .messages({
+        'array.max': 'Cannot declare more than 50 custom fields',
+        'array.unique': 'Custom field keys must be unique',
+        'any.required': 'Custom field list is required'
+      })
+  }),
+  
   // ========== CSV Upload Schemas ==========
   
   /**
@@ -528,9 +581,13 @@ const schemas = {
         'string.max': 'Search query cannot exceed 200 characters',
         'any.required': 'Search query is required'
       }),
-    type: Joi.string().valid('posts', 'comments', 'users', 'repositories').default('posts')
+    type: Joi.string().valid('posts', 'comments', 'all').default('posts')
+      .messages({
+        'any.only': 'Search type must be one of: posts, comments, all'
+      }),
+    sort: Joi.string().valid('relevance', 'new', 'top')
       .messages({
-        'any.only': 'Search type must be one of: posts, comments, users, repositories'
+        'any.only': 'Sort must be one of: relevance, new, top'
       }),
     page: Joi.number().integer().min(1).default(1)
       .messages({
@@ -575,6 +632,77 @@ const schemas = {
   })
 };
 
+/**
+ * Custom Field Value Schema
+ * Joi schema for one value of a repository custom field
+ * 
+ * Values arrive as strings from CSV files and query strings and typed from
+ * JSON bodies; both are converted to the field's type. An empty value
+ * clears an optional field.
+ * 
+ * @param {Object} definition - Entry of repository.customFields
+ * @returns {Joi.Schema} Schema for the field's value
+ */
+const customFieldValueSchema = (definition) => {
+  let schema;
+  switch (definition.type) {
+    case 'number':
+      schema = Joi.number();
+      break;
+    case 'date':
+      schema = Joi.date();
+      break;
+    case 'boolean':
+      schema = Joi.boolean().truthy('yes', 'y', '1', 'on').falsy('no', 'n', '0', 'off');
+      break;
+    case 'enum':
+      schema = Joi.string().trim().valid(...(definition.options || []));
+      break;
+    default:
+      schema = Joi.string().trim().max(500);
+  }
+
+  schema = schema.label(definition.label || definition.key);
+  return definition.required ? schema.required() : schema.allow(null, '');
+};
+
+/**
+ * Custom Field Values Validation
+ * Validates and converts the custom field values of one email entry
+ * 
+ * Used for entries edited through the API and for rows of CSV imports, so
+ * both paths accept the same values. Keys the repository has not declared
+ * are errors.
+ * 
+ * @param {Array<Object>} definitions - repository.customFields
+ * @param {Object} values - Field key -> value
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only the given keys are being
+ *   changed, so required fields may be missing
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}}
+ *   Converted values, and field-level errors in the validate() format
+ * 
+ * @example
+ * validateFieldValues(repository.customFields, { seats: '12' });
+ * // Returns: { value: { seats: 12 }, errors: [] }
+ */
+const validateFieldValues = (definitions = [], values = {}, { partial = false } = {}) => {
+  const keys = definitions.reduce((schemaKeys, definition) => {
+    const schema = customFieldValueSchema(definition);
+    return { ...schemaKeys, [definition.key]: partial ? schema.optional() : schema };
+  }, {});
+
+  const { value, error } = Joi.object(keys).validate(values || {}, { abortEarly: false });
+
+  return {
+    value: value || {},
+    errors: error ? error.details.map(detail => ({
+      field: ['fields', ...detail.path].join('.'),  // e.g. 'fields.seats'
+      message: detail.message
+    })) : []
+  };
+};
+
 /**
  * HTML Sanitization Middleware
  * Prevents XSS attacks by sanitizing user input
@@ -727,5 +855,8 @@ module.exports = {
   validateParams,         // Route parameter validation middleware factory
   schemas,                // Comprehensive validation schemas collection
   sanitizeHtml,           // HTML sanitization middleware
-  validateFileUpload      // File upload validation middleware factory
+  validateFileUpload,     // File upload validation middleware factory
+  validateFieldValues,    // Custom field values of email entries
+  CUSTOM_FIELD_TYPES,     // Allowed custom field types
+  CUSTOM_FIELD_KEY_PATTERN // Allowed custom field keys
 };
\ No newline at end of file
@@ -105,6 +105,36 @@ const rateLimitMiddleware = require('../middlewares/rateLimit.middleware');
  */
 router.get('/posts/:postId/comments', commentsController.getCommentsByPost);
 
+/**
+ * Search Comments Endpoint
+ * GET /api/comments/search
+ * 
+ * Full-text search over comments with highlighted snippets. Declared
+ * before /:commentId so "search" is not taken for a comment ID.
+ * 
+ * Features:
+ * - Same query operators as post search (author:, #hashtag, repo:,
+ *   site:, before:/after:, score:>10, "phrases", -excluded)
+ * - repo: and site: match comments on posts in that repository or
+ *   linking to that site
+ * - Typo tolerance and facet counts
+ * 
+ * Query Parameters:
+ * - q: Search query string
+ * - sort: relevance (default with words), new or top
+ * - page: Page number for pagination
+ * - limit: Results per page
+ * 
+ * Response:
+ * - Comments with their post and highlighted snippets
+ * - Facet counts, typo corrections and warnings
+ */
+router.get(
+  '/search',
+  validationMiddleware.validateQuery(validationMiddleware.schemas.search), // Validate search parameters
+  commentsController.searchComments                         // Handle comment search
+);
+
 /**
  * Get Single Comment Endpoint
  * GET /api/comments/:commentId
@@ -464,41 +494,6 @@ router.get(
   commentsController.getUserComments                        // Handle user comment retrieval
 );
 
-/**
- * Search Comments Endpoint
- * GET /api/comments/search
- * 
- * Searches across comment content with advanced filtering options.
- * Supports full-text search and metadata filtering.
- * 
- * Features:
- * - Full-text search across comment content
- * - User and post filtering options
- * - Date range and score filtering
- * - Pagination and sorting support
- * - Search result highlighting
- * 
- * Query Parameters:
- * - q: Search query string
- * - author: Filter by comment author
- * - postId: Filter by specific post
- * - minScore: Minimum comment score
- * - dateFrom: Start date for filtering
- * - dateTo: End date for filtering
- * - page: Page number for pagination
- * - limit: Results per page
- * 
- * Response:
- * - Paginated search results
- * - Search metadata and statistics
- * - Highlighted search terms
- */
-router.get(
-  '/search',
-  validationMiddleware.validateSearch,                      // Validate search parameters
-  commentsController.searchComments                         // Handle comment search
-);
-
 // ========== ADMINISTRATIVE AND BULK OPERATIONS ==========
 // These routes provide administrative tools for content management
 
@@ -71,6 +71,10 @@ const emailController = require('../controllers/email.controller');         // E
 const authMiddleware = require('../middlewares/auth.middleware');           // Authentication middleware
 const validationMiddleware = require('../middlewares/validation.middleware'); // Input validation
 const rateLimitMiddleware = require('../middlewares/rateLimit.middleware'); // Rate limiting
+const WebhookTransport = require('../../services/inbound/webhook.transport'); // Raw MIME detection
+
+// Webhook bodies carrying raw MIME skip the parsed-field validation
+const hasNoRawMime = (value, { req }) => !WebhookTransport.extractRawMime(req.body);
 
 /**
  * Comprehensive Email Validation Rules
@@ -128,7 +132,9 @@ const emailValidation = {
     body('timezone').optional().isString()
       .withMessage('Timezone must be a valid string'),
     body('unsubscribeFromAll').optional().isBoolean()
-      .withMessage('Unsubscribe from all must be a boolean')
+      .withMessage('Unsubscribe from all must be a boolean'),
+    body('unauthenticatedMail').optional().isIn(['reject', 'confirm'])
+      .withMessage('Unauthenticated mail policy must be reject or confirm')
   ],
   
   /**
@@ -136,22 +142,25 @@ const emailValidation = {
    * Validation for incoming email webhook data
    */
   parseInboundEmail: [
-    body('from').isEmail().normalizeEmail()
+    // Parsed fields are only required when the provider did not post raw MIME
+    body('from').if(hasNoRawMime).isEmail().normalizeEmail()
       .withMessage('From address must be a valid email'),
-    body('to').isEmail().normalizeEmail()
+    body('to').if(hasNoRawMime).isEmail().normalizeEmail()
       .withMessage('To address must be a valid email'),
-    body('subject').isString().trim()
+    body('subject').if(hasNoRawMime).isString().trim()
       .withMessage('Subject must be a string'),
+    body(['raw', 'email', 'body-mime']).optional().isString()
+      .withMessage('Raw MIME content must be a string'),
     body('text').optional().isString()
       .withMessage('Text content must be a string'),
     body('html').optional().isString()
       .withMessage('HTML content must be a string'),
     body('attachments').optional().isArray()
       .withMessage('Attachments must be an array'),
-    body('headers').optional().isObject()
-      .withMessage('Headers must be an object'),
-    body('envelope').optional().isObject()
-      .withMessage('Envelope must be an object')
+    body('headers').optional().custom(value => typeof value === 'object' || typeof value === 'string')
+      .withMessage('Headers must be an object or a raw header block'),
+    body('envelope').optional().custom(value => typeof value === 'object' || typeof value === 'string')
+      .withMessage('Envelope must be an object or a JSON string')
   ],
   
   /**
@@ -216,7 +225,14 @@ const emailValidation = {
  * - Sender verification and authentication
  * - Content filtering and spam detection
  * 
+ * Messages are queued through the webhook inbound transport and processed
+ * asynchronously by the email worker, the same path used by the SMTP/LMTP
+ * listener. Providers must send INBOUND_EMAIL_API_KEY as the
+ * X-Inbound-Token header or the `token` query parameter; without a
+ * configured key every request is refused.
+ * 
  * Webhook Data:
+ * - raw / email / body-mime: Complete raw MIME message (preferred)
  * - from: Sender email address
  * - to: Recipient email address (alias)
  * - subject: Email subject line
@@ -227,9 +243,8 @@ const emailValidation = {
  * - envelope: Email envelope information
  * 
  * Response:
- * - Processing confirmation
- * - Created post information (if applicable)
- * - Error details for failed processing
+ * - 202 with the queued job id
+ * - 401 if the webhook token does not match
  */
 router.post('/inbound',
   rateLimitMiddleware.emailInbound,                         // Prevent webhook abuse
@@ -261,6 +276,10 @@ router.post('/inbound',
  * - complained: Spam complaint received
  * - unsubscribed: User unsubscribed
  * 
+ * Providers must send INBOUND_EMAIL_API_KEY as the X-Inbound-Token header
+ * or the `token` query parameter; without a configured key every request
+ * is refused with 401.
+ * 
  * Response:
  * - Event processing confirmation
  * - Updated analytics data
@@ -271,6 +290,79 @@ router.post('/webhook/events',
   emailController.handleEmailEvents                         // Handle event processing
 );
 
+/**
+ * Email Action Confirmation
+ * POST /api/email/confirm/:token
+ * 
+ * Carries out an action that was requested by email and is waiting for
+ * the account owner's confirmation:
+ * - Destructive or privilege-changing commands (REPOSITORY, ADD EMAIL,
+ *   REMOVE EMAIL, UNSUBSCRIBE)
+ * - Inbound email that failed DKIM/SPF/DMARC and was held under the
+ *   sender's "confirm" policy
+ * 
+ * The token is single-use and only sent to the account's registered
+ * address, so it serves as proof of ownership without a session. The same
+ * token can instead be mailed back as "CONFIRM <token>".
+ * 
+ * Response:
+ * - Result of the confirmed action
+ * - 404 if the token is unknown, expired or already used
+ */
+router.post('/confirm/:token',
+  rateLimitMiddleware.webhook,                              // Limit token guessing
+  param('token').isHexadecimal().isLength({ min: 32, max: 32 })
+    .withMessage('Invalid confirmation token'),
+  validationMiddleware,                                     // Process validation results
+  emailController.confirmEmailAction                        // Run the confirmed action
+);
+
+/**
+ * Repository Consent Confirmation
+ * POST /api/email/consent/:token
+ * 
+ * Double opt-in confirmation for an address added to a repository list.
+ * Called by the consent page linked from the request email; the client's
+ * IP and user agent are written to the consent ledger as evidence.
+ * 
+ * Response:
+ * - Confirmed address and repository
+ * - 404 if the token is unknown, expired or superseded by a newer request
+ */
+router.post('/consent/:token',
+  rateLimitMiddleware.webhook,                              // Limit token guessing
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 })
+    .withMessage('Invalid consent token'),
+  validationMiddleware,                                     // Process validation results
+  emailController.confirmConsent                            // Record the confirmation
+);
+
+/**
+ * Consent Ledger Export
+ * GET /api/email/consent/export
+ * 
+ * Everything the consent ledger holds about one address, for data subjects
+ * without an account. The signed token comes from the link in every
+ * consent request email.
+ * 
+ * Query Parameters:
+ * - email: Data subject's address
+ * - token: Export token from the email link
+ * - format: 'json' (default) or 'csv'
+ */
+router.get('/consent/export',
+  rateLimitMiddleware.webhook,                              // Limit token guessing
+  [
+    query('email').isEmail().withMessage('Email must be a valid email address'),
+    query('token').isHexadecimal().isLength({ min: 64, max: 64 })
+      .withMessage('Invalid export token'),
+    query('format').optional().isIn(['json', 'csv'])
+      .withMessage('Format must be json or csv')
+  ],
+  validationMiddleware,                                     // Process validation results
+  emailController.exportConsent                             // Return the ledger
+);
+
 // ========== AUTHENTICATION REQUIRED FOR ALL ROUTES BELOW ==========
 // Middleware to require authentication for all subsequent routes
 router.use(authMiddleware.requireAuth);
@@ -595,6 +687,7 @@ router.get('/preferences',
  * - emailFormat: Preferred email format
  * - timezone: User timezone for delivery timing
  * - unsubscribeFromAll: Global unsubscribe option
+ * - unauthenticatedMail: 'reject' or 'confirm' mail failing DKIM/SPF/DMARC
  * 
  * Response:
  * - Updated preference confirmation
@@ -823,11 +916,13 @@ router.post('/digest/test',
  * 
  * Request Body:
  * - repositoryId: Target repository for bulk sending
- * - subject: Email subject line
- * - content: Email content (HTML or text)
+ * - segmentId: Optional saved segment of the repository to send to
+ * - subject: Email subject line; may contain merge tags
+ * - content: Email content (HTML or text); may contain merge tags
  * - includeUnsubscribeLink: Automatic unsubscribe link inclusion
- * - testMode: Send to test recipients only
- * - recipientFilters: Advanced recipient targeting filters
+ * - testMode: Send one copy to the sender only
+ * - recipientFilters: Ad-hoc segment filter (see utils/segmentFilter),
+ *   combined with the segment when both are given
  * 
  * Response:
  * - Bulk email sending confirmation
@@ -848,6 +943,8 @@ router.post('/bulk/send',
     .withMessage('Test mode must be a boolean'),
   body('recipientFilters').optional().isObject()
     .withMessage('Recipient filters must be an object'),
+  body('segmentId').optional().isMongoId()
+    .withMessage('Segment ID must be a valid MongoDB ObjectId'),
   validationMiddleware,                                     // Process validation results
   emailController.sendBulkEmail                             // Handle bulk email sending
 );
@@ -911,6 +1008,23 @@ router.delete('/bounces/:email',
   emailController.removeFromBounceList                      // Handle bounce removal
 );
 
+/**
+ * My Consent Ledger Endpoint
+ * GET /api/email/consent
+ * 
+ * Consent records for the authenticated user's own address across all
+ * repositories, with a per-repository chain integrity check.
+ * 
+ * Query Parameters:
+ * - format: 'json' (default) or 'csv'
+ */
+router.get('/consent',
+  query('format').optional().isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  validationMiddleware,                                     // Process validation results
+  emailController.getMyConsent                              // Return the ledger
+);
+
 /**
  * Get Email Blocklist Endpoint
  * GET /api/email/blocklist
@@ -94,12 +94,12 @@ const uploadMiddleware = require('../middlewares/upload.middleware');       // F
  * 
  * Query Parameters:
  * - page: Page number for pagination (default: 1)
- * - limit: Posts per page (default: 20, max: 100)
- * - sort: Sort algorithm (hot, new, top, controversial)
- * - timeframe: Time filter (hour, day, week, month, year, all)
+ * - limit: Posts per page (default: 30, max: 100)
+ * - sort: Ranking strategy (hot, new, top, controversial, rising, best,
+ *   quality); the signed-in user's default, else hot
+ * - timeframe: Window of top and controversial (1h, 24h, 1w, 1m, 1y, all)
  * - repository: Filter by repository ID
  * - hashtag: Filter by hashtag
- * - minScore: Minimum post score filter
  * 
  * Response:
  * - Paginated post list with metadata
@@ -108,7 +108,10 @@ const uploadMiddleware = require('../middlewares/upload.middleware');       // F
  * - Repository and hashtag information
  * - Pagination and filtering metadata
  */
-router.get('/', postsController.getAllPosts);
+router.get('/',
+  authMiddleware.optionalAuth,                              // Signed-in users get their default sort
+  postsController.getPosts                                  // Ranked feed page
+);
 
 /**
  * Get Trending Posts Endpoint
@@ -138,6 +141,59 @@ router.get('/', postsController.getAllPosts);
  */
 router.get('/trending', postsController.getTrendingPosts);
 
+/**
+ * Get Ranking Strategies Endpoint
+ * GET /api/posts/ranking
+ * 
+ * Lists the feed's sort options with their tunable parameters and the
+ * values in effect, for sort menus and the admin tuning screen.
+ * 
+ * Response:
+ * - strategies: name, description, periodic and params (value, default, min, max)
+ * - timeframes: Values accepted by periodic strategies
+ * - defaultSort: Sort used when neither the request nor the user picks one
+ */
+router.get('/ranking', postsController.getRankingStrategies);
+
+/**
+ * Tune Ranking Parameters Endpoint
+ * PUT /api/posts/ranking
+ * 
+ * Saves tuned ranking parameters. The feed uses them at once; stored
+ * scores are recomputed with them by the ranking worker.
+ * 
+ * Request Body:
+ * - params: { strategy: { parameter: value } }, e.g. { hot: { gravity: 1.5 } }
+ */
+router.put('/ranking',
+  authMiddleware.requireAuth,                               // Verify user authentication
+  authMiddleware.requireAdmin,                              // Verify admin privileges
+  postsController.updateRankingParams                       // Validate and save parameters
+);
+
+/**
+ * Preview Ranking Parameters Endpoint
+ * POST /api/posts/ranking/preview
+ * 
+ * Shows how proposed parameters would reorder the front page of one
+ * strategy, without saving them.
+ * 
+ * Request Body:
+ * - sort: Strategy to preview
+ * - params: Proposed { parameter: value } for that strategy
+ * - limit: Front page size (default: 30)
+ * 
+ * Response:
+ * - current: Front page with the parameters in effect
+ * - proposed: Front page with the proposed ones, with each post's change in position
+ * - dropped: Posts that would leave the front page
+ */
+router.post('/ranking/preview',
+  authMiddleware.requireAuth,                               // Verify user authentication
+  authMiddleware.requireAdmin,                              // Verify admin privileges
+  postsController.previewRanking                            // Compare front pages
+);
+
 /**
  * Get Posts by Hashtag Endpoint
  * GET /api/posts/hashtag/:hashtag
@@ -200,6 +256,33 @@ router.get('/hashtag/:hashtag', postsController.getPostsByHashtag);
  */
 router.get('/repository/:repositoryId', postsController.getPostsByRepository);
 
+/**
+ * Search Posts Endpoint
+ * GET /api/posts/search
+ * 
+ * Full-text search over posts, and over comments as well with type=all.
+ * Declared before /:id so "search" is not taken for a post ID.
+ * 
+ * Query Operators:
+ * - author:name, #hashtag, repo:slug, site:example.com
+ * - before:2025-01-01, after:7d (also 2w, 3m, 1y)
+ * - score:>10 (also >=, <, <=, =), type:comment
+ * - "exact phrase", -excluded
+ * 
+ * Query Parameters:
+ * - q: Search query string
+ * - type: posts (default), comments or all
+ * - sort: relevance (default with words), new or top
+ * - page: Page number for pagination
+ * - limit: Results per page
+ * 
+ * Response:
+ * - Results with highlighted titles and snippets
+ * - Totals per type and facet counts by hashtag, repository and domain
+ * - Typo corrections applied and warnings for operators ignored
+ */
+router.get('/search', validationMiddleware.validateQuery(validationMiddleware.schemas.search), postsController.searchPosts);
+
 /**
  * Get Single Post Endpoint
  * GET /api/posts/:id
@@ -306,6 +389,26 @@ router.post('/',
   postsController.createPost                                // Handle post creation
 );
 
+/**
+ * Check Duplicates Endpoint
+ * POST /api/posts/duplicates
+ * 
+ * Lists posts a submission would duplicate before it is posted: the same
+ * canonical URL or a near-identical recent story. Creating a post runs
+ * the same check and answers 409 unless acknowledgeDuplicates is set.
+ * 
+ * Request Body:
+ * - title, url, text, hashtags: The submission
+ * 
+ * Response:
+ * - canonicalUrl: The URL as compared
+ * - duplicates: Posts with a reason ('url' or 'similar') and similarity
+ */
+router.post('/duplicates',
+  authMiddleware.requireAuth,                               // Verify user authentication
+  postsController.checkDuplicates                           // Compare against existing posts
+);
+
 /**
  * Create Post from Email Endpoint
  * POST /api/posts/email
@@ -714,32 +817,37 @@ router.post('/:id/flag',
  * Get Related Posts Endpoint
  * GET /api/posts/:id/related
  * 
- * Retrieves posts related to the specified post using content analysis.
- * Provides intelligent content discovery and user engagement optimization.
- * 
- * Features:
- * - Content similarity analysis and matching
- * - User interest and behavior-based recommendations
- * - Repository and hashtag correlation analysis
- * - Engagement pattern recognition
- * - Collaborative filtering and recommendation algorithms
+ * Retrieves public posts most similar to the specified post, scored by
+ * cosine similarity of TF-IDF vectors over titles, text and hashtags.
  * 
  * URL Parameters:
  * - id: MongoDB ObjectId of the reference post
  * 
  * Query Parameters:
- * - limit: Maximum related posts to return
- * - algorithm: Recommendation algorithm preference
- * - exclude: Post IDs to exclude from recommendations
+ * - limit: Maximum related posts to return (default 10, max 50)
+ * - exclude: Comma-separated post IDs to exclude
  * 
  * Response:
- * - Related post recommendations with similarity scores
- * - Recommendation algorithm insights
- * - Content correlation analysis
- * - User engagement optimization suggestions
+ * - Related post summaries with a similarity score (0-1)
  */
 router.get('/:id/related', postsController.getRelatedPosts);
 
+/**
+ * Merge Duplicate Post Endpoint
+ * POST /api/posts/:id/merge
+ * 
+ * Merges a duplicate into the canonical discussion: comments, votes,
+ * hashtags and repositories move to the canonical post and the duplicate
+ * is marked merged. Open to the duplicate's author and admins.
+ * 
+ * Request Body:
+ * - into: ID of the canonical post; merges are followed to their end
+ */
+router.post('/:id/merge',
+  authMiddleware.requireAuth,                               // Verify user authentication
+  postsController.mergePost                                 // Merge into the canonical post
+);
+
 /**
  * Get Posts by User Endpoint
  * GET /api/posts/user/:userId
@@ -771,37 +879,6 @@ router.get('/:id/related', postsController.getRelatedPosts);
  */
 router.get('/user/:userId', postsController.getPostsByUser);
 
-/**
- * Search Posts Endpoint
- * GET /api/posts/search
- * 
- * Searches posts using advanced full-text search and filtering capabilities.
- * Provides comprehensive content discovery and relevance scoring.
- * 
- * Features:
- * - Full-text search across post content
- * - Advanced filtering by metadata, dates, and engagement
- * - Relevance scoring and result ranking
- * - Search result highlighting and snippets
- * - Search analytics and query optimization
- * - Saved search and alert capabilities
- * 
- * Query Parameters:
- * - q: Search query string
- * - sort: Result sorting (relevance, date, popularity)
- * - filter: Advanced filtering options
- * - page: Page number for pagination
- * - limit: Results per page
- * - highlight: Enable search term highlighting
- * 
- * Response:
- * - Paginated search results with relevance scores
- * - Search metadata and statistics
- * - Query suggestions and refinements
- * - Search result highlighting and snippets
- */
-router.get('/search', validationMiddleware.validateSearch, postsController.searchPosts);
-
 // ========== ADMINISTRATIVE OPERATIONS ==========
 // These routes provide administrative tools for content management
 
@@ -60,6 +60,7 @@
  * - express-validator: Input validation and sanitization
  * - repositoriesController: Business logic for repository operations
  * - authMiddleware: Authentication and authorization middleware
+ * - authorizeMiddleware: Repository collaborator roles and permissions
  * - validationMiddleware: Input validation processing
  * - uploadMiddleware: File upload handling for CSV operations
  * 
@@ -74,10 +75,13 @@ const express = require('express');                          // Express web fram
 const router = express.Router();                             // Express router instance
 
 // Middleware and controller imports
-const { authenticate } = require('../middlewares/auth.middleware');          // Authentication middleware
-const { validate } = require('../middlewares/validation.middleware');        // Validation processing
+const { authenticate, optionalAuth } = require('../middlewares/auth.middleware'); // Authentication middleware
+const { validate, schemas } = require('../middlewares/validation.middleware'); // Validation processing
 const upload = require('../middlewares/upload.middleware');                  // File upload handling
+const { requireRepositoryPermission, requireRepositoryOwner } = require('../middlewares/authorize.middleware'); // Repository roles
+const rateLimit = require('../middlewares/rateLimit.middleware');           // Public share link limits
 const repositoriesController = require('../controllers/repositories.controller'); // Repository business logic
+const formats = require('../../utils/formats');                                  // Export format registry
 
 // Express validator utilities for route-specific validation
 const { body, param, query } = require('express-validator');
@@ -157,33 +161,30 @@ router.get('/trending',
  * Search Repositories Endpoint
  * GET /api/repositories/search
  * 
- * Searches repositories using advanced full-text search and filtering.
- * Provides comprehensive repository discovery with relevance scoring.
+ * Searches repository names, descriptions and hashtags. Query words
+ * are matched literally; private repositories are only found by their
+ * owner.
  * 
  * Features:
- * - Full-text search across repository names and descriptions
- * - Advanced filtering by metadata and engagement metrics
- * - Relevance scoring and intelligent result ranking
- * - Search result highlighting and content snippets
- * - Search analytics and query optimization
- * - Faceted search with topic and hashtag filters
+ * - Words, "exact phrases" and -excluded words
+ * - #hashtag filters and author: (owner) filter
+ * - Highlighted names and description snippets
  * 
  * Query Parameters:
  * - q: Search query string (required, non-empty)
+ * - minEmails: Minimum list size
  * - page: Page number for result pagination
- * - limit: Results per page (maximum 100)
+ * - limit: Results per page (maximum 50)
  * 
  * Response:
- * - Paginated search results with relevance scores
- * - Search metadata and performance statistics
- * - Query suggestions and refinement options
- * - Faceted search filters and category breakdowns
- * - Search result highlighting and snippets
+ * - Paginated results, best quality first, with highlights
+ * - Warnings for operators that were ignored
  */
 router.get('/search',
  query('q').notEmpty().isString(),                           // Search query validation
+ query('minEmails').optional().isInt({ min: 0 }),           // List size validation
  query('page').optional().isInt({ min: 1 }),                // Page number validation
- query('limit').optional().isInt({ min: 1, max: 100 }),     // Page size validation
+ query('limit').optional().isInt({ min: 1, max: 50 }),      // Page size validation
  validate,                                                    // Process validation results
  repositoriesController.searchRepositories                   // Handle search processing
 );
@@ -287,6 +288,131 @@ router.get('/:id/activity',
  repositoriesController.getRepositoryActivity               // Handle activity retrieval
 );
 
+/**
+ * Get Repository Archive Endpoint
+ * GET /api/repositories/:id/archive
+ * 
+ * Browsable archive of the threads posted to a repository, including
+ * mailing-list traffic. Private repositories require the viewer to be the
+ * owner or a collaborator.
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ * 
+ * Query Parameters:
+ * - page: Page number for pagination
+ * - limit: Threads per page (maximum 100)
+ * - year / month: Restrict to one year or month
+ * 
+ * Response:
+ * - Paginated threads, newest first, with comment counts
+ */
+router.get('/:id/archive',
+ optionalAuth,                                               // Identify viewer for private archives
+ param('id').isMongoId(),                                    // Repository ID validation
+ query('page').optional().isInt({ min: 1 }),                // Page number validation
+ query('limit').optional().isInt({ min: 1, max: 100 }),     // Page size validation
+ query('year').optional().isInt({ min: 2000, max: 9999 }),  // Archive year validation
+ query('month').optional().isInt({ min: 1, max: 12 }),      // Archive month validation
+ validate,                                                    // Process validation results
+ repositoriesController.getArchive                          // Handle archive listing
+);
+
+/**
+ * Get Archived Thread Endpoint
+ * GET /api/repositories/:id/archive/:postId
+ * 
+ * Returns one archived post with all of its comments in posting order.
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ * - postId: MongoDB ObjectId of the post
+ */
+router.get('/:id/archive/:postId',
+ optionalAuth,                                               // Identify viewer for private archives
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('postId').isMongoId(),                                // Post ID validation
+ validate,                                                    // Process validation results
+ repositoriesController.getArchiveThread                    // Handle thread retrieval
+);
+
+/**
+ * Unsubscribe From Repository List Endpoint
+ * GET|POST /api/repositories/:id/list/unsubscribe
+ * 
+ * Target of the List-Unsubscribe header on list-mode mail. POST handles
+ * RFC 8058 one-click unsubscribe from mail clients; GET handles the link
+ * in the message footer. Protected by a per-address token, not a login.
+ * 
+ * Query Parameters:
+ * - email: Address to opt out
+ * - token: Token from the unsubscribe link
+ */
+const listUnsubscribeValidation = [
+ param('id').isMongoId(),                                    // Repository ID validation
+ query('email').isEmail(),                                   // Member address validation
+ query('token').isHexadecimal().isLength({ min: 64, max: 64 }), // HMAC token validation
+ validate                                                     // Process validation results
+];
+
+router.get('/:id/list/unsubscribe',
+ ...listUnsubscribeValidation,
+ repositoriesController.unsubscribeFromList                 // Handle list opt-out
+);
+
+router.post('/:id/list/unsubscribe',
+ ...listUnsubscribeValidation,
+ repositoriesController.unsubscribeFromList                 // Handle one-click opt-out
+);
+
+/**
+ * Shared Link Endpoints
+ * GET /api/repositories/shared/:token
+ * POST /api/repositories/shared/:token/view
+ * POST /api/repositories/shared/:token/join
+ * 
+ * Pages behind share links, protected by the link token (and password, if
+ * the link has one) instead of a login. GET describes the link without
+ * using it; view returns stats or the anonymized member list; join asks
+ * to join the list, which sends a double opt-in request. Every view and
+ * join is written to the link's access log and counts against its use
+ * limit when it gets through.
+ * 
+ * Request Body (view, join):
+ * - password: Link password, if it has one
+ * - page: Member list page (view)
+ * - email, name: Address joining and name (join)
+ * 
+ * Response:
+ * - 401 without the right password; 410 once expired, used up or revoked
+ */
+const sharedLinkValidation = [
+ rateLimit.shareLink,                                        // Limit token and password guessing
+ param('token').isHexadecimal().isLength({ min: 64, max: 64 }), // Link token validation
+ body('password').optional().isString().isLength({ max: 128 }), // Password validation
+];
+
+router.get('/shared/:token',
+ ...sharedLinkValidation,
+ validate,                                                    // Process validation results
+ repositoriesController.getSharedLink                       // Describe the link
+);
+
+router.post('/shared/:token/view',
+ ...sharedLinkValidation,
+ body('page').optional().isInt({ min: 1 }),                  // Member list page validation
+ validate,                                                    // Process validation results
+ repositoriesController.openSharedLink                      // Stats or anonymized members
+);
+
+router.post('/shared/:token/join',
+ ...sharedLinkValidation,
+ body('email').isEmail(),                                    // Joining address validation
+ body('name').optional().isString().trim().isLength({ max: 100 }), // Name validation
+ validate,                                                    // Process validation results
+ repositoriesController.joinThroughSharedLink               // Start double opt-in
+);
+
 // ========== AUTHENTICATED USER REPOSITORY ROUTES ==========
 // These routes require authentication for user-specific repository operations
 
@@ -329,6 +455,27 @@ router.get('/my-repositories',
  repositoriesController.getUserRepositories                 // Handle user repository retrieval
 );
 
+/**
+ * CSV Mapping Templates Endpoints
+ * GET /api/repositories/import-templates
+ * DELETE /api/repositories/import-templates/:templateId
+ * 
+ * Column mappings the user saved when committing a CSV import. Pass a
+ * template's id as templateId to upload-csv or to an import commit to
+ * reuse it.
+ */
+router.get('/import-templates',
+ authenticate,                                               // Verify user authentication
+ repositoriesController.listImportTemplates                 // List saved mappings
+);
+
+router.delete('/import-templates/:templateId',
+ authenticate,                                               // Verify user authentication
+ param('templateId').isMongoId(),                            // Template ID validation
+ validate,                                                    // Process validation results
+ repositoriesController.deleteImportTemplate                // Delete a saved mapping
+);
+
 // ========== REPOSITORY MANAGEMENT ROUTES ==========
 // These routes handle repository creation, modification, and advanced management
 
@@ -415,6 +562,13 @@ router.post('/',
  * - emailVerificationRequired: Updated verification setting (optional)
  * - autoApprove: Updated auto-approval setting (optional)
  * - qualityThreshold: Updated quality threshold (optional)
+ * - inboundAliases: Further local parts of the inbound address; must not
+ *   match another repository's slug or alias (optional)
+ * - settings.emailPosting: Who may post via the inbound address (optional)
+ * - settings.listMode: Redistribute posts and comments to the list (optional)
+ * - settings.allowSnowball: Snowball growth on or off; changing it also
+ *   needs snowball.toggle (optional)
+ * - settings.snowballLimits: maxDepth, maxFanOut, maxDailyGrowthRate (optional)
  * 
  * Response:
  * - Updated repository object with change summary
@@ -433,7 +587,16 @@ router.put('/:id',
  body('emailVerificationRequired').optional().isBoolean(),  // Email verification validation
  body('autoApprove').optional().isBoolean(),                // Auto-approval validation
  body('qualityThreshold').optional().isFloat({ min: 0, max: 1 }), // Quality threshold validation
+ body('inboundAliases').optional().isArray({ max: 10 }),       // Inbound address aliases
+ body('inboundAliases.*').isString(),                       // Individual alias validation
+ body('settings.emailPosting').optional().isIn(['disabled', 'collaborators', 'members']), // Inbound address posting
+ body('settings.listMode').optional().isBoolean(),           // Mailing-list mode
+ body('settings.allowSnowball').optional().isBoolean(),      // Snowball growth; also needs snowball.toggle
+ body('settings.snowballLimits.maxDepth').optional().isInt({ min: 0, max: 10 }), // Snowball generations
+ body('settings.snowballLimits.maxFanOut').optional().isInt({ min: 1 }), // Additions per inviter
+ body('settings.snowballLimits.maxDailyGrowthRate').optional().isFloat({ min: 0 }), // Daily growth cap
  validate,                                                    // Process validation results
+ requireRepositoryPermission('settings.edit'),               // Role must allow settings.edit
  repositoriesController.updateRepository                     // Handle repository update
 );
 
@@ -470,6 +633,7 @@ router.delete('/:id',
  authenticate,                                               // Verify user authentication
  param('id').isMongoId(),                                    // Repository ID validation
  validate,                                                    // Process validation results
+ requireRepositoryOwner,                                     // Owner only
  repositoriesController.deleteRepository                     // Handle repository deletion
 );
 
@@ -504,9 +668,11 @@ router.delete('/:id',
  * - page: Page number for email pagination
  * - limit: Emails per page (maximum 100)
  * - verified: Filter by verification status (boolean)
+ * - fields[key]: Filter by custom field value, converted to the field's type
  * 
  * Response:
- * - Paginated email list with verification status
+ * - Paginated email list with verification status and custom field values
+ * - The repository's custom field definitions
  * - Email engagement metrics and analytics
  * - Verification and deliverability statistics
  * - Email management and export options
@@ -517,7 +683,9 @@ router.get('/:id/emails',
  query('page').optional().isInt({ min: 1 }),                // Page number validation
  query('limit').optional().isInt({ min: 1, max: 100 }),     // Page size validation
  query('verified').optional().isBoolean(),                  // Verification filter validation
+ query('fields').optional().isObject(),                     // Custom field filter validation
  validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
  repositoriesController.getRepositoryEmails                 // Handle email retrieval
 );
 
@@ -549,6 +717,8 @@ router.get('/:id/emails',
  * - email: Email address to add (required, valid email format)
  * - name: Optional name associated with email
  * - tags: Optional array of tag strings for categorization
+ * - fields: Optional custom field values keyed by field key, validated
+ *   against the repository's custom fields like CSV import rows
  * 
  * Response:
  * - Email addition confirmation with verification status
@@ -563,10 +733,222 @@ router.post('/:id/emails',
  body('name').optional().isString(),                        // Name validation
  body('tags').optional().isArray(),                         // Tags array validation
  body('tags.*').optional().isString(),                      // Individual tag validation
+ body('fields').optional().isObject(),                      // Custom field values validation
  validate,                                                    // Process validation results
+ requireRepositoryPermission('members.add'),                 // Role must allow members.add
  repositoriesController.addEmail                            // Handle email addition
 );
 
+/**
+ * Update Repository Email Endpoint
+ * PATCH /api/repositories/:id/emails/:emailId
+ * 
+ * Edits an entry's name, tags or custom field values. Only the given
+ * fields change; an empty custom field value clears the field.
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ * - emailId: MongoDB ObjectId of the email entry
+ * 
+ * Request Body:
+ * - name: Optional name
+ * - tags: Optional array of tags, replacing the current ones
+ * - fields: Optional custom field values keyed by field key
+ * 
+ * Response:
+ * - The updated entry, or 400 with field-level errors
+ */
+router.patch('/:id/emails/:emailId',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('emailId').isMongoId(),                              // Email ID validation
+ body('name').optional().isString(),                        // Name validation
+ body('tags').optional().isArray(),                         // Tags array validation
+ body('tags.*').optional().isString(),                      // Individual tag validation
+ body('fields').optional().isObject(),                      // Custom field values validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.add'),                 // Role must allow members.add
+ repositoriesController.updateEmail                         // Handle email update
+);
+
+/**
+ * Update Custom Fields Endpoint
+ * PUT /api/repositories/:id/fields
+ * 
+ * Replaces the custom fields declared for the repository's email entries.
+ * CSV columns map onto these fields, and their values can be edited
+ * through the email endpoints above and used in merge tags such as
+ * {{fields.plan|free}}.
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ * 
+ * Request Body:
+ * - fields: Array of { key, label, type, options, required }
+ *   - key: Lower case letters, digits and underscores
+ *   - type: text, number, date, enum or boolean
+ *   - options: Allowed values, enum fields only
+ * 
+ * Response:
+ * - The definitions, and how many stored values no longer fit and were
+ *   cleared
+ */
+router.put('/:id/fields',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ validate(schemas.customFields),                             // Field definitions validation
+ requireRepositoryPermission('settings.edit'),               // Role must allow settings.edit
+ repositoriesController.updateCustomFields                  // Replace the definitions
+);
+
+/**
+ * List Segments Endpoint
+ * GET /api/repositories/:id/segments
+ * 
+ * Saved segments of the repository's email list, each with a live member
+ * count. Segments are filters rather than fixed lists, so their members
+ * follow tagging, engagement and bounces.
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ * 
+ * Response:
+ * - Segments with their filter, member count and when it was counted
+ */
+router.get('/:id/segments',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.listSegments                        // Handle segment listing
+);
+
+/**
+ * Preview Segment Endpoint
+ * POST /api/repositories/:id/segments/preview
+ * 
+ * Counts a filter and returns its most recently added members without
+ * saving anything, for building a segment.
+ * 
+ * Request Body:
+ * - filter: Segment filter; a condition { field, op, value } or a group
+ *   { all: [...] }, { any: [...] } or { not: ... }
+ *   - field: tags, status, consent, source, verified, optedOut, domain,
+ *     qualityScore, opens, clicks, lastEngagedAt, joinedAt or fields.<key>
+ *   - op: Depends on the field's type, e.g. includes, in, gte, between,
+ *     withinDays or exists; see utils/segmentFilter
+ * 
+ * Response:
+ * - Member count and a sample of members, or 400 listing every problem
+ *   with the filter
+ */
+router.post('/:id/segments/preview',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ body('filter').isObject(),                                  // Filter validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.previewSegment                      // Handle filter preview
+);
+
+/**
+ * Create Segment Endpoint
+ * POST /api/repositories/:id/segments
+ * 
+ * Request Body:
+ * - name: Segment name, unique within the repository
+ * - description: Optional description
+ * - filter: Segment filter, as for the preview endpoint
+ * 
+ * Response:
+ * - The segment with its member count; 400 for an invalid filter, 409
+ *   for a name already in use
+ */
+router.post('/:id/segments',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ body('name').trim().isLength({ min: 1, max: 100 }),        // Name validation
+ body('description').optional().isString().isLength({ max: 500 }), // Description validation
+ body('filter').isObject(),                                  // Filter validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('list.send'),                   // Role must allow list.send
+ repositoriesController.createSegment                       // Handle segment creation
+);
+
+/**
+ * Get Segment Endpoint
+ * GET /api/repositories/:id/segments/:segmentId
+ * 
+ * Response:
+ * - The segment with a fresh member count and a sample of members
+ * - Problems, if the filter no longer fits the repository (e.g. a custom
+ *   field it uses was removed)
+ */
+router.get('/:id/segments/:segmentId',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('segmentId').isMongoId(),                            // Segment ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.getSegment                          // Handle segment retrieval
+);
+
+/**
+ * Update Segment Endpoint
+ * PATCH /api/repositories/:id/segments/:segmentId
+ * 
+ * Request Body:
+ * - name, description, filter: Optional; only the given ones change
+ * 
+ * Response:
+ * - The segment, recounted
+ */
+router.patch('/:id/segments/:segmentId',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('segmentId').isMongoId(),                            // Segment ID validation
+ body('name').optional().trim().isLength({ min: 1, max: 100 }), // Name validation
+ body('description').optional().isString().isLength({ max: 500 }), // Description validation
+ body('filter').optional().isObject(),                      // Filter validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('list.send'),                   // Role must allow list.send
+ repositoriesController.updateSegment                       // Handle segment update
+);
+
+/**
+ * Delete Segment Endpoint
+ * DELETE /api/repositories/:id/segments/:segmentId
+ * 
+ * If the segment received the repository's digests, digests go to the
+ * whole list again.
+ */
+router.delete('/:id/segments/:segmentId',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('segmentId').isMongoId(),                            // Segment ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('list.send'),                   // Role must allow list.send
+ repositoriesController.deleteSegment                       // Handle segment deletion
+);
+
+/**
+ * Set Digest Segment Endpoint
+ * PUT /api/repositories/:id/digest-segment
+ * 
+ * Chooses the segment that receives the repository's digests.
+ * 
+ * Request Body:
+ * - segmentId: Segment ID, or null to send digests to the whole list
+ */
+router.put('/:id/digest-segment',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ body('segmentId').optional({ nullable: true }).isMongoId(), // Segment ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('list.send'),                   // Role must allow list.send
+ repositoriesController.setDigestSegment                    // Handle digest target change
+);
+
 /**
  * Bulk Add Emails Endpoint
  * POST /api/repositories/:id/emails/bulk
@@ -613,6 +995,7 @@ router.post('/:id/emails/bulk',
  body('emails.*.tags').optional().isArray(),                // Individual tags validation
  body('allowSnowball').optional().isBoolean(),              // Snowball permission validation
  validate,                                                    // Process validation results
+ requireRepositoryPermission('members.add'),                 // Role must allow members.add
  repositoriesController.bulkAddEmails                       // Handle bulk email addition
 );
 
@@ -652,6 +1035,7 @@ router.delete('/:id/emails/:emailId',
  param('id').isMongoId(),                                    // Repository ID validation
  param('emailId').isMongoId(),                              // Email ID validation
  validate,                                                    // Process validation results
+ requireRepositoryPermission('members.remove'),              // Role must allow members.remove
  repositoriesController.removeEmail                         // Handle email removal
 );
 
@@ -684,31 +1068,108 @@ router.delete('/:id/emails/:emailId',
  * - id: MongoDB ObjectId of the repository
  * 
  * Request:
- * - csv: CSV file upload (multipart form data)
+ * - csv: CSV file upload (multipart form data); vCard, XLSX, JSON Lines,
+ *   mbox and Google/Outlook contact CSV are detected and converted
+ * - preview: Optional; 'true' to always stop at the preview
+ * - mapping: Optional column mapping as a JSON string, e.g.
+ *   {"email":"E-mail","name":"Full Name","fields":{"plan":"Plan"}};
+ *   fields must be declared with PUT /api/repositories/:id/fields, and
+ *   rows whose values do not fit them are rejected
+ * - templateId: Optional saved mapping template to use
  * - allowSnowball: Optional snowball expansion permission
  * - verifyEmails: Optional email verification setting
  * 
+ * Without a mapping or template, the suggested mapping is used.
+ * 
  * Response:
- * - CSV processing summary with import statistics
- * - Data validation and quality assessment results
- * - Email verification workflow initiation status
- * - Repository growth and expansion analytics
+ * - 200 with the preview (encoding, delimiter, headers, sample rows,
+ *   suggested mapping, fitting templates) when a preview was asked for or
+ *   the mapping does not fit; commit it at
+ *   POST /api/repositories/:id/imports/:importId/commit
+ * - 202 with the import id; rows are streamed in by the CSV import worker
+ * - Progress arrives as csv-import:progress websocket events, and at
+ *   GET /api/repositories/:id/imports/:importId
  */
 router.post('/:id/upload-csv',
  authenticate,                                               // Verify user authentication
  param('id').isMongoId(),                                    // Repository ID validation
  upload.single('csv'),                                       // Handle CSV file upload
+ body('preview').optional().isBoolean(),                    // Preview-only flag validation
+ body('mapping').optional().isJSON(),                       // Column mapping validation
+ body('templateId').optional().isMongoId(),                 // Mapping template validation
  body('allowSnowball').optional().isBoolean(),              // Snowball permission validation
  body('verifyEmails').optional().isBoolean(),               // Verification setting validation
  validate,                                                    // Process validation results
- repositoriesController.uploadCSV                           // Handle CSV processing
+ requireRepositoryPermission('members.add'),                 // Role must allow members.add
+ repositoriesController.uploadCSV                           // Queue the import
+);
+
+/**
+ * Commit CSV Import Endpoint
+ * POST /api/repositories/:id/imports/:importId/commit
+ * 
+ * Queue a previewed import with a column mapping. Returns 400 with the
+ * problems if the mapping does not fit the file's headers.
+ * 
+ * Request Body:
+ * - mapping: Field -> header, plus fields for custom fields
+ * - templateId: Saved mapping template, instead of mapping
+ * - saveAsTemplate: Optional name to save the mapping under
+ */
+router.post('/:id/imports/:importId/commit',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('importId').isMongoId(),                              // Import ID validation
+ body('mapping').optional().isObject(),                     // Column mapping validation
+ body('templateId').optional().isMongoId(),                 // Mapping template validation
+ body('saveAsTemplate').optional().isString().trim().isLength({ min: 1, max: 100 }), // Template name validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.add'),                 // Role must allow members.add
+ repositoriesController.commitImport                        // Queue with the mapping
+);
+
+/**
+ * CSV Import Status Endpoint
+ * GET /api/repositories/:id/imports/:importId
+ * 
+ * State of a queued CSV import: queued, running, completed or failed, with
+ * rows read, accepted, rejected and duplicated so far.
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ * - importId: Id returned by the upload
+ */
+router.get('/:id/imports/:importId',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('importId').isMongoId(),                              // Import ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.add'),                 // Role must allow members.add
+ repositoriesController.getImportStatus                     // Return import status
 );
 
 /**
- * Download Repository as CSV Endpoint
+ * Rejected Rows Download Endpoint
+ * GET /api/repositories/:id/imports/:importId/rejected
+ * 
+ * CSV of the rows a completed import rejected (row, email, reason).
+ * Returns 409 while the import is still running.
+ */
+router.get('/:id/imports/:importId/rejected',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('importId').isMongoId(),                              // Import ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.add'),                 // Role must allow members.add
+ repositoriesController.downloadRejectedRows                // Stream rejected rows CSV
+);
+
+/**
+ * Download Repository Endpoint
  * GET /api/repositories/:id/download
  * 
- * Downloads repository data as CSV file for backup and analysis.
+ * Downloads repository data as CSV or another export format for backup
+ * and analysis.
  * Provides comprehensive data export with privacy protection.
  * 
  * Middleware Stack:
@@ -727,8 +1188,13 @@ router.post('/:id/upload-csv',
  * URL Parameters:
  * - id: MongoDB ObjectId of the repository
  * 
+ * Query Parameters:
+ * - format: csv (default), google-csv, outlook-csv, vcard, vcard3, xlsx
+ *   or jsonl; see utils/formats for the registry
+ * - segment: Optional segment ID; only its members are exported
+ * 
  * Response:
- * - CSV file download with repository data
+ * - File download with repository data in the requested format
  * - Data export summary and statistics
  * - Privacy protection and anonymization report
  * - Export analytics and usage tracking
@@ -736,8 +1202,11 @@ router.post('/:id/upload-csv',
 router.get('/:id/download',
  authenticate,                                               // Verify user authentication
  param('id').isMongoId(),                                    // Repository ID validation
+ query('format').optional().isIn(formats.exporters().map(({ name }) => name)), // Export format validation
+ query('segment').optional().isMongoId(),                  // Segment ID validation
  validate,                                                    // Process validation results
- repositoriesController.downloadRepositoryCSV               // Handle CSV export
+ requireRepositoryPermission('members.export'),              // Role must allow members.export
+ repositoriesController.downloadCSV                         // Handle export
 );
 
 // ========== SUBSCRIPTION MANAGEMENT ROUTES ==========
@@ -865,6 +1334,34 @@ router.get('/:id/subscribers',
  repositoriesController.getRepositorySubscribers           // Handle subscriber retrieval
 );
 
+/**
+ * Get Repository Deliverability Report Endpoint
+ * GET /api/repositories/:id/deliverability
+ * 
+ * Delivery health of the repository's email list, fed by provider bounce
+ * and complaint events and by DSN/ARF reports received by email.
+ * Bounced and complained addresses are excluded from list mail and
+ * snowball distribution.
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ * 
+ * Query Parameters:
+ * - limit: Problem addresses to include (maximum 500)
+ * 
+ * Response:
+ * - Counts per status, bounce and complaint rates
+ * - Most recent problem addresses with their last reason
+ */
+router.get('/:id/deliverability',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ query('limit').optional().isInt({ min: 1, max: 500 }),     // Report size validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.getDeliverabilityReport             // Handle report generation
+);
+
 // ========== COLLABORATION MANAGEMENT ROUTES ==========
 // These routes handle team collaboration and permission management
 
@@ -901,6 +1398,7 @@ router.get('/:id/collaborators',
  authenticate,                                               // Verify user authentication
  param('id').isMongoId(),                                    // Repository ID validation
  validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
  repositoriesController.getCollaborators                    // Handle collaborator retrieval
 );
 
@@ -930,7 +1428,8 @@ router.get('/:id/collaborators',
  * 
  * Request Body:
  * - userId: MongoDB ObjectId of user to add as collaborator
- * - role: Collaborator role (viewer, contributor, admin)
+ * - role: Built-in role (admin, moderator, contributor, viewer) or a custom
+ *   role key; only the owner may grant permissions they do not have
  * 
  * Response:
  * - Collaborator addition confirmation with role assignment
@@ -942,8 +1441,9 @@ router.post('/:id/collaborators',
  authenticate,                                               // Verify user authentication
  param('id').isMongoId(),                                    // Repository ID validation
  body('userId').isMongoId(),                                 // User ID validation
- body('role').isIn(['viewer', 'contributor', 'admin']),     // Role validation
+ body('role').optional().isString(),                         // Built-in or custom role
  validate,                                                    // Process validation results
+ requireRepositoryPermission('collaborators.manage'),        // Role must allow collaborators.manage
  repositoriesController.addCollaborator                     // Handle collaborator addition
 );
 
@@ -973,7 +1473,8 @@ router.post('/:id/collaborators',
  * - userId: MongoDB ObjectId of the collaborator
  * 
  * Request Body:
- * - role: Updated collaborator role (viewer, contributor, admin)
+ * - role: Built-in role (admin, moderator, contributor, viewer) or a custom
+ *   role key; only the owner may grant permissions they do not have
  * 
  * Response:
  * - Role update confirmation with permission changes
@@ -985,8 +1486,9 @@ router.patch('/:id/collaborators/:userId',
  authenticate,                                               // Verify user authentication
  param('id').isMongoId(),                                    // Repository ID validation
  param('userId').isMongoId(),                               // User ID validation
- body('role').isIn(['viewer', 'contributor', 'admin']),     // Role validation
+ body('role').isString(),                                    // Built-in or custom role
  validate,                                                    // Process validation results
+ requireRepositoryPermission('collaborators.manage'),        // Role must allow collaborators.manage
  repositoriesController.updateCollaboratorRole             // Handle role update
 );
 
@@ -1026,9 +1528,86 @@ router.delete('/:id/collaborators/:userId',
  param('id').isMongoId(),                                    // Repository ID validation
  param('userId').isMongoId(),                               // User ID validation
  validate,                                                    // Process validation results
+ requireRepositoryPermission('collaborators.manage'),        // Role must allow collaborators.manage
  repositoriesController.removeCollaborator                  // Handle collaborator removal
 );
 
+/**
+ * List Roles Endpoint
+ * GET /api/repositories/:id/roles
+ * 
+ * The permission matrix and the repository's built-in and custom roles,
+ * with how many collaborators have each.
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ */
+router.get('/:id/roles',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.listRoles                           // Handle role listing
+);
+
+/**
+ * Create Custom Role Endpoint
+ * POST /api/repositories/:id/roles
+ * 
+ * Owner only. Custom roles are named sets of permissions that can be
+ * given to collaborators like the built-in roles.
+ * 
+ * Request Body:
+ * - key: 2-30 lowercase letters, digits, hyphens or underscores
+ * - name: Display name
+ * - permissions: Permissions the role grants
+ */
+router.post('/:id/roles',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ body('key').isString(),                                     // Role key validation
+ body('name').isString().trim().isLength({ min: 1, max: 50 }), // Role name validation
+ body('permissions').isArray(),                              // Permission list validation
+ validate,                                                    // Process validation results
+ requireRepositoryOwner,                                     // Owner only
+ repositoriesController.createRole                          // Handle role creation
+);
+
+/**
+ * Update Custom Role Endpoint
+ * PATCH /api/repositories/:id/roles/:roleKey
+ * 
+ * Owner only. Collaborators with the role get the new permissions at once;
+ * built-in roles cannot be changed.
+ * 
+ * Request Body:
+ * - name: Display name (optional)
+ * - permissions: Permissions the role grants (optional)
+ */
+router.patch('/:id/roles/:roleKey',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ body('name').optional().isString().trim().isLength({ min: 1, max: 50 }), // Role name validation
+ body('permissions').optional().isArray(),                   // Permission list validation
+ validate,                                                    // Process validation results
+ requireRepositoryOwner,                                     // Owner only
+ repositoriesController.updateRole                          // Handle role update
+);
+
+/**
+ * Delete Custom Role Endpoint
+ * DELETE /api/repositories/:id/roles/:roleKey
+ * 
+ * Owner only. Refused with 409 while collaborators have the role.
+ */
+router.delete('/:id/roles/:roleKey',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryOwner,                                     // Owner only
+ repositoriesController.deleteRole                          // Handle role deletion
+);
+
 // ========== ADVANCED REPOSITORY OPERATIONS ==========
 // These routes handle advanced repository features and administrative operations
 
@@ -1036,45 +1615,163 @@ router.delete('/:id/collaborators/:userId',
  * Merge Repositories Endpoint
  * POST /api/repositories/:id/merge
  * 
- * Merges two repositories with comprehensive data consolidation.
- * Supports advanced merge strategies and conflict resolution.
- * 
- * Middleware Stack:
- * 1. Authentication verification
- * 2. Repository ownership verification for both repositories
- * 3. Merge validation and conflict checking
- * 4. Controller logic for repository merge processing
- * 
- * Features:
- * - Comprehensive data consolidation and merge strategies
- * - Duplicate detection and intelligent conflict resolution
- * - Permission and access control consolidation
- * - Subscriber and collaborator notification management
- * - Merge audit logging and rollback capabilities
- * - Performance optimization for large repository merges
+ * Merges another repository's email list into this one and archives the
+ * other repository. New addresses are copied and asked for consent; for
+ * addresses on both lists, missing names, tags and custom field values are
+ * filled in and conflicting ones resolved by the strategy. Opt-outs,
+ * bounces and complaints are never lifted.
  * 
  * URL Parameters:
- * - id: MongoDB ObjectId of the source repository
+ * - id: MongoDB ObjectId of the repository merged into
  * 
  * Request Body:
- * - targetRepositoryId: MongoDB ObjectId of target repository
- * - keepDuplicates: Optional duplicate handling preference
+ * - sourceRepositoryId: MongoDB ObjectId of the repository merged in; the
+ *   user must own both
+ * - dryRun: Optional; return the diff and change nothing
+ * - strategy: prefer_target (default), prefer_source, newest (the member
+ *   updated last wins) or manual
+ * - resolutions: For manual merges, [{ email, field, keep }] with field
+ *   name, tags or fields.<key> and keep 'source' or 'target'
  * 
  * Response:
- * - Repository merge confirmation with consolidation summary
- * - Data integration and conflict resolution results
- * - Permission and access control merge status
- * - Subscriber and collaborator notification delivery
+ * - Dry run: new members, duplicates, conflicts with the value each
+ *   strategy keeps, opted-out or suppressed addresses on either side and
+ *   custom fields the target does not define
+ * - Merge: counts of members added and updated, and the undo deadline;
+ *   400 listing unresolved conflicts of a manual merge
  */
 router.post('/:id/merge',
  authenticate,                                               // Verify user authentication
  param('id').isMongoId(),                                    // Repository ID validation
- body('targetRepositoryId').isMongoId(),                    // Target repository validation
- body('keepDuplicates').optional().isBoolean(),             // Duplicate handling validation
+ body('sourceRepositoryId').isMongoId(),                    // Source repository validation
+ body('dryRun').optional().isBoolean(),                     // Dry run validation
+ body('strategy').optional().isIn(['prefer_target', 'prefer_source', 'newest', 'manual']), // Strategy validation
+ body('resolutions').optional().isArray({ max: 10000 }),    // Manual resolutions validation
+ body('resolutions.*.email').isEmail(),                     // Resolution address validation
+ body('resolutions.*.field').isString(),                    // Resolution field validation
+ body('resolutions.*.keep').isIn(['source', 'target']),     // Resolution choice validation
  validate,                                                    // Process validation results
  repositoriesController.mergeRepositories                   // Handle repository merge
 );
 
+/**
+ * List Merges Endpoint
+ * GET /api/repositories/:id/merges
+ * 
+ * Repositories merged into this one, latest first.
+ * 
+ * Response:
+ * - Merges with strategy, member counts, status and whether they can
+ *   still be undone
+ */
+router.get('/:id/merges',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ validate,                                                    // Process validation results
+ repositoriesController.listMerges                          // Handle merge history
+);
+
+/**
+ * Undo Merge Endpoint
+ * POST /api/repositories/:id/merges/:mergeId/undo
+ * 
+ * Removes the members the merge added, restores the values it changed and
+ * un-archives the source repository. Only the latest merge can be undone,
+ * within REPOSITORY_MERGE_UNDO_HOURS of merging; changes made to those
+ * members since the merge are lost.
+ * 
+ * Response:
+ * - The merge with the number of members removed and restored; 409 when
+ *   the merge cannot be undone
+ */
+router.post('/:id/merges/:mergeId/undo',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('mergeId').isMongoId(),                              // Merge ID validation
+ validate,                                                    // Process validation results
+ repositoriesController.undoMerge                           // Handle merge undo
+);
+
+/**
+ * Repository History Endpoint
+ * GET /api/repositories/:id/history
+ * 
+ * Changes to the email list, latest first: who made each change, through
+ * which channel (api, email, webhook, worker or system) and the member as
+ * it was afterwards.
+ * 
+ * Query Parameters:
+ * - from, to: Optional ISO 8601 times bounding the changes
+ * - email, channel, action: Optional filters
+ * - page, limit: Pagination
+ * 
+ * Response:
+ * - Changes with pagination, and when the repository's history starts
+ */
+router.get('/:id/history',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ query('from').optional().isISO8601().toDate(),             // Start time validation
+ query('to').optional().isISO8601().toDate(),               // End time validation
+ query('email').optional().isEmail(),                       // Address filter validation
+ query('channel').optional().isIn(['api', 'email', 'webhook', 'worker', 'system']), // Channel validation
+ query('action').optional().isIn(['added', 'updated', 'removed']), // Action validation
+ query('page').optional().isInt({ min: 1 }),                // Page number validation
+ query('limit').optional().isInt({ min: 1, max: 100 }),     // Page size validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.getHistory                          // Handle change history
+);
+
+/**
+ * Repository History Diff Endpoint
+ * GET /api/repositories/:id/history/diff
+ * 
+ * Compares the email list at two points in time.
+ * 
+ * Query Parameters:
+ * - from: ISO 8601 time, no earlier than the start of the history
+ * - to: Optional ISO 8601 time; defaults to now
+ * 
+ * Response:
+ * - Members added, removed and changed (with old and new values), and the
+ *   number of changes by channel and action in between
+ */
+router.get('/:id/history/diff',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ query('from').isISO8601().toDate(),                        // Start time validation
+ query('to').optional().isISO8601().toDate(),               // End time validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.getHistoryDiff                      // Handle history diff
+);
+
+/**
+ * Restore Repository Endpoint
+ * POST /api/repositories/:id/history/restore
+ * 
+ * Rebuilds the email list as it stood at a point in time: members added
+ * since are removed, members removed since are put back and names, tags
+ * and custom field values are set back. Opt-outs, bounces, complaints and
+ * consent are never rolled back. Owner only.
+ * 
+ * Request Body:
+ * - timestamp: ISO 8601 time, no earlier than the start of the history
+ * 
+ * Response:
+ * - Numbers of members removed, updated and put back; 409 while members
+ *   are missing from the history
+ */
+router.post('/:id/history/restore',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ body('timestamp').isISO8601().toDate(),                    // Restore time validation
+ validate,                                                    // Process validation results
+ requireRepositoryOwner,                                     // Owner only
+ repositoriesController.restoreHistory                      // Handle point-in-time restore
+);
+
 /**
  * Clone Repository Endpoint
  * POST /api/repositories/:id/clone
@@ -1119,49 +1816,92 @@ router.post('/:id/clone',
 );
 
 /**
- * Share Repository Endpoint
+ * Create Share Link Endpoint
  * POST /api/repositories/:id/share
  * 
- * Shares repository access with specified users via email invitation.
- * Supports granular sharing permissions and access control.
+ * Creates a link giving people without access a limited view of the
+ * repository. The token is returned once, in this response.
  * 
  * Middleware Stack:
  * 1. Authentication verification
- * 2. Repository ownership or admin permission verification
- * 3. Sharing configuration validation
- * 4. Controller logic for repository sharing
- * 
- * Features:
- * - Email-based repository sharing and invitation system
- * - Granular permission control for shared access
- * - Custom sharing messages and invitation personalization
- * - Time-limited sharing and access expiration options
- * - Sharing audit logging and access tracking
- * - Invitation management and acceptance workflow
+ * 2. Share link option validation
+ * 3. Role must allow members.view, and the controller checks the scope's
+ *    permission: members.export for members links, members.add for join
+ *    links
+ * 4. Controller logic for link creation
  * 
  * URL Parameters:
  * - id: MongoDB ObjectId of the repository to share
  * 
  * Request Body:
- * - emails: Optional array of email addresses for sharing
- * - message: Optional custom message for sharing invitation
- * - allowEdit: Optional edit permission for shared access
+ * - scope: 'stats' (read-only stats), 'members' (member list with
+ *   anonymized addresses) or 'join' (join-request form, double opt-in)
+ * - label: Optional note for the team
+ * - expiresAt: Optional ISO 8601 expiry, within shareLinks.maxTtlDays
+ * - maxUses: Optional number of opens allowed
+ * - password: Optional password the link asks for
  * 
  * Response:
- * - Repository sharing confirmation with invitation status
- * - Email invitation delivery and acceptance tracking
- * - Permission assignment and access control summary
- * - Sharing audit log and relationship tracking
+ * - The link with its token and URL
  */
 router.post('/:id/share',
  authenticate,                                               // Verify user authentication
  param('id').isMongoId(),                                    // Repository ID validation
- body('emails').optional().isArray(),                       // Emails array validation
- body('emails.*').optional().isEmail(),                     // Individual email validation
- body('message').optional().isString().isLength({ max: 500 }), // Message validation
- body('allowEdit').optional().isBoolean(),                  // Edit permission validation
+ body('scope').isIn(['stats', 'members', 'join']),           // Scope validation
+ body('label').optional().isString().isLength({ max: 100 }), // Label validation
+ body('expiresAt').optional().isISO8601().toDate(),         // Expiry validation
+ body('maxUses').optional().isInt({ min: 1 }).toInt(),      // Use limit validation
+ body('password').optional().isString().isLength({ min: 6, max: 128 }), // Password validation
  validate,                                                    // Process validation results
- repositoriesController.shareRepository                     // Handle repository sharing
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.createShareLink                     // Handle link creation
+);
+
+/**
+ * List Share Links Endpoint
+ * GET /api/repositories/:id/share
+ * 
+ * The repository's links with status (active, expired, used_up, revoked),
+ * use counts and whether they have a password. Tokens are never listed.
+ */
+router.get('/:id/share',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.listShareLinks                      // Handle link listing
+);
+
+/**
+ * Revoke Share Link Endpoint
+ * DELETE /api/repositories/:id/share/:linkId
+ * 
+ * Revokes one link; it cannot be opened again. Needs the permission of
+ * the link's scope, as for creating it.
+ */
+router.delete('/:id/share/:linkId',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('linkId').isMongoId(),                                // Link ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.revokeShareLink                     // Handle link revocation
+);
+
+/**
+ * Share Link Access Log Endpoint
+ * GET /api/repositories/:id/share/:linkId/access
+ * 
+ * Recent opens of a link with outcome (granted, password_required,
+ * wrong_password, expired, used_up, revoked), client IP and user agent.
+ */
+router.get('/:id/share/:linkId/access',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ param('linkId').isMongoId(),                                // Link ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.getShareLinkAccessLog               // Handle access log retrieval
 );
 
 // ========== REPOSITORY SETTINGS AND CONFIGURATION ROUTES ==========
@@ -1205,9 +1945,35 @@ router.patch('/:id/snowball',
  param('id').isMongoId(),                                    // Repository ID validation
  body('enabled').isBoolean(),                                // Snowball enable validation
  validate,                                                    // Process validation results
+ requireRepositoryPermission('snowball.toggle'),             // Role must allow snowball.toggle
  repositoriesController.toggleSnowball                      // Handle snowball toggle
 );
 
+/**
+ * Get Snowball Propagation Graph Endpoint
+ * GET /api/repositories/:id/snowball/graph
+ * 
+ * Provenance of every address snowball distribution added: who introduced
+ * it and at which generation. Returns nodes keyed by email address, edges
+ * from inviter to invitee, and per-generation conversion stats (verified,
+ * opted out, suppressed, and how many went on to invite others).
+ * 
+ * URL Parameters:
+ * - id: MongoDB ObjectId of the repository
+ * 
+ * Response:
+ * - nodes, edges: Propagation graph for visualization
+ * - generations: Per-depth counts with conversion and propagation rates
+ * - limits: Current maxDepth, maxFanOut and maxDailyGrowthRate
+ */
+router.get('/:id/snowball/graph',
+ authenticate,                                               // Verify user authentication
+ param('id').isMongoId(),                                    // Repository ID validation
+ validate,                                                    // Process validation results
+ requireRepositoryPermission('members.view'),                // Role must allow members.view
+ repositoriesController.getSnowballGraph                    // Handle graph generation
+);
+
 /**
  * Update Repository Settings Endpoint
  * PATCH /api/repositories/:id/settings
@@ -1254,6 +2020,7 @@ router.patch('/:id/settings',
  body('digestEnabled').optional().isBoolean(),              // Digest enable validation
  body('digestFrequency').optional().isIn(['daily', 'weekly', 'monthly']), // Frequency validation
  validate,                                                    // Process validation results
+ requireRepositoryPermission('settings.edit'),               // Role must allow settings.edit
  repositoriesController.updateSettings                      // Handle settings update
 );
 
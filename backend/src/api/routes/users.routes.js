@@ -1081,6 +1081,104 @@ router.patch('/me/notifications/:notificationId/read',
  */
 router.post('/me/notifications/read-all', usersController.markAllNotificationsRead);
 
+// ========== SAVED SEARCH ROUTES ==========
+// These routes manage saved searches and the alerts raised for new matches
+
+/**
+ * List Saved Searches Endpoint
+ * GET /api/users/me/saved-searches
+ * 
+ * Lists the user's saved searches, oldest first, numbered as in the
+ * ALERT LIST email command.
+ * 
+ * Response:
+ * - Saved searches with delivery settings, match counts and matches
+ *   waiting for the next digest
+ */
+router.get('/me/saved-searches', usersController.getSavedSearches);
+
+/**
+ * Save Search Endpoint
+ * POST /api/users/me/saved-searches
+ * 
+ * Saves a search; new posts and comments it would find are sent to the
+ * user as they are created, over the websocket (search:alert) and/or in
+ * their email digest.
+ * 
+ * Request Body:
+ * - query: Query in the search language, operators included (required)
+ * - name: Name shown in alerts (maximum 100 characters)
+ * - notify.instant: Websocket alerts (default true)
+ * - notify.digest: Matches batched into the digest (default true)
+ * 
+ * Response:
+ * - The saved search, or 400 with the problems found in the query
+ */
+router.post('/me/saved-searches',
+ validate([
+   body('query').isString().trim().isLength({ min: 1, max: 500 }),  // Query validation
+   body('name').optional().isString().trim().isLength({ max: 100 }), // Name validation
+   body('notify.instant').optional().isBoolean().toBoolean(),        // Instant alert toggle
+   body('notify.digest').optional().isBoolean().toBoolean()          // Digest toggle
+ ]),
+ usersController.createSavedSearch                           // Handle saving the search
+);
+
+/**
+ * Update Saved Search Endpoint
+ * PATCH /api/users/me/saved-searches/:savedSearchId
+ * 
+ * Renames a saved search or changes how it alerts. The query itself is
+ * not changed; save a new search instead. Turning digests off drops the
+ * matches waiting for one.
+ * 
+ * URL Parameters:
+ * - savedSearchId: MongoDB ObjectId of the saved search
+ */
+router.patch('/me/saved-searches/:savedSearchId',
+ validate([
+   param('savedSearchId').isMongoId(),                               // Saved search ID validation
+   body('name').optional().isString().trim().isLength({ max: 100 }), // Name validation
+   body('notify.instant').optional().isBoolean().toBoolean(),        // Instant alert toggle
+   body('notify.digest').optional().isBoolean().toBoolean()          // Digest toggle
+ ]),
+ usersController.updateSavedSearch                           // Handle saved search update
+);
+
+/**
+ * Delete Saved Search Endpoint
+ * DELETE /api/users/me/saved-searches/:savedSearchId
+ * 
+ * Deletes a saved search; it raises no more alerts.
+ * 
+ * URL Parameters:
+ * - savedSearchId: MongoDB ObjectId of the saved search
+ */
+router.delete('/me/saved-searches/:savedSearchId',
+ validate([
+   param('savedSearchId').isMongoId()                        // Saved search ID validation
+ ]),
+ usersController.deleteSavedSearch                           // Handle saved search deletion
+);
+
+/**
+ * Update Default Feed Sort Endpoint
+ * PATCH /api/users/me/feed-sort
+ * 
+ * Sets the ranking the post feed uses when a request has no sort
+ * parameter. The options are listed by GET /api/posts/ranking.
+ * 
+ * Request Body:
+ * - sort: hot, new, top, controversial, rising, best or quality; null for
+ *   the site default
+ */
+router.patch('/me/feed-sort',
+ validate([
+   body('sort').custom(value => value === null || typeof value === 'string') // Sort name or null
+ ]),
+ usersController.updateFeedSort                              // Handle feed sort update
+);
+
 // ========== API KEY MANAGEMENT ROUTES ==========
 // These routes handle personal API key generation and management for integrations
 
@@ -56,7 +56,7 @@ const path = require('path');
 const routes = require('./api/routes');
 
 // Global error handling middleware
-const errorHandler = require('./api/middlewares/errorHandler.middleware');
+const { errorHandler } = require('./api/middlewares/errorHandler.middleware');
 
 // Centralized logging utility
 const { logger } = require('./utils/logger');
@@ -122,6 +122,24 @@ const aiConfig = {
       
       // System prompt for topic identification and extraction
       systemPrompt: 'Extract the main topics from this content. Return up to 3 topics as a comma-separated list.',
+      
+      // Topics every post is scored against (Post.aiMetadata.topicScores)
+      topics: ['programming', 'security', 'ai', 'science', 'business', 'design', 'devops', 'hardware', 'open-source', 'career'],
+    },
+
+    /**
+     * Sentiment Analysis Feature
+     * Scores content from -1 (negative) to 1 (positive) for Post.aiMetadata
+     */
+    sentimentAnalysis: {
+      // Enable/disable provider-backed sentiment analysis
+      enabled: process.env.AI_SENTIMENT_ENABLED === 'true',
+      
+      // AI model for sentiment scoring
+      model: process.env.AI_SENTIMENT_MODEL || 'gpt-3.5-turbo',
+      
+      // System prompt asking for a bare score
+      systemPrompt: 'Rate the sentiment of this content from -1 (very negative) to 1 (very positive). Respond with only the number.',
     },
 
     /**
@@ -194,6 +212,21 @@ const aiConfig = {
     requestsPerDay: parseInt(process.env.AI_RATE_LIMIT_PER_DAY || '10000'),
   },
 
+  /**
+   * Per-User Quota Configuration
+   * Provider requests each user may trigger; beyond it the local backend answers
+   */
+  quotas: {
+    // Provider requests per user per hour
+    perUserPerHour: parseInt(process.env.AI_USER_QUOTA_PER_HOUR || '30'),
+    
+    // Provider requests per user per day
+    perUserPerDay: parseInt(process.env.AI_USER_QUOTA_PER_DAY || '200'),
+    
+    // Redis key prefix for quota counters
+    keyPrefix: 'ai:quota:',
+  },
+
   /**
    * Caching Configuration
    * Reduces AI API calls by caching similar requests and responses
@@ -323,6 +356,12 @@ const aiConfig = {
     device: process.env.AI_DEVICE || 'cpu',
   },
 
+  /**
+   * Provider Request Timeout
+   * Milliseconds to wait for a provider before moving down the chain
+   */
+  requestTimeout: parseInt(process.env.AI_REQUEST_TIMEOUT_MS || '10000'),
+
   /**
    * Retry Configuration
    * Handles temporary AI service failures with exponential backoff
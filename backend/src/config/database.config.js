@@ -76,6 +76,21 @@ const dbConfig = {
     // Email repositories and their metadata
     repositories: 'repositories',
     
+    // Addresses on repository email lists
+    repositorymembers: 'repositorymembers',
+    
+    // Repository merges
+    repositorymerges: 'repositorymerges',
+    
+    // Member values changed by merges, restored on undo
+    repositorymergesnapshots: 'repositorymergesnapshots',
+    
+    // Change log of repository email lists
+    repositorychanges: 'repositorychanges',
+    
+    // Scoped, expiring links to repositories
+    sharelinks: 'sharelinks',
+    
     // Email messages and processing data
     emails: 'emails',
     
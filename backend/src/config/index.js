@@ -114,6 +114,58 @@ const config = {
     
     // API key for authenticating inbound email webhooks
     apiKey: process.env.INBOUND_EMAIL_API_KEY,
+    
+    // Reply-To address on notifications so replies thread back into discussions
+    replyAddress: process.env.INBOUND_REPLY_ADDRESS || 'reply@shadownews.community',
+    
+    // Transports that receive mail: webhook, smtp, mailbox (comma-separated)
+    transports: (process.env.INBOUND_TRANSPORTS || 'webhook').split(',').map(name => name.trim()).filter(Boolean),
+    
+    // Built-in SMTP/LMTP listener for self-hosted deployments
+    smtp: {
+      protocol: process.env.INBOUND_SMTP_PROTOCOL || 'smtp', // 'smtp' or 'lmtp'
+      host: process.env.INBOUND_SMTP_HOST || '0.0.0.0',
+      port: parseInt(process.env.INBOUND_SMTP_PORT) || 2525,
+      banner: process.env.INBOUND_SMTP_BANNER || 'ShadowNews inbound mail',
+      maxMessageSize: parseInt(process.env.INBOUND_SMTP_MAX_SIZE) || 25 * 1024 * 1024, // 25MB
+    },
+    
+    // Sender authentication (DKIM/SPF/DMARC) before trusting the From address
+    auth: {
+      enabled: process.env.INBOUND_AUTH_ENABLED !== 'false',
+      dnsServers: process.env.INBOUND_AUTH_DNS_SERVERS?.split(',').map(server => server.trim()).filter(Boolean) || [],
+      trustReceived: process.env.INBOUND_AUTH_TRUST_RECEIVED === 'true', // Read client IP/HELO from Received when behind a local MTA
+      defaultPolicy: process.env.INBOUND_AUTH_DEFAULT_POLICY || 'confirm', // 'reject' or 'confirm'
+      holdTtl: parseInt(process.env.INBOUND_AUTH_HOLD_TTL) || 24 * 60 * 60, // 24 hours in seconds
+    },
+    
+    // Confirmation of destructive or privilege-changing email commands
+    confirmation: {
+      commandTtl: parseInt(process.env.INBOUND_COMMAND_CONFIRMATION_TTL) || 60 * 60, // 1 hour in seconds
+    },
+    
+    // Maildir polled by the mailbox transport
+    maildir: {
+      path: process.env.INBOUND_MAILDIR_PATH,
+      pollInterval: parseInt(process.env.INBOUND_MAILDIR_POLL_INTERVAL) || 30000, // 30 seconds
+    },
+  },
+  
+  /**
+   * Deliverability Configuration
+   * How bounces and complaints affect repository email entries
+   */
+  deliverability: {
+    softBounceThreshold: parseInt(process.env.EMAIL_SOFT_BOUNCE_THRESHOLD) || 3, // Consecutive soft bounces before suppression
+    softBouncePenalty: parseFloat(process.env.EMAIL_SOFT_BOUNCE_PENALTY) || 0.1, // Snowball quality score lost per soft bounce
+  },
+  
+  /**
+   * Consent Configuration
+   * Double opt-in for addresses added to repository email lists
+   */
+  consent: {
+    requestTtl: parseInt(process.env.CONSENT_REQUEST_TTL) || 7 * 24 * 60 * 60, // 7 days in seconds
   },
  },
  
@@ -208,6 +260,125 @@ const config = {
    },
  },
  
+ /**
+  * CSV Import Configuration
+  * Streamed repository imports run on a queue worker
+  */
+ csvImport: {
+   // Local directory for rejected-rows files
+   directory: process.env.CSV_IMPORT_DIR || path.join(__dirname, '../../temp/imports'),
+   
+   // Rows committed per checkpoint
+   batchSize: parseInt(process.env.CSV_IMPORT_BATCH_SIZE) || 1000,
+ },
+ 
+ /**
+  * Repository Merge Configuration
+  */
+ repositoryMerge: {
+   // Hours after a merge during which it can be undone
+   undoHours: parseInt(process.env.REPOSITORY_MERGE_UNDO_HOURS) || 24,
+ },
+ 
+ /**
+  * Repository Share Link Configuration
+  */
+ shareLinks: {
+   // Lifetime of links created without an expiry, in hours
+   defaultTtlHours: parseInt(process.env.SHARE_LINK_TTL_HOURS) || 7 * 24,
+   
+   // Longest lifetime a link can be given, in days
+   maxTtlDays: parseInt(process.env.SHARE_LINK_MAX_TTL_DAYS) || 90,
+   
+   // Opens kept in each link's access log
+   accessLogSize: parseInt(process.env.SHARE_LINK_ACCESS_LOG_SIZE) || 200,
+ },
+ 
+ /**
+  * Post Similarity Configuration
+  * Related posts and duplicate submission detection
+  */
+ similarity: {
+   // Posts shown as related to a post
+   relatedLimit: parseInt(process.env.RELATED_POSTS_LIMIT) || 10,
+   
+   // Lowest similarity (0-1) for a post to count as related
+   relatedThreshold: parseFloat(process.env.RELATED_POSTS_THRESHOLD) || 0.1,
+   
+   // Lowest similarity (0-1) for a post to count as a near-duplicate
+   duplicateThreshold: parseFloat(process.env.DUPLICATE_POST_THRESHOLD) || 0.6,
+   
+   // Only posts this recent are checked for near-duplicates, in days
+   duplicateWindowDays: parseInt(process.env.DUPLICATE_POST_WINDOW_DAYS) || 30,
+   
+   // Seconds document frequencies are cached in Redis
+   dfCacheTtl: parseInt(process.env.SIMILARITY_DF_CACHE_TTL) || 3600,
+ },
+ 
+ /**
+  * Search Configuration
+  * Full-text search backend and result sizes
+  */
+ search: {
+   // Backend: mongo (text indexes), meilisearch or opensearch
+   backend: process.env.SEARCH_BACKEND || 'mongo',
+   
+   // Base URL and credentials of an external backend
+   url: process.env.SEARCH_URL || 'http://localhost:7700',
+   apiKey: process.env.SEARCH_API_KEY,
+   username: process.env.SEARCH_USERNAME,
+   password: process.env.SEARCH_PASSWORD,
+   
+   // Prefix of the external index name
+   indexPrefix: process.env.SEARCH_INDEX_PREFIX || 'shadownews_',
+   
+   // Milliseconds before an external backend request gives up
+   requestTimeout: parseInt(process.env.SEARCH_REQUEST_TIMEOUT) || 5000,
+   
+   // Results per page by default and at most
+   pageSize: parseInt(process.env.SEARCH_PAGE_SIZE) || 20,
+   maxPageSize: parseInt(process.env.SEARCH_MAX_PAGE_SIZE) || 50,
+   
+   // Characters in a highlighted snippet
+   snippetLength: parseInt(process.env.SEARCH_SNIPPET_LENGTH) || 200,
+   
+   // Values listed per facet
+   facetLimit: parseInt(process.env.SEARCH_FACET_LIMIT) || 10,
+ },
+ 
+ /**
+  * Saved Search Configuration
+  * Alerts for new posts and comments matching a saved search
+  */
+ savedSearches: {
+   // Searches each user can save
+   maxPerUser: parseInt(process.env.SAVED_SEARCH_MAX_PER_USER) || 25,
+   
+   // Matches kept per search for the next digest; older ones are dropped
+   digestMatchesPerSearch: parseInt(process.env.SAVED_SEARCH_DIGEST_MATCHES) || 20,
+ },
+ 
+ /**
+  * Feed Ranking Configuration
+  * Sort orders of the post feed and when their scores are recomputed
+  */
+ ranking: {
+   // Sort used when neither the request nor the user chooses one
+   defaultSort: process.env.RANKING_DEFAULT_SORT || 'hot',
+   
+   // Cron schedule of the ranking recompute (every 10 minutes)
+   recomputeCron: process.env.RANKING_RECOMPUTE_CRON || '*/10 * * * *',
+   
+   // Posts younger than this many days are recomputed; older scores have settled
+   recomputeWindowDays: parseInt(process.env.RANKING_RECOMPUTE_WINDOW_DAYS) || 7,
+   
+   // Posts loaded and written per batch
+   batchSize: parseInt(process.env.RANKING_BATCH_SIZE) || 500,
+   
+   // Posts compared by an admin preview of tuned parameters
+   previewSize: parseInt(process.env.RANKING_PREVIEW_SIZE) || 30,
+ },
+ 
  /**
   * Rate Limiting Configuration
   * API protection against abuse and excessive requests
@@ -477,6 +648,12 @@ if (config.env === 'production') {
   );
 }
 
+// Inbound SPF/DMARC trusts the sender IP and envelope providers post to the
+// webhook, which is only safe when the webhook requires its token
+if (config.email.inbound.auth.enabled) {
+  requiredEnvVars.push('INBOUND_EMAIL_API_KEY');
+}
+
 // Check for missing environment variables
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
@@ -268,6 +268,12 @@ const commentSchema = new mongoose.Schema({
       type: String,
       enum: ['web', 'email', 'api', 'mobile'],
       default: 'web'
+    },
+    
+    // Message-ID of the reply email this comment was created from
+    emailMessageId: {
+      type: String,
+      trim: true
     }
   }
 }, {
@@ -304,6 +310,15 @@ commentSchema.index({ hashtags: 1 });
 // Index for moderating deleted comments
 commentSchema.index({ isDeleted: 1 });
 
+// Index for de-duplicating comments created from reply emails
+commentSchema.index({ 'metadata.emailMessageId': 1 }, { sparse: true });
+
+// Full-text search over comments (see services/search)
+commentSchema.index(
+  { content: 'text', hashtags: 'text' },
+  { name: 'comment_search_text', weights: { hashtags: 3, content: 1 } }
+);
+
 /**
  * Virtual Fields
  * Computed properties that don't exist in the database
@@ -328,6 +343,9 @@ commentSchema.virtual('children', {
 
 // Pre-save middleware to calculate comment depth in thread hierarchy
 commentSchema.pre('save', async function(next) {
+  // Saved-search alerts are raised for new comments only
+  this.$locals.created = this.isNew;
+
   // Only calculate depth for comments with parents
   if (this.parent) {
     try {
@@ -526,6 +544,19 @@ commentSchema.post('save', async function() {
   }
 });
 
+/**
+ * Post-save middleware to keep the search index up to date and, for new
+ * comments, alert the owners of matching saved searches; failures are
+ * logged by the services and never fail the save
+ */
+commentSchema.post('save', function(doc) {
+  // Required here because the search service loads this model
+  require('../services/search').indexComment(doc);
+  if (doc.$locals.created) {
+    require('../services/savedSearch.service').matchComment(doc);
+  }
+});
+
 /**
  * Create and export the Comment model
  */
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Consent Record Model for ShadowNews Platform
+ *
+ * Append-only ledger of consent for repository email lists. Every address
+ * added to a repository, whatever the route (CSV upload, email command,
+ * snowball, manual entry), must confirm by double opt-in before it
+ * receives any repository mail. Each step is written here as a new
+ * record; records are never updated or deleted.
+ *
+ * Key Features:
+ * - One record per event: requested, confirmed, revoked
+ * - Source of the address and the user who added it
+ * - Confirmation token stored as a SHA-256 hash, never in plain text
+ * - Client IP and user agent of whoever confirmed or revoked
+ * - Per email/repository hash chain, so edits made directly in the
+ *   database are detectable
+ *
+ * The current state is mirrored on RepositoryMember.consent for fast
+ * filtering; this collection is the authoritative audit trail.
+ *
+ * Relationships:
+ * - Belongs to Repository
+ * - Optionally references the User who added or revoked the address
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for consent ledger model
+const mongoose = require('mongoose');
+const { createHash } = require('crypto');
+
+// Write operations the ledger refuses
+const MUTATING_QUERIES = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+/**
+ * Consent Record Schema
+ * One immutable entry per consent event for an email/repository pair
+ */
+const consentRecordSchema = new mongoose.Schema({
+  // Data subject's email address
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,   // Normalize to lowercase
+    trim: true,
+    index: true        // Indexed for per-subject export
+  },
+
+  // Repository the consent applies to
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+
+  // What happened
+  action: {
+    type: String,
+    enum: [
+      'requested',   // Address added; confirmation email sent
+      'confirmed',   // Subject confirmed with the token
+      'revoked'      // Subject withdrew consent
+    ],
+    required: true
+  },
+
+  // How the address reached the repository
+  source: {
+    type: String,
+    enum: [
+      'csv',            // CSV upload (web or emailed attachment)
+      'email_command',  // ADD EMAIL command
+      'snowball',       // Snowball distribution
+      'manual',         // Added in the web app
+      'api',            // Added via API
+      'merge',          // Copied in by a repository merge
+      'share_link'      // Join-request form of a share link
+    ]
+  },
+
+  // SHA-256 of the confirmation token (requested and confirmed records)
+  tokenHash: {
+    type: String,
+    index: true
+  },
+
+  // When the confirmation token stops working (requested records)
+  expiresAt: {
+    type: Date
+  },
+
+  // Client that confirmed or revoked
+  ip: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+
+  // User who added the address or revoked on the subject's behalf
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // How a revocation arrived, e.g. 'list-unsubscribe', 'remove-email'
+  channel: {
+    type: String,
+    maxlength: 100
+  },
+
+  // Hash of the previous record for the same email/repository pair
+  previousHash: {
+    type: String,
+    default: null
+  },
+
+  // Hash over this record's fields and previousHash
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Ledger of one pair, oldest first
+consentRecordSchema.index({ email: 1, repository: 1, createdAt: 1 });
+
+/**
+ * Compute Record Hash
+ * Hash over the fields that make up the consent evidence
+ *
+ * @param {Object} record - Record fields
+ * @returns {string} Hex SHA-256
+ */
+consentRecordSchema.statics.computeHash = function(record) {
+  return createHash('sha256').update(JSON.stringify([
+    record.previousHash || null,
+    record.email,
+    String(record.repository),
+    record.action,
+    record.source || null,
+    record.tokenHash || null,
+    record.ip || null,
+    record.userAgent || null,
+    record.actor ? String(record.actor) : null,
+    record.channel || null,
+    new Date(record.createdAt).toISOString()
+  ])).digest('hex');
+};
+
+/**
+ * Pre-validate Middleware
+ * Chains the record to the previous one for the same pair
+ */
+consentRecordSchema.pre('validate', async function(next) {
+  if (!this.isNew) {
+    return next(new Error('Consent records are append-only'));
+  }
+
+  const previous = await this.constructor
+    .findOne({ email: this.email, repository: this.repository })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('hash');
+
+  this.createdAt = this.createdAt || new Date();
+  this.previousHash = previous ? previous.hash : null;
+  this.hash = this.constructor.computeHash(this);
+  next();
+});
+
+// Refuse every query that would change or remove records
+MUTATING_QUERIES.forEach(operation => {
+  consentRecordSchema.pre(operation, (next) => {
+    next(new Error('Consent records are append-only'));
+  });
+});
+
+/**
+ * Verify Chain
+ * Checks that a pair's records are unmodified and none are missing
+ *
+ * @param {Object[]} records - Records of one pair, oldest first
+ * @returns {boolean} True if every hash and link checks out
+ */
+consentRecordSchema.statics.verifyChain = function(records) {
+  let previousHash = null;
+
+  for (const record of records) {
+    if ((record.previousHash || null) !== previousHash) return false;
+    if (this.computeHash(record) !== record.hash) return false;
+    previousHash = record.hash;
+  }
+
+  return true;
+};
+
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+
+module.exports = ConsentRecord;
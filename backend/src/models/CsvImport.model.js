@@ -0,0 +1,151 @@
+/**
+ * @fileoverview CSV Import Model for ShadowNews Platform
+ *
+ * Tracks one CSV upload into a repository from queueing to completion.
+ * Imports stream through the file in batches on a Bull worker; after each
+ * batch the checkpoint is saved, so a worker that crashes part-way through
+ * a large list resumes at the first row it had not yet committed.
+ *
+ * Imports run in two phases: the upload is previewed (encoding, delimiter,
+ * sample rows, suggested column mapping), then committed with an explicit
+ * mapping. Uploads that already name a mapping or template skip the wait.
+ *
+ * Key Features:
+ * - Status transitions: awaiting_mapping -> queued -> running -> completed | failed
+ * - Running counts of rows read, accepted, rejected and duplicated
+ * - Checkpoint of committed rows and of the rejected-rows file length
+ * - Path of the rejected-rows CSV offered for download at the end
+ *
+ * Relationships:
+ * - Belongs to Repository
+ * - Belongs to User (uploader)
+ * - Optionally references the CsvMappingTemplate the mapping came from
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for import tracking model
+const mongoose = require('mongoose');
+
+/**
+ * CSV Import Schema
+ * One document per uploaded file
+ */
+const csvImportSchema = new mongoose.Schema({
+  // Repository the rows are imported into
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+
+  // User who uploaded the file
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Original filename, as uploaded
+  fileName: {
+    type: String,
+    maxlength: 255
+  },
+
+  // Uploaded file on local disk; removed once the import completes
+  filePath: {
+    type: String,
+    required: true
+  },
+
+  // Rejected rows with per-row reasons, written as the import runs
+  rejectedPath: {
+    type: String,
+    required: true
+  },
+
+  // Current state of the import
+  status: {
+    type: String,
+    enum: [
+      'awaiting_mapping',  // Previewed; waiting for the uploader to commit a mapping
+      'queued',     // Waiting for a worker
+      'running',    // Streaming through the file
+      'completed',  // Every row processed
+      'failed'      // Gave up after the last retry; see error
+    ],
+    default: 'queued',
+    index: true
+  },
+
+  // Detected when the file was uploaded; non-CSV formats are converted to
+  // CSV first, and filePath then names the converted file
+  format: {
+    type: String,
+    default: 'csv'
+  },
+  encoding: {
+    type: String,
+    enum: ['utf8', 'utf16le', 'latin1'],
+    default: 'utf8'
+  },
+  delimiter: {
+    type: String,
+    default: ','
+  },
+
+  // Headers, sample rows and suggested mapping shown before committing
+  preview: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Committed column mapping: field -> header, plus fields for custom fields
+  mapping: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Saved template the mapping was taken from, if any
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CsvMappingTemplate'
+  },
+
+  // Running counts, as of the last checkpoint
+  progress: {
+    rowsRead: { type: Number, default: 0 },    // Data rows seen
+    accepted: { type: Number, default: 0 },    // Added to the repository
+    rejected: { type: Number, default: 0 },    // Invalid rows
+    duplicates: { type: Number, default: 0 }   // Repeated in the file or already listed
+  },
+
+  // Where a resumed run picks up
+  checkpoint: {
+    rowsCommitted: { type: Number, default: 0 },  // Rows whose results are saved
+    rejectedBytes: { type: Number, default: 0 }   // Length of the rejected-rows file at that point
+  },
+
+  // Runs so far, including resumed ones
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Last failure message
+  error: String,
+
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Imports of a repository, newest first
+csvImportSchema.index({ repository: 1, createdAt: -1 });
+
+// Create and export the CsvImport model
+const CsvImport = mongoose.model('CsvImport', csvImportSchema);
+
+module.exports = CsvImport;
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview CSV Mapping Template Model for ShadowNews Platform
+ *
+ * Column mappings a user saved from an earlier import, so the next export
+ * from the same CRM can be imported without mapping it again. A template
+ * is offered in the import preview when the file has every column it
+ * maps, and can be named directly on upload.
+ *
+ * Key Features:
+ * - Mapping of import field to column header, plus custom fields
+ * - Headers of the file the template was saved from, for matching
+ * - Usage count and last use, to list the most useful templates first
+ *
+ * Relationships:
+ * - Belongs to User
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for mapping template model
+const mongoose = require('mongoose');
+
+/**
+ * CSV Mapping Template Schema
+ * One saved mapping per user and name
+ */
+const csvMappingTemplateSchema = new mongoose.Schema({
+  // Owner of the template
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Name shown when choosing a template, e.g. "HubSpot contacts"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Field -> header, plus fields for custom fields (see csvParser.applyMapping)
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Headers of the file the template was saved from
+  headers: [{
+    type: String
+  }],
+
+  // How often the template was used, and when last
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Names are unique per user; saving under an existing name replaces it
+csvMappingTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+/**
+ * Columns Mapped
+ * Headers the template needs the file to have
+ *
+ * @returns {string[]} Mapped headers
+ */
+csvMappingTemplateSchema.methods.mappedHeaders = function() {
+  const { fields = {}, ...columns } = this.mapping || {};
+  return [...Object.values(columns), ...Object.values(fields)];
+};
+
+// Create and export the CsvMappingTemplate model
+const CsvMappingTemplate = mongoose.model('CsvMappingTemplate', csvMappingTemplateSchema);
+
+module.exports = CsvMappingTemplate;
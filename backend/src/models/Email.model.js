@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Email Model for ShadowNews Platform
+ *
+ * Log of messages sent and received by the platform. Outbound records let
+ * delivery reports be matched to the message they are about; inbound
+ * records keep the sender authentication (DKIM/SPF/DMARC) result and
+ * whether the message was accepted, held for confirmation or rejected.
+ *
+ * Key Features:
+ * - One document per message sent or received
+ * - Sender authentication results of inbound mail
+ * - Status through hold and confirmation of unauthenticated mail
+ * - Transport and SMTP envelope of inbound mail
+ *
+ * Relationships:
+ * - Belongs to User (inbound sender)
+ * - Referenced by EmailConfirmation for held mail
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for email model
+const mongoose = require('mongoose');
+
+/**
+ * Authentication Schema
+ * Summary of services/emailAuth.service verify() for an inbound message
+ */
+const authenticationSchema = new mongoose.Schema({
+  // Overall verdict: DMARC if published, otherwise aligned DKIM or SPF
+  authenticated: {
+    type: Boolean,
+    required: true
+  },
+
+  // Domain of the From header
+  fromDomain: String,
+
+  // One entry per DKIM signature
+  dkim: [{
+    _id: false,
+    domain: String,
+    selector: String,
+    result: String                     // pass, fail, neutral, none, ...
+  }],
+
+  spf: {
+    domain: String,
+    result: String
+  },
+
+  dmarc: {
+    domain: String,
+    result: String,
+    policy: String                     // none, quarantine or reject
+  },
+
+  skipped: Boolean,                    // Checks disabled in configuration
+  error: String,                       // Lookup or parse failure
+  verifiedAt: Date,
+  confirmedAt: Date                    // Owner confirmed a held message
+}, {
+  _id: false
+});
+
+/**
+ * Email Schema
+ * One entry per message sent or received
+ */
+const emailSchema = new mongoose.Schema({
+  // Message-ID header, or the tracking ID of outbound mail
+  messageId: {
+    type: String,
+    index: true
+  },
+
+  from: String,
+  to: mongoose.Schema.Types.Mixed,     // Address or list of addresses
+  subject: String,
+  content: String,                     // Plain text body
+  htmlContent: String,
+
+  // Direction, or the kind of outbound mail (e.g. 'digest')
+  type: {
+    type: String,
+    default: 'outbound'
+  },
+
+  // Processing state
+  status: {
+    type: String,
+    enum: [
+      'sent',      // Outbound, handed to the mail transport
+      'received',  // Inbound, accepted
+      'held',      // Inbound, failed authentication, awaiting confirmation
+      'rejected'   // Inbound, failed authentication and dropped
+    ]
+  },
+
+  // Sending user of inbound mail
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Sender authentication of inbound mail
+  authentication: authenticationSchema,
+
+  attachments: [{
+    _id: false,
+    filename: String,
+    contentType: String,
+    size: Number,
+    content: Buffer
+  }],
+
+  // Transport and envelope (inbound), or caller data (outbound)
+  metadata: mongoose.Schema.Types.Mixed,
+
+  sentAt: Date,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Messages of a user by direction, newest first
+emailSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+// Create and export the Email model
+const Email = mongoose.model('Email', emailSchema);
+
+module.exports = Email;
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Email Confirmation Model for ShadowNews Platform
+ *
+ * Audit trail for actions requested by email that only take effect once the
+ * account owner confirms them. Covers destructive or privilege-changing
+ * email commands and inbound mail held for failing sender authentication.
+ *
+ * The pending action itself lives in Redis with an expiry; this collection
+ * records who asked for what, and when and how it was confirmed, so the
+ * history survives after the Redis key is gone.
+ *
+ * Key Features:
+ * - One document per confirmation request
+ * - Token stored as a SHA-256 hash, never in plain text
+ * - Status transitions: pending -> confirmed | expired
+ * - Confirmation channel (reply-code or link) and client address
+ *
+ * Relationships:
+ * - Belongs to User (requester)
+ * - References the inbound Email record that triggered the request
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for confirmation model
+const mongoose = require('mongoose');
+
+/**
+ * Email Confirmation Schema
+ * One entry per action awaiting (or having received) owner confirmation
+ */
+const emailConfirmationSchema = new mongoose.Schema({
+  // SHA-256 of the confirmation token (the token itself is only ever emailed)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // User who must confirm the action
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Kind of pending action
+  kind: {
+    type: String,
+    enum: [
+      'command',     // Destructive or privilege-changing email command
+      'held_email'   // Inbound email that failed DKIM/SPF/DMARC
+    ],
+    required: true
+  },
+
+  // Human-readable action, e.g. "REMOVE_EMAIL alice@example.com"
+  action: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+
+  // Current state of the request
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'expired'],
+    default: 'pending',
+    index: true
+  },
+
+  // Inbound email record that triggered the request
+  email: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Email'
+  },
+
+  // Message-ID of the triggering email, for correlating with mail logs
+  emailMessageId: String,
+
+  // When the pending action stops being confirmable
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Confirmation details
+  confirmedAt: Date,
+  confirmedVia: {
+    type: String,
+    enum: ['reply', 'link']
+  },
+  confirmedFrom: String    // Sender address (reply) or client IP (link)
+}, {
+  timestamps: true         // createdAt doubles as the request time
+});
+
+// Per-user history, newest first
+emailConfirmationSchema.index({ user: 1, createdAt: -1 });
+
+// Create and export the EmailConfirmation model
+const EmailConfirmation = mongoose.model('EmailConfirmation', emailConfirmationSchema);
+
+module.exports = EmailConfirmation;
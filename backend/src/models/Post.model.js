@@ -40,6 +40,8 @@
 
 // Required dependencies for post model
 const mongoose = require('mongoose');
+const { canonicalizeUrl } = require('../utils/canonicalUrl');
+const { buildTermVector } = require('../utils/termVector');
 
 /**
  * Main Post Schema
@@ -72,6 +74,18 @@ const PostSchema = new mongoose.Schema({
     }
   },
   
+  // URL reduced for duplicate detection (see utils/canonicalUrl)
+  canonicalUrl: {
+    type: String,
+    index: true        // Indexed for duplicate submission lookups
+  },
+  
+  // Host of the linked URL without www., for site: searches and facets
+  domain: {
+    type: String,
+    lowercase: true
+  },
+  
   // Post body text (optional for link posts, required for text posts)
   text: {
     type: String,
@@ -91,6 +105,14 @@ const PostSchema = new mongoose.Schema({
     ref: 'Email'       // Optional reference to source email
   },
   
+  // Message-ID of the source email, used to thread replies to that email
+  emailMessageId: {
+    type: String,
+    trim: true,
+    sparse: true,      // Only email-derived posts carry a Message-ID
+    index: true        // Indexed for In-Reply-To lookups
+  },
+  
   // Hashtags for categorization and discovery
   hashtags: [{
     type: String,
@@ -171,11 +193,49 @@ const PostSchema = new mongoose.Schema({
       'active',   // Normal active post
       'deleted',  // Soft-deleted by author or moderator
       'flagged',  // Flagged for review
-      'hidden'    // Hidden by moderators
+      'hidden',   // Hidden by moderators
+      'merged'    // Duplicate merged into another post's discussion
     ],
     default: 'active'
   },
   
+  // Post this duplicate was merged into; its comments and votes moved there
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    index: true
+  },
+  
+  // When and by whom the post was merged
+  mergedAt: Date,
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // Near-duplicates the author was warned about and submitted anyway
+  possibleDuplicates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  
+  // Term vector for related posts and duplicate detection (utils/termVector)
+  similarity: {
+    // Stemmed terms, for finding candidate posts by index
+    terms: {
+      type: [String],
+      index: true
+    },
+    // Weighted term frequencies, highest first
+    vector: [{
+      _id: false,
+      term: String,
+      weight: Number
+    }],
+    // When the vector was last built
+    indexedAt: Date
+  },
+  
   // User reports and flags for moderation
   flags: [{
     // User who reported this post
@@ -262,10 +322,22 @@ const PostSchema = new mongoose.Schema({
       default: 0
     },
     
-    // Quality score based on AI analysis and engagement
+    // Quality score: hot, weighted by the author's karma
     quality: {
       type: Number,
       default: 0
+    },
+    
+    // Rising score: recent votes on young posts
+    rising: {
+      type: Number,
+      default: 0
+    },
+    
+    // Best score: Wilson lower bound of the share of upvotes
+    best: {
+      type: Number,
+      default: 0
     }
   },
   
@@ -323,16 +395,23 @@ PostSchema.virtual('voteCount').get(function() {
  */
 PostSchema.virtual('isHot').get(function() {
   const hoursSinceCreation = (Date.now() - this.createdAt) / (1000 * 60 * 60);
-  return this.ranking.hot > 100 && hoursSinceCreation < 24;
+  return this.ranking.hot >= 1 && hoursSinceCreation < 24;
 });
 
 // Database indexes for efficient querying
 PostSchema.index({ createdAt: -1 });                    // Recent posts
 PostSchema.index({ 'ranking.hot': -1 });               // Hot posts ranking
+PostSchema.index({ 'ranking.controversy': -1, createdAt: -1 }); // Feed sorts (services/ranking)
+PostSchema.index({ 'ranking.rising': -1, createdAt: -1 });
+PostSchema.index({ 'ranking.best': -1, createdAt: -1 });
+PostSchema.index({ 'ranking.quality': -1, createdAt: -1 });
 PostSchema.index({ author: 1, createdAt: -1 });        // User's posts
 PostSchema.index({ hashtags: 1 });                     // Hashtag searches
 PostSchema.index({ status: 1, visibility: 1 });       // Moderation queries
-PostSchema.index({ '$**': 'text' });                   // Full-text search
+PostSchema.index(                                        // Full-text search
+  { title: 'text', hashtags: 'text', text: 'text' },
+  { name: 'post_search_text', weights: { title: 10, hashtags: 5, text: 1 } }
+);
 
 /**
  * Pre-save Middleware
@@ -342,23 +421,53 @@ PostSchema.index({ '$**': 'text' });                   // Full-text search
  * ranking are always up-to-date when the post is saved.
  */
 PostSchema.pre('save', function(next) {
+  // Saved-search alerts are raised for new posts only
+  this.$locals.created = this.isNew;
+
+  // Keep the canonical URL and term vector in step with the content
+  if (this.isModified('url')) {
+    this.canonicalUrl = this.url ? canonicalizeUrl(this.url) : undefined;
+    this.domain = this.canonicalUrl ? new URL(this.canonicalUrl).hostname : undefined;
+  }
+  if (this.isNew || this.isModified('title') || this.isModified('text') || this.isModified('hashtags')) {
+    this.indexSimilarity();
+  }
+  
   // Update score when votes change
   if (this.isModified('upvotes') || this.isModified('downvotes')) {
     this.score = this.upvotes.length - this.downvotes.length;
   }
   
-  // Update hot ranking when votes or comments change
-  if (this.isModified('upvotes') || this.isModified('downvotes') || this.isModified('commentCount')) {
-    // Hot ranking algorithm (similar to Reddit's)
-    const order = Math.log10(Math.max(Math.abs(this.score), 1));
-    const sign = this.score > 0 ? 1 : this.score < 0 ? -1 : 0;
-    const seconds = (this.createdAt - new Date(2025, 0, 1)) / 1000;
-    this.ranking.hot = sign * order + seconds / 45000;
+  // Update feed rankings when the post is created or votes or comments change;
+  // the ranking worker keeps them current as posts age.
+  // Required here because the ranking service loads this model
+  if (this.isNew || this.isModified('upvotes') || this.isModified('downvotes') || this.isModified('commentCount')) {
+    const author = this.populated('author') ? this.author : null;
+    const scores = require('../services/ranking').scoresFor(this, {
+      authorKarma: author && author.karma ? author.karma.total : undefined
+    });
+    Object.entries(scores).forEach(([path, value]) => this.set(path, value));
   }
   
   next();
 });
 
+/**
+ * Post-save Middleware
+ * Keeps the search index up to date (see services/search) and, for new
+ * posts, alerts the owners of matching saved searches
+ * 
+ * Not awaited: failures are logged by the services and never fail the
+ * save.
+ */
+PostSchema.post('save', doc => {
+  // Required here because both services load this model
+  require('../services/search').indexPost(doc);
+  if (doc.$locals.created) {
+    require('../services/savedSearch.service').matchPost(doc);
+  }
+});
+
 /**
  * Calculate Engagement Score
  * Computes overall engagement based on various interaction metrics
@@ -379,6 +488,25 @@ PostSchema.methods.calculateEngagement = function() {
   return this.metrics.engagementScore;
 };
 
+/**
+ * Index Similarity
+ * Rebuilds the term vector from the title, text and hashtags
+ * 
+ * Called on save whenever those fields change; call it directly when
+ * backfilling posts saved before vectors existed.
+ * 
+ * @returns {Object} The new similarity entry
+ */
+PostSchema.methods.indexSimilarity = function() {
+  const vector = buildTermVector(this);
+  this.similarity = {
+    terms: vector.map(entry => entry.term),
+    vector,
+    indexedAt: new Date()
+  };
+  return this.similarity;
+};
+
 /**
  * Add Post to Repository
  * Associates this post with a specific repository
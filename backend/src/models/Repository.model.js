@@ -25,13 +25,17 @@
  * Access Control:
  * - Public repositories: Discoverable and joinable by anyone
  * - Private repositories: Invite-only with controlled access
- * - Role-based collaboration (admin, moderator, contributor)
+ * - Role-based collaboration: built-in roles (admin, moderator, contributor,
+ *   viewer) and owner-defined custom roles over a permission matrix
+ *   (see utils/permissions)
  * - Karma-based join requirements
+ * - Posting by email to the repository's inbound address (<slug>@domain)
+ * - Mailing-list mode redistributing posts and comments to verified emails
  * 
  * Relationships:
  * - Belongs to User (owner)
  * - Has many Users (collaborators)
- * - Contains many Email addresses
+ * - Has many RepositoryMembers (the email list)
  * - Links to other Repositories
  * - Uses EmailTemplates for digests
  * 
@@ -43,6 +47,9 @@
 
 // Required dependencies for repository model
 const mongoose = require('mongoose');
+const RepositoryMember = require('./RepositoryMember.model');
+const { ALIAS_PATTERN, buildRepositoryAddress, isReservedLocalPart } = require('../utils/inboundAddress');
+const permissions = require('../utils/permissions');
 
 /**
  * Main Repository Schema
@@ -70,6 +77,13 @@ const repositorySchema = new mongoose.Schema({
     lowercase: true,   // Normalize to lowercase
     index: true        // Indexed for URL lookups
   },
+
+  // Further local parts that reach the repository (<alias>@domain); they
+  // share one namespace with slugs, so none may match another repository's
+  inboundAliases: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    index: true
+  },
   
   // Repository description explaining its purpose
   description: {
@@ -93,66 +107,45 @@ const repositorySchema = new mongoose.Schema({
     trim: true         // Remove whitespace
   }],
   
-  // Email addresses in this repository
-  emails: [{
-    // Email address (primary identifier)
-    email: {
+  // Custom fields declared for members (values live in RepositoryMember.fields)
+  customFields: [{
+    // Key used in RepositoryMember.fields, CSV mappings and merge tags
+    key: {
       type: String,
-      required: true,    // Every entry must have an email
-      lowercase: true,   // Normalize to lowercase
-      trim: true         // Remove whitespace
+      required: true,
+      match: /^[a-z][a-z0-9_]{0,49}$/
     },
-    
-    // Display name for this email address
-    name: {
+
+    // Human-readable name, also matched against CSV headers
+    label: {
       type: String,
-      trim: true         // Optional display name
-    },
-    
-    // User who added this email to the repository
-    addedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    
-    // When this email was added
-    addedAt: {
-      type: Date,
-      default: Date.now
+      trim: true,
+      maxlength: 100
     },
-    
-    // How this email was added to the repository
-    source: {
+
+    // Value type; values are validated and stored as this type
+    type: {
       type: String,
       enum: [
-        'manual',    // Manually added by user
-        'csv',       // Imported from CSV file
-        'snowball',  // Added through snowball referral
-        'api'        // Added via API call
+        'text',       // Free text up to 500 characters
+        'number',     // Any number
+        'date',       // Date, stored as a Date
+        'enum',       // One of options
+        'boolean'     // true/false (also yes/no, 1/0 from CSV)
       ],
-      default: 'manual'
-    },
-    
-    // Whether this email address has been verified
-    verified: {
-      type: Boolean,
-      default: false
+      required: true
     },
-    
-    // Whether this email has opted out of the repository
-    optedOut: {
+
+    // Allowed values for enum fields
+    options: [String],
+
+    // Whether every imported or edited entry must have a value
+    required: {
       type: Boolean,
       default: false
-    },
-    
-    // Additional metadata about this email
-    metadata: {
-      company: String,      // Company affiliation
-      title: String,        // Job title
-      tags: [String]        // Custom tags for organization
     }
   }],
-  
+
   // Repository configuration and preferences
   settings: {
     // Whether this repository is publicly discoverable
@@ -201,6 +194,54 @@ const repositorySchema = new mongoose.Schema({
     emailTemplate: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'EmailTemplate'
+    },
+    
+    // Segment that receives digests; the whole list when unset
+    digestSegment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Segment'
+    },
+    
+    // Who may post by mailing the repository's inbound address
+    emailPosting: {
+      type: String,
+      enum: [
+        'disabled',       // Inbound address does not accept posts
+        'collaborators',  // Owner and collaborators only
+        'members'         // Also registered users on the verified email list
+      ],
+      default: 'collaborators'
+    },
+    
+    // Mailing-list mode: posts and comments are sent on to the email list
+    listMode: {
+      type: Boolean,
+      default: false
+    },
+    
+    // Limits that keep snowball chains from running away
+    snowballLimits: {
+      // Generations after the initial upload
+      maxDepth: {
+        type: Number,
+        default: 3,
+        min: 0,
+        max: 10
+      },
+      
+      // New addresses one inviter can add per generation
+      maxFanOut: {
+        type: Number,
+        default: 100,
+        min: 1
+      },
+      
+      // Snowball additions per 24 hours, as a fraction of the list size
+      maxDailyGrowthRate: {
+        type: Number,
+        default: 0.5,
+        min: 0
+      }
     }
   },
   
@@ -212,14 +253,10 @@ const repositorySchema = new mongoose.Schema({
       ref: 'User'
     },
     
-    // Role and permissions level
+    // Built-in role (admin, moderator, contributor, viewer) or the key of
+    // one of customRoles
     role: {
       type: String,
-      enum: [
-        'admin',        // Full administrative access
-        'moderator',    // Content moderation and management
-        'contributor'   // Basic contribution rights
-      ],
       default: 'contributor'
     },
     
@@ -230,7 +267,16 @@ const repositorySchema = new mongoose.Schema({
     }
   }],
   
-  // Analytics and statistics
+  // Roles defined by the owner from the permission matrix
+  customRoles: [{
+    _id: false,
+    key: { type: String, required: true },  // Referenced by collaborators.role
+    name: { type: String, required: true, trim: true },
+    permissions: [{ type: String, enum: Object.keys(permissions.PERMISSIONS) }]
+  }],
+  
+  // Analytics and statistics; member counts are kept by
+  // RepositoryMember.refreshStats
   stats: {
     // Total number of emails in repository
     totalEmails: {
@@ -244,12 +290,18 @@ const repositorySchema = new mongoose.Schema({
       default: 0
     },
     
-    // Number of active (verified and not opted out) emails
+    // Number of active (verified, consented, not opted out, deliverable) emails
     activeEmails: {
       type: Number,
       default: 0
     },
     
+    // Number of emails suppressed after bounces or complaints
+    suppressedEmails: {
+      type: Number,
+      default: 0
+    },
+    
     // Number of emails added through snowball distribution
     snowballEmails: {
       type: Number,
@@ -415,19 +467,79 @@ const repositorySchema = new mongoose.Schema({
 // Database indexes for efficient querying
 repositorySchema.index({ owner: 1, isActive: 1 });        // Owner's repositories
 repositorySchema.index({ hashtags: 1 });                  // Hashtag searches
-repositorySchema.index({ 'emails.email': 1 });           // Email lookups
 repositorySchema.index({ category: 1, qualityScore: -1 }); // Category browsing
 repositorySchema.index({ createdAt: -1 });                // Recent repositories
 
 /**
  * Virtual: Email Count
- * Calculates the number of active emails (not opted out)
+ * Number of addresses on the list, from stats
  * 
- * This virtual provides a convenient way to get the count of
- * active emails without manually filtering each time.
+ * Members are no longer loaded with the repository, so this reads the
+ * count RepositoryMember.refreshStats keeps up to date.
  */
 repositorySchema.virtual('emailCount').get(function() {
-  return this.emails.filter(e => !e.optedOut).length;
+  return this.stats ? this.stats.totalEmails : 0;
+});
+
+/**
+ * Virtual: Inbound Address
+ * Address that posts into this repository when mailed
+ * 
+ * Mail to <slug>@domain or <slug>+post@domain creates a post linked to
+ * the repository, subject to settings.emailPosting. Inbound aliases work
+ * the same way.
+ */
+repositorySchema.virtual('inboundAddress').get(function() {
+  return this.slug ? buildRepositoryAddress(this.slug) : null;
+});
+
+/**
+ * Pre-validate Middleware
+ * Checks custom roles and that every collaborator has an existing role
+ */
+repositorySchema.pre('validate', function(next) {
+  const keys = new Set();
+  (this.customRoles || []).forEach((role, index) => {
+    const errors = permissions.validateRole(role);
+    if (keys.has(role.key)) errors.push(`Role "${role.key}" is defined twice`);
+    keys.add(role.key);
+    if (errors.length > 0) this.invalidate(`customRoles.${index}`, errors.join('; '));
+  });
+
+  (this.collaborators || []).forEach((collaborator, index) => {
+    if (!permissions.findRole(this, collaborator.role)) {
+      this.invalidate(`collaborators.${index}.role`, `Unknown role "${collaborator.role}"`);
+    }
+  });
+
+  (this.inboundAliases || []).forEach((alias, index) => {
+    if (!ALIAS_PATTERN.test(alias) || isReservedLocalPart(alias)) {
+      this.invalidate(`inboundAliases.${index}`, `"${alias}" cannot be used as an inbound address`);
+    } else if (alias === this.slug || this.inboundAliases.indexOf(alias) !== index) {
+      this.invalidate(`inboundAliases.${index}`, `"${alias}" is already an address of this repository`);
+    }
+  });
+
+  next();
+});
+
+/**
+ * Pre-validate Middleware
+ * Keeps a slug or inbound alias from reaching two repositories: mail is
+ * resolved by local part, whichever of the two it names
+ */
+repositorySchema.pre('validate', async function() {
+  if (!this.isModified('slug') && !this.isModified('inboundAliases')) return;
+
+  const addresses = [this.slug, ...(this.inboundAliases || [])].filter(Boolean);
+  const other = await mongoose.models.Repository.findOne({
+    _id: { $ne: this._id },
+    $or: [{ slug: { $in: addresses } }, { inboundAliases: { $in: addresses } }]
+  }).select('slug inboundAliases').lean();
+  if (!other) return;
+
+  const taken = addresses.find(address => address === other.slug || (other.inboundAliases || []).includes(address));
+  this.invalidate(taken === this.slug ? 'slug' : 'inboundAliases', `"${taken}" is already the address of another repository`);
 });
 
 /**
@@ -451,20 +563,12 @@ repositorySchema.pre('save', async function(next) {
     // Ensure slug is unique by appending counter if needed
     const baseSlug = this.slug;
     let counter = 1;
-    while (await mongoose.models.Repository.findOne({ slug: this.slug, _id: { $ne: this._id } })) {
+    while (await mongoose.models.Repository.findOne({ $or: [{ slug: this.slug }, { inboundAliases: this.slug }], _id: { $ne: this._id } })) {
       this.slug = `${baseSlug}-${counter}`;
       counter++;
     }
   }
   
-  // Update statistics when emails are modified
-  if (this.isModified('emails')) {
-    this.stats.totalEmails = this.emails.length;
-    this.stats.verifiedEmails = this.emails.filter(e => e.verified).length;
-    this.stats.activeEmails = this.emails.filter(e => !e.optedOut && e.verified).length;
-    this.stats.snowballEmails = this.emails.filter(e => e.source === 'snowball').length;
-  }
-  
   next();
 });
 
@@ -481,8 +585,10 @@ repositorySchema.pre('save', async function(next) {
  * @throws {Error} If email has opted out or other validation fails
  */
 repositorySchema.methods.addEmail = async function(emailData, userId) {
+  const email = emailData.email.toLowerCase();  // Normalize email address
+
   // Check if email already exists in repository
-  const existingEmail = this.emails.find(e => e.email === emailData.email.toLowerCase());
+  const existingEmail = await RepositoryMember.findOne({ repository: this._id, email });
   
   if (existingEmail) {
     // Don't allow re-adding opted-out emails
@@ -492,16 +598,16 @@ repositorySchema.methods.addEmail = async function(emailData, userId) {
     return existingEmail;
   }
   
-  // Add new email to repository
-  this.emails.push({
+  // Add new member to repository
+  const [member] = await RepositoryMember.addMembers(this._id, [{
     ...emailData,
-    email: emailData.email.toLowerCase(),  // Normalize email address
+    email,
     addedBy: userId,
     addedAt: new Date()
-  });
+  }], { channel: 'api', operation: 'add', actor: userId });
   
-  await this.save();
-  return this.emails[this.emails.length - 1];
+  await RepositoryMember.refreshStats(this._id);
+  return member || RepositoryMember.findOne({ repository: this._id, email });
 };
 
 /**
@@ -516,16 +622,16 @@ repositorySchema.methods.addEmail = async function(emailData, userId) {
  * @throws {Error} If email is not found in repository
  */
 repositorySchema.methods.removeEmail = async function(email) {
-  // Find the email in the repository
-  const emailIndex = this.emails.findIndex(e => e.email === email.toLowerCase());
+  // Mark as opted out rather than hard delete
+  const member = await RepositoryMember.findOne({ repository: this._id, email: email.toLowerCase() });
   
-  if (emailIndex === -1) {
+  if (!member) {
     throw new Error('Email not found in repository');
   }
   
-  // Mark as opted out rather than hard delete
-  this.emails[emailIndex].optedOut = true;
-  await this.save();
+  member.optedOut = true;
+  await member.saveWithHistory({ channel: 'api', operation: 'remove' });
+  await RepositoryMember.refreshStats(this._id);
 };
 
 /**
@@ -553,19 +659,65 @@ repositorySchema.methods.canUserAccess = function(userId) {
  * Check User Edit Permissions
  * Determines if a user can edit this repository
  * 
- * This method checks if a user has sufficient permissions
- * to modify repository settings and content.
+ * The owner and collaborators whose role grants 'settings.edit'.
  * 
  * @param {ObjectId} userId - ID of user to check
  * @returns {boolean} True if user can edit repository
  */
 repositorySchema.methods.canUserEdit = function(userId) {
-  // Owner always has edit access
-  if (this.owner.equals(userId)) return true;
+  return this.hasPermission(userId, 'settings.edit');
+};
+
+/**
+ * Get User Role
+ * 
+ * @param {ObjectId} userId - ID of user to check
+ * @returns {string|null} 'owner', the collaborator's role, or null
+ */
+repositorySchema.methods.getUserRole = function(userId) {
+  return permissions.roleOf(this, userId);
+};
+
+/**
+ * Check Permission
+ * Whether a user's role grants one permission of the matrix
+ * 
+ * @param {ObjectId} userId - ID of user to check
+ * @param {string} permission - e.g. 'members.export'
+ * @returns {boolean} True if the owner, or a collaborator whose role has it
+ */
+repositorySchema.methods.hasPermission = function(userId, permission) {
+  return permissions.hasPermission(this, userId, permission);
+};
+
+/**
+ * Check Email Posting Permissions
+ * Determines if a user may post by mailing the inbound address
+ * 
+ * The owner and collaborators whose role grants 'list.send' may post
+ * unless posting by email is disabled. In 'members' mode, registered
+ * users whose account address is verified on the email list (and not
+ * opted out) may post too.
+ * 
+ * @param {Object} user - User document of the sender
+ * @returns {Promise<boolean>} True if the user can post by email
+ */
+repositorySchema.methods.canUserPostByEmail = async function(user) {
+  const mode = this.settings.emailPosting || 'collaborators';
+  if (mode === 'disabled') return false;
   
-  // Check if user is admin or moderator collaborator
-  const collaborator = this.collaborators.find(c => c.user.equals(userId));
-  return collaborator && ['admin', 'moderator'].includes(collaborator.role);
+  // Owner and collaborators allowed to send to the list can always contribute
+  if (this.hasPermission(user._id, 'list.send')) return true;
+  
+  if (mode !== 'members' || !user.email) return false;
+  
+  const member = await RepositoryMember.exists({
+    repository: this._id,
+    email: user.email.toLowerCase(),
+    verified: true,
+    optedOut: { $ne: true }
+  });
+  return !!member;
 };
 
 /**
@@ -672,13 +824,15 @@ repositorySchema.statics.findPublicRepositories = function(options = {}) {
  */
 repositorySchema.statics.searchRepositories = function(searchTerm, options = {}) {
   const { limit = 20, skip = 0 } = options;
+  // Match the term literally; user input is not a pattern
+  const pattern = new RegExp(String(searchTerm).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
   
   return this.find({
     $or: [
-      { name: new RegExp(searchTerm, 'i') },        // Search in name
-      { description: new RegExp(searchTerm, 'i') }, // Search in description
-      { hashtags: new RegExp(searchTerm, 'i') },    // Search in hashtags
-      { tags: new RegExp(searchTerm, 'i') }         // Search in tags
+      { name: pattern },        // Search in name
+      { description: pattern }, // Search in description
+      { hashtags: pattern },    // Search in hashtags
+      { tags: pattern }         // Search in tags
     ],
     isActive: true,    // Only active repositories
     deletedAt: null    // Not soft-deleted
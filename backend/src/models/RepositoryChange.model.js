@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Repository Change Model for ShadowNews Platform
+ *
+ * Append-only change log of repository email lists. Every member added,
+ * changed or removed is written here with the member's state after the
+ * change, who made it and through which channel; records are never
+ * updated or deleted.
+ *
+ * Because each record holds the full state, the list as it stood at any
+ * time is the latest record per address up to that time. That drives the
+ * history diffs and point-in-time restore (see repositoryHistory.service).
+ *
+ * Key Features:
+ * - One record per member change: added, updated, removed
+ * - Channel (API, email, webhook, worker, system), operation and user
+ * - Member state after the change, and the paths that changed
+ * - Only list data is tracked; engagement and bounce counters are not
+ * - List state at any time, and activity between two times
+ *
+ * Relationships:
+ * - Belongs to Repository
+ * - Refers to the RepositoryMember, which may since have been removed
+ * - Optionally made by User
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for repository change model
+const mongoose = require('mongoose');
+
+// Member paths whose changes are logged
+const TRACKED_PATHS = ['email', 'name', 'source', 'verified', 'optedOut', 'status', 'consent.status', 'metadata', 'fields'];
+
+// Write operations the log refuses
+const MUTATING_QUERIES = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+/**
+ * Repository Change Schema
+ * One immutable record per member change
+ */
+const repositoryChangeSchema = new mongoose.Schema({
+  // Repository whose list changed
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+
+  // Member that changed
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RepositoryMember'
+  },
+
+  // Member's address
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // What happened to the member
+  action: {
+    type: String,
+    enum: ['added', 'updated', 'removed'],
+    required: true
+  },
+
+  // Where the change came from
+  channel: {
+    type: String,
+    enum: [
+      'api',      // Web app or API request
+      'email',    // Email command or mailed-in attachment
+      'webhook',  // Mail provider events
+      'worker',   // Queue job, e.g. CSV import or snowball
+      'system'    // Scripts and migrations
+    ],
+    default: 'system'
+  },
+
+  // What caused it, e.g. 'csv_import', 'merge', 'restore'
+  operation: {
+    type: String,
+    maxlength: 100
+  },
+
+  // User who made the change
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Member after the change (before it, for removals)
+  state: mongoose.Schema.Types.Mixed,
+
+  // Tracked paths that changed (updates only)
+  changes: [String]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// History of a repository, and of one address in it
+repositoryChangeSchema.index({ repository: 1, createdAt: -1 });
+repositoryChangeSchema.index({ repository: 1, email: 1, createdAt: -1 });
+
+/**
+ * Pre-validate Middleware
+ * Refuses edits to saved records
+ */
+repositoryChangeSchema.pre('validate', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Repository changes are append-only'));
+  }
+  next();
+});
+
+// Refuse every query that would change or remove records
+MUTATING_QUERIES.forEach(operation => {
+  repositoryChangeSchema.pre(operation, (next) => {
+    next(new Error('Repository changes are append-only'));
+  });
+});
+
+/**
+ * Member State
+ * The tracked data of a member, as stored in change records
+ *
+ * @param {Object} member - RepositoryMember document or lean object
+ * @returns {Object} Plain object
+ */
+repositoryChangeSchema.statics.stateOf = function(member) {
+  const metadata = member.metadata || {};
+  const fields = member.fields instanceof Map ? Object.fromEntries(member.fields) : { ...(member.fields || {}) };
+
+  return {
+    email: member.email,
+    name: member.name,
+    source: member.source,
+    verified: !!member.verified,
+    optedOut: !!member.optedOut,
+    status: member.status || 'active',
+    consent: (member.consent && member.consent.status) || 'pending',
+    metadata: {
+      company: metadata.company,
+      title: metadata.title,
+      tags: [...(metadata.tags || [])]
+    },
+    fields
+  };
+};
+
+/**
+ * Record Changes
+ *
+ * @param {Array<Object>} members - Members after the change (before it,
+ *   for removals); documents or lean objects
+ * @param {string} action - 'added', 'updated' or 'removed'
+ * @param {Object} [context]
+ * @param {string} [context.channel] - Where the change came from
+ * @param {string} [context.operation] - What caused it
+ * @param {ObjectId} [context.actor] - User who made it
+ * @param {string[]} [changes] - Paths that changed, for updates
+ * @returns {Promise<Array<Object>>} The records written
+ */
+repositoryChangeSchema.statics.record = function(members, action, { channel, operation, actor } = {}, changes) {
+  if (members.length === 0) return Promise.resolve([]);
+
+  return this.insertMany(members.map(member => ({
+    repository: member.repository,
+    member: member._id,
+    email: member.email,
+    action,
+    channel,
+    operation,
+    actor,
+    state: this.stateOf(member),
+    changes
+  })));
+};
+
+/**
+ * State At
+ * The list as it stood at a time: the latest record per address up to
+ * then, leaving out addresses whose latest record is a removal
+ *
+ * @param {ObjectId} repositoryId - Repository
+ * @param {Date} at - Point in time
+ * @returns {Promise<Array<Object>>} [{ email, member, state, createdAt }]
+ */
+repositoryChangeSchema.statics.stateAt = function(repositoryId, at) {
+  // Aggregation pipelines are not cast by Mongoose
+  const repository = new mongoose.Types.ObjectId(String(repositoryId));
+
+  return this.aggregate([
+    { $match: { repository, createdAt: { $lte: at } } },
+    { $sort: { email: 1, createdAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$email',
+        action: { $first: '$action' },
+        member: { $first: '$member' },
+        state: { $first: '$state' },
+        createdAt: { $first: '$createdAt' }
+      }
+    },
+    { $match: { action: { $ne: 'removed' } } },
+    { $project: { _id: 0, email: '$_id', member: 1, state: 1, createdAt: 1 } }
+  ]).allowDiskUse(true);
+};
+
+/**
+ * Latest Records
+ * The latest record of each address, whatever its action; for an address
+ * no longer on the list, the record of its removal
+ *
+ * @param {ObjectId} repositoryId - Repository
+ * @param {Array<string>} emails - Addresses
+ * @returns {Promise<Array<Object>>} [{ email, action, state, createdAt }]
+ */
+repositoryChangeSchema.statics.latestRecords = function(repositoryId, emails) {
+  const repository = new mongoose.Types.ObjectId(String(repositoryId));
+
+  return this.aggregate([
+    { $match: { repository, email: { $in: emails } } },
+    { $sort: { email: 1, createdAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$email',
+        action: { $first: '$action' },
+        state: { $first: '$state' },
+        createdAt: { $first: '$createdAt' }
+      }
+    },
+    { $project: { _id: 0, email: '$_id', action: 1, state: 1, createdAt: 1 } }
+  ]);
+};
+
+/**
+ * Activity
+ * Number of changes between two times by channel and action
+ *
+ * @param {ObjectId} repositoryId - Repository
+ * @param {Date} from - Start, exclusive
+ * @param {Date} to - End, inclusive
+ * @returns {Promise<Array<Object>>} [{ channel, action, count }]
+ */
+repositoryChangeSchema.statics.activity = function(repositoryId, from, to) {
+  const repository = new mongoose.Types.ObjectId(String(repositoryId));
+
+  return this.aggregate([
+    { $match: { repository, createdAt: { $gt: from, $lte: to } } },
+    { $group: { _id: { channel: '$channel', action: '$action' }, count: { $sum: 1 } } },
+    { $project: { _id: 0, channel: '$_id.channel', action: '$_id.action', count: 1 } }
+  ]);
+};
+
+// Create and export the RepositoryChange model
+const RepositoryChange = mongoose.model('RepositoryChange', repositoryChangeSchema);
+
+module.exports = RepositoryChange;
+module.exports.TRACKED_PATHS = TRACKED_PATHS;
@@ -0,0 +1,393 @@
+/**
+ * @fileoverview Repository Member Model for ShadowNews Platform
+ *
+ * One email address on a repository's list. Members used to be embedded
+ * in Repository.emails, which capped a list at MongoDB's 16 MB document
+ * limit and rewrote the whole repository on every change; each member is
+ * now its own document (see scripts/migrateData.js for the move).
+ *
+ * Key Features:
+ * - Address, name, source and who added it
+ * - Verification, opt-out, double opt-in consent and delivery health
+ * - Snowball provenance, quality score and engagement
+ * - Tags and typed custom field values
+ * - Indexes for list pages, segment filters and address lookups across
+ *   repositories
+ *
+ * Repository.stats summarizes a repository's members; call
+ * RepositoryMember.refreshStats() after changing them.
+ *
+ * Changes to list data are logged in RepositoryChange. Add members with
+ * addMembers(), save them with saveWithHistory() and remove them with
+ * removeMembers(), passing who made the change and through which channel.
+ *
+ * Relationships:
+ * - Belongs to Repository
+ * - Optionally added by User
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for repository member model
+const mongoose = require('mongoose');
+const RepositoryChange = require('./RepositoryChange.model');
+
+const { TRACKED_PATHS } = RepositoryChange;
+
+// Statuses that stop all further mail to the address
+const SUPPRESSED_STATUSES = ['bounced', 'complained'];
+
+// Duplicate key error, from the unique repository/email index
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Repository Member Schema
+ * One document per repository and address
+ */
+const repositoryMemberSchema = new mongoose.Schema({
+  // Repository whose list this address is on
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+
+  // Email address (unique within the repository)
+  email: {
+    type: String,
+    required: true,    // Every member must have an email
+    lowercase: true,   // Normalize to lowercase
+    trim: true         // Remove whitespace
+  },
+  
+  // Display name for this email address
+  name: {
+    type: String,
+    trim: true         // Optional display name
+  },
+  
+  // Domain part of the address, for segment filters (set on validation)
+  domain: {
+    type: String,
+    lowercase: true
+  },
+  
+  // User who added this email to the repository
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // When this email was added
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // How this email was added to the repository
+  source: {
+    type: String,
+    enum: [
+      'manual',    // Manually added by user
+      'csv',       // Imported from CSV file
+      'snowball',  // Added through snowball referral
+      'api',       // Added via API call
+      'merge',     // Copied from a merged repository
+      'share_link' // Join-request form of a share link
+    ],
+    default: 'manual'
+  },
+  
+  // CSV import that added this email, if any
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CsvImport'
+  },
+  
+  // Repository merge that added this email, if any; undoing it removes the email
+  merge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RepositoryMerge'
+  },
+  
+  // When the member migration copied this email from the embedded
+  // Repository.emails array; finalizing it removes copies dropped from there
+  migratedAt: {
+    type: Date
+  },
+  
+  // Whether this email address has been verified
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Whether this email has opted out of the repository
+  optedOut: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Delivery health, driven by bounces and complaints
+  status: {
+    type: String,
+    enum: [
+      'active',         // Delivering normally
+      'soft_bouncing',  // Temporary failures below the suppression threshold
+      'bounced',        // Hard bounce or too many soft bounces; suppressed
+      'complained'      // Recipient marked our mail as spam; suppressed
+    ],
+    default: 'active'
+  },
+
+  // Address quality from 0 to 1, as scored when snowball added it
+  qualityScore: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+
+  // Opens and clicks reported by the mail provider
+  engagement: {
+    opens: { type: Number, default: 0 },
+    clicks: { type: Number, default: 0 },
+    lastEngagedAt: Date
+  },
+
+  // Delivery event counters and the most recent event
+  deliverability: {
+    softBounces: { type: Number, default: 0 },  // Consecutive soft bounces
+    hardBounces: { type: Number, default: 0 },
+    complaints: { type: Number, default: 0 },
+    lastEventAt: Date,
+    lastEventType: String,
+    lastReason: String
+  },
+  
+  // Double opt-in state, mirrored from the ConsentRecord ledger
+  consent: {
+    status: {
+      type: String,
+      enum: [
+        'pending',    // Awaiting confirmation; receives no repository mail
+        'confirmed',  // Subject confirmed; may receive repository mail
+        'revoked'     // Subject withdrew consent
+      ],
+      default: 'pending'
+    },
+    requestedAt: Date,  // Confirmation email sent
+    confirmedAt: Date,
+    revokedAt: Date
+  },
+  
+  // Snowball provenance: who introduced this address, at which generation
+  snowball: {
+    invitedBy: {
+      type: String,
+      lowercase: true,   // Inviter's email address
+      trim: true
+    },
+    invitedByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'        // Inviter's account
+    },
+    depth: Number,       // Generation: 0 for the initial upload, +1 per hop
+    batchId: String      // Snowball job that added the address
+  },
+  
+  // Additional metadata about this email
+  metadata: {
+    company: String,      // Company affiliation
+    title: String,        // Job title
+    tags: [String]        // Custom tags for organization
+  },
+  
+  // Custom field values keyed by Repository.customFields[].key, typed per definition
+  fields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Database indexes for efficient querying
+repositoryMemberSchema.index({ repository: 1, email: 1 }, { unique: true }); // One entry per address
+repositoryMemberSchema.index({ email: 1 });                                  // Address across repositories
+repositoryMemberSchema.index({ repository: 1, addedAt: -1 });               // List pages, join date filters
+repositoryMemberSchema.index({ repository: 1, 'metadata.tags': 1 });        // Segment filters: tags
+repositoryMemberSchema.index({ repository: 1, domain: 1 });                 // Segment filters: domain
+repositoryMemberSchema.index({ repository: 1, status: 1 });                 // Delivery reports and filters
+repositoryMemberSchema.index({ repository: 1, 'snowball.invitedBy': 1 });   // Snowball provenance lookups
+repositoryMemberSchema.index({ repository: 1, importId: 1 });               // CSV import resumption
+repositoryMemberSchema.index({ repository: 1, merge: 1 });                  // Merge undo
+repositoryMemberSchema.index({ 'fields.$**': 1 });                          // Segment filters: custom fields
+
+/**
+ * Pre-validate Middleware
+ * Fills in the domain; runs for save() and insertMany() alike
+ */
+repositoryMemberSchema.pre('validate', function(next) {
+  if (this.email && !this.domain) {
+    this.domain = this.email.split('@')[1];
+  }
+  next();
+});
+
+/**
+ * Deliverable Members Query
+ * Members that may be sent repository mail: verified, consented by double
+ * opt-in, not opted out and not suppressed after bounces or complaints
+ *
+ * @param {ObjectId} repositoryId - Repository
+ * @returns {Object} MongoDB query
+ */
+repositoryMemberSchema.statics.deliverableQuery = function(repositoryId) {
+  return {
+    repository: repositoryId,
+    verified: true,
+    optedOut: { $ne: true },
+    'consent.status': 'confirmed',
+    status: { $nin: SUPPRESSED_STATUSES }
+  };
+};
+
+/**
+ * Add Members
+ * Inserts new members, skipping addresses the repository already has,
+ * and logs them as added
+ *
+ * @param {ObjectId} repositoryId - Repository
+ * @param {Array<Object>} entries - Member fields; email is required
+ * @param {Object} [context] - { channel, operation, actor } for the change
+ *   log; see RepositoryChange.record
+ * @returns {Promise<Array<Object>>} The members inserted
+ */
+repositoryMemberSchema.statics.addMembers = async function(repositoryId, entries, context) {
+  if (entries.length === 0) return [];
+
+  const existing = new Set(await this.distinct('email', {
+    repository: repositoryId,
+    email: { $in: entries.map(entry => entry.email.toLowerCase()) }
+  }));
+  const fresh = entries.filter(entry => !existing.has(entry.email.toLowerCase()));
+  if (fresh.length === 0) return [];
+
+  let added;
+  try {
+    added = await this.insertMany(fresh.map(entry => ({ ...entry, repository: repositoryId })), { ordered: false });
+  } catch (error) {
+    // Another request added some of the same addresses in the meantime
+    if (error.code !== DUPLICATE_KEY) throw error;
+    added = error.insertedDocs || [];
+  }
+
+  await RepositoryChange.record(added, 'added', context);
+  return added;
+};
+
+/**
+ * Remove Members
+ * Deletes the members matching a query and logs them as removed
+ *
+ * @param {Object} query - RepositoryMember query
+ * @param {Object} [context] - { channel, operation, actor } for the change log
+ * @returns {Promise<Array<Object>>} The members removed, as they were
+ */
+repositoryMemberSchema.statics.removeMembers = async function(query, context) {
+  const members = await this.find(query).lean();
+  if (members.length === 0) return [];
+
+  await this.deleteMany({ _id: { $in: members.map(member => member._id) } });
+  await RepositoryChange.record(members, 'removed', context);
+  return members;
+};
+
+/**
+ * Refresh Repository Stats
+ * Recounts a repository's members into Repository.stats
+ *
+ * @param {ObjectId} repositoryId - Repository
+ * @returns {Promise<Object>} The member counts
+ */
+repositoryMemberSchema.statics.refreshStats = async function(repositoryId) {
+  // Aggregation pipelines are not cast by Mongoose
+  const repository = new mongoose.Types.ObjectId(String(repositoryId));
+  const [counts = {}] = await this.aggregate([
+    { $match: { repository } },
+    {
+      $group: {
+        _id: null,
+        totalEmails: { $sum: 1 },
+        verifiedEmails: { $sum: { $cond: ['$verified', 1, 0] } },
+        activeEmails: {
+          $sum: {
+            $cond: [{
+              $and: [
+                '$verified',
+                { $ne: ['$optedOut', true] },
+                { $eq: ['$consent.status', 'confirmed'] },
+                { $not: [{ $in: ['$status', SUPPRESSED_STATUSES] }] }
+              ]
+            }, 1, 0]
+          }
+        },
+        suppressedEmails: { $sum: { $cond: [{ $in: ['$status', SUPPRESSED_STATUSES] }, 1, 0] } },
+        snowballEmails: { $sum: { $cond: [{ $eq: ['$source', 'snowball'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const stats = {
+    totalEmails: counts.totalEmails || 0,
+    verifiedEmails: counts.verifiedEmails || 0,
+    activeEmails: counts.activeEmails || 0,
+    suppressedEmails: counts.suppressedEmails || 0,
+    snowballEmails: counts.snowballEmails || 0
+  };
+
+  await mongoose.model('Repository').updateOne(
+    { _id: repositoryId },
+    { $set: Object.fromEntries(Object.entries(stats).map(([key, value]) => [`stats.${key}`, value])) }
+  );
+  return stats;
+};
+
+/**
+ * Save With History
+ * Saves the member and logs the change if list data changed; engagement
+ * and bounce counters alone are not logged
+ *
+ * @param {Object} [context] - { channel, operation, actor } for the change log
+ * @returns {Promise<Object>} The member
+ */
+repositoryMemberSchema.methods.saveWithHistory = async function(context) {
+  const added = this.isNew;
+  const changes = added ? undefined : TRACKED_PATHS.filter(path => this.isModified(path));
+
+  await this.save();
+  if (added || changes.length > 0) {
+    await RepositoryChange.record([this], added ? 'added' : 'updated', context, changes);
+  }
+  return this;
+};
+
+/**
+ * Check Deliverability
+ *
+ * @returns {boolean} True if the member may be sent repository mail
+ */
+repositoryMemberSchema.methods.isDeliverable = function() {
+  return this.verified && !this.optedOut &&
+    !!this.consent && this.consent.status === 'confirmed' &&
+    !SUPPRESSED_STATUSES.includes(this.status);
+};
+
+// Create and export the RepositoryMember model
+const RepositoryMember = mongoose.model('RepositoryMember', repositoryMemberSchema);
+
+module.exports = RepositoryMember;
+module.exports.SUPPRESSED_STATUSES = SUPPRESSED_STATUSES;
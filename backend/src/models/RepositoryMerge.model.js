@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Repository Merge Model for ShadowNews Platform
+ *
+ * Record of one repository merged into another, kept so the merge can be
+ * undone for a while afterwards. Members the merge added carry its id
+ * (RepositoryMember.merge); members it changed have their previous values
+ * in RepositoryMergeSnapshot documents.
+ *
+ * Key Features:
+ * - Strategy used for conflicting names, tags and custom field values
+ * - Counts of members added, updated and left as they were
+ * - The source's archive state before the merge
+ * - Undo deadline, and who undid the merge and when
+ *
+ * Relationships:
+ * - Belongs to Repository (target), merged from Repository (source)
+ * - Performed by User
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for repository merge model
+const mongoose = require('mongoose');
+
+/**
+ * Repository Merge Schema
+ * One document per merge
+ */
+const repositoryMergeSchema = new mongoose.Schema({
+  // Repository merged into
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+
+  // Repository merged from (archived by the merge)
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+
+  // How conflicting values were resolved
+  strategy: {
+    type: String,
+    enum: [
+      'prefer_source',  // Source values replace target values
+      'prefer_target',  // Target values are kept
+      'newest',         // Values of the more recently updated member win
+      'manual'          // Chosen per member and field
+    ],
+    required: true
+  },
+
+  // User who merged the repositories
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'applying',  // In progress
+      'applied',   // Complete; may be undone until undoExpiresAt
+      'failed',    // Stopped part way; may be undone to clean up
+      'undone'     // Reversed
+    ],
+    default: 'applying'
+  },
+
+  // Member counts
+  summary: {
+    added: { type: Number, default: 0 },      // New addresses copied from the source
+    updated: { type: Number, default: 0 },    // Existing members given source values
+    unchanged: { type: Number, default: 0 },  // Existing members left as they were
+    conflicts: { type: Number, default: 0 }   // Existing members with conflicting values
+  },
+
+  // State before the merge, restored by undo; previous values of changed
+  // members are RepositoryMergeSnapshot documents
+  snapshot: {
+    // Source repository's archive state
+    source: {
+      isArchived: Boolean,
+      archivedAt: Date,
+      archiveReason: String
+    }
+  },
+
+  // Undo is refused after this time
+  undoExpiresAt: Date,
+
+  error: String,
+  undoneAt: Date,
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Merge history of a repository, latest first
+repositoryMergeSchema.index({ target: 1, createdAt: -1 });
+
+/**
+ * Check Undo
+ *
+ * @returns {boolean} True if the merge may still be undone
+ */
+repositoryMergeSchema.methods.canUndo = function() {
+  return ['applied', 'failed'].includes(this.status) &&
+    !!this.undoExpiresAt && this.undoExpiresAt > new Date();
+};
+
+// Create and export the RepositoryMerge model
+const RepositoryMerge = mongoose.model('RepositoryMerge', repositoryMergeSchema);
+
+module.exports = RepositoryMerge;
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Repository Merge Snapshot Model for ShadowNews Platform
+ *
+ * Previous values of one target member changed by a repository merge,
+ * restored when the merge is undone. Kept apart from the RepositoryMerge
+ * record so a merge touching any number of members stays within the
+ * document size limit.
+ *
+ * Key Features:
+ * - One document per changed member and merge
+ * - Changed paths with their values before the merge
+ *
+ * Relationships:
+ * - Belongs to RepositoryMerge
+ * - Refers to RepositoryMember
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for repository merge snapshot model
+const mongoose = require('mongoose');
+
+/**
+ * Repository Merge Snapshot Schema
+ * One document per member changed by a merge
+ */
+const repositoryMergeSnapshotSchema = new mongoose.Schema({
+  // Merge that changed the member
+  merge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RepositoryMerge',
+    required: true
+  },
+
+  // Target member that was changed
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RepositoryMember',
+    required: true
+  },
+
+  // Values before the merge
+  values: [{
+    _id: false,
+    path: String,                      // e.g. 'name', 'metadata.tags', 'fields.plan'
+    value: mongoose.Schema.Types.Mixed // Absent if the member had no value
+  }]
+});
+
+// Snapshots of a merge, read in batches by undo
+repositoryMergeSnapshotSchema.index({ merge: 1, _id: 1 });
+
+// Create and export the RepositoryMergeSnapshot model
+const RepositoryMergeSnapshot = mongoose.model('RepositoryMergeSnapshot', repositoryMergeSnapshotSchema);
+
+module.exports = RepositoryMergeSnapshot;
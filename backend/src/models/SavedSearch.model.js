@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Saved Search Model for ShadowNews Platform
+ *
+ * Searches a user keeps to be told about new posts and comments that
+ * match them. The query is stored as typed, with its author: and repo:
+ * names resolved to IDs when saved; matching happens as each post or
+ * comment is created (see services/savedSearch.service).
+ *
+ * Key Features:
+ * - Query in the search language, with an optional name
+ * - Instant alerts over the websocket and/or a batch in the email digest
+ * - Lookup keys so a new document only loads searches it could match
+ * - Matches waiting for the next digest, capped per search
+ *
+ * Relationships:
+ * - Belongs to User
+ * - Filters on Users (author:) and Repositories (repo:)
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for saved search model
+const mongoose = require('mongoose');
+
+/**
+ * Saved Search Schema
+ * One saved query per user and query text
+ */
+const savedSearchSchema = new mongoose.Schema({
+  // User alerted to matches
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Query as typed, operators included
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Name shown in alerts; the query when not given
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // IDs of the query's author: and repo: names when it was saved
+  authors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  repositories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository'
+  }],
+
+  // Lookup keys from one clause every match satisfies (see search/matcher)
+  keys: [String],
+
+  // How matches are delivered
+  notify: {
+    instant: { type: Boolean, default: true },
+    digest: { type: Boolean, default: true }
+  },
+
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date,
+
+  // Matches not yet sent in a digest, oldest first; capped by
+  // savedSearches.digestMatchesPerSearch
+  pending: [{
+    _id: false,
+    type: { type: String, enum: ['post', 'comment'] },
+    id: mongoose.Schema.Types.ObjectId,
+    postId: mongoose.Schema.Types.ObjectId,
+    title: String,
+    snippet: String,
+    url: String,
+    matchedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// A user's searches in the order they are numbered by ALERT LIST
+savedSearchSchema.index({ user: 1, createdAt: 1 });
+savedSearchSchema.index({ user: 1, query: 1 }, { unique: true });
+
+// Searches a new document could match
+savedSearchSchema.index({ keys: 1 });
+
+// Create and export the SavedSearch model
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
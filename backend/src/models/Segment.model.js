@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Segment Model for ShadowNews Platform
+ *
+ * Saved, dynamic subsets of a repository's email list. A segment stores a
+ * filter rather than a list of addresses, so its members change as entries
+ * are added, tagged, engage or bounce. See utils/segmentFilter for the
+ * filter language.
+ *
+ * Key Features:
+ * - Filter over tags, status, quality score, domain, engagement, custom
+ *   fields and join date
+ * - Last member count, refreshed whenever the segment is counted
+ * - Target for bulk sends, CSV exports and repository digests
+ *
+ * Relationships:
+ * - Belongs to Repository
+ * - Created by User
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for segment model
+const mongoose = require('mongoose');
+
+/**
+ * Segment Schema
+ * One saved filter per repository and name
+ */
+const segmentSchema = new mongoose.Schema({
+  // Repository whose email list the segment filters
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+
+  // Name shown when choosing a target, e.g. "Engaged enterprise members"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Filter in the segment filter language (validated by the service)
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // User who created the segment
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Member count when last counted
+  lastCount: {
+    type: Number,
+    default: 0
+  },
+  lastCountedAt: Date
+}, {
+  timestamps: true
+});
+
+// Names are unique per repository
+segmentSchema.index({ repository: 1, name: 1 }, { unique: true });
+
+// Create and export the Segment model
+const Segment = mongoose.model('Segment', segmentSchema);
+
+module.exports = Segment;
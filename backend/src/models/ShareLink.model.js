@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Share Link Model for ShadowNews Platform
+ *
+ * Links that give people without access a limited view of a repository.
+ * Each link has one scope, an expiry and optionally a use limit and a
+ * password, and can be revoked on its own. Only a hash of the token is
+ * stored; the link itself is shown once, when it is created.
+ *
+ * Key Features:
+ * - Scopes: read-only stats, member list with anonymized addresses, or a
+ *   join-request form that starts double opt-in
+ * - Expiry, use limit and optional bcrypt-hashed password
+ * - Per-link revocation
+ * - Access log of recent opens, refused ones included
+ *
+ * Relationships:
+ * - Belongs to Repository
+ * - Created, and optionally revoked, by User
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Required dependencies for share link model
+const mongoose = require('mongoose');
+const { createHash } = require('crypto');
+
+// What a link gives access to
+const SCOPES = [
+  'stats',    // Read-only repository stats
+  'members',  // Member list with anonymized addresses
+  'join'      // Join-request form
+];
+
+// Outcomes recorded in the access log
+const ACCESS_OUTCOMES = ['granted', 'password_required', 'wrong_password', 'expired', 'used_up', 'revoked'];
+
+/**
+ * Share Link Schema
+ * One link per token
+ */
+const shareLinkSchema = new mongoose.Schema({
+  // Repository the link shares
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Repository',
+    required: true
+  },
+
+  // User who created the link
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // What the link gives access to
+  scope: {
+    type: String,
+    enum: SCOPES,
+    required: true
+  },
+
+  // Note for the team, e.g. "Sponsor deck"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // SHA-256 of the token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Start of the token, to tell links apart in lists
+  tokenPrefix: String,
+
+  // bcrypt hash of the link password, if any
+  passwordHash: {
+    type: String,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Opens allowed; null for no limit
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  // Opens so far
+  uses: {
+    type: Number,
+    default: 0
+  },
+
+  lastUsedAt: Date,
+
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Recent opens, latest last; capped by shareLinks.accessLogSize
+  accessLog: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    outcome: { type: String, enum: ACCESS_OUTCOMES },
+    ip: String,
+    userAgent: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Links of a repository, latest first
+shareLinkSchema.index({ repository: 1, createdAt: -1 });
+
+/**
+ * Hash Token
+ *
+ * @param {string} token - Token from the link
+ * @returns {string} Hex SHA-256 of the token
+ */
+shareLinkSchema.statics.hashToken = function(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Link Status
+ * Why a link can no longer be opened, or 'active'
+ *
+ * @param {Date} [now] - Time to check at
+ * @returns {string} 'active', 'revoked', 'expired' or 'used_up'
+ */
+shareLinkSchema.methods.status = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= now) return 'expired';
+  if (this.maxUses && this.uses >= this.maxUses) return 'used_up';
+  return 'active';
+};
+
+// Create and export the ShareLink model
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
+module.exports.SCOPES = SCOPES;
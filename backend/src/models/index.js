@@ -17,8 +17,19 @@
  * - Post: Content posts and articles
  * - Comment: Threaded discussions and replies
  * - Repository: Email repositories and collections
+ * - RepositoryMember: Addresses on repository email lists
  * - Email: Email processing and tracking
  * - Karma: User reputation and point tracking
+ * - EmailConfirmation: Audit trail for email-requested actions
+ * - ConsentRecord: Append-only double opt-in consent ledger
+ * - CsvImport: Progress and checkpoints of streamed CSV imports
+ * - CsvMappingTemplate: Saved CSV column mappings per user
+ * - Segment: Saved filters over repository email lists
+ * - RepositoryMerge: Repository merges, undoable for a while
+ * - RepositoryMergeSnapshot: Member values a merge changed, for undo
+ * - RepositoryChange: Append-only change log of repository email lists
+ * - ShareLink: Scoped, expiring links to a repository
+ * - SavedSearch: Saved searches that alert their owner to new matches
  * 
  * Database Operations:
  * - createIndexes(): Optimizes database performance
@@ -42,8 +53,19 @@ const User = require('./User.model');
 const Post = require('./Post.model');
 const Comment = require('./Comment.model');
 const Repository = require('./Repository.model');
+const RepositoryMember = require('./RepositoryMember.model');
 const Email = require('./Email.model');
 const Karma = require('./Karma.model');
+const EmailConfirmation = require('./EmailConfirmation.model');
+const ConsentRecord = require('./ConsentRecord.model');
+const CsvImport = require('./CsvImport.model');
+const CsvMappingTemplate = require('./CsvMappingTemplate.model');
+const Segment = require('./Segment.model');
+const RepositoryMerge = require('./RepositoryMerge.model');
+const RepositoryMergeSnapshot = require('./RepositoryMergeSnapshot.model');
+const RepositoryChange = require('./RepositoryChange.model');
+const ShareLink = require('./ShareLink.model');
+const SavedSearch = require('./SavedSearch.model');
 
 /**
  * Create Database Indexes
@@ -65,8 +87,19 @@ const createIndexes = async () => {
       Post.createIndexes(),        // Post content and ranking indexes
       Comment.createIndexes(),     // Comment threading and voting indexes
       Repository.createIndexes(),  // Repository discovery and management indexes
+      RepositoryMember.createIndexes(), // List membership, segment and address indexes
       Email.createIndexes(),       // Email processing and tracking indexes
-      Karma.createIndexes()        // Karma calculation and leaderboard indexes
+      Karma.createIndexes(),       // Karma calculation and leaderboard indexes
+      EmailConfirmation.createIndexes(), // Email confirmation token and audit indexes
+      ConsentRecord.createIndexes(), // Consent ledger subject and token indexes
+      CsvImport.createIndexes(),    // Import status per repository
+      CsvMappingTemplate.createIndexes(), // Template name per user
+      Segment.createIndexes(),      // Segment name per repository
+      RepositoryMerge.createIndexes(), // Merge history per repository
+      RepositoryMergeSnapshot.createIndexes(), // Undo snapshots per merge
+      RepositoryChange.createIndexes(), // Change history per repository and address
+      ShareLink.createIndexes(),    // Share link tokens and links per repository
+      SavedSearch.createIndexes()   // Saved searches per user and alert lookup keys
     ]);
     
     console.log('Database indexes created successfully');
@@ -115,8 +148,19 @@ module.exports = {
   Post,        // Content posts and articles
   Comment,     // Threaded discussions and comments
   Repository,  // Email repositories and collections
+  RepositoryMember, // Addresses on repository email lists
   Email,       // Email processing and tracking
   Karma,       // User reputation and karma system
+  EmailConfirmation, // Confirmation audit trail for email-requested actions
+  ConsentRecord,     // Append-only consent ledger for repository emails
+  CsvImport,         // Streamed CSV import progress and checkpoints
+  CsvMappingTemplate, // Saved CSV column mappings
+  Segment,           // Saved filters over repository email lists
+  RepositoryMerge,   // Repository merges
+  RepositoryMergeSnapshot, // Member values changed by merges, for undo
+  RepositoryChange,  // Change log of repository email lists
+  ShareLink,         // Scoped, expiring repository links
+  SavedSearch,       // Saved searches and their alerts
   
   // Database initialization functions
   initializeModels,  // Complete database setup
@@ -60,6 +60,9 @@ const websocketHandlers = require('./websocket');
 // Background worker processes for email processing and scheduled tasks
 const workers = require('./workers');
 
+// Inbound email transports (provider webhook, SMTP/LMTP listener, maildir polling)
+const inboundTransportService = require('./services/inbound');
+
 /**
  * HTTP Server Setup
  * Creates an HTTP server instance that can handle both regular HTTP requests
@@ -180,6 +183,10 @@ const gracefulShutdown = async (signal) => {
     logger.info('HTTP server closed');
     
     try {
+      // Stop receiving mail before tearing down the queue it feeds
+      await inboundTransportService.stopAll();
+      logger.info('Inbound email transports stopped');
+      
       // Close database connections gracefully to prevent data corruption
       await mongoose.connection.close();
       logger.info('MongoDB connection closed');
@@ -276,6 +283,10 @@ const startServer = async () => {
     await workers.startAll();
     logger.info('Background workers started');
 
+    // Start inbound transports that listen on their own (SMTP/LMTP, maildir)
+    await inboundTransportService.startAll();
+    logger.info('Inbound email transports started');
+
     /**
      * HTTP Server Startup
      * Start the main HTTP server on the configured port and host
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Anthropic Content Intelligence Provider
+ *
+ * Claude models through the Messages API, called with axios.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const axios = require('axios');
+const aiConfig = require('../../config/ai.config');
+const ChatProvider = require('./chat.provider');
+
+const MESSAGES_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+class AnthropicProvider extends ChatProvider {
+  constructor() {
+    super('anthropic', aiConfig.anthropic);
+  }
+
+  // Feature models name OpenAI models, so Claude always uses its own
+  async complete({ system, text }) {
+    const response = await axios.post(MESSAGES_URL, {
+      model: this.settings.model,
+      max_tokens: this.settings.maxTokens,
+      system,
+      messages: [{ role: 'user', content: text }]
+    }, {
+      headers: {
+        'x-api-key': this.settings.apiKey,
+        'anthropic-version': API_VERSION,
+        'content-type': 'application/json'
+      },
+      timeout: aiConfig.requestTimeout
+    });
+
+    return (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Chat Model Provider Base
+ *
+ * Shared task logic for providers that answer a system prompt plus content
+ * with free text (OpenAI, Anthropic). Subclasses only implement
+ * `complete()`; prompts come from ai.config features and answers are
+ * parsed here.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const aiConfig = require('../../config/ai.config');
+
+class ChatProvider {
+  /**
+   * @param {string} name - Provider name, as used in ai.config providers
+   * @param {Object} settings - Provider section of ai.config
+   */
+  constructor(name, settings) {
+    this.name = name;
+    this.settings = settings;
+  }
+
+  /**
+   * @returns {boolean} True if the provider has an API key
+   */
+  isAvailable() {
+    return !!this.settings.apiKey;
+  }
+
+  /**
+   * Send one prompt to the model.
+   *
+   * @param {Object} request
+   * @param {string} request.system - System prompt
+   * @param {string} request.text - User content
+   * @param {string} [request.model] - Model from the feature config
+   * @returns {Promise<string>} Model answer
+   */
+  // eslint-disable-next-line no-unused-vars
+  complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  async suggestHashtags(text, { max }) {
+    const feature = aiConfig.features.hashtagSuggestion;
+    const answer = await this.complete({
+      system: `${feature.systemPrompt} Suggest at most ${max}.`,
+      text,
+      model: feature.model
+    });
+
+    return answer.split(/[,\n]/).map(tag => tag.trim()).filter(Boolean);
+  }
+
+  async summarize(text, { maxLength }) {
+    const feature = aiConfig.features.contentSummarization;
+    const answer = await this.complete({
+      system: feature.systemPrompt.replace(/\d+ characters/, `${maxLength} characters`),
+      text,
+      model: feature.model
+    });
+
+    return answer.trim().replace(/^["']|["']$/g, '');
+  }
+
+  async scoreTopics(text, { topics }) {
+    const feature = aiConfig.features.topicExtraction;
+    const answer = await this.complete({
+      system: `Score how strongly this content is about each of these topics, from 0 to 1: ${topics.join(', ')}. ` +
+        'Respond with only a JSON object mapping each topic to its score.',
+      text,
+      model: feature.model
+    });
+
+    const json = answer.match(/\{[\s\S]*\}/);
+    if (!json) throw new Error(`${this.name} returned no topic scores`);
+    return JSON.parse(json[0]);
+  }
+
+  async analyzeSentiment(text) {
+    const feature = aiConfig.features.sentimentAnalysis;
+    const answer = await this.complete({
+      system: feature.systemPrompt,
+      text,
+      model: feature.model
+    });
+
+    const score = parseFloat((answer.match(/-?\d+(\.\d+)?/) || [])[0]);
+    if (!Number.isFinite(score)) throw new Error(`${this.name} returned no sentiment score`);
+    return score;
+  }
+}
+
+module.exports = ChatProvider;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview HuggingFace Content Intelligence Provider
+ *
+ * Task-specific models through the HuggingFace Inference API: BART for
+ * summaries, zero-shot BART-MNLI for topic scores and DistilBERT SST-2 for
+ * sentiment. It has no hashtag model, so hashtag requests move on to the
+ * next provider in the chain.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const axios = require('axios');
+const aiConfig = require('../../config/ai.config');
+
+const INFERENCE_URL = 'https://api-inference.huggingface.co/models';
+
+class HuggingFaceProvider {
+  constructor() {
+    this.name = 'huggingface';
+    this.settings = aiConfig.huggingface;
+  }
+
+  isAvailable() {
+    return !!this.settings.apiKey;
+  }
+
+  /**
+   * @param {string} model - Model id
+   * @param {Object} body - Inference request body
+   * @returns {Promise<*>} Model output
+   */
+  async infer(model, body) {
+    const response = await axios.post(`${INFERENCE_URL}/${model}`, body, {
+      headers: { Authorization: `Bearer ${this.settings.apiKey}` },
+      timeout: aiConfig.requestTimeout
+    });
+    return response.data;
+  }
+
+  async summarize(text, { maxLength }) {
+    const output = await this.infer(this.settings.models.summarization, {
+      inputs: text,
+      // BART counts tokens, not characters; ~4 characters per token
+      parameters: { max_length: Math.ceil(maxLength / 4) }
+    });
+    return output?.[0]?.summary_text || '';
+  }
+
+  async scoreTopics(text, { topics }) {
+    const output = await this.infer(this.settings.models.zeroShot, {
+      inputs: text,
+      parameters: { candidate_labels: topics, multi_label: true }
+    });
+
+    return (output.labels || []).reduce((scores, label, i) => {
+      scores[label] = output.scores[i];
+      return scores;
+    }, {});
+  }
+
+  async analyzeSentiment(text) {
+    const output = await this.infer(this.settings.models.classification, { inputs: text });
+    // Classification returns one list of labels per input
+    const labels = Array.isArray(output?.[0]) ? output[0] : output;
+    const score = (label) => (labels.find(entry => entry.label === label) || {}).score || 0;
+    return score('POSITIVE') - score('NEGATIVE');
+  }
+}
+
+module.exports = HuggingFaceProvider;
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Local Content Intelligence Provider
+ *
+ * Offline backend built on `natural`. It needs no API key and no network,
+ * so it is always the last provider in the chain and the one that answers
+ * when a feature is disabled, a user is over quota or every remote
+ * provider failed.
+ *
+ * Techniques (ai.config fallback.strategies):
+ * - Hashtags: explicit #tags first, then TF-IDF keywords; every sentence
+ *   is a document, so words spread across the text outrank one-off ones
+ * - Summary: sentence extraction, sentences scored by the TF-IDF weight of
+ *   their words and kept in their original order
+ * - Topics: stemmed keyword lexicon per configured topic
+ * - Sentiment: AFINN lexicon through natural's SentimentAnalyzer
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const natural = require('natural');
+const { extractHashtags } = require('../../utils/helpers');
+
+// Keywords per topic; matched on stems so 'securing' counts for 'secure'
+const TOPIC_KEYWORDS = {
+  programming: ['code', 'programming', 'javascript', 'python', 'rust', 'golang', 'java', 'typescript', 'compiler', 'function', 'library', 'framework', 'api', 'debug', 'refactor', 'developer'],
+  security: ['security', 'vulnerability', 'exploit', 'breach', 'encryption', 'malware', 'password', 'attack', 'privacy', 'cve', 'phishing', 'ransomware', 'authentication'],
+  ai: ['ai', 'llm', 'model', 'neural', 'learning', 'gpt', 'transformer', 'training', 'inference', 'embedding', 'dataset', 'machine'],
+  science: ['research', 'study', 'physics', 'biology', 'chemistry', 'experiment', 'scientist', 'paper', 'space', 'climate', 'quantum', 'theory'],
+  business: ['startup', 'funding', 'revenue', 'market', 'company', 'investor', 'acquisition', 'customer', 'pricing', 'growth', 'ipo', 'valuation'],
+  design: ['design', 'ux', 'ui', 'typography', 'interface', 'layout', 'font', 'color', 'usability', 'accessibility', 'figma'],
+  devops: ['deploy', 'kubernetes', 'docker', 'cloud', 'server', 'infrastructure', 'aws', 'monitoring', 'pipeline', 'database', 'latency', 'outage'],
+  hardware: ['chip', 'cpu', 'gpu', 'hardware', 'semiconductor', 'battery', 'device', 'laptop', 'phone', 'arm', 'risc', 'silicon'],
+  'open-source': ['open', 'source', 'github', 'license', 'contributor', 'maintainer', 'fork', 'repository', 'community', 'mit', 'gpl'],
+  career: ['job', 'hiring', 'career', 'salary', 'interview', 'remote', 'manager', 'layoff', 'engineer', 'resume', 'team']
+};
+
+// Matched keywords at which a topic scores 1
+const TOPIC_SATURATION = 4;
+
+// Words shorter than this are never keywords
+const MIN_KEYWORD_LENGTH = 3;
+
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.tokenizer = new natural.WordTokenizer();
+    this.sentenceTokenizer = new natural.SentenceTokenizer();
+    this.sentimentAnalyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
+    this.stopwords = new Set(natural.stopwords);
+    this.topicStems = Object.fromEntries(
+      Object.entries(TOPIC_KEYWORDS).map(([topic, words]) => [topic, new Set(words.map(word => natural.PorterStemmer.stem(word)))])
+    );
+  }
+
+  /**
+   * The local backend never needs configuration.
+   *
+   * @returns {boolean} Always true
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * @param {string} text - Input text
+   * @returns {string[]} Sentences, or the whole text if it has none
+   */
+  sentences(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return [];
+
+    try {
+      const sentences = this.sentenceTokenizer.tokenize(trimmed).map(sentence => sentence.trim()).filter(Boolean);
+      return sentences.length > 0 ? sentences : [trimmed];
+    } catch (error) {
+      // The sentence tokenizer throws on text without sentence punctuation
+      return [trimmed];
+    }
+  }
+
+  /**
+   * @param {string} text - Input text
+   * @returns {string[]} Lowercase words worth weighing: no stopwords, numbers or short words
+   */
+  keywords(text) {
+    return this.tokenizer.tokenize(String(text || '').toLowerCase())
+      .filter(word => word.length >= MIN_KEYWORD_LENGTH && !this.stopwords.has(word) && !/^\d+$/.test(word));
+  }
+
+  /**
+   * Build a TF-IDF index over the sentences of a text.
+   *
+   * @param {string[]} sentences - Sentences of the text
+   * @returns {{ tfidf: natural.TfIdf, weights: Map<string, number> }} Index
+   *   and each keyword's TF-IDF weight summed over all sentences
+   */
+  index(sentences) {
+    const tfidf = new natural.TfIdf();
+    sentences.forEach(sentence => tfidf.addDocument(this.keywords(sentence)));
+
+    const weights = new Map();
+    sentences.forEach((sentence, i) => {
+      tfidf.listTerms(i).forEach(({ term, tfidf: weight }) => {
+        weights.set(term, (weights.get(term) || 0) + weight);
+      });
+    });
+
+    return { tfidf, weights };
+  }
+
+  /**
+   * @param {string} text - Content to tag
+   * @param {Object} options
+   * @param {number} options.max - Most hashtags to return
+   * @returns {string[]} Explicit #tags first, then keywords by weight
+   */
+  suggestHashtags(text, { max }) {
+    const explicit = extractHashtags(String(text || ''));
+    const { weights } = this.index(this.sentences(String(text || '').replace(/#[\w]+/g, ' ')));
+
+    const ranked = [...weights.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([term]) => term);
+
+    return [...new Set([...explicit, ...ranked])].slice(0, max);
+  }
+
+  /**
+   * @param {string} text - Content to summarize
+   * @param {Object} options
+   * @param {number} options.maxLength - Longest summary, in characters
+   * @returns {string} Highest-weighted sentences, in text order
+   */
+  summarize(text, { maxLength }) {
+    const sentences = this.sentences(text);
+    if (sentences.length <= 1) return sentences[0] || '';
+
+    const { weights } = this.index(sentences);
+    const ranked = sentences
+      .map((sentence, position) => {
+        const words = this.keywords(sentence);
+        const weight = words.reduce((sum, word) => sum + (weights.get(word) || 0), 0);
+        // Normalize by length so long sentences do not win by size alone;
+        // the lead sentence gets a small boost, as it usually sets the topic
+        return { sentence, position, score: (words.length ? weight / Math.sqrt(words.length) : 0) * (position === 0 ? 1.2 : 1) };
+      })
+      .sort((a, b) => b.score - a.score || a.position - b.position);
+
+    const picked = [];
+    let length = 0;
+    for (const candidate of ranked) {
+      if (picked.length > 0 && length + candidate.sentence.length + 1 > maxLength) continue;
+      picked.push(candidate);
+      length += candidate.sentence.length + 1;
+    }
+
+    return picked
+      .sort((a, b) => a.position - b.position)
+      .map(candidate => candidate.sentence)
+      .join(' ');
+  }
+
+  /**
+   * @param {string} text - Content to score
+   * @param {Object} options
+   * @param {string[]} options.topics - Topics to score
+   * @returns {Object} Score in [0, 1] per topic
+   */
+  scoreTopics(text, { topics }) {
+    const stems = this.keywords(text).map(word => natural.PorterStemmer.stem(word));
+
+    return topics.reduce((scores, topic) => {
+      const lexicon = this.topicStems[topic] || new Set([natural.PorterStemmer.stem(topic)]);
+      const matches = stems.filter(stem => lexicon.has(stem)).length;
+      scores[topic] = Math.min(1, matches / TOPIC_SATURATION);
+      return scores;
+    }, {});
+  }
+
+  /**
+   * @param {string} text - Content to rate
+   * @returns {number} Sentiment in (-1, 1)
+   */
+  analyzeSentiment(text) {
+    const words = this.tokenizer.tokenize(String(text || '').toLowerCase());
+    if (words.length === 0) return 0;
+
+    // AFINN averages run from -5 to 5 but sit near 0 for real text;
+    // tanh spreads them over (-1, 1) without a hard cut-off
+    const score = this.sentimentAnalyzer.getSentiment(words);
+    return Math.tanh(Number.isFinite(score) ? score : 0);
+  }
+}
+
+module.exports = LocalProvider;
+module.exports.TOPIC_KEYWORDS = TOPIC_KEYWORDS;
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Content Intelligence Result Normalization
+ *
+ * Every provider answers in its own shape: chat models return free text,
+ * HuggingFace returns label/score arrays, the local backend works on
+ * tokens. These helpers bring results into the shape stored on
+ * Post.aiMetadata, so callers get the same thing whichever provider
+ * answered.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Hashtags shorter or longer than this are dropped, as in email posting
+const MIN_HASHTAG_LENGTH = 3;
+const MAX_HASHTAG_LENGTH = 29;
+
+/**
+ * @param {string} tag - Raw tag, with or without '#'
+ * @returns {string|null} Lowercase hashtag without '#', or null if unusable
+ */
+const normalizeHashtag = (tag) => {
+  const cleaned = String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/^-+|-+$/g, '');
+
+  if (cleaned.length < MIN_HASHTAG_LENGTH || cleaned.length > MAX_HASHTAG_LENGTH) return null;
+  if (/^\d+$/.test(cleaned)) return null;
+  return cleaned;
+};
+
+/**
+ * @param {string[]} tags - Raw tags
+ * @param {number} max - Most tags to keep
+ * @returns {string[]} Unique normalized hashtags, in the order given
+ */
+const normalizeHashtags = (tags, max) => {
+  const unique = [...new Set((tags || []).map(normalizeHashtag).filter(Boolean))];
+  return max ? unique.slice(0, max) : unique;
+};
+
+/**
+ * Cut a summary to maxLength at a word boundary.
+ *
+ * @param {string} summary - Raw summary
+ * @param {number} maxLength - Longest summary allowed, in characters
+ * @returns {string} Summary of at most maxLength characters
+ */
+const truncateSummary = (summary, maxLength) => {
+  const text = String(summary || '').replace(/\s+/g, ' ').trim();
+  if (!maxLength || text.length <= maxLength) return text;
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+};
+
+/**
+ * @param {number} value - Raw score
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} value clamped to [min, max], 0 if not a number
+ */
+const clamp = (value, min, max) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 0;
+  return Math.min(max, Math.max(min, number));
+};
+
+/**
+ * @param {number} value - Raw sentiment
+ * @returns {number} Sentiment in [-1, 1], rounded to 3 decimals
+ */
+const normalizeSentiment = (value) => Math.round(clamp(value, -1, 1) * 1000) / 1000;
+
+/**
+ * Keep only the configured topics, with scores in [0, 1].
+ *
+ * @param {Object} scores - Raw scores keyed by topic
+ * @param {string[]} topics - Configured topics
+ * @returns {Object} Score for every configured topic
+ */
+const normalizeTopicScores = (scores, topics) => {
+  const lookup = {};
+  Object.entries(scores || {}).forEach(([topic, score]) => {
+    lookup[String(topic).toLowerCase().trim()] = score;
+  });
+
+  return topics.reduce((result, topic) => {
+    result[topic] = Math.round(clamp(lookup[topic], 0, 1) * 1000) / 1000;
+    return result;
+  }, {});
+};
+
+module.exports = {
+  normalizeHashtag,
+  normalizeHashtags,
+  truncateSummary,
+  normalizeSentiment,
+  normalizeTopicScores
+};
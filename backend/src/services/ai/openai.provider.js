@@ -0,0 +1,53 @@
+/**
+ * @fileoverview OpenAI Content Intelligence Provider
+ *
+ * Chat completions through the official `openai` client. The client is
+ * created on first use so loading this module never needs an API key.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const OpenAI = require('openai');
+const aiConfig = require('../../config/ai.config');
+const ChatProvider = require('./chat.provider');
+
+class OpenAIProvider extends ChatProvider {
+  constructor() {
+    super('openai', aiConfig.openai);
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.settings.apiKey,
+        timeout: aiConfig.requestTimeout,
+        // Retries are handled by ai.service across the whole provider chain
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  async complete({ system, text, model }) {
+    const response = await this.getClient().chat.completions.create({
+      model: model || this.settings.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: text }
+      ],
+      temperature: this.settings.temperature,
+      max_tokens: this.settings.maxTokens,
+      top_p: this.settings.topP,
+      frequency_penalty: this.settings.frequencyPenalty,
+      presence_penalty: this.settings.presencePenalty
+    });
+
+    return response.choices?.[0]?.message?.content || '';
+  }
+}
+
+module.exports = OpenAIProvider;
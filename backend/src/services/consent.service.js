@@ -0,0 +1,400 @@
+/**
+ * @fileoverview Consent Service
+ *
+ * Double opt-in for repository email lists, backed by the append-only
+ * ConsentRecord ledger.
+ *
+ * Every address added to a repository starts with consent 'pending' and
+ * receives no repository mail until its owner confirms:
+ * 1. requestConsent() records a 'requested' entry with the source and the
+ *    hashed token, then mails the address a confirmation link
+ * 2. confirm() records a 'confirmed' entry with the confirming client's IP
+ *    and user agent, and marks the repository entry confirmed
+ * 3. revoke() records a 'revoked' entry and opts the address out
+ *
+ * The member's consent field mirrors the latest ledger state so
+ * distribution can filter without reading the ledger. exportLedger()
+ * returns everything recorded about one data subject.
+ *
+ * Dependencies:
+ * - ../models/ConsentRecord.model: The ledger
+ * - ../models/Repository.model: Repository names for confirmations
+ * - ../models/RepositoryMember.model: Mirrored consent state on members
+ * - ./email.service: Confirmation emails (required lazily, see sendRequest)
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { createHash, createHmac, randomBytes, timingSafeEqual } = require('crypto');
+const ConsentRecord = require('../models/ConsentRecord.model');
+const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Ledger source for each RepositoryMember.source
+const LEDGER_SOURCES = {
+ manual: 'manual',
+ csv: 'csv',
+ csv_upload: 'csv',
+ snowball: 'snowball',
+ api: 'api',
+ merge: 'merge',
+ share_link: 'share_link'
+};
+
+// Change log channel for each revocation channel
+const REVOKE_CHANNELS = {
+ 'remove-email': 'email',
+ 'list-unsubscribe': 'api'
+};
+
+const EXPORT_FIELDS = ['action', 'source', 'createdAt', 'expiresAt', 'ip', 'userAgent', 'channel', 'tokenHash', 'hash'];
+
+/**
+ * @param {string} token - Confirmation token
+ * @returns {string} Hex SHA-256 of the token
+ */
+const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * @param {Object} entry - RepositoryMember
+ * @param {Object} fields - Consent fields to set
+ */
+const setConsent = (entry, fields) => {
+ if (!entry.consent) entry.consent = {};
+ Object.assign(entry.consent, fields);
+};
+
+const escapeHtml = (value) => String(value)
+ .replace(/&/g, '&amp;')
+ .replace(/</g, '&lt;')
+ .replace(/>/g, '&gt;')
+ .replace(/"/g, '&quot;');
+
+/**
+ * @param {*} value - CSV cell value
+ * @returns {string} Quoted cell
+ */
+const csvCell = (value) => {
+ if (value === null || value === undefined) return '';
+ const text = value instanceof Date ? value.toISOString() : String(value);
+ return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class ConsentService {
+ /**
+  * Record a consent request for one member and mark it pending. Does not
+  * send mail or save the member.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} entry - RepositoryMember
+  * @param {Object} [context]
+  * @param {string} [context.source] - Ledger source; defaults from entry.source
+  * @param {string} [context.token] - Token to use, if the caller already mailed one
+  * @param {ObjectId} [context.actor] - User who added the address
+  * @param {string} [context.ip] - Client IP of the request that added it
+  * @param {string} [context.userAgent] - Client user agent
+  * @returns {Promise<{token: string, expiresAt: Date}>}
+  */
+ async createRequest(repository, entry, { source, token, actor, ip, userAgent } = {}) {
+   const confirmationToken = token || randomBytes(32).toString('hex');
+   const expiresAt = new Date(Date.now() + config.email.consent.requestTtl * 1000);
+
+   await ConsentRecord.create({
+     email: entry.email,
+     repository: repository._id,
+     action: 'requested',
+     source: source || LEDGER_SOURCES[entry.source] || 'manual',
+     tokenHash: hashToken(confirmationToken),
+     expiresAt,
+     actor: actor || entry.addedBy,
+     ip,
+     userAgent
+   });
+
+   setConsent(entry, { status: 'pending', requestedAt: new Date() });
+   return { token: confirmationToken, expiresAt };
+ }
+
+ /**
+  * Ask newly added addresses to confirm, saving their members. Call after
+  * adding addresses by any route. Addresses already asked, or opted out,
+  * are skipped.
+  *
+  * @param {Object} repository - Repository document
+  * @param {string[]} emails - Addresses just added
+  * @param {Object} [context] - See createRequest
+  * @returns {Promise<number>} Number of confirmation emails sent
+  */
+ async requestConsent(repository, emails, context = {}) {
+   const members = await RepositoryMember.find({
+     repository: repository._id,
+     email: { $in: [...new Set(emails.map(email => String(email).toLowerCase()))] },
+     optedOut: { $ne: true }
+   });
+   const unasked = members.filter(entry =>
+     !entry.consent || (entry.consent.status === 'pending' && !entry.consent.requestedAt)
+   );
+   if (unasked.length === 0) return 0;
+
+   const requests = [];
+   for (const entry of unasked) {
+     requests.push({ email: entry.email, ...await this.createRequest(repository, entry, context) });
+     await entry.save();
+   }
+
+   for (const { email, token, expiresAt } of requests) {
+     await this.sendRequest(repository, email, token, expiresAt);
+   }
+
+   logger.info('Consent requested', { repositoryId: repository._id, count: requests.length });
+   return requests.length;
+ }
+
+ /**
+  * Confirm consent with a token from a confirmation email. Only the most
+  * recent request for an address can be confirmed; a repeat confirmation
+  * of the same token returns the earlier result.
+  *
+  * @param {string} token - Confirmation token
+  * @param {Object} [client]
+  * @param {string} [client.ip] - Confirming client IP
+  * @param {string} [client.userAgent] - Confirming client user agent
+  * @returns {Promise<Object|null>} { email, repository } or null if the token
+  *   is unknown, expired or superseded
+  */
+ async confirm(token, { ip, userAgent } = {}) {
+   const tokenHash = hashToken(token);
+   const request = await ConsentRecord.findOne({ tokenHash, action: 'requested' });
+   if (!request || request.expiresAt <= new Date()) {
+     return null;
+   }
+
+   const latest = await ConsentRecord.findOne({ email: request.email, repository: request.repository })
+     .sort({ createdAt: -1, _id: -1 });
+   const alreadyConfirmed = latest.action === 'confirmed' && latest.tokenHash === tokenHash;
+   if (!latest._id.equals(request._id) && !alreadyConfirmed) {
+     return null;
+   }
+
+   const repository = await Repository.findById(request.repository).select('name slug');
+   const entry = repository && await RepositoryMember.findOne({ repository: repository._id, email: request.email });
+   if (!entry) {
+     return null;
+   }
+
+   if (!alreadyConfirmed) {
+     await ConsentRecord.create({
+       email: request.email,
+       repository: request.repository,
+       action: 'confirmed',
+       source: request.source,
+       tokenHash,
+       ip,
+       userAgent
+     });
+
+     // Confirming from the mailbox also proves the address is real
+     setConsent(entry, { status: 'confirmed', confirmedAt: new Date() });
+     entry.verified = true;
+     await entry.saveWithHistory({ channel: 'api', operation: 'consent_confirmed' });
+     await RepositoryMember.refreshStats(repository._id);
+
+     logger.info('Consent confirmed', { repositoryId: repository._id });
+   }
+
+   return {
+     email: request.email,
+     repository: { _id: repository._id, name: repository.name, slug: repository.slug }
+   };
+ }
+
+ /**
+  * Record a withdrawal of consent and opt the address out.
+  *
+  * @param {Object} repository - Repository document
+  * @param {string} email - Address
+  * @param {Object} [context]
+  * @param {string} context.channel - How the revocation arrived
+  * @param {ObjectId} [context.actor] - User revoking on the subject's behalf
+  * @param {string} [context.ip] - Client IP
+  * @param {string} [context.userAgent] - Client user agent
+  * @returns {Promise<boolean>} False if the address is not on the repository
+  */
+ async revoke(repository, email, { channel, actor, ip, userAgent } = {}) {
+   const address = String(email).toLowerCase();
+   const entry = await RepositoryMember.findOne({ repository: repository._id, email: address });
+   if (!entry) {
+     return false;
+   }
+
+   await ConsentRecord.create({
+     email: address,
+     repository: repository._id,
+     action: 'revoked',
+     channel,
+     actor,
+     ip,
+     userAgent
+   });
+
+   setConsent(entry, { status: 'revoked', revokedAt: new Date() });
+   entry.optedOut = true;
+   await entry.saveWithHistory({
+     channel: REVOKE_CHANNELS[channel] || 'api',
+     operation: 'consent_revoked',
+     actor
+   });
+   await RepositoryMember.refreshStats(repository._id);
+
+   return true;
+ }
+
+ /**
+  * Consent of addresses as the ledger records it, for members put back
+  * on a repository: consent is never taken from an older copy of the list.
+  *
+  * @param {Object} repository - Repository document
+  * @param {string[]} emails - Lowercase addresses
+  * @returns {Promise<Map<string, Object>>} Address to RepositoryMember
+  *   consent fields; addresses without records are left out
+  */
+ async consentStates(repository, emails) {
+   const records = await ConsentRecord.find({ repository: repository._id, email: { $in: emails } })
+     .sort({ createdAt: 1, _id: 1 })
+     .lean();
+   const states = new Map();
+
+   for (const { email, action, createdAt } of records) {
+     const state = states.get(email) || { status: 'pending' };
+     if (action === 'requested') states.set(email, { status: 'pending', requestedAt: createdAt });
+     if (action === 'confirmed') states.set(email, { ...state, status: 'confirmed', confirmedAt: createdAt });
+     if (action === 'revoked') states.set(email, { ...state, status: 'revoked', revokedAt: createdAt });
+   }
+
+   return states;
+ }
+
+ /**
+  * Everything the ledger holds about one data subject, grouped by
+  * repository, with the current state and a chain integrity check.
+  *
+  * @param {string} email - Data subject's address
+  * @returns {Promise<Object>} { email, generatedAt, repositories[] }
+  */
+ async exportLedger(email) {
+   const address = String(email).toLowerCase();
+   const records = await ConsentRecord.find({ email: address })
+     .sort({ repository: 1, createdAt: 1, _id: 1 })
+     .populate('repository', 'name slug');
+
+   const groups = new Map();
+   for (const record of records) {
+     const repository = record.repository || {};
+     const key = String(repository._id || record.repository);
+     if (!groups.has(key)) {
+       groups.set(key, {
+         repository: { _id: repository._id || record.repository, name: repository.name, slug: repository.slug },
+         records: []
+       });
+     }
+     groups.get(key).records.push(record);
+   }
+
+   return {
+     email: address,
+     generatedAt: new Date(),
+     repositories: [...groups.values()].map(({ repository, records: pairRecords }) => ({
+       repository,
+       status: pairRecords[pairRecords.length - 1].action,
+       intact: ConsentRecord.verifyChain(pairRecords.map(record => ({
+         ...record.toObject(),
+         repository: repository._id
+       }))),
+       records: pairRecords.map(record =>
+         EXPORT_FIELDS.reduce((fields, name) => ({ ...fields, [name]: record[name] ?? null }), {})
+       )
+     }))
+   };
+ }
+
+ /**
+  * @param {Object} ledger - Output of exportLedger
+  * @returns {string} One CSV row per ledger record
+  */
+ ledgerToCsv(ledger) {
+   const header = ['email', 'repository', 'repository_slug', ...EXPORT_FIELDS];
+   const rows = [header.join(',')];
+
+   for (const { repository, records } of ledger.repositories) {
+     for (const record of records) {
+       rows.push([
+         ledger.email,
+         repository.name,
+         repository.slug,
+         ...EXPORT_FIELDS.map(name => record[name])
+       ].map(csvCell).join(','));
+     }
+   }
+
+   return rows.join('\n');
+ }
+
+ /**
+  * Stateless token for the export link in consent emails, so people who
+  * are on a list but have no account can still get their records.
+  *
+  * @param {string} email - Data subject's address
+  * @returns {string} Hex HMAC
+  */
+ buildExportToken(email) {
+   return createHmac('sha256', config.jwt.secret)
+     .update(`consent-export:${String(email).toLowerCase()}`)
+     .digest('hex');
+ }
+
+ verifyExportToken(email, token) {
+   const expected = Buffer.from(this.buildExportToken(email), 'hex');
+   const actual = Buffer.from(String(token), 'hex');
+   return actual.length === expected.length && timingSafeEqual(actual, expected);
+ }
+
+ getExportUrl(email) {
+   return `${process.env.BASE_URL}/api/email/consent/export` +
+     `?email=${encodeURIComponent(email)}&token=${this.buildExportToken(email)}`;
+ }
+
+ getConfirmUrl(token) {
+   // The page POSTs the token; a bare GET would be confirmed by any link
+   // scanner that prefetches the message
+   return `${process.env.FRONTEND_URL}/consent/${token}`;
+ }
+
+ async sendRequest(repository, email, token, expiresAt) {
+   // Required here: email.service depends on snowball.service, which
+   // depends on this service
+   const emailService = require('./email.service');
+   const confirmUrl = this.getConfirmUrl(token);
+   const expires = expiresAt.toUTCString();
+
+   await emailService.queueEmail('send-email', {
+     to: email,
+     subject: `Confirm your subscription to ${repository.name}`,
+     text: `You were added to the "${repository.name}" list on Shadownews.\n\n` +
+       `To start receiving its mail, confirm here: ${confirmUrl}\n\n` +
+       `If you don't confirm by ${expires}, you won't hear from this list.\n` +
+       `See what we hold about your consent: ${this.getExportUrl(email)}`,
+     html: `<p>You were added to the list <strong>${escapeHtml(repository.name)}</strong> on Shadownews.</p>` +
+       `<p><a href="${confirmUrl}">Confirm your subscription</a> to start receiving its mail.</p>` +
+       `<p>If you don't confirm by ${expires}, you won't hear from this list.</p>` +
+       `<p><a href="${this.getExportUrl(email)}">See what we hold about your consent</a></p>`,
+     metadata: { type: 'consent-request', repositoryId: String(repository._id) }
+   });
+ }
+}
+
+module.exports = new ConsentService();
@@ -39,7 +39,7 @@
  * - crypto: Hash generation for file integrity
  * - validator: Email validation utilities
  * - Repository.model: Email repository data model
- * - Email.model: Individual email record model
+ * - RepositoryMember.model: Addresses on repository email lists
  * - snowball.service: Viral growth and referral system
  * - email.service: Email sending and notification system
  * - validators: Custom validation utilities
@@ -73,7 +73,7 @@ const validator = require('validator');
 
 // Database models for email and repository management
 const Repository = require('../models/Repository.model');
-const Email = require('../models/Email.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
 
 // Logging utility for audit trails and debugging
 const { logger } = require('../utils/logger');
@@ -430,19 +430,22 @@ class CSVService {
    */
   async generateCSV(repositoryId, options = {}) {
     try {
-      // Fetch repository with populated email data
-      const repository = await Repository.findById(repositoryId)
-        .populate('emails', 'email name tags verified addedAt');
+      const repository = await Repository.findById(repositoryId).select('name');
 
       if (!repository) {
         throw new Error('Repository not found');
       }
 
+      const members = await RepositoryMember.find({ repository: repository._id })
+        .select('email name metadata.tags verified addedAt')
+        .sort({ addedAt: 1 })
+        .lean();
+
       // Transform email data for CSV export
-      const data = repository.emails.map(email => ({
+      const data = members.map(email => ({
         email: email.email,
         name: email.name || '',
-        tags: Array.isArray(email.tags) ? email.tags.join(';') : '',
+        tags: email.metadata && Array.isArray(email.metadata.tags) ? email.metadata.tags.join(';') : '',
         verified: email.verified ? 'true' : 'false',
         addedAt: email.addedAt.toISOString()
       }));
@@ -632,25 +635,22 @@ class CSVService {
    * duplicates and updating repository statistics.
    * 
    * Integration Features:
-   * - Duplicate detection against existing repository emails
-   * - Bulk email document creation for performance
+   * - Duplicate detection against existing repository members
+   * - Bulk RepositoryMember creation for performance
    * - Repository statistics updates
-   * - Snowball growth tracking (if enabled)
    * - Comprehensive error handling
    * 
    * @param {Array<Object>} emails - Array of processed email objects
    * @param {string} repositoryId - Target repository MongoDB ObjectId
    * @param {Object} options - Integration options
-   * @param {boolean} [options.updateSnowballStats] - Update viral growth statistics
+   * @param {string} [options.userId] - User adding the emails
+   * @param {string} [options.channel] - Change log channel; 'worker' by default
    * @returns {Promise<Object>} Integration results with counts and metadata
    * 
    * @throws {Error} Repository not found or integration errors
    * 
    * @example
-   * // Add emails to repository with snowball tracking
-   * const result = await csvService.addToRepository(emails, 'repo123', {
-   *   updateSnowballStats: true
-   * });
+   * const result = await csvService.addToRepository(emails, 'repo123', { userId });
    * 
    * @since 1.0.0
    * @async
@@ -658,46 +658,30 @@ class CSVService {
   async addToRepository(emails, repositoryId, options = {}) {
     try {
       // Fetch target repository
-      const repository = await Repository.findById(repositoryId);
+      const repository = await Repository.findById(repositoryId).select('_id');
       if (!repository) {
         throw new Error('Repository not found');
       }
 
-      // Get existing emails for duplicate detection
-      const existingEmails = new Set(
-        repository.emails.map(e => e.email.toLowerCase())
-      );
-
-      // Filter out duplicates
-      const newEmails = emails.filter(e => !existingEmails.has(e.email.toLowerCase()));
-
-      if (newEmails.length === 0) {
-        return {
-          added: 0,
-          duplicates: emails.length
-        };
+      // Addresses already on the list are skipped; the CSV's verified
+      // column is not trusted, members verify by double opt-in
+      const added = await RepositoryMember.addMembers(repository._id, emails.map(entry => ({
+        email: entry.email,
+        name: entry.name,
+        addedBy: entry.addedBy || options.userId,
+        source: 'csv',
+        metadata: { tags: entry.tags || [] }
+      })), { channel: options.channel || 'worker', operation: 'csv_import', actor: options.userId });
+
+      if (added.length > 0) {
+        await RepositoryMember.refreshStats(repository._id);
       }
 
-      // Bulk insert new email documents
-      const emailDocs = await Email.insertMany(newEmails, { ordered: false });
-      
-      // Update repository with new email references
-      repository.emails.push(...emailDocs.map(e => e._id));
-      repository.stats.totalEmails += emailDocs.length;
-      repository.stats.lastUpdated = new Date();
-      
-      // Update snowball growth statistics if enabled
-      if (options.updateSnowballStats) {
-        repository.stats.snowballGrowth += emailDocs.length;
-      }
-
-      await repository.save();
-
-      logger.info(`Added ${emailDocs.length} emails to repository ${repositoryId}`);
+      logger.info(`Added ${added.length} emails to repository ${repositoryId}`);
 
       return {
-        added: emailDocs.length,
-        duplicates: emails.length - emailDocs.length,
+        added: added.length,
+        duplicates: emails.length - added.length,
         repositoryId: repository._id
       };
 
@@ -0,0 +1,519 @@
+/**
+ * @fileoverview CSV Import Service
+ *
+ * Streamed, resumable imports of CSV email lists into repositories, for
+ * lists too large to parse in one request.
+ *
+ * Uploads in other formats (vCard, XLSX, JSON Lines, mbox; see
+ * ../utils/formats) are converted to CSV first. An upload is previewed
+ * (format, encoding, delimiter, headers, sample rows and a suggested column
+ * mapping) and recorded as a CsvImport. With a usable
+ * mapping - given explicitly, from a saved template, or suggested - it is
+ * handed straight to the 'csv-import' queue; otherwise, or when a preview
+ * was asked for, it waits in 'awaiting_mapping' until commitImport.
+ *
+ * The worker streams the file through csvParser.streamParse with the
+ * mapping and commits rows in batches of config.csvImport.batchSize:
+ * 1. New addresses are added to the repository and asked for consent
+ * 2. Invalid rows, including custom field values that do not fit the
+ *    repository's customFields, are appended to the rejected-rows CSV
+ * 3. Counts and the checkpoint (rows committed, rejected file length) are
+ *    saved, and a progress event goes to the uploader's websocket room
+ *
+ * If the worker dies, Bull hands the stalled job to another worker, which
+ * truncates the rejected-rows file to the checkpoint and continues from the
+ * first uncommitted row. Rows from the interrupted batch that did reach the
+ * repository are recognised by their importId and still count as accepted.
+ *
+ * Dependencies:
+ * - bull: Import queue
+ * - ../models/CsvImport.model: Progress and checkpoints
+ * - ../models/CsvMappingTemplate.model: Saved column mappings
+ * - ../models/RepositoryMember.model: Imported addresses
+ * - ../utils/csvParser: Preview, mapping, streaming parse and row validation
+ * - ../utils/formats: Format detection and conversion to CSV
+ * - ../api/middleware/validation.middleware: Custom field values, checked
+ *   the same way as entries edited through the API
+ * - ./consent.service: Double opt-in for imported addresses
+ * - ../utils/redis: Progress events for the websocket server
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Bull = require('bull');
+const fs = require('fs').promises;
+const path = require('path');
+const CsvImport = require('../models/CsvImport.model');
+const CsvMappingTemplate = require('../models/CsvMappingTemplate.model');
+const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const User = require('../models/User.model');
+const csvParser = require('../utils/csvParser');
+const formats = require('../utils/formats');
+const { validateFieldValues } = require('../api/middleware/validation.middleware');
+const consentService = require('./consent.service');
+const snowballService = require('./snowball.service');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// First line of every rejected-rows file
+const REJECTED_HEADER = 'row,email,reason\r\n';
+
+class CsvImportService {
+ constructor() {
+   this.MAX_ATTEMPTS = 5;
+   this.MAX_KARMA = 100; // Karma for one upload, at 5 per accepted address
+
+   this.importQueue = new Bull('csv-import', {
+     redis: {
+       host: process.env.REDIS_HOST,
+       port: process.env.REDIS_PORT
+     }
+   });
+
+   this.initializeQueueProcessors();
+ }
+
+ initializeQueueProcessors() {
+   this.importQueue.process('import-csv', async (job) => {
+     try {
+       const csvImport = await this.runImport(job.data.importId);
+       return csvImport ? this.toStatus(csvImport) : null;
+     } catch (error) {
+       await this.recordFailure(job.data.importId, error, job.attemptsMade + 1 >= job.opts.attempts);
+       throw error;
+     }
+   });
+ }
+
+ /**
+  * Record and preview an uploaded file, and queue it if it has a usable
+  * mapping.
+  *
+  * The mapping is the explicit one, else the template's, else the
+  * suggested one. If that mapping does not fit the file, or a preview was
+  * asked for, the import waits for commitImport instead.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} file - Uploaded file ({ path, originalname }) on local disk
+  * @param {ObjectId} userId - Uploader
+  * @param {Object} [options]
+  * @param {boolean} [options.preview] - Wait for a mapping even if one fits
+  * @param {Object} [options.mapping] - Column mapping chosen by the uploader
+  * @param {Object} [options.template] - CsvMappingTemplate to take it from
+  * @returns {Promise<{csvImport: Object, problems: string[]}>} The import,
+  *   and why the mapping was not used if it is awaiting one
+  */
+ async startImport(repository, file, userId, { preview: previewOnly = false, mapping, template } = {}) {
+   await fs.mkdir(config.csvImport.directory, { recursive: true });
+
+   const format = await formats.detect(file.path, file.originalname);
+   let filePath = file.path;
+   if (!format.tabular) {
+     ({ filePath } = await formats.toCsv(format, file.path));
+     await fs.unlink(file.path).catch(() => {});
+   }
+
+   const preview = await csvParser.previewFile(filePath, { fields: repository.customFields });
+   const { encoding, delimiter, headers, sampleRows } = preview;
+   const suggestedMapping = formats.suggestMapping(format, headers) || preview.suggestedMapping;
+
+   const csvImport = new CsvImport({
+     repository: repository._id,
+     user: userId,
+     fileName: file.originalname,
+     filePath,
+     status: 'awaiting_mapping',
+     format: format.name,
+     encoding,
+     delimiter,
+     preview: { headers, sampleRows, suggestedMapping }
+   });
+   csvImport.rejectedPath = path.join(config.csvImport.directory, `${csvImport._id}.rejected.csv`);
+   csvImport.checkpoint.rejectedBytes = Buffer.byteLength(REJECTED_HEADER);
+
+   await fs.writeFile(csvImport.rejectedPath, REJECTED_HEADER);
+
+   const chosen = mapping || (template && template.mapping) || suggestedMapping;
+   const problems = csvParser.validateMapping(chosen, headers, { fields: repository.customFields });
+
+   if (previewOnly || problems.length > 0) {
+     await csvImport.save();
+     logger.info('CSV import awaiting mapping', { importId: csvImport._id, repositoryId: repository._id });
+     return { csvImport, problems: previewOnly ? [] : problems };
+   }
+
+   await this.commitImport(csvImport, chosen, { template: mapping ? null : template });
+   return { csvImport, problems: [] };
+ }
+
+ /**
+  * Fix the column mapping of an import and queue it.
+  *
+  * The caller checks the mapping against csvImport.preview.headers with
+  * csvParser.validateMapping first.
+  *
+  * @param {Object} csvImport - CsvImport document awaiting a mapping
+  * @param {Object} mapping - Column mapping
+  * @param {Object} [options]
+  * @param {Object} [options.template] - CsvMappingTemplate the mapping came from
+  * @param {string} [options.saveAs] - Also save the mapping as a template
+  *   under this name
+  * @returns {Promise<Object>} The queued CsvImport
+  */
+ async commitImport(csvImport, mapping, { template: usedTemplate, saveAs } = {}) {
+   csvImport.mapping = mapping;
+   csvImport.status = 'queued';
+
+   const template = saveAs
+     ? await this.saveTemplate(csvImport.user, saveAs, mapping, csvImport.preview.headers)
+     : usedTemplate;
+   if (template) {
+     csvImport.template = template._id;
+     await CsvMappingTemplate.updateOne(
+       { _id: template._id },
+       { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+     );
+   }
+
+   await csvImport.save();
+
+   // The import id doubles as the job id, so an import is never queued twice
+   await this.importQueue.add('import-csv', { importId: String(csvImport._id) }, {
+     jobId: String(csvImport._id),
+     attempts: this.MAX_ATTEMPTS,
+     backoff: { type: 'exponential', delay: 5000 },
+     removeOnComplete: true
+   });
+
+   logger.info('CSV import queued', { importId: csvImport._id, repositoryId: csvImport.repository });
+   return csvImport;
+ }
+
+ /**
+  * Run an import from its last checkpoint to the end of the file.
+  *
+  * @param {string} importId - CsvImport id
+  * @returns {Promise<Object|null>} The CsvImport, or null if it is gone
+  */
+ async runImport(importId) {
+   const csvImport = await CsvImport.findById(importId);
+   if (!csvImport || ['awaiting_mapping', 'completed'].includes(csvImport.status)) {
+     return csvImport;
+   }
+
+   const repository = await Repository.findById(csvImport.repository);
+   if (!repository) {
+     throw new Error('Repository not found');
+   }
+
+   // An earlier run may have added rows it never checkpointed
+   const resuming = csvImport.attempts > 0;
+   csvImport.status = 'running';
+   csvImport.attempts += 1;
+   csvImport.startedAt = csvImport.startedAt || new Date();
+   csvImport.error = undefined;
+   await csvImport.save();
+
+   // Rows rejected after the checkpoint will be read and rejected again
+   await fs.truncate(csvImport.rejectedPath, csvImport.checkpoint.rejectedBytes);
+
+   // Email -> id of the import that added it, for duplicate detection
+   const members = await RepositoryMember.find({ repository: repository._id }).select('email importId').lean();
+   const known = new Map(members.map(entry => [entry.email, entry.importId && String(entry.importId)]));
+   const batch = this.emptyBatch();
+   let recovering = resuming;
+
+   const flush = async (rowsRead) => {
+     await this.commitBatch(csvImport, repository, known, batch, { rowsRead, recovering });
+     Object.assign(batch, this.emptyBatch());
+     recovering = false;
+   };
+
+   const { rowsRead } = await csvParser.streamParse(csvImport.filePath, async ({ rows, errors, duplicates, rowsRead: read }) => {
+     batch.rows.push(...rows);
+     batch.errors.push(...errors);
+     batch.duplicates += duplicates.length;
+
+     if (read - csvImport.checkpoint.rowsCommitted >= config.csvImport.batchSize) {
+       await flush(read);
+     }
+   }, {
+     skipRows: csvImport.checkpoint.rowsCommitted,
+     mapping: csvImport.mapping,
+     encoding: csvImport.encoding,
+     delimiter: csvImport.delimiter,
+     dynamicTyping: false
+   });
+
+   if (rowsRead > csvImport.checkpoint.rowsCommitted) {
+     await flush(rowsRead);
+   }
+
+   csvImport.status = 'completed';
+   csvImport.completedAt = new Date();
+   await csvImport.save();
+
+   await this.awardKarma(csvImport);
+   await fs.unlink(csvImport.filePath).catch(() => {});
+
+   await this.publish(csvImport, 'csv-import:completed');
+   logger.info('CSV import completed', this.toStatus(csvImport));
+   return csvImport;
+ }
+
+ emptyBatch() {
+   return { rows: [], errors: [], duplicates: 0 };
+ }
+
+ /**
+  * Add one batch of rows to the repository, append its rejected rows, and
+  * save the checkpoint.
+  *
+  * @param {Object} csvImport - CsvImport document
+  * @param {Object} repository - Repository document
+  * @param {Map} known - Addresses on the repository -> importing id
+  * @param {Object} batch - { rows, errors, duplicates } since the checkpoint
+  * @param {Object} position
+  * @param {number} position.rowsRead - Data rows read, including this batch
+  * @param {boolean} position.recovering - First batch after a crash
+  */
+ async commitBatch(csvImport, repository, known, batch, { rowsRead, recovering }) {
+   const importKey = String(csvImport._id);
+   const accepted = [];
+   const entries = [];
+   let { duplicates } = batch;
+
+   for (const row of batch.rows) {
+     const { value: fields, errors } = validateFieldValues(repository.customFields, row.fields);
+     if (errors.length > 0) {
+       const { _rowIndex: rowIndex, email } = row;
+       batch.errors.push({ row: rowIndex, email, error: errors.map(({ message }) => message).join('; ') });
+       continue;
+     }
+     // Empty cells leave optional fields unset
+     const set = Object.entries(fields).filter(([, value]) => value !== null && value !== '');
+     row.fields = set.length > 0 ? Object.fromEntries(set) : undefined;
+
+     if (!known.has(row.email)) {
+       entries.push(this.toEntry(csvImport, row));
+       known.set(row.email, importKey);
+       accepted.push(row);
+     } else if (recovering && known.get(row.email) === importKey) {
+       // Added by the crashed run after its last checkpoint
+       accepted.push(row);
+     } else {
+       duplicates++;
+     }
+   }
+
+   await RepositoryMember.addMembers(repository._id, entries, {
+     channel: 'worker',
+     operation: 'csv_import',
+     actor: csvImport.user
+   });
+
+   // Rows mapped as unsubscribed are kept, but never asked for consent
+   const invited = accepted.filter(row => row.subscribed !== false).map(row => row.email);
+
+   if (invited.length > 0) {
+     await consentService.requestConsent(repository, invited, { source: 'csv', actor: csvImport.user });
+
+     if (repository.settings.allowSnowball) {
+       await snowballService.processSnowball(repository._id, invited);
+     }
+   }
+   if (accepted.length > 0) {
+     await RepositoryMember.refreshStats(repository._id);
+   }
+
+   if (batch.errors.length > 0) {
+     const rejected = batch.errors.map(({ row, email, error }) => ({ row, email: email || '', reason: error }));
+     await fs.appendFile(csvImport.rejectedPath, `${csvParser.generateCSV(rejected, { header: false })}\r\n`);
+   }
+   const { size } = await fs.stat(csvImport.rejectedPath);
+
+   const { progress } = csvImport;
+   progress.rowsRead = rowsRead;
+   progress.accepted += accepted.length;
+   progress.rejected += batch.errors.length;
+   progress.duplicates += duplicates;
+   csvImport.checkpoint = { rowsCommitted: rowsRead, rejectedBytes: size };
+   await csvImport.save();
+
+   await this.publish(csvImport, 'csv-import:progress');
+ }
+
+ /**
+  * Repository member for one mapped row.
+  *
+  * @param {Object} csvImport - CsvImport document
+  * @param {Object} row - Row from validateAndCleanData
+  * @returns {Object} Fields for RepositoryMember.addMembers
+  */
+ toEntry(csvImport, row) {
+   const entry = {
+     email: row.email,
+     name: row.name,
+     addedBy: csvImport.user,
+     source: 'csv',
+     importId: csvImport._id
+   };
+
+   if (row.company || row.title || (row.tags && row.tags.length > 0)) {
+     entry.metadata = { company: row.company, title: row.title, tags: row.tags || [] };
+   }
+   if (row.fields) {
+     entry.fields = row.fields;
+   }
+   if (row.subscribed === false) {
+     entry.optedOut = true;
+   }
+   return entry;
+ }
+
+ async recordFailure(importId, error, final) {
+   const csvImport = await CsvImport.findById(importId);
+   if (!csvImport) return;
+
+   // Until the last attempt, the job is only waiting to be retried
+   csvImport.status = final ? 'failed' : 'queued';
+   csvImport.error = error.message;
+   await csvImport.save();
+
+   if (final) {
+     await this.publish(csvImport, 'csv-import:failed');
+   }
+   logger.error('CSV import failed', { importId, attempt: csvImport.attempts, final, error: error.message });
+ }
+
+ async awardKarma(csvImport) {
+   const karma = Math.min(csvImport.progress.accepted * 5, this.MAX_KARMA);
+   if (karma > 0) {
+     await User.findByIdAndUpdate(csvImport.user, { $inc: { karma } });
+   }
+ }
+
+ /**
+  * Status of one import, as returned by the API.
+  *
+  * @param {Object} csvImport - CsvImport document
+  * @returns {Object} Status, counts and timing
+  */
+ toStatus(csvImport) {
+   return {
+     importId: csvImport._id,
+     repositoryId: csvImport.repository,
+     fileName: csvImport.fileName,
+     status: csvImport.status,
+     mapping: csvImport.mapping || null,
+     progress: {
+       rowsRead: csvImport.progress.rowsRead,
+       accepted: csvImport.progress.accepted,
+       rejected: csvImport.progress.rejected,
+       duplicates: csvImport.progress.duplicates
+     },
+     attempts: csvImport.attempts,
+     error: csvImport.error || null,
+     startedAt: csvImport.startedAt || null,
+     completedAt: csvImport.completedAt || null
+   };
+ }
+
+ publish(csvImport, event) {
+   // Workers run apart from the websocket server; it relays this channel
+   // to the uploader's room
+   return redis.publish('websocket:user', {
+     userId: String(csvImport.user),
+     event,
+     payload: this.toStatus(csvImport)
+   });
+ }
+
+ /**
+  * Preview of an import awaiting its mapping, as returned by the API.
+  *
+  * @param {Object} csvImport - CsvImport document
+  * @param {Array<Object>} templates - Saved templates that fit the file
+  * @returns {Object} Encoding, delimiter, headers, samples and mappings
+  */
+ toPreview(csvImport, templates = []) {
+   return {
+     importId: csvImport._id,
+     status: csvImport.status,
+     format: csvImport.format,
+     encoding: csvImport.encoding,
+     delimiter: csvImport.delimiter,
+     headers: csvImport.preview.headers,
+     sampleRows: csvImport.preview.sampleRows,
+     suggestedMapping: csvImport.preview.suggestedMapping,
+     templates: templates.map(template => this.toTemplate(template))
+   };
+ }
+
+ getImport(repositoryId, importId) {
+   return CsvImport.findOne({ _id: importId, repository: repositoryId });
+ }
+
+ /**
+  * Saved mapping templates of a user, most used first.
+  *
+  * @param {ObjectId} userId - Template owner
+  * @param {Array<string>} [headers] - Only templates whose columns are all
+  *   in these headers
+  * @returns {Promise<Array<Object>>} CsvMappingTemplate documents
+  */
+ async listTemplates(userId, headers) {
+   const templates = await CsvMappingTemplate.find({ user: userId }).sort({ usageCount: -1, lastUsedAt: -1 });
+   if (!headers) {
+     return templates;
+   }
+
+   const available = new Set(headers);
+   return templates.filter(template => template.mappedHeaders().every(header => available.has(header)));
+ }
+
+ getTemplate(userId, templateId) {
+   return CsvMappingTemplate.findOne({ _id: templateId, user: userId });
+ }
+
+ /**
+  * Save a mapping as a template, replacing the user's template of the same
+  * name.
+  *
+  * @param {ObjectId} userId - Template owner
+  * @param {string} name - Template name
+  * @param {Object} mapping - Column mapping
+  * @param {Array<string>} headers - Headers of the file it was made for
+  * @returns {Promise<Object>} The CsvMappingTemplate
+  */
+ saveTemplate(userId, name, mapping, headers) {
+   return CsvMappingTemplate.findOneAndUpdate(
+     { user: userId, name: name.trim() },
+     { $set: { mapping, headers } },
+     { upsert: true, new: true, setDefaultsOnInsert: true }
+   );
+ }
+
+ async deleteTemplate(userId, templateId) {
+   const { deletedCount } = await CsvMappingTemplate.deleteOne({ _id: templateId, user: userId });
+   return deletedCount > 0;
+ }
+
+ toTemplate(template) {
+   return {
+     id: template._id,
+     name: template.name,
+     mapping: template.mapping,
+     headers: template.headers,
+     usageCount: template.usageCount,
+     lastUsedAt: template.lastUsedAt || null
+   };
+ }
+}
+
+module.exports = new CsvImportService();
@@ -0,0 +1,483 @@
+/**
+ * @fileoverview Deliverability Service
+ *
+ * Feeds bounces and spam complaints back into the health of each address
+ * on repository email lists.
+ *
+ * Events arrive from two places:
+ * - Provider event webhooks (POST /api/email/webhook/events)
+ * - DSN (RFC 3464) and ARF (RFC 5965) reports mailed to the inbound path
+ *
+ * Every repository member with the affected address is updated:
+ * - Hard bounce: suppressed as 'bounced'
+ * - Soft bounce: counted; suppressed as 'bounced' once the consecutive
+ *   count reaches config.email.deliverability.softBounceThreshold
+ * - Complaint: suppressed as 'complained'; owners cannot lift this
+ * - Delivery: clears the consecutive soft bounce count
+ * - Open and click: counted as engagement, for segment filters
+ *
+ * Suppressed addresses receive no list mail, are skipped by snowball
+ * distribution and lower the snowball quality score.
+ *
+ * Dependencies:
+ * - ../models/Repository.model: Repositories, for ownership and deletion
+ * - ../models/RepositoryMember.model: Per-repository email entries
+ * - ../models/Email.model: Outbound message log used to trust reports
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const Email = require('../models/Email.model');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const EVENT_TYPES = ['delivered', 'soft_bounce', 'hard_bounce', 'complaint', 'open', 'click'];
+
+// Events that only count engagement and leave delivery health alone
+const ENGAGEMENT_EVENTS = ['open', 'click'];
+
+const { SUPPRESSED_STATUSES } = RepositoryMember;
+
+// Statuses listed on the bounce list
+const PROBLEM_STATUSES = ['soft_bouncing', 'bounced', 'complained'];
+
+// Worst status first, for combining entries across repositories
+const STATUS_SEVERITY = ['complained', 'bounced', 'soft_bouncing', 'active'];
+
+// Event sources that are mailed-in reports rather than provider webhooks
+const REPORT_FORMATS = ['dsn', 'arf'];
+
+// Outbound log status recorded for each event type
+const EMAIL_RECORD_STATUS = {
+ soft_bounce: 'deferred',
+ hard_bounce: 'bounced',
+ complaint: 'complained'
+};
+
+class DeliverabilityService {
+ /**
+  * Apply one delivery event to a repository email entry.
+  *
+  * @param {Object} entry - RepositoryMember document
+  * @param {Object} event - { type, reason, source }
+  * @returns {Object} The entry
+  */
+ applyEvent(entry, { type, reason, source }) {
+   if (ENGAGEMENT_EVENTS.includes(type)) {
+     const engagement = entry.engagement || {};
+     engagement.opens = (engagement.opens || 0) + (type === 'open' ? 1 : 0);
+     engagement.clicks = (engagement.clicks || 0) + (type === 'click' ? 1 : 0);
+     engagement.lastEngagedAt = new Date();
+     entry.engagement = engagement;
+     return entry;
+   }
+
+   const threshold = config.email.deliverability.softBounceThreshold;
+   const stats = entry.deliverability || {};
+
+   stats.softBounces = stats.softBounces || 0;
+   stats.hardBounces = stats.hardBounces || 0;
+   stats.complaints = stats.complaints || 0;
+
+   switch (type) {
+     case 'delivered':
+       stats.softBounces = 0;
+       if (entry.status === 'soft_bouncing') entry.status = 'active';
+       break;
+
+     case 'soft_bounce':
+       stats.softBounces += 1;
+       if (entry.status === 'active' || entry.status === 'soft_bouncing' || !entry.status) {
+         entry.status = stats.softBounces >= threshold ? 'bounced' : 'soft_bouncing';
+       }
+       break;
+
+     case 'hard_bounce':
+       stats.hardBounces += 1;
+       if (entry.status !== 'complained') entry.status = 'bounced';
+       break;
+
+     case 'complaint':
+       stats.complaints += 1;
+       entry.status = 'complained';
+       break;
+
+     default:
+       return entry;
+   }
+
+   stats.lastEventAt = new Date();
+   stats.lastEventType = type;
+   stats.lastReason = reason ? String(reason).slice(0, 500) : (source || null);
+   entry.deliverability = stats;
+
+   return entry;
+ }
+
+ /**
+  * Record a delivery event against every repository listing the address.
+  *
+  * @param {Object} event - Delivery event
+  * @param {string} event.email - Recipient address
+  * @param {string} event.type - One of EVENT_TYPES
+  * @param {string} [event.reason] - Diagnostic text
+  * @param {string} [event.source] - 'webhook', 'dsn' or 'arf'
+  * @returns {Promise<number>} Number of entries updated
+  */
+ async recordEvent(event) {
+   if (!event || !event.email || !EVENT_TYPES.includes(event.type)) {
+     return 0;
+   }
+
+   const address = event.email.toLowerCase();
+   const members = await RepositoryMember.find({ email: address });
+   if (members.length === 0) {
+     return 0;
+   }
+
+   // Members of deleted repositories are left as they were
+   const live = (await Repository.distinct('_id', {
+     _id: { $in: members.map(member => member.repository) },
+     deletedAt: null
+   })).map(String);
+   let updated = 0;
+
+   for (const member of members) {
+     if (!live.includes(String(member.repository))) continue;
+
+     this.applyEvent(member, event);
+     // Only status changes reach the change log; counters do not
+     await member.saveWithHistory({
+       channel: REPORT_FORMATS.includes(event.source) ? 'email' : 'webhook',
+       operation: 'deliverability'
+     });
+     // Engagement leaves the status counts alone
+     if (!ENGAGEMENT_EVENTS.includes(event.type)) {
+       await RepositoryMember.refreshStats(member.repository);
+     }
+     updated++;
+   }
+
+   if (event.type !== 'delivered' && !ENGAGEMENT_EVENTS.includes(event.type)) {
+     logger.info('Delivery event recorded', {
+       type: event.type,
+       source: event.source,
+       repositories: updated
+     });
+   }
+
+   return updated;
+ }
+
+ /**
+  * Apply a DSN or ARF report from the inbound path. Anyone can mail the
+  * inbound address, so a report only counts when it returns one of our
+  * own messages (by X-Shadownews-ID) and names that message's recipient.
+  *
+  * @param {Object} report - Output of utils/deliveryReports.extractReport
+  * @returns {Promise<Object>} Processing result
+  */
+ async processReport(report) {
+   const record = report.original.trackingId
+     ? await Email.findOne({ messageId: report.original.trackingId })
+     : null;
+
+   if (!record) {
+     logger.warn('Ignoring delivery report for unknown message', { format: report.format });
+     return {
+       success: false,
+       type: 'delivery-report',
+       message: 'Report does not reference a message sent by Shadownews'
+     };
+   }
+
+   const recipient = String(record.to || '').toLowerCase();
+   const events = report.events.filter(event => event.email === recipient);
+   let recorded = 0;
+
+   for (const event of events) {
+     recorded += await this.recordEvent({ ...event, source: report.format });
+   }
+
+   if (events.length > 0) {
+     record.status = EMAIL_RECORD_STATUS[events[events.length - 1].type] || record.status;
+     await record.save();
+   }
+
+   return {
+     success: true,
+     type: 'delivery-report',
+     data: { format: report.format, events: events.length, recorded }
+   };
+ }
+
+ /**
+  * Map a provider webhook event onto a delivery event. Understands the
+  * SendGrid event format and a generic { email, type, reason } shape.
+  *
+  * @param {Object} raw - Provider event
+  * @returns {Object|null} Delivery event, or null for events we ignore
+  */
+ normalizeProviderEvent(raw) {
+   if (!raw || typeof raw !== 'object' || !raw.email) return null;
+
+   const email = String(raw.email).toLowerCase();
+   const reason = raw.reason || raw.response || raw.status || null;
+   let type = null;
+
+   switch (String(raw.event || raw.type || '').toLowerCase()) {
+     case 'delivered':
+       type = 'delivered';
+       break;
+     case 'deferred':
+     case 'soft_bounce':
+       type = 'soft_bounce';
+       break;
+     case 'bounce':
+     case 'bounced':
+       // SendGrid reports temporary blocks as bounces of type "blocked"
+       type = raw.type === 'blocked' || /^4\./.test(raw.status || '') ? 'soft_bounce' : 'hard_bounce';
+       break;
+     case 'hard_bounce':
+     case 'dropped':
+       // Dropped means the provider's own suppression list already has it
+       type = 'hard_bounce';
+       break;
+     case 'spamreport':
+     case 'complaint':
+     case 'complained':
+       type = 'complaint';
+       break;
+     case 'open':
+     case 'opened':
+       type = 'open';
+       break;
+     case 'click':
+     case 'clicked':
+       type = 'click';
+       break;
+     default:
+       return null;
+   }
+
+   return { email, type, reason, source: 'webhook' };
+ }
+
+ /**
+  * Record a batch of provider webhook events.
+  *
+  * @param {Object|Object[]} body - Webhook payload
+  * @returns {Promise<Object>} Counts of received, recorded and ignored events
+  */
+ async processProviderEvents(body) {
+   const rawEvents = Array.isArray(body) ? body : (body.events || [body]);
+   const summary = { received: rawEvents.length, recorded: 0, ignored: 0 };
+
+   for (const raw of rawEvents) {
+     const event = this.normalizeProviderEvent(raw);
+     if (!event) {
+       summary.ignored++;
+       continue;
+     }
+     summary.recorded += await this.recordEvent(event);
+   }
+
+   return summary;
+ }
+
+ /**
+  * Combined health of an address across all repositories listing it.
+  *
+  * @param {string} email - Address
+  * @returns {Promise<Object>} { status, suppressed, softBounces, hardBounces, complaints }
+  */
+ async getAddressHealth(email) {
+   const address = String(email).toLowerCase();
+   const members = await RepositoryMember.find({ email: address })
+     .select('status deliverability')
+     .lean();
+
+   const health = { status: 'active', softBounces: 0, hardBounces: 0, complaints: 0 };
+
+   for (const entry of members) {
+     const stats = entry.deliverability || {};
+     const status = entry.status || 'active';
+     if (STATUS_SEVERITY.indexOf(status) < STATUS_SEVERITY.indexOf(health.status)) {
+       health.status = status;
+     }
+     health.softBounces = Math.max(health.softBounces, stats.softBounces || 0);
+     health.hardBounces += stats.hardBounces || 0;
+     health.complaints += stats.complaints || 0;
+   }
+
+   health.suppressed = SUPPRESSED_STATUSES.includes(health.status);
+   return health;
+ }
+
+ /**
+  * @param {string} email - Address
+  * @returns {Promise<boolean>} True if any repository suppresses the address
+  */
+ async isSuppressed(email) {
+   return (await this.getAddressHealth(email)).suppressed;
+ }
+
+ /**
+  * Amount to take off the snowball quality score for an address's
+  * delivery history. Suppressed addresses lose the whole score.
+  *
+  * @param {string} email - Address
+  * @returns {Promise<number>} Penalty between 0 and 1
+  */
+ async getQualityPenalty(email) {
+   const health = await this.getAddressHealth(email);
+   if (health.suppressed) return 1;
+
+   return Math.min(health.softBounces * config.email.deliverability.softBouncePenalty, 1);
+ }
+
+ /**
+  * Deliverability report for one repository.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} [options]
+  * @param {number} [options.limit=50] - Problem addresses to include
+  * @returns {Promise<Object>} Status counts, rates and the most recent problem addresses
+  */
+ async getRepositoryReport(repository, { limit = 50 } = {}) {
+   const members = await RepositoryMember.find({ repository: repository._id })
+     .select('email status deliverability')
+     .lean();
+   const counts = { active: 0, soft_bouncing: 0, bounced: 0, complained: 0 };
+   const totals = { softBounces: 0, hardBounces: 0, complaints: 0 };
+   const problems = [];
+
+   for (const entry of members) {
+     const status = entry.status || 'active';
+     const stats = entry.deliverability || {};
+
+     counts[status] = (counts[status] || 0) + 1;
+     totals.softBounces += stats.softBounces || 0;
+     totals.hardBounces += stats.hardBounces || 0;
+     totals.complaints += stats.complaints || 0;
+
+     if (status !== 'active') {
+       problems.push({
+         email: entry.email,
+         status,
+         softBounces: stats.softBounces || 0,
+         hardBounces: stats.hardBounces || 0,
+         complaints: stats.complaints || 0,
+         lastEventAt: stats.lastEventAt || null,
+         lastEventType: stats.lastEventType || null,
+         lastReason: stats.lastReason || null
+       });
+     }
+   }
+
+   problems.sort((a, b) => new Date(b.lastEventAt || 0) - new Date(a.lastEventAt || 0));
+
+   const total = members.length;
+   const rate = (count) => (total ? Math.round((count / total) * 10000) / 100 : 0);
+
+   return {
+     repositoryId: repository._id,
+     totalEmails: total,
+     statuses: counts,
+     events: totals,
+     bounceRate: rate(counts.bounced),
+     complaintRate: rate(counts.complained),
+     softBounceThreshold: config.email.deliverability.softBounceThreshold,
+     addresses: problems.slice(0, limit)
+   };
+ }
+
+ /**
+  * Bounced and bouncing addresses across the repositories a user owns.
+  *
+  * @param {string|ObjectId} ownerId - Repository owner
+  * @param {Object} [options]
+  * @param {number} [options.page=1]
+  * @param {number} [options.limit=20]
+  * @returns {Promise<Object>} { bounces, pagination }
+  */
+ async getBounceList(ownerId, { page = 1, limit = 20 } = {}) {
+   const repositories = await Repository.find({ owner: ownerId, deletedAt: null }).select('name slug');
+   const byId = new Map(repositories.map(repository => [String(repository._id), repository]));
+   const query = {
+     repository: { $in: repositories.map(repository => repository._id) },
+     status: { $in: PROBLEM_STATUSES }
+   };
+
+   const [members, total] = await Promise.all([
+     RepositoryMember.find(query)
+       .select('email status repository deliverability')
+       .sort({ 'deliverability.lastEventAt': -1 })
+       .skip((page - 1) * limit)
+       .limit(limit)
+       .lean(),
+     RepositoryMember.countDocuments(query)
+   ]);
+
+   const bounces = members.map(entry => {
+     const repository = byId.get(String(entry.repository));
+     return {
+       email: entry.email,
+       status: entry.status,
+       repository: { _id: repository._id, name: repository.name, slug: repository.slug },
+       ...entry.deliverability
+     };
+   });
+
+   return {
+     bounces,
+     pagination: {
+       page,
+       limit,
+       total,
+       pages: Math.ceil(total / limit)
+     }
+   };
+ }
+
+ /**
+  * Clear a bounce so the address is mailed again, e.g. after the
+  * recipient fixed their mailbox. Counters are kept as history.
+  * Complaints are never cleared here: the recipient has to opt back in.
+  *
+  * @param {string} email - Address
+  * @param {string|ObjectId} ownerId - Only repositories this user owns
+  * @returns {Promise<number>} Number of entries reactivated
+  */
+ async resetAddress(email, ownerId) {
+   const address = String(email).toLowerCase();
+   const repositoryIds = await Repository.distinct('_id', { owner: ownerId, deletedAt: null });
+   const members = await RepositoryMember.find({
+     repository: { $in: repositoryIds },
+     email: address,
+     status: { $in: ['soft_bouncing', 'bounced'] }
+   });
+   let reset = 0;
+
+   for (const entry of members) {
+     entry.status = 'active';
+     if (entry.deliverability) entry.deliverability.softBounces = 0;
+     await entry.saveWithHistory({ channel: 'api', operation: 'bounce_reset', actor: ownerId });
+     await RepositoryMember.refreshStats(entry.repository);
+     reset++;
+   }
+
+   if (reset > 0) {
+     logger.info('Bounce cleared', { ownerId, repositories: reset });
+   }
+
+   return reset;
+ }
+}
+
+module.exports = new DeliverabilityService();
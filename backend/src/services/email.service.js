@@ -24,6 +24,7 @@ const EmailModel = require('../models/Email.model');
 const UserModel = require('../models/User.model');
 const PostModel = require('../models/Post.model');
 const RepositoryModel = require('../models/Repository.model');
+const RepositoryMemberModel = require('../models/RepositoryMember.model');
 const aiService = require('./ai.service');
 const snowballService = require('./snowball.service');
 const logger = require('../utils/logger');
@@ -66,7 +67,19 @@ class EmailService {
    });
  }
 
- async sendEmail({ to, subject, html, text, attachments = [], metadata = {} }) {
+ async sendEmail({
+   to,
+   subject,
+   html,
+   text,
+   attachments = [],
+   metadata = {},
+   inReplyTo,
+   references,
+   messageId: rfcMessageId,
+   replyTo,
+   headers = {}
+ }) {
    try {
      const messageId = crypto.randomBytes(16).toString('hex');
      
@@ -78,11 +91,26 @@ class EmailService {
        text,
        attachments,
        headers: {
+         ...headers,
          'X-Shadownews-ID': messageId,
          'X-Shadownews-Type': metadata.type || 'general'
        }
      };
 
+     // Replies to inbound mail thread under the sender's original message
+     if (inReplyTo) {
+       mailOptions.inReplyTo = inReplyTo;
+       mailOptions.references = references;
+     }
+
+     // List mail reuses the post/comment Message-ID so replies can be threaded
+     if (rfcMessageId) {
+       mailOptions.messageId = rfcMessageId;
+     }
+     if (replyTo) {
+       mailOptions.replyTo = replyTo;
+     }
+
      const info = await this.transporter.sendMail(mailOptions);
 
      await EmailModel.create({
@@ -173,8 +201,8 @@ class EmailService {
    try {
      const { subject, content, htmlContent } = emailRecord;
      
-     const hashtags = await aiService.suggestHashtags(content);
-     const summary = await aiService.generateSummary(content);
+     const hashtags = await aiService.suggestHashtags(content, { userId: user._id });
+     const summary = await aiService.generateSummary(content, { userId: user._id });
 
      const csvAttachments = attachments.filter(att => 
        att.contentType === 'text/csv' || att.filename.endsWith('.csv')
@@ -270,14 +298,18 @@ class EmailService {
      const repository = await RepositoryModel.create({
        name: `${context} - ${new Date().toLocaleDateString()}`,
        ownerId: user._id,
-       emails,
-       totalEmails: emails.length,
-       verifiedEmails: 0,
        source: 'csv_upload',
        csvFilename: csvAttachment.filename,
        createdAt: new Date()
      });
 
+     await RepositoryMemberModel.addMembers(repository._id, emails.map(entry => ({ ...entry, source: 'csv' })), {
+       channel: 'email',
+       operation: 'csv_attachment',
+       actor: user._id
+     });
+     await RepositoryMemberModel.refreshStats(repository._id);
+
      return repository;
 
    } catch (error) {
@@ -501,15 +533,15 @@ class EmailService {
      const extractedEmails = this.extractEmailsFromText(emailText);
      newEmails.push(...extractedEmails.map(email => ({ email, metadata: { source: 'email_body' } })));
 
-     const uniqueNewEmails = newEmails.filter(newEmail => 
-       !repository.emails.some(existing => existing.email === newEmail.email)
-     );
+     // Addresses already on the list are skipped
+     const uniqueNewEmails = await RepositoryMemberModel.addMembers(repository._id, newEmails, {
+       channel: 'email',
+       operation: 'email_import',
+       actor: user._id
+     });
 
      if (uniqueNewEmails.length > 0) {
-       await repository.updateOne({
-         $push: { emails: { $each: uniqueNewEmails } },
-         $inc: { totalEmails: uniqueNewEmails.length }
-       });
+       await RepositoryMemberModel.refreshStats(repository._id);
 
        await snowballService.processNewEmails({
          repositoryId: repository._id,
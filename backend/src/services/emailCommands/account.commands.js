@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Account Email Commands
+ *
+ * Commands that change the sender's own account: hashtag subscriptions,
+ * follows, digest frequency, saved-search alerts, plus STATS and HELP.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const User = require('../../models/User.model');
+const Post = require('../../models/Post.model');
+const Repository = require('../../models/Repository.model');
+const savedSearchService = require('../savedSearch.service');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly', 'monthly', 'never'];
+
+const subscribe = {
+  name: 'SUBSCRIBE',
+  verbs: ['subscribe'],
+  args: [{ name: 'hashtag', type: 'hashtag' }],
+  usage: 'SUBSCRIBE #topic',
+  description: 'Subscribe to a hashtag',
+  async execute({ hashtag }, { user }) {
+    await User.updateOne({ _id: user._id }, { $addToSet: { subscribedHashtags: hashtag } });
+
+    return {
+      success: true,
+      type: 'subscribe',
+      data: { hashtag },
+      message: `Subscribed to #${hashtag}`
+    };
+  }
+};
+
+const unsubscribe = {
+  name: 'UNSUBSCRIBE',
+  verbs: ['unsubscribe'],
+  args: [{ name: 'hashtag', type: 'hashtag' }],
+  requiresConfirmation: true,
+  usage: 'UNSUBSCRIBE #topic',
+  description: 'Unsubscribe from a hashtag',
+  async execute({ hashtag }, { user }) {
+    await User.updateOne({ _id: user._id }, { $pull: { subscribedHashtags: hashtag } });
+
+    return {
+      success: true,
+      type: 'unsubscribe',
+      data: { hashtag },
+      message: `Unsubscribed from #${hashtag}`
+    };
+  }
+};
+
+const follow = {
+  name: 'FOLLOW',
+  verbs: ['follow'],
+  args: [{ name: 'username', type: 'username' }],
+  usage: 'FOLLOW @username',
+  description: 'Follow a user',
+  async execute({ username }, { user }) {
+    const target = await User.findOne({ username });
+    if (!target) {
+      throw new Error(`No user named @${username}`);
+    }
+    if (target._id.toString() === user._id.toString()) {
+      throw new Error('You cannot follow yourself');
+    }
+
+    await User.updateOne({ _id: user._id }, { $addToSet: { following: target._id } });
+    await User.updateOne({ _id: target._id }, { $addToSet: { followers: user._id } });
+
+    return {
+      success: true,
+      type: 'follow',
+      data: { userId: target._id, username },
+      message: `Following @${username}`
+    };
+  }
+};
+
+const unfollow = {
+  name: 'UNFOLLOW',
+  verbs: ['unfollow'],
+  args: [{ name: 'username', type: 'username' }],
+  usage: 'UNFOLLOW @username',
+  description: 'Stop following a user',
+  async execute({ username }, { user }) {
+    const target = await User.findOne({ username });
+    if (!target) {
+      throw new Error(`No user named @${username}`);
+    }
+
+    await User.updateOne({ _id: user._id }, { $pull: { following: target._id } });
+    await User.updateOne({ _id: target._id }, { $pull: { followers: user._id } });
+
+    return {
+      success: true,
+      type: 'unfollow',
+      data: { userId: target._id, username },
+      message: `Stopped following @${username}`
+    };
+  }
+};
+
+const digest = {
+  name: 'DIGEST',
+  verbs: ['digest'],
+  args: [{ name: 'frequency', type: 'choice', values: DIGEST_FREQUENCIES }],
+  usage: 'DIGEST daily|weekly|monthly|never',
+  description: 'Change how often you receive the digest',
+  async execute({ frequency }, { user }) {
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'preferences.emailDigest.enabled': frequency !== 'never',
+        'preferences.emailDigest.frequency': frequency
+      }
+    });
+
+    return {
+      success: true,
+      type: 'digest',
+      data: { frequency },
+      message: frequency === 'never' ? 'Digest turned off' : `Digest set to ${frequency}`
+    };
+  }
+};
+
+const alertAdd = {
+  name: 'ALERT_ADD',
+  verbs: ['alert add'],
+  args: [{ name: 'query', type: 'text' }],
+  usage: 'ALERT ADD "search query"',
+  description: 'Get alerts for new posts and comments matching a search',
+  async execute({ query }, { user }) {
+    const { savedSearch, problems } = await savedSearchService.create(user, { query });
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
+    return {
+      success: true,
+      type: 'alert_add',
+      data: { savedSearch },
+      message: `Alert ${savedSearch.position} added for "${savedSearch.query}"`
+    };
+  }
+};
+
+const alertList = {
+  name: 'ALERT_LIST',
+  verbs: ['alert list', 'alerts'],
+  usage: 'ALERT LIST',
+  description: 'List your search alerts',
+  async execute(args, { user }) {
+    const savedSearches = await savedSearchService.list(user._id);
+    const lines = savedSearches.map(search => {
+      const delivery = ['instant', 'digest'].filter(channel => search.notify[channel]).join(', ') || 'paused';
+      return `${search.position}. ${search.query} (${delivery}) - ${search.matchCount} matches`;
+    });
+
+    return {
+      success: true,
+      type: 'alert_list',
+      data: { savedSearches },
+      message: `${savedSearches.length} search alerts`,
+      reply: savedSearches.length > 0
+        ? ['Your search alerts:', '', ...lines, '', 'Stop one with ALERT REMOVE and its number.'].join('\n')
+        : 'You have no search alerts. Add one with ALERT ADD "search query".'
+    };
+  }
+};
+
+const alertRemove = {
+  name: 'ALERT_REMOVE',
+  verbs: ['alert remove', 'alert delete'],
+  args: [{ name: 'position', type: 'number' }],
+  usage: 'ALERT REMOVE number',
+  description: 'Stop a search alert, numbered as in ALERT LIST',
+  async execute({ position }, { user }) {
+    const removed = await savedSearchService.removeAt(user._id, position);
+    if (!removed) {
+      throw new Error(`No alert ${position}; send ALERT LIST to see yours`);
+    }
+
+    return {
+      success: true,
+      type: 'alert_remove',
+      data: { savedSearch: removed },
+      message: `Alert for "${removed.query}" removed`
+    };
+  }
+};
+
+const stats = {
+  name: 'STATS',
+  verbs: ['stats', 'stat'],
+  usage: 'STATS',
+  description: 'Get your statistics',
+  async execute(args, { user }) {
+    const postCount = await Post.countDocuments({ author: user._id });
+    const repositoryCount = await Repository.countDocuments({ owner: user._id });
+    const data = {
+      karma: user.karma || 0,
+      posts: postCount,
+      repositories: repositoryCount,
+      memberSince: user.createdAt
+    };
+
+    return {
+      success: true,
+      type: 'stats',
+      data,
+      message: 'User statistics retrieved',
+      reply: `Karma: ${data.karma}\nPosts: ${data.posts}\nRepositories: ${data.repositories}`
+    };
+  }
+};
+
+const help = {
+  name: 'HELP',
+  verbs: ['help'],
+  usage: 'HELP',
+  description: 'Show this help message',
+  execute: (args, { registry }) => {
+    const helpText = registry.helpText();
+    return {
+      success: true,
+      type: 'help',
+      data: { helpText },
+      message: 'Help information',
+      reply: helpText
+    };
+  }
+};
+
+module.exports = [subscribe, unsubscribe, follow, unfollow, digest, alertAdd, alertList, alertRemove, stats, help];
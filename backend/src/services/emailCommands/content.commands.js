@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Content Email Commands
+ *
+ * Commands that create or act on posts and comments: POST, COMMENT,
+ * UPVOTE/DOWNVOTE, SAVE, FLAG and MUTE/UNMUTE THREAD. Commands other than
+ * POST act on the thread the email replies to, found through the
+ * In-Reply-To/References headers of a notification reply.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const User = require('../../models/User.model');
+const Post = require('../../models/Post.model');
+
+// Matches the reason enum on Comment flags
+const FLAG_REASONS = ['spam', 'offensive', 'off-topic', 'misleading', 'other'];
+
+/**
+ * Resolve the post an email replies to, or fail with a hint.
+ *
+ * @param {Object} context - Command context
+ * @param {string} verb - Verb for the error message
+ * @returns {Promise<Object>} Target post
+ */
+const requireTargetPost = async ({ parser, emailData }, verb) => {
+  const post = await parser.findTargetPost(emailData);
+  if (!post) {
+    throw new Error(`Reply to a Shadownews notification to ${verb} its post`);
+  }
+  return post;
+};
+
+const post = {
+  name: 'POST',
+  verbs: ['post', 'submit'],
+  args: [{ name: 'title', type: 'text', optional: true }],
+  content: true,
+  usage: 'POST/SUBMIT title',
+  description: 'Create a new post (use as subject)',
+  execute: ({ title }, { parser, emailData, user }) =>
+    parser.processPost(title ? { ...emailData, subject: title } : emailData, user)
+};
+
+const comment = {
+  name: 'COMMENT',
+  verbs: ['comment', 'reply'],
+  args: [{ name: 'note', type: 'text', optional: true }],
+  content: true,
+  usage: 'COMMENT/REPLY',
+  description: 'Reply to a post (reply to notification email)',
+  execute: (args, { parser, emailData, user }) => parser.processComment(emailData, user)
+};
+
+const upvote = {
+  name: 'UPVOTE',
+  verbs: ['upvote', 'like', '+1'],
+  usage: 'UPVOTE/+1',
+  description: 'Upvote a post',
+  execute: (args, { parser, emailData, user }) => parser.processVote(emailData, user, 1)
+};
+
+const downvote = {
+  name: 'DOWNVOTE',
+  verbs: ['downvote', 'dislike', '-1'],
+  usage: 'DOWNVOTE/-1',
+  description: 'Downvote a post',
+  execute: (args, { parser, emailData, user }) => parser.processVote(emailData, user, -1)
+};
+
+const save = {
+  name: 'SAVE',
+  verbs: ['save', 'bookmark'],
+  usage: 'SAVE',
+  description: 'Save a post to read later',
+  async execute(args, context) {
+    const target = await requireTargetPost(context, 'save');
+    await User.updateOne({ _id: context.user._id }, { $addToSet: { savedPosts: target._id } });
+
+    return {
+      success: true,
+      type: 'save',
+      data: { postId: target._id },
+      message: `Saved "${target.title}"`
+    };
+  }
+};
+
+const flag = {
+  name: 'FLAG',
+  verbs: ['flag'],
+  // The reason is required so posts titled "Flag ..." are not taken for it
+  args: [
+    { name: 'reason', type: 'choice', values: FLAG_REASONS },
+    { name: 'details', type: 'text', optional: true }
+  ],
+  usage: 'FLAG spam|offensive|off-topic|misleading|other ["details"]',
+  description: 'Flag a post or comment for moderators',
+  async execute({ reason, details }, context) {
+    const { parser, emailData, user } = context;
+    const thread = emailData.thread || await parser.resolveThreadTarget(emailData);
+
+    if (thread && thread.parentComment) {
+      await thread.parentComment.flag(user._id, reason);
+      return {
+        success: true,
+        type: 'flag',
+        data: { commentId: thread.parentComment._id, reason },
+        message: 'Comment flagged for review'
+      };
+    }
+
+    const target = await requireTargetPost(context, 'flag');
+    await Post.updateOne(
+      { _id: target._id, 'flags.user': { $ne: user._id } },
+      { $push: { flags: { user: user._id, reason: details ? `${reason}: ${details}` : reason } } }
+    );
+
+    return {
+      success: true,
+      type: 'flag',
+      data: { postId: target._id, reason },
+      message: `Flagged "${target.title}" for review`
+    };
+  }
+};
+
+const muteThread = {
+  name: 'MUTE_THREAD',
+  verbs: ['mute thread', 'mute'],
+  usage: 'MUTE THREAD',
+  description: 'Stop reply notifications for a thread',
+  async execute(args, context) {
+    const target = await requireTargetPost(context, 'mute');
+    await User.updateOne({ _id: context.user._id }, { $addToSet: { mutedThreads: target._id } });
+
+    return {
+      success: true,
+      type: 'mute_thread',
+      data: { postId: target._id },
+      message: `Muted replies to "${target.title}"`
+    };
+  }
+};
+
+const unmuteThread = {
+  name: 'UNMUTE_THREAD',
+  verbs: ['unmute thread', 'unmute'],
+  usage: 'UNMUTE THREAD',
+  description: 'Resume reply notifications for a thread',
+  async execute(args, context) {
+    const target = await requireTargetPost(context, 'unmute');
+    await User.updateOne({ _id: context.user._id }, { $pull: { mutedThreads: target._id } });
+
+    return {
+      success: true,
+      type: 'unmute_thread',
+      data: { postId: target._id },
+      message: `Unmuted replies to "${target.title}"`
+    };
+  }
+};
+
+module.exports = [post, comment, upvote, downvote, save, flag, muteThread, unmuteThread];
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Email Command Grammar
+ *
+ * Tokenizer and argument parser for the email command language. A command
+ * is one line: a verb of one or more words followed by arguments.
+ * Arguments are separated by whitespace and may be quoted with "double" or
+ * 'single' quotes to include spaces; inside double quotes a backslash
+ * escapes the next character.
+ *
+ *   add email bob@example.com
+ *   follow @alice
+ *   flag spam "posted the same link five times"
+ *   export repo ai-researchers
+ *   alert add "postgres site:github.com"
+ *
+ * Arguments are declared by each command plugin as a list of specs:
+ *   { name, type, optional, values }
+ * where type is one of the keys of ARGUMENT_TYPES, or 'text' to take the
+ * rest of the line.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Argument coercers. Each returns the normalized value, or undefined if the
+ * token is not valid for that type.
+ */
+const ARGUMENT_TYPES = {
+  word: value => value,
+  email: value => (EMAIL_PATTERN.test(value) ? value.toLowerCase() : undefined),
+  hashtag: (value) => {
+    const tag = value.replace(/^#/, '').toLowerCase();
+    return /^\w+$/.test(tag) ? tag : undefined;
+  },
+  username: value => (/^@?[\w.-]+$/.test(value) ? value.replace(/^@/, '') : undefined),
+  slug: value => (/^[a-z0-9][a-z0-9-]*$/i.test(value) ? value.toLowerCase() : undefined),
+  number: value => (/^\d+$/.test(value) ? parseInt(value, 10) : undefined),
+  choice: (value, spec) => (spec.values.includes(value.toLowerCase()) ? value.toLowerCase() : undefined)
+};
+
+/**
+ * Split a line into tokens, honouring quotes.
+ *
+ * Quotes only open at the start of a token, so apostrophes in ordinary
+ * words ("it's") are left alone.
+ *
+ * @param {string} line - Command line
+ * @returns {string[]|null} Tokens, or null if a quote is left open
+ */
+const tokenize = (line) => {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === '\\' && quote === '"' && i + 1 < line.length) {
+        current += line[++i];
+      } else if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if ((char === '"' || char === '\'') && !inToken) {
+      quote = char;
+      inToken = true;
+    } else if (/\s/.test(char)) {
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+    } else {
+      current += char;
+      inToken = true;
+    }
+  }
+
+  if (quote) return null;
+  if (inToken) tokens.push(current);
+  return tokens;
+};
+
+/**
+ * Match tokens against a command's argument specs.
+ *
+ * @param {string[]} tokens - Tokens after the verb
+ * @param {Object[]} specs - Argument specs declared by the plugin
+ * @returns {Object|null} Arguments keyed by name, or null if they don't fit
+ */
+const parseArguments = (tokens, specs = []) => {
+  const args = {};
+  let position = 0;
+
+  for (const spec of specs) {
+    if (spec.type === 'text') {
+      const rest = tokens.slice(position).join(' ').trim();
+      if (!rest && !spec.optional) return null;
+      if (rest) args[spec.name] = rest;
+      position = tokens.length;
+      continue;
+    }
+
+    if (position >= tokens.length) {
+      if (spec.optional) continue;
+      return null;
+    }
+
+    const coerce = ARGUMENT_TYPES[spec.type];
+    const value = coerce(tokens[position], spec);
+    if (value === undefined) {
+      if (spec.optional) continue;
+      return null;
+    }
+
+    args[spec.name] = value;
+    position++;
+  }
+
+  // Leftover tokens mean this line is not the command it looked like
+  return position === tokens.length ? args : null;
+};
+
+module.exports = {
+  ARGUMENT_TYPES,
+  tokenize,
+  parseArguments
+};
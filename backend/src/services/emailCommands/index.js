@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Email Command Registry Instance
+ *
+ * Shared command registry with the built-in command plugins registered.
+ * Additional commands are added with `commandRegistry.register(plugin)`;
+ * see ./registry.js for the plugin shape.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const CommandRegistry = require('./registry');
+const contentCommands = require('./content.commands');
+const accountCommands = require('./account.commands');
+const repositoryCommands = require('./repository.commands');
+
+const commandRegistry = new CommandRegistry();
+
+[...contentCommands, ...accountCommands, ...repositoryCommands]
+  .forEach(plugin => commandRegistry.register(plugin));
+
+module.exports = commandRegistry;
+module.exports.CommandRegistry = CommandRegistry;
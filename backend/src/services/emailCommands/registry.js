@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Email Command Registry
+ *
+ * Plugin registry for email commands. Each plugin declares its verbs and
+ * arguments and implements `execute`; the registry turns an email into a
+ * list of commands and runs them. Both the email parser service and the
+ * email worker dispatch through the shared instance in ./index.js, so a
+ * command is implemented exactly once.
+ *
+ * Plugin shape:
+ * - name: Unique command name, e.g. 'REMOVE_EMAIL'
+ * - verbs: Phrases that invoke it, e.g. ['remove email']
+ * - args: Argument specs (see ./grammar.js)
+ * - usage / description: Shown in HELP
+ * - content: true if the command takes the email body as its content
+ *   (POST, COMMENT); only recognized in the subject line
+ * - requiresConfirmation: true for destructive or privilege-changing commands
+ * - prepare(args, context): Optional; resolves targets before a confirmation
+ *   request so the confirmed action cannot drift to another object
+ * - execute(args, context): Runs the command and returns a result
+ *   { success, type, message, data?, reply?, attachments? }
+ *
+ * Parsing rules:
+ * - Commands are one per line, in the subject and/or leading body lines
+ * - The body is scanned until the first line that is not a valid command,
+ *   so ordinary prose after the commands is ignored
+ * - A content command in the subject takes the whole body; no body lines
+ *   are treated as commands
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const logger = require('../../utils/logger');
+const { tokenize, parseArguments } = require('./grammar');
+
+// Guards against mail that is nothing but hundreds of command lines
+const MAX_COMMANDS_PER_EMAIL = 20;
+
+class CommandRegistry {
+  constructor() {
+    this.plugins = new Map();
+    this.verbs = [];
+  }
+
+  /**
+   * Register a command plugin.
+   *
+   * @param {Object} plugin - Command plugin (see file header)
+   * @returns {CommandRegistry} this, for chaining
+   * @throws {Error} If the plugin is malformed or a name or verb is taken
+   */
+  register(plugin) {
+    if (!plugin || !plugin.name || !Array.isArray(plugin.verbs) || typeof plugin.execute !== 'function') {
+      throw new Error('Email command plugins need a name, verbs and an execute function');
+    }
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Email command ${plugin.name} is already registered`);
+    }
+
+    for (const verb of plugin.verbs) {
+      const words = verb.toLowerCase().split(/\s+/);
+      if (this.verbs.some(entry => entry.words.join(' ') === words.join(' '))) {
+        throw new Error(`Email command verb "${verb}" is already registered`);
+      }
+      this.verbs.push({ words, plugin });
+    }
+
+    // Longest phrases first so "mute thread" wins over a plain "mute"
+    this.verbs.sort((a, b) => b.words.length - a.words.length);
+    this.plugins.set(plugin.name, plugin);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Command name
+   * @returns {Object|undefined} Registered plugin
+   */
+  get(name) {
+    return this.plugins.get(name);
+  }
+
+  /**
+   * @returns {Object[]} All registered plugins, in registration order
+   */
+  list() {
+    return [...this.plugins.values()];
+  }
+
+  /**
+   * Parse a single line into a command.
+   *
+   * @param {string} line - Candidate command line
+   * @param {Object} [options]
+   * @param {boolean} [options.allowContent=false] - Accept content commands
+   * @returns {Object|null} { name, plugin, args, line } or null
+   */
+  parseLine(line, { allowContent = false } = {}) {
+    const tokens = tokenize(line.trim());
+    if (!tokens || tokens.length === 0) return null;
+
+    // "Post: title" and "post title" are the same command
+    const words = tokens.map(token => token.toLowerCase().replace(/:$/, ''));
+
+    for (const { words: verb, plugin } of this.verbs) {
+      if (plugin.content && !allowContent) continue;
+      if (verb.length > words.length) continue;
+      if (!verb.every((word, index) => word === words[index])) continue;
+
+      const args = parseArguments(tokens.slice(verb.length), plugin.args);
+      if (args) {
+        return { name: plugin.name, plugin, args, line: line.trim() };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract every command from an email.
+   *
+   * @param {Object} email
+   * @param {string} email.subject - Subject line
+   * @param {string} email.body - Body with quoted history and signature removed
+   * @returns {Object[]} Commands in the order they appear
+   */
+  parse({ subject = '', body = '' }) {
+    const commands = [];
+
+    const subjectCommand = this.parseLine(subject, { allowContent: true });
+    if (subjectCommand) {
+      if (subjectCommand.plugin.content) return [subjectCommand];
+      commands.push(subjectCommand);
+    }
+
+    for (const line of body.split('\n')) {
+      if (!line.trim()) continue;
+      if (commands.length >= MAX_COMMANDS_PER_EMAIL) break;
+
+      const command = this.parseLine(line);
+      if (!command) break;
+      commands.push(command);
+    }
+
+    return commands;
+  }
+
+  /**
+   * Run a parsed command. Failures are returned, not thrown, so one bad
+   * command does not stop the rest of the email.
+   *
+   * @param {Object} command - Parsed command
+   * @param {Object} context - { user, emailData, parser }; the registry is added
+   * @returns {Promise<Object>} Command result
+   */
+  async execute(command, context) {
+    try {
+      const result = await command.plugin.execute(command.args, { ...context, registry: this });
+      return { command: command.name, ...result };
+    } catch (error) {
+      logger.warn(`Email command ${command.name} failed`, { error: error.message, userId: context.user._id });
+      return {
+        command: command.name,
+        success: false,
+        type: command.name.toLowerCase(),
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * @returns {string} HELP listing built from the registered plugins
+   */
+  helpText() {
+    const lines = this.list()
+      .filter(plugin => plugin.usage)
+      .map(plugin => `${plugin.usage} - ${plugin.description}${plugin.requiresConfirmation ? ' *' : ''}`);
+
+    return [
+      'Shadownews Email Commands:',
+      '',
+      ...lines,
+      '',
+      'Put one command per line. Quote arguments that contain spaces.',
+      '* We email you a confirmation link first; the command runs once you confirm.',
+      '',
+      'Attach CSV files to automatically create email repositories!'
+    ].join('\n');
+  }
+}
+
+module.exports = CommandRegistry;
+module.exports.MAX_COMMANDS_PER_EMAIL = MAX_COMMANDS_PER_EMAIL;
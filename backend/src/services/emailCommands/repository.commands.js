@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Repository Email Commands
+ *
+ * Commands that manage email repositories: REPOSITORY, ADD EMAIL,
+ * REMOVE EMAIL and EXPORT REPO. Membership changes require confirmation;
+ * exports go to the requester's registered address only. Added addresses
+ * must still confirm by double opt-in before they receive repository mail.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Repository = require('../../models/Repository.model');
+const RepositoryMember = require('../../models/RepositoryMember.model');
+const csvService = require('../csv.service');
+const consentService = require('../consent.service');
+
+/**
+ * Pin the repository an ADD/REMOVE EMAIL applies to before confirmation,
+ * so confirming later cannot act on whichever repository happens to be
+ * most recently updated by then.
+ *
+ * @param {Object} args - Command arguments
+ * @param {Object} context - Command context
+ * @returns {Promise<Object>} Fields merged into emailData on execution
+ */
+const pinRepository = async (args, { parser, emailData, user }) => {
+  const repository = await parser.findUserRepository(emailData, user);
+  if (!repository) {
+    throw new Error('Repository not found');
+  }
+  return { repositoryId: String(repository._id) };
+};
+
+const repository = {
+  name: 'REPOSITORY',
+  verbs: ['repository', 'repo'],
+  args: [{ name: 'name', type: 'word' }],
+  requiresConfirmation: true,
+  usage: 'REPOSITORY name',
+  description: 'Create/access a repository',
+  async execute({ name }, { user }) {
+    let target = await Repository.findOne({ name, owner: user._id });
+    const created = !target;
+
+    if (!target) {
+      target = new Repository({
+        name,
+        owner: user._id,
+        isPublic: true,
+        growthEnabled: true,
+        createdAt: new Date()
+      });
+      await target.save();
+    }
+
+    return {
+      success: true,
+      type: 'repository',
+      data: target,
+      message: `Repository "${name}" ${created ? 'created' : 'accessed'}`
+    };
+  }
+};
+
+const addEmail = {
+  name: 'ADD_EMAIL',
+  verbs: ['add email'],
+  args: [{ name: 'email', type: 'email' }],
+  requiresConfirmation: true,
+  usage: 'ADD EMAIL user@example.com',
+  description: 'Add email to repository',
+  prepare: pinRepository,
+  async execute({ email }, { parser, emailData, user }) {
+    const target = await parser.findUserRepository(emailData, user);
+    if (!target) {
+      throw new Error('Repository not found');
+    }
+
+    const [added] = await RepositoryMember.addMembers(target._id, [{ email, addedBy: user._id, source: 'manual' }], {
+      channel: 'email',
+      operation: 'add_email',
+      actor: user._id
+    });
+    if (!added) {
+      return {
+        success: false,
+        type: 'add_email',
+        message: 'Email already exists in repository'
+      };
+    }
+
+    await consentService.requestConsent(target, [email], { source: 'email_command', actor: user._id });
+    await RepositoryMember.refreshStats(target._id);
+
+    return {
+      success: true,
+      type: 'add_email',
+      data: { email, repository: target.name },
+      message: `Email ${email} added to repository; they will receive mail once they confirm`
+    };
+  }
+};
+
+const removeEmail = {
+  name: 'REMOVE_EMAIL',
+  verbs: ['remove email'],
+  args: [{ name: 'email', type: 'email' }],
+  requiresConfirmation: true,
+  usage: 'REMOVE EMAIL user@example.com',
+  description: 'Remove email from repository',
+  prepare: pinRepository,
+  async execute({ email }, { parser, emailData, user }) {
+    const target = await parser.findUserRepository(emailData, user);
+    if (!target) {
+      throw new Error('Repository not found');
+    }
+
+    // Ledger keeps the history after the member itself is gone
+    await consentService.revoke(target, email, { channel: 'remove-email', actor: user._id });
+    await RepositoryMember.removeMembers({ repository: target._id, email }, {
+      channel: 'email',
+      operation: 'remove_email',
+      actor: user._id
+    });
+    await RepositoryMember.refreshStats(target._id);
+
+    return {
+      success: true,
+      type: 'remove_email',
+      data: { email, repository: target.name },
+      message: `Email ${email} removed from repository`
+    };
+  }
+};
+
+const exportRepository = {
+  name: 'EXPORT_REPOSITORY',
+  verbs: ['export repo', 'export repository'],
+  args: [{ name: 'slug', type: 'slug' }],
+  usage: 'EXPORT REPO slug',
+  description: 'Get a repository\'s email list as CSV',
+  async execute({ slug }, { user }) {
+    const target = await Repository.findOne({ slug });
+    if (!target || !target.hasPermission(user._id, 'members.export')) {
+      throw new Error(`No repository "${slug}" that you can export`);
+    }
+
+    const csv = await csvService.generateCSV(target._id);
+
+    return {
+      success: true,
+      type: 'export_repository',
+      data: { repository: slug, emailCount: csv.emailCount },
+      message: `Exported ${csv.emailCount} addresses from ${slug} (attached)`,
+      attachments: [{
+        filename: csv.fileName,
+        content: csv.data,
+        contentType: csv.mimeType
+      }]
+    };
+  }
+};
+
+module.exports = [repository, addEmail, removeEmail, exportRepository];
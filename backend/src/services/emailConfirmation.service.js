@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Email Confirmation Service
+ *
+ * One-time confirmation for actions requested by email that should not
+ * take effect on the strength of a single message: destructive or
+ * privilege-changing commands, and inbound mail held because its sender
+ * could not be authenticated.
+ *
+ * The pending action is kept in Redis under a random token with an expiry.
+ * The account owner receives the token as a link and as a reply-code
+ * ("CONFIRM <token>"), and the action runs once either comes back. Every
+ * request and confirmation is recorded in the EmailConfirmation collection.
+ *
+ * Dependencies:
+ * - ../models/EmailConfirmation.model: Audit trail
+ * - ../utils/redis: Pending action storage with TTL
+ * - ./email.service: Delivery of confirmation requests
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { createHash, randomBytes } = require('crypto');
+const EmailConfirmation = require('../models/EmailConfirmation.model');
+const emailService = require('./email.service');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const PENDING_PREFIX = 'email:confirm:';
+const TOKEN_PATTERN = /\bconfirm\s+([a-f0-9]{32})\b/i;
+
+/**
+ * @param {string} token - Confirmation token
+ * @returns {string} SHA-256 hex digest stored in the audit trail
+ */
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * @param {number} seconds - Time to live
+ * @returns {string} e.g. "24 hours" or "30 minutes"
+ */
+const formatTtl = (seconds) => {
+ if (seconds >= 3600) {
+   const hours = Math.round(seconds / 3600);
+   return `${hours} hour${hours === 1 ? '' : 's'}`;
+ }
+ const minutes = Math.max(1, Math.round(seconds / 60));
+ return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * @param {string} value - Untrusted text (e.g. an email subject)
+ * @returns {string} HTML-escaped text
+ */
+const escapeHtml = (value) => String(value)
+ .replace(/&/g, '&amp;')
+ .replace(/</g, '&lt;')
+ .replace(/>/g, '&gt;')
+ .replace(/"/g, '&quot;');
+
+class EmailConfirmationService {
+ /**
+  * Store a pending action and send its owner a confirmation request.
+  *
+  * @param {Object} options
+  * @param {string} options.kind - 'command' or 'held_email'
+  * @param {Object} options.user - User who must confirm
+  * @param {string} options.action - Human-readable description of the action
+  * @param {Object} options.payload - Everything needed to carry out the action later
+  * @param {number} options.ttl - Seconds before the request expires
+  * @param {string} options.notice - Opening sentence of the confirmation email
+  * @param {Object} [options.email] - Triggering email ({ recordId, messageId })
+  * @returns {Promise<Object>} { token, expiresAt }
+  */
+ async request({ kind, user, action, payload, ttl, notice, email = {} }) {
+   const token = randomBytes(16).toString('hex');
+   const expiresAt = new Date(Date.now() + ttl * 1000);
+
+   await redis.setJson(`${PENDING_PREFIX}${token}`, {
+     kind,
+     userId: String(user._id),
+     action,
+     payload
+   }, ttl);
+
+   await EmailConfirmation.create({
+     tokenHash: hashToken(token),
+     user: user._id,
+     kind,
+     action,
+     email: email.recordId,
+     emailMessageId: email.messageId,
+     expiresAt
+   });
+
+   await this.sendRequest(user, token, { action, notice, ttl });
+
+   logger.info('Email confirmation requested', { userId: user._id, kind, action });
+   return { token, expiresAt };
+ }
+
+ /**
+  * Claim a pending action. Tokens are single-use: the Redis key is deleted
+  * before the action is returned, so concurrent confirmations of the same
+  * token cannot both succeed.
+  *
+  * @param {string} token - Confirmation token
+  * @param {Object} [options]
+  * @param {Object} [options.user] - Confirming user; must own the request if given
+  * @param {string} options.via - 'reply' or 'link'
+  * @param {string} [options.from] - Reply sender or client IP, for the audit trail
+  * @returns {Promise<Object|null>} Pending action, or null if invalid or expired
+  */
+ async consume(token, { user = null, via, from = null } = {}) {
+   const key = `${PENDING_PREFIX}${token}`;
+   const pending = await redis.getJson(key);
+
+   if (!pending) {
+     await this.markExpired(token);
+     return null;
+   }
+   if (user && pending.userId !== String(user._id)) {
+     logger.warn('Email confirmation attempted by another user', { userId: user._id, action: pending.action });
+     return null;
+   }
+   if (await redis.del(key) === 0) {
+     return null;
+   }
+
+   await EmailConfirmation.updateOne(
+     { tokenHash: hashToken(token) },
+     { $set: { status: 'confirmed', confirmedAt: new Date(), confirmedVia: via, confirmedFrom: from } }
+   );
+
+   return pending;
+ }
+
+ /**
+  * Record that a request lapsed. Redis drops the key silently, so this
+  * happens when someone tries to use an expired token.
+  *
+  * @param {string} token - Confirmation token
+  */
+ async markExpired(token) {
+   await EmailConfirmation.updateOne(
+     { tokenHash: hashToken(token), status: 'pending', expiresAt: { $lte: new Date() } },
+     { $set: { status: 'expired' } }
+   );
+ }
+
+ /**
+  * Find a reply-code in the subject or first line of an email.
+  *
+  * @param {Object} emailData - Parsed email ({ subject, body })
+  * @returns {string|null} Lower-cased token
+  */
+ extractToken({ subject = '', body = '' }) {
+   const firstLine = body.split('\n')[0] || '';
+   const match = TOKEN_PATTERN.exec(subject) || TOKEN_PATTERN.exec(firstLine);
+   return match ? match[1].toLowerCase() : null;
+ }
+
+ async sendRequest(user, token, { action, notice, ttl }) {
+   // The link opens a page that POSTs the token; a bare GET would be
+   // confirmed by any link scanner that prefetches the message
+   const confirmUrl = `${process.env.FRONTEND_URL}/email/confirm/${token}`;
+   const { replyAddress } = config.email.inbound;
+   const expiry = formatTtl(ttl);
+
+   await emailService.sendEmail({
+     to: user.email,
+     subject: `Confirm: ${action}`,
+     text: `${notice}\n\n` +
+       `  ${action}\n\n` +
+       `To go ahead, open ${confirmUrl}\n` +
+       `or email ${replyAddress} with the subject: CONFIRM ${token}\n\n` +
+       `If this wasn't you, ignore this message. It expires in ${expiry}.`,
+     html: `<p>${escapeHtml(notice)}</p>` +
+       `<blockquote>${escapeHtml(action)}</blockquote>` +
+       `<p>To go ahead, <a href="${confirmUrl}">confirm here</a> ` +
+       `or email ${replyAddress} with the subject <code>CONFIRM ${token}</code>.</p>` +
+       `<p>If this wasn't you, ignore this message. It expires in ${expiry}.</p>`,
+     metadata: { type: 'email-confirmation' }
+   });
+ }
+}
+
+module.exports = new EmailConfirmationService();
+module.exports.EmailConfirmationService = EmailConfirmationService;
@@ -21,29 +21,53 @@ const sanitizeHtml = require('sanitize-html');
 const natural = require('natural');
 const User = require('../models/User.model');
 const Post = require('../models/Post.model');
+const Comment = require('../models/Comment.model');
 const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const Email = require('../models/Email.model');
 const aiService = require('./ai.service');
+const emailAuthService = require('./emailAuth.service');
+const emailConfirmationService = require('./emailConfirmation.service');
+const emailService = require('./email.service');
+const commandRegistry = require('./emailCommands');
+const repositoryMailService = require('./repositoryMail.service');
+const deliverabilityService = require('./deliverability.service');
+const consentService = require('./consent.service');
 const logger = require('../utils/logger');
+const config = require('../config');
+const {
+  parseMessageId,
+  normalizeReferences,
+  extractReplyBody
+} = require('../utils/emailThreading');
+const { parseRepositoryAddress } = require('../utils/inboundAddress');
+const { extractReport } = require('../utils/deliveryReports');
+
+const INVALID_CONFIRMATION = {
+  success: false,
+  type: 'confirmation',
+  message: 'Confirmation code is invalid or has expired'
+};
+
+// Matches the depth limit on the Comment schema
+const MAX_COMMENT_DEPTH = 10;
 
 class EmailParserService {
  constructor() {
    this.tokenizer = new natural.WordTokenizer();
-   this.commands = {
-     POST: /^(post|submit)/i,
-     COMMENT: /^(comment|reply)/i,
-     UPVOTE: /^(upvote|like|\+1)/i,
-     DOWNVOTE: /^(downvote|dislike|\-1)/i,
-     SUBSCRIBE: /^subscribe\s+#?(\w+)/i,
-     UNSUBSCRIBE: /^unsubscribe\s+#?(\w+)/i,
-     STATS: /^stats?$/i,
-     HELP: /^help$/i,
-     REPOSITORY: /^(repo|repository)\s+(\w+)/i,
-     ADD_EMAIL: /^add\s+email\s+([\w.-]+@[\w.-]+\.\w+)/i,
-     REMOVE_EMAIL: /^remove\s+email\s+([\w.-]+@[\w.-]+\.\w+)/i
-   };
  }
 
- async parseIncomingEmail(rawEmail) {
+ /**
+  * Parse a raw message and carry out whatever it asks for.
+  *
+  * @param {Buffer|string} rawEmail - Raw RFC 5322 message
+  * @param {Object} [meta] - Receipt metadata from the inbound transport
+  * @param {Object} [meta.envelope] - SMTP envelope ({ mailFrom, rcptTo[] })
+  * @param {string} [meta.transport] - Transport that received the message
+  * @param {Object} [meta.heldEmail] - Held message being released after confirmation
+  * @returns {Promise<Object>} Result of the processed action
+  */
+ async parseIncomingEmail(rawEmail, meta = {}) {
    try {
      const parsed = await simpleParser(rawEmail);
      
@@ -59,22 +83,86 @@ class EmailParserService {
        headers: parsed.headers,
        date: parsed.date || new Date(),
        inReplyTo: parsed.inReplyTo,
-       references: parsed.references
+       references: parsed.references,
+       envelope: meta.envelope || null,
+       transport: meta.transport || null
      };
 
+     // Bounces (DSN) and complaints (ARF) come from mail systems, not users
+     const report = extractReport(parsed);
+     if (report) {
+       return await deliverabilityService.processReport(report);
+     }
+
      const user = await this.authenticateUser(emailData.from);
      if (!user) {
        throw new Error('Unauthorized email sender');
      }
 
-     emailData.userId = user._id;
-     emailData.command = this.detectCommand(emailData.subject, emailData.text);
-     
-     if (emailData.command) {
-       return await this.processCommand(emailData, user);
+     // The token is only ever mailed to the account owner, so a reply
+     // carrying it is trusted even if the reply itself fails verification
+     const confirmationToken = emailConfirmationService.extractToken({
+       subject: emailData.subject,
+       body: extractReplyBody(emailData)
+     });
+     if (confirmationToken) {
+       return await this.confirmPendingAction(confirmationToken, user, { via: 'reply', from: emailData.from });
+     }
+
+     if (meta.heldEmail) {
+       // Releasing the hold already proved ownership; don't ask twice
+       emailData.emailRecordId = meta.heldEmail.emailRecordId;
+       emailData.confirmed = true;
      } else {
-       return await this.processPost(emailData, user);
+       emailData.authentication = await emailAuthService.verify(rawEmail, {
+         from: emailData.from,
+         envelope: emailData.envelope || {}
+       });
+
+       const policy = emailAuthService.getUnauthenticatedPolicy(user);
+       const status = emailData.authentication.authenticated
+         ? 'received'
+         : (policy === 'reject' ? 'rejected' : 'held');
+
+       const record = await this.recordInboundEmail(emailData, user, status);
+       emailData.emailRecordId = record._id;
+
+       if (!emailData.authentication.authenticated) {
+         return await this.handleUnauthenticatedEmail(rawEmail, emailData, user, policy);
+       }
      }
+
+     emailData.userId = user._id;
+     emailData.thread = await this.resolveThreadTarget(emailData);
+     emailData.repositoryTargets = await this.resolveRepositoryTargets(emailData);
+
+     // Mail to a repository address is content for its members, never commands
+     emailData.commands = emailData.repositoryTargets.length > 0 ? [] : commandRegistry.parse({
+       subject: emailData.subject,
+       body: extractReplyBody(emailData)
+     });
+
+     const [firstCommand] = emailData.commands;
+     const contentCommand = firstCommand && firstCommand.plugin.content ? firstCommand : null;
+
+     // Replies to a notification land in the thread unless they carry a real command
+     if (emailData.thread && (!firstCommand || contentCommand)) {
+       return await this.processComment(emailData, user);
+     }
+
+     if (emailData.repositoryTargets.length > 0) {
+       return await this.processRepositoryPost(emailData, user);
+     }
+
+     if (contentCommand) {
+       return await commandRegistry.execute(contentCommand, { user, emailData, parser: this });
+     }
+
+     if (firstCommand) {
+       return await this.processCommands(emailData.commands, emailData, user);
+     }
+
+     return await this.processPost(emailData, user);
    } catch (error) {
      logger.error('Email parsing error:', error);
      throw error;
@@ -114,72 +202,235 @@ class EmailParserService {
    return user;
  }
 
- detectCommand(subject, body) {
-   const commandText = subject.toLowerCase().trim();
-   
-   for (const [commandName, pattern] of Object.entries(this.commands)) {
-     const match = commandText.match(pattern);
-     if (match) {
-       return {
-         type: commandName,
-         match: match,
-         params: match.slice(1)
-       };
-     }
+ async recordInboundEmail(emailData, user, status) {
+   return Email.create({
+     messageId: emailData.messageId,
+     from: emailData.from,
+     to: emailData.to,
+     subject: emailData.subject,
+     content: emailData.text,
+     htmlContent: emailData.html,
+     type: 'inbound',
+     status,
+     userId: user._id,
+     authentication: emailData.authentication,
+     metadata: {
+       transport: emailData.transport,
+       envelope: emailData.envelope
+     },
+     processedAt: new Date()
+   });
+ }
+
+ async handleUnauthenticatedEmail(rawEmail, emailData, user, policy) {
+   const { authentication } = emailData;
+
+   logger.warn('Inbound email failed sender authentication', {
+     from: emailData.from,
+     policy,
+     dkim: authentication.dkim,
+     spf: authentication.spf,
+     dmarc: authentication.dmarc
+   });
+
+   if (policy === 'reject') {
+     // No bounce: the From address is exactly what we could not verify
+     return {
+       success: false,
+       type: 'rejected',
+       data: { emailId: emailData.emailRecordId, authentication },
+       message: 'Sender authentication failed'
+     };
    }
 
-   const firstLine = body.split('\n')[0].toLowerCase().trim();
-   for (const [commandName, pattern] of Object.entries(this.commands)) {
-     const match = firstLine.match(pattern);
-     if (match) {
-       return {
-         type: commandName,
-         match: match,
-         params: match.slice(1)
-       };
+   const raw = Buffer.isBuffer(rawEmail) ? rawEmail : Buffer.from(String(rawEmail));
+
+   await emailConfirmationService.request({
+     kind: 'held_email',
+     user,
+     action: `Process email "${emailData.subject}"`,
+     payload: {
+       emailRecordId: String(emailData.emailRecordId),
+       rawEmail: raw.toString('base64'),
+       meta: {
+         transport: emailData.transport,
+         envelope: emailData.envelope
+       }
+     },
+     ttl: config.email.inbound.auth.holdTtl,
+     notice: `We received an email from ${emailData.from} that we could not verify as coming from you.`,
+     email: { recordId: emailData.emailRecordId, messageId: emailData.messageId }
+   });
+
+   return {
+     success: true,
+     type: 'held',
+     data: { emailId: emailData.emailRecordId },
+     message: 'Email held until the sender confirms it'
+   };
+ }
+
+ /**
+  * Run every command in an email, in order, and mail the sender one
+  * summary of the outcomes.
+  *
+  * @param {Object[]} commands - Parsed commands from commandRegistry.parse
+  * @param {Object} emailData - Parsed email
+  * @param {Object} user - Sending user
+  * @returns {Promise<Object>} { success, type: 'commands', data: { results } }
+  */
+ async processCommands(commands, emailData, user) {
+   const context = { user, emailData, parser: this };
+   const results = [];
+
+   // Sequential on purpose: "REPOSITORY x" then "ADD EMAIL y" must see x
+   for (const command of commands) {
+     results.push(await this.runCommand(command, context));
+   }
+
+   try {
+     await this.sendCommandResults(results, emailData, user);
+   } catch (error) {
+     logger.error('Failed to send email command results:', error);
+   }
+
+   return {
+     success: results.every(result => result.success),
+     type: 'commands',
+     data: { results },
+     message: `Processed ${results.length} command${results.length === 1 ? '' : 's'}`
+   };
+ }
+
+ async runCommand(command, context) {
+   if (command.plugin.requiresConfirmation && !context.emailData.confirmed) {
+     return this.requestCommandConfirmation(command, context);
+   }
+   return commandRegistry.execute(command, context);
+ }
+
+ async requestCommandConfirmation(command, context) {
+   const { emailData, user } = context;
+
+   let pinned = {};
+   try {
+     if (command.plugin.prepare) {
+       pinned = await command.plugin.prepare(command.args, context);
      }
+   } catch (error) {
+     return {
+       command: command.name,
+       success: false,
+       type: command.name.toLowerCase(),
+       message: error.message
+     };
    }
 
-   return null;
+   const { expiresAt } = await emailConfirmationService.request({
+     kind: 'command',
+     user,
+     action: command.line,
+     payload: {
+       command: { name: command.name, args: command.args },
+       subject: emailData.subject,
+       pinned
+     },
+     ttl: config.email.inbound.confirmation.commandTtl,
+     notice: 'You sent us an email command that changes your data or permissions:',
+     email: { recordId: emailData.emailRecordId, messageId: emailData.messageId }
+   });
+
+   return {
+     command: command.name,
+     success: true,
+     type: 'confirmation_required',
+     data: { command: command.name, expiresAt },
+     message: `"${command.line}" will run once you confirm it`
+   };
  }
 
- async processCommand(emailData, user) {
-   const { command } = emailData;
-   
-   switch (command.type) {
-     case 'COMMENT':
-       return await this.processComment(emailData, user);
-     
-     case 'UPVOTE':
-       return await this.processVote(emailData, user, 1);
-     
-     case 'DOWNVOTE':
-       return await this.processVote(emailData, user, -1);
-     
-     case 'SUBSCRIBE':
-       return await this.processSubscribe(user, command.params[0]);
-     
-     case 'UNSUBSCRIBE':
-       return await this.processUnsubscribe(user, command.params[0]);
-     
-     case 'STATS':
-       return await this.getUserStats(user);
-     
-     case 'HELP':
-       return await this.getHelpText(user);
-     
-     case 'REPOSITORY':
-       return await this.processRepositoryCommand(emailData, user, command.params);
-     
-     case 'ADD_EMAIL':
-       return await this.addEmailToRepository(emailData, user, command.params[0]);
-     
-     case 'REMOVE_EMAIL':
-       return await this.removeEmailFromRepository(emailData, user, command.params[0]);
-     
-     default:
-       return await this.processPost(emailData, user);
+ /**
+  * Mail the sender one reply listing each command's outcome, with any
+  * command output and attachments (e.g. an exported CSV) included.
+  */
+ async sendCommandResults(results, emailData, user) {
+   const lines = results.map(result =>
+     `${result.success ? '✓' : '✗'} ${result.message}`
+   );
+   const replies = results
+     .filter(result => result.reply)
+     .map(result => result.reply);
+   const attachments = results.flatMap(result => result.attachments || []);
+
+   const text = [lines.join('\n'), ...replies].join('\n\n');
+   const html = `<pre style="font-family: inherit; white-space: pre-wrap;">${sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} })}</pre>`;
+
+   const references = emailData.messageId
+     ? [...normalizeReferences(emailData.references), emailData.messageId]
+     : undefined;
+
+   await emailService.sendEmail({
+     to: user.email,
+     subject: emailData.subject ? `Re: ${emailData.subject.replace(/^re:\s*/i, '')}` : 'Your Shadownews commands',
+     text,
+     html,
+     attachments,
+     inReplyTo: emailData.messageId || undefined,
+     references
+   });
+ }
+
+ /**
+  * Carry out an action once its owner has confirmed it by reply-code or link.
+  *
+  * @param {string} token - Confirmation token
+  * @param {Object|null} user - Confirming user (reply), or null (link)
+  * @param {Object} options - Passed to emailConfirmationService.consume
+  * @returns {Promise<Object>} Result of the confirmed action
+  */
+ async confirmPendingAction(token, user, options) {
+   const pending = await emailConfirmationService.consume(token, { ...options, user });
+   if (!pending) {
+     return INVALID_CONFIRMATION;
+   }
+
+   const { payload } = pending;
+
+   if (pending.kind === 'held_email') {
+     await Email.updateOne(
+       { _id: payload.emailRecordId },
+       { $set: { status: 'received', 'authentication.confirmedAt': new Date() } }
+     );
+
+     return this.parseIncomingEmail(Buffer.from(payload.rawEmail, 'base64'), {
+       ...payload.meta,
+       heldEmail: payload
+     });
    }
+
+   const owner = user || await User.findById(pending.userId);
+   if (!owner) {
+     return INVALID_CONFIRMATION;
+   }
+
+   const plugin = commandRegistry.get(payload.command.name);
+   if (!plugin) {
+     return INVALID_CONFIRMATION;
+   }
+
+   return this.processCommands([{
+     name: plugin.name,
+     plugin,
+     args: payload.command.args,
+     line: pending.action
+   }], {
+     subject: payload.subject,
+     text: '',
+     html: '',
+     attachments: [],
+     confirmed: true,
+     ...payload.pinned
+   }, owner);
  }
 
  async processPost(emailData, user) {
@@ -188,13 +439,14 @@ class EmailParserService {
    const title = this.sanitizeTitle(subject);
    const content = this.extractContent(text, html);
    const urls = this.extractUrls(content);
-   const hashtags = await this.extractHashtags(content, title);
+   const aiMetadata = await aiService.analyzeContent(`${title} ${content}`, { userId: user._id });
+   const hashtags = this.extractHashtags(content, title, aiMetadata.suggestedHashtags);
    
    const csvAttachments = attachments.filter(att => 
      att.filename?.toLowerCase().endsWith('.csv')
    );
 
-   const repositories = [];
+   const repositories = (emailData.repositories || []).map(repo => repo._id);
    for (const csv of csvAttachments) {
      const repo = await this.processCsvAttachment(csv, user);
      if (repo) repositories.push(repo._id);
@@ -206,7 +458,9 @@ class EmailParserService {
      content,
      urls,
      hashtags,
-     repositories,
+     aiMetadata,
+     repositories: repositories.map(repository => ({ repository })),
+     visibility: emailData.visibility || 'public',
      source: 'email',
      emailMessageId: emailData.messageId,
      karma: 0,
@@ -227,31 +481,148 @@ class EmailParserService {
    };
  }
 
+ /**
+  * Post mail sent to one or more repository addresses. The post is linked
+  * to every repository the sender may post to, and sent on to the email
+  * list of those in list mode.
+  *
+  * @param {Object} emailData - Parsed email with repositoryTargets resolved
+  * @param {Object} user - Sending user
+  * @returns {Promise<Object>} Result of the repository post
+  */
+ async processRepositoryPost(emailData, user) {
+   const permitted = await Promise.all(emailData.repositoryTargets.map(repo => repo.canUserPostByEmail(user)));
+   const allowed = emailData.repositoryTargets.filter((repo, index) => permitted[index]);
+   const denied = emailData.repositoryTargets.filter(repo => !allowed.includes(repo));
+
+   if (denied.length > 0) {
+     logger.warn('Repository post rejected for sender', {
+       userId: user._id,
+       repositories: denied.map(repo => repo.slug)
+     });
+     await this.sendRepositoryPostRejection(emailData, user, denied);
+   }
+
+   if (allowed.length === 0) {
+     return {
+       success: false,
+       type: 'repository_post',
+       data: { rejected: denied.map(repo => repo.slug) },
+       message: 'You do not have permission to post to this repository by email'
+     };
+   }
+
+   const result = await this.processPost({
+     ...emailData,
+     repositories: allowed,
+     // A post mailed only to private repositories stays inside them
+     visibility: allowed.some(repo => repo.settings.isPublic) ? 'public' : 'repository'
+   }, user);
+   const post = result.data;
+
+   try {
+     await repositoryMailService.distributePost(post, user, allowed);
+   } catch (error) {
+     logger.error('Failed to distribute repository post:', error);
+   }
+
+   return {
+     success: true,
+     type: 'repository_post',
+     data: {
+       post,
+       repositories: allowed.map(repo => repo.slug),
+       rejected: denied.map(repo => repo.slug)
+     },
+     message: `Post "${post.title}" created in ${allowed.map(repo => repo.name).join(', ')}`
+   };
+ }
+
+ async sendRepositoryPostRejection(emailData, user, repositories) {
+   const names = repositories.map(repo => `${repo.name} (${repo.inboundAddress})`);
+   const text = [
+     'Your email was not posted to:',
+     '',
+     ...names,
+     '',
+     'Only the owner and collaborators of a repository can post to it by email,',
+     'or list members if the owner allows it.'
+   ].join('\n');
+
+   try {
+     await emailService.sendEmail({
+       to: user.email,
+       subject: `Not posted: ${emailData.subject}`,
+       text,
+       html: `<pre style="font-family: inherit; white-space: pre-wrap;">${sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} })}</pre>`,
+       inReplyTo: emailData.messageId || undefined,
+       references: emailData.messageId ? [emailData.messageId] : undefined
+     });
+   } catch (error) {
+     logger.error('Failed to send repository post rejection:', error);
+   }
+ }
+
  async processComment(emailData, user) {
-   const parentPost = await this.findParentPost(emailData);
-   if (!parentPost) {
+   const thread = emailData.thread || await this.resolveThreadTarget(emailData);
+   const post = thread ? thread.post : await this.findPostBySubject(emailData);
+   if (!post) {
      throw new Error('Parent post not found for comment');
    }
 
-   const content = this.extractContent(emailData.text, emailData.html);
-   
-   const comment = {
+   // Mail servers retry deliveries, so the same reply may arrive twice
+   if (emailData.messageId) {
+     const existing = await Comment.findOne({ 'metadata.emailMessageId': emailData.messageId });
+     if (existing) {
+       return {
+         success: true,
+         type: 'comment',
+         data: existing,
+         message: 'Comment already recorded'
+       };
+     }
+   }
+
+   let parentComment = thread ? thread.parentComment : null;
+   if (parentComment && parentComment.depth >= MAX_COMMENT_DEPTH) {
+     parentComment = parentComment.parent
+       ? await Comment.findById(parentComment.parent)
+       : null;
+   }
+
+   const content = extractReplyBody(emailData).substring(0, 10000);
+   if (!content) {
+     throw new Error('Reply contains no new content');
+   }
+
+   const comment = new Comment({
      author: user._id,
+     post: post._id,
+     parent: parentComment ? parentComment._id : null,
+     depth: parentComment ? parentComment.depth + 1 : 0,
      content,
-     createdAt: new Date(),
-     karma: 0
-   };
+     metadata: {
+       source: 'email',
+       emailMessageId: emailData.messageId
+     }
+   });
+   await comment.save();
 
-   parentPost.comments.push(comment);
-   await parentPost.save();
+   await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
 
    await this.updateUserKarma(user, 'comment_created', 20);
 
+   try {
+     await repositoryMailService.distributeComment(comment, post, user);
+   } catch (error) {
+     logger.error('Failed to distribute comment to list-mode repositories:', error);
+   }
+
    return {
      success: true,
      type: 'comment',
      data: comment,
-     message: 'Comment added successfully'
+     message: parentComment ? 'Reply added to comment thread' : 'Comment added successfully'
    };
  }
 
@@ -302,29 +673,22 @@ class EmailParserService {
        repository = new Repository({
          name: repositoryName,
          owner: user._id,
-         emails: [],
          isPublic: true,
          growthEnabled: true,
          createdAt: new Date()
        });
+       await repository.save();
      }
 
-     const newEmails = emails.filter(email => 
-       !repository.emails.some(e => e.email === email)
+     const added = await RepositoryMember.addMembers(
+       repository._id,
+       emails.map(email => ({ email, addedBy: user._id, source: 'csv' })),
+       { channel: 'email', operation: 'csv_attachment', actor: user._id }
      );
+     const newEmails = added.map(entry => entry.email);
 
-     for (const email of newEmails) {
-       repository.emails.push({
-         email,
-         addedBy: user._id,
-         addedAt: new Date(),
-         verified: false,
-         source: 'csv_upload'
-       });
-     }
-
-     repository.totalEmails = repository.emails.length;
-     await repository.save();
+     await consentService.requestConsent(repository, newEmails, { source: 'csv', actor: user._id });
+     await RepositoryMember.refreshStats(repository._id);
 
      return repository;
    } catch (error) {
@@ -374,35 +738,67 @@ class EmailParserService {
    return [...new Set(matches)];
  }
 
- async extractHashtags(content, title) {
-   const manualHashtags = [];
-   const hashtagRegex = /#\w+/g;
-   
-   const contentMatches = content.match(hashtagRegex) || [];
-   const titleMatches = title.match(hashtagRegex) || [];
-   
-   manualHashtags.push(...contentMatches, ...titleMatches);
-   
-   const cleanedHashtags = manualHashtags
-     .map(tag => tag.substring(1).toLowerCase())
-     .filter(tag => tag.length > 2 && tag.length < 30);
+ /**
+  * Hashtags written in the title or body, followed by suggested ones.
+  *
+  * @param {string} content - Post body
+  * @param {string} title - Post title
+  * @param {string[]} [suggestions] - Hashtags suggested by ai.service
+  * @returns {string[]} Up to 10 unique hashtags without '#'
+  */
+ extractHashtags(content, title, suggestions = []) {
+   const manualHashtags = aiService.extractHashtags(`${title} ${content}`);
+   return [...new Set([...manualHashtags, ...suggestions])].slice(0, 10);
+ }
 
-   const aiSuggestions = await aiService.suggestHashtags(title + ' ' + content);
-   
-   return [...new Set([...cleanedHashtags, ...aiSuggestions])].slice(0, 10);
+ async resolveThreadTarget(emailData) {
+   const candidates = [
+     ...normalizeReferences(emailData.inReplyTo),
+     // References are oldest first; the closest ancestor is the most specific
+     ...normalizeReferences(emailData.references).reverse()
+   ];
+
+   for (const messageId of [...new Set(candidates)]) {
+     const target = await this.findThreadTargetByMessageId(messageId);
+     if (target) return target;
+   }
+
+   return null;
  }
 
- async findParentPost(emailData) {
-   if (emailData.inReplyTo) {
-     return await Post.findOne({ emailMessageId: emailData.inReplyTo });
+ async findThreadTargetByMessageId(messageId) {
+   const reference = parseMessageId(messageId);
+
+   if (reference && reference.type === 'post') {
+     const post = await Post.findById(reference.id);
+     return post ? { post, parentComment: null } : null;
    }
-   
-   if (emailData.references && emailData.references.length > 0) {
-     return await Post.findOne({ 
-       emailMessageId: { $in: emailData.references } 
-     });
+
+   const comment = reference
+     ? await Comment.findById(reference.id)
+     : await Comment.findOne({ 'metadata.emailMessageId': messageId });
+
+   if (comment) {
+     const post = await Post.findById(comment.post);
+     return post ? { post, parentComment: comment } : null;
+   }
+
+   if (reference) return null;
+
+   const post = await Post.findOne({ emailMessageId: messageId });
+   return post ? { post, parentComment: null } : null;
+ }
+
+ async findParentPost(emailData) {
+   const thread = emailData.thread || await this.resolveThreadTarget(emailData);
+   if (thread) {
+     return thread.post;
    }
 
+   return this.findPostBySubject(emailData);
+ }
+
+ async findPostBySubject(emailData) {
    const subjectMatch = emailData.subject.match(/re:\s*(.+)/i);
    if (subjectMatch) {
      const originalTitle = subjectMatch[1].trim();
@@ -430,169 +826,40 @@ class EmailParserService {
    await user.save();
  }
 
- async processSubscribe(user, hashtag) {
-   const cleanHashtag = hashtag.replace('#', '').toLowerCase();
-   
-   if (!user.subscribedHashtags) {
-     user.subscribedHashtags = [];
-   }
-   
-   if (!user.subscribedHashtags.includes(cleanHashtag)) {
-     user.subscribedHashtags.push(cleanHashtag);
-     await user.save();
-   }
-
-   return {
-     success: true,
-     type: 'subscribe',
-     data: { hashtag: cleanHashtag },
-     message: `Subscribed to #${cleanHashtag}`
-   };
- }
-
- async processUnsubscribe(user, hashtag) {
-   const cleanHashtag = hashtag.replace('#', '').toLowerCase();
-   
-   if (user.subscribedHashtags) {
-     user.subscribedHashtags = user.subscribedHashtags.filter(
-       h => h !== cleanHashtag
-     );
-     await user.save();
-   }
-
-   return {
-     success: true,
-     type: 'unsubscribe',
-     data: { hashtag: cleanHashtag },
-     message: `Unsubscribed from #${cleanHashtag}`
-   };
- }
-
- async getUserStats(user) {
-   const postCount = await Post.countDocuments({ author: user._id });
-   const repositoryCount = await Repository.countDocuments({ owner: user._id });
-   
-   return {
-     success: true,
-     type: 'stats',
-     data: {
-       karma: user.karma || 0,
-       posts: postCount,
-       repositories: repositoryCount,
-       memberSince: user.createdAt
-     },
-     message: 'User statistics retrieved'
-   };
- }
-
- async getHelpText(user) {
-   const helpText = `
-Shadownews Email Commands:
-
-POST/SUBMIT - Create a new post (use as subject)
-COMMENT/REPLY - Reply to a post (reply to notification email)
-UPVOTE/+1 - Upvote a post
-DOWNVOTE/-1 - Downvote a post
-SUBSCRIBE #topic - Subscribe to a hashtag
-UNSUBSCRIBE #topic - Unsubscribe from a hashtag
-STATS - Get your statistics
-HELP - Show this help message
-REPOSITORY name - Create/access a repository
-ADD EMAIL user@example.com - Add email to repository
-REMOVE EMAIL user@example.com - Remove email from repository
-
-Attach CSV files to automatically create email repositories!
-   `.trim();
-
-   return {
-     success: true,
-     type: 'help',
-     data: { helpText },
-     message: 'Help information'
-   };
- }
-
- async processRepositoryCommand(emailData, user, params) {
-   const repositoryName = params[0];
-   
-   let repository = await Repository.findOne({
-     name: repositoryName,
-     owner: user._id
+ /**
+  * Repositories addressed by the message, by slug or inbound alias. The
+  * SMTP envelope is preferred
+  * since it lists who the message was actually delivered to; To and Cc
+  * are used when the transport had no envelope.
+  *
+  * @param {Object} emailData - Parsed email
+  * @returns {Promise<Object[]>} Active repositories, possibly empty
+  */
+ async resolveRepositoryTargets(emailData) {
+   const envelopeRecipients = emailData.envelope && emailData.envelope.rcptTo;
+   const recipients = envelopeRecipients && envelopeRecipients.length > 0
+     ? envelopeRecipients
+     : [...emailData.to, ...emailData.cc];
+
+   const slugs = [...new Set(recipients
+     .map(address => parseRepositoryAddress(address))
+     .filter(Boolean)
+     .map(target => target.slug))];
+
+   if (slugs.length === 0) return [];
+
+   return Repository.find({
+     $or: [{ slug: { $in: slugs } }, { inboundAliases: { $in: slugs } }],
+     isActive: true,
+     deletedAt: null
    });
-
-   if (!repository) {
-     repository = new Repository({
-       name: repositoryName,
-       owner: user._id,
-       emails: [],
-       isPublic: true,
-       growthEnabled: true,
-       createdAt: new Date()
-     });
-     await repository.save();
-   }
-
-   return {
-     success: true,
-     type: 'repository',
-     data: repository,
-     message: `Repository "${repositoryName}" ${repository.isNew ? 'created' : 'accessed'}`
-   };
- }
-
- async addEmailToRepository(emailData, user, email) {
-   const repository = await this.findUserRepository(emailData, user);
-   if (!repository) {
-     throw new Error('Repository not found');
-   }
-
-   const existingEmail = repository.emails.find(e => e.email === email);
-   if (existingEmail) {
-     return {
-       success: false,
-       type: 'add_email',
-       message: 'Email already exists in repository'
-     };
-   }
-
-   repository.emails.push({
-     email,
-     addedBy: user._id,
-     addedAt: new Date(),
-     verified: false,
-     source: 'manual'
-   });
-
-   repository.totalEmails = repository.emails.length;
-   await repository.save();
-
-   return {
-     success: true,
-     type: 'add_email',
-     data: { email, repository: repository.name },
-     message: `Email ${email} added to repository`
-   };
  }
 
- async removeEmailFromRepository(emailData, user, email) {
-   const repository = await this.findUserRepository(emailData, user);
-   if (!repository) {
-     throw new Error('Repository not found');
+ async findUserRepository(emailData, user) {
+   if (emailData.repositoryId) {
+     return await Repository.findOne({ _id: emailData.repositoryId, owner: user._id });
    }
 
-   repository.emails = repository.emails.filter(e => e.email !== email);
-   repository.totalEmails = repository.emails.length;
-   await repository.save();
-
-   return {
-     success: true,
-     type: 'remove_email',
-     data: { email, repository: repository.name },
-     message: `Email ${email} removed from repository`
-   };
- }
-
- async findUserRepository(emailData, user) {
    const subjectMatch = emailData.subject.match(/repository\s+(\w+)/i);
    if (subjectMatch) {
      return await Repository.findOne({
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Inbound Email Transport Service
+ *
+ * Pluggable transport layer for everything that delivers mail into
+ * ShadowNews. Each transport (provider webhook, built-in SMTP/LMTP
+ * listener, maildir/mbox importer) hands raw MIME to this service, which
+ * wraps it in a single job payload and queues it for the email worker.
+ * Downstream processing therefore never needs to know how a message arrived.
+ *
+ * Key Features:
+ * - Transport registry with start/stop lifecycle
+ * - Uniform `inbound-email` job payload for every transport
+ * - Base64 encoding of raw MIME so payloads survive JSON serialization
+ * - Envelope (MAIL FROM / RCPT TO) and peer metadata preserved for routing
+ *
+ * Job Payload:
+ * - transport: Name of the transport that received the message
+ * - rawEmail: Base64-encoded RFC 5322 message
+ * - envelope: { mailFrom, rcptTo[], clientIp, helo } as seen by the transport
+ * - remoteAddress: Peer address for SMTP, client IP for webhooks
+ * - receivedAt: ISO timestamp of receipt
+ * - size: Size of the raw message in bytes
+ *
+ * Dependencies:
+ * - bull: Queue shared with the email processing worker
+ * - ../../config: Redis and inbound transport settings
+ * - ../../utils/logger: Transport lifecycle logging
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Bull = require('bull');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const WebhookTransport = require('./webhook.transport');
+const SmtpTransport = require('./smtp.transport');
+const MailboxTransport = require('./mailbox.transport');
+
+// Queue and job name consumed by workers/email.worker.js
+const INBOUND_QUEUE_NAME = 'email-processing';
+const INBOUND_JOB_NAME = 'inbound-email';
+
+class InboundTransportService {
+  constructor() {
+    this.transports = new Map();
+    this.running = new Set();
+    this.queue = null;
+  }
+
+  /**
+   * Lazily create the queue so importing this module (e.g. from a CLI
+   * script or a test) does not open a Redis connection by itself.
+   *
+   * @returns {Bull} Email processing queue
+   */
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Bull(INBOUND_QUEUE_NAME, {
+        redis: {
+          host: config.redis.host,
+          port: config.redis.port,
+          password: config.redis.password
+        }
+      });
+    }
+    return this.queue;
+  }
+
+  /**
+   * Register a transport. Transports expose a unique `name` and may
+   * implement `start()` and `stop()` if they listen for mail themselves.
+   *
+   * @param {Object} transport - Transport instance
+   * @returns {InboundTransportService} this, for chaining
+   */
+  register(transport) {
+    if (!transport || !transport.name) {
+      throw new Error('Inbound transport must have a name');
+    }
+    this.transports.set(transport.name, transport);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Transport name
+   * @returns {Object} Registered transport
+   * @throws {Error} If no transport is registered under that name
+   */
+  get(name) {
+    const transport = this.transports.get(name);
+    if (!transport) {
+      throw new Error(`Unknown inbound transport: ${name}`);
+    }
+    return transport;
+  }
+
+  /**
+   * Build the job payload shared by all transports.
+   *
+   * @param {Buffer|string} rawEmail - Raw RFC 5322 message
+   * @param {Object} meta - Receipt metadata
+   * @param {string} meta.transport - Transport name
+   * @param {Object} [meta.envelope] - SMTP envelope
+   * @param {string} [meta.remoteAddress] - Peer address
+   * @returns {Object} Serializable job payload
+   */
+  createJob(rawEmail, { transport, envelope = {}, remoteAddress = null } = {}) {
+    const buffer = Buffer.isBuffer(rawEmail) ? rawEmail : Buffer.from(String(rawEmail), 'utf-8');
+
+    return {
+      transport,
+      rawEmail: buffer.toString('base64'),
+      envelope: {
+        mailFrom: envelope.mailFrom || null,
+        rcptTo: (envelope.rcptTo || []).map(address => address.toLowerCase()),
+        clientIp: envelope.clientIp || null,
+        helo: envelope.helo || null
+      },
+      remoteAddress,
+      receivedAt: new Date().toISOString(),
+      size: buffer.length
+    };
+  }
+
+  /**
+   * Queue a raw message for processing by the email worker.
+   *
+   * @param {Buffer|string} rawEmail - Raw RFC 5322 message
+   * @param {Object} meta - Receipt metadata (see createJob)
+   * @returns {Promise<Object>} Queued job summary
+   */
+  async submit(rawEmail, meta = {}) {
+    const payload = this.createJob(rawEmail, meta);
+
+    const job = await this.getQueue().add(INBOUND_JOB_NAME, payload, {
+      attempts: config.queue.defaultJobOptions.attempts,
+      backoff: config.queue.defaultJobOptions.backoff,
+      removeOnComplete: true
+    });
+
+    logger.info(`Inbound email queued via ${payload.transport}`, {
+      jobId: job.id,
+      size: payload.size,
+      rcptTo: payload.envelope.rcptTo
+    });
+
+    return {
+      jobId: job.id,
+      transport: payload.transport,
+      size: payload.size,
+      receivedAt: payload.receivedAt
+    };
+  }
+
+  /**
+   * Start every enabled transport that listens on its own.
+   *
+   * @param {string[]} [names] - Transports to start (defaults to config)
+   * @returns {Promise<void>}
+   */
+  async startAll(names = config.email.inbound.transports) {
+    for (const name of names) {
+      const transport = this.transports.get(name);
+      if (!transport) {
+        logger.warn(`Inbound transport "${name}" is enabled but not registered`);
+        continue;
+      }
+      if (typeof transport.start === 'function' && !this.running.has(name)) {
+        await transport.start();
+        this.running.add(name);
+      }
+    }
+  }
+
+  /**
+   * Stop all running transports.
+   *
+   * @returns {Promise<void>}
+   */
+  async stopAll() {
+    for (const name of this.running) {
+      await this.transports.get(name).stop();
+    }
+    this.running.clear();
+
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+}
+
+/**
+ * Decode the raw message carried by an inbound job payload.
+ *
+ * @param {Object} payload - Job payload created by createJob
+ * @returns {Buffer} Raw RFC 5322 message
+ */
+const decodeInboundJob = (payload) => Buffer.from(payload.rawEmail, 'base64');
+
+const inboundTransportService = new InboundTransportService();
+
+inboundTransportService
+  .register(new WebhookTransport(inboundTransportService))
+  .register(new SmtpTransport(inboundTransportService))
+  .register(new MailboxTransport(inboundTransportService));
+
+module.exports = inboundTransportService;
+module.exports.InboundTransportService = InboundTransportService;
+module.exports.decodeInboundJob = decodeInboundJob;
+module.exports.INBOUND_JOB_NAME = INBOUND_JOB_NAME;
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Mailbox Inbound Transport
+ *
+ * Imports mail from local maildir directories and mbox files. Used for
+ * one-off backfills (scripts/importMailbox.js) and, when a maildir path is
+ * configured, for polling a mailbox that an existing MTA delivers into.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// mbox separator line: "From sender@example.com Mon Jan  1 00:00:00 2024"
+const MBOX_SEPARATOR = /^From \S+/;
+// Body lines escaped as ">From ", ">>From ", ... when the mbox was written
+const MBOX_ESCAPED_FROM = /^>(>*From )/;
+// Maildir folder, beside new/ and cur/, for messages that could not be queued
+const FAILED_FOLDER = 'failed';
+
+class MailboxTransport {
+  constructor(inbound) {
+    this.name = 'mailbox';
+    this.inbound = inbound;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * @returns {Object} Maildir polling settings from config.email.inbound.maildir
+   */
+  get settings() {
+    return config.email.inbound.maildir;
+  }
+
+  /**
+   * Queue a single raw message.
+   *
+   * @param {Buffer|string} raw - Raw RFC 5322 message
+   * @param {string} source - File the message was read from
+   * @returns {Promise<Object>} Queued job summary
+   */
+  submitMessage(raw, source) {
+    return this.inbound.submit(raw, {
+      transport: this.name,
+      remoteAddress: source
+    });
+  }
+
+  /**
+   * Import every message in a maildir's `new/` and `cur/` folders. When
+   * marking messages seen, `cur/` holds those already imported and only
+   * `new/` is read; messages that fail are moved to `failed/` so a poll
+   * does not retry them. Move them back to `new/` to try again.
+   *
+   * @param {string} dir - Maildir root
+   * @param {Object} [options]
+   * @param {boolean} [options.markSeen=false] - Move imported `new/` files to `cur/`
+   * @returns {Promise<Object>} Counts of imported and failed messages
+   */
+  async importMaildir(dir, { markSeen = false } = {}) {
+    const stats = { imported: 0, failed: 0 };
+
+    for (const folder of markSeen ? ['new'] : ['new', 'cur']) {
+      const folderPath = path.join(dir, folder);
+      let entries;
+      try {
+        entries = await fs.promises.readdir(folderPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const entry of entries.sort()) {
+        const filePath = path.join(folderPath, entry);
+        try {
+          const raw = await fs.promises.readFile(filePath);
+          await this.submitMessage(raw, filePath);
+          stats.imported++;
+
+          if (markSeen && folder === 'new') {
+            // Maildir convention: ":2," info suffix marks the file as processed
+            await fs.promises.rename(filePath, path.join(dir, 'cur', `${entry}:2,S`));
+          }
+        } catch (error) {
+          stats.failed++;
+          logger.error(`Failed to import ${filePath}`, { error: error.message });
+
+          if (markSeen && folder === 'new') {
+            await this.holdFailed(dir, entry);
+          }
+        }
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Move a `new/` message that failed to import into `failed/`.
+   *
+   * @param {string} dir - Maildir root
+   * @param {string} entry - File name in `new/`
+   * @returns {Promise<void>}
+   */
+  async holdFailed(dir, entry) {
+    const failedPath = path.join(dir, FAILED_FOLDER);
+    try {
+      await fs.promises.mkdir(failedPath, { recursive: true });
+      await fs.promises.rename(path.join(dir, 'new', entry), path.join(failedPath, entry));
+      logger.warn(`Moved ${entry} to ${failedPath}`);
+    } catch (error) {
+      logger.error(`Failed to move ${entry} out of ${path.join(dir, 'new')}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Stream an mbox file and import each message it contains.
+   *
+   * @param {string} file - Path to the mbox file
+   * @returns {Promise<Object>} Counts of imported and failed messages
+   */
+  async importMbox(file) {
+    const stats = { imported: 0, failed: 0 };
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file),
+      crlfDelay: Infinity
+    });
+
+    let current = null;
+
+    const flush = async () => {
+      if (!current || current.length === 0) return;
+      try {
+        await this.submitMessage(current.join('\r\n'), file);
+        stats.imported++;
+      } catch (error) {
+        stats.failed++;
+        logger.error(`Failed to import message from ${file}`, { error: error.message });
+      }
+    };
+
+    for await (const line of lines) {
+      if (MBOX_SEPARATOR.test(line)) {
+        await flush();
+        current = [];
+        continue;
+      }
+      if (current) {
+        current.push(line.replace(MBOX_ESCAPED_FROM, '$1'));
+      }
+    }
+    await flush();
+
+    return stats;
+  }
+
+  /**
+   * Import a path, detecting whether it is a maildir or an mbox file.
+   *
+   * @param {string} target - Maildir root or mbox file
+   * @param {Object} [options] - Passed to importMaildir
+   * @returns {Promise<Object>} Import counts
+   */
+  async importPath(target, options = {}) {
+    const stat = await fs.promises.stat(target);
+    return stat.isDirectory()
+      ? this.importMaildir(target, options)
+      : this.importMbox(target);
+  }
+
+  /**
+   * Poll the configured maildir for new messages.
+   *
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const { path: maildir, pollInterval } = this.settings;
+    if (!maildir) {
+      logger.warn('Mailbox transport enabled without INBOUND_MAILDIR_PATH; not polling');
+      return;
+    }
+
+    const poll = async () => {
+      if (this.polling) return;
+      this.polling = true;
+      try {
+        const stats = await this.importMaildir(maildir, { markSeen: true });
+        if (stats.imported > 0 || stats.failed > 0) {
+          logger.info('Maildir poll complete', stats);
+        }
+      } catch (error) {
+        logger.error('Maildir poll failed', { error: error.message });
+      } finally {
+        this.polling = false;
+      }
+    };
+
+    this.timer = setInterval(poll, pollInterval);
+    logger.info(`Polling maildir ${maildir} every ${pollInterval}ms`);
+    await poll();
+  }
+
+  /**
+   * Stop polling.
+   *
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return Promise.resolve();
+  }
+}
+
+module.exports = MailboxTransport;
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview SMTP/LMTP Inbound Transport
+ *
+ * Built-in mail receiver for self-hosted deployments. Listens for SMTP
+ * (or LMTP, when sitting behind Postfix/Dovecot as a local delivery agent),
+ * accepts mail for the inbound domain only, and queues the raw message.
+ * Pointing a fake MTA or `swaks` at the configured port is enough to
+ * exercise the full inbound pipeline locally.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { SMTPServer } = require('smtp-server');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class SmtpTransport {
+  constructor(inbound) {
+    this.name = 'smtp';
+    this.inbound = inbound;
+    this.server = null;
+  }
+
+  /**
+   * @returns {Object} Listener settings from config.email.inbound.smtp
+   */
+  get settings() {
+    return config.email.inbound.smtp;
+  }
+
+  /**
+   * Only accept recipients on the inbound domain (or its subdomains),
+   * so the listener can never be used as an open relay.
+   *
+   * @param {string} address - RCPT TO address
+   * @returns {boolean} True if the address is local
+   */
+  isLocalRecipient(address) {
+    const domain = config.email.inbound.domain.toLowerCase();
+    const recipientDomain = String(address).split('@').pop().toLowerCase();
+    return recipientDomain === domain || recipientDomain.endsWith(`.${domain}`);
+  }
+
+  /**
+   * Create the underlying SMTPServer with our handlers.
+   *
+   * @returns {SMTPServer} Configured server
+   */
+  createServer() {
+    const { protocol, maxMessageSize, banner } = this.settings;
+
+    return new SMTPServer({
+      lmtp: protocol === 'lmtp',
+      banner,
+      size: maxMessageSize,
+      authOptional: true,
+      disabledCommands: ['AUTH'],
+      logger: false,
+
+      onRcptTo: (address, session, callback) => {
+        if (!this.isLocalRecipient(address.address)) {
+          const error = new Error(`Relay access denied for ${address.address}`);
+          error.responseCode = 550;
+          return callback(error);
+        }
+        return callback();
+      },
+
+      onData: (stream, session, callback) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', callback);
+        stream.on('end', async () => {
+          if (stream.sizeExceeded) {
+            const error = new Error('Message exceeds maximum size');
+            error.responseCode = 552;
+            return callback(error);
+          }
+
+          try {
+            const result = await this.inbound.submit(Buffer.concat(chunks), {
+              transport: this.name,
+              envelope: {
+                mailFrom: session.envelope.mailFrom ? session.envelope.mailFrom.address : null,
+                rcptTo: session.envelope.rcptTo.map(rcpt => rcpt.address),
+                // Needed for SPF evaluation of the connecting client
+                clientIp: session.remoteAddress,
+                helo: session.hostNameAppearsAs
+              },
+              remoteAddress: session.remoteAddress
+            });
+            return callback(null, `Queued as ${result.jobId}`);
+          } catch (error) {
+            logger.error('Failed to queue SMTP message', { error: error.message });
+            // 451: ask the sending MTA to retry later rather than bounce
+            error.responseCode = 451;
+            return callback(error);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Start listening on the configured host and port.
+   *
+   * @returns {Promise<void>}
+   */
+  start() {
+    const { host, port, protocol } = this.settings;
+    this.server = this.createServer();
+
+    this.server.on('error', (error) => {
+      logger.error('Inbound SMTP server error', { error: error.message });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.listen(port, host, (error) => {
+        if (error) return reject(error);
+        logger.info(`Inbound ${protocol.toUpperCase()} listener on ${host}:${port}`);
+        return resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections and wait for open sessions to finish.
+   *
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Webhook Inbound Transport
+ *
+ * Accepts mail posted by email service providers to /api/email/inbound.
+ * Providers that can forward the raw message (SendGrid "send raw",
+ * Mailgun `body-mime`, generic `raw`) are queued as-is; providers that
+ * only post parsed fields have their message rebuilt into MIME so the
+ * worker always receives the same payload as from the SMTP listener.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const crypto = require('crypto');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const config = require('../../config');
+
+// Body fields in which known providers deliver the untouched message
+const RAW_MIME_FIELDS = ['raw', 'email', 'body-mime'];
+
+// Threading headers worth recovering from a provider's raw header block
+const PRESERVED_HEADERS = ['message-id', 'in-reply-to', 'references'];
+
+class WebhookTransport {
+  constructor(inbound) {
+    this.name = 'webhook';
+    this.inbound = inbound;
+  }
+
+  /**
+   * Return the raw MIME message if the provider posted one.
+   *
+   * @param {Object} body - Webhook request body
+   * @returns {string|null} Raw message
+   */
+  static extractRawMime(body = {}) {
+    const field = RAW_MIME_FIELDS.find(name => typeof body[name] === 'string' && body[name].length > 0);
+    return field ? body[field] : null;
+  }
+
+  /**
+   * Verify the shared webhook token (INBOUND_EMAIL_API_KEY). Providers send
+   * it either as the X-Inbound-Token header or as a `token` query parameter.
+   * Fails closed: without a configured token every request is refused.
+   *
+   * @param {Object} req - Express request
+   * @returns {boolean} True if the request may be processed
+   */
+  verifyRequest(req) {
+    const expected = config.email.inbound.apiKey;
+    if (!expected) return false;
+
+    const provided = req.get('x-inbound-token') || req.query.token || '';
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(String(provided));
+
+    return expectedBuffer.length === providedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+  }
+
+  /**
+   * Rebuild a MIME message from the parsed fields a provider posted.
+   *
+   * @param {Object} body - Webhook request body
+   * @returns {Promise<Buffer>} Raw message
+   */
+  composeMime(body) {
+    const headers = this.parseHeaderBlock(body.headers);
+
+    const mail = new MailComposer({
+      from: body.from,
+      to: body.to,
+      cc: body.cc,
+      subject: body.subject || '',
+      text: body.text,
+      html: body.html,
+      messageId: headers['message-id'],
+      inReplyTo: headers['in-reply-to'],
+      references: headers.references,
+      attachments: (body.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        contentType: attachment.contentType,
+        encoding: attachment.encoding || 'base64'
+      }))
+    });
+
+    return mail.compile().build();
+  }
+
+  /**
+   * Normalize the provider's headers (object or raw header block) down
+   * to the threading headers we need to keep.
+   *
+   * @param {Object|string} headers - Provider headers
+   * @returns {Object} Lower-cased header map
+   */
+  parseHeaderBlock(headers) {
+    const result = {};
+    if (!headers) return result;
+
+    if (typeof headers === 'object') {
+      for (const [key, value] of Object.entries(headers)) {
+        if (PRESERVED_HEADERS.includes(key.toLowerCase())) {
+          result[key.toLowerCase()] = value;
+        }
+      }
+      return result;
+    }
+
+    // Unfold continuation lines before splitting into individual headers
+    const unfolded = String(headers).replace(/\r?\n[ \t]+/g, ' ');
+    for (const line of unfolded.split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const key = line.slice(0, separator).trim().toLowerCase();
+      if (PRESERVED_HEADERS.includes(key)) {
+        result[key] = line.slice(separator + 1).trim();
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Queue the message posted in a webhook request. The envelope sender and
+   * client IP feed SPF/DMARC, so they are only taken from requests carrying
+   * the webhook token; anyone else could post whatever passes the check.
+   *
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} Queued job summary
+   */
+  async receive(req) {
+    const body = req.body || {};
+    const trusted = this.verifyRequest(req);
+    const raw = WebhookTransport.extractRawMime(body) || await this.composeMime(body);
+
+    // Some providers post the SMTP envelope as a JSON string
+    let envelope = body.envelope || {};
+    if (typeof envelope === 'string') {
+      try {
+        envelope = JSON.parse(envelope);
+      } catch (error) {
+        envelope = {};
+      }
+    }
+
+    return this.inbound.submit(raw, {
+      transport: this.name,
+      envelope: {
+        mailFrom: (trusted && envelope.from) || null,
+        rcptTo: [].concat(envelope.to || body.to || []),
+        // Original client IP, when the provider reports it (SendGrid sender_ip)
+        clientIp: (trusted && body.sender_ip) || null
+      },
+      remoteAddress: req.ip
+    });
+  }
+}
+
+module.exports = WebhookTransport;
@@ -20,9 +20,14 @@ const Bull = require('bull');
 const { redis } = require('../utils/redis');
 const User = require('../models/User.model');
 const Repository = require('../models/Repository.model');
+const Comment = require('../models/Comment.model');
 const { logger } = require('../utils/logger');
 const { emailTemplates } = require('../utils/emailTemplates');
 const config = require('../config');
+const { buildThreadHeaders } = require('../utils/emailThreading');
+
+// Upper bound when walking a comment's ancestors (matches Comment depth limit)
+const MAX_THREAD_ANCESTORS = 10;
 
 class NotificationService {
  constructor() {
@@ -113,10 +118,11 @@ class NotificationService {
  }
 
  async sendPostReplyNotification(data) {
-   const { postId, authorId, replyAuthorId, replyContent } = data;
+   const { postId, commentId, authorId, replyAuthorId, replyContent } = data;
    
-   const author = await User.findById(authorId).select('email username notificationPreferences');
+   const author = await User.findById(authorId).select('email username notificationPreferences mutedThreads');
    if (!author || !author.notificationPreferences.postReplies) return;
+   if (this.isThreadMuted(author, postId)) return;
 
    const replyAuthor = await User.findById(replyAuthorId).select('username');
    
@@ -134,15 +140,17 @@ class NotificationService {
      to: author.email,
      subject: `${replyAuthor.username} replied to your post on Shadownews`,
      html: emailContent,
-     category: 'post-reply'
+     category: 'post-reply',
+     thread: await this.getThreadHeaders({ postId, commentId })
    });
  }
 
  async sendCommentReplyNotification(data) {
    const { commentId, postId, authorId, replyAuthorId, replyContent } = data;
    
-   const author = await User.findById(authorId).select('email username notificationPreferences');
+   const author = await User.findById(authorId).select('email username notificationPreferences mutedThreads');
    if (!author || !author.notificationPreferences.commentReplies) return;
+   if (this.isThreadMuted(author, postId)) return;
 
    const replyAuthor = await User.findById(replyAuthorId).select('username');
    
@@ -160,7 +168,8 @@ class NotificationService {
      to: author.email,
      subject: `${replyAuthor.username} replied to your comment on Shadownews`,
      html: emailContent,
-     category: 'comment-reply'
+     category: 'comment-reply',
+     thread: await this.getThreadHeaders({ postId, commentId })
    });
  }
 
@@ -334,6 +343,14 @@ class NotificationService {
        attachments: emailData.attachments || []
      };
 
+     // Stable thread headers let replies be routed back into the discussion
+     if (emailData.thread) {
+       mailOptions.messageId = emailData.thread.messageId;
+       mailOptions.inReplyTo = emailData.thread.inReplyTo;
+       mailOptions.references = emailData.thread.references;
+       mailOptions.replyTo = config.email.inbound.replyAddress;
+     }
+
      const info = await this.transporter.sendMail(mailOptions);
      
      await this.logEmailSent(emailData.to, emailData.category);
@@ -346,6 +363,36 @@ class NotificationService {
    }
  }
 
+ /**
+  * Whether the user has muted reply notifications for a post's thread
+  * (MUTE THREAD email command).
+  */
+ isThreadMuted(user, postId) {
+   return (user.mutedThreads || []).some(id => String(id) === String(postId));
+ }
+
+ async getThreadHeaders({ postId, commentId }) {
+   if (!commentId) {
+     return buildThreadHeaders({ postId });
+   }
+
+   const comment = await Comment.findById(commentId).select('post parent');
+   const ancestorIds = [];
+   let parentId = comment ? comment.parent : null;
+
+   while (parentId && ancestorIds.length < MAX_THREAD_ANCESTORS) {
+     ancestorIds.unshift(parentId);
+     const parent = await Comment.findById(parentId).select('parent');
+     parentId = parent ? parent.parent : null;
+   }
+
+   return buildThreadHeaders({
+     postId: comment ? comment.post : postId,
+     commentId,
+     ancestorIds
+   });
+ }
+
  async generateUnsubscribeToken(userId, notificationType) {
    const token = require('crypto').randomBytes(32).toString('hex');
    const key = `unsubscribe:${token}`;
@@ -0,0 +1,511 @@
+/**
+ * @fileoverview Ranking Service
+ *
+ * Orders the post feed by a choice of ranking strategies (strategies.js):
+ * hot, new, top, controversial, rising, best and quality. The feed's
+ * `sort` parameter picks one; without it the user's default applies, then
+ * config.ranking.defaultSort.
+ *
+ * Strategies with a score store it on the post (Post.ranking) so the feed
+ * is a single indexed sort. Scores are set by the Post save hook when a
+ * post is created, voted on or commented on, and recomputed on a schedule
+ * by the ranking worker, since most of them decay with age.
+ *
+ * Strategy parameters (gravity, weights, windows) are tunable by admins.
+ * Tuned values are kept in Redis so the API and the worker share them;
+ * preview() shows how a change would reorder the front page before it is
+ * saved.
+ *
+ * Dependencies:
+ * - ../../models/Post.model: Posts and their stored scores
+ * - ../../utils/redis: Tuned parameters
+ * - ../../config: Default sort, recompute window and batch sizes
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Post = require('../../models/Post.model');
+const redis = require('../../utils/redis');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const strategies = require('./strategies');
+
+// Redis key of the tuned parameters
+const PARAMS_KEY = 'ranking:params';
+
+// Milliseconds a process reuses the tuned parameters before reloading
+const PARAMS_TTL = 60 * 1000;
+
+// Hours covered by each timeframe of a periodic sort
+const TIMEFRAMES = {
+  '1h': 1,
+  '24h': 24,
+  '1w': 168,
+  '1m': 720,
+  '1y': 8760,
+  all: null
+};
+const DEFAULT_TIMEFRAME = '24h';
+
+const HOUR = 60 * 60 * 1000;
+
+// Post fields every strategy's score() can rely on
+const SCORE_FIELDS = 'title score commentCount upvotes downvotes createdAt author ranking';
+
+class RankingService {
+  constructor() {
+    this.strategies = new Map();
+    this.cachedParams = null;
+    this.cachedAt = 0;
+    strategies.forEach(strategy => this.register(strategy));
+  }
+
+  /**
+   * Register a ranking strategy (see strategies.js for the shape).
+   *
+   * @param {Object} strategy - Strategy definition
+   * @returns {RankingService} this, for chaining
+   */
+  register(strategy) {
+    if (!strategy || !strategy.name) {
+      throw new Error('Ranking strategy must have a name');
+    }
+    if (strategy.field ? typeof strategy.score !== 'function' : !strategy.sort) {
+      throw new Error(`Ranking strategy ${strategy.name} needs a field and a score() method, or a sort`);
+    }
+    this.strategies.set(strategy.name, strategy);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Strategy name
+   * @returns {Object|undefined} The strategy
+   */
+  get(name) {
+    return this.strategies.get(name);
+  }
+
+  /**
+   * @param {string} name - Strategy name
+   * @returns {boolean} Whether the feed can be sorted by it
+   */
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  /**
+   * @returns {string[]} Names of the registered strategies
+   */
+  names() {
+    return [...this.strategies.keys()];
+  }
+
+  /**
+   * @returns {string[]} Timeframes accepted by periodic strategies
+   */
+  timeframes() {
+    return Object.keys(TIMEFRAMES);
+  }
+
+  /**
+   * Sort of a feed request: the requested one, else the user's default,
+   * else the configured default.
+   *
+   * @param {string} [requested] - `sort` query parameter
+   * @param {Object} [user] - Signed-in user
+   * @returns {string} Strategy name; not checked against the registry
+   */
+  resolveSort(requested, user) {
+    return requested
+      || (user && user.preferences && user.preferences.feedSort)
+      || config.ranking.defaultSort;
+  }
+
+  /**
+   * @returns {Object} Default parameters, { strategy: { param: value } }
+   */
+  defaultParams() {
+    const params = {};
+    this.strategies.forEach((strategy, name) => {
+      params[name] = {};
+      Object.entries(strategy.params || {}).forEach(([param, spec]) => {
+        params[name][param] = spec.default;
+      });
+    });
+    return params;
+  }
+
+  /**
+   * Parameters in effect: the defaults with tuned values over them.
+   * Tuned values are reloaded from Redis at most once a minute.
+   *
+   * @returns {Promise<Object>} { strategy: { param: value } }
+   */
+  async getParams() {
+    if (this.cachedParams && Date.now() - this.cachedAt < PARAMS_TTL) {
+      return this.cachedParams;
+    }
+
+    let tuned = null;
+    try {
+      tuned = await redis.getJson(PARAMS_KEY);
+    } catch (error) {
+      logger.error('Failed to load ranking parameters, using the last known:', error);
+    }
+
+    if (tuned || !this.cachedParams) {
+      this.cachedParams = this.mergeParams(this.defaultParams(), tuned || {});
+    }
+    this.cachedAt = Date.now();
+    return this.cachedParams;
+  }
+
+  /**
+   * Parameters last loaded, without waiting for Redis; the defaults if
+   * none have been loaded yet. Used by the Post save hook.
+   *
+   * @returns {Object} { strategy: { param: value } }
+   */
+  currentParams() {
+    return this.cachedParams || this.defaultParams();
+  }
+
+  /**
+   * @param {Object} base - { strategy: { param: value } }
+   * @param {Object} changes - Values to put over it; unknown names are ignored
+   * @returns {Object} A new parameter set
+   */
+  mergeParams(base, changes) {
+    const merged = {};
+    Object.entries(base).forEach(([name, values]) => {
+      const known = Object.keys(values);
+      const update = changes[name] || {};
+      merged[name] = { ...values };
+      known.filter(param => update[param] !== undefined).forEach(param => {
+        merged[name][param] = update[param];
+      });
+    });
+    return merged;
+  }
+
+  /**
+   * Check proposed parameter values against the strategies' ranges.
+   *
+   * @param {Object} changes - { strategy: { param: value } }
+   * @returns {string[]} Problems; empty if the changes can be saved
+   */
+  validateParams(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return ['Parameters must be an object of { strategy: { parameter: value } }'];
+    }
+
+    const problems = [];
+    Object.entries(changes).forEach(([name, values]) => {
+      const strategy = this.get(name);
+      if (!strategy) {
+        problems.push(`Unknown ranking strategy ${name}`);
+        return;
+      }
+      if (!values || typeof values !== 'object') {
+        problems.push(`Parameters of ${name} must be an object`);
+        return;
+      }
+      Object.entries(values).forEach(([param, value]) => {
+        const spec = (strategy.params || {})[param];
+        if (!spec) {
+          problems.push(`${name} has no parameter ${param}`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          problems.push(`${name}.${param} must be a number`);
+        } else if (value < spec.min || value > spec.max) {
+          problems.push(`${name}.${param} must be between ${spec.min} and ${spec.max}`);
+        }
+      });
+    });
+    return problems;
+  }
+
+  /**
+   * Save tuned parameters. Stored scores pick them up on the next
+   * recompute; the feed and new votes use them straight away.
+   *
+   * @param {Object} changes - { strategy: { param: value } }
+   * @param {Object} [admin] - Admin making the change, for the log
+   * @returns {Promise<{params: Object|null, problems: string[]}>}
+   */
+  async updateParams(changes, admin) {
+    const problems = this.validateParams(changes);
+    if (problems.length > 0) {
+      return { params: null, problems };
+    }
+
+    const params = this.mergeParams(await this.getParams(), changes);
+    const tuned = {};
+    const defaults = this.defaultParams();
+    Object.entries(params).forEach(([name, values]) => {
+      Object.entries(values).filter(([param, value]) => value !== defaults[name][param]).forEach(([param, value]) => {
+        tuned[name] = { ...tuned[name], [param]: value };
+      });
+    });
+
+    await redis.setJson(PARAMS_KEY, tuned);
+    this.cachedParams = params;
+    this.cachedAt = Date.now();
+
+    logger.info('Ranking parameters updated', { adminId: admin && admin._id, changes });
+    return { params, problems: [] };
+  }
+
+  /**
+   * Strategies as listed to clients, with their parameters in effect.
+   *
+   * @returns {Promise<Array<Object>>}
+   */
+  async describe() {
+    const params = await this.getParams();
+    return [...this.strategies.values()].map(strategy => ({
+      name: strategy.name,
+      description: strategy.description,
+      periodic: Boolean(strategy.periodic),
+      params: Object.entries(strategy.params || {}).map(([name, spec]) => ({
+        name,
+        value: params[strategy.name][name],
+        default: spec.default,
+        min: spec.min,
+        max: spec.max
+      }))
+    }));
+  }
+
+  /**
+   * Stored scores of a post.
+   *
+   * @param {Object} post - Post with the fields in SCORE_FIELDS
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Parameters; those in effect by default
+   * @param {Date} [options.now] - Time to score at
+   * @param {number} [options.authorKarma] - Author's total karma; strategies
+   *   that need it are skipped without it
+   * @param {string[]} [options.only] - Strategies to score; all by default
+   * @returns {Object} { 'ranking.<score>': value } for each stored score
+   */
+  scoresFor(post, { params = this.currentParams(), now = new Date(), authorKarma, only } = {}) {
+    const scores = {};
+    this.strategies.forEach((strategy, name) => {
+      if (!strategy.field) return;
+      if (only && !only.includes(name)) return;
+      if (strategy.usesAuthorKarma && authorKarma === undefined) return;
+
+      const value = strategy.score(post, params[name] || {}, { now: now.getTime(), authorKarma });
+      scores[strategy.field] = Number.isFinite(value) ? value : 0;
+    });
+    return scores;
+  }
+
+  /**
+   * MongoDB filter and sort of a feed.
+   *
+   * @param {string} name - Strategy name
+   * @param {Object} [options]
+   * @param {string} [options.timeframe] - For periodic strategies
+   * @param {Object} [options.filter] - Filter to add to
+   * @param {Object} [options.params] - Parameters in effect
+   * @param {Date} [options.now] - Current time
+   * @returns {{filter: Object, sort: Object}}
+   */
+  buildQuery(name, { timeframe = DEFAULT_TIMEFRAME, filter = {}, params = this.currentParams(), now = new Date() } = {}) {
+    const strategy = this.get(name);
+    const query = { ...filter };
+
+    let hours = null;
+    if (strategy.periodic) {
+      hours = TIMEFRAMES[timeframe] === undefined ? TIMEFRAMES[DEFAULT_TIMEFRAME] : TIMEFRAMES[timeframe];
+    }
+    if (strategy.maxAgeHours) {
+      const maxAge = strategy.maxAgeHours(params[name] || {});
+      hours = hours === null ? maxAge : Math.min(hours, maxAge);
+    }
+    if (hours !== null) {
+      query.createdAt = { $gte: new Date(now.getTime() - hours * HOUR) };
+    }
+
+    // Newest first among equal scores
+    const sort = strategy.field ? { [strategy.field]: -1, createdAt: -1 } : strategy.sort;
+    return { filter: query, sort };
+  }
+
+  /**
+   * One page of the feed.
+   *
+   * @param {Object} options
+   * @param {string} options.sort - Strategy name, checked by the caller
+   * @param {string} [options.timeframe] - For periodic strategies
+   * @param {Object} [options.filter] - Hashtag, repository and status filters
+   * @param {number} [options.page] - 1-based page
+   * @param {number} [options.limit] - Posts per page
+   * @returns {Promise<{posts: Array<Object>, total: number}>}
+   */
+  async feed({ sort, timeframe, filter = {}, page = 1, limit = 30 }) {
+    const params = await this.getParams();
+    const query = this.buildQuery(sort, { timeframe, filter, params });
+
+    const [posts, total] = await Promise.all([
+      Post.find(query.filter)
+        .populate('author', 'username email karma')
+        .populate('repositories', 'name emailCount')
+        .sort(query.sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Post.countDocuments(query.filter)
+    ]);
+
+    return { posts, total };
+  }
+
+  /**
+   * How tuned parameters would reorder the front page. Posts covered by
+   * the recompute window are scored in memory with the parameters in
+   * effect and with the proposed ones; nothing is saved.
+   *
+   * @param {string} name - Strategy to preview
+   * @param {Object} changes - Proposed { param: value } for that strategy
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Front page size
+   * @param {Date} [options.now] - Time to score at
+   * @returns {Promise<{preview: Object|null, problems: string[]}>}
+   */
+  async preview(name, changes = {}, { limit = config.ranking.previewSize, now = new Date() } = {}) {
+    const strategy = this.get(name);
+    if (!strategy) {
+      return { preview: null, problems: [`Unknown ranking strategy ${name}`] };
+    }
+    if (!strategy.field) {
+      return { preview: null, problems: [`${name} has no score to tune`] };
+    }
+    const problems = this.validateParams({ [name]: changes });
+    if (problems.length > 0) {
+      return { preview: null, problems };
+    }
+
+    const current = await this.getParams();
+    const proposed = this.mergeParams(current, { [name]: changes });
+
+    const windowStart = new Date(now.getTime() - config.ranking.recomputeWindowDays * 24 * HOUR);
+    const candidates = await Post.find(this.buildQuery(name, {
+      timeframe: 'all',
+      filter: { status: 'active', visibility: 'public', createdAt: { $gte: windowStart } },
+      params: proposed,
+      now
+    }).filter)
+      .select(SCORE_FIELDS)
+      .populate('author', 'username karma')
+      .lean();
+
+    const rank = (params) => candidates
+      .map(post => ({
+        post,
+        score: this.scoresFor(post, {
+          params,
+          now,
+          authorKarma: post.author && post.author.karma ? post.author.karma.total : 0,
+          only: [name]
+        })[strategy.field]
+      }))
+      .sort((a, b) => b.score - a.score || new Date(b.post.createdAt) - new Date(a.post.createdAt))
+      .slice(0, limit);
+
+    const before = rank(current);
+    const after = rank(proposed);
+    const positions = new Map(before.map((entry, index) => [String(entry.post._id), index + 1]));
+
+    const toEntry = (entry, index) => {
+      const previous = positions.get(String(entry.post._id)) || null;
+      return {
+        id: entry.post._id,
+        title: entry.post.title,
+        author: entry.post.author && entry.post.author.username,
+        score: entry.score,
+        position: index + 1,
+        previousPosition: previous,
+        // Positive when the post moves up; null when it is new to the front page
+        change: previous === null ? null : previous - (index + 1)
+      };
+    };
+
+    const afterIds = new Set(after.map(entry => String(entry.post._id)));
+    return {
+      preview: {
+        sort: name,
+        params: { current: current[name], proposed: proposed[name] },
+        candidates: candidates.length,
+        current: before.map((entry, index) => ({
+          id: entry.post._id,
+          title: entry.post.title,
+          score: entry.score,
+          position: index + 1
+        })),
+        proposed: after.map(toEntry),
+        dropped: before.filter(entry => !afterIds.has(String(entry.post._id))).map(entry => entry.post._id)
+      },
+      problems: []
+    };
+  }
+
+  /**
+   * Recompute the stored scores of recent posts, in batches. Scores of
+   * older posts have settled and are left as they are.
+   *
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Time to score at
+   * @param {number} [options.windowDays] - Age of the oldest post recomputed
+   * @param {number} [options.batchSize] - Posts per batch
+   * @returns {Promise<{updated: number}>}
+   */
+  async recompute({
+    now = new Date(),
+    windowDays = config.ranking.recomputeWindowDays,
+    batchSize = config.ranking.batchSize
+  } = {}) {
+    const params = await this.getParams();
+    const filter = { status: { $ne: 'merged' }, createdAt: { $gte: new Date(now.getTime() - windowDays * 24 * HOUR) } };
+
+    let updated = 0;
+    let lastId = null;
+    for (;;) {
+      const batch = await Post.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .select(SCORE_FIELDS)
+        .populate('author', 'karma')
+        .lean();
+      if (batch.length === 0) break;
+
+      // updateOne skips the save hooks: a new score is not a new post
+      await Post.bulkWrite(batch.map(post => ({
+        updateOne: {
+          filter: { _id: post._id },
+          update: {
+            $set: this.scoresFor(post, {
+              params,
+              now,
+              authorKarma: post.author && post.author.karma ? post.author.karma.total : 0
+            })
+          }
+        }
+      })), { ordered: false });
+
+      updated += batch.length;
+      lastId = batch[batch.length - 1]._id;
+      if (batch.length < batchSize) break;
+    }
+
+    return { updated };
+  }
+}
+
+module.exports = new RankingService();
+module.exports.RankingService = RankingService;
+module.exports.TIMEFRAMES = TIMEFRAMES;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Feed Ranking Strategies
+ *
+ * The built-in ways of ordering the post feed. Each strategy is a plain
+ * object registered with the ranking service (./index.js):
+ * - name / description: Value of the feed's `sort` parameter, and what it does
+ * - field: Stored score the feed sorts on, descending; strategies with
+ *   a field implement score()
+ * - sort: Sort used instead when there is no stored score
+ * - periodic: Accepts a timeframe (top of the day, week, ...)
+ * - decays: Score changes with age alone, so the ranking worker
+ *   recomputes it; other scores only change when a post is voted on or
+ *   commented on
+ * - usesAuthorKarma: Score needs the author's karma; not recomputed on
+ *   save unless the author is loaded
+ * - params: Tunable values, { name: { default, min, max } }
+ * - maxAgeHours(params): Optional; only posts younger than this are ranked
+ * - score(post, params, context): Score of a post, given { now, authorKarma }
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { calculatePostScore } = require('../../utils/helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// Posts not yet saved have no createdAt and are brand new
+const ageInHours = (post, now) => Math.max(0, (now - new Date(post.createdAt || now)) / HOUR);
+
+const votesOf = (post) => ({
+  ups: (post.upvotes || []).length,
+  downs: (post.downvotes || []).length
+});
+
+/**
+ * Hacker News style gravity: points fall off as (age + 2) ^ gravity.
+ * Comments count as a fraction of a vote.
+ */
+const gravityScore = (post, { gravity, commentWeight }, now) => calculatePostScore(
+  (post.score || 0) + commentWeight * (post.commentCount || 0),
+  ageInHours(post, now),
+  gravity
+);
+
+const hot = {
+  name: 'hot',
+  description: 'Votes and comments, falling off with age',
+  field: 'ranking.hot',
+  decays: true,
+  params: {
+    gravity: { default: 1.8, min: 0.5, max: 3 },
+    commentWeight: { default: 0.25, min: 0, max: 2 }
+  },
+  score: (post, params, { now }) => gravityScore(post, params, now)
+};
+
+const newest = {
+  name: 'new',
+  description: 'Newest first',
+  sort: { createdAt: -1 }
+};
+
+const top = {
+  name: 'top',
+  description: 'Highest score in the timeframe',
+  sort: { score: -1, createdAt: -1 },
+  periodic: true
+};
+
+const controversial = {
+  name: 'controversial',
+  description: 'Many votes, split evenly between up and down',
+  field: 'ranking.controversy',
+  periodic: true,
+  // Reddit's formula: vote count raised to the balance of up and down votes
+  score: (post) => {
+    const { ups, downs } = votesOf(post);
+    if (ups === 0 || downs === 0) return 0;
+    return Math.pow(ups + downs, Math.min(ups, downs) / Math.max(ups, downs));
+  }
+};
+
+const rising = {
+  name: 'rising',
+  description: 'Young posts gaining votes quickly',
+  field: 'ranking.rising',
+  decays: true,
+  params: {
+    windowHours: { default: 6, min: 1, max: 48 },
+    maxAgeHours: { default: 24, min: 1, max: 168 },
+    gravity: { default: 1, min: 0, max: 3 }
+  },
+  maxAgeHours: params => params.maxAgeHours,
+  // Net votes cast within the window, falling off with the post's age
+  score: (post, { windowHours, gravity }, { now }) => {
+    const since = now - windowHours * HOUR;
+    const recent = (votes) => (votes || []).filter(vote => new Date(vote.timestamp) >= since).length;
+    return (recent(post.upvotes) - recent(post.downvotes)) / Math.pow(ageInHours(post, now) + 2, gravity);
+  }
+};
+
+const best = {
+  name: 'best',
+  description: 'Share of upvotes, by the lower bound of its Wilson score interval',
+  field: 'ranking.best',
+  params: {
+    // Normal quantile of the confidence level; 1.96 is 95%
+    z: { default: 1.96, min: 0.5, max: 3.5 }
+  },
+  score: (post, { z }) => {
+    const { ups, downs } = votesOf(post);
+    const n = ups + downs;
+    if (n === 0) return 0;
+    const p = ups / n;
+    return (p + (z * z) / (2 * n) - z * Math.sqrt((p * (1 - p) + (z * z) / (4 * n)) / n)) / (1 + (z * z) / n);
+  }
+};
+
+const quality = {
+  name: 'quality',
+  description: 'Hot, weighted by the karma of the author',
+  field: 'ranking.quality',
+  decays: true,
+  usesAuthorKarma: true,
+  params: {
+    gravity: { default: 1.8, min: 0.5, max: 3 },
+    commentWeight: { default: 0.25, min: 0, max: 2 },
+    karmaWeight: { default: 0.2, min: 0, max: 2 }
+  },
+  score: (post, params, { now, authorKarma = 0 }) => {
+    const base = gravityScore(post, params, now);
+    const weight = 1 + params.karmaWeight * Math.log10(1 + Math.max(authorKarma, 0));
+    // Karma only lifts posts that are doing well; it never sinks one further
+    return base > 0 ? base * weight : base;
+  }
+};
+
+module.exports = [hot, newest, top, controversial, rising, best, quality];
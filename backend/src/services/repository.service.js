@@ -16,6 +16,7 @@
  * @since 2024-01-01
  * @lastModified 2025-07-27
  */\n\nconst Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
 const Email = require('../models/Email.model');
 const User = require('../models/User.model');
 const csvService = require('./csv.service');
@@ -39,7 +40,6 @@ class RepositoryService {
        description: data.description,
        owner: userId,
        hashtags: data.hashtags || [],
-       emails: data.emails || [],
        isPublic: data.isPublic !== false,
        settings: {
          autoApprove: data.autoApprove || false,
@@ -51,6 +51,15 @@ class RepositoryService {
      });
 
      await repository.save();
+
+     if (data.emails && data.emails.length > 0) {
+       await RepositoryMember.addMembers(repository._id, data.emails.map(entry => ({
+         ...(typeof entry === 'string' ? { email: entry } : entry),
+         addedBy: userId
+       })), { channel: 'api', operation: 'create', actor: userId });
+       await RepositoryMember.refreshStats(repository._id);
+     }
+
      await this.cacheRepository(repository);
      
      logger.info(`Repository
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Repository History Service
+ *
+ * Version history of repository email lists, read from the RepositoryChange
+ * log: the changes themselves, the difference between the list at two
+ * points in time, and restoring the list as it stood at a point in time.
+ *
+ * A restore rebuilds the member list: members added since are removed,
+ * members removed since are put back, and names, tags, company, title and
+ * custom field values are set back. Opt-outs, bounces, complaints and
+ * consent are facts about the subscriber and the mailbox, so a restore
+ * never rolls them back; members put back take their consent from the
+ * consent ledger and are not asked again. The restore is itself logged,
+ * so it can be reversed by restoring to a time before it.
+ *
+ * History starts when a repository was created, or for older repositories
+ * when the baselineRepositoryHistory migration recorded their members.
+ *
+ * Dependencies:
+ * - ../models/RepositoryChange.model: Change log
+ * - ../models/RepositoryMember.model: Current members
+ * - ./consent.service: Consent of members put back
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const RepositoryChange = require('../models/RepositoryChange.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const consentService = require('./consent.service');
+const logger = require('../utils/logger');
+
+// Members compared and changed per batch
+const BATCH_SIZE = 1000;
+
+// Addresses listed in each part of a diff
+const SAMPLE_SIZE = 100;
+
+// Values set back by a restore; the rest of a member is left as it is
+const RESTORED_PATHS = ['name', 'metadata.company', 'metadata.title', 'metadata.tags', 'fields'];
+
+/**
+ * @param {Object} state - Member state from a change record
+ * @returns {Object} Compared values by path, custom fields one by one
+ */
+const flatten = (state) => {
+  const metadata = state.metadata || {};
+  const values = {
+    name: state.name,
+    source: state.source,
+    verified: state.verified,
+    optedOut: state.optedOut,
+    status: state.status,
+    consent: state.consent,
+    'metadata.company': metadata.company,
+    'metadata.title': metadata.title,
+    'metadata.tags': metadata.tags || []
+  };
+  Object.entries(state.fields || {}).forEach(([key, value]) => {
+    values[`fields.${key}`] = value;
+  });
+  return values;
+};
+
+/**
+ * @param {*} a - Member value
+ * @param {*} b - Member value
+ * @returns {boolean} True if the values are the same
+ */
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * @param {Object} before - Member state
+ * @param {Object} after - Member state
+ * @param {string[]} [paths] - Only these paths, 'fields' for all custom fields
+ * @returns {Array<Object>} [{ field, from, to }] for each value that differs
+ */
+const compareStates = (before, after, paths) => {
+  const a = flatten(before);
+  const b = flatten(after);
+
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(field => !paths || paths.includes(field) || (field.startsWith('fields.') && paths.includes('fields')))
+    .filter(field => !sameValue(a[field], b[field]))
+    .map(field => ({ field, from: a[field] ?? null, to: b[field] ?? null }));
+};
+
+class RepositoryHistoryService {
+ /**
+  * List a repository's changes, latest first.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} [options]
+  * @param {number} [options.page=1]
+  * @param {number} [options.limit=50]
+  * @param {Date} [options.from] - Only changes after this time
+  * @param {Date} [options.to] - Only changes up to this time
+  * @param {string} [options.email] - Only changes to this address
+  * @param {string} [options.channel] - Only changes through this channel
+  * @param {string} [options.action] - Only 'added', 'updated' or 'removed'
+  * @returns {Promise<Object>} { changes, pagination }
+  */
+ async listChanges(repository, { page = 1, limit = 50, from, to, email, channel, action } = {}) {
+   const query = { repository: repository._id };
+   if (from || to) {
+     query.createdAt = {};
+     if (from) query.createdAt.$gt = from;
+     if (to) query.createdAt.$lte = to;
+   }
+   if (email) query.email = String(email).toLowerCase();
+   if (channel) query.channel = channel;
+   if (action) query.action = action;
+
+   const [changes, total] = await Promise.all([
+     RepositoryChange.find(query)
+       .populate('actor', 'username')
+       .sort({ createdAt: -1, _id: -1 })
+       .skip((page - 1) * limit)
+       .limit(limit)
+       .lean(),
+     RepositoryChange.countDocuments(query)
+   ]);
+
+   return {
+     changes,
+     pagination: {
+       page,
+       limit,
+       total,
+       pages: Math.ceil(total / limit)
+     }
+   };
+ }
+
+ /**
+  * Earliest time the log holds the whole list: the first baseline record
+  * of a repository older than its history, or else its creation.
+  *
+  * @param {Object} repository - Repository document
+  * @returns {Promise<Date>}
+  */
+ async historyStartsAt(repository) {
+   const baseline = await RepositoryChange.findOne({ repository: repository._id, operation: 'baseline' })
+     .sort({ createdAt: 1 })
+     .select('createdAt')
+     .lean();
+   return baseline ? baseline.createdAt : repository.createdAt;
+ }
+
+ /**
+  * @param {Object} repository - Repository document
+  * @param {Date} at - Point in time
+  * @returns {Promise<Map<string, Object>>} Address to { member, state }
+  */
+ async stateAt(repository, at) {
+   const records = await RepositoryChange.stateAt(repository._id, at);
+   return new Map(records.map(({ email, member, state }) => [email, { member, state }]));
+ }
+
+ /**
+  * Compare the list at two points in time.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Date} from - Earlier time
+  * @param {Date} [to=now] - Later time
+  * @returns {Promise<Object>} { from, to, members, added, removed, changed,
+  *   activity }; added, removed and changed have a count and a sample
+  */
+ async diff(repository, from, to = new Date()) {
+   const [before, after, activity] = await Promise.all([
+     this.stateAt(repository, from),
+     this.stateAt(repository, to),
+     RepositoryChange.activity(repository._id, from, to)
+   ]);
+   const added = [];
+   const removed = [];
+   const changed = [];
+
+   after.forEach(({ state }, email) => {
+     if (!before.has(email)) {
+       added.push({ email, name: state.name });
+       return;
+     }
+     const fields = compareStates(before.get(email).state, state);
+     if (fields.length > 0) changed.push({ email, fields });
+   });
+   before.forEach(({ state }, email) => {
+     if (!after.has(email)) removed.push({ email, name: state.name });
+   });
+
+   const listed = (list) => ({ count: list.length, sample: list.slice(0, SAMPLE_SIZE) });
+   const count = (key) => activity.reduce((counts, row) => ({
+     ...counts,
+     [row[key]]: (counts[row[key]] || 0) + row.count
+   }), {});
+
+   return {
+     from,
+     to,
+     members: { from: before.size, to: after.size },
+     added: listed(added),
+     removed: listed(removed),
+     changed: listed(changed),
+     activity: {
+       total: activity.reduce((sum, row) => sum + row.count, 0),
+       byChannel: count('channel'),
+       byAction: count('action')
+     }
+   };
+ }
+
+ /**
+  * Count current members the log knows nothing about, e.g. members of an
+  * older repository before the baseline migration has run. A restore
+  * would remove them.
+  *
+  * @param {Object} repository - Repository document
+  * @returns {Promise<number>}
+  */
+ async countUntracked(repository) {
+   const tracked = await this.stateAt(repository, new Date());
+   let untracked = 0;
+   let lastId = null;
+   let batch;
+
+   do {
+     const query = { repository: repository._id };
+     if (lastId) query._id = { $gt: lastId };
+     batch = await RepositoryMember.find(query).select('email').sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+     untracked += batch.filter(member => !tracked.has(member.email)).length;
+     if (batch.length > 0) lastId = batch[batch.length - 1]._id;
+   } while (batch.length === BATCH_SIZE);
+
+   return untracked;
+ }
+
+ /**
+  * Rebuild the member list as it stood at a point in time. Check
+  * historyStartsAt and countUntracked first.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Date} at - Point in time
+  * @param {Object} [context]
+  * @param {ObjectId} [context.actor] - Restoring user
+  * @returns {Promise<Object>} { removed, updated, readded }
+  */
+ async restore(repository, at, { actor } = {}) {
+   const target = await this.stateAt(repository, at);
+   const history = { channel: 'api', operation: 'restore', actor };
+   const seen = new Set();
+   const result = { removed: 0, updated: 0, readded: 0 };
+   let lastId = null;
+   let batch;
+
+   do {
+     const query = { repository: repository._id };
+     if (lastId) query._id = { $gt: lastId };
+     batch = await RepositoryMember.find(query).sort({ _id: 1 }).limit(BATCH_SIZE);
+     if (batch.length > 0) lastId = batch[batch.length - 1]._id;
+
+     const removals = [];
+     for (const member of batch) {
+       const then = target.get(member.email);
+       if (!then) {
+         removals.push(member._id);
+         continue;
+       }
+
+       seen.add(member.email);
+       if (this.applyState(member, then.state)) {
+         await member.saveWithHistory(history);
+         result.updated++;
+       }
+     }
+
+     if (removals.length > 0) {
+       result.removed += (await RepositoryMember.removeMembers({ _id: { $in: removals } }, history)).length;
+     }
+   } while (batch.length === BATCH_SIZE);
+
+   const missing = [...target.entries()].filter(([email]) => !seen.has(email));
+   for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+     const entries = await this.rebuildMembers(repository, missing.slice(start, start + BATCH_SIZE));
+     result.readded += (await RepositoryMember.addMembers(repository._id, entries, history)).length;
+   }
+
+   await RepositoryMember.refreshStats(repository._id);
+
+   logger.info('Repository restored', { repositoryId: repository._id, at, ...result });
+   return result;
+ }
+
+ /**
+  * Set a member's restorable values to those of an earlier state.
+  *
+  * @param {Object} member - RepositoryMember document
+  * @param {Object} state - Member state from a change record
+  * @returns {boolean} True if anything changed
+  */
+ applyState(member, state) {
+   const current = RepositoryChange.stateOf(member);
+   const fields = compareStates(current, state, RESTORED_PATHS);
+   if (fields.length === 0) return false;
+
+   const metadata = state.metadata || {};
+   member.name = state.name;
+   member.set('metadata.company', metadata.company);
+   member.set('metadata.title', metadata.title);
+   member.set('metadata.tags', metadata.tags || []);
+   member.fields = state.fields || {};
+   return true;
+ }
+
+ /**
+  * New members for addresses put back on the list, under their old ids.
+  * Opt-outs and suppression are kept from when they were removed (the
+  * address's latest change record, not its state at the restore point),
+  * and consent comes from the ledger.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Array<Array>} missing - [email, { member, state }] pairs
+  * @returns {Promise<Array<Object>>} Entries for RepositoryMember.addMembers
+  */
+ async rebuildMembers(repository, missing) {
+   const emails = missing.map(([email]) => email);
+   const [consent, latest] = await Promise.all([
+     consentService.consentStates(repository, emails),
+     RepositoryChange.latestRecords(repository._id, emails)
+   ]);
+   const removedAs = new Map(latest.map(record => [record.email, record.state]));
+
+   return missing.map(([email, { member, state }]) => {
+     const entryConsent = consent.get(email) || { status: 'pending' };
+     const lastState = removedAs.get(email) || state;
+     return {
+       _id: member,
+       email,
+       name: state.name,
+       source: state.source,
+       verified: state.verified,
+       optedOut: lastState.optedOut || entryConsent.status === 'revoked',
+       status: lastState.status,
+       consent: entryConsent,
+       metadata: state.metadata,
+       fields: state.fields
+     };
+   });
+ }
+}
+
+module.exports = new RepositoryHistoryService();
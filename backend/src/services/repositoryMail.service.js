@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Repository Mail Service
+ *
+ * Mailing-list mode for repositories. When a repository is in list mode,
+ * its posts and comments are sent on to every verified email address on
+ * the repository that has not opted out, the way a mailing list
+ * redistributes messages to its subscribers.
+ *
+ * Redistributed mail carries:
+ * - List-Id, List-Post, List-Archive and List-Unsubscribe (RFC 2369/2919)
+ * - List-Unsubscribe-Post for one-click unsubscribe (RFC 8058)
+ * - The post or comment's own Message-ID and In-Reply-To/References, so
+ *   mail clients thread the list traffic like the site does
+ * - Reply-To set to the repository address, so replies come back in
+ *   through the inbound path and land in the right thread
+ * - Merge tags such as {{name|there}} or {{fields.plan}} in the subject
+ *   and content, filled in from each recipient's entry and custom fields
+ *
+ * Repositories also send scheduled digests of their recent posts
+ * (settings.digestFrequency) to the whole list, or to the members of
+ * settings.digestSegment.
+ *
+ * Only content from people allowed to post to the repository
+ * (Repository#canUserPostByEmail) is redistributed; everything else stays
+ * on the site. Only addresses that confirmed by double opt-in receive list
+ * mail. Authors are not sent their own messages, and addresses suppressed
+ * after bounces or complaints are skipped.
+ *
+ * Dependencies:
+ * - sanitize-html: Re-sanitizing content for outbound HTML
+ * - ./email.service: Outbound queue (delivered through sendEmail)
+ * - ./notification.service: Thread headers for comments
+ * - ./consent.service: Recording unsubscribes in the consent ledger
+ * - ./segment.service: Digest segment members
+ * - ../utils/inboundAddress: Repository addresses
+ * - ../utils/emailThreading: Plain-text rendering
+ * - ../utils/mergeTags: Per-recipient personalization
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { createHmac, timingSafeEqual } = require('crypto');
+const sanitizeHtml = require('sanitize-html');
+const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const Post = require('../models/Post.model');
+const Segment = require('../models/Segment.model');
+const emailService = require('./email.service');
+const notificationService = require('./notification.service');
+const consentService = require('./consent.service');
+const segmentService = require('./segment.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { buildRepositoryAddress } = require('../utils/inboundAddress');
+const { htmlReplyToText } = require('../utils/emailThreading');
+const { renderMergeTags } = require('../utils/mergeTags');
+
+// Same allow-list the email parser applies to inbound HTML
+const CONTENT_HTML_OPTIONS = {
+ allowedTags: ['b', 'i', 'em', 'strong', 'a', 'p', 'br', 'ul', 'ol', 'li', 'blockquote', 'code', 'pre'],
+ allowedAttributes: { a: ['href'] }
+};
+
+// Days between digests for each settings.digestFrequency
+const DIGEST_INTERVAL_DAYS = { daily: 1, weekly: 7, biweekly: 14, monthly: 30 };
+
+// Posts listed in one digest
+const MAX_DIGEST_POSTS = 20;
+
+/**
+ * @param {string} value - Untrusted text
+ * @returns {string} Text safe to place in HTML
+ */
+const escapeText = (value) => sanitizeHtml(String(value), { allowedTags: [], allowedAttributes: {} });
+
+class RepositoryMailService {
+ /**
+  * @param {Object} repository - Repository document
+  * @param {Object} [author] - Author to leave out
+  * @returns {Promise<Object[]>} Members that should receive list mail
+  */
+ getRecipientEntries(repository, author) {
+   const query = RepositoryMember.deliverableQuery(repository._id);
+   if (author && author.email) {
+     query.email = { $ne: author.email.toLowerCase() };
+   }
+   return RepositoryMember.find(query);
+ }
+
+ /**
+  * @param {Object} repository - Repository document
+  * @param {Object} [author] - Author to leave out
+  * @returns {Promise<string[]>} Addresses that should receive list mail
+  */
+ async getRecipients(repository, author) {
+   const entries = await this.getRecipientEntries(repository, author);
+   return entries.map(entry => entry.email);
+ }
+
+ /**
+  * Stateless token for one-click unsubscribe links. List members are not
+  * necessarily users, so the token is bound to the repository and address.
+  *
+  * @param {string|ObjectId} repositoryId - Repository
+  * @param {string} email - Member address
+  * @returns {string} Hex HMAC
+  */
+ buildUnsubscribeToken(repositoryId, email) {
+   return createHmac('sha256', config.jwt.secret)
+     .update(`list-unsubscribe:${repositoryId}:${email.toLowerCase()}`)
+     .digest('hex');
+ }
+
+ verifyUnsubscribeToken(repositoryId, email, token) {
+   const expected = Buffer.from(this.buildUnsubscribeToken(repositoryId, email), 'hex');
+   const actual = Buffer.from(String(token), 'hex');
+   return actual.length === expected.length && timingSafeEqual(actual, expected);
+ }
+
+ getUnsubscribeUrl(repository, email) {
+   const token = this.buildUnsubscribeToken(repository._id, email);
+   return `${process.env.BASE_URL}/api/repositories/${repository._id}/list/unsubscribe` +
+     `?email=${encodeURIComponent(email)}&token=${token}`;
+ }
+
+ getArchiveUrl(repository) {
+   return `${process.env.FRONTEND_URL}/repositories/${repository._id}/archive`;
+ }
+
+ /**
+  * RFC 2369/2919/8058 list headers for one recipient.
+  *
+  * @param {Object} repository - Repository in list mode
+  * @param {string} email - Recipient
+  * @returns {Object} Header map
+  */
+ buildListHeaders(repository, email) {
+   const { domain } = config.email.inbound;
+   const listName = repository.name.replace(/["\\\r\n]/g, '');
+   const posting = repository.settings.emailPosting !== 'disabled';
+
+   return {
+     'List-Id': `"${listName}" <${repository.slug}.${domain}>`,
+     'List-Post': posting ? `<mailto:${buildRepositoryAddress(repository.slug)}>` : 'NO',
+     'List-Archive': `<${this.getArchiveUrl(repository)}>`,
+     'List-Unsubscribe': `<${this.getUnsubscribeUrl(repository, email)}>`,
+     'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+     Precedence: 'list'
+   };
+ }
+
+ /**
+  * List-mode repositories a message should go out to: those given, or
+  * the ones the post belongs to, where the author may post.
+  *
+  * @param {Object} post - Post the message belongs to
+  * @param {Object} author - Author of the post or comment
+  * @param {Object[]} [repositories] - Already-loaded target repositories
+  * @returns {Promise<Object[]>} Repositories to redistribute to
+  */
+ async getListRepositories(post, author, repositories) {
+   let candidates = repositories;
+   if (!candidates) {
+     const ids = (post.repositories || []).map(entry => entry.repository || entry);
+     if (ids.length === 0) return [];
+
+     candidates = await Repository.find({
+       _id: { $in: ids },
+       'settings.listMode': true,
+       isActive: true,
+       deletedAt: null
+     });
+   }
+
+   const allowed = await Promise.all(candidates.map(repository =>
+     repository.settings.listMode && repository.canUserPostByEmail(author)
+   ));
+   return candidates.filter((repository, index) => allowed[index]);
+ }
+
+ /**
+  * Redistribute a new post to its list-mode repositories.
+  *
+  * @param {Object} post - Created post
+  * @param {Object} author - Posting user
+  * @param {Object[]} [repositories] - Target repositories, if already loaded
+  * @returns {Promise<number>} Number of messages queued
+  */
+ async distributePost(post, author, repositories) {
+   const lists = await this.getListRepositories(post, author, repositories);
+   let queued = 0;
+
+   for (const repository of lists) {
+     queued += await this.sendToList(repository, {
+       subject: `[${repository.name}] ${post.title}`,
+       content: post.content || post.text || '',
+       url: `${process.env.FRONTEND_URL}/post/${post._id}`,
+       author,
+       thread: await notificationService.getThreadHeaders({ postId: post._id }),
+       metadata: { postId: String(post._id) }
+     });
+   }
+
+   return queued;
+ }
+
+ /**
+  * Redistribute a new comment to the list-mode repositories of its post.
+  *
+  * @param {Object} comment - Created comment
+  * @param {Object} post - Post the comment belongs to
+  * @param {Object} author - Commenting user
+  * @returns {Promise<number>} Number of messages queued
+  */
+ async distributeComment(comment, post, author) {
+   const lists = await this.getListRepositories(post, author);
+   let queued = 0;
+
+   for (const repository of lists) {
+     queued += await this.sendToList(repository, {
+       subject: `Re: [${repository.name}] ${post.title}`,
+       content: comment.content,
+       url: `${process.env.FRONTEND_URL}/post/${post._id}#comment-${comment._id}`,
+       author,
+       thread: await notificationService.getThreadHeaders({ postId: post._id, commentId: comment._id }),
+       metadata: { postId: String(post._id), commentId: String(comment._id) }
+     });
+   }
+
+   return queued;
+ }
+
+ /**
+  * Queue one message per recipient. Each copy is sent separately so the
+  * List-Unsubscribe link and merge tags can be personal and one failure
+  * does not hold up the rest.
+  *
+  * Recipients default to the whole list (getRecipientEntries); bulk sends
+  * and digests to a segment pass its deliverable members instead.
+  */
+ async sendToList(repository, { subject, content, url, author, thread = {}, metadata, recipients: targets, footer: note }) {
+   const recipients = targets || await this.getRecipientEntries(repository, author);
+   if (recipients.length === 0) return 0;
+
+   const html = sanitizeHtml(content, CONTENT_HTML_OPTIONS);
+   const text = htmlReplyToText(html);
+   const footer = note || `Posted by ${author.username} to ${repository.name}`;
+
+   for (const entry of recipients) {
+     const to = entry.email;
+     await emailService.queueEmail('send-email', {
+       to,
+       subject: renderMergeTags(subject, entry),
+       html: `${renderMergeTags(html, entry, { escape: escapeText })}<hr><p><a href="${url}">View on Shadownews</a> &middot; ${escapeText(footer)}` +
+         ` &middot; <a href="${this.getUnsubscribeUrl(repository, to)}">Unsubscribe</a></p>`,
+       text: `${renderMergeTags(text, entry)}\n\n-- \n${footer}\nView on Shadownews: ${url}\nUnsubscribe: ${this.getUnsubscribeUrl(repository, to)}`,
+       messageId: thread.messageId,
+       inReplyTo: thread.inReplyTo,
+       references: thread.references,
+       replyTo: buildRepositoryAddress(repository.slug),
+       headers: this.buildListHeaders(repository, to),
+       metadata: {
+         type: 'repository-list',
+         repositoryId: String(repository._id),
+         ...metadata
+       }
+     });
+   }
+
+   logger.info('List message queued', {
+     repositoryId: repository._id,
+     recipients: recipients.length,
+     ...metadata
+   });
+   return recipients.length;
+ }
+
+ /**
+  * @param {Object} repository - Repository document
+  * @param {Date} [from] - Time the interval starts
+  * @returns {Date|null} When the next digest is due, or null if the
+  *   repository sends none
+  */
+ getNextDigestDate(repository, from = new Date()) {
+   const days = DIGEST_INTERVAL_DAYS[repository.settings.digestFrequency];
+   return days ? new Date(from.getTime() + days * 24 * 60 * 60 * 1000) : null;
+ }
+
+ /**
+  * Members a digest goes to: those of the digest segment if one is set and
+  * still exists, the whole list otherwise.
+  *
+  * @param {Object} repository - Repository document
+  * @returns {Promise<Object[]>} Members to send the digest to
+  */
+ async getDigestRecipients(repository) {
+   const segmentId = repository.settings.digestSegment;
+   const segment = segmentId ? await Segment.findOne({ _id: segmentId, repository: repository._id }) : null;
+
+   if (!segment) {
+     return this.getRecipientEntries(repository);
+   }
+   return segmentService.getMembers(repository, segment.filter, { deliverable: true });
+ }
+
+ /**
+  * Send a repository's digest of posts added since the last one, and
+  * schedule the next. Nothing is sent when there are no new posts.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} [options]
+  * @param {Date} [options.now] - Time of this digest
+  * @returns {Promise<number>} Number of messages queued
+  */
+ async sendDigest(repository, { now = new Date() } = {}) {
+   const days = DIGEST_INTERVAL_DAYS[repository.settings.digestFrequency];
+   if (!days) return 0;
+
+   const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+   const posts = await Post.find({
+     'repositories.repository': repository._id,
+     status: 'active',
+     createdAt: { $gte: since }
+   })
+     .sort({ score: -1, createdAt: -1 })
+     .limit(MAX_DIGEST_POSTS);
+
+   let queued = 0;
+   if (posts.length > 0) {
+     const postUrl = post => `${process.env.FRONTEND_URL}/post/${post._id}`;
+     const items = posts
+       .map(post => `<li><a href="${postUrl(post)}">${escapeText(post.title)}</a></li>`)
+       .join('');
+
+     queued = await this.sendToList(repository, {
+       subject: `[${repository.name}] ${repository.settings.digestFrequency} digest: ${posts.length} new post${posts.length === 1 ? '' : 's'}`,
+       content: `<p>New in ${escapeText(repository.name)}:</p><ul>${items}</ul>`,
+       url: this.getArchiveUrl(repository),
+       footer: `${repository.name} digest`,
+       recipients: await this.getDigestRecipients(repository),
+       metadata: { digest: true }
+     });
+   }
+
+   repository.settings.nextDigestDate = this.getNextDigestDate(repository, now);
+   await repository.save();
+
+   logger.info('Repository digest processed', { repositoryId: repository._id, posts: posts.length, queued });
+   return queued;
+ }
+
+ /**
+  * Opt a member out of a repository's list mail.
+  *
+  * @param {string} repositoryId - Repository
+  * @param {string} email - Member address
+  * @param {string} token - Token from the unsubscribe link
+  * @param {Object} [client] - { ip, userAgent } for the consent ledger
+  * @returns {Promise<boolean>} False if the token or address is invalid
+  */
+ async unsubscribe(repositoryId, email, token, client = {}) {
+   const address = String(email).toLowerCase();
+   if (!this.verifyUnsubscribeToken(repositoryId, address, token)) {
+     return false;
+   }
+
+   const repository = await Repository.findById(repositoryId).select('_id');
+   if (!repository) {
+     return false;
+   }
+
+   // Opts the member out and refreshes the repository's stats
+   const revoked = await consentService.revoke(repository, address, { channel: 'list-unsubscribe', ...client });
+   if (!revoked) {
+     return false;
+   }
+
+   logger.info('List member unsubscribed', { repositoryId });
+   return true;
+ }
+}
+
+module.exports = new RepositoryMailService();
@@ -0,0 +1,576 @@
+/**
+ * @fileoverview Repository Merge Service
+ *
+ * Merges one repository's email list into another's. The source is read in
+ * batches and compared with the target address by address:
+ * - New addresses are copied (source 'merge') and asked for consent, since
+ *   consent is per repository
+ * - Addresses on both lists keep the target member; its name, tags and
+ *   custom field values are filled in from the source where missing, and
+ *   conflicting values are resolved by the chosen strategy
+ *
+ * Strategies:
+ * - prefer_target: Keep the target's values (the default)
+ * - prefer_source: Take the source's values
+ * - newest: Take the values of whichever member was updated last
+ * - manual: Choose per address and field; every conflict must be resolved
+ *
+ * A dry run returns the diff without changing anything. A merge records
+ * the previous values of each member it changes, so it can be undone for
+ * config.repositoryMerge.undoHours; only a repository's latest merge can
+ * be undone. Opt-outs, bounces and complaints are never lifted: they are
+ * reported in the diff and copied with the member.
+ *
+ * Dependencies:
+ * - ../models/Repository.model: Source archive state
+ * - ../models/RepositoryMember.model: Members of both lists
+ * - ../models/RepositoryMerge.model: Merge records
+ * - ../models/RepositoryMergeSnapshot.model: Previous values of changed members
+ * - ../models/RepositoryChange.model: Change log of members updated in bulk
+ * - ./consent.service: Consent requests for copied addresses
+ * - ../api/middleware/validation.middleware: Custom field values, checked
+ *   against the target's definitions
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const RepositoryMerge = require('../models/RepositoryMerge.model');
+const RepositoryMergeSnapshot = require('../models/RepositoryMergeSnapshot.model');
+const RepositoryChange = require('../models/RepositoryChange.model');
+const consentService = require('./consent.service');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { validateFieldValues } = require('../api/middleware/validation.middleware');
+
+const STRATEGIES = ['prefer_target', 'prefer_source', 'newest', 'manual'];
+
+const { SUPPRESSED_STATUSES } = RepositoryMember;
+
+// Source members compared per batch
+const BATCH_SIZE = 1000;
+
+// Addresses listed in each part of a diff
+const SAMPLE_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A merge still 'applying' after this long has died with its process
+const STALE_MERGE_MS = HOUR_MS;
+
+// Where each compared value lives on a member
+const VALUE_PATHS = { name: 'name', tags: 'metadata.tags' };
+
+// Member properties not copied to the target; consent is per repository
+const NOT_COPIED = ['_id', 'repository', 'consent', 'merge', 'fields', 'createdAt', 'updatedAt', '__v'];
+
+/**
+ * @param {*} value - Member value
+ * @returns {boolean} True if the member has no value
+ */
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * @param {*} a - Member value
+ * @param {*} b - Member value
+ * @returns {boolean} True if the values are the same; tags in any order
+ */
+const sameValue = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const normalize = list => [...new Set(list)].sort().join('\n');
+    return normalize(a) === normalize(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return a === b;
+};
+
+/**
+ * @param {Object} member - RepositoryMember
+ * @returns {boolean} True if the address opted out, bounced or complained
+ */
+const isUnreachable = (member) => !!member.optedOut || SUPPRESSED_STATUSES.includes(member.status);
+
+/**
+ * @param {Object} member - RepositoryMember
+ * @returns {number} When the member last changed
+ */
+const changedAt = (member) => new Date(member.updatedAt || member.addedAt || 0).getTime();
+
+/**
+ * Name, tags and custom field values of a member, keyed as in conflicts.
+ *
+ * @param {Object} member - Lean RepositoryMember
+ * @param {Object} fields - Custom field values to use
+ * @returns {Object} e.g. { name, tags, 'fields.plan' }
+ */
+const comparedValues = (member, fields) => {
+  const values = { name: member.name, tags: (member.metadata && member.metadata.tags) || [] };
+  Object.entries(fields).forEach(([key, value]) => {
+    values[`fields.${key}`] = value;
+  });
+  return values;
+};
+
+class RepositoryMergeService {
+ /**
+  * Custom fields whose values can move from source to target: defined on
+  * both with the same type.
+  *
+  * @param {Object} target - Target Repository document
+  * @param {Object} source - Source Repository document
+  * @returns {Object} { definitions: target definitions, unmapped: source keys }
+  */
+ mapCustomFields(target, source) {
+   const sourceTypes = new Map((source.customFields || []).map(field => [field.key, field.type]));
+   const definitions = (target.customFields || []).filter(field => sourceTypes.get(field.key) === field.type);
+   const mapped = new Set(definitions.map(field => field.key));
+
+   return { definitions, unmapped: [...sourceTypes.keys()].filter(key => !mapped.has(key)) };
+ }
+
+ /**
+  * Source custom field values converted for the target. Values the
+  * target's definitions reject (e.g. an enum option it lacks) are dropped.
+  *
+  * @param {Array<Object>} definitions - Mapped target definitions
+  * @param {Object} [values] - Source member's field values
+  * @returns {Object} { fields, dropped }
+  */
+ convertFields(definitions, values = {}) {
+   const fields = {};
+   let dropped = 0;
+
+   definitions.forEach(definition => {
+     const value = values[definition.key];
+     if (isEmpty(value)) return;
+
+     const { value: converted, errors } = validateFieldValues([definition], { [definition.key]: value }, { partial: true });
+     if (errors.length > 0) {
+       dropped += 1;
+       return;
+     }
+     fields[definition.key] = converted[definition.key];
+   });
+
+   return { fields, dropped };
+ }
+
+ /**
+  * @param {Object} target - Target Repository document
+  * @param {Object} source - Source Repository document
+  * @param {Object} options - { strategy, resolutions }
+  * @returns {Object} Comparison context for planBatch
+  * @throws {Error} Unknown strategy
+  */
+ createContext(target, source, { strategy = 'prefer_target', resolutions = [] } = {}) {
+   if (!STRATEGIES.includes(strategy)) {
+     throw new Error(`Unknown merge strategy: ${strategy}`);
+   }
+   const choices = new Map(resolutions.map(({ email, field, keep }) => [`${String(email).toLowerCase()} ${field}`, keep]));
+
+   return { target, source, strategy, choices, ...this.mapCustomFields(target, source) };
+ }
+
+ /**
+  * Which side's value a conflict keeps.
+  *
+  * @param {Object} context - From createContext
+  * @param {string} field - e.g. 'name' or 'fields.plan'
+  * @param {Object} member - Source member
+  * @param {Object} existing - Target member
+  * @returns {string|null} 'source', 'target', or null if unresolved
+  */
+ choose(context, field, member, existing) {
+   switch (context.strategy) {
+     case 'prefer_source':
+       return 'source';
+     case 'newest':
+       return changedAt(member) > changedAt(existing) ? 'source' : 'target';
+     case 'manual': {
+       const keep = context.choices.get(`${member.email} ${field}`);
+       return keep === 'source' || keep === 'target' ? keep : null;
+     }
+     default:
+       return 'target';
+   }
+ }
+
+ /**
+  * Compare a batch of source members with the target's list.
+  *
+  * @param {Object} context - From createContext
+  * @param {Array<Object>} members - Lean source members
+  * @returns {Promise<Array<Object>>} Per source member: { member, dropped }
+  *   plus either entry (a new member) or existing, changes ({ path: value })
+  *   and conflicts ([{ field, source, target, keep }])
+  */
+ async planBatch(context, members) {
+   const existing = await RepositoryMember.find({
+     repository: context.target._id,
+     email: { $in: members.map(member => member.email) }
+   }).lean();
+   const byEmail = new Map(existing.map(member => [member.email, member]));
+
+   return members.map(member => {
+     const { fields, dropped } = this.convertFields(context.definitions, member.fields);
+     const current = byEmail.get(member.email);
+
+     if (!current) {
+       const entry = Object.fromEntries(Object.entries(member).filter(([key]) => !NOT_COPIED.includes(key)));
+       if (Object.keys(fields).length > 0) entry.fields = fields;
+       return { member, dropped, entry: { ...entry, source: 'merge' } };
+     }
+
+     const theirs = comparedValues(member, fields);
+     const ours = comparedValues(current, Object.fromEntries(context.definitions.map(({ key }) =>
+       [key, current.fields ? current.fields[key] : undefined])));
+     const changes = {};
+     const conflicts = [];
+
+     Object.entries(theirs).forEach(([field, value]) => {
+       if (isEmpty(value) || sameValue(value, ours[field])) return;
+
+       const path = VALUE_PATHS[field] || field;
+       if (isEmpty(ours[field])) {
+         changes[path] = value;
+         return;
+       }
+
+       const keep = this.choose(context, field, member, current);
+       conflicts.push({ field, source: value, target: ours[field], keep });
+       if (keep === 'source') changes[path] = value;
+     });
+
+     return { member, dropped, existing: current, changes, conflicts };
+   });
+ }
+
+ /**
+  * Plans for the whole source list, one batch at a time.
+  *
+  * @param {Object} context - From createContext
+  * @yields {Array<Object>} Output of planBatch
+  */
+ async *planBatches(context) {
+   let members;
+   let lastId = null;
+
+   do {
+     const query = { repository: context.source._id };
+     if (lastId) query._id = { $gt: lastId };
+
+     members = await RepositoryMember.find(query).sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+     if (members.length === 0) return;
+
+     yield await this.planBatch(context, members);
+     lastId = members[members.length - 1]._id;
+   } while (members.length === BATCH_SIZE);
+ }
+
+ /**
+  * Dry run: what merging source into target would do.
+  *
+  * @param {Object} target - Target Repository document
+  * @param {Object} source - Source Repository document
+  * @param {Object} [options]
+  * @param {string} [options.strategy] - One of the strategies
+  * @param {Array<Object>} [options.resolutions] - Manual choices:
+  *   [{ email, field, keep: 'source'|'target' }]
+  * @returns {Promise<Object>} The diff; each list has a count and up to
+  *   SAMPLE_SIZE addresses
+  */
+ async diff(target, source, options = {}) {
+   const context = this.createContext(target, source, options);
+   const diff = {
+     strategy: context.strategy,
+     target: { id: target._id, name: target.name },
+     source: { id: source._id, name: source.name },
+     newMembers: { count: 0, sample: [] },
+     duplicates: { count: 0, identical: 0, filled: 0 },
+     conflicts: { count: 0, unresolved: 0, sample: [] },
+     unreachable: { count: 0, sample: [] },
+     unmappedFields: context.unmapped,
+     droppedValues: 0
+   };
+   const sample = (list, item) => {
+     list.count += 1;
+     if (list.sample.length < SAMPLE_SIZE) list.sample.push(item);
+   };
+
+   for await (const items of this.planBatches(context)) {
+     items.forEach(item => {
+       const { member, existing } = item;
+       diff.droppedValues += item.dropped;
+
+       if (isUnreachable(member)) {
+         sample(diff.unreachable, { email: member.email, in: 'source', optedOut: !!member.optedOut, status: member.status });
+       }
+       if (!existing) {
+         sample(diff.newMembers, member.email);
+         return;
+       }
+
+       diff.duplicates.count += 1;
+       if (isUnreachable(existing)) {
+         sample(diff.unreachable, { email: existing.email, in: 'target', optedOut: !!existing.optedOut, status: existing.status });
+       }
+       if (item.conflicts.length === 0) {
+         diff.duplicates[Object.keys(item.changes).length > 0 ? 'filled' : 'identical'] += 1;
+         return;
+       }
+
+       sample(diff.conflicts, { email: member.email, fields: item.conflicts });
+       if (item.conflicts.some(conflict => conflict.keep === null)) diff.conflicts.unresolved += 1;
+     });
+   }
+
+   return diff;
+ }
+
+ /**
+  * Whether either repository is part of a merge still being applied.
+  *
+  * @param {Array<ObjectId>} repositoryIds - Repositories
+  * @returns {Promise<boolean>}
+  */
+ async isMerging(repositoryIds) {
+   const merging = await RepositoryMerge.exists({
+     status: 'applying',
+     createdAt: { $gt: new Date(Date.now() - STALE_MERGE_MS) },
+     $or: [{ target: { $in: repositoryIds } }, { source: { $in: repositoryIds } }]
+   });
+   return !!merging;
+ }
+
+ /**
+  * Merge source into target and archive the source.
+  *
+  * Previous values are recorded before each batch is changed, so a merge
+  * that stops part way is marked 'failed' and can still be undone.
+  *
+  * @param {Object} target - Target Repository document
+  * @param {Object} source - Source Repository document
+  * @param {Object} options - { strategy, resolutions } as for diff, plus
+  *   { actor, ip, userAgent } for consent requests
+  * @returns {Promise<Object>} The RepositoryMerge document
+  */
+ async merge(target, source, { strategy, resolutions, actor, ip, userAgent } = {}) {
+   const context = this.createContext(target, source, { strategy, resolutions });
+   const merge = await RepositoryMerge.create({
+     target: target._id,
+     source: source._id,
+     strategy: context.strategy,
+     performedBy: actor,
+     snapshot: {
+       source: { isArchived: source.isArchived, archivedAt: source.archivedAt, archiveReason: source.archiveReason }
+     }
+   });
+   const summary = { added: 0, updated: 0, unchanged: 0, conflicts: 0 };
+   const history = { channel: 'api', operation: 'merge', actor };
+   const finish = async (fields) => {
+     const update = { ...fields, summary, undoExpiresAt: new Date(Date.now() + config.repositoryMerge.undoHours * HOUR_MS) };
+     await RepositoryMerge.updateOne({ _id: merge._id }, { $set: update });
+     merge.set(update);
+   };
+
+   try {
+     for await (const items of this.planBatches(context)) {
+       const updates = items.filter(item => item.existing && Object.keys(item.changes).length > 0);
+       summary.conflicts += items.filter(item => item.existing && item.conflicts.length > 0).length;
+       summary.unchanged += items.filter(item => item.existing && Object.keys(item.changes).length === 0).length;
+
+       if (updates.length > 0) {
+         await RepositoryMergeSnapshot.insertMany(updates.map(({ existing, changes }) => ({
+           merge: merge._id,
+           member: existing._id,
+           values: Object.keys(changes).map(path => ({ path, value: this.readPath(existing, path) }))
+         })));
+         await RepositoryMember.bulkWrite(updates.map(({ existing, changes }) => ({
+           updateOne: { filter: { _id: existing._id }, update: { $set: changes } }
+         })), { ordered: false });
+         await this.recordUpdates(updates.map(({ existing, changes }) => ({
+           member: existing._id,
+           paths: Object.keys(changes)
+         })), history);
+         summary.updated += updates.length;
+       }
+
+       const added = await RepositoryMember.addMembers(target._id, items
+         .filter(item => !item.existing)
+         .map(item => ({ ...item.entry, merge: merge._id })), history);
+       summary.added += added.length;
+
+       // Never ask an address that bounced or complained
+       await consentService.requestConsent(target, added.filter(entry => !isUnreachable(entry)).map(entry => entry.email), {
+         source: 'merge',
+         actor,
+         ip,
+         userAgent
+       });
+     }
+
+     source.isArchived = true;
+     source.archivedAt = new Date();
+     source.archiveReason = `Merged into ${target.name}`;
+     await source.save();
+     await RepositoryMember.refreshStats(target._id);
+   } catch (error) {
+     await finish({ status: 'failed', error: error.message });
+     logger.error('Repository merge failed', { mergeId: merge._id, error: error.message });
+     throw error;
+   }
+
+   await finish({ status: 'applied' });
+   logger.info('Repositories merged', { mergeId: merge._id, targetId: target._id, sourceId: source._id, ...summary });
+   return merge;
+ }
+
+ /**
+  * Log members changed with bulkWrite, which bypasses saveWithHistory.
+  *
+  * @param {Array<Object>} changed - [{ member, paths }]; member is an _id,
+  *   paths as in the undo snapshot
+  * @param {Object} context - { channel, operation, actor } for the change log
+  */
+ async recordUpdates(changed, context) {
+   if (changed.length === 0) return;
+
+   const members = await RepositoryMember.find({ _id: { $in: changed.map(item => item.member) } }).lean();
+   const byId = new Map(members.map(member => [String(member._id), member]));
+
+   // Members with the same changed paths are logged together
+   const groups = new Map();
+   changed.forEach(({ member, paths }) => {
+     const stored = byId.get(String(member));
+     if (!stored) return;
+     const tracked = [...new Set(paths.map(path => path.split('.')[0]))];
+     const key = tracked.join(',');
+     if (!groups.has(key)) groups.set(key, { tracked, members: [] });
+     groups.get(key).members.push(stored);
+   });
+
+   for (const { tracked, members: group } of groups.values()) {
+     await RepositoryChange.record(group, 'updated', context, tracked);
+   }
+ }
+
+ /**
+  * @param {Object} member - Lean RepositoryMember
+  * @param {string} path - e.g. 'metadata.tags' or 'fields.plan'
+  * @returns {*} The value at the path, or undefined
+  */
+ readPath(member, path) {
+   return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), member);
+ }
+
+ /**
+  * @param {Object} target - Target Repository document
+  * @returns {Promise<Array<Object>>} Its latest merges, latest first
+  */
+ listMerges(target) {
+   return RepositoryMerge.find({ target: target._id }).sort({ createdAt: -1 }).limit(50);
+ }
+
+ getMerge(target, mergeId) {
+   return RepositoryMerge.findOne({ _id: mergeId, target: target._id });
+ }
+
+ /**
+  * Whether a later merge into the same repository is still in place;
+  * undoing this one would then restore values the later merge relies on.
+  *
+  * @param {Object} merge - RepositoryMerge document
+  * @returns {Promise<boolean>}
+  */
+ async hasLaterMerge(merge) {
+   const later = await RepositoryMerge.exists({
+     target: merge.target,
+     status: { $ne: 'undone' },
+     createdAt: { $gt: merge.createdAt }
+   });
+   return !!later;
+ }
+
+ /**
+  * Undo a merge: remove the members it added, restore the values it
+  * changed and the source's archive state. Changes made to those members
+  * since the merge are overwritten.
+  *
+  * @param {Object} merge - RepositoryMerge document; check canUndo first
+  * @param {ObjectId} actor - Undoing user
+  * @returns {Promise<Object>} { removed, restored }
+  */
+ async undo(merge, actor) {
+   const history = { channel: 'api', operation: 'merge_undo', actor };
+   const removed = (await RepositoryMember.removeMembers({ repository: merge.target, merge: merge._id }, history)).length;
+
+   let restored = 0;
+   let lastId = null;
+   let snapshots;
+   do {
+     const query = { merge: merge._id };
+     if (lastId) query._id = { $gt: lastId };
+     snapshots = await RepositoryMergeSnapshot.find(query).sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+     if (snapshots.length === 0) break;
+     lastId = snapshots[snapshots.length - 1]._id;
+
+     await RepositoryMember.bulkWrite(snapshots.map(({ member, values }) => {
+       const set = {};
+       const unset = {};
+       values.forEach(({ path, value }) => {
+         if (value === undefined || value === null) unset[path] = '';
+         else set[path] = value;
+       });
+
+       const update = {};
+       if (Object.keys(set).length > 0) update.$set = set;
+       if (Object.keys(unset).length > 0) update.$unset = unset;
+       return { updateOne: { filter: { _id: member, repository: merge.target }, update } };
+     }), { ordered: false });
+     await this.recordUpdates(snapshots.map(({ member, values }) => ({
+       member,
+       paths: values.map(({ path }) => path)
+     })), history);
+     restored += snapshots.length;
+   } while (snapshots.length === BATCH_SIZE);
+
+   const { isArchived, archivedAt, archiveReason } = merge.snapshot.source || {};
+   await Repository.updateOne({ _id: merge.source }, isArchived
+     ? { $set: { isArchived, archivedAt, archiveReason } }
+     : { $set: { isArchived: false }, $unset: { archivedAt: '', archiveReason: '' } });
+   await RepositoryMember.refreshStats(merge.target);
+
+   merge.status = 'undone';
+   merge.undoneAt = new Date();
+   merge.undoneBy = actor;
+   await merge.save();
+   await RepositoryMergeSnapshot.deleteMany({ merge: merge._id });
+
+   logger.info('Repository merge undone', { mergeId: merge._id, removed, restored });
+   return { removed, restored };
+ }
+
+ toMerge(merge) {
+   return {
+     id: merge._id,
+     targetId: merge.target,
+     sourceId: merge.source,
+     strategy: merge.strategy,
+     status: merge.status,
+     summary: merge.summary,
+     createdAt: merge.createdAt,
+     undoExpiresAt: merge.undoExpiresAt || null,
+     canUndo: merge.canUndo(),
+     undoneAt: merge.undoneAt || null
+   };
+ }
+}
+
+module.exports = new RepositoryMergeService();
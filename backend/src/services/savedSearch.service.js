@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Saved Search Service
+ *
+ * Saved searches and the alerts they raise. A user saves a query in the
+ * search language; from then on each new post or comment it would find
+ * is sent to them the moment it is created, over the websocket, and/or
+ * kept for their next email digest.
+ *
+ * Matching is incremental: the Post and Comment save hooks hand each new
+ * document to matchPost/matchComment, which load only the saved searches
+ * sharing a lookup key with it and check those in memory (see
+ * search/matcher.js). The search backend is never queried again.
+ *
+ * Saved searches are managed over the API and by email command (ALERT
+ * ADD, ALERT LIST, ALERT REMOVE); the email commands refer to searches by
+ * their position in ALERT LIST, oldest first.
+ *
+ * Dependencies:
+ * - ../models/SavedSearch.model: Searches, lookup keys and digest matches
+ * - ./search: Query parsing, name resolution and snippets
+ * - ../utils/redis: Relays alerts to the websocket server
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const SavedSearch = require('../models/SavedSearch.model');
+const Post = require('../models/Post.model');
+const searchService = require('./search');
+const { parseQuery } = require('./search/queryParser');
+const { snippet } = require('./search/highlight');
+const { isSearchablePost, isSearchableComment, toSearchDocument } = require('./search/documents');
+const { searchKeys, documentKeys, matchesDocument } = require('./search/matcher');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Websocket event of an alert, sent to the user:<id> room
+const ALERT_EVENT = 'search:alert';
+
+/**
+ * @param {Object} search - SavedSearch document or lean object
+ * @param {number} position - 1-based position in the user's list
+ * @returns {Object} Saved search as shown to its owner
+ */
+const toSavedSearch = (search, position) => ({
+  id: search._id,
+  position,
+  name: search.name || search.query,
+  query: search.query,
+  notify: { instant: search.notify.instant, digest: search.notify.digest },
+  matchCount: search.matchCount || 0,
+  lastMatchedAt: search.lastMatchedAt || null,
+  pendingDigestMatches: (search.pending || []).length,
+  createdAt: search.createdAt
+});
+
+class SavedSearchService {
+  /**
+   * @param {string} userId - Owner
+   * @returns {Promise<Array<Object>>} The user's searches, oldest first
+   */
+  async list(userId) {
+    const searches = await SavedSearch.find({ user: userId }).sort({ createdAt: 1, _id: 1 }).lean();
+    return searches.map((search, index) => toSavedSearch(search, index + 1));
+  }
+
+  /**
+   * Save a search. Nothing is saved when there are problems: operator
+   * values the search would ignore, unknown author: or repo: names, a
+   * query that would match every new post, a duplicate, or too many
+   * searches already.
+   *
+   * @param {Object} user - Owner
+   * @param {Object} options
+   * @param {string} options.query - Query in the search language
+   * @param {string} [options.name] - Name shown in alerts
+   * @param {Object} [options.notify] - { instant, digest }, both on by default
+   * @returns {Promise<{savedSearch: Object|null, problems: string[]}>}
+   */
+  async create(user, { query, name, notify = {} }) {
+    const text = String(query || '').trim();
+    if (!text) {
+      return { savedSearch: null, problems: ['query is required'] };
+    }
+
+    const parsed = parseQuery(text);
+    const resolved = await searchService.resolveNames(parsed.filters);
+    const names = { authors: resolved.authors || [], repositories: resolved.repositories || [] };
+    const keys = searchKeys(parsed, names);
+
+    const problems = [...parsed.warnings, ...resolved.missing];
+    if (keys.length === 0) {
+      problems.push('Add words, a #hashtag, author:, repo: or site: so the search does not match every post');
+    }
+
+    const [count, existing] = await Promise.all([
+      SavedSearch.countDocuments({ user: user._id }),
+      SavedSearch.exists({ user: user._id, query: text })
+    ]);
+    if (existing) {
+      problems.push('You already saved this search');
+    } else if (count >= config.savedSearches.maxPerUser) {
+      problems.push(`You can save up to ${config.savedSearches.maxPerUser} searches`);
+    }
+
+    if (problems.length > 0) {
+      return { savedSearch: null, problems };
+    }
+
+    const search = await SavedSearch.create({
+      user: user._id,
+      query: text,
+      name,
+      ...names,
+      keys,
+      notify: {
+        instant: notify.instant !== false,
+        digest: notify.digest !== false
+      }
+    });
+
+    logger.info('Saved search created', { userId: user._id, savedSearchId: search._id });
+    return { savedSearch: toSavedSearch(search, count + 1), problems: [] };
+  }
+
+  /**
+   * Rename a search or change how it alerts.
+   *
+   * @param {string} userId - Owner
+   * @param {string} id - Saved search ID
+   * @param {Object} changes - { name, notify: { instant, digest } }
+   * @returns {Promise<Object|null>} The search, or null if the user has none with that ID
+   */
+  async update(userId, id, { name, notify = {} }) {
+    const set = {};
+    if (name !== undefined) set.name = name;
+    if (typeof notify.instant === 'boolean') set['notify.instant'] = notify.instant;
+    if (typeof notify.digest === 'boolean') set['notify.digest'] = notify.digest;
+    // Turning digests off drops the matches waiting for one
+    if (notify.digest === false) set.pending = [];
+
+    const search = await SavedSearch.findOneAndUpdate({ _id: id, user: userId }, { $set: set }, { new: true });
+    if (!search) return null;
+
+    const position = await SavedSearch.countDocuments({ user: userId, createdAt: { $lt: search.createdAt } });
+    return toSavedSearch(search, position + 1);
+  }
+
+  /**
+   * @param {string} userId - Owner
+   * @param {string} id - Saved search ID
+   * @returns {Promise<boolean>} False if the user has no search with that ID
+   */
+  async remove(userId, id) {
+    const { deletedCount } = await SavedSearch.deleteOne({ _id: id, user: userId });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Remove a search by its position in list().
+   *
+   * @param {string} userId - Owner
+   * @param {number} position - 1-based position
+   * @returns {Promise<Object|null>} The removed search, or null if there is
+   *   none at that position
+   */
+  async removeAt(userId, position) {
+    const searches = await this.list(userId);
+    const search = searches[position - 1];
+    if (!search) return null;
+
+    await this.remove(userId, search.id);
+    return search;
+  }
+
+  /**
+   * Alert the owners of saved searches matching a new post. Called from
+   * the Post save hook; failures are logged, never thrown.
+   *
+   * @param {Object} post - Post document
+   * @returns {Promise<number>} Alerts raised
+   */
+  async matchPost(post) {
+    try {
+      if (!isSearchablePost(post)) return 0;
+      return await this.match(toSearchDocument('post', post));
+    } catch (error) {
+      logger.error(`Failed to match post ${post._id} against saved searches:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Alert the owners of saved searches matching a new comment. Called
+   * from the Comment save hook; failures are logged, never thrown.
+   *
+   * @param {Object} comment - Comment document
+   * @returns {Promise<number>} Alerts raised
+   */
+  async matchComment(comment) {
+    try {
+      const post = await Post.findById(comment.post).select('title status visibility repositories domain').lean();
+      if (!post || !isSearchableComment(comment, post)) return 0;
+      return await this.match(toSearchDocument('comment', comment, { post }));
+    } catch (error) {
+      logger.error(`Failed to match comment ${comment._id} against saved searches:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Check a new document against the saved searches that share a lookup
+   * key with it and alert the owners of those it matches. Authors are not
+   * alerted to their own posts and comments.
+   *
+   * @param {Object} document - Search document (see search/documents.js)
+   * @returns {Promise<number>} Alerts raised
+   */
+  async match(document) {
+    const candidates = await SavedSearch.find({
+      keys: { $in: documentKeys(document) },
+      user: { $ne: document.author }
+    }).select('-pending').lean();
+
+    const matched = candidates.filter(search => matchesDocument(parseQuery(search.query), search, document));
+    await Promise.all(matched.map(search => this.alert(search, document)));
+    return matched.length;
+  }
+
+  /**
+   * Deliver one match: publish it to the owner's websocket room and/or
+   * keep it for their digest.
+   *
+   * @param {Object} search - Matching saved search
+   * @param {Object} document - Search document that matched
+   * @returns {Promise<void>}
+   */
+  async alert(search, document) {
+    const parsed = parseQuery(search.query);
+    const match = {
+      type: document.type,
+      id: document.objectId,
+      postId: document.postId,
+      title: document.title,
+      snippet: snippet(document.body, [...parsed.terms, ...parsed.phrases, ...parsed.filters.hashtags], {
+        length: config.search.snippetLength
+      }),
+      url: document.type === 'post'
+        ? `${process.env.FRONTEND_URL}/post/${document.postId}`
+        : `${process.env.FRONTEND_URL}/post/${document.postId}#comment-${document.objectId}`,
+      matchedAt: new Date()
+    };
+
+    const update = { $inc: { matchCount: 1 }, $set: { lastMatchedAt: match.matchedAt } };
+    if (search.notify.digest) {
+      update.$push = { pending: { $each: [match], $slice: -config.savedSearches.digestMatchesPerSearch } };
+    }
+    await SavedSearch.updateOne({ _id: search._id }, update);
+
+    if (search.notify.instant) {
+      // The websocket server relays this channel to the user's room
+      await redis.publish('websocket:user', {
+        userId: String(search.user),
+        event: ALERT_EVENT,
+        payload: { savedSearchId: search._id, name: search.name || search.query, query: search.query, ...match }
+      });
+    }
+  }
+
+  /**
+   * Matches waiting for a user's digest, grouped by search.
+   *
+   * @param {string} userId - Digest recipient
+   * @returns {Promise<Array<Object>>} { id, name, query, matches } for each
+   *   search with matches, oldest search first
+   */
+  async digestMatches(userId) {
+    const searches = await SavedSearch.find({ user: userId, 'notify.digest': true, 'pending.0': { $exists: true } })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    return searches.map(search => ({
+      id: search._id,
+      name: search.name || search.query,
+      query: search.query,
+      matches: search.pending
+    }));
+  }
+
+  /**
+   * Drop the digest matches a digest has been sent with. Matches made
+   * while it was being sent are kept for the next one.
+   *
+   * @param {string} userId - Digest recipient
+   * @param {Date} until - When the matches were read
+   * @returns {Promise<void>}
+   */
+  async clearDigestMatches(userId, until) {
+    await SavedSearch.updateMany(
+      { user: userId },
+      { $pull: { pending: { matchedAt: { $lte: until } } } }
+    );
+  }
+}
+
+module.exports = new SavedSearchService();
+module.exports.SavedSearchService = SavedSearchService;
+module.exports.ALERT_EVENT = ALERT_EVENT;
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Search Documents
+ *
+ * The one shape posts and comments take in a search index. Backends that
+ * keep their own copy (MeiliSearch, OpenSearch) store these documents;
+ * the MongoDB backend searches the collections directly and only uses
+ * them for its typo-tolerance vocabulary.
+ *
+ * Comments carry the repositories and domain of their post so `repo:`
+ * and `site:` filters apply to discussions as well as stories.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+/**
+ * @param {string} type - 'post' or 'comment'
+ * @param {string|ObjectId} id - Document ID
+ * @returns {string} Key of the document in external indexes
+ */
+const documentKey = (type, id) => `${type}_${id}`;
+
+/**
+ * @param {string|null} domain - Host of a linked URL, without www.
+ * @returns {string[]} The domain and every parent domain, so site:example.com
+ *   matches blog.example.com
+ */
+const siteSuffixes = (domain) => {
+  if (!domain) return [];
+  const labels = domain.split('.');
+  return labels.slice(0, -1).map((label, i) => labels.slice(i).join('.'));
+};
+
+const ids = (values) => (values || []).map(value => String(value?._id || value));
+
+/**
+ * @param {Object} post - Post document or lean object
+ * @returns {boolean} True if the post may appear in search results
+ */
+const isSearchablePost = (post) => post.status === 'active' && post.visibility === 'public';
+
+/**
+ * @param {Object} comment - Comment document or lean object
+ * @param {Object} [post] - Its post, when known
+ * @returns {boolean} True if the comment may appear in search results
+ */
+const isSearchableComment = (comment, post) => !comment.isDeleted && (!post || isSearchablePost(post));
+
+/**
+ * @param {string} type - 'post' or 'comment'
+ * @param {Object} doc - Post or comment
+ * @param {Object} [options]
+ * @param {Object} [options.post] - Post of a comment, for its repositories and domain
+ * @returns {Object} Search document
+ */
+const toSearchDocument = (type, doc, { post } = {}) => {
+  const source = type === 'post' ? doc : (post || {});
+  const domain = source.domain || null;
+
+  return {
+    id: documentKey(type, doc._id),
+    type,
+    objectId: String(doc._id),
+    postId: type === 'post' ? String(doc._id) : String(doc.post?._id || doc.post),
+    title: type === 'post' ? doc.title : (post?.title || ''),
+    body: (type === 'post' ? doc.text : doc.content) || '',
+    hashtags: doc.hashtags || [],
+    author: String(doc.author?._id || doc.author),
+    repositories: ids((source.repositories || []).map(entry => entry.repository)),
+    domain,
+    sites: siteSuffixes(domain),
+    score: doc.score || 0,
+    createdAt: new Date(doc.createdAt || Date.now()).getTime()
+  };
+};
+
+module.exports = {
+  documentKey,
+  siteSuffixes,
+  isSearchablePost,
+  isSearchableComment,
+  toSearchDocument
+};
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Search Highlighting
+ *
+ * Builds the highlighted title and snippet shown for each search result.
+ * Words are compared by stem, so a search for "scaling" marks "scaled"
+ * the same way MongoDB's text index matched it. Output is HTML-escaped
+ * with matches wrapped in <mark>, safe to render as-is.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const natural = require('natural');
+
+const WORD = /[\p{L}\p{N}_]+(?:'[\p{L}]+)?/gu;
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ESCAPES[char]);
+
+const stem = (word) => natural.PorterStemmer.stem(word.toLowerCase());
+
+/**
+ * @param {string[]} words - Query words and phrases
+ * @returns {Set<string>} Stems to mark
+ */
+const stemsOf = (words) => new Set(
+  words.flatMap(entry => String(entry).toLowerCase().match(WORD) || []).map(stem)
+);
+
+/**
+ * @param {string} text - Text to search
+ * @param {Set<string>} stems - Stems to mark
+ * @returns {Array<{ start: number, end: number }>} Matching words in order
+ */
+const findMatches = (text, stems) => {
+  const matches = [];
+  for (const match of text.matchAll(WORD)) {
+    if (stems.has(stem(match[0]))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return matches;
+};
+
+/**
+ * Escape a stretch of text and mark the matches inside it.
+ *
+ * @param {string} text - Full text
+ * @param {Array<{ start: number, end: number }>} matches - Matches in text
+ * @param {number} from - Start of the stretch
+ * @param {number} to - End of the stretch
+ * @returns {string} HTML
+ */
+const mark = (text, matches, from, to) => {
+  let html = '';
+  let position = from;
+  matches
+    .filter(match => match.start >= from && match.end <= to)
+    .forEach(match => {
+      html += `${escapeHtml(text.slice(position, match.start))}<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+      position = match.end;
+    });
+  return html + escapeHtml(text.slice(position, to));
+};
+
+/**
+ * Highlight every match in a short text such as a title.
+ *
+ * @param {string} text - Text to highlight
+ * @param {string[]} words - Query words and phrases
+ * @returns {string} HTML
+ */
+const highlight = (text, words) => {
+  const value = String(text || '');
+  return mark(value, findMatches(value, stemsOf(words)), 0, value.length);
+};
+
+/**
+ * Cut a snippet of about `length` characters around the first match and
+ * highlight the matches in it.
+ *
+ * @param {string} text - Text to cut from
+ * @param {string[]} words - Query words and phrases
+ * @param {Object} [options]
+ * @param {number} [options.length=200] - Snippet length in characters
+ * @returns {string} HTML, with an ellipsis where text was cut
+ */
+const snippet = (text, words, { length = 200 } = {}) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  const matches = findMatches(value, stemsOf(words));
+  if (value.length <= length) return mark(value, matches, 0, value.length);
+
+  // Start a little before the first match so it has some context
+  let start = matches.length > 0 ? Math.max(0, matches[0].start - Math.floor(length / 4)) : 0;
+  start = Math.min(start, value.length - length);
+  if (start > 0) {
+    const space = value.indexOf(' ', start);
+    if (space !== -1 && (matches.length === 0 || space < matches[0].start)) start = space + 1;
+  }
+
+  let end = Math.min(value.length, start + length);
+  if (end < value.length) {
+    const space = value.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  return `${start > 0 ? '…' : ''}${mark(value, matches, start, end)}${end < value.length ? '…' : ''}`;
+};
+
+module.exports = { highlight, snippet, escapeHtml, stemsOf };
@@ -0,0 +1,459 @@
+/**
+ * @fileoverview Search Service
+ *
+ * Full-text search over posts and comments behind a pluggable indexer.
+ * Queries are parsed once (queryParser.js), names in `author:` and
+ * `repo:` are resolved to IDs, and the configured backend returns hits,
+ * totals and facet counts. Hits are loaded from MongoDB and highlighted
+ * here, so every backend returns the same result shape.
+ *
+ * Backends (config.search.backend):
+ * - mongo: text indexes on the posts and comments collections (default)
+ * - meilisearch: a local MeiliSearch instance
+ * - opensearch: an OpenSearch or Elasticsearch-compatible cluster
+ *
+ * External backends are kept up to date from the Post and Comment save
+ * hooks; when one fails to answer, the search is answered by MongoDB
+ * instead. Repository search always runs on MongoDB.
+ *
+ * Dependencies:
+ * - ../../models: Posts, comments, users and repositories
+ * - ../../config: Backend selection and result sizes
+ * - natural (via highlight.js and vocabulary.js): stemming and edit distance
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const mongoose = require('mongoose');
+const Post = require('../../models/Post.model');
+const Comment = require('../../models/Comment.model');
+const User = require('../../models/User.model');
+const Repository = require('../../models/Repository.model');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { parseQuery, hasText, escapeRegExp } = require('./queryParser');
+const { highlight, snippet } = require('./highlight');
+const {
+  documentKey,
+  isSearchablePost,
+  isSearchableComment,
+  toSearchDocument
+} = require('./documents');
+const MongoIndexer = require('./mongo.indexer');
+const MeiliSearchIndexer = require('./meilisearch.indexer');
+const OpenSearchIndexer = require('./opensearch.indexer');
+
+const TYPES = ['post', 'comment'];
+const SORTS = ['relevance', 'new', 'top'];
+
+// Fields of a post a comment needs in external indexes
+const THREAD_FIELDS = 'title status visibility repositories domain';
+
+const AUTHOR_FIELDS = 'username karma avatar';
+
+const isObjectId = (value) => /^[a-f0-9]{24}$/i.test(value) && mongoose.Types.ObjectId.isValid(value);
+
+class SearchService {
+  constructor() {
+    this.indexers = new Map();
+    this.register(new MongoIndexer())
+      .register(new MeiliSearchIndexer(config.search))
+      .register(new OpenSearchIndexer(config.search));
+  }
+
+  /**
+   * Register a search backend (see indexer.js for the interface).
+   *
+   * @param {Object} indexer - Indexer instance
+   * @returns {SearchService} this, for chaining
+   */
+  register(indexer) {
+    if (!indexer || !indexer.name || typeof indexer.search !== 'function') {
+      throw new Error('Search indexer must have a name and a search() method');
+    }
+    this.indexers.set(indexer.name, indexer);
+    return this;
+  }
+
+  /**
+   * @returns {Object} The configured indexer, or MongoDB if it is unknown
+   */
+  get backend() {
+    return this.indexers.get(config.search.backend) || this.indexers.get('mongo');
+  }
+
+  /**
+   * Turn `author:` usernames and `repo:` slugs or IDs into IDs.
+   *
+   * @param {Object} filters - Parsed filters
+   * @returns {Promise<Object>} { authors, repositories, missing } where
+   *   authors and repositories are undefined when not filtered on
+   */
+  async resolveNames(filters) {
+    const resolved = { missing: [] };
+
+    if (filters.authors.length > 0) {
+      const names = filters.authors.map(name => name.toLowerCase());
+      const users = await User.find({ username: { $in: names } }).select('username').lean();
+      resolved.authors = users.map(user => user._id);
+      const found = new Set(users.map(user => user.username));
+      names.filter(name => !found.has(name)).forEach(name => resolved.missing.push(`No user named ${name}`));
+    }
+
+    if (filters.repos.length > 0) {
+      const slugs = filters.repos.map(value => value.toLowerCase());
+      const repositories = await Repository.find({
+        $or: [{ slug: { $in: slugs } }, { _id: { $in: filters.repos.filter(isObjectId) } }]
+      }).select('slug').lean();
+      resolved.repositories = repositories.map(repository => repository._id);
+      const found = new Set(repositories.flatMap(repository => [repository.slug, String(repository._id)]));
+      filters.repos.filter(value => !found.has(value.toLowerCase()) && !found.has(value))
+        .forEach(value => resolved.missing.push(`No repository ${value}`));
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Search posts and comments.
+   *
+   * @param {string} q - Query, with operators (see queryParser.js)
+   * @param {Object} [options]
+   * @param {string[]} [options.types] - 'post' and/or 'comment'; a type:
+   *   operator in the query takes precedence
+   * @param {string} [options.sort] - 'relevance', 'new' or 'top'; defaults
+   *   to relevance when the query has words, newest otherwise
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit] - Results per page
+   * @returns {Promise<Object>} { query, results, total, totals, page, limit,
+   *   pages, sort, facets, corrections, warnings, backend }
+   */
+  async search(q, { types = TYPES, sort, page = 1, limit } = {}) {
+    const { pageSize, maxPageSize, facetLimit, snippetLength } = config.search;
+    const parsed = parseQuery(q);
+    const size = Math.min(Math.max(parseInt(limit, 10) || pageSize, 1), maxPageSize);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const order = SORTS.includes(sort) ? sort : (hasText(parsed) ? 'relevance' : 'new');
+    const wanted = parsed.filters.type ? [parsed.filters.type] : types.filter(type => TYPES.includes(type));
+
+    const resolved = await this.resolveNames(parsed.filters);
+    const response = {
+      query: q,
+      results: [],
+      total: 0,
+      totals: { post: 0, comment: 0 },
+      page: pageNumber,
+      limit: size,
+      pages: 0,
+      sort: order,
+      facets: { hashtags: [], repositories: [], domains: [] },
+      corrections: [],
+      warnings: [...parsed.warnings, ...resolved.missing],
+      backend: this.backend.name
+    };
+    if (wanted.length === 0 || resolved.authors?.length === 0 || resolved.repositories?.length === 0) {
+      return response;
+    }
+
+    const query = {
+      terms: parsed.terms,
+      phrases: parsed.phrases,
+      excluded: parsed.excluded,
+      hashtags: parsed.filters.hashtags,
+      authors: resolved.authors,
+      repositories: resolved.repositories,
+      sites: parsed.filters.sites,
+      before: parsed.filters.before,
+      after: parsed.filters.after,
+      score: parsed.filters.score,
+      types: wanted,
+      sort: order,
+      offset: (pageNumber - 1) * size,
+      limit: size,
+      facetLimit
+    };
+
+    let { backend } = this;
+    let result;
+    try {
+      result = await backend.search(query);
+    } catch (error) {
+      if (!backend.external) throw error;
+      logger.warn(`Search backend ${backend.name} failed, answering from MongoDB`, { error: error.message });
+      backend = this.indexers.get('mongo');
+      result = await backend.search(query);
+    }
+
+    const corrected = new Map(result.corrections.map(({ from, to }) => [from, to]));
+    const words = [
+      ...query.terms.map(term => corrected.get(term) || term),
+      ...query.phrases,
+      ...query.hashtags
+    ];
+    const total = result.totals.post + result.totals.comment;
+
+    return {
+      ...response,
+      results: await this.hydrate(result.hits, words, snippetLength),
+      total,
+      totals: result.totals,
+      pages: Math.ceil(total / size),
+      facets: { ...result.facets, repositories: await this.nameRepositories(result.facets.repositories) },
+      corrections: result.corrections,
+      backend: backend.name
+    };
+  }
+
+  /**
+   * Load hits from MongoDB, in hit order, with highlights. Hits whose
+   * document was deleted since it was indexed are left out.
+   *
+   * @param {Array<Object>} hits - { type, id, relevance }
+   * @param {string[]} words - Words to highlight
+   * @param {number} snippetLength - Snippet length in characters
+   * @returns {Promise<Array<Object>>} Results
+   */
+  async hydrate(hits, words, snippetLength) {
+    const idsOf = (type) => hits.filter(hit => hit.type === type).map(hit => hit.id);
+    const postIds = idsOf('post');
+    const commentIds = idsOf('comment');
+
+    const [posts, comments] = await Promise.all([
+      postIds.length > 0
+        ? Post.find({ _id: { $in: postIds } })
+          .select('title url domain text hashtags author score commentCount createdAt')
+          .populate('author', AUTHOR_FIELDS)
+          .lean()
+        : [],
+      commentIds.length > 0
+        ? Comment.find({ _id: { $in: commentIds } })
+          .select('content hashtags author post score createdAt')
+          .populate('author', AUTHOR_FIELDS)
+          .populate('post', 'title')
+          .lean()
+        : []
+    ]);
+
+    const documents = new Map([
+      ...posts.map(post => [documentKey('post', post._id), post]),
+      ...comments.map(comment => [documentKey('comment', comment._id), comment])
+    ]);
+
+    return hits
+      .filter(hit => documents.has(documentKey(hit.type, hit.id)))
+      .map(hit => {
+        const doc = documents.get(documentKey(hit.type, hit.id));
+        const shared = {
+          type: hit.type,
+          id: doc._id,
+          hashtags: doc.hashtags || [],
+          author: doc.author,
+          score: doc.score || 0,
+          createdAt: doc.createdAt,
+          relevance: hit.relevance
+        };
+
+        if (hit.type === 'post') {
+          return {
+            ...shared,
+            title: doc.title,
+            url: doc.url || null,
+            domain: doc.domain || null,
+            commentCount: doc.commentCount || 0,
+            highlights: {
+              title: highlight(doc.title, words),
+              snippet: snippet(doc.text, words, { length: snippetLength })
+            }
+          };
+        }
+        return {
+          ...shared,
+          post: doc.post ? { id: doc.post._id, title: doc.post.title } : null,
+          highlights: {
+            title: highlight(doc.post?.title, words),
+            snippet: snippet(doc.content, words, { length: snippetLength })
+          }
+        };
+      });
+  }
+
+  /**
+   * @param {Array<{ value: string, count: number }>} facet - Repository ID counts
+   * @returns {Promise<Array<Object>>} Counts with repository name and slug;
+   *   repositories that no longer exist are left out
+   */
+  async nameRepositories(facet) {
+    const ids = facet.map(entry => entry.value).filter(isObjectId);
+    if (ids.length === 0) return [];
+
+    const repositories = await Repository.find({ _id: { $in: ids } }).select('name slug').lean();
+    const byId = new Map(repositories.map(repository => [String(repository._id), repository]));
+    return facet
+      .filter(entry => byId.has(entry.value))
+      .map(entry => ({ ...entry, name: byId.get(entry.value).name, slug: byId.get(entry.value).slug }));
+  }
+
+  /**
+   * Bring a post up to date in the search index. Called from the Post
+   * save hook; failures are logged, never thrown.
+   *
+   * @param {Object} post - Post document
+   * @returns {Promise<void>}
+   */
+  async indexPost(post) {
+    const { backend } = this;
+    try {
+      if (isSearchablePost(post)) {
+        await backend.index(toSearchDocument('post', post));
+      } else if (backend.external) {
+        await backend.remove(documentKey('post', post._id));
+      }
+    } catch (error) {
+      logger.error(`Failed to index post ${post._id} for search:`, error);
+    }
+  }
+
+  /**
+   * Bring a comment up to date in the search index. Called from the
+   * Comment save hook; failures are logged, never thrown.
+   *
+   * @param {Object} comment - Comment document
+   * @returns {Promise<void>}
+   */
+  async indexComment(comment) {
+    const { backend } = this;
+    try {
+      const post = backend.external
+        ? await Post.findById(comment.post).select(THREAD_FIELDS).lean()
+        : null;
+
+      if (isSearchableComment(comment, post)) {
+        await backend.index(toSearchDocument('comment', comment, { post }));
+      } else if (backend.external) {
+        await backend.remove(documentKey('comment', comment._id));
+      }
+    } catch (error) {
+      logger.error(`Failed to index comment ${comment._id} for search:`, error);
+    }
+  }
+
+  /**
+   * Index every searchable post and comment again, e.g. after switching
+   * backends or restoring a database.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=500] - Documents sent per request
+   * @returns {Promise<number>} Documents indexed
+   */
+  async rebuild({ batchSize = 500 } = {}) {
+    const { backend } = this;
+    await backend.reset();
+    let count = 0;
+
+    let posts = [];
+    const flushPosts = async () => {
+      await backend.indexMany(posts.map(post => toSearchDocument('post', post)));
+      count += posts.length;
+      posts = [];
+    };
+    for await (const post of Post.find({ status: 'active', visibility: 'public' }).lean().cursor()) {
+      posts.push(post);
+      if (posts.length >= batchSize) await flushPosts();
+    }
+    await flushPosts();
+
+    let comments = [];
+    const flushComments = async () => {
+      const threads = await Post.find({ _id: { $in: comments.map(comment => comment.post) } }).select(THREAD_FIELDS).lean();
+      const byId = new Map(threads.map(thread => [String(thread._id), thread]));
+      const documents = comments
+        .filter(comment => byId.has(String(comment.post)) && isSearchableComment(comment, byId.get(String(comment.post))))
+        .map(comment => toSearchDocument('comment', comment, { post: byId.get(String(comment.post)) }));
+      await backend.indexMany(documents);
+      count += documents.length;
+      comments = [];
+    };
+    for await (const comment of Comment.find({ isDeleted: false }).lean().cursor()) {
+      comments.push(comment);
+      if (comments.length >= batchSize) await flushComments();
+    }
+    await flushComments();
+
+    logger.info(`Rebuilt ${backend.name} search index with ${count} documents`);
+    return count;
+  }
+
+  /**
+   * Search repositories by name, description and hashtags. Understands
+   * words, "phrases", -excluded words, #hashtags and author: (owner).
+   * Private repositories are only found by their owner.
+   *
+   * @param {string} q - Query
+   * @param {Object} [options]
+   * @param {string} [options.userId] - User searching
+   * @param {number} [options.minEmails] - Smallest list size
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit] - Results per page
+   * @returns {Promise<Object>} { query, results, total, page, limit, pages, warnings }
+   */
+  async searchRepositories(q, { userId, minEmails, page = 1, limit } = {}) {
+    const { pageSize, maxPageSize, snippetLength } = config.search;
+    const parsed = parseQuery(q);
+    const size = Math.min(Math.max(parseInt(limit, 10) || pageSize, 1), maxPageSize);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const anyField = (word) => {
+      const pattern = { $regex: escapeRegExp(word), $options: 'i' };
+      return [{ name: pattern }, { description: pattern }, { hashtags: pattern }];
+    };
+
+    const match = {
+      isActive: true,
+      deletedAt: null,
+      $or: [{ 'settings.isPublic': true }, ...(userId ? [{ owner: userId }] : [])]
+    };
+    const required = [...parsed.terms, ...parsed.phrases];
+    if (required.length > 0) match.$and = required.map(word => ({ $or: anyField(word) }));
+    if (parsed.excluded.length > 0) match.$nor = parsed.excluded.flatMap(anyField);
+    if (parsed.filters.hashtags.length > 0) match.hashtags = { $all: parsed.filters.hashtags };
+    if (minEmails) match['stats.totalEmails'] = { $gte: parseInt(minEmails, 10) || 0 };
+
+    const { authors, missing } = await this.resolveNames({ ...parsed.filters, repos: [] });
+    const warnings = [...parsed.warnings, ...missing];
+    if (authors) match.owner = { $in: authors };
+
+    const [repositories, total] = await Promise.all([
+      Repository.find(match)
+        .select('name slug description hashtags owner stats qualityScore createdAt')
+        .populate('owner', 'username karma')
+        .sort({ qualityScore: -1, createdAt: -1 })
+        .skip((pageNumber - 1) * size)
+        .limit(size)
+        .lean(),
+      Repository.countDocuments(match)
+    ]);
+
+    const words = [...required, ...parsed.filters.hashtags];
+    return {
+      query: q,
+      results: repositories.map(repository => ({
+        ...repository,
+        highlights: {
+          name: highlight(repository.name, words),
+          snippet: snippet(repository.description, words, { length: snippetLength })
+        }
+      })),
+      total,
+      page: pageNumber,
+      limit: size,
+      pages: Math.ceil(total / size),
+      warnings
+    };
+  }
+}
+
+module.exports = new SearchService();
+module.exports.SearchService = SearchService;
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Search Indexer Base
+ *
+ * The interface every search backend implements. The search service
+ * hands indexers resolved queries and search documents (documents.js) and
+ * turns their hits back into posts and comments, so a backend only deals
+ * in IDs, counts and facets.
+ *
+ * Query passed to search():
+ * - terms, phrases, excluded: words and phrases from the query parser
+ * - hashtags: all must match
+ * - authors, repositories: ObjectIds, any may match
+ * - sites: domains, a post linking to one of them or a subdomain matches
+ * - before, after: Dates; score: { op, value }
+ * - types: 'post' and/or 'comment'
+ * - sort: 'relevance', 'new' or 'top'
+ * - offset, limit: page of merged hits
+ * - facetLimit: most values per facet
+ *
+ * search() resolves to:
+ * - hits: [{ type, id, relevance }] best first
+ * - totals: { post, comment } matches per type
+ * - facets: { hashtags, repositories, domains } as [{ value, count }]
+ * - corrections: [{ from, to }] words replaced to tolerate typos
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+class SearchIndexer {
+  /**
+   * @param {string} name - Backend name, as used in config.search.backend
+   */
+  constructor(name) {
+    this.name = name;
+    // True if the backend keeps its own copy of the documents
+    this.external = false;
+  }
+
+  /**
+   * Add or replace a document.
+   *
+   * @param {Object} document - Search document
+   * @returns {Promise<void>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async index(document) {}
+
+  /**
+   * Add or replace many documents, e.g. when rebuilding.
+   *
+   * @param {Object[]} documents - Search documents
+   * @returns {Promise<void>}
+   */
+  async indexMany(documents) {
+    for (const document of documents) {
+      await this.index(document);
+    }
+  }
+
+  /**
+   * Remove a document; removing one that is not indexed is not an error.
+   *
+   * @param {string} key - Document key (see documents.documentKey)
+   * @returns {Promise<void>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async remove(key) {}
+
+  /**
+   * Drop every document before a rebuild.
+   *
+   * @returns {Promise<void>}
+   */
+  async reset() {}
+
+  /**
+   * @param {Object} query - Resolved query (see above)
+   * @returns {Promise<Object>} { hits, totals, facets, corrections }
+   */
+  // eslint-disable-next-line no-unused-vars
+  search(query) {
+    throw new Error(`${this.name} search backend does not implement search()`);
+  }
+}
+
+/**
+ * @param {Object} counts - Value to count map
+ * @param {number} limit - Most values kept
+ * @returns {Array<{ value: string, count: number }>} Most frequent first
+ */
+const topValues = (counts, limit) => Object.entries(counts || {})
+  .map(([value, count]) => ({ value, count }))
+  .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+  .slice(0, limit);
+
+module.exports = SearchIndexer;
+module.exports.topValues = topValues;
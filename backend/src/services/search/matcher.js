@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Search Matcher
+ *
+ * Decides whether a single post or comment matches a search, without
+ * asking a search backend. Saved-search alerts run it on each document as
+ * it is created, so they must not load every saved search to do so: each
+ * saved search stores lookup keys taken from one clause every match has
+ * to satisfy, and a document offers every key it could satisfy. Only the
+ * searches sharing a key with the document are checked in full.
+ *
+ * Matching follows the MongoDB backend: any of the words, every phrase
+ * and hashtag, none of the excluded words, and every filter. Words are
+ * compared by stem, phrases as written ignoring case. Comments are
+ * matched on their own text, not the title of their post.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { stemsOf } = require('./highlight');
+
+const SCORE_COMPARISONS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b
+};
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ');
+
+const tagOf = (tag) => String(tag).replace(/^#/, '').toLowerCase();
+
+/**
+ * @param {Object} document - Search document (see documents.js)
+ * @returns {string} Text its words and phrases are matched against
+ */
+const textOf = (document) => [
+  document.type === 'post' ? document.title : '',
+  document.body,
+  (document.hashtags || []).join(' ')
+].join(' ');
+
+/**
+ * Lookup keys of a search: those of the first clause it has, in order of
+ * how few documents they are likely to match.
+ *
+ * @param {Object} parsed - Result of parseQuery
+ * @param {Object} [resolved] - { authors, repositories } IDs of the
+ *   query's author: and repo: names
+ * @returns {string[]} Keys; empty if the query has no words, phrases,
+ *   hashtags, authors, repositories or sites
+ */
+const searchKeys = (parsed, { authors = [], repositories = [] } = {}) => {
+  const { filters } = parsed;
+  const candidates = [
+    filters.hashtags.map(tag => `tag:${tag}`),
+    [...stemsOf(parsed.phrases.slice(0, 1))].map(stem => `word:${stem}`),
+    authors.map(id => `author:${id}`),
+    repositories.map(id => `repo:${id}`),
+    filters.sites.map(site => `site:${site}`),
+    [...stemsOf(parsed.terms)].map(stem => `word:${stem}`)
+  ];
+  return candidates.find(keys => keys.length > 0) || [];
+};
+
+/**
+ * @param {Object} document - Search document (see documents.js)
+ * @returns {string[]} Every lookup key the document could satisfy
+ */
+const documentKeys = (document) => [
+  ...(document.hashtags || []).map(tag => `tag:${tagOf(tag)}`),
+  ...[...stemsOf([textOf(document)])].map(stem => `word:${stem}`),
+  `author:${document.author}`,
+  ...document.repositories.map(id => `repo:${id}`),
+  ...document.sites.map(site => `site:${site}`)
+];
+
+/**
+ * @param {Object} parsed - Result of parseQuery
+ * @param {Object} resolved - { authors, repositories } IDs of the query's
+ *   author: and repo: names; empty when the query has none
+ * @param {Object} document - Search document (see documents.js)
+ * @returns {boolean} True if the search would find the document
+ */
+const matchesDocument = (parsed, { authors = [], repositories = [] }, document) => {
+  const { filters } = parsed;
+
+  if (filters.type && filters.type !== document.type) return false;
+  if (authors.length > 0 && !authors.some(id => String(id) === document.author)) return false;
+  if (repositories.length > 0 && !repositories.some(id => document.repositories.includes(String(id)))) return false;
+  if (filters.sites.length > 0 && !filters.sites.some(site => document.sites.includes(site))) return false;
+  if (filters.before && document.createdAt >= filters.before.getTime()) return false;
+  if (filters.after && document.createdAt < filters.after.getTime()) return false;
+  if (filters.score && !SCORE_COMPARISONS[filters.score.op](document.score, filters.score.value)) return false;
+
+  const tags = new Set((document.hashtags || []).map(tagOf));
+  if (!filters.hashtags.every(tag => tags.has(tag))) return false;
+
+  const text = textOf(document);
+  const plain = normalize(text);
+  const stems = stemsOf([text]);
+  const hasWord = (word) => [...stemsOf([word])].some(stem => stems.has(stem));
+
+  if (parsed.terms.length > 0 && !parsed.terms.some(hasWord)) return false;
+  if (!parsed.phrases.every(phrase => plain.includes(normalize(phrase)))) return false;
+  return !parsed.excluded.some(word => (/\s/.test(word) ? plain.includes(normalize(word)) : hasWord(word)));
+};
+
+module.exports = { searchKeys, documentKeys, matchesDocument };
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview MeiliSearch Backend
+ *
+ * Keeps posts and comments in one MeiliSearch index through its HTTP API.
+ * MeiliSearch ranks by typos, proximity and attribute on its own, so
+ * queries pass through almost as typed; filters and facets map onto its
+ * filter expressions and facet distribution.
+ *
+ * The index and its settings are created on first use. Writes are queued
+ * as MeiliSearch tasks, so a saved post shows up in results shortly after.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const axios = require('axios');
+const SearchIndexer = require('./indexer');
+
+const SETTINGS = {
+  searchableAttributes: ['title', 'hashtags', 'body'],
+  filterableAttributes: ['type', 'hashtags', 'author', 'repositories', 'domain', 'sites', 'createdAt', 'score'],
+  sortableAttributes: ['createdAt', 'score']
+};
+
+const SORTS = {
+  relevance: undefined,
+  new: ['createdAt:desc'],
+  top: ['score:desc', 'createdAt:desc']
+};
+
+const list = (values) => `[${values.map(value => JSON.stringify(String(value))).join(', ')}]`;
+
+class MeiliSearchIndexer extends SearchIndexer {
+  /**
+   * @param {Object} settings - config.search
+   */
+  constructor(settings) {
+    super('meilisearch');
+    this.external = true;
+    this.settings = settings;
+    this.ready = null;
+  }
+
+  get uid() {
+    return `${this.settings.indexPrefix}content`;
+  }
+
+  async request(method, path, data) {
+    const response = await axios({
+      method,
+      url: `${this.settings.url.replace(/\/$/, '')}${path}`,
+      data,
+      headers: this.settings.apiKey ? { Authorization: `Bearer ${this.settings.apiKey}` } : {},
+      timeout: this.settings.requestTimeout
+    });
+    return response.data;
+  }
+
+  /**
+   * Create the index and apply its settings once per process. Both are
+   * idempotent on the MeiliSearch side.
+   */
+  ensureIndex() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.request('post', '/indexes', { uid: this.uid, primaryKey: 'id' });
+        await this.request('patch', `/indexes/${this.uid}/settings`, SETTINGS);
+      })().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async index(document) {
+    await this.indexMany([document]);
+  }
+
+  async indexMany(documents) {
+    if (documents.length === 0) return;
+    await this.ensureIndex();
+    await this.request('post', `/indexes/${this.uid}/documents`, documents);
+  }
+
+  async remove(key) {
+    await this.ensureIndex();
+    await this.request('delete', `/indexes/${this.uid}/documents/${encodeURIComponent(key)}`);
+  }
+
+  async reset() {
+    await this.request('delete', `/indexes/${this.uid}`).catch(error => {
+      if (error.response?.status !== 404) throw error;
+    });
+    this.ready = null;
+  }
+
+  /**
+   * @param {Object} query - Resolved query
+   * @returns {string[]} Filter expressions, all of which must hold
+   */
+  filters(query) {
+    const filter = [`type IN ${list(query.types)}`];
+    query.hashtags.forEach(hashtag => filter.push(`hashtags = ${JSON.stringify(hashtag)}`));
+    if (query.authors) filter.push(`author IN ${list(query.authors)}`);
+    if (query.repositories) filter.push(`repositories IN ${list(query.repositories)}`);
+    if (query.sites.length > 0) filter.push(`sites IN ${list(query.sites)}`);
+    if (query.after) filter.push(`createdAt >= ${query.after.getTime()}`);
+    if (query.before) filter.push(`createdAt < ${query.before.getTime()}`);
+    if (query.score) filter.push(`score ${query.score.op} ${query.score.value}`);
+    return filter;
+  }
+
+  async search(query) {
+    await this.ensureIndex();
+
+    const q = [
+      ...query.terms,
+      ...query.phrases.map(phrase => JSON.stringify(phrase)),
+      ...query.excluded.map(word => `-${/\s/.test(word) ? JSON.stringify(word) : word}`)
+    ].join(' ');
+
+    const result = await this.request('post', `/indexes/${this.uid}/search`, {
+      q,
+      filter: this.filters(query),
+      facets: ['type', 'hashtags', 'repositories', 'domain'],
+      sort: SORTS[query.sort],
+      offset: query.offset,
+      limit: query.limit,
+      attributesToRetrieve: ['type', 'objectId'],
+      showRankingScore: true
+    });
+
+    const distribution = result.facetDistribution || {};
+
+    return {
+      hits: (result.hits || []).map(({ type, objectId, _rankingScore: score }) => ({ type, id: objectId, relevance: score || 0 })),
+      totals: {
+        post: distribution.type?.post || 0,
+        comment: distribution.type?.comment || 0
+      },
+      facets: {
+        hashtags: SearchIndexer.topValues(distribution.hashtags, query.facetLimit),
+        repositories: SearchIndexer.topValues(distribution.repositories, query.facetLimit),
+        domains: SearchIndexer.topValues(distribution.domain, query.facetLimit)
+      },
+      corrections: []
+    };
+  }
+}
+
+module.exports = MeiliSearchIndexer;
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview MongoDB Search Backend
+ *
+ * Searches the posts and comments collections directly through their text
+ * indexes, so it needs no extra service and is always up to date. One
+ * aggregation per type returns the page of hits, the total and the facet
+ * counts together; comments are joined to their post for repository and
+ * domain filters and facets, and to leave out comments on hidden posts.
+ *
+ * MongoDB only matches whole stems, so when nothing matches, words that
+ * never occur in indexed content are corrected (vocabulary.js) and the
+ * search is run once more.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Post = require('../../models/Post.model');
+const Comment = require('../../models/Comment.model');
+const SearchIndexer = require('./indexer');
+const vocabulary = require('./vocabulary');
+const { escapeRegExp } = require('./queryParser');
+
+const SCORE_OPERATORS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte', '=': '$eq' };
+
+const SORTS = {
+  relevance: { relevance: -1, createdAt: -1 },
+  new: { createdAt: -1 },
+  top: { score: -1, createdAt: -1 }
+};
+
+const quote = (phrase) => `"${phrase.replace(/"/g, '')}"`;
+
+/**
+ * @param {Object} query - Resolved query
+ * @returns {string|null} $text search string, or null without words to match
+ */
+const textSearch = (query) => {
+  if (query.terms.length === 0 && query.phrases.length === 0) return null;
+  return [
+    ...query.terms,
+    ...query.phrases.map(quote),
+    ...query.excluded.map(word => `-${/\s/.test(word) ? quote(word) : word}`)
+  ].join(' ');
+};
+
+/**
+ * Conditions on the fields posts and comments share.
+ *
+ * @param {Object} query - Resolved query
+ * @param {string[]} textFields - Fields checked for excluded words when
+ *   there is no $text search to exclude them
+ * @returns {Object} $match conditions
+ */
+const sharedConditions = (query, textFields) => {
+  const match = {};
+  if (query.hashtags.length > 0) match.hashtags = { $all: query.hashtags };
+  if (query.authors) match.author = { $in: query.authors };
+  if (query.before || query.after) {
+    match.createdAt = {};
+    if (query.after) match.createdAt.$gte = query.after;
+    if (query.before) match.createdAt.$lt = query.before;
+  }
+  if (query.score) match.score = { [SCORE_OPERATORS[query.score.op]]: query.score.value };
+  if (!textSearch(query) && query.excluded.length > 0) {
+    match.$nor = query.excluded.flatMap(word => textFields.map(field => ({
+      [field]: { $regex: `\\b${escapeRegExp(word)}\\b`, $options: 'i' }
+    })));
+  }
+  return match;
+};
+
+/**
+ * Conditions on a post, at `prefix` in the pipeline document.
+ *
+ * @param {Object} query - Resolved query
+ * @param {string} prefix - '' for posts, 'thread.' for a comment's post
+ * @returns {Object} $match conditions
+ */
+const postConditions = (query, prefix) => {
+  const match = { [`${prefix}status`]: 'active', [`${prefix}visibility`]: 'public' };
+  if (query.repositories) match[`${prefix}repositories.repository`] = { $in: query.repositories };
+  if (query.sites.length > 0) {
+    match.$or = query.sites.map(site => ({ [`${prefix}domain`]: { $regex: `(^|\\.)${escapeRegExp(site)}$` } }));
+  }
+  return match;
+};
+
+/**
+ * @param {Object} query - Resolved query
+ * @param {string} prefix - Path of the post fields
+ * @returns {Object} $facet stage
+ */
+const facetStage = (query, prefix) => ({
+  $facet: {
+    hits: [
+      { $sort: SORTS[query.sort] },
+      { $limit: query.offset + query.limit },
+      { $project: { _id: 1, relevance: 1, createdAt: 1, score: 1 } }
+    ],
+    total: [{ $count: 'count' }],
+    hashtags: [
+      { $unwind: '$hashtags' },
+      { $group: { _id: '$hashtags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: query.facetLimit }
+    ],
+    repositories: [
+      { $unwind: `$${prefix}repositories` },
+      { $group: { _id: `$${prefix}repositories.repository`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: query.facetLimit }
+    ],
+    domains: [
+      { $match: { [`${prefix}domain`]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${prefix}domain`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: query.facetLimit }
+    ]
+  }
+});
+
+/**
+ * @param {string|null} text - $text search string
+ * @returns {Object} $addFields stage with the relevance of each match
+ */
+const relevanceStage = (text) => ({
+  $addFields: { relevance: text ? { $meta: 'textScore' } : 0 }
+});
+
+class MongoIndexer extends SearchIndexer {
+  constructor() {
+    super('mongo');
+  }
+
+  /**
+   * The text indexes keep themselves up to date; only the vocabulary
+   * used for typo tolerance needs the new words.
+   */
+  async index(document) {
+    await vocabulary.addDocument(document);
+  }
+
+  postPipeline(query) {
+    const text = textSearch(query);
+    return [
+      { $match: { ...(text ? { $text: { $search: text } } : {}), ...sharedConditions(query, ['title', 'text']), ...postConditions(query, '') } },
+      relevanceStage(text),
+      facetStage(query, '')
+    ];
+  }
+
+  commentPipeline(query) {
+    const text = textSearch(query);
+    return [
+      { $match: { ...(text ? { $text: { $search: text } } : {}), ...sharedConditions(query, ['content']), isDeleted: false } },
+      relevanceStage(text),
+      { $lookup: { from: Post.collection.name, localField: 'post', foreignField: '_id', as: 'thread' } },
+      { $unwind: '$thread' },
+      { $match: postConditions(query, 'thread.') },
+      facetStage(query, 'thread.')
+    ];
+  }
+
+  /**
+   * Run one search without typo correction.
+   *
+   * @param {Object} query - Resolved query
+   * @returns {Promise<Object>} { hits, totals, facets }
+   */
+  async run(query) {
+    const [posts, comments] = await Promise.all([
+      query.types.includes('post') ? Post.aggregate(this.postPipeline(query)) : null,
+      query.types.includes('comment') ? Comment.aggregate(this.commentPipeline(query)) : null
+    ]);
+
+    const results = { post: posts?.[0], comment: comments?.[0] };
+    const sort = SORTS[query.sort];
+    const compare = (a, b) => {
+      for (const [field, direction] of Object.entries(sort)) {
+        const difference = (a[field] > b[field]) - (a[field] < b[field]);
+        if (difference !== 0) return difference * direction;
+      }
+      return 0;
+    };
+
+    const hits = Object.entries(results)
+      .flatMap(([type, result]) => (result?.hits || []).map(hit => ({ ...hit, type })))
+      .sort(compare)
+      .slice(query.offset, query.offset + query.limit)
+      .map(hit => ({ type: hit.type, id: String(hit._id), relevance: hit.relevance || 0 }));
+
+    // Facet counts of both types added together
+    const facets = {};
+    ['hashtags', 'repositories', 'domains'].forEach(facet => {
+      const counts = new Map();
+      Object.values(results).forEach(result => (result?.[facet] || []).forEach(({ _id, count }) => {
+        counts.set(String(_id), (counts.get(String(_id)) || 0) + count);
+      }));
+      facets[facet] = SearchIndexer.topValues(Object.fromEntries(counts), query.facetLimit);
+    });
+
+    return {
+      hits,
+      totals: {
+        post: results.post?.total[0]?.count || 0,
+        comment: results.comment?.total[0]?.count || 0
+      },
+      facets
+    };
+  }
+
+  async search(query) {
+    const result = await this.run(query);
+    if (result.totals.post + result.totals.comment > 0 || query.terms.length === 0) {
+      return { ...result, corrections: [] };
+    }
+
+    const corrections = await vocabulary.correct(query.terms);
+    if (corrections.length === 0) return { ...result, corrections };
+
+    const replaced = new Map(corrections.map(({ from, to }) => [from, to]));
+    const retried = await this.run({ ...query, terms: query.terms.map(term => replaced.get(term) || term) });
+    return { ...retried, corrections };
+  }
+}
+
+module.exports = MongoIndexer;
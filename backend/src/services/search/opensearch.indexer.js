@@ -0,0 +1,205 @@
+/**
+ * @fileoverview OpenSearch Backend
+ *
+ * Keeps posts and comments in one OpenSearch (or Elasticsearch-compatible)
+ * index through its REST API. Words are matched with fuzziness so typos
+ * still find results; filters become a bool query and facets terms
+ * aggregations.
+ *
+ * The index and its mapping are created on first use.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const axios = require('axios');
+const SearchIndexer = require('./indexer');
+
+const MAPPINGS = {
+  properties: {
+    type: { type: 'keyword' },
+    objectId: { type: 'keyword' },
+    postId: { type: 'keyword' },
+    title: { type: 'text', analyzer: 'english' },
+    body: { type: 'text', analyzer: 'english' },
+    hashtags: { type: 'keyword' },
+    author: { type: 'keyword' },
+    repositories: { type: 'keyword' },
+    domain: { type: 'keyword' },
+    sites: { type: 'keyword' },
+    score: { type: 'integer' },
+    createdAt: { type: 'date', format: 'epoch_millis' }
+  }
+};
+
+const TEXT_FIELDS = ['title^3', 'hashtags^2', 'body'];
+
+const SORTS = {
+  relevance: ['_score', { createdAt: 'desc' }],
+  new: [{ createdAt: 'desc' }],
+  top: [{ score: 'desc' }, { createdAt: 'desc' }]
+};
+
+const SCORE_RANGES = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+class OpenSearchIndexer extends SearchIndexer {
+  /**
+   * @param {Object} settings - config.search
+   */
+  constructor(settings) {
+    super('opensearch');
+    this.external = true;
+    this.settings = settings;
+    this.ready = null;
+  }
+
+  get indexName() {
+    return `${this.settings.indexPrefix}content`;
+  }
+
+  async request(method, path, data, headers = {}) {
+    const { username, password } = this.settings;
+    const response = await axios({
+      method,
+      url: `${this.settings.url.replace(/\/$/, '')}${path}`,
+      data,
+      headers: {
+        ...(this.settings.apiKey ? { Authorization: `ApiKey ${this.settings.apiKey}` } : {}),
+        ...headers
+      },
+      auth: username ? { username, password } : undefined,
+      timeout: this.settings.requestTimeout
+    });
+    return response.data;
+  }
+
+  /**
+   * Create the index once per process; an existing index is kept.
+   */
+  ensureIndex() {
+    if (!this.ready) {
+      this.ready = this.request('put', `/${this.indexName}`, { mappings: MAPPINGS }).catch(error => {
+        if (error.response?.data?.error?.type === 'resource_already_exists_exception') return;
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async index(document) {
+    await this.ensureIndex();
+    await this.request('put', `/${this.indexName}/_doc/${encodeURIComponent(document.id)}`, document);
+  }
+
+  async indexMany(documents) {
+    if (documents.length === 0) return;
+    await this.ensureIndex();
+
+    const body = documents
+      .map(document => `${JSON.stringify({ index: { _index: this.indexName, _id: document.id } })}\n${JSON.stringify(document)}\n`)
+      .join('');
+    const result = await this.request('post', '/_bulk', body, { 'Content-Type': 'application/x-ndjson' });
+    if (result.errors) {
+      const failed = result.items.find(item => item.index?.error);
+      throw new Error(`OpenSearch bulk indexing failed: ${failed?.index.error.reason || 'unknown error'}`);
+    }
+  }
+
+  async remove(key) {
+    await this.ensureIndex();
+    await this.request('delete', `/${this.indexName}/_doc/${encodeURIComponent(key)}`).catch(error => {
+      if (error.response?.status !== 404) throw error;
+    });
+  }
+
+  async reset() {
+    await this.request('delete', `/${this.indexName}`).catch(error => {
+      if (error.response?.status !== 404) throw error;
+    });
+    this.ready = null;
+  }
+
+  /**
+   * @param {Object} query - Resolved query
+   * @returns {Object} bool query
+   */
+  buildQuery(query) {
+    const must = [];
+    if (query.terms.length > 0) {
+      must.push({ multi_match: { query: query.terms.join(' '), fields: TEXT_FIELDS, fuzziness: 'AUTO' } });
+    }
+    query.phrases.forEach(phrase => must.push({ multi_match: { query: phrase, fields: TEXT_FIELDS, type: 'phrase' } }));
+
+    const filter = [{ terms: { type: query.types } }];
+    query.hashtags.forEach(hashtag => filter.push({ term: { hashtags: hashtag } }));
+    if (query.authors) filter.push({ terms: { author: query.authors.map(String) } });
+    if (query.repositories) filter.push({ terms: { repositories: query.repositories.map(String) } });
+    if (query.sites.length > 0) filter.push({ terms: { sites: query.sites } });
+    if (query.before || query.after) {
+      filter.push({
+        range: {
+          createdAt: {
+            ...(query.after ? { gte: query.after.getTime() } : {}),
+            ...(query.before ? { lt: query.before.getTime() } : {})
+          }
+        }
+      });
+    }
+    if (query.score) {
+      filter.push(query.score.op === '='
+        ? { term: { score: query.score.value } }
+        : { range: { score: { [SCORE_RANGES[query.score.op]]: query.score.value } } });
+    }
+
+    return {
+      bool: {
+        must: must.length > 0 ? must : [{ match_all: {} }],
+        must_not: query.excluded.map(word => ({ multi_match: { query: word, fields: TEXT_FIELDS, type: 'phrase' } })),
+        filter
+      }
+    };
+  }
+
+  async search(query) {
+    await this.ensureIndex();
+
+    const terms = (field) => ({ terms: { field, size: query.facetLimit } });
+    const result = await this.request('post', `/${this.indexName}/_search`, {
+      from: query.offset,
+      size: query.limit,
+      _source: ['type', 'objectId'],
+      query: this.buildQuery(query),
+      sort: SORTS[query.sort],
+      aggs: {
+        type: { terms: { field: 'type' } },
+        hashtags: terms('hashtags'),
+        repositories: terms('repositories'),
+        domains: terms('domain')
+      }
+    });
+
+    const buckets = (name) => (result.aggregations?.[name]?.buckets || [])
+      .map(bucket => ({ value: String(bucket.key), count: bucket.doc_count }));
+    const totals = Object.fromEntries(buckets('type').map(({ value, count }) => [value, count]));
+
+    return {
+      hits: (result.hits?.hits || []).map(({ _source: { type, objectId }, _score: score }) => ({
+        type,
+        id: objectId,
+        relevance: score || 0
+      })),
+      totals: { post: totals.post || 0, comment: totals.comment || 0 },
+      facets: {
+        hashtags: buckets('hashtags'),
+        repositories: buckets('repositories'),
+        domains: buckets('domains')
+      },
+      corrections: []
+    };
+  }
+}
+
+module.exports = OpenSearchIndexer;
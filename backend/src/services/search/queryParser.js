@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Search Query Parser
+ *
+ * Turns what a user types into the search box into free text and
+ * filters that every search backend understands.
+ *
+ * Grammar (operators are case-insensitive, values are not):
+ * - words:           matched against titles, text and hashtags
+ * - "a phrase":      must appear as written
+ * - -word:           must not appear
+ * - #hashtag:        tagged with the hashtag; several must all match
+ * - author:name      posted by the user with that username
+ * - repo:slug        posted to the repository (slug or ID)
+ * - site:domain      links to the domain or one of its subdomains
+ * - before:date      created before the date (YYYY-MM-DD, or 7d/2w/3m/1y ago)
+ * - after:date       created on or after the date
+ * - score:>10        score compared with >, >=, <, <= or =
+ * - type:post        only posts, or type:comment for only comments
+ *
+ * An operator with a value it cannot use is reported in `warnings` and
+ * otherwise ignored; unknown `name:value` pairs are searched as text.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const OPERATORS = ['author', 'repo', 'site', 'before', 'after', 'score', 'type'];
+
+// Days per unit of a relative date such as 2w
+const RELATIVE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+const SCORE_COMPARISON = /^(>=|<=|>|<|=)?(-?\d+)$/;
+
+// Tokens: optional '-', then a quoted phrase or operator:"quoted value" or a bare word
+const TOKEN = /(-?)(?:"([^"]*)"|(\w+):"([^"]*)"|(\S+))/g;
+
+/**
+ * @param {string} value - Date operator value
+ * @param {Date} now - Reference time for relative dates
+ * @returns {Date|null} The date, or null if value is not one
+ */
+const parseDate = (value, now) => {
+  const relative = /^(\d+)([dwmy])$/i.exec(value);
+  if (relative) {
+    return new Date(now.getTime() - relative[1] * RELATIVE_UNITS[relative[2].toLowerCase()] * 24 * 60 * 60 * 1000);
+  }
+  if (!/^\d{4}-\d{2}(-\d{2})?$/.test(value)) return null;
+
+  const date = new Date(value.length === 7 ? `${value}-01` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @param {string} value - Domain given to site:
+ * @returns {string|null} Lowercase host without scheme, path or www.
+ */
+const parseSite = (value) => {
+  const host = value.toLowerCase().replace(/^https?:\/\//, '').split('/')[0].replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+};
+
+/**
+ * Parse a search query.
+ *
+ * @param {string} query - Raw query
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for relative dates
+ * @returns {Object} { text, terms, phrases, excluded, filters, warnings }
+ *   where filters has authors, repos, sites, hashtags, before, after,
+ *   score ({ op, value }) and type
+ */
+const parseQuery = (query, { now = new Date() } = {}) => {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    excluded: [],
+    filters: { authors: [], repos: [], sites: [], hashtags: [], before: null, after: null, score: null, type: null },
+    warnings: []
+  };
+  const { filters } = parsed;
+  const input = String(query || '').slice(0, 500);
+
+  let match;
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(input)) !== null) {
+    const [, negated, phrase, quotedOperator, quotedValue, bare] = match;
+
+    if (phrase !== undefined) {
+      if (phrase.trim()) (negated ? parsed.excluded : parsed.phrases).push(phrase.trim());
+      continue;
+    }
+
+    let operator = quotedOperator ? quotedOperator.toLowerCase() : null;
+    let value = quotedValue;
+    if (!operator) {
+      const separator = bare.indexOf(':');
+      const name = separator > 0 ? bare.slice(0, separator).toLowerCase() : null;
+      if (name && OPERATORS.includes(name) && separator < bare.length - 1) {
+        operator = name;
+        value = bare.slice(separator + 1);
+      }
+    }
+
+    if (!operator) {
+      if (bare.startsWith('#') && bare.length > 1 && !negated) {
+        filters.hashtags.push(bare.slice(1).toLowerCase());
+      } else if (negated && bare.length > 0) {
+        parsed.excluded.push(bare.toLowerCase());
+      } else if (bare !== '-') {
+        parsed.terms.push(bare.toLowerCase());
+      }
+      continue;
+    }
+
+    switch (operator) {
+      case 'author':
+        filters.authors.push(value.replace(/^@/, ''));
+        break;
+      case 'repo':
+        filters.repos.push(value);
+        break;
+      case 'site': {
+        const site = parseSite(value);
+        if (site) filters.sites.push(site);
+        else parsed.warnings.push(`Ignored site:${value}, not a domain`);
+        break;
+      }
+      case 'before':
+      case 'after': {
+        const date = parseDate(value, now);
+        if (date) filters[operator] = date;
+        else parsed.warnings.push(`Ignored ${operator}:${value}, use YYYY-MM-DD or 7d, 2w, 3m, 1y`);
+        break;
+      }
+      case 'score': {
+        const comparison = SCORE_COMPARISON.exec(value);
+        if (comparison) filters.score = { op: comparison[1] || '=', value: parseInt(comparison[2], 10) };
+        else parsed.warnings.push(`Ignored score:${value}, use e.g. score:>10`);
+        break;
+      }
+      case 'type': {
+        const type = value.toLowerCase().replace(/s$/, '');
+        if (['post', 'comment'].includes(type)) filters.type = type;
+        else parsed.warnings.push(`Ignored type:${value}, use type:post or type:comment`);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  filters.hashtags = [...new Set(filters.hashtags)];
+  parsed.text = parsed.terms.join(' ');
+  return parsed;
+};
+
+/**
+ * @param {string} text - Text to match literally
+ * @returns {string} Text with regular expression characters escaped
+ */
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @param {Object} parsed - Result of parseQuery
+ * @returns {boolean} True if the query has words or phrases to match
+ */
+const hasText = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+module.exports = { parseQuery, hasText, escapeRegExp, OPERATORS };
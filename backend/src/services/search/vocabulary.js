@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Search Vocabulary
+ *
+ * Typo tolerance for the MongoDB backend, whose text index only matches
+ * whole stems. Words from indexed posts and comments are kept in Redis
+ * sets, one per word length; a query word that never occurs is replaced
+ * by the closest known word within a small edit distance. MeiliSearch and
+ * OpenSearch correct typos themselves and do not use this.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const natural = require('natural');
+const redis = require('../../utils/redis');
+
+const KEY_PREFIX = 'search:vocab:';
+
+// Shorter words are left alone: one edit turns them into other real words
+const MIN_LENGTH = 4;
+const MAX_LENGTH = 24;
+
+// Most words taken from one document's body
+const MAX_BODY_WORDS = 200;
+
+const STOPWORDS = new Set(natural.stopwords);
+
+/**
+ * @param {number} length - Word length
+ * @returns {number} Edits allowed when correcting a word of that length
+ */
+const allowedDistance = (length) => (length <= 5 ? 1 : 2);
+
+/**
+ * @param {string} text - Text to take words from
+ * @returns {string[]} Distinct lowercase words worth correcting to
+ */
+const wordsOf = (text) => [...new Set(
+  (String(text || '').toLowerCase().match(/[a-z]+/g) || [])
+    .filter(word => word.length >= MIN_LENGTH && word.length <= MAX_LENGTH && !STOPWORDS.has(word))
+)];
+
+/**
+ * Add the words of a search document to the vocabulary.
+ *
+ * @param {Object} document - Search document (see documents.js)
+ * @returns {Promise<void>}
+ */
+const addDocument = async (document) => {
+  const words = new Set([
+    ...wordsOf(document.title),
+    ...wordsOf((document.hashtags || []).join(' ')),
+    ...wordsOf(document.body).slice(0, MAX_BODY_WORDS)
+  ]);
+
+  const byLength = new Map();
+  words.forEach(word => {
+    byLength.set(word.length, [...(byLength.get(word.length) || []), word]);
+  });
+
+  await Promise.all([...byLength].map(([length, group]) => redis.sadd(`${KEY_PREFIX}${length}`, group)));
+};
+
+/**
+ * Find known words for query words that never occur.
+ *
+ * @param {string[]} terms - Lowercase query words
+ * @returns {Promise<Array<{ from: string, to: string }>>} Corrections made
+ */
+const correct = async (terms) => {
+  const corrections = [];
+
+  for (const term of terms) {
+    if (!/^[a-z]+$/.test(term) || term.length < MIN_LENGTH || term.length > MAX_LENGTH) continue;
+    if (await redis.sismember(`${KEY_PREFIX}${term.length}`, term)) continue;
+
+    const distance = allowedDistance(term.length);
+    const lengths = [];
+    for (let length = term.length - distance; length <= term.length + distance; length++) {
+      if (length >= MIN_LENGTH) lengths.push(length);
+    }
+    const candidates = (await Promise.all(lengths.map(length => redis.smembers(`${KEY_PREFIX}${length}`)))).flat();
+
+    let best = null;
+    candidates.forEach(candidate => {
+      const edits = natural.LevenshteinDistance(term, candidate);
+      if (edits > distance) return;
+      if (!best || edits < best.edits || (edits === best.edits && candidate < best.word)) {
+        best = { word: candidate, edits };
+      }
+    });
+
+    if (best) corrections.push({ from: term, to: best.word });
+  }
+
+  return corrections;
+};
+
+module.exports = { addDocument, correct, wordsOf };
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Segment Service
+ *
+ * Saved segments of a repository's email list. A segment's filter is
+ * compiled to a MongoDB query (utils/segmentFilter) and run against the
+ * repository's RepositoryMember documents, so counts and member lists
+ * come from the database rather than from loading the whole list.
+ *
+ * Segments are targets for:
+ * - Bulk sends (EmailController.sendBulkEmail), deliverable members only
+ * - CSV exports (downloadCSV ?segment=)
+ * - Repository digests (settings.digestSegment)
+ *
+ * Dependencies:
+ * - ../models/Segment.model: Saved segments
+ * - ../models/RepositoryMember.model: Members the filters run against
+ * - ../utils/segmentFilter: Filter validation and compilation
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Segment = require('../models/Segment.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const logger = require('../utils/logger');
+const { validateSegmentFilter, compileSegmentFilter } = require('../utils/segmentFilter');
+
+// Members returned by a preview
+const SAMPLE_SIZE = 10;
+
+class SegmentService {
+ /**
+  * @param {Object} repository - Repository document
+  * @param {Object} filter - Segment filter
+  * @returns {string[]} Problems; empty if the filter is usable here
+  */
+ validate(repository, filter) {
+   return validateSegmentFilter(filter, { customFields: repository.customFields || [] });
+ }
+
+ /**
+  * RepositoryMember query for the repository's members matching a filter.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} filter - Segment filter
+  * @param {Object} [options]
+  * @param {boolean} [options.deliverable] - Only members that may be sent mail
+  * @returns {Object} MongoDB query
+  */
+ buildQuery(repository, filter, { deliverable = false } = {}) {
+   const query = compileSegmentFilter(filter, { customFields: repository.customFields || [] });
+   const scope = deliverable
+     ? RepositoryMember.deliverableQuery(repository._id)
+     : { repository: repository._id };
+
+   return { $and: [scope, query] };
+ }
+
+ /**
+  * @param {Object} repository - Repository document
+  * @param {Object} filter - Segment filter
+  * @returns {Promise<number>} Number of members matching the filter
+  */
+ count(repository, filter) {
+   return RepositoryMember.countDocuments(this.buildQuery(repository, filter));
+ }
+
+ /**
+  * Members of a segment or filter.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} filter - Segment filter
+  * @param {Object} [options]
+  * @param {boolean} [options.deliverable] - Only members that may be sent mail
+  * @param {number} [options.limit] - At most this many
+  * @returns {Promise<Array<Object>>} RepositoryMember documents
+  */
+ getMembers(repository, filter, { deliverable = false, limit } = {}) {
+   const query = RepositoryMember.find(this.buildQuery(repository, filter, { deliverable }));
+   if (limit) query.limit(limit);
+
+   return query;
+ }
+
+ /**
+  * Count a filter and return the first few members.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} filter - Segment filter
+  * @returns {Promise<Object>} { count, sample }
+  */
+ async preview(repository, filter) {
+   const query = this.buildQuery(repository, filter);
+   const [count, sample] = await Promise.all([
+     RepositoryMember.countDocuments(query),
+     RepositoryMember.find(query).sort({ addedAt: -1 }).limit(SAMPLE_SIZE)
+   ]);
+
+   return { count, sample };
+ }
+
+ /**
+  * Segments of a repository with live member counts, refreshing the
+  * stored counts as it goes.
+  *
+  * @param {Object} repository - Repository document
+  * @returns {Promise<Array<Object>>} Segment documents with lastCount set
+  */
+ async listSegments(repository) {
+   const segments = await Segment.find({ repository: repository._id }).sort({ name: 1 });
+
+   for (const segment of segments) {
+     await this.refreshCount(repository, segment);
+   }
+
+   return segments;
+ }
+
+ getSegment(repository, segmentId) {
+   return Segment.findOne({ _id: segmentId, repository: repository._id });
+ }
+
+ /**
+  * Recount a segment and store the result. A filter that no longer fits
+  * the repository (e.g. a custom field was removed) counts as empty.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} segment - Segment document
+  * @returns {Promise<number>} Member count
+  */
+ async refreshCount(repository, segment) {
+   let count = 0;
+   try {
+     count = await this.count(repository, segment.filter);
+   } catch (error) {
+     if (!error.problems) throw error;
+     logger.warn('Segment filter no longer valid', { segmentId: segment._id, problems: error.problems });
+   }
+
+   segment.lastCount = count;
+   segment.lastCountedAt = new Date();
+   await segment.save();
+   return count;
+ }
+
+ /**
+  * @param {Object} repository - Repository document
+  * @param {Object} data - { name, description, filter }
+  * @param {ObjectId} userId - Creating user
+  * @returns {Promise<Object>} The Segment, counted
+  */
+ async createSegment(repository, { name, description, filter }, userId) {
+   const segment = new Segment({
+     repository: repository._id,
+     name,
+     description,
+     filter,
+     createdBy: userId
+   });
+
+   await this.refreshCount(repository, segment);
+   return segment;
+ }
+
+ /**
+  * @param {Object} repository - Repository document
+  * @param {Object} segment - Segment document
+  * @param {Object} changes - Any of { name, description, filter }
+  * @returns {Promise<Object>} The Segment, recounted
+  */
+ async updateSegment(repository, segment, changes) {
+   ['name', 'description', 'filter'].forEach(key => {
+     if (changes[key] !== undefined) segment[key] = changes[key];
+   });
+   // Mixed paths are not change-tracked
+   if (changes.filter !== undefined) segment.markModified('filter');
+
+   await this.refreshCount(repository, segment);
+   return segment;
+ }
+
+ /**
+  * Delete a segment, unsetting it as the repository's digest segment.
+  *
+  * @param {Object} repository - Repository document
+  * @param {string} segmentId - Segment to delete
+  * @returns {Promise<boolean>} False if the repository has no such segment
+  */
+ async deleteSegment(repository, segmentId) {
+   const { deletedCount } = await Segment.deleteOne({ _id: segmentId, repository: repository._id });
+   if (deletedCount === 0) return false;
+
+   if (repository.settings.digestSegment && String(repository.settings.digestSegment) === String(segmentId)) {
+     repository.settings.digestSegment = undefined;
+     await repository.save();
+   }
+   return true;
+ }
+
+ toSegment(segment) {
+   return {
+     id: segment._id,
+     name: segment.name,
+     description: segment.description || '',
+     filter: segment.filter,
+     memberCount: segment.lastCount,
+     countedAt: segment.lastCountedAt || null,
+     createdAt: segment.createdAt
+   };
+ }
+}
+
+module.exports = new SegmentService();
@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Share Link Service
+ *
+ * Scoped, expiring and revocable links to a repository for people without
+ * access to it:
+ * - stats: read-only repository stats
+ * - members: the member list with anonymized addresses
+ * - join: a form to ask to join the list
+ *
+ * A link is opened with its token, and its password if it has one. Every
+ * open is written to the link's access log, refused ones included; opens
+ * that get through count against the link's use limit. Join requests
+ * never add anyone directly: the address is added pending and asked to
+ * confirm through the consent service's double opt-in, like any other.
+ *
+ * Dependencies:
+ * - ../models/ShareLink.model: Links, their limits and access logs
+ * - ../models/RepositoryMember.model: Members listed and joining
+ * - ./consent.service: Double opt-in for join requests
+ * - ../utils/helpers: anonymizeEmail
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { randomBytes } = require('crypto');
+const bcrypt = require('bcryptjs');
+const ShareLink = require('../models/ShareLink.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
+const consentService = require('./consent.service');
+const deliverabilityService = require('./deliverability.service');
+const { anonymizeEmail } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Repository permission needed to create or revoke a link of each scope
+const SCOPE_PERMISSIONS = {
+ stats: 'members.view',
+ members: 'members.export',
+ join: 'members.add'
+};
+
+// Members listed per page of a members link
+const MEMBERS_PAGE_SIZE = 50;
+
+// bcrypt cost for link passwords
+const PASSWORD_ROUNDS = 10;
+
+/**
+ * @param {Object} link - ShareLink document
+ * @returns {Object} Link as shown to the repository's team; never the
+ *   token or password
+ */
+const toShareLink = (link) => ({
+ id: link._id,
+ scope: link.scope,
+ label: link.label || null,
+ tokenPrefix: link.tokenPrefix,
+ passwordProtected: !!link.passwordHash,
+ expiresAt: link.expiresAt,
+ maxUses: link.maxUses,
+ uses: link.uses,
+ lastUsedAt: link.lastUsedAt || null,
+ status: link.status(),
+ createdBy: link.createdBy,
+ createdAt: link.createdAt,
+ revokedAt: link.revokedAt || null
+});
+
+class ShareLinkService {
+ /**
+  * Check the options of a new link.
+  *
+  * @param {Object} options - See createLink
+  * @returns {string[]} Problems found; empty if the options are valid
+  */
+ validate({ scope, expiresAt, maxUses, password } = {}) {
+   const problems = [];
+
+   if (!SCOPE_PERMISSIONS[scope]) {
+     problems.push(`scope must be one of ${Object.keys(SCOPE_PERMISSIONS).join(', ')}`);
+   }
+   if (expiresAt) {
+     const latest = Date.now() + config.shareLinks.maxTtlDays * 24 * 60 * 60 * 1000;
+     if (expiresAt <= new Date()) problems.push('expiresAt must be in the future');
+     if (expiresAt > latest) problems.push(`Links expire within ${config.shareLinks.maxTtlDays} days`);
+   }
+   if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+     problems.push('maxUses must be a whole number of at least 1');
+   }
+   if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < 6)) {
+     problems.push('Passwords are at least 6 characters');
+   }
+
+   return problems;
+ }
+
+ /**
+  * Create a link. The token is returned here only.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object} user - Creating user
+  * @param {Object} options
+  * @param {string} options.scope - 'stats', 'members' or 'join'
+  * @param {string} [options.label] - Note for the team
+  * @param {Date} [options.expiresAt] - Defaults to shareLinks.defaultTtlHours from now
+  * @param {number} [options.maxUses] - Opens allowed
+  * @param {string} [options.password] - Password to ask for
+  * @returns {Promise<Object>} { link, token, url }
+  */
+ async createLink(repository, user, { scope, label, expiresAt, maxUses, password }) {
+   const token = randomBytes(32).toString('hex');
+
+   const link = await ShareLink.create({
+     repository: repository._id,
+     createdBy: user._id,
+     scope,
+     label,
+     tokenHash: ShareLink.hashToken(token),
+     tokenPrefix: token.slice(0, 8),
+     passwordHash: password ? await bcrypt.hash(password, PASSWORD_ROUNDS) : undefined,
+     expiresAt: expiresAt || new Date(Date.now() + config.shareLinks.defaultTtlHours * 60 * 60 * 1000),
+     maxUses: maxUses || null
+   });
+
+   logger.info('Share link created', { repositoryId: repository._id, linkId: link._id, scope });
+   return { link: toShareLink(link), token, url: this.buildUrl(token) };
+ }
+
+ /**
+  * @param {Object} repository - Repository document
+  * @returns {Promise<Array<Object>>} The repository's links, latest first
+  */
+ async listLinks(repository) {
+   const links = await ShareLink.find({ repository: repository._id })
+     .select('+passwordHash -accessLog')
+     .sort({ createdAt: -1 });
+   return links.map(toShareLink);
+ }
+
+ getLink(repository, linkId) {
+   return ShareLink.findOne({ _id: linkId, repository: repository._id }).select('+passwordHash');
+ }
+
+ /**
+  * Revoke a link; it cannot be opened again. Revoking twice keeps the
+  * first revocation.
+  *
+  * @param {Object} link - ShareLink document
+  * @param {Object} user - Revoking user
+  * @returns {Promise<Object>} The revoked link
+  */
+ async revokeLink(link, user) {
+   if (!link.revokedAt) {
+     link.revokedAt = new Date();
+     link.revokedBy = user._id;
+     await link.save();
+     logger.info('Share link revoked', { repositoryId: link.repository, linkId: link._id });
+   }
+   return toShareLink(link);
+ }
+
+ /**
+  * Find the link for a token, without opening it.
+  *
+  * @param {string} token - Token from the link
+  * @returns {Promise<Object|null>} ShareLink with its repository, or null if
+  *   the token is unknown or the repository deleted
+  */
+ async findByToken(token) {
+   const link = await ShareLink.findOne({ tokenHash: ShareLink.hashToken(token) })
+     .select('+passwordHash -accessLog')
+     .populate('repository');
+   if (!link || !link.repository || link.repository.deletedAt) return null;
+   return link;
+ }
+
+ /**
+  * Open a link: check it is usable and the password, count the use and
+  * log the attempt either way.
+  *
+  * @param {Object} link - ShareLink from findByToken
+  * @param {Object} [client]
+  * @param {string} [client.password] - Password given
+  * @param {string} [client.ip] - Client IP
+  * @param {string} [client.userAgent] - Client user agent
+  * @returns {Promise<string>} 'granted', 'password_required',
+  *   'wrong_password', 'expired', 'used_up' or 'revoked'
+  */
+ async open(link, { password, ip, userAgent } = {}) {
+   let outcome = link.status();
+   if (outcome === 'active' && link.passwordHash) {
+     if (!password) {
+       outcome = 'password_required';
+     } else if (!await bcrypt.compare(String(password), link.passwordHash)) {
+       outcome = 'wrong_password';
+     }
+   }
+
+   if (outcome === 'active') {
+     // Count the use only while the link is still under its limit, so
+     // concurrent opens cannot go past it
+     const now = new Date();
+     const counted = await ShareLink.findOneAndUpdate(
+       {
+         _id: link._id,
+         revokedAt: null,
+         expiresAt: { $gt: now },
+         $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+       },
+       { $inc: { uses: 1 }, $set: { lastUsedAt: now } },
+       { new: true }
+     );
+     outcome = counted ? 'granted' : 'used_up';
+     if (counted) link.uses = counted.uses;
+   }
+
+   await this.logAccess(link, outcome, { ip, userAgent });
+   return outcome;
+ }
+
+ /**
+  * Append an open to a link's access log, keeping the latest
+  * shareLinks.accessLogSize entries.
+  *
+  * @param {Object} link - ShareLink document
+  * @param {string} outcome - Result of the open
+  * @param {Object} client - { ip, userAgent }
+  */
+ async logAccess(link, outcome, { ip, userAgent }) {
+   await ShareLink.updateOne({ _id: link._id }, {
+     $push: {
+       accessLog: {
+         $each: [{ at: new Date(), outcome, ip, userAgent }],
+         $slice: -config.shareLinks.accessLogSize
+       }
+     }
+   });
+ }
+
+ /**
+  * @param {Object} link - ShareLink document
+  * @returns {Array<Object>} Access log, latest first
+  */
+ getAccessLog(link) {
+   return [...(link.accessLog || [])].reverse();
+ }
+
+ /**
+  * Read-only stats of a stats link's repository.
+  *
+  * @param {Object} repository - Repository document
+  * @returns {Object} Name, description, hashtags, member counts and digest
+  *   engagement
+  */
+ getStats(repository) {
+   const stats = repository.stats || {};
+   return {
+     name: repository.name,
+     description: repository.description,
+     hashtags: repository.hashtags || [],
+     stats: {
+       totalEmails: stats.totalEmails || 0,
+       verifiedEmails: stats.verifiedEmails || 0,
+       snowballEmails: stats.snowballEmails || 0,
+       digestsSent: stats.digestsSent || 0,
+       avgOpenRate: stats.avgOpenRate || 0
+     },
+     createdAt: repository.createdAt
+   };
+ }
+
+ /**
+  * A page of a members link's list: confirmed, subscribed members with
+  * their addresses anonymized.
+  *
+  * @param {Object} repository - Repository document
+  * @param {number} [page=1]
+  * @returns {Promise<Object>} { members, pagination }
+  */
+ async listMembers(repository, page = 1) {
+   const query = { repository: repository._id, verified: true, optedOut: { $ne: true } };
+   const [members, total] = await Promise.all([
+     RepositoryMember.find(query)
+       .select('email addedAt')
+       .sort({ addedAt: -1, _id: -1 })
+       .skip((page - 1) * MEMBERS_PAGE_SIZE)
+       .limit(MEMBERS_PAGE_SIZE)
+       .lean(),
+     RepositoryMember.countDocuments(query)
+   ]);
+
+   return {
+     members: members.map(member => ({ email: anonymizeEmail(member.email), addedAt: member.addedAt })),
+     pagination: {
+       page,
+       limit: MEMBERS_PAGE_SIZE,
+       total,
+       pages: Math.ceil(total / MEMBERS_PAGE_SIZE)
+     }
+   };
+ }
+
+ /**
+  * Handle a join link's form: add the address as a pending member and
+  * send it a consent request. Addresses already on the list are left as
+  * they are, so the answer does not tell whether an address is a member;
+  * suppressed addresses are skipped the same way.
+  *
+  * @param {Object} link - ShareLink document, repository populated
+  * @param {Object} data - { email, name }
+  * @param {Object} client - { ip, userAgent }
+  * @returns {Promise<boolean>} True if a consent request was sent
+  */
+ async requestJoin(link, { email, name }, { ip, userAgent }) {
+   const { repository } = link;
+   const address = String(email).toLowerCase().trim();
+
+   // Bounced or complained anywhere: never mail it a consent request
+   if (await deliverabilityService.isSuppressed(address)) return false;
+
+   const added = await RepositoryMember.addMembers(repository._id, [{
+     email: address,
+     name,
+     source: 'share_link'
+   }], { channel: 'api', operation: 'share_link' });
+   if (added.length === 0) return false;
+
+   await RepositoryMember.refreshStats(repository._id);
+   const sent = await consentService.requestConsent(repository, [address], {
+     source: 'share_link',
+     ip,
+     userAgent
+   });
+
+   logger.info('Join requested through share link', { repositoryId: repository._id, linkId: link._id });
+   return sent > 0;
+ }
+
+ /**
+  * @param {string} token - Link token
+  * @returns {string} Page the link opens
+  */
+ buildUrl(token) {
+   return `${process.env.FRONTEND_URL}/share/${token}`;
+ }
+}
+
+module.exports = new ShareLinkService();
+module.exports.SCOPE_PERMISSIONS = SCOPE_PERMISSIONS;
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Post Similarity Service
+ *
+ * Related posts, duplicate submission warnings and merging duplicates into
+ * one discussion, all on a local TF-IDF index: every post carries the term
+ * vector of its title, text and hashtags (Post.similarity, rebuilt on
+ * save), and document frequencies come from the indexed terms themselves.
+ * No external service is involved.
+ *
+ * Comparing a post:
+ * - Candidates are active public posts sharing one of its top terms,
+ *   found through the index on similarity.terms
+ * - Each candidate is scored by cosine similarity of the IDF-weighted
+ *   vectors; document frequencies are cached in Redis
+ *
+ * Duplicates:
+ * - Same canonical URL (utils/canonicalUrl): always reported
+ * - Near-duplicates: recent posts at or above the duplicate threshold
+ * - Merging moves the duplicate's comments, votes, hashtags and
+ *   repositories onto the canonical post and marks the duplicate merged
+ *
+ * Dependencies:
+ * - ../models/Post.model: Posts and their term vectors
+ * - ../models/Comment.model: Comments moved when merging
+ * - ../utils/termVector: Vectors and cosine similarity
+ * - ../utils/canonicalUrl: URL canonicalization
+ * - ../utils/redis: Document frequency cache
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Post = require('../models/Post.model');
+const Comment = require('../models/Comment.model');
+const { buildTermVector, cosineSimilarity } = require('../utils/termVector');
+const { canonicalizeUrl } = require('../utils/canonicalUrl');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Top terms of a post used to look up candidates
+const QUERY_TERMS = 10;
+
+// Most candidates scored per lookup, newest first
+const MAX_CANDIDATES = 300;
+
+// Fields returned for related posts and duplicates
+const SUMMARY_FIELDS = 'title url hashtags author score commentCount createdAt status';
+
+const DF_PREFIX = 'similarity:df:';
+const DOCS_KEY = 'similarity:docs';
+
+/**
+ * @param {Object} post - Post document or lean object
+ * @returns {Object} Fields shown for a related post or duplicate
+ */
+const toSummary = (post) => ({
+  id: post._id,
+  title: post.title,
+  url: post.url || null,
+  hashtags: post.hashtags || [],
+  author: post.author,
+  score: post.score || 0,
+  commentCount: post.commentCount || 0,
+  createdAt: post.createdAt
+});
+
+// Posts that can be shown as related or be a duplicate target
+const LISTED = { status: 'active', visibility: 'public' };
+
+class SimilarityService {
+  /**
+   * IDF weights for terms. Counts come from the similarity.terms index
+   * and are cached, so a popular term costs one count per cache period.
+   *
+   * @param {string[]} terms - Terms to weigh
+   * @returns {Promise<Map<string, number>>} IDF per term
+   */
+  async inverseDocumentFrequencies(terms) {
+    const ttl = config.similarity.dfCacheTtl;
+    const cached = async (key, count) => {
+      const value = await redis.get(key).catch(() => null);
+      if (value !== null && value !== undefined) return parseInt(value, 10);
+
+      const fresh = await count();
+      await redis.set(key, String(fresh), ttl).catch(() => null);
+      return fresh;
+    };
+
+    const total = await cached(DOCS_KEY, () => Post.countDocuments(LISTED));
+    const frequencies = await Promise.all(terms.map(term =>
+      cached(`${DF_PREFIX}${term}`, () => Post.countDocuments({ ...LISTED, 'similarity.terms': term }))
+    ));
+
+    return new Map(terms.map((term, i) => [term, Math.log((total + 1) / (frequencies[i] + 1)) + 1]));
+  }
+
+  /**
+   * @param {Object} post - Post with a similarity entry, or post-like
+   *   object ({ title, text, hashtags }) not saved yet
+   * @returns {Array<{ term: string, weight: number }>} Its term vector
+   */
+  vectorOf(post) {
+    return post.similarity?.vector?.length ? post.similarity.vector : buildTermVector(post);
+  }
+
+  /**
+   * Score candidate posts against a vector.
+   *
+   * @param {Array<{ term: string, weight: number }>} vector - Reference vector
+   * @param {Object} filter - Extra conditions on candidates
+   * @param {number} threshold - Lowest similarity kept
+   * @returns {Promise<Array<{ post: Object, similarity: number }>>} Matches, most similar first
+   */
+  async rank(vector, filter, threshold) {
+    if (vector.length === 0) return [];
+
+    const queryTerms = vector.slice(0, QUERY_TERMS).map(entry => entry.term);
+    const candidates = await Post.find({ ...LISTED, ...filter, 'similarity.terms': { $in: queryTerms } })
+      .select(`${SUMMARY_FIELDS} similarity.vector`)
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+    if (candidates.length === 0) return [];
+
+    const vocabulary = new Set(vector.map(entry => entry.term));
+    const shared = [...new Set(candidates.flatMap(candidate =>
+      (candidate.similarity?.vector || []).map(entry => entry.term).filter(term => vocabulary.has(term))
+    ))];
+    const idf = await this.inverseDocumentFrequencies(shared);
+
+    return candidates
+      .map(candidate => ({
+        post: candidate,
+        similarity: Math.round(cosineSimilarity(vector, candidate.similarity?.vector, idf) * 1000) / 1000
+      }))
+      .filter(match => match.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity || b.post.createdAt - a.post.createdAt);
+  }
+
+  /**
+   * Posts most similar to a post.
+   *
+   * @param {Object} post - Post document
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most posts returned
+   * @param {string[]} [options.exclude] - Post IDs left out
+   * @returns {Promise<Array<Object>>} Post summaries with their similarity
+   */
+  async getRelatedPosts(post, { limit, exclude = [] } = {}) {
+    const { relatedLimit, relatedThreshold } = config.similarity;
+    const matches = await this.rank(
+      this.vectorOf(post),
+      { _id: { $nin: [post._id, ...exclude] } },
+      relatedThreshold
+    );
+
+    return matches
+      .slice(0, Math.min(limit || relatedLimit, 50))
+      .map(({ post: related, similarity }) => ({ ...toSummary(related), similarity }));
+  }
+
+  /**
+   * Posts a submission would duplicate.
+   *
+   * @param {Object} submission - { title, url, text, hashtags }
+   * @param {Object} [options]
+   * @param {string} [options.excludeId] - Post left out, e.g. the post itself
+   * @returns {Promise<Object>} { canonicalUrl, duplicates } where each
+   *   duplicate has a reason of 'url' or 'similar' and a similarity
+   */
+  async findDuplicates(submission, { excludeId } = {}) {
+    const { duplicateThreshold, duplicateWindowDays } = config.similarity;
+    const canonicalUrl = submission.url ? canonicalizeUrl(submission.url) : null;
+    const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+
+    const sameUrl = canonicalUrl
+      ? await Post.find({ ...LISTED, ...exclude, canonicalUrl }).select(SUMMARY_FIELDS).sort({ createdAt: 1 }).lean()
+      : [];
+
+    const since = new Date(Date.now() - duplicateWindowDays * 24 * 60 * 60 * 1000);
+    const similar = await this.rank(
+      buildTermVector(submission),
+      { ...exclude, createdAt: { $gte: since } },
+      duplicateThreshold
+    );
+
+    const seen = new Set(sameUrl.map(post => String(post._id)));
+    const duplicates = [
+      ...sameUrl.map(post => ({ ...toSummary(post), reason: 'url', similarity: 1 })),
+      ...similar
+        .filter(({ post }) => !seen.has(String(post._id)))
+        .map(({ post, similarity }) => ({ ...toSummary(post), reason: 'similar', similarity }))
+    ];
+
+    return { canonicalUrl, duplicates };
+  }
+
+  /**
+   * Follow merges to the post a discussion now lives on.
+   *
+   * @param {Object} post - Post document
+   * @returns {Promise<Object>} The post itself, or the post it was merged into
+   */
+  async resolveCanonical(post) {
+    let current = post;
+    const visited = new Set();
+    while (current && current.mergedInto && !visited.has(String(current._id))) {
+      visited.add(String(current._id));
+      current = await Post.findById(current.mergedInto);
+    }
+    return current || post;
+  }
+
+  /**
+   * Merge a duplicate into a canonical post. Comments move over, votes
+   * are combined (one per user, an upvote wins over a downvote), hashtags
+   * and repositories are joined, and the duplicate is marked merged so it
+   * drops out of feeds and points at the canonical discussion.
+   *
+   * @param {Object} duplicate - Post document being merged away
+   * @param {Object} canonical - Post document kept; must not be the
+   *   duplicate or merged itself (see resolveCanonical)
+   * @param {Object} [options]
+   * @param {string} [options.actor] - User merging
+   * @returns {Promise<Object>} { canonical, commentsMoved }
+   */
+  async mergePosts(duplicate, canonical, { actor } = {}) {
+    const { modifiedCount: commentsMoved } = await Comment.updateMany(
+      { post: duplicate._id },
+      { $set: { post: canonical._id } }
+    );
+
+    const upvoters = new Set(canonical.upvotes.map(vote => String(vote.user)));
+    const downvoters = new Set(canonical.downvotes.map(vote => String(vote.user)));
+    duplicate.upvotes.forEach(vote => {
+      const user = String(vote.user);
+      if (upvoters.has(user)) return;
+      if (downvoters.has(user)) {
+        canonical.downvotes = canonical.downvotes.filter(existing => String(existing.user) !== user);
+        downvoters.delete(user);
+      }
+      canonical.upvotes.push(vote);
+      upvoters.add(user);
+    });
+    duplicate.downvotes.forEach(vote => {
+      const user = String(vote.user);
+      if (upvoters.has(user) || downvoters.has(user)) return;
+      canonical.downvotes.push(vote);
+      downvoters.add(user);
+    });
+
+    canonical.hashtags = [...new Set([...canonical.hashtags, ...duplicate.hashtags])];
+    const repositoryIds = new Set(canonical.repositories.map(entry => String(entry.repository)));
+    duplicate.repositories.forEach(entry => {
+      if (!repositoryIds.has(String(entry.repository))) canonical.repositories.push(entry);
+    });
+    canonical.commentCount = (canonical.commentCount || 0) + (duplicate.commentCount || 0);
+    canonical.possibleDuplicates = (canonical.possibleDuplicates || []).filter(id => String(id) !== String(duplicate._id));
+    await canonical.save();
+
+    duplicate.status = 'merged';
+    duplicate.mergedInto = canonical._id;
+    duplicate.mergedAt = new Date();
+    duplicate.mergedBy = actor;
+    duplicate.commentCount = 0;
+    await duplicate.save();
+
+    // Posts merged into the duplicate earlier now point at the canonical post
+    await Post.updateMany({ mergedInto: duplicate._id }, { $set: { mergedInto: canonical._id } });
+
+    logger.info(`Merged post ${duplicate._id} into ${canonical._id}`, { commentsMoved, actor });
+    return { canonical, commentsMoved };
+  }
+}
+
+module.exports = new SimilarityService();
+module.exports.toSummary = toSummary;
@@ -15,11 +15,16 @@
  * @version 1.0.0
  * @since 2024-01-01
  * @lastModified 2025-07-27
- */\n\nconst Repository = require('../models/Repository.model');
+ */
+
+const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
 const Email = require('../models/Email.model');
 const User = require('../models/User.model');
 const csvService = require('./csv.service');
 const emailService = require('./email.service');
+const deliverabilityService = require('./deliverability.service');
+const consentService = require('./consent.service');
 const logger = require('../utils/logger');
 const { validateEmail } = require('../utils/validators');
 const crypto = require('crypto');
@@ -30,6 +35,9 @@ class SnowballService {
    this.MAX_EMAILS_PER_BATCH = 100;
    this.SNOWBALL_MULTIPLIER = 1.5;
    this.VERIFICATION_EXPIRY = 7 * 24 * 60 * 60 * 1000; // 7 days
+   this.MIN_DAILY_GROWTH = 10; // Daily additions allowed however small the list
+   // Mirrors the settings.snowballLimits schema defaults
+   this.DEFAULT_LIMITS = { maxDepth: 3, maxFanOut: 100, maxDailyGrowthRate: 0.5 };
  }
 
  async processSnowballDistribution(repositoryId, csvContent, initiatorUserId) {
@@ -69,6 +77,8 @@ class SnowballService {
      if (!validateEmail(email)) continue;
      if (existingEmails.has(email.toLowerCase())) continue;
      if (await this.isEmailBlacklisted(email)) continue;
+     // Bounced or complained anywhere: never snowball to it again
+     if (await deliverabilityService.isSuppressed(email)) continue;
      
      const qualityScore = await this.calculateEmailQualityScore(email);
      if (qualityScore >= this.MIN_QUALITY_SCORE) {
@@ -95,6 +105,21 @@ class SnowballService {
 
    for (const emailData of snowballBatch.emails) {
      try {
+       // The invite doubles as the consent request, so the entry and its
+       // ledger record must exist before the link goes out
+       const [entry] = await this.recordGeneration(repository, [emailData], {
+         inviter: { _id: snowballBatch.initiatorUserId },
+         depth: 0,
+         batchId: snowballBatch.batchId
+       });
+       if (!entry) continue;
+       await consentService.createRequest(repository, entry, {
+         source: 'snowball',
+         token: emailData.verificationToken,
+         actor: snowballBatch.initiatorUserId
+       });
+       await entry.save();
+
        const inviteResult = await this.sendSnowballInvite(emailData, repository, snowballBatch);
        
        if (inviteResult.success) {
@@ -130,7 +155,7 @@ class SnowballService {
          memberCount: repository.memberCount,
          inviterName: await this.getInviterName(snowballBatch.initiatorUserId),
          verificationToken: emailData.verificationToken,
-         optInUrl: `${process.env.BASE_URL}/repository/join/${repository._id}?token=${emailData.verificationToken}`,
+         optInUrl: consentService.getConfirmUrl(emailData.verificationToken),
          optOutUrl: `${process.env.BASE_URL}/unsubscribe?token=${emailData.verificationToken}`,
          topPosts: await this.getTopRepositoryPosts(repository._id, 3)
        }
@@ -143,36 +168,22 @@ class SnowballService {
    }
  }
 
- async processOptIn(repositoryId, email, verificationToken) {
-   const repository = await Repository.findById(repositoryId);
-   if (!repository) {
-     throw new Error('Repository not found');
-   }
-
-   const emailEntry = await Email.findOne({
-     repositoryId,
-     email: email.toLowerCase(),
-     verificationToken,
-     status: 'pending'
-   });
-
-   if (!emailEntry) {
+ async processOptIn(repositoryId, email, verificationToken, client = {}) {
+   // Expiry and supersession are enforced by the consent ledger
+   const confirmed = await consentService.confirm(verificationToken, client);
+   if (!confirmed ||
+       String(confirmed.repository._id) !== String(repositoryId) ||
+       confirmed.email !== email.toLowerCase()) {
      throw new Error('Invalid or expired verification token');
    }
 
-   if (Date.now() - emailEntry.createdAt > this.VERIFICATION_EXPIRY) {
-     throw new Error('Verification token expired');
-   }
-
-   emailEntry.status = 'verified';
-   emailEntry.verifiedAt = new Date();
-   emailEntry.snowballContribution = await this.calculateSnowballContribution(email);
-   await emailEntry.save();
+   const repository = await Repository.findById(repositoryId);
+   const contribution = await this.calculateSnowballContribution(email);
 
    await this.updateRepositoryMemberCount(repository);
-   await this.checkForSnowballBonus(repository, emailEntry);
+   await this.checkForSnowballBonus(repository);
    
-   return { success: true, contribution: emailEntry.snowballContribution };
+   return { success: true, contribution };
  }
 
  async calculateSnowballContribution(email) {
@@ -215,7 +226,10 @@ class SnowballService {
    if (await this.isDomainVerified(domain)) score += 0.2;
    if (!await this.isDisposableEmail(domain)) score += 0.1;
 
-   return Math.min(score, 1);
+   // Delivery history: soft bounces cost a little, suppression costs everything
+   score -= await deliverabilityService.getQualityPenalty(email);
+
+   return Math.max(Math.min(score, 1), 0);
  }
 
  async isBusinessEmail(domain) {
@@ -292,11 +306,12 @@ class SnowballService {
    await logger.logEvent(event);
  }
 
- async checkForSnowballBonus(repository, emailEntry) {
-   const recentOptIns = await Email.countDocuments({
-     repositoryId: repository._id,
-     status: 'verified',
-     verifiedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+ async checkForSnowballBonus(repository) {
+   const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+   const recentOptIns = await RepositoryMember.countDocuments({
+     repository: repository._id,
+     source: 'snowball',
+     'consent.confirmedAt': { $gte: since }
    });
 
    if (recentOptIns >= 10) {
@@ -420,6 +435,213 @@ class SnowballService {
 
    return totalReach;
  }
+
+ /**
+  * Snowball limits for a repository, falling back to the schema defaults.
+  *
+  * @param {Object} repository - Repository document
+  * @returns {{maxDepth: number, maxFanOut: number, maxDailyGrowthRate: number}}
+  */
+ getLimits(repository) {
+   const limits = (repository.settings && repository.settings.snowballLimits) || {};
+
+   return {
+     maxDepth: limits.maxDepth ?? this.DEFAULT_LIMITS.maxDepth,
+     maxFanOut: limits.maxFanOut ?? this.DEFAULT_LIMITS.maxFanOut,
+     maxDailyGrowthRate: limits.maxDailyGrowthRate ?? this.DEFAULT_LIMITS.maxDailyGrowthRate
+   };
+ }
+
+ /**
+  * How many more addresses snowball may add to the repository today.
+  * Small lists get a floor of MIN_DAILY_GROWTH so they can grow at all.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Date} [now] - Reference time
+  * @returns {Promise<number>} Remaining additions in the trailing 24 hours
+  */
+ async getDailyAllowance(repository, now = new Date()) {
+   const { maxDailyGrowthRate } = this.getLimits(repository);
+   const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+   const [total, addedToday] = await Promise.all([
+     RepositoryMember.countDocuments({ repository: repository._id }),
+     RepositoryMember.countDocuments({ repository: repository._id, source: 'snowball', addedAt: { $gte: since } })
+   ]);
+   const established = total - addedToday;
+   const allowance = Math.max(Math.floor(established * maxDailyGrowthRate), this.MIN_DAILY_GROWTH);
+
+   return Math.max(allowance - addedToday, 0);
+ }
+
+ /**
+  * Apply the repository's depth, fan-out and daily growth limits to one
+  * inviter's candidates for a generation.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object[]} emails - Candidates, best first
+  * @param {number} depth - Generation the candidates would join
+  * @returns {Promise<{accepted: Object[], rejected: {depth: number, fanOut: number, dailyGrowth: number}}>}
+  */
+ async applyLimits(repository, emails, depth) {
+   const limits = this.getLimits(repository);
+   const rejected = { depth: 0, fanOut: 0, dailyGrowth: 0 };
+
+   if (depth > limits.maxDepth) {
+     rejected.depth = emails.length;
+     return { accepted: [], rejected };
+   }
+
+   let accepted = emails.slice(0, limits.maxFanOut);
+   rejected.fanOut = emails.length - accepted.length;
+
+   const allowance = await this.getDailyAllowance(repository);
+   rejected.dailyGrowth = Math.max(accepted.length - allowance, 0);
+   accepted = accepted.slice(0, allowance);
+
+   if (rejected.depth || rejected.fanOut || rejected.dailyGrowth) {
+     logger.warn('Snowball limits applied', { repositoryId: repository._id, depth, ...rejected });
+   }
+
+   return { accepted, rejected };
+ }
+
+ /**
+  * Add one generation of snowball addresses to the repository, recording
+  * who introduced each address and at which depth.
+  *
+  * @param {Object} repository - Repository document
+  * @param {Object[]} emails - Accepted candidates ({ email, metadata, qualityScore })
+  * @param {Object} provenance
+  * @param {Object} [provenance.inviter] - Inviting user ({ _id, email })
+  * @param {number} provenance.depth - Generation
+  * @param {string} [provenance.batchId] - Snowball job
+  * @returns {Promise<Object[]>} Members added
+  */
+ async recordGeneration(repository, emails, { inviter, depth, batchId = this.generateBatchId() }) {
+   const seen = new Set();
+   const entries = [];
+
+   for (const { email, metadata, qualityScore } of emails) {
+     const address = email.toLowerCase();
+     if (seen.has(address)) continue;
+     seen.add(address);
+
+     entries.push({
+       email: address,
+       name: metadata && metadata.name,
+       addedBy: inviter && inviter._id,
+       source: 'snowball',
+       qualityScore,
+       snowball: {
+         invitedBy: inviter && inviter.email,
+         invitedByUser: inviter && inviter._id,
+         depth,
+         batchId
+       }
+     });
+   }
+
+   // Addresses already on the list are skipped
+   const added = await RepositoryMember.addMembers(repository._id, entries, {
+     channel: 'worker',
+     operation: 'snowball',
+     actor: inviter && inviter._id
+   });
+   if (added.length > 0) {
+     await RepositoryMember.refreshStats(repository._id);
+   }
+
+   return added;
+ }
+
+ /**
+  * Propagation graph of a repository: every address snowball added, plus
+  * the inviters that introduced them, with per-generation conversion.
+  *
+  * Nodes are keyed by email address. Inviters that are not on the list
+  * themselves (usually whoever uploaded the first CSV) appear as 'inviter'
+  * nodes without a depth.
+  *
+  * @param {Object} repository - Repository document
+  * @returns {Promise<{nodes: Object[], edges: Object[], generations: Object[], limits: Object}>}
+  */
+ async buildPropagationGraph(repository) {
+   const fields = 'email source verified optedOut status addedAt snowball';
+   const entries = await RepositoryMember.find({ repository: repository._id, 'snowball.depth': { $ne: null } })
+     .select(fields)
+     .lean();
+   const inviters = new Set(entries.map(entry => entry.snowball.invitedBy).filter(Boolean));
+
+   // Inviters that are members without a snowball depth of their own
+   const listed = await RepositoryMember.find({ repository: repository._id, email: { $in: [...inviters] } })
+     .select(fields)
+     .lean();
+   const byEmail = new Map(listed.map(entry => [entry.email, entry]));
+
+   const nodes = new Map();
+   const addNode = (entry, type) => nodes.set(entry.email, {
+     id: entry.email,
+     type,
+     depth: entry.snowball && entry.snowball.depth != null ? entry.snowball.depth : null,
+     source: entry.source,
+     verified: !!entry.verified,
+     optedOut: !!entry.optedOut,
+     status: entry.status || 'active',
+     addedAt: entry.addedAt
+   });
+
+   for (const entry of entries) {
+     addNode(entry, 'member');
+   }
+   for (const email of inviters) {
+     if (nodes.has(email)) continue;
+     if (byEmail.has(email)) {
+       addNode(byEmail.get(email), 'member');
+     } else {
+       nodes.set(email, { id: email, type: 'inviter', depth: null });
+     }
+   }
+
+   const edges = entries
+     .filter(entry => entry.snowball.invitedBy)
+     .map(entry => ({
+       from: entry.snowball.invitedBy,
+       to: entry.email,
+       depth: entry.snowball.depth,
+       batchId: entry.snowball.batchId
+     }));
+
+   const rate = (count, total) => (total ? Math.round((count / total) * 10000) / 100 : 0);
+   const generations = new Map();
+
+   for (const entry of entries) {
+     const { depth } = entry.snowball;
+     if (!generations.has(depth)) {
+       generations.set(depth, { depth, added: 0, verified: 0, optedOut: 0, suppressed: 0, inviters: 0 });
+     }
+     const generation = generations.get(depth);
+
+     generation.added++;
+     if (entry.verified) generation.verified++;
+     if (entry.optedOut) generation.optedOut++;
+     if (['bounced', 'complained'].includes(entry.status)) generation.suppressed++;
+     if (inviters.has(entry.email)) generation.inviters++;
+   }
+
+   return {
+     nodes: [...nodes.values()],
+     edges,
+     generations: [...generations.values()]
+       .sort((a, b) => a.depth - b.depth)
+       .map(generation => ({
+         ...generation,
+         conversionRate: rate(generation.verified, generation.added),
+         propagationRate: rate(generation.inviters, generation.added)
+       })),
+     limits: this.getLimits(repository)
+   };
+ }
 }
 
 module.exports = new SnowballService();
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Canonical URLs
+ *
+ * Reduces a submitted URL to the form used to spot the same link being
+ * submitted twice. Two URLs with the same canonical form point at the same
+ * story as far as ShadowNews is concerned:
+ * - http and https are the same; the scheme is always https
+ * - host is lowercased, default ports and www./m./mobile./amp. are dropped
+ * - tracking parameters (utm_*, fbclid, gclid, ref, ...) are dropped and
+ *   the remaining ones sorted
+ * - fragments, trailing slashes and index pages are dropped
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Host prefixes that serve the same page as the bare domain
+const MIRROR_SUBDOMAINS = /^(www\d*|m|mobile|amp)\./;
+
+// Query parameters that track the visit rather than select content
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref|ref_src|ref_url|source|share|s_cid|_hsenc|_hsmi)$/i;
+
+// Last path segments that name the directory's default page
+const INDEX_PAGES = /\/(index|default)\.(html?|php|aspx?)$/i;
+
+/**
+ * @param {string} url - Submitted URL
+ * @returns {string|null} Canonical URL, or null if url is not an http(s) URL
+ */
+const canonicalizeUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  const host = parsed.hostname.toLowerCase().replace(/\.$/, '').replace(MIRROR_SUBDOMAINS, '');
+  const port = parsed.port && !['80', '443'].includes(parsed.port) ? `:${parsed.port}` : '';
+
+  const path = parsed.pathname
+    .replace(INDEX_PAGES, '/')
+    .replace(/\/{2,}/g, '/')
+    .replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `https://${host}${port}${path}${query}`;
+};
+
+module.exports = { canonicalizeUrl };
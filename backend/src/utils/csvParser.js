@@ -52,6 +52,9 @@ const Papa = require('papaparse');
 // Node.js file system promises for async file operations
 const fs = require('fs').promises;
 
+// Read streams for files too large to hold in memory
+const { createReadStream } = require('fs');
+
 // Crypto module for hash generation and data integrity
 const crypto = require('crypto');
 
@@ -61,6 +64,37 @@ const validator = require('validator');
 // Centralized logging utility for error tracking
 const { logger } = require('./logger');
 
+/**
+ * Header names each import field is recognised by, after normalization
+ * (lower case, punctuation as spaces). Covers the exports of the CRMs and
+ * mail tools lists usually come from.
+ * @constant {Object<string, string[]>}
+ */
+const HEADER_SYNONYMS = {
+  email: ['email', 'e mail', 'email address', 'e mail address', 'mail', 'primary email', 'work email',
+    'personal email', 'email 1', 'email 1 value', 'e mail 1 value', 'emailaddress'],
+  name: ['name', 'full name', 'fullname', 'display name', 'contact name', 'contact'],
+  firstName: ['first name', 'firstname', 'given name', 'first'],
+  lastName: ['last name', 'lastname', 'surname', 'family name', 'last'],
+  tags: ['tags', 'tag', 'labels', 'label', 'groups', 'group membership', 'categories', 'lists', 'segments'],
+  subscribed: ['subscribed', 'opt in', 'optin', 'opted in', 'consent', 'email opt in', 'marketing opt in',
+    'accepts marketing', 'accepts email marketing', 'email marketing', 'newsletter'],
+  company: ['company', 'company name', 'organization', 'organisation', 'organization 1 name', 'employer', 'account name'],
+  title: ['title', 'job title', 'position', 'role', 'organization 1 title']
+};
+
+/**
+ * Fields a column can be mapped to, besides custom fields
+ * @constant {string[]}
+ */
+const MAPPING_FIELDS = Object.keys(HEADER_SYNONYMS);
+
+/**
+ * @param {string} header - Column header as written in the file
+ * @returns {string} Header for synonym matching
+ */
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
 /**
  * CSV Parser Class
  * 
@@ -315,18 +349,26 @@ class CSVParser {
    * 
    * @param {Array<Object>} data - Raw CSV data rows
    * @param {Array<string>} headers - Normalized header names
+   * @param {Object} [context] - State shared across chunks of one file
+   * @param {Set<string>} [context.emailSet] - Emails seen in earlier chunks
+   * @param {number} [context.rowOffset] - Data rows before this chunk
+   * @param {Array<Object>} [context.errors] - Collects { row, email, error }
+   *   instead of logging them
+   * @param {Array<Object>} [context.duplicates] - Collects { row, email }
    * @returns {Array<Object>} Validated and cleaned data rows
    * 
    * @since 1.0.0
    * @private
    */
-  validateAndCleanData(data, headers) {
+  validateAndCleanData(data, headers, context = {}) {
     const processed = [];
-    const errors = [];
-    const emailSet = new Set();
-    const duplicates = [];
+    const errors = context.errors || [];
+    const emailSet = context.emailSet || new Set();
+    const duplicates = context.duplicates || [];
+    const rowOffset = context.rowOffset || 0;
 
-    data.forEach((row, index) => {
+    data.forEach((row, offset) => {
+      const index = rowOffset + offset;
       try {
         const cleanRow = {};
         let isValid = true;
@@ -343,7 +385,7 @@ class CSVParser {
           
           // Validate email format
           if (!validator.isEmail(cleanRow.email)) {
-            errors.push({ row: index + 1, error: 'Invalid email format' });
+            errors.push({ row: index + 1, email: cleanRow.email, error: 'Invalid email format' });
             isValid = false;
           } 
           // Check for duplicates
@@ -367,6 +409,10 @@ class CSVParser {
           cleanRow.company = cleanRow.company.trim().substring(0, 100);
         }
 
+        if (cleanRow.title) {
+          cleanRow.title = cleanRow.title.trim().substring(0, 100);
+        }
+
         if (cleanRow.tags) {
           cleanRow.tags = this.parseTags(cleanRow.tags);
         }
@@ -384,16 +430,16 @@ class CSVParser {
           processed.push(cleanRow);
         }
       } catch (error) {
-        errors.push({ row: index + 1, error: error.message });
+        errors.push({ row: index + 1, email: row.email, error: error.message });
       }
     });
 
-    // Log validation issues for debugging
-    if (errors.length > 0) {
+    // Log validation issues for debugging, unless the caller collects them
+    if (!context.errors && errors.length > 0) {
       logger.warn('CSV validation errors:', errors);
     }
 
-    if (duplicates.length > 0) {
+    if (!context.duplicates && duplicates.length > 0) {
       logger.warn('Duplicate emails found:', duplicates);
     }
 
@@ -431,8 +477,8 @@ class CSVParser {
     
     if (typeof tags === 'string') {
       return tags
-        .split(/[,;|]/) // Support multiple delimiters
-        .map(tag => tag.trim())
+        .split(/:::|[,;|]/) // Support multiple delimiters, incl. Google's " ::: "
+        .map(tag => tag.trim().replace(/^\* /, '')) // Google system groups: "* starred"
         .filter(tag => tag.length > 0)
         .slice(0, 10); // Limit to 10 tags for performance
     }
@@ -573,42 +619,85 @@ class CSVParser {
   /**
    * Stream parse large CSV files with callback processing
    * 
-   * Handles large CSV files using streaming approach with chunk-based
-   * processing to maintain memory efficiency and provide progress feedback.
+   * Reads the file as a stream, so memory use does not grow with the file,
+   * and hands each chunk of rows to the callback once validated. Parsing
+   * pauses while an async callback runs. File size and row count limits
+   * do not apply.
    * 
    * Streaming Features:
    * - Memory-efficient processing for large files
-   * - Chunk-based callback processing
-   * - Real-time validation and cleaning
-   * - Progress tracking and control
+   * - Chunk-based callback processing with backpressure
+   * - Real-time validation and cleaning; duplicates detected across chunks
+   * - Invalid and duplicate rows reported per chunk with row numbers
+   * - Resuming part-way through a file with skipRows
    * 
    * @param {string} filePath - Path to CSV file for streaming
-   * @param {Function} onChunk - Callback function for processing chunks
-   * @param {Object} options - Streaming options
-   * @returns {Promise<Object>} Streaming parse results
+   * @param {Function} onChunk - Called with ({ rows, errors, duplicates,
+   *   rowsRead }, parser); may return a promise
+   * @param {Object} options - Papa Parse options, plus:
+   * @param {number} [options.skipRows] - Leading data rows to read past
+   *   without validating or reporting them
+   * @param {Object} [options.mapping] - Column mapping (see applyMapping)
+   * @param {string} [options.encoding] - File encoding (see detectEncoding)
+   * @returns {Promise<{rowsRead: number}>} Data rows in the file
    * 
    * @example
    * // Stream process large CSV file
-   * await csvParser.streamParse('/path/to/large.csv', (chunk, parser) => {
-   *   console.log(`Processed ${chunk.length} rows`);
-   *   // Process chunk data
+   * await csvParser.streamParse('/path/to/large.csv', async ({ rows, errors, rowsRead }) => {
+   *   await saveRows(rows);
+   *   console.log(`${rowsRead} rows read, ${errors.length} invalid in this chunk`);
    * });
    * 
    * @since 1.0.0
    * @async
    */
-  async streamParse(filePath, onChunk, options = {}) {
-    const streamOptions = {
-      ...this.options,
-      ...options,
-      chunk: (results, parser) => {
-        const processed = this.validateAndCleanData(results.data, results.meta.fields);
-        onChunk(processed, parser);
-      }
-    };
+  streamParse(filePath, onChunk, options = {}) {
+    const { skipRows = 0, mapping, encoding = this.options.encoding, ...parseOptions } = options;
+    const emailSet = new Set();
+    let rowsRead = 0;
+
+    // Mappings name columns as written in the file, so keep headers as-is
+    if (mapping) {
+      parseOptions.transformHeader = (header) => header.replace(/^\uFEFF/, '').trim();
+    }
+
+    return new Promise((resolve, reject) => {
+      Papa.parse(createReadStream(filePath, { encoding }), {
+        ...this.options,
+        ...parseOptions,
+        header: true,
+        chunk: (results, parser) => {
+          const rowOffset = rowsRead;
+          rowsRead += results.data.length;
 
-    const fileStream = await fs.readFile(filePath, this.options.encoding);
-    return Papa.parse(fileStream, streamOptions);
+          const skip = Math.min(Math.max(skipRows - rowOffset, 0), results.data.length);
+          if (skip === results.data.length) return;
+
+          const data = results.data.slice(skip);
+          const errors = [];
+          const duplicates = [];
+          const rows = this.validateAndCleanData(mapping ? data.map(row => this.applyMapping(row, mapping)) : data, results.meta.fields, {
+            emailSet,
+            rowOffset: rowOffset + skip,
+            errors,
+            duplicates
+          });
+
+          parser.pause();
+          Promise.resolve(onChunk({ rows, errors, duplicates, rowsRead }, parser))
+            .then(() => parser.resume())
+            .catch((error) => {
+              parser.abort();
+              reject(error);
+            });
+        },
+        complete: () => resolve({ rowsRead }),
+        error: (error) => {
+          logger.error('Papa Parse stream error:', error);
+          reject(new Error(`CSV parsing failed: ${error.message}`));
+        }
+      });
+    });
   }
 
   /**
@@ -637,9 +726,9 @@ class CSVParser {
     const delimiters = [',', ';', '\t', '|'];
     const counts = {};
 
-    // Count occurrences of each delimiter
+    // Count occurrences of each delimiter ('|' would be alternation in a RegExp)
     delimiters.forEach(delimiter => {
-      counts[delimiter] = (sample.match(new RegExp(delimiter, 'g')) || []).length;
+      counts[delimiter] = sample.split(delimiter).length - 1;
     });
 
     // Return delimiter with highest count
@@ -686,6 +775,254 @@ class CSVParser {
       )
     };
   }
+
+  /**
+   * Detect file encoding from its first bytes
+   * 
+   * Recognizes byte order marks, then UTF-16 LE without one (every other
+   * byte zero in ASCII text), then checks whether the bytes are valid
+   * UTF-8. Anything else is taken to be Latin-1 / Windows-1252, the usual
+   * encoding of spreadsheet exports that are not UTF-8.
+   * 
+   * @param {Buffer} buffer - Start of the file
+   * @returns {string} Node encoding name: 'utf8', 'utf16le' or 'latin1'
+   * 
+   * @throws {Error} UTF-16 BE, which Node cannot decode
+   * 
+   * @since 1.0.0
+   */
+  detectEncoding(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf8';
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf16le';
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      throw new Error('UTF-16 BE files are not supported; save the file as UTF-8');
+    }
+
+    const sample = buffer.subarray(0, 512);
+    let oddZeros = 0;
+    for (let i = 1; i < sample.length; i += 2) {
+      if (sample[i] === 0) oddZeros++;
+    }
+    if (sample.length > 1 && oddZeros / Math.floor(sample.length / 2) > 0.9) return 'utf16le';
+
+    try {
+      // stream: true tolerates a character cut off at the end of the sample
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+      return 'utf8';
+    } catch (error) {
+      return 'latin1';
+    }
+  }
+
+  /**
+   * Preview a CSV file before importing it
+   * 
+   * Reads only the start of the file, so it is cheap for any file size.
+   * 
+   * @param {string} filePath - Path to CSV file
+   * @param {Object} [options]
+   * @param {number} [options.sampleSize] - Data rows to return
+   * @param {Array<Object>} [options.fields] - Custom fields declared on the
+   *   repository, for the suggested mapping
+   * @returns {Promise<Object>} { encoding, delimiter, headers, sampleRows,
+   *   suggestedMapping }
+   * 
+   * @throws {Error} Empty file or unsupported encoding
+   * 
+   * @since 1.0.0
+   * @async
+   */
+  async previewFile(filePath, { sampleSize = 10, fields } = {}) {
+    const handle = await fs.open(filePath, 'r');
+    let buffer;
+    try {
+      const { buffer: bytes, bytesRead } = await handle.read(Buffer.alloc(64 * 1024), 0, 64 * 1024, 0);
+      buffer = bytes.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+
+    const encoding = this.detectEncoding(buffer);
+    let text = buffer.toString(encoding).replace(/^\uFEFF/, '');
+
+    // Drop the last line if the sample cut it short
+    if (buffer.length === 64 * 1024 && text.lastIndexOf('\n') > 0) {
+      text = text.slice(0, text.lastIndexOf('\n'));
+    }
+
+    const delimiter = this.detectDelimiter(text.split(/\r?\n/).slice(0, 20).join('\n'));
+    const { data } = Papa.parse(text, { delimiter, skipEmptyLines: true, preview: sampleSize + 1 });
+    if (data.length === 0) {
+      throw new Error('CSV file is empty');
+    }
+
+    const headers = data[0].map(header => String(header).trim());
+    const sampleRows = data.slice(1).map(values =>
+      headers.reduce((row, header, index) => ({ ...row, [header]: values[index] ?? '' }), {})
+    );
+
+    return {
+      encoding,
+      delimiter,
+      headers,
+      sampleRows,
+      suggestedMapping: this.suggestMapping(headers, sampleRows, { fields })
+    };
+  }
+
+  /**
+   * Suggest a column mapping from headers and sample values
+   * 
+   * Matches headers against HEADER_SYNONYMS. If no header looks like an
+   * email column, picks the column whose sample values are mostly email
+   * addresses. Unmatched columns are suggested as custom fields keyed by
+   * their normalized header; when the repository's custom fields are
+   * given, only columns matching a field's key or label are suggested.
+   * 
+   * @param {Array<string>} headers - Headers as written in the file
+   * @param {Array<Object>} [sampleRows] - Sample rows keyed by header
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.fields] - Declared custom fields
+   * @returns {Object} Mapping of field to header, plus fields for custom fields
+   * 
+   * @example
+   * csvParser.suggestMapping(['E-mail Address', 'First Name', 'Last Name', 'Plan']);
+   * // Returns: { email: 'E-mail Address', firstName: 'First Name',
+   * //   lastName: 'Last Name', fields: { plan: 'Plan' } }
+   * 
+   * @since 1.0.0
+   */
+  suggestMapping(headers, sampleRows = [], { fields } = {}) {
+    const mapping = { fields: {} };
+    const used = new Set();
+
+    for (const field of MAPPING_FIELDS) {
+      const header = headers.find(h => !used.has(h) && HEADER_SYNONYMS[field].includes(normalizeHeader(h)));
+      if (header) {
+        mapping[field] = header;
+        used.add(header);
+      }
+    }
+
+    if (!mapping.email && sampleRows.length > 0) {
+      const header = headers.find(h => !used.has(h) &&
+        sampleRows.filter(row => validator.isEmail(String(row[h] || '').trim())).length / sampleRows.length >= 0.5);
+      if (header) {
+        mapping.email = header;
+        used.add(header);
+      }
+    }
+
+    // A full name column makes first/last redundant
+    if (mapping.name) {
+      delete mapping.firstName;
+      delete mapping.lastName;
+    }
+
+    headers
+      .filter(h => !used.has(h))
+      .forEach(h => {
+        let key = normalizeHeader(h).replace(/ /g, '_');
+        if (fields) {
+          const definition = fields.find(field =>
+            field.key === key || (field.label && normalizeHeader(field.label) === normalizeHeader(h)));
+          key = definition && definition.key;
+        }
+        if (key && !mapping.fields[key]) mapping.fields[key] = h;
+      });
+
+    return mapping;
+  }
+
+  /**
+   * Check a column mapping against a file's headers
+   * 
+   * With the repository's custom fields given, custom field keys must be
+   * declared and required fields must be mapped.
+   * 
+   * @param {Object} mapping - Mapping of field to header
+   * @param {Array<string>} headers - Headers as written in the file
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.fields] - Declared custom fields
+   * @returns {Array<string>} Problems; empty if the mapping is usable
+   * 
+   * @since 1.0.0
+   */
+  validateMapping(mapping, headers, { fields } = {}) {
+    if (!mapping || typeof mapping !== 'object') {
+      return ['Mapping must be an object'];
+    }
+
+    const problems = [];
+    const known = new Set(headers);
+    const columns = [];
+
+    if (!mapping.email) {
+      problems.push('Map a column to email');
+    }
+
+    Object.keys(mapping).forEach(field => {
+      if (field !== 'fields' && !MAPPING_FIELDS.includes(field)) {
+        problems.push(`Unknown field "${field}"`);
+      }
+    });
+
+    MAPPING_FIELDS.filter(field => mapping[field]).forEach(field => columns.push([field, mapping[field]]));
+    Object.entries(mapping.fields || {}).forEach(([key, header]) => {
+      if (!/^[a-z][a-z0-9_]{0,49}$/.test(key)) {
+        problems.push(`Custom field "${key}" must be lower case letters, digits and underscores`);
+      } else if (fields && !fields.some(field => field.key === key)) {
+        problems.push(`Custom field "${key}" is not declared on this repository`);
+      }
+      columns.push([`fields.${key}`, header]);
+    });
+
+    (fields || [])
+      .filter(field => field.required && !(mapping.fields && mapping.fields[field.key]))
+      .forEach(field => problems.push(`Map a column to required field "${field.key}"`));
+
+    columns.forEach(([field, header]) => {
+      if (!known.has(header)) {
+        problems.push(`Column "${header}" for ${field} is not in the file`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Apply a column mapping to one parsed row
+   * 
+   * Produces the column names validateAndCleanData expects. First and last
+   * name are joined when no full name column is mapped; custom field
+   * values are kept as trimmed strings under fields.
+   * 
+   * @param {Object} row - Row keyed by header as written in the file
+   * @param {Object} mapping - Mapping of field to header
+   * @returns {Object} Row keyed by field
+   * 
+   * @since 1.0.0
+   */
+  applyMapping(row, mapping) {
+    const value = header => (header && row[header] !== undefined && row[header] !== null ? String(row[header]).trim() : undefined);
+    const mapped = {};
+
+    ['email', 'tags', 'subscribed', 'company', 'title'].forEach(field => {
+      const cell = value(mapping[field]);
+      if (cell) mapped[field] = cell;
+    });
+
+    const name = value(mapping.name) || [value(mapping.firstName), value(mapping.lastName)].filter(Boolean).join(' ');
+    if (name) mapped.name = name;
+
+    const fields = Object.entries(mapping.fields || {}).reduce((values, [key, header]) => {
+      const cell = value(header);
+      return cell ? { ...values, [key]: cell } : values;
+    }, {});
+    if (Object.keys(fields).length > 0) mapped.fields = fields;
+
+    return mapped;
+  }
 }
 
 module.exports = new CSVParser();
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Delivery Report Utilities
+ *
+ * Parsers for the machine-readable reports mail systems send back about
+ * our outbound mail:
+ * - Delivery Status Notifications (RFC 3464), i.e. bounces, carried in a
+ *   message/delivery-status part of a multipart/report message
+ * - Abuse Reporting Format feedback reports (RFC 5965), i.e. spam
+ *   complaints, carried in a message/feedback-report part
+ *
+ * Both formats usually return the original message, or its headers, as a
+ * further part. The X-Shadownews-ID header found there ties the report to
+ * a message we actually sent.
+ *
+ * Dependencies:
+ * - None (operates on mailparser output)
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+/**
+ * Content types of returned original messages or headers
+ * @constant {string[]}
+ */
+const ORIGINAL_MESSAGE_TYPES = ['message/rfc822', 'text/rfc822-headers', 'message/rfc822-headers'];
+
+/**
+ * Permanent (5.x.x) statuses that are not a property of the address and
+ * are counted as soft bounces: mailbox full, and policy or spam rejections
+ * @constant {RegExp[]}
+ */
+const TRANSIENT_PERMANENT_STATUSES = [/^5\.2\.2$/, /^5\.7\.\d+$/];
+
+/**
+ * Parse Header Fields
+ *
+ * Parses an RFC 5322 style field block (as used by DSN and ARF parts)
+ * into a map of lower-cased field names to values. Folded lines are
+ * unfolded; repeated fields keep the first value.
+ *
+ * @param {string} block - Field block
+ * @returns {Object} Field map
+ */
+const parseHeaderFields = (block) => {
+  const fields = {};
+  let current = null;
+
+  for (const line of String(block || '').split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && current) {
+      fields[current] += ` ${line.trim()}`;
+      continue;
+    }
+
+    const match = line.match(/^([A-Za-z0-9-]+):\s*(.*)$/);
+    if (!match) {
+      current = null;
+      continue;
+    }
+
+    current = match[1].toLowerCase();
+    if (fields[current] === undefined) {
+      fields[current] = match[2].trim();
+    } else {
+      current = null;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Strip the address-type prefix ("rfc822;") and any angle brackets.
+ *
+ * @param {string} value - Typed address field value
+ * @returns {string|null} Lower-cased address
+ */
+const parseTypedAddress = (value) => {
+  if (!value) return null;
+  const address = value.replace(/^[^;]*;\s*/, '').replace(/[<>]/g, '').trim().toLowerCase();
+  return address.includes('@') ? address : null;
+};
+
+/**
+ * Parse Delivery Status
+ *
+ * Parses the body of a message/delivery-status part. The first field
+ * group describes the reporting MTA; each following group describes one
+ * recipient.
+ *
+ * @param {string} text - Delivery status part
+ * @returns {{reportingMta: string|null, recipients: Object[]}} Parsed report
+ */
+const parseDeliveryStatus = (text) => {
+  const groups = String(text || '')
+    .split(/\r?\n\s*\r?\n/)
+    .map(parseHeaderFields)
+    .filter(fields => Object.keys(fields).length > 0);
+
+  const [messageFields = {}] = groups;
+  const recipients = groups
+    .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+    .map(fields => ({
+      recipient: parseTypedAddress(fields['final-recipient'] || fields['original-recipient']),
+      action: (fields.action || '').toLowerCase(),
+      status: (fields.status || '').split(/\s/)[0],
+      diagnosticCode: fields['diagnostic-code'] ? fields['diagnostic-code'].replace(/^[^;]*;\s*/, '') : null
+    }))
+    .filter(entry => entry.recipient);
+
+  return {
+    reportingMta: messageFields['reporting-mta'] ? messageFields['reporting-mta'].replace(/^[^;]*;\s*/, '') : null,
+    recipients
+  };
+};
+
+/**
+ * Classify DSN Recipient
+ *
+ * @param {Object} entry - Recipient from parseDeliveryStatus
+ * @returns {string|null} 'hard_bounce', 'soft_bounce', or null if delivered
+ */
+const classifyRecipient = ({ action, status }) => {
+  if (action === 'delayed') return 'soft_bounce';
+  if (action !== 'failed') return null;
+
+  if (/^4\./.test(status)) return 'soft_bounce';
+  if (TRANSIENT_PERMANENT_STATUSES.some(pattern => pattern.test(status))) return 'soft_bounce';
+  return 'hard_bounce';
+};
+
+/**
+ * Parse Feedback Report
+ *
+ * Parses the body of a message/feedback-report part.
+ *
+ * @param {string} text - Feedback report part
+ * @returns {Object} Feedback type, original recipient and sender
+ */
+const parseFeedbackReport = (text) => {
+  const fields = parseHeaderFields(text);
+  return {
+    feedbackType: (fields['feedback-type'] || 'abuse').toLowerCase(),
+    originalRcptTo: parseTypedAddress(fields['original-rcpt-to']),
+    originalMailFrom: parseTypedAddress(fields['original-mail-from']),
+    userAgent: fields['user-agent'] || null
+  };
+};
+
+/**
+ * @param {Object} attachment - mailparser attachment
+ * @returns {string} Attachment content as text
+ */
+const attachmentText = (attachment) => {
+  const { content } = attachment;
+  return Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+};
+
+/**
+ * Find the header block of the returned original message. Reporting
+ * systems attach it as message/rfc822 or text/rfc822-headers; some
+ * parsers surface the latter as body text, so the text is searched last.
+ *
+ * @param {Object} parsed - mailparser output
+ * @returns {Object} Header field map of the original message
+ */
+const findOriginalHeaders = (parsed) => {
+  const original = (parsed.attachments || [])
+    .find(attachment => ORIGINAL_MESSAGE_TYPES.includes((attachment.contentType || '').toLowerCase()));
+
+  if (original) {
+    return parseHeaderFields(attachmentText(original).split(/\r?\n\r?\n/)[0]);
+  }
+
+  const text = parsed.text || '';
+  const start = text.search(/^X-Shadownews-ID:/mi);
+  if (start === -1) return {};
+
+  // Widen to the surrounding header block
+  const before = text.lastIndexOf('\n\n', start);
+  const after = text.indexOf('\n\n', start);
+  return parseHeaderFields(text.slice(before === -1 ? 0 : before + 2, after === -1 ? undefined : after));
+};
+
+/**
+ * Extract Delivery Report
+ *
+ * Recognizes a parsed inbound message as a DSN or ARF report and reduces
+ * it to per-address delivery events.
+ *
+ * @param {Object} parsed - mailparser output
+ * @returns {Object|null} { format, events[], original } or null if the
+ *   message is not a delivery report
+ */
+const extractReport = (parsed) => {
+  const attachments = parsed.attachments || [];
+  const findPart = type => attachments.find(attachment => (attachment.contentType || '').toLowerCase() === type);
+
+  const statusPart = findPart('message/delivery-status') || findPart('message/global-delivery-status');
+  const feedbackPart = findPart('message/feedback-report');
+  if (!statusPart && !feedbackPart) return null;
+
+  const headers = findOriginalHeaders(parsed);
+  const original = {
+    trackingId: headers['x-shadownews-id'] || null,
+    messageId: headers['message-id'] || null,
+    to: parseTypedAddress(headers.to)
+  };
+
+  if (feedbackPart) {
+    const feedback = parseFeedbackReport(attachmentText(feedbackPart));
+    const email = feedback.originalRcptTo || original.to;
+
+    return {
+      format: 'arf',
+      original,
+      events: email
+        ? [{ email, type: 'complaint', reason: `${feedback.feedbackType} report${feedback.userAgent ? ` via ${feedback.userAgent}` : ''}` }]
+        : []
+    };
+  }
+
+  const { recipients } = parseDeliveryStatus(attachmentText(statusPart));
+
+  return {
+    format: 'dsn',
+    original,
+    events: recipients
+      .map(entry => ({
+        email: entry.recipient,
+        type: classifyRecipient(entry),
+        status: entry.status,
+        reason: entry.diagnosticCode || entry.status
+      }))
+      .filter(event => event.type)
+  };
+};
+
+module.exports = {
+  parseHeaderFields,
+  parseDeliveryStatus,
+  classifyRecipient,
+  parseFeedbackReport,
+  extractReport
+};
@@ -53,6 +53,8 @@
 
 // Date formatting utility for email content
 const { format } = require('date-fns');
+// HTML escaping shared with search snippets
+const { escapeHtml } = require('../services/search/highlight');
 
 /**
  * Email Templates Collection
@@ -901,6 +903,90 @@ View visualization: ${process.env.FRONTEND_URL}/repository/${repository._id}/sno
  })
 };
 
+/**
+ * Digest Email HTML
+ * 
+ * Body of the periodic digest sent by workers/digest.worker: curated
+ * posts, matches for the user's saved searches and growth of their
+ * repositories. Sections with nothing in them are left out. Every value
+ * is HTML-escaped except search match snippets, which arrive already
+ * escaped and highlighted.
+ * 
+ * @param {Object} digest
+ * @param {Object} digest.user - Recipient
+ * @param {Array<Object>} digest.posts - Curated posts
+ * @param {Array<Object>} [digest.alerts] - { name, matches } per saved search
+ * @param {Array<Object>} [digest.repositoryUpdates] - Repositories with newEmails and growth
+ * @param {string} digest.frequency - 'daily', 'weekly' or 'monthly'
+ * @returns {string} HTML
+ */
+const generateDigestHTML = ({ user, posts, alerts = [], repositoryUpdates = [], frequency }) => {
+  const html = (value) => escapeHtml(String(value ?? ''));
+  const frontendUrl = html(process.env.FRONTEND_URL);
+
+  return `
+  <!DOCTYPE html>
+  <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #ff6600; color: #fff; padding: 20px; border-radius: 8px 8px 0 0; }
+        .post { border: 1px solid #e0e0e0; margin: 10px 0; padding: 15px; border-radius: 8px; }
+        .post-title { font-size: 18px; font-weight: bold; color: #333; text-decoration: none; }
+        .post-meta { color: #666; font-size: 14px; margin: 5px 0; }
+        .hashtag { background: #f0f0f0; padding: 2px 8px; border-radius: 12px; font-size: 12px; }
+        .match { margin: 8px 0; }
+        .match mark { background: #fff3cd; }
+        .footer { color: #666; font-size: 12px; margin-top: 30px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Your ${html(frequency)} Shadownews Digest</h1>
+          <p>Picked for ${html(user.username)}</p>
+        </div>
+
+        ${posts.map(post => `
+          <div class="post">
+            <a href="${frontendUrl}/post/${html(post._id)}" class="post-title">${html(post.title)}</a>
+            <div class="post-meta">by ${html(post.author?.username || 'unknown')} • ${html(post.karma || 0)} karma</div>
+            <div>${(post.hashtags || []).map(tag => `<span class="hashtag">#${html(tag.name || tag)}</span>`).join(' ')}</div>
+          </div>
+        `).join('')}
+
+        ${alerts.length > 0 ? `
+          <h2>🔔 New matches for your saved searches</h2>
+          ${alerts.map(alert => `
+            <h3>${html(alert.name)}</h3>
+            ${alert.matches.map(match => `
+              <div class="match">
+                <a href="${html(match.url)}">${match.type === 'comment' ? `Comment on ${html(match.title)}` : html(match.title)}</a>
+                <div class="post-meta">${match.snippet}</div>
+              </div>
+            `).join('')}
+          `).join('')}
+          <p><a href="${frontendUrl}/settings/saved-searches">Manage saved searches</a></p>
+        ` : ''}
+
+        ${repositoryUpdates.length > 0 ? `
+          <h2>📧 Your repositories</h2>
+          ${repositoryUpdates.map(repo => `
+            <p><strong>${html(repo.name)}</strong>: ${html(repo.newEmails)} new emails (+${html(repo.growth)}%)</p>
+          `).join('')}
+        ` : ''}
+
+        <div class="footer">
+          <p>You're receiving this because you subscribed to ${html(frequency)} digests.</p>
+          <p><a href="${frontendUrl}/settings/email">Update preferences</a> | <a href="%unsubscribe_url%">Unsubscribe</a></p>
+        </div>
+      </div>
+    </body>
+  </html>
+`;
+};
+
 // Helper function to send email
 const sendEmail = async (to, template, data) => {
  try {
@@ -946,6 +1032,7 @@ const prepareBatchEmails = (recipients, template, commonData) => {
 
 module.exports = {
  emailTemplates,
+ generateDigestHTML,
  sendEmail,
  prepareBatchEmails
 };
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Email Threading Utilities
+ *
+ * Helpers for mapping ShadowNews posts and comments onto RFC 5322 message
+ * identifiers and back again. Outbound notifications carry a stable
+ * Message-ID per post or comment, so that replies sent from any mail client
+ * can be attached to the right place in the comment tree through their
+ * In-Reply-To and References headers.
+ *
+ * Key Features:
+ * - Deterministic Message-ID generation for posts and comments
+ * - Message-ID parsing back into entity type and ObjectId
+ * - References header construction for nested comment threads
+ * - Removal of quoted history and signatures from reply bodies
+ *
+ * Message-ID Format:
+ * - Posts: <post.{postId}@{inbound domain}>
+ * - Comments: <comment.{commentId}@{inbound domain}>
+ *
+ * Dependencies:
+ * - sanitize-html: Converting HTML-only replies into plain text
+ * - ../config: Inbound email domain
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const sanitizeHtml = require('sanitize-html');
+const config = require('../config');
+
+/**
+ * Entity types that can be addressed by a Message-ID
+ * @constant {string[]}
+ */
+const THREAD_ENTITY_TYPES = ['post', 'comment'];
+
+/**
+ * Lines that introduce quoted history in common mail clients.
+ * Everything from the first match onwards is discarded.
+ * @constant {RegExp[]}
+ */
+const QUOTE_HEADER_PATTERNS = [
+  /^On\s.+wrote:\s*$/i,                          // Gmail, Apple Mail, Thunderbird
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i,      // Outlook (plain text)
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,     // Gmail forwards
+  /^_{10,}\s*$/,                                 // Outlook separator line
+  /^Le\s.+a\s+écrit\s*:\s*$/i,                   // French clients
+  /^Am\s.+schrieb\s.+:\s*$/i                     // German clients
+];
+
+/**
+ * Lines that start a signature block or a mobile client footer.
+ * @constant {RegExp[]}
+ */
+const SIGNATURE_PATTERNS = [
+  /^--$/,                                        // RFC 3676 "-- " delimiter (trimmed)
+  /^Sent from my\s+\w+/i,
+  /^Get Outlook for\s+\w+/i,
+  /^Sent via\s+\w+/i
+];
+
+/**
+ * Get Threading Domain
+ *
+ * Returns the domain used on the right-hand side of generated Message-IDs.
+ *
+ * @returns {string} Inbound email domain
+ */
+const getThreadDomain = () => {
+  return (config.email && config.email.inbound && config.email.inbound.domain) || 'shadownews.community';
+};
+
+/**
+ * Build Message-ID
+ *
+ * Creates the stable Message-ID for a post or comment. The same entity
+ * always yields the same identifier so that every notification about it
+ * threads together in the recipient's mail client.
+ *
+ * @param {string} type - Entity type ('post' or 'comment')
+ * @param {string|ObjectId} id - Entity identifier
+ * @returns {string} Message-ID including angle brackets
+ * @throws {Error} If the entity type is not supported
+ *
+ * @example
+ * buildMessageId('comment', '64b7f0c2e4b0a1a2b3c4d5e6');
+ * // Returns: "<comment.64b7f0c2e4b0a1a2b3c4d5e6@shadownews.community>"
+ */
+const buildMessageId = (type, id) => {
+  if (!THREAD_ENTITY_TYPES.includes(type)) {
+    throw new Error(`Unsupported thread entity type: ${type}`);
+  }
+  return `<${type}.${id.toString()}@${getThreadDomain()}>`;
+};
+
+/**
+ * Parse Message-ID
+ *
+ * Reverses buildMessageId. Identifiers that were not generated by
+ * ShadowNews (or that belong to another domain) return null.
+ *
+ * @param {string} messageId - Message-ID with or without angle brackets
+ * @returns {{type: string, id: string}|null} Parsed entity reference
+ */
+const parseMessageId = (messageId) => {
+  if (!messageId || typeof messageId !== 'string') return null;
+
+  const match = messageId.trim().match(/^<?(post|comment)\.([a-f0-9]{24})@([^>\s]+)>?$/i);
+  if (!match) return null;
+
+  if (match[3].toLowerCase() !== getThreadDomain().toLowerCase()) return null;
+
+  return {
+    type: match[1].toLowerCase(),
+    id: match[2].toLowerCase()
+  };
+};
+
+/**
+ * Normalize References Header
+ *
+ * Mail parsers expose References either as a string or as an array.
+ * This returns an array of individual Message-IDs, oldest first.
+ *
+ * @param {string|string[]} references - Raw References value
+ * @returns {string[]} Individual Message-IDs
+ */
+const normalizeReferences = (references) => {
+  if (!references) return [];
+  const list = Array.isArray(references) ? references : [references];
+  return list
+    .flatMap(ref => String(ref).match(/<[^>]+>/g) || [String(ref)])
+    .map(ref => ref.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Build Thread Headers
+ *
+ * Produces the Message-ID, In-Reply-To and References values for a
+ * notification about a post or comment. The reference chain always
+ * starts with the post so clients group the whole discussion together.
+ *
+ * @param {Object} options - Thread position
+ * @param {string|ObjectId} options.postId - Post the discussion belongs to
+ * @param {string|ObjectId} [options.commentId] - Comment the email is about
+ * @param {Array<string|ObjectId>} [options.ancestorIds] - Ancestor comment IDs, root first
+ * @returns {{messageId: string, inReplyTo: string|undefined, references: string[]}}
+ */
+const buildThreadHeaders = ({ postId, commentId, ancestorIds = [] }) => {
+  const postMessageId = buildMessageId('post', postId);
+
+  if (!commentId) {
+    return { messageId: postMessageId, inReplyTo: undefined, references: [] };
+  }
+
+  const references = [
+    postMessageId,
+    ...ancestorIds.map(id => buildMessageId('comment', id))
+  ];
+
+  return {
+    messageId: buildMessageId('comment', commentId),
+    inReplyTo: references[references.length - 1],
+    references
+  };
+};
+
+/**
+ * Convert HTML Reply to Text
+ *
+ * Flattens an HTML-only reply into text while dropping the quoted blocks
+ * that webmail clients wrap in blockquote or *_quote containers.
+ *
+ * @param {string} html - HTML body of the reply
+ * @returns {string} Plain text body
+ */
+const htmlReplyToText = (html) => {
+  if (!html) return '';
+
+  const withBreaks = html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n');
+
+  // exclusiveFilter only sees allowed tags, so quotes are dropped in a first pass
+  const withoutQuotes = sanitizeHtml(withBreaks, {
+    allowedTags: ['div', 'p', 'span', 'blockquote', 'a', 'b', 'i', 'em', 'strong', 'ul', 'ol', 'li', 'table', 'tbody', 'tr', 'td'],
+    allowedAttributes: { '*': ['class', 'id'] },
+    exclusiveFilter: (frame) => frame.tag === 'blockquote' ||
+      /(gmail_quote|yahoo_quoted|moz-cite-prefix|OutlookMessageHeader)/i.test(frame.attribs.class || frame.attribs.id || '')
+  });
+
+  return sanitizeHtml(withoutQuotes, {
+    allowedTags: [],
+    allowedAttributes: {}
+  })
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Strip Quoted Reply
+ *
+ * Removes quoted history, "On ... wrote:" attributions, Outlook header
+ * blocks and signatures from an email reply, leaving only the text the
+ * sender actually wrote.
+ *
+ * @param {string} text - Plain text body of the reply
+ * @returns {string} Reply text without quotes or signature
+ *
+ * @example
+ * stripQuotedReply('Agreed!\n\nOn Mon, Jan 1, Bob wrote:\n> Original');
+ * // Returns: "Agreed!"
+ */
+const stripQuotedReply = (text) => {
+  if (!text) return '';
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Attribution lines are sometimes wrapped over two lines by the client
+    const joined = `${trimmed} ${(lines[i + 1] || '').trim()}`.trim();
+
+    if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(trimmed) || pattern.test(joined))) {
+      break;
+    }
+
+    // Outlook header block: "From:" followed by Sent/Date/To/Subject lines
+    if (/^From:\s/i.test(trimmed) &&
+        lines.slice(i + 1, i + 4).some(next => /^(Sent|Date|To|Subject):\s/i.test(next.trim()))) {
+      break;
+    }
+
+    if (SIGNATURE_PATTERNS.some(pattern => pattern.test(trimmed))) {
+      break;
+    }
+
+    if (trimmed.startsWith('>')) {
+      continue;
+    }
+
+    kept.push(line);
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Extract Reply Body
+ *
+ * Returns the new content of a reply email, preferring the text part
+ * and falling back to the HTML part when no text alternative exists.
+ *
+ * @param {Object} email - Parsed email
+ * @param {string} [email.text] - Plain text body
+ * @param {string} [email.html] - HTML body
+ * @returns {string} Reply text without quotes or signature
+ */
+const extractReplyBody = ({ text, html }) => {
+  const source = text && text.trim() ? text : htmlReplyToText(html);
+  return stripQuotedReply(source);
+};
+
+module.exports = {
+  THREAD_ENTITY_TYPES,
+  buildMessageId,
+  parseMessageId,
+  normalizeReferences,
+  buildThreadHeaders,
+  htmlReplyToText,
+  stripQuotedReply,
+  extractReplyBody
+};
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview CSV Format Adapters
+ *
+ * Plain CSV, plus the contact CSV dialects exported by Google Contacts and
+ * Outlook. All three are read by csvParser directly; the dialects are
+ * recognized by their header line and come with a column mapping, since
+ * their headers do not always mean what a generic guess would assume
+ * (Outlook's "Title" is the honorific, the job title is "Job Title").
+ * Exports use the same headers, so files re-import into those tools.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const csvParser = require('../csvParser');
+const { fieldKeys } = require('./registry');
+
+/**
+ * @param {string} head - Start of the file
+ * @returns {string[]} Header names of the first line, unquoted
+ */
+const headerLine = (head) => {
+  const line = head.replace(/^\u00EF\u00BB\u00BF/, '').split(/\r?\n/)[0] || '';
+  return line.split(/[,;\t]/).map(header => header.trim().replace(/^"|"$/g, ''));
+};
+
+/**
+ * @param {Object} contact - Contact from toContact
+ * @returns {string} Added date for export
+ */
+const addedAt = (contact) => (contact.addedAt ? contact.addedAt.toISOString() : '');
+
+const csv = {
+  name: 'csv',
+  label: 'CSV',
+  extensions: ['.csv', '.txt'],
+  mimeType: 'text/csv',
+  tabular: true,
+  serialize: (contacts) => {
+    const keys = fieldKeys(contacts);
+    const rows = contacts.map(contact => ({
+      email: contact.email,
+      name: contact.name,
+      company: contact.company,
+      title: contact.title,
+      tags: contact.tags.join(';'),
+      source: contact.source || '',
+      addedAt: addedAt(contact),
+      ...keys.reduce((values, key) => ({ ...values, [key]: contact.fields[key] ?? '' }), {})
+    }));
+
+    return csvParser.generateCSV({
+      fields: ['email', 'name', 'company', 'title', 'tags', 'source', 'addedAt', ...keys],
+      data: rows
+    });
+  }
+};
+
+const google = {
+  name: 'google-csv',
+  label: 'Google Contacts CSV',
+  extensions: ['.csv'],
+  mimeType: 'text/csv',
+  tabular: true,
+  sniff: (head) => headerLine(head).includes('E-mail 1 - Value'),
+  mapping: {
+    email: 'E-mail 1 - Value',
+    name: 'Name',
+    firstName: 'Given Name',
+    lastName: 'Family Name',
+    company: 'Organization 1 - Name',
+    title: 'Organization 1 - Title',
+    tags: 'Group Membership'
+  },
+  serialize: (contacts) => csvParser.generateCSV({
+    fields: ['Name', 'Given Name', 'Family Name', 'E-mail 1 - Type', 'E-mail 1 - Value',
+      'Organization 1 - Name', 'Organization 1 - Title', 'Group Membership'],
+    data: contacts.map(contact => [
+      contact.name,
+      contact.firstName,
+      contact.lastName,
+      '* Other',
+      contact.email,
+      contact.company,
+      contact.title,
+      // Google separates groups with " ::: "
+      contact.tags.join(' ::: ')
+    ])
+  })
+};
+
+const outlook = {
+  name: 'outlook-csv',
+  label: 'Outlook Contacts CSV',
+  extensions: ['.csv'],
+  mimeType: 'text/csv',
+  tabular: true,
+  sniff: (head) => {
+    const headers = headerLine(head);
+    return headers.includes('E-mail Address') && headers.includes('First Name');
+  },
+  mapping: {
+    email: 'E-mail Address',
+    firstName: 'First Name',
+    lastName: 'Last Name',
+    company: 'Company',
+    title: 'Job Title',
+    tags: 'Categories'
+  },
+  serialize: (contacts) => csvParser.generateCSV({
+    fields: ['First Name', 'Last Name', 'E-mail Address', 'E-mail Display Name', 'Company', 'Job Title', 'Categories'],
+    data: contacts.map(contact => [
+      contact.firstName,
+      contact.lastName,
+      contact.email,
+      contact.name,
+      contact.company,
+      contact.title,
+      contact.tags.join(';')
+    ])
+  })
+};
+
+// Plain CSV first, so a .csv file that no dialect recognizes is plain CSV
+module.exports = [csv, google, outlook];
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Contact Format Registry Instance
+ *
+ * Shared format registry with the built-in adapters registered. Additional
+ * formats are added with `formats.register(adapter)`; see ./registry.js
+ * for the adapter shape. Detection tries every sniff first, then the
+ * first adapter registered for the extension; plain CSV is the fallback.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const FormatRegistry = require('./registry');
+const vcardFormats = require('./vcard.format');
+const xlsxFormats = require('./xlsx.format');
+const jsonlFormats = require('./jsonl.format');
+const mboxFormats = require('./mbox.format');
+const csvFormats = require('./csv.format');
+
+const formats = new FormatRegistry();
+
+[...vcardFormats, ...xlsxFormats, ...jsonlFormats, ...mboxFormats, ...csvFormats]
+  .forEach(adapter => formats.register(adapter));
+
+module.exports = formats;
+module.exports.FormatRegistry = FormatRegistry;
+module.exports.toContact = FormatRegistry.toContact;
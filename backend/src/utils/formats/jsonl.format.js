@@ -0,0 +1,85 @@
+/**
+ * @fileoverview JSON Lines Format Adapter
+ *
+ * One JSON object per line, as produced by most data tools. On import,
+ * tags arrays are joined, nested metadata and fields objects are flattened
+ * into columns, and other nested values are kept as JSON text. A line that
+ * is not a JSON object still becomes a row (without an email), so it is
+ * reported as rejected with its line number instead of shifting the rest.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Flatten one parsed line into an import row.
+ *
+ * @param {Object} record - Parsed JSON object
+ * @returns {Object} Row keyed by column name
+ */
+const toRow = (record) => {
+  const { metadata = {}, fields = {}, ...rest } = record;
+  const row = {};
+
+  Object.entries({ ...rest, ...metadata, ...fields }).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      row[key] = value.every(item => typeof item !== 'object') ? value.join(';') : JSON.stringify(value);
+    } else if (typeof value === 'object') {
+      row[key] = JSON.stringify(value);
+    } else {
+      row[key] = String(value);
+    }
+  });
+
+  return row;
+};
+
+/**
+ * Stream the objects of a JSON Lines file as import rows.
+ *
+ * @param {string} filePath - .jsonl file
+ * @yields {Object} One row per non-empty line
+ */
+async function* records(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      record = null;
+    }
+    yield record && typeof record === 'object' && !Array.isArray(record) ? toRow(record) : {};
+  }
+}
+
+module.exports = [{
+  name: 'jsonl',
+  label: 'JSON Lines',
+  extensions: ['.jsonl', '.ndjson'],
+  mimeType: 'application/x-ndjson',
+  sniff: (head) => /^\s*\{.*\}\s*$/.test(head.split(/\r?\n/)[0]),
+  records,
+  serialize: (contacts) => contacts.map(contact => JSON.stringify({
+    email: contact.email,
+    name: contact.name || undefined,
+    company: contact.company || undefined,
+    title: contact.title || undefined,
+    tags: contact.tags,
+    fields: contact.fields,
+    source: contact.source,
+    addedAt: contact.addedAt
+  })).join('\n') + (contacts.length > 0 ? '\n' : '')
+}];
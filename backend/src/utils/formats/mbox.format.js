@@ -0,0 +1,108 @@
+/**
+ * @fileoverview mbox Format Adapter
+ *
+ * Extracts contacts from a mailbox export: every address in the From,
+ * Reply-To, To and Cc headers of every message, once per file, with the
+ * display name from its first appearance. Only headers are read, so
+ * attachments cost nothing but the time to skip them. Import only.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const addressparser = require('nodemailer/lib/addressparser');
+const libmime = require('libmime');
+
+// mbox separator line: "From sender@example.com Mon Jan  1 00:00:00 2024"
+const MBOX_SEPARATOR = /^From \S+/;
+
+// Headers whose addresses are collected
+const ADDRESS_HEADERS = ['from', 'reply-to', 'to', 'cc'];
+
+/**
+ * Addresses in one header value, groups flattened.
+ *
+ * @param {string} value - Unfolded header value
+ * @returns {Object[]} { name, address }
+ */
+const addresses = (value) => addressparser(value, { flatten: true })
+  .filter(entry => entry.address && entry.address.includes('@'));
+
+/**
+ * @param {string} name - Display name, possibly MIME encoded-words
+ * @returns {string} Decoded name
+ */
+const decodeName = (name) => {
+  try {
+    return libmime.decodeWords(name || '').trim();
+  } catch (error) {
+    return (name || '').trim();
+  }
+};
+
+/**
+ * Stream the distinct addresses in an mbox file's headers as import rows.
+ *
+ * @param {string} filePath - mbox file
+ * @yields {Object} { email, name } per distinct address
+ */
+async function* records(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  const seen = new Set();
+  let inHeaders = false;
+  let header = null;
+
+  const collect = function* () {
+    if (!header) return;
+    const colon = header.indexOf(':');
+    const name = header.slice(0, colon).trim().toLowerCase();
+    const value = header.slice(colon + 1).trim();
+    header = null;
+
+    if (colon < 0 || !ADDRESS_HEADERS.includes(name)) return;
+    for (const { name: displayName, address } of addresses(value)) {
+      const email = address.trim().toLowerCase();
+      if (seen.has(email)) continue;
+      seen.add(email);
+      yield { email, name: decodeName(displayName) };
+    }
+  };
+
+  for await (const line of lines) {
+    if (MBOX_SEPARATOR.test(line)) {
+      yield* collect();
+      inHeaders = true;
+      continue;
+    }
+    if (!inHeaders) continue;
+
+    if (line === '') {
+      // End of the header block; the body is skipped up to the next separator
+      yield* collect();
+      inHeaders = false;
+    } else if (/^[ \t]/.test(line)) {
+      if (header !== null) header += ` ${line.trim()}`;
+    } else {
+      yield* collect();
+      header = line;
+    }
+  }
+  yield* collect();
+}
+
+module.exports = [{
+  name: 'mbox',
+  label: 'mbox mailbox (addresses from headers)',
+  extensions: ['.mbox', '.mbx'],
+  mimeType: 'application/mbox',
+  sniff: (head) => /^From \S+ +\w{3} \w{3} /.test(head),
+  records
+}];
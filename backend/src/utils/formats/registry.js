@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Contact Format Registry
+ *
+ * Adapter registry for the file formats repositories are imported from and
+ * exported to. Imports all end up as CSV: tabular formats are handed to
+ * csvParser as they are, other formats are converted to a CSV whose
+ * headers csvParser.suggestMapping recognizes, so preview, column mapping
+ * and the streamed import work the same for every format. Exports start
+ * from plain contact objects (see toContact) and each adapter serializes
+ * them.
+ *
+ * Adapter shape:
+ * - name: Unique format name, used as ?format= on export, e.g. 'vcard'
+ * - label: Shown to users, e.g. 'vCard 4.0'
+ * - extensions: File extensions, first one used for exported files
+ * - mimeType: Content-Type of exported files
+ * - sniff(head): Optional; true if a file starting with head (a latin1
+ *   string of the first bytes) is in this format
+ * - tabular: true if files are CSV that csvParser reads directly
+ * - mapping: Optional column mapping suggested for tabular dialects
+ * - records(filePath): Optional import for non-CSV formats; async iterable
+ *   of flat rows keyed by column name (see CONTACT_COLUMNS)
+ * - serialize(contacts): Optional export; returns a string or Buffer
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csvParser = require('../csvParser');
+
+// Leading columns of converted files, in csvParser's header vocabulary
+const CONTACT_COLUMNS = ['email', 'name', 'first name', 'last name', 'company', 'title', 'tags', 'subscribed'];
+
+// Bytes read for sniffing
+const SNIFF_BYTES = 4096;
+
+// Rows written per chunk when converting
+const WRITE_BATCH = 500;
+
+class FormatRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register a format adapter.
+   *
+   * @param {Object} adapter - Format adapter (see file header)
+   * @returns {FormatRegistry} this, for chaining
+   * @throws {Error} If the adapter is malformed or its name is taken
+   */
+  register(adapter) {
+    if (!adapter || !adapter.name || !Array.isArray(adapter.extensions) || !adapter.mimeType) {
+      throw new Error('Format adapters need a name, extensions and a mimeType');
+    }
+    if (!adapter.tabular && typeof adapter.records !== 'function' && typeof adapter.serialize !== 'function') {
+      throw new Error(`Format ${adapter.name} neither imports nor exports`);
+    }
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`Format ${adapter.name} is already registered`);
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Format name
+   * @returns {Object|undefined} Registered adapter
+   */
+  get(name) {
+    return this.adapters.get(name);
+  }
+
+  /**
+   * @returns {Object[]} All registered adapters, in registration order
+   */
+  list() {
+    return [...this.adapters.values()];
+  }
+
+  /**
+   * @returns {Object[]} Adapters that can import
+   */
+  importers() {
+    return this.list().filter(adapter => adapter.tabular || typeof adapter.records === 'function');
+  }
+
+  /**
+   * @returns {Object[]} Adapters that can export
+   */
+  exporters() {
+    return this.list().filter(adapter => typeof adapter.serialize === 'function');
+  }
+
+  /**
+   * Work out the format of an uploaded file: by content first, then by
+   * extension, else as plain CSV.
+   *
+   * @param {string} filePath - Uploaded file on local disk
+   * @param {string} [fileName] - Original file name
+   * @returns {Promise<Object>} Importing adapter
+   */
+  async detect(filePath, fileName = filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let head;
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+      head = buffer.subarray(0, bytesRead).toString('latin1');
+    } finally {
+      await handle.close();
+    }
+
+    const importers = this.importers();
+    const extension = path.extname(fileName || '').toLowerCase();
+
+    return importers.find(adapter => adapter.sniff && adapter.sniff(head))
+      || importers.find(adapter => adapter.extensions.includes(extension))
+      || this.get('csv');
+  }
+
+  /**
+   * Convert a file in a non-CSV format to CSV for import.
+   *
+   * Reads the file twice: once to collect every column, so rows with
+   * extra fields line up, and once to write. Row order is kept, so row
+   * numbers in rejected-row reports match the source records.
+   *
+   * @param {Object} adapter - Adapter with records()
+   * @param {string} filePath - Source file
+   * @param {string} [outPath] - Where to write; defaults to filePath + '.csv'
+   * @returns {Promise<{filePath: string, rows: number}>} The CSV and its row count
+   */
+  async toCsv(adapter, filePath, outPath = `${filePath}.csv`) {
+    const columns = new Set(CONTACT_COLUMNS);
+    const used = new Set();
+    for await (const row of adapter.records(filePath)) {
+      Object.keys(row).forEach(column => {
+        columns.add(column);
+        used.add(column);
+      });
+    }
+
+    // Keep the email column even if no record had one, so the preview can say so
+    const header = [...columns].filter(column => column === 'email' || used.has(column));
+    const out = fs.createWriteStream(outPath);
+    const write = (text) => new Promise((resolve, reject) => {
+      out.write(text, error => (error ? reject(error) : resolve()));
+    });
+
+    let rows = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await write(`${csvParser.generateCSV(batch, { columns: header, header: false })}\r\n`);
+      batch = [];
+    };
+
+    try {
+      await write(`${csvParser.generateCSV({ fields: header, data: [] })}\r\n`);
+      for await (const row of adapter.records(filePath)) {
+        batch.push(row);
+        rows++;
+        if (batch.length >= WRITE_BATCH) await flush();
+      }
+      await flush();
+    } finally {
+      await new Promise(resolve => out.end(resolve));
+    }
+
+    return { filePath: outPath, rows };
+  }
+
+  /**
+   * The adapter's suggested mapping, limited to the columns present.
+   *
+   * @param {Object} adapter - Importing adapter
+   * @param {Array<string>} headers - Headers of the file
+   * @returns {Object|null} Mapping, or null if it maps no email column
+   */
+  suggestMapping(adapter, headers) {
+    if (!adapter.mapping) return null;
+
+    const present = new Set(headers);
+    const mapping = Object.entries(adapter.mapping)
+      .filter(([, header]) => present.has(header))
+      .reduce((result, [field, header]) => ({ ...result, [field]: header }), { fields: {} });
+
+    return mapping.email ? mapping : null;
+  }
+}
+
+/**
+ * Plain contact for export from a repository email entry.
+ *
+ * @param {Object} entry - Repository email entry
+ * @returns {Object} { email, name, firstName, lastName, company, title,
+ *   tags, fields, source, addedAt }
+ */
+const toContact = (entry) => {
+  const name = entry.name || '';
+  const split = name.lastIndexOf(' ');
+  const metadata = entry.metadata || {};
+  const fields = entry.fields instanceof Map ? Object.fromEntries(entry.fields) : { ...(entry.fields || {}) };
+
+  return {
+    email: entry.email,
+    name,
+    firstName: split > 0 ? name.slice(0, split) : name,
+    lastName: split > 0 ? name.slice(split + 1) : '',
+    company: metadata.company || '',
+    title: metadata.title || '',
+    tags: metadata.tags ? [...metadata.tags] : [],
+    fields,
+    source: entry.source,
+    addedAt: entry.addedAt ? new Date(entry.addedAt) : null
+  };
+};
+
+/**
+ * Custom field keys across contacts, in first-seen order.
+ *
+ * @param {Object[]} contacts - Contacts from toContact
+ * @returns {string[]} Field keys
+ */
+const fieldKeys = (contacts) => [...new Set(contacts.flatMap(contact => Object.keys(contact.fields)))];
+
+module.exports = FormatRegistry;
+module.exports.CONTACT_COLUMNS = CONTACT_COLUMNS;
+module.exports.toContact = toContact;
+module.exports.fieldKeys = fieldKeys;
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview vCard Format Adapters
+ *
+ * Import of vCard 3.0 and 4.0 address books (one or many cards per file)
+ * and export in either version. A card becomes one row with its preferred
+ * email address; FN, N, ORG, TITLE and CATEGORIES become name, company,
+ * title and tags. Custom fields are written as X-SHADOWNEWS-<FIELD>
+ * properties and read back the same way.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { fieldKeys } = require('./registry');
+
+// Prefix of the properties custom fields are exported as
+const FIELD_PREFIX = 'X-SHADOWNEWS-';
+
+// Content lines are folded at 75 octets (RFC 6350 3.2)
+const MAX_LINE = 75;
+
+/**
+ * @param {string} value - Property value as written
+ * @returns {string} Value with \n, \, \; and \\ unescaped
+ */
+const unescape = (value) => value.replace(/\\([nN,;\\])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+/**
+ * @param {string} value - Text value
+ * @returns {string} Value escaped for a vCard property
+ */
+const escape = (value) => String(value).replace(/[\\,;]/g, '\\$&').replace(/\r?\n/g, '\\n');
+
+/**
+ * Split a value on an unescaped separator.
+ *
+ * @param {string} value - Structured value, e.g. N or CATEGORIES
+ * @param {string} separator - ';' or ','
+ * @returns {string[]} Unescaped components
+ */
+const splitValue = (value, separator) => {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts.map(unescape);
+};
+
+/**
+ * Parse one unfolded content line.
+ *
+ * @param {string} line - e.g. 'item1.EMAIL;TYPE=INTERNET,pref:bob@example.com'
+ * @returns {Object|null} { name, params, value }, name upper-cased without group
+ */
+const parseLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon < 0) return null;
+
+  const [property, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, value = ''] = param.split('=');
+    // vCard 2.1 style bare types, e.g. EMAIL;PREF;INTERNET
+    const name = value ? key.toUpperCase() : 'TYPE';
+    params[name] = [...(params[name] || []), ...(value || key).replace(/"/g, '').toLowerCase().split(',')];
+  });
+
+  return { name: property.split('.').pop().toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Turn the properties of one card into an import row.
+ *
+ * @param {Object[]} properties - Parsed content lines of the card
+ * @returns {Object} Row keyed by column name
+ */
+const toRow = (properties) => {
+  const row = {};
+  const emails = properties.filter(property => property.name === 'EMAIL' && property.value.trim());
+
+  // vCard 4 marks preference with PREF=1 (lowest wins), vCard 3 with TYPE=pref
+  const rank = ({ params }) => (params.PREF ? Number(params.PREF[0]) || 100 : (params.TYPE || []).includes('pref') ? 1 : 101);
+  const preferred = emails.sort((a, b) => rank(a) - rank(b))[0];
+  row.email = preferred ? unescape(preferred.value.trim()).replace(/^mailto:/i, '') : '';
+
+  properties.forEach(({ name, value }) => {
+    if (name === 'FN') row.name = unescape(value).trim();
+    if (name === 'N') {
+      const [family = '', given = ''] = splitValue(value, ';');
+      if (given.trim()) row['first name'] = given.trim();
+      if (family.trim()) row['last name'] = family.trim();
+    }
+    if (name === 'ORG') row.company = splitValue(value, ';')[0].trim();
+    if (name === 'TITLE') row.title = unescape(value).trim();
+    if (name === 'CATEGORIES') {
+      row.tags = splitValue(value, ',').map(tag => tag.trim()).filter(Boolean).join(';');
+    }
+    if (name.startsWith(FIELD_PREFIX)) {
+      row[name.slice(FIELD_PREFIX.length).toLowerCase().replace(/-/g, '_')] = unescape(value);
+    }
+  });
+
+  return row;
+};
+
+/**
+ * Stream the cards of a vCard file as import rows.
+ *
+ * @param {string} filePath - .vcf file
+ * @yields {Object} One row per card
+ */
+async function* records(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  let card = null;
+  let pending = null;
+
+  const take = () => {
+    if (pending !== null && card) {
+      const property = parseLine(pending);
+      if (property) card.push(property);
+    }
+    pending = null;
+  };
+
+  for await (const rawLine of lines) {
+    const line = rawLine.replace(/^\uFEFF/, '');
+
+    // Folded continuation: leading space or tab
+    if (/^[ \t]/.test(line) && pending !== null) {
+      pending += line.slice(1);
+      continue;
+    }
+    take();
+
+    if (/^BEGIN:VCARD$/i.test(line.trim())) {
+      card = [];
+    } else if (/^END:VCARD$/i.test(line.trim())) {
+      if (card) yield toRow(card);
+      card = null;
+    } else if (card && line.trim()) {
+      pending = line;
+    }
+  }
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a character.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line(s) joined with CRLF + space
+ */
+const fold = (line) => {
+  const parts = [];
+  let current = '';
+  let width = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (width + size > (parts.length === 0 ? MAX_LINE : MAX_LINE - 1)) {
+      parts.push(current);
+      current = '';
+      width = 0;
+    }
+    current += char;
+    width += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build an export serializer for one vCard version.
+ *
+ * @param {string} version - '3.0' or '4.0'
+ * @returns {Function} (contacts) => vCard text
+ */
+const serializer = (version) => (contacts) => {
+  const keys = fieldKeys(contacts);
+
+  return contacts.map(contact => {
+    const lines = [
+      'BEGIN:VCARD',
+      `VERSION:${version}`,
+      `FN:${escape(contact.name || contact.email)}`,
+      `N:${escape(contact.lastName)};${escape(contact.firstName)};;;`,
+      version === '4.0' ? `EMAIL;PREF=1:${contact.email}` : `EMAIL;TYPE=INTERNET,PREF:${contact.email}`
+    ];
+    if (contact.company) lines.push(`ORG:${escape(contact.company)}`);
+    if (contact.title) lines.push(`TITLE:${escape(contact.title)}`);
+    if (contact.tags.length > 0) lines.push(`CATEGORIES:${contact.tags.map(escape).join(',')}`);
+    keys
+      .filter(key => contact.fields[key] !== undefined && contact.fields[key] !== null && contact.fields[key] !== '')
+      .forEach(key => lines.push(`${FIELD_PREFIX}${key.toUpperCase().replace(/_/g, '-')}:${escape(contact.fields[key])}`));
+    lines.push('END:VCARD');
+
+    return lines.map(fold).join('\r\n');
+  }).join('\r\n') + (contacts.length > 0 ? '\r\n' : '');
+};
+
+module.exports = [
+  {
+    name: 'vcard',
+    label: 'vCard 4.0',
+    extensions: ['.vcf', '.vcard'],
+    mimeType: 'text/vcard',
+    sniff: (head) => /^(\u00EF\u00BB\u00BF)?\s*BEGIN:VCARD/i.test(head),
+    records,
+    serialize: serializer('4.0')
+  },
+  {
+    name: 'vcard3',
+    label: 'vCard 3.0',
+    extensions: ['.vcf'],
+    mimeType: 'text/vcard',
+    serialize: serializer('3.0')
+  }
+];
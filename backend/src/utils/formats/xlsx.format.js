@@ -0,0 +1,105 @@
+/**
+ * @fileoverview XLSX Format Adapter
+ *
+ * Excel workbooks. Imports read the first worksheet as a stream, taking
+ * its first row as headers, so large sheets do not have to fit in memory.
+ * Cell values are reduced to text: rich text is joined, mailto: links give
+ * their address, formulas their cached result and dates ISO strings.
+ * Exports write one "Emails" sheet with the same columns as CSV export.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const ExcelJS = require('exceljs');
+const { fieldKeys } = require('./registry');
+
+/**
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} Cell text
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.hyperlink) return String(value.hyperlink).replace(/^mailto:/i, '') || cellText(value.text);
+  if ('result' in value) return cellText(value.result);
+  if (value.text !== undefined) return cellText(value.text);
+  return '';
+};
+
+/**
+ * Stream the rows of the first worksheet as import rows.
+ *
+ * @param {string} filePath - .xlsx file
+ * @yields {Object} One row per non-empty sheet row after the header
+ */
+async function* records(filePath) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: 'cache',
+    hyperlinks: 'cache',
+    worksheets: 'emit'
+  });
+
+  for await (const worksheet of workbook) {
+    let headers = null;
+
+    for await (const sheetRow of worksheet) {
+      // row.values is 1-based
+      const values = sheetRow.values.slice(1).map(cellText);
+      if (!headers) {
+        headers = values.map(header => header.trim());
+        continue;
+      }
+      if (values.every(value => !value.trim())) continue;
+
+      yield headers.reduce((row, header, index) => (
+        header ? { ...row, [header]: values[index] || '' } : row
+      ), {});
+    }
+
+    // Only the first worksheet is imported
+    return;
+  }
+}
+
+module.exports = [{
+  name: 'xlsx',
+  label: 'Excel (XLSX)',
+  extensions: ['.xlsx'],
+  mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  // ZIP container; the extension tells it apart from other ZIP files
+  records,
+  serialize: async (contacts) => {
+    const keys = fieldKeys(contacts);
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Emails');
+
+    sheet.columns = [
+      { header: 'email', key: 'email', width: 32 },
+      { header: 'name', key: 'name', width: 24 },
+      { header: 'company', key: 'company', width: 24 },
+      { header: 'title', key: 'title', width: 24 },
+      { header: 'tags', key: 'tags', width: 24 },
+      { header: 'source', key: 'source', width: 10 },
+      { header: 'addedAt', key: 'addedAt', width: 20 },
+      ...keys.map(key => ({ header: key, key: `field:${key}`, width: 16 }))
+    ];
+    contacts.forEach(contact => sheet.addRow({
+      email: contact.email,
+      name: contact.name,
+      company: contact.company,
+      title: contact.title,
+      tags: contact.tags.join(';'),
+      source: contact.source,
+      addedAt: contact.addedAt,
+      ...keys.reduce((values, key) => ({ ...values, [`field:${key}`]: contact.fields[key] }), {})
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}];
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Inbound Address Utilities
+ *
+ * Helpers for the per-repository inbound addresses. Every repository can
+ * be mailed at <slug>@{inbound domain}, and at each of its inbound aliases;
+ * slugs and aliases share one namespace. A "+tag" suffix selects what the
+ * mail is for, e.g. <slug>+post@{inbound domain}. Mail without a tag is
+ * treated as a post.
+ *
+ * Key Features:
+ * - Repository address generation from a slug
+ * - Recipient parsing back into slug and tag
+ * - Reserved local parts (reply address, postmaster, abuse) never match
+ *   a repository
+ *
+ * Dependencies:
+ * - ../config: Inbound email domain and reply address
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const config = require('../config');
+
+/**
+ * Tags accepted after "+" on a repository address
+ * @constant {string[]}
+ */
+const REPOSITORY_ADDRESS_TAGS = ['post'];
+
+/**
+ * Local parts that belong to the platform rather than to a repository
+ * @constant {string[]}
+ */
+const RESERVED_LOCAL_PARTS = ['postmaster', 'abuse', 'noreply', 'no-reply'];
+
+/**
+ * Shape of a repository alias: lower-case letters, digits, dots, hyphens
+ * and underscores, without "+" so tags stay unambiguous
+ * @constant {RegExp}
+ */
+const ALIAS_PATTERN = /^[a-z0-9](?:[a-z0-9._-]{0,62}[a-z0-9])?$/;
+
+/**
+ * Get Inbound Domain
+ *
+ * @returns {string} Lower-cased inbound email domain
+ */
+const getInboundDomain = () => {
+  return ((config.email && config.email.inbound && config.email.inbound.domain) || 'shadownews.community').toLowerCase();
+};
+
+/**
+ * Is Reserved Local Part
+ *
+ * @param {string} localPart - Lower-cased local part without tag
+ * @returns {boolean} True if the address is not available to repositories
+ */
+const isReservedLocalPart = (localPart) => {
+  const replyAddress = (config.email && config.email.inbound && config.email.inbound.replyAddress) || '';
+  const replyLocalPart = replyAddress.split('@')[0].toLowerCase();
+  return RESERVED_LOCAL_PARTS.includes(localPart) || localPart === replyLocalPart;
+};
+
+/**
+ * Build Repository Address
+ *
+ * @param {string} slug - Repository slug
+ * @param {string} [tag] - Optional tag from REPOSITORY_ADDRESS_TAGS
+ * @returns {string} Inbound address for the repository
+ *
+ * @example
+ * buildRepositoryAddress('tech-news', 'post');
+ * // Returns: "tech-news+post@shadownews.community"
+ */
+const buildRepositoryAddress = (slug, tag) => {
+  const localPart = tag ? `${slug}+${tag}` : slug;
+  return `${localPart}@${getInboundDomain()}`;
+};
+
+/**
+ * Parse Repository Address
+ *
+ * Reverses buildRepositoryAddress. Addresses on another domain, reserved
+ * local parts and unknown tags return null.
+ *
+ * @param {string} address - Recipient address
+ * @returns {{slug: string, tag: string}|null} Parsed repository address;
+ *   slug is the local part, which may be an alias
+ */
+const parseRepositoryAddress = (address) => {
+  if (!address || typeof address !== 'string') return null;
+
+  const match = address.trim().toLowerCase().match(/^<?([^@\s<>]+)@([^@\s<>]+?)>?$/);
+  if (!match || match[2] !== getInboundDomain()) return null;
+
+  const [slug, tag = 'post', ...rest] = match[1].split('+');
+  if (rest.length > 0 || !slug || !REPOSITORY_ADDRESS_TAGS.includes(tag)) return null;
+  if (isReservedLocalPart(slug)) return null;
+
+  return { slug, tag };
+};
+
+module.exports = {
+  REPOSITORY_ADDRESS_TAGS,
+  RESERVED_LOCAL_PARTS,
+  ALIAS_PATTERN,
+  isReservedLocalPart,
+  buildRepositoryAddress,
+  parseRepositoryAddress
+};
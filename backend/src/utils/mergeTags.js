@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Merge Tag Utilities
+ *
+ * Per-recipient personalization for mail sent to a repository's email
+ * list. Tags name a property of the recipient's entry, with an optional
+ * fallback used when the entry has no value:
+ *
+ *   Hi {{name|there}}, your plan is {{fields.plan|free}}.
+ *
+ * Key Features:
+ * - {{email}}, {{name}}, {{company}} and {{title}} from the entry
+ * - {{fields.<key>}} for the repository's custom fields
+ * - Dates rendered as YYYY-MM-DD, booleans as yes/no
+ * - Unknown tags render as their fallback, or as nothing
+ * - An escape function for values placed in HTML
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// {{ path | fallback }}; the fallback may not contain braces
+const MERGE_TAG = /\{\{\s*([a-zA-Z][\w.]*)\s*(?:\|([^{}]*))?\}\}/g;
+
+/**
+ * @param {*} value - Stored value
+ * @returns {string} Value as it appears in mail
+ */
+const formatValue = (value) => {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+};
+
+/**
+ * Resolve a tag path against a repository email entry.
+ *
+ * @param {Object} entry - RepositoryMember document
+ * @param {string} tagPath - e.g. 'name' or 'fields.plan'
+ * @returns {*} The value, or undefined if the entry has none
+ */
+const resolveTag = (entry, tagPath) => {
+  const [root, key, ...rest] = tagPath.split('.');
+  if (rest.length > 0) return undefined;
+
+  if (root === 'fields') {
+    if (!key || !entry.fields) return undefined;
+    return entry.fields instanceof Map ? entry.fields.get(key) : entry.fields[key];
+  }
+  if (key) return undefined;
+
+  switch (root) {
+    case 'email':
+      return entry.email;
+    case 'name':
+      return entry.name;
+    case 'company':
+    case 'title':
+      return entry.metadata ? entry.metadata[root] : undefined;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Render Merge Tags
+ *
+ * @param {string} template - Text containing merge tags
+ * @param {Object} entry - Recipient's RepositoryMember document
+ * @param {Object} [options]
+ * @param {Function} [options.escape] - Applied to every substituted value,
+ *   e.g. HTML escaping
+ * @returns {string} The text with every tag replaced
+ *
+ * @example
+ * renderMergeTags('Hi {{name|there}}', { email: 'ana@example.com', name: 'Ana' });
+ * // Returns: 'Hi Ana'
+ */
+const renderMergeTags = (template, entry, { escape = value => value } = {}) => {
+  if (!template || !template.includes('{{')) return template;
+
+  return template.replace(MERGE_TAG, (tag, tagPath, fallback) => {
+    const value = resolveTag(entry, tagPath);
+    const text = value === undefined || value === null || value === '' ? (fallback || '').trim() : formatValue(value);
+    return escape(text);
+  });
+};
+
+module.exports = {
+  renderMergeTags
+};
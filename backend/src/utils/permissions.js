@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Repository Permission Utilities
+ *
+ * The permission matrix behind repository collaborator roles. Every
+ * collaborator has one role; a role is a set of permissions. Repositories
+ * offer the built-in roles below, and owners can define custom roles from
+ * the same permissions. The owner has every permission.
+ *
+ * Permissions are enforced per route by authorize.middleware, and by
+ * Repository#hasPermission wherever a repository is changed outside an
+ * HTTP request (e.g. email commands).
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+/**
+ * Actions a role can be granted
+ * @constant {Object<string, string>}
+ */
+const PERMISSIONS = {
+  'members.view': 'See the email list, its segments and its history',
+  'members.export': 'Download the email list',
+  'members.add': 'Add, import and edit members',
+  'members.remove': 'Remove members',
+  'list.send': 'Post to the list and manage the segments sends and digests go to',
+  'settings.edit': 'Change repository details, settings and custom fields',
+  'collaborators.manage': 'Add and remove collaborators and change their roles',
+  'snowball.toggle': 'Turn snowball growth on and off'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+/**
+ * Roles every repository offers; custom roles cannot reuse these keys
+ * @constant {Object<string, Object>}
+ */
+const BUILT_IN_ROLES = {
+  admin: {
+    name: 'Admin',
+    permissions: ALL_PERMISSIONS
+  },
+  moderator: {
+    name: 'Moderator',
+    permissions: ALL_PERMISSIONS.filter(permission => permission !== 'collaborators.manage')
+  },
+  contributor: {
+    name: 'Contributor',
+    permissions: ['members.view', 'members.add', 'list.send']
+  },
+  viewer: {
+    name: 'Viewer',
+    permissions: ['members.view']
+  }
+};
+
+// Role name reported for the owner
+const OWNER_ROLE = 'owner';
+
+// Custom role keys: lowercase letters, digits, hyphens and underscores
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_-]{1,29}$/;
+
+/**
+ * @param {*} id - ObjectId, string or populated document
+ * @returns {string} The id as a string
+ */
+const idOf = (id) => String(id && id._id ? id._id : id);
+
+/**
+ * @param {Object} repository - Repository document or lean object
+ * @param {string} role - Role key
+ * @returns {Object|null} { key, name, permissions, builtIn } or null if the
+ *   repository has no such role
+ */
+const findRole = (repository, role) => {
+  if (BUILT_IN_ROLES[role]) {
+    return { key: role, ...BUILT_IN_ROLES[role], builtIn: true };
+  }
+  const custom = (repository.customRoles || []).find(candidate => candidate.key === role);
+  return custom
+    ? { key: custom.key, name: custom.name, permissions: [...custom.permissions], builtIn: false }
+    : null;
+};
+
+/**
+ * @param {Object} repository - Repository document or lean object
+ * @returns {Array<Object>} Built-in roles followed by custom ones
+ */
+const listRoles = (repository) => [
+  ...Object.keys(BUILT_IN_ROLES),
+  ...(repository.customRoles || []).map(role => role.key)
+].map(key => findRole(repository, key));
+
+/**
+ * @param {Object} repository - Repository document or lean object
+ * @param {*} userId - User
+ * @returns {string|null} 'owner', the collaborator's role key, or null for
+ *   users who are neither
+ */
+const roleOf = (repository, userId) => {
+  if (!userId) return null;
+  if (idOf(repository.owner) === idOf(userId)) return OWNER_ROLE;
+
+  const collaborator = (repository.collaborators || []).find(candidate =>
+    candidate && candidate.user && idOf(candidate.user) === idOf(userId)
+  );
+  return collaborator ? collaborator.role : null;
+};
+
+/**
+ * @param {Object} repository - Repository document or lean object
+ * @param {*} userId - User
+ * @returns {string[]} The user's permissions on the repository; none if the
+ *   collaborator's role no longer exists
+ */
+const permissionsFor = (repository, userId) => {
+  const role = roleOf(repository, userId);
+  if (role === OWNER_ROLE) return [...ALL_PERMISSIONS];
+  if (!role) return [];
+
+  const found = findRole(repository, role);
+  return found ? found.permissions : [];
+};
+
+/**
+ * @param {Object} repository - Repository document or lean object
+ * @param {*} userId - User
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} True if the user has the permission
+ */
+const hasPermission = (repository, userId, permission) =>
+  permissionsFor(repository, userId).includes(permission);
+
+/**
+ * Check a custom role definition.
+ *
+ * @param {Object} role - { key, name, permissions }
+ * @returns {string[]} Problems found; empty if the role is valid
+ */
+const validateRole = ({ key, name, permissions } = {}) => {
+  const errors = [];
+
+  if (typeof key !== 'string' || !ROLE_KEY_PATTERN.test(key)) {
+    errors.push('Role keys are 2-30 lowercase letters, digits, hyphens or underscores, starting with a letter');
+  } else if (BUILT_IN_ROLES[key] || key === OWNER_ROLE) {
+    errors.push(`"${key}" is a built-in role`);
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 50) {
+    errors.push('Role names are 1-50 characters');
+  }
+  if (!Array.isArray(permissions)) {
+    errors.push('permissions must be a list');
+  } else {
+    permissions
+      .filter(permission => !PERMISSIONS[permission])
+      .forEach(permission => errors.push(`Unknown permission "${permission}"`));
+  }
+
+  return errors;
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  OWNER_ROLE,
+  findRole,
+  listRoles,
+  roleOf,
+  permissionsFor,
+  hasPermission,
+  validateRole
+};
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Segment Filter Utilities
+ *
+ * The filter language behind saved segments of a repository's email list,
+ * and its compilation to a MongoDB query over RepositoryMember documents.
+ *
+ * A filter is a condition or a group of filters:
+ *
+ *   { "all": [
+ *     { "field": "tags", "op": "includes", "value": "vip" },
+ *     { "any": [
+ *       { "field": "domain", "op": "in", "value": ["acme.com", "acme.io"] },
+ *       { "field": "fields.plan", "op": "eq", "value": "enterprise" }
+ *     ] },
+ *     { "not": { "field": "status", "op": "in", "value": ["bounced", "complained"] } },
+ *     { "field": "joinedAt", "op": "withinDays", "value": 30 }
+ *   ] }
+ *
+ * Key Features:
+ * - Member fields: tags, status, consent, source, verified, optedOut,
+ *   domain, qualityScore, opens, clicks, lastEngagedAt and joinedAt
+ * - Custom fields as fields.<key>, typed by the repository's customFields
+ * - Operators checked against the field's type, values converted to it
+ * - Relative dates (withinDays) resolved when the query is compiled, so a
+ *   saved segment stays current
+ * - Limits on nesting and size, since filters come from API clients
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+/**
+ * Member fields a condition can test, with their path in RepositoryMember
+ * @constant {Object<string, Object>}
+ */
+const SEGMENT_FIELDS = {
+  tags: { path: 'metadata.tags', type: 'tags' },
+  status: { path: 'status', type: 'enum', values: ['active', 'soft_bouncing', 'bounced', 'complained'] },
+  consent: { path: 'consent.status', type: 'enum', values: ['pending', 'confirmed', 'revoked'] },
+  source: { path: 'source', type: 'enum', values: ['manual', 'csv', 'snowball', 'api', 'merge'] },
+  verified: { path: 'verified', type: 'boolean' },
+  optedOut: { path: 'optedOut', type: 'boolean' },
+  domain: { path: 'domain', type: 'domain' },
+  qualityScore: { path: 'qualityScore', type: 'number' },
+  opens: { path: 'engagement.opens', type: 'number' },
+  clicks: { path: 'engagement.clicks', type: 'number' },
+  lastEngagedAt: { path: 'engagement.lastEngagedAt', type: 'date' },
+  joinedAt: { path: 'addedAt', type: 'date' }
+};
+
+/**
+ * Operators each field type accepts
+ * @constant {Object<string, string[]>}
+ */
+const SEGMENT_OPERATORS = {
+  tags: ['includes', 'includesAny', 'includesAll', 'excludes', 'exists'],
+  enum: ['eq', 'ne', 'in', 'nin', 'exists'],
+  domain: ['eq', 'ne', 'in', 'nin', 'exists'],
+  text: ['eq', 'ne', 'in', 'nin', 'contains', 'exists'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'exists'],
+  date: ['gt', 'gte', 'lt', 'lte', 'between', 'withinDays', 'exists'],
+  boolean: ['eq', 'exists']
+};
+
+// Operators whose value is a list
+const LIST_OPERATORS = ['in', 'nin', 'includesAny', 'includesAll'];
+
+// Nesting depth and number of conditions allowed in one filter
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} text - Literal text
+ * @returns {string} Text safe to use inside a regular expression
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Field a condition refers to.
+ *
+ * @param {string} name - Member field or fields.<key>
+ * @param {Array<Object>} customFields - repository.customFields
+ * @returns {Object|null} { path, type, values }, or null if unknown
+ */
+const resolveField = (name, customFields) => {
+  if (typeof name !== 'string') return null;
+
+  if (name.startsWith('fields.')) {
+    const definition = customFields.find(field => `fields.${field.key}` === name);
+    if (!definition) return null;
+    return {
+      path: name,
+      type: definition.type,
+      values: definition.type === 'enum' ? [...(definition.options || [])] : undefined
+    };
+  }
+
+  return Object.prototype.hasOwnProperty.call(SEGMENT_FIELDS, name) ? SEGMENT_FIELDS[name] : null;
+};
+
+/**
+ * Convert one condition value to the field's type.
+ *
+ * @param {*} value - Value from the filter
+ * @param {Object} field - Resolved field
+ * @returns {*} Converted value, or undefined if it does not fit
+ */
+const convertValue = (value, field) => {
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'date': {
+      if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return undefined;
+    case 'domain':
+      return typeof value === 'string' && value.trim() ? value.trim().toLowerCase().replace(/^@/, '') : undefined;
+    case 'enum':
+      return typeof value === 'string' && field.values.includes(value) ? value : undefined;
+    default:
+      return typeof value === 'string' ? value : undefined;
+  }
+};
+
+/**
+ * Compile one condition, collecting problems instead of throwing.
+ *
+ * @param {Object} condition - { field, op, value }
+ * @param {string} at - Position in the filter, for messages
+ * @param {Object} context - { customFields, now, problems }
+ * @returns {Object} MongoDB query for the condition
+ */
+const compileCondition = (condition, at, context) => {
+  const { field: name, op, value } = condition;
+  const field = resolveField(name, context.customFields);
+  const problem = message => {
+    context.problems.push(`${at}: ${message}`);
+    return {};
+  };
+
+  if (!field) return problem(`unknown field "${name}"`);
+  if (!SEGMENT_OPERATORS[field.type].includes(op)) {
+    return problem(`"${op}" does not apply to ${name}; use ${SEGMENT_OPERATORS[field.type].join(', ')}`);
+  }
+
+  if (op === 'exists') {
+    if (typeof value !== 'boolean') return problem('exists takes true or false');
+    if (field.type === 'tags') return { [`${field.path}.0`]: { $exists: value } };
+    return { [field.path]: value ? { $nin: [null, ''] } : { $in: [null, ''] } };
+  }
+
+  if (op === 'withinDays') {
+    const days = Number(value);
+    if (!Number.isFinite(days) || days <= 0) return problem('withinDays takes a positive number of days');
+    return { [field.path]: { $gte: new Date(context.now.getTime() - days * DAY_MS) } };
+  }
+
+  if (op === 'between') {
+    const bounds = Array.isArray(value) && value.length === 2 ? value.map(bound => convertValue(bound, field)) : [];
+    if (bounds.length !== 2 || bounds.includes(undefined)) {
+      return problem(`between takes two ${field.type} values`);
+    }
+    return { [field.path]: { $gte: bounds[0], $lte: bounds[1] } };
+  }
+
+  // excludes takes one tag or a list
+  const list = LIST_OPERATORS.includes(op) || (op === 'excludes' && Array.isArray(value));
+  if (list && (!Array.isArray(value) || value.length === 0 || value.length > 100)) {
+    return problem(`${op} takes a list of 1 to 100 values`);
+  }
+
+  const values = (list ? value : [value]).map(item => convertValue(item, field.type === 'tags' ? { type: 'text' } : field));
+  if (values.includes(undefined)) {
+    return problem(field.values
+      ? `value must be one of ${field.values.join(', ')}`
+      : `value must be ${field.type === 'tags' ? 'a tag' : `a ${field.type}`}`);
+  }
+
+  const [single] = values;
+  switch (op) {
+    case 'eq':
+    case 'includes':
+      return { [field.path]: single };
+    case 'ne':
+      return { [field.path]: { $ne: single } };
+    case 'in':
+    case 'includesAny':
+      return { [field.path]: { $in: values } };
+    case 'nin':
+    case 'excludes':
+      return { [field.path]: { $nin: values } };
+    case 'includesAll':
+      return { [field.path]: { $all: values } };
+    case 'contains':
+      return { [field.path]: { $regex: escapeRegExp(single), $options: 'i' } };
+    default:
+      // gt, gte, lt, lte
+      return { [field.path]: { [`$${op}`]: single } };
+  }
+};
+
+/**
+ * Compile a filter or group, collecting problems instead of throwing.
+ *
+ * @param {Object} filter - Condition or group
+ * @param {string} at - Position in the filter, for messages
+ * @param {number} depth - Nesting level
+ * @param {Object} context - { customFields, now, problems, conditions }
+ * @returns {Object} MongoDB query
+ */
+const compileNode = (filter, at, depth, context) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    context.problems.push(`${at}: must be a condition or a group`);
+    return {};
+  }
+  if (depth > MAX_DEPTH) {
+    context.problems.push(`${at}: groups can be nested ${MAX_DEPTH} deep at most`);
+    return {};
+  }
+
+  if ('not' in filter) {
+    return { $nor: [compileNode(filter.not, `${at}.not`, depth + 1, context)] };
+  }
+
+  const group = ['all', 'any'].find(key => key in filter);
+  if (group) {
+    const members = filter[group];
+    if (!Array.isArray(members)) {
+      context.problems.push(`${at}.${group}: must be a list`);
+      return {};
+    }
+    if (members.length === 0) {
+      // Everyone matches an empty "all"; nobody an empty "any"
+      return group === 'all' ? {} : { _id: { $exists: false } };
+    }
+    const queries = members.map((member, index) => compileNode(member, `${at}.${group}[${index}]`, depth + 1, context));
+    return { [group === 'all' ? '$and' : '$or']: queries };
+  }
+
+  context.conditions += 1;
+  if (context.conditions === MAX_CONDITIONS + 1) {
+    context.problems.push(`filter: ${MAX_CONDITIONS} conditions at most`);
+  }
+  return compileCondition(filter, at, context);
+};
+
+/**
+ * Validate Segment Filter
+ *
+ * @param {Object} filter - Segment filter
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.customFields] - repository.customFields
+ * @returns {string[]} Problems; empty if the filter is usable
+ */
+const validateSegmentFilter = (filter, { customFields = [] } = {}) => {
+  const context = { customFields, now: new Date(), problems: [], conditions: 0 };
+  compileNode(filter, 'filter', 0, context);
+  return context.problems;
+};
+
+/**
+ * Compile Segment Filter
+ * Turns a filter into a MongoDB query over RepositoryMember documents
+ *
+ * The query does not restrict the repository; callers combine it with
+ * { repository } (see SegmentService#buildQuery).
+ *
+ * @param {Object} filter - Segment filter
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.customFields] - repository.customFields
+ * @param {Date} [options.now] - Reference time for relative dates
+ * @returns {Object} MongoDB query
+ * @throws {Error} Invalid filter; error.problems lists every problem
+ *
+ * @example
+ * compileSegmentFilter({ field: 'tags', op: 'includesAny', value: ['vip', 'beta'] });
+ * // Returns: { 'metadata.tags': { $in: ['vip', 'beta'] } }
+ */
+const compileSegmentFilter = (filter, { customFields = [], now = new Date() } = {}) => {
+  const context = { customFields, now, problems: [], conditions: 0 };
+  const query = compileNode(filter, 'filter', 0, context);
+
+  if (context.problems.length > 0) {
+    const error = new Error(`Invalid segment filter: ${context.problems[0]}`);
+    error.problems = context.problems;
+    throw error;
+  }
+  return query;
+};
+
+module.exports = {
+  SEGMENT_FIELDS,
+  SEGMENT_OPERATORS,
+  validateSegmentFilter,
+  compileSegmentFilter
+};
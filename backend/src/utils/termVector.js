@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Post Term Vectors
+ *
+ * Bag-of-words vectors over a post's title, text and hashtags, used by
+ * the similarity service for related posts and duplicate detection. Words
+ * are lowercased, stopwords dropped and stemmed, so 'Scaling Postgres' and
+ * 'how we scaled postgres' share their terms. Title and hashtag words
+ * weigh more than body words, as they say what the post is about.
+ *
+ * Vectors hold raw weighted term frequencies; IDF weights change as posts
+ * come and go, so they are applied when vectors are compared (see
+ * cosineSimilarity), never stored.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const natural = require('natural');
+
+// Weight of one occurrence of a word in each field
+const FIELD_WEIGHTS = { title: 3, hashtags: 3, text: 1 };
+
+// Terms kept per post, highest weights first
+const MAX_TERMS = 40;
+
+// Only the body's start is read; long posts are mostly said there
+const MAX_TEXT_LENGTH = 5000;
+
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+/**
+ * @param {string} text - Any text
+ * @returns {string[]} Stemmed terms, without stopwords, numbers and one-letter words
+ */
+const terms = (text) => tokenizer.tokenize(String(text || '').toLowerCase())
+  .filter(word => word.length > 1 && !stopwords.has(word) && !/^\d+$/.test(word))
+  .map(word => natural.PorterStemmer.stem(word));
+
+/**
+ * Build the term vector of a post.
+ *
+ * @param {Object} post - Post or post-like object
+ * @param {string} [post.title] - Title
+ * @param {string} [post.text] - Body
+ * @param {string[]} [post.hashtags] - Hashtags without '#'
+ * @returns {Array<{ term: string, weight: number }>} Up to MAX_TERMS
+ *   terms, highest weight first
+ */
+const buildTermVector = ({ title, text, hashtags } = {}) => {
+  const weights = new Map();
+  const add = (words, weight) => words.forEach(term => weights.set(term, (weights.get(term) || 0) + weight));
+
+  add(terms(title), FIELD_WEIGHTS.title);
+  add(terms(String(text || '').slice(0, MAX_TEXT_LENGTH)), FIELD_WEIGHTS.text);
+  // Hashtags are single terms: 'machinelearning' is not split into words
+  add((hashtags || []).map(tag => natural.PorterStemmer.stem(String(tag).toLowerCase())), FIELD_WEIGHTS.hashtags);
+
+  return [...weights.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_TERMS)
+    .map(([term, weight]) => ({ term, weight }));
+};
+
+/**
+ * Cosine similarity of two term vectors under IDF weights.
+ *
+ * @param {Array<{ term: string, weight: number }>} a - First vector
+ * @param {Array<{ term: string, weight: number }>} b - Second vector
+ * @param {Map<string, number>} [idf] - IDF per term; terms missing from
+ *   it weigh 1
+ * @returns {number} Similarity in [0, 1]
+ */
+const cosineSimilarity = (a, b, idf = new Map()) => {
+  const weigh = (vector) => new Map((vector || []).map(({ term, weight }) => [term, weight * (idf.get(term) || 1)]));
+  const left = weigh(a);
+  const right = weigh(b);
+
+  let dot = 0;
+  left.forEach((weight, term) => {
+    if (right.has(term)) dot += weight * right.get(term);
+  });
+  if (dot === 0) return 0;
+
+  const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  return Math.min(1, dot / (norm(left) * norm(right)));
+};
+
+module.exports = {
+  buildTermVector,
+  cosineSimilarity,
+  terms,
+  MAX_TERMS
+};
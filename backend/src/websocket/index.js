@@ -320,6 +320,7 @@ class WebSocketServer {
    * - user:notification - User-specific notifications
    * - trending:update - Trending content updates
    * - repository:update - Repository growth notifications
+   * - websocket:user - Events for one user's room, e.g. CSV import progress
    * 
    * @returns {void}
    * 
@@ -329,7 +330,7 @@ class WebSocketServer {
     const subscriber = redis.duplicate();
 
     // Subscribe to relevant Redis channels
-    subscriber.subscribe('websocket:broadcast', 'trending:update', 'notifications:global');
+    subscriber.subscribe('websocket:broadcast', 'websocket:user', 'trending:update', 'notifications:global');
 
     subscriber.on('message', (channel, message) => {
       try {
@@ -340,6 +341,10 @@ class WebSocketServer {
             // Broadcast to all connected clients
             this.io.emit(data.event, data.payload);
             break;
+          case 'websocket:user':
+            // Deliver to one user's sockets on every server
+            this.io.to(`user:${data.userId}`).emit(data.event, data.payload);
+            break;
           case 'trending:update':
             // Update trending content rooms
             this.io.to(this.rooms.trending).emit('trending:updated', data);
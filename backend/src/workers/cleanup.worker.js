@@ -98,6 +98,7 @@ const Post = require('../models/Post.model');
 const Comment = require('../models/Comment.model');
 const User = require('../models/User.model');
 const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
 const Email = require('../models/Email.model');
 
 // Centralized logging utility for cleanup operations tracking
@@ -468,10 +469,11 @@ cleanupQueue.process(CLEANUP_TASKS.INVALID_EMAILS, async (job) => {
    }).limit(batchSize);
 
    for (const email in invalidEmails) {
-     await Repository.updateMany(
-       { 'emails.address': email.address },
-       { $pull: { emails: { address: email.address } } }
-     );
+     const repositoryIds = await RepositoryMember.distinct('repository', { email: email.address });
+     await RepositoryMember.removeMembers({ email: email.address }, { channel: 'worker', operation: 'cleanup' });
+     for (const repositoryId of repositoryIds) {
+       await RepositoryMember.refreshStats(repositoryId);
+     }
      
      await Email.findByIdAndDelete(email._id);
      await redis.sadd('blacklist:emails', email.address);
@@ -15,6 +15,8 @@
  * - Batch processing for high-scale email delivery
  * - Comprehensive user preference management and opt-out handling
  * - Performance monitoring and statistics tracking
+ * - Repository digests to repository lists or a digest segment
+ * - Saved-search matches batched since the last digest
  * 
  * Content Selection Algorithm:
  * - Hashtag-based relevance matching with user subscriptions
@@ -48,6 +50,8 @@
  * - node-cron: Scheduled task management for digest automation
  * - ../models/*: Database models for users, posts, and repositories
  * - ../services/email.service: Email delivery service integration
+ * - ../services/repositoryMail.service: Repository digests to list members
+ * - ../services/savedSearch.service: Saved-search matches awaiting a digest
  * - ../utils/redis: Redis caching for digest state management
  * - ../utils/emailTemplates: HTML template generation utilities
  * 
@@ -62,7 +66,10 @@ const cron = require('node-cron');
 const User = require('../models/User.model');
 const Post = require('../models/Post.model');
 const Repository = require('../models/Repository.model');
+const RepositoryMember = require('../models/RepositoryMember.model');
 const emailService = require('../services/email.service');
+const repositoryMailService = require('../services/repositoryMail.service');
+const savedSearchService = require('../services/savedSearch.service');
 const redis = require('../utils/redis');
 const logger = require('../utils/logger');
 const { generateDigestHTML } = require('../utils/emailTemplates');
@@ -105,10 +112,10 @@ const MAX_POSTS_PER_DIGEST = 10;
  * 1. Validate user preferences and opt-in status
  * 2. Retrieve user's last digest timestamp from cache
  * 3. Query and score relevant content based on user interests
- * 4. Generate repository updates and growth metrics
+ * 4. Collect saved-search matches and repository updates
  * 5. Create HTML digest with personalized content
  * 6. Send email with optional CSV attachments
- * 7. Update cache and user statistics
+ * 7. Update cache, user statistics and sent search matches
  * 
  * @param {Object} job - Bull job containing digest parameters
  * @param {string} job.data.userId - User ID to generate digest for
@@ -125,7 +132,7 @@ digestQueue.process('send-digest', 10, async (job) => {
       .populate('subscribedHashtags')
       .populate('repositories');
     
-    if (!user || !user.emailNotifications || !user.emailNotifications.digest) {
+    if (!user || !user.preferences.emailDigest.enabled) {
       return { skipped: true, reason: 'User opted out or not found' };
     }
 
@@ -133,8 +140,11 @@ digestQueue.process('send-digest', 10, async (job) => {
     const lastDigestTime = await redis.get(lastDigestKey) || new Date(0);
     
     const posts = await getRelevantPosts(user, lastDigestTime);
+    const alertsReadAt = new Date();
+    const alerts = await savedSearchService.digestMatches(userId);
+    const matchCount = alerts.reduce((sum, alert) => sum + alert.matches.length, 0);
     
-    if (posts.length === 0) {
+    if (posts.length === 0 && matchCount === 0) {
       return { skipped: true, reason: 'No new content' };
     }
 
@@ -142,24 +152,29 @@ digestQueue.process('send-digest', 10, async (job) => {
     const digestHTML = generateDigestHTML({
       user,
       posts,
+      alerts,
       repositoryUpdates,
       frequency
     });
 
     await emailService.sendEmail({
       to: user.email,
-      subject: `🌟 Your ${frequency} Shadownews Digest: ${posts.length} must-read posts`,
+      subject: posts.length > 0
+        ? `🌟 Your ${frequency} Shadownews Digest: ${posts.length} must-read posts`
+        : `🔔 Your ${frequency} Shadownews Digest: ${matchCount} new matches for your saved searches`,
       html: digestHTML,
       attachments: await generateDigestAttachments(user, repositoryUpdates)
     });
 
     await redis.set(lastDigestKey, new Date().toISOString());
     await updateUserDigestStats(userId, posts.length);
+    await savedSearchService.clearDigestMatches(userId, alertsReadAt);
 
     return { 
       success: true, 
       userId, 
       postsCount: posts.length,
+      alertsCount: matchCount,
       repositoriesCount: repositoryUpdates.length 
     };
   } catch (error) {
@@ -168,6 +183,28 @@ digestQueue.process('send-digest', 10, async (job) => {
   }
 });
 
+/**
+ * Repository Digest Processing Handler
+ * 
+ * Sends one repository's digest of recent posts to its list, or to the
+ * members of its digest segment, and schedules the next one.
+ * 
+ * @param {Object} job - Bull job containing digest parameters
+ * @param {string} job.data.repositoryId - Repository to send the digest for
+ * @returns {Promise<Object>} Processing result
+ */
+digestQueue.process('send-repository-digest', 5, async (job) => {
+  const { repositoryId } = job.data;
+
+  const repository = await Repository.findOne({ _id: repositoryId, isActive: true, deletedAt: null });
+  if (!repository || repository.settings.digestFrequency === 'never') {
+    return { skipped: true, reason: 'Repository inactive or digests disabled' };
+  }
+
+  const queued = await repositoryMailService.sendDigest(repository);
+  return { success: true, repositoryId, queued };
+});
+
 /**
  * Get Relevant Posts for User
  * 
@@ -228,12 +265,20 @@ async function getRepositoryUpdates(user, since) {
     lastActivity: { $gte: new Date(since) }
   }).populate('owner', 'username');
 
-  return updates.map(repo => ({
-    ...repo.toObject(),
-    newEmails: repo.emails.filter(email => 
-      new Date(email.addedAt) >= new Date(since)
-    ).length,
-    growth: calculateGrowthPercentage(repo, since)
+  return Promise.all(updates.map(async repo => {
+    const [total, newMembers] = await Promise.all([
+      RepositoryMember.countDocuments({ repository: repo._id }),
+      RepositoryMember.find({ repository: repo._id, addedAt: { $gte: new Date(since) } })
+        .select('email verified addedAt')
+        .lean()
+    ]);
+
+    return {
+      ...repo.toObject(),
+      newEmails: newMembers.length,
+      newMembers,
+      growth: calculateGrowthPercentage(total, newMembers.length)
+    };
   }));
 }
 
@@ -296,9 +341,8 @@ async function generateDigestAttachments(user, repositoryUpdates) {
 
   for (const repo of repositoryUpdates) {
     if (repo.newEmails > 0) {
-      const csvContent = repo.emails
-        .filter(email => new Date(email.addedAt) >= new Date(repo.lastActivity))
-        .map(email => `${email.address},${email.verificationStatus},${email.addedAt}`)
+      const csvContent = repo.newMembers
+        .map(member => `${member.email},${member.verified ? 'verified' : 'pending'},${member.addedAt.toISOString()}`)
         .join('\n');
 
       attachments.push({
@@ -318,18 +362,14 @@ async function generateDigestAttachments(user, repositoryUpdates) {
  * Computes growth percentage for repositories based on new member
  * additions since the last digest, providing valuable growth metrics.
  * 
- * @param {Object} repo - Repository object with email member data
- * @param {Date} since - Start date for growth calculation
+ * @param {number} total - Members on the repository now
+ * @param {number} newCount - Members added since the last digest
  * @returns {string} Growth percentage formatted to one decimal place
  * 
  * @since 1.0.0
  */
-function calculateGrowthPercentage(repo, since) {
-  const previousCount = repo.emails.filter(email => 
-    new Date(email.addedAt) < new Date(since)
-  ).length;
-  
-  const newCount = repo.emails.length - previousCount;
+function calculateGrowthPercentage(total, newCount) {
+  const previousCount = total - newCount;
   return previousCount > 0 ? ((newCount / previousCount) * 100).toFixed(1) : 100;
 }
 
@@ -414,9 +454,9 @@ cron.schedule('0 9 1 * *', async () => {
 async function scheduleDigests(frequency) {
   try {
     const query = {
-      'emailNotifications.digest': true,
-      'emailNotifications.digestFrequency': frequency,
-      verified: true
+      'preferences.emailDigest.enabled': true,
+      'preferences.emailDigest.frequency': frequency,
+      emailVerified: true
     };
 
     const userCount = await User.countDocuments(query);
@@ -461,6 +501,58 @@ async function scheduleDigests(frequency) {
   }
 }
 
+/**
+ * Schedule Repository Digests
+ * 
+ * Queues a digest for every repository whose next digest is due.
+ * Repositories that have never sent one get a first date one interval
+ * from now instead, so turning digests on does not mail a list at once.
+ * 
+ * @returns {Promise<void>}
+ */
+async function scheduleRepositoryDigests() {
+  try {
+    const now = new Date();
+    const enabled = {
+      'settings.digestFrequency': { $ne: 'never' },
+      isActive: true,
+      deletedAt: null
+    };
+
+    const unscheduled = await Repository.find({ ...enabled, 'settings.nextDigestDate': null })
+      .select('_id settings');
+    for (const repository of unscheduled) {
+      await Repository.updateOne(
+        { _id: repository._id },
+        { $set: { 'settings.nextDigestDate': repositoryMailService.getNextDigestDate(repository, now) } }
+      );
+    }
+
+    const due = await Repository.find({ ...enabled, 'settings.nextDigestDate': { $lte: now } })
+      .select('_id');
+    for (const repository of due) {
+      await digestQueue.add('send-repository-digest', { repositoryId: repository._id }, {
+        // One job per repository and due date, in case the schedule overlaps
+        jobId: `repository-digest:${repository._id}:${now.toISOString().slice(0, 13)}`,
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 5000 }
+      });
+    }
+
+    logger.info(`Scheduled ${due.length} repository digests`);
+  } catch (error) {
+    logger.error('Error scheduling repository digests:', error);
+  }
+}
+
+/**
+ * Repository Digest Schedule
+ * Checks for due repository digests every hour
+ */
+cron.schedule('15 * * * *', async () => {
+  await scheduleRepositoryDigests();
+});
+
 /**
  * Queue Event Handlers
  * 
@@ -509,5 +601,6 @@ cron.schedule('0 0 * * *', async () => {
  */
 module.exports = {
   digestQueue,
-  scheduleDigests
+  scheduleDigests,
+  scheduleRepositoryDigests
 };
\ No newline at end of file
@@ -20,6 +20,7 @@
  * - Digest Worker: Generates daily/weekly email digests for users
  * - Snowball Worker: Manages viral distribution and community growth
  * - Cleanup Worker: Performs maintenance and data cleanup operations
+ * - Ranking Worker: Recomputes feed ranking scores on its own schedule
  * 
  * Queue Features:
  * - Priority-based job processing for critical operations
@@ -58,6 +59,8 @@ const emailWorker = require('./email.worker');
 const digestWorker = require('./digest.worker');
 const snowballWorker = require('./snowball.worker');
 const cleanupWorker = require('./cleanup.worker');
+// Schedules itself on load (see ranking.worker.js)
+require('./ranking.worker');
 
 /**
  * Redis Connection Configuration
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Ranking Background Worker
+ *
+ * Recomputes the feed ranking scores stored on posts (see
+ * services/ranking). Scores are set when a post is created, voted on or
+ * commented on, but most decay with age, so recent posts are rescored
+ * on a schedule; tuned ranking parameters take effect on the next run.
+ *
+ * Scheduling:
+ * - config.ranking.recomputeCron, every 10 minutes by default
+ * - One job at a time; a run still in progress is not doubled up
+ *
+ * Dependencies:
+ * - bull: Job queue management
+ * - node-cron: Schedule
+ * - ../services/ranking: Scoring and batched writes
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const Bull = require('bull');
+const cron = require('node-cron');
+const rankingService = require('../services/ranking');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Ranking Queue
+ *
+ * @constant {Bull} rankingQueue - Ranking recompute queue
+ */
+const rankingQueue = new Bull('feed-ranking', {
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD
+  }
+});
+
+// Fixed job ID: Bull ignores a new job while one with the same ID waits or runs
+const RECOMPUTE_JOB_ID = 'recompute-rankings';
+
+/**
+ * Recompute Handler
+ *
+ * @param {Object} job - Bull job
+ * @param {number} [job.data.windowDays] - Age of the oldest post recomputed
+ * @returns {Promise<Object>} { updated, duration }
+ */
+rankingQueue.process('recompute', 1, async (job) => {
+  const started = Date.now();
+  const { updated } = await rankingService.recompute({ windowDays: job.data.windowDays });
+  const duration = Date.now() - started;
+
+  logger.info(`Recomputed rankings of ${updated} posts in ${duration}ms`);
+  return { updated, duration };
+});
+
+/**
+ * Queue a recompute unless one is already waiting or running.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.windowDays] - Age of the oldest post recomputed
+ * @returns {Promise<Object>} The Bull job
+ */
+const scheduleRecompute = ({ windowDays } = {}) => rankingQueue.add('recompute', { windowDays }, {
+  jobId: RECOMPUTE_JOB_ID,
+  removeOnComplete: true,
+  removeOnFail: true
+});
+
+rankingQueue.on('failed', (job, err) => {
+  logger.error('Ranking recompute failed:', err);
+});
+
+cron.schedule(config.ranking.recomputeCron, () => {
+  scheduleRecompute().catch(err => {
+    logger.error('Scheduling ranking recompute failed:', err);
+  });
+});
+
+module.exports = {
+  rankingQueue,
+  scheduleRecompute
+};
@@ -27,6 +27,11 @@
  * 4. Verification: Async email address verification
  * 5. Network Analysis: Calculate reach and engagement metrics
  * 6. Recursive Trigger: Initiate next-level snowball if depth allows
+ *
+ * Every address added records who introduced it and its generation
+ * (RepositoryMember.snowball), which backs the propagation graph at
+ * GET /api/repositories/:id/snowball/graph. Per-repository limits
+ * (settings.snowballLimits) cap depth, fan-out per inviter and daily growth.
  * 7. Notification: Update repository owner with growth statistics
  * 
  * Job Types:
@@ -36,12 +41,12 @@
  * 
  * Configuration:
  * - BATCH_SIZE: 100 emails per processing batch
- * - MAX_DEPTH: 3 levels of recursive snowball distribution
+ * - Depth, fan-out and daily growth limits: per repository (settings.snowballLimits)
  * - QUALITY_THRESHOLD: 0.7 minimum score for email approval
  * 
  * Dependencies:
  * - bull: Job queue management for reliable background processing
- * - Repository/Email/User models: Data persistence and relationships
+ * - Repository/RepositoryMember/User models: Data persistence and relationships
  * - csvService: CSV parsing and validation utilities
  * - emailService: Email verification and delivery
  * - snowballService: Network analysis and domain reputation
@@ -57,12 +62,13 @@
 const Bull = require('bull');
 
 // Database models for snowball distribution operations
-const { Repository, Email, User } = require('../models');
+const { Repository, RepositoryMember, User } = require('../models');
 
 // Service dependencies for snowball functionality
 const csvService = require('../services/csv.service');
 const emailService = require('../services/email.service');
 const snowballService = require('../services/snowball.service');
+const consentService = require('../services/consent.service');
 
 // Centralized logging utility for snowball operations tracking
 const logger = require('../utils/logger');
@@ -91,7 +97,6 @@ const snowballQueue = new Bull('snowball-processing', {
  * quality control, and performance optimization.
  */
 const BATCH_SIZE = 100; // Maximum emails processed per batch operation
-const MAX_DEPTH = 3; // Maximum recursive snowball depth for viral growth
 const QUALITY_THRESHOLD = 0.7; // Minimum quality score for email approval
 
 /**
@@ -105,9 +110,10 @@ const QUALITY_THRESHOLD = 0.7; // Minimum quality score for email approval
  * 1. Parse and validate uploaded CSV email data
  * 2. Filter existing emails to avoid duplicates
  * 3. Calculate quality scores using multi-factor algorithm
- * 4. Process approved emails in batches with verification
- * 5. Trigger next-level snowball if depth limit not reached
- * 6. Update repository statistics and notify owner
+ * 4. Apply the repository's depth, fan-out and daily growth limits
+ * 5. Add approved emails with their inviter and depth, then verify them
+ * 6. Trigger next-level snowball if depth limit not reached
+ * 7. Update repository statistics and notify owner
  * 
  * Quality Factors:
  * - Domain reputation and trust level
@@ -118,7 +124,7 @@ const QUALITY_THRESHOLD = 0.7; // Minimum quality score for email approval
  * @param {Object} job - Bull job object containing snowball parameters
  * @param {string} job.data.repositoryId - Target repository for email expansion
  * @param {string} job.data.csvData - CSV content with email addresses
- * @param {string} job.data.userId - User initiating the snowball process
+ * @param {string} job.data.userId - User initiating the snowball process (the inviter)
  * @param {number} job.data.depth - Current snowball depth level (default: 0)
  * @returns {Promise<Object>} Processing result with statistics
  * 
@@ -137,42 +143,58 @@ snowballQueue.process('process-csv', async (job) => {
       throw new Error('Repository not found');
     }
 
+    // A chain may have been queued before the owner lowered the limit
+    const limits = snowballService.getLimits(repository);
+    if (depth > limits.maxDepth) {
+      logger.info(`Snowball chain for repository ${repositoryId} stopped at depth ${depth}`);
+      return { processed: 0, rejected: 0, depth, stopped: 'depth' };
+    }
+
+    const inviter = await User.findById(userId).select('email');
+
     // Parse CSV data and validate email format/quality
     const parsedEmails = await csvService.parseEmailList(csvData);
     const validEmails = await validateEmails(parsedEmails, repository);
     
     // Filter out emails already in repository to avoid duplicates
-    const newEmails = await filterExistingEmails(validEmails, repositoryId);
+    const newEmails = await filterExistingEmails(validEmails, repository);
     
     // Calculate quality scores for intelligent filtering
     const qualityScores = await calculateQualityScores(newEmails, repository);
     
     // Apply quality threshold to ensure high-value additions
-    const approvedEmails = newEmails.filter((email, index) => 
+    const qualifiedEmails = newEmails.filter((email, index) => 
       qualityScores[index] >= QUALITY_THRESHOLD
     );
 
-    // Process approved emails in batches for database efficiency
-    await processEmailBatch(approvedEmails, repository, userId);
+    // Cap fan-out and daily growth so one chain cannot run away
+    const { accepted: approvedEmails, rejected: limited } =
+      await snowballService.applyLimits(repository, qualifiedEmails, depth);
+
+    // Record the generation and queue verification in batches
+    const addedEntries = await processEmailBatch(approvedEmails, repository, inviter, depth, job.id);
 
     // Trigger recursive snowball if depth limit not reached
-    if (depth < MAX_DEPTH) {
-      await triggerNextSnowball(approvedEmails, repository, depth + 1);
+    if (depth < limits.maxDepth) {
+      const added = new Set(addedEntries.map(entry => entry.email));
+      const invitees = approvedEmails.filter(e => added.has(e.email.toLowerCase()));
+      await triggerNextSnowball(invitees, repository, depth + 1, limits);
     }
 
     // Update repository statistics with new growth metrics
-    await updateRepositoryStats(repository, approvedEmails.length);
+    await updateRepositoryStats(repository, addedEntries.length);
 
     // Notify repository owner of snowball results
     await notifyRepositoryOwner(repository, {
-      newEmailsCount: approvedEmails.length,
-      totalEmailsCount: repository.emailCount + approvedEmails.length,
+      newEmailsCount: addedEntries.length,
+      totalEmailsCount: repository.emailCount + addedEntries.length,
       depth
     });
 
     return {
-      processed: approvedEmails.length,
-      rejected: newEmails.length - approvedEmails.length,
+      processed: addedEntries.length,
+      rejected: newEmails.length - qualifiedEmails.length,
+      limited,
       depth
     };
 
@@ -195,8 +217,7 @@ snowballQueue.process('process-csv', async (job) => {
  * 
  * Verification Process:
  * 1. Perform external email deliverability check
- * 2. Update email record with verification result
- * 3. Set appropriate status flags for future processing
+ * 2. Update the repository's member for the address with the result
  * 
  * @param {Object} job - Bull job object containing verification parameters
  * @param {string} job.data.email - Email address to verify
@@ -212,25 +233,12 @@ snowballQueue.process('verify-email', async (job) => {
     // Perform external email verification check
     const isValid = await emailService.verifyEmail(email);
     
-    if (isValid) {
-      // Mark email as verified and active
-      await Email.findOneAndUpdate(
-        { email, repository: repositoryId },
-        { 
-          verified: true, 
-          verifiedAt: new Date(),
-          status: 'active'
-        }
-      );
-    } else {
-      // Mark email as invalid for future filtering
-      await Email.findOneAndUpdate(
-        { email, repository: repositoryId },
-        { 
-          verified: false,
-          status: 'invalid'
-        }
-      );
+    // Update the member and the repository's stats
+    const entry = await RepositoryMember.findOne({ repository: repositoryId, email });
+    if (entry) {
+      entry.verified = isValid;
+      await entry.saveWithHistory({ channel: 'worker', operation: 'verify' });
+      await RepositoryMember.refreshStats(repositoryId);
     }
 
     return { email, isValid };
@@ -263,9 +271,7 @@ snowballQueue.process('analyze-network', async (job) => {
   const { repositoryId } = job.data;
 
   try {
-    // Load repository with populated email relationships
-    const repository = await Repository.findById(repositoryId)
-      .populate('emails');
+    const repository = await Repository.findById(repositoryId);
 
     // Perform comprehensive network analysis
     const networkAnalysis = await snowballService.analyzeNetwork(repository);
@@ -316,17 +322,10 @@ async function validateEmails(emails, repository) {
  return validEmails;
 }
 
-async function filterExistingEmails(emails, repositoryId) {
- const emailAddresses = emails.map(e => e.email);
+async function filterExistingEmails(emails, repository) {
+ const existingSet = new Set(await RepositoryMember.distinct('email', { repository: repository._id }));
  
- const existingEmails = await Email.find({
-   email: { $in: emailAddresses },
-   repository: repositoryId
- }).select('email');
- 
- const existingSet = new Set(existingEmails.map(e => e.email));
- 
- return emails.filter(e => !existingSet.has(e.email));
+ return emails.filter(e => !existingSet.has(e.email.toLowerCase()));
 }
 
 async function calculateQualityScores(emails, repository) {
@@ -353,24 +352,25 @@ async function calculateQualityScores(emails, repository) {
  return scores;
 }
 
-async function processEmailBatch(emails, repository, userId) {
- const emailDocs = [];
+async function processEmailBatch(emails, repository, inviter, depth, batchId) {
+ const entries = [];
  
- for (const emailData of emails) {
-   emailDocs.push({
-     email: emailData.email,
-     repository: repository._id,
-     addedBy: userId,
-     metadata: emailData.metadata,
-     status: 'pending_verification',
-     snowballDepth: emailData.metadata?.depth || 0,
-     qualityScore: emailData.metadata?.qualityScore || 0
+ for (let i = 0; i < emails.length; i += BATCH_SIZE) {
+   const added = await snowballService.recordGeneration(repository, emails.slice(i, i + BATCH_SIZE), {
+     inviter,
+     depth,
+     batchId: String(batchId)
    });
+   entries.push(...added);
  }
  
- await Email.insertMany(emailDocs);
+ // Added addresses stay off distribution until they confirm
+ await consentService.requestConsent(repository, entries.map(entry => entry.email), {
+   source: 'snowball',
+   actor: inviter && inviter._id
+ });
  
- for (const email of emailDocs) {
+ for (const email of entries) {
    await snowballQueue.add('verify-email', {
      email: email.email,
      repositoryId: repository._id
@@ -383,9 +383,11 @@ async function processEmailBatch(emails, repository, userId) {
      }
    });
  }
+ 
+ return entries;
 }
 
-async function triggerNextSnowball(emails, repository, nextDepth) {
+async function triggerNextSnowball(emails, repository, nextDepth, limits) {
  const eligibleEmails = emails.filter(e => 
    e.metadata?.allowSnowball !== false
  );
@@ -402,7 +404,7 @@ async function triggerNextSnowball(emails, repository, nextDepth) {
          depth: nextDepth
        }, {
          delay: nextDepth * 10000,
-         priority: MAX_DEPTH - nextDepth
+         priority: limits.maxDepth - nextDepth
        });
      }
    }
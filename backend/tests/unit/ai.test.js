@@ -0,0 +1,231 @@
+/**
+ * Content Intelligence Service Unit Tests
+ *
+ * Test suite for ai.service: provider order and failover, the local
+ * backend answering for disabled features, short input and users over
+ * quota, the Redis result cache, and normalization of provider answers
+ * into the Post.aiMetadata shape.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config/ai.config', () => ({
+  providers: { primary: 'openai', secondary: 'anthropic', tertiary: 'huggingface' },
+  features: {
+    hashtagSuggestion: { enabled: true, maxSuggestions: 3 },
+    contentSummarization: { enabled: true, maxLength: 40 },
+    topicExtraction: { enabled: true, topics: ['programming', 'security'] },
+    sentimentAnalysis: { enabled: false }
+  },
+  quotas: { perUserPerHour: 2, perUserPerDay: 10, keyPrefix: 'ai:quota:' },
+  rateLimits: { requestsPerMinute: 100 },
+  cache: { enabled: true, ttl: 60, keyPrefix: 'ai:cache:' },
+  validation: { maxInputLength: 1000, minInputLength: 10 },
+  retryConfig: { maxRetries: 1, initialDelay: 0, maxDelay: 0, backoffMultiplier: 2 },
+  monitoring: { logRequests: false }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/helpers', () => ({
+  extractHashtags: (text) => (text.match(/#[\w]+/g) || []).map(tag => tag.substring(1).toLowerCase())
+}));
+jest.mock('../../src/utils/redis', () => {
+  const counters = new Map();
+  const store = new Map();
+  return {
+    counters,
+    store,
+    rateLimiter: jest.fn(async (key, limit) => {
+      counters.set(key, (counters.get(key) || 0) + 1);
+      return counters.get(key) <= limit;
+    }),
+    get: jest.fn(async (key) => (counters.has(key) ? String(counters.get(key)) : null)),
+    getJson: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setJson: jest.fn(async (key, value) => { store.set(key, value); })
+  };
+});
+
+const mockProvider = (name) => jest.fn().mockImplementation(() => ({
+  name,
+  isAvailable: () => true,
+  suggestHashtags: jest.fn(),
+  summarize: jest.fn(),
+  scoreTopics: jest.fn(),
+  analyzeSentiment: jest.fn()
+}));
+jest.mock('../../src/services/ai/openai.provider', () => mockProvider('openai'));
+jest.mock('../../src/services/ai/anthropic.provider', () => mockProvider('anthropic'));
+jest.mock('../../src/services/ai/huggingface.provider', () => mockProvider('huggingface'));
+jest.mock('../../src/services/ai/local.provider', () => mockProvider('local'));
+
+const redis = require('../../src/utils/redis');
+const { AIService } = require('../../src/services/ai.service');
+
+const TEXT = 'Rust 2.0 ships a new borrow checker for safer concurrent code';
+
+describe('AIService', () => {
+  let service;
+  let openai;
+  let anthropic;
+  let local;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.counters.clear();
+    redis.store.clear();
+    service = new AIService();
+    openai = service.providers.get('openai');
+    anthropic = service.providers.get('anthropic');
+    local = service.providers.get('local');
+  });
+
+  describe('provider chain', () => {
+    test('uses the primary provider and normalizes its answer', async () => {
+      openai.suggestHashtags.mockResolvedValue(['#Rust', 'borrow checker', 'rust', '42', '#Concurrency']);
+
+      const tags = await service.suggestHashtags(TEXT, { userId: 'u1' });
+
+      expect(tags).toEqual(['rust', 'borrow-checker', 'concurrency']);
+      expect(local.suggestHashtags).not.toHaveBeenCalled();
+    });
+
+    test('moves down the chain when a provider fails', async () => {
+      openai.summarize.mockRejectedValue(new Error('down'));
+      anthropic.summarize.mockResolvedValue('A new borrow checker ships with Rust 2.0 this week, making code safer');
+
+      const summary = await service.generateSummary(TEXT, { userId: 'u1' });
+
+      expect(anthropic.summarize).toHaveBeenCalled();
+      expect(summary.length).toBeLessThanOrEqual(40);
+      expect(summary.endsWith('…')).toBe(true);
+    });
+
+    test('retries rate-limited requests before failing over', async () => {
+      openai.suggestHashtags
+        .mockRejectedValueOnce(Object.assign(new Error('slow down'), { status: 429 }))
+        .mockResolvedValueOnce(['rust']);
+
+      await expect(service.suggestHashtags(TEXT)).resolves.toEqual(['rust']);
+      expect(openai.suggestHashtags).toHaveBeenCalledTimes(2);
+      expect(anthropic.suggestHashtags).not.toHaveBeenCalled();
+    });
+
+    test('falls back to the local backend when every provider fails', async () => {
+      ['openai', 'anthropic', 'huggingface'].forEach(name => {
+        service.providers.get(name).scoreTopics.mockRejectedValue(new Error('down'));
+      });
+      local.scoreTopics.mockResolvedValue({ programming: 0.75, cooking: 1 });
+
+      const scores = await service.scoreTopics(TEXT);
+
+      expect(scores).toEqual({ programming: 0.75, security: 0 });
+    });
+
+    test('skips providers without an API key', async () => {
+      openai.isAvailable = () => false;
+      anthropic.suggestHashtags.mockResolvedValue(['rust']);
+
+      await service.suggestHashtags(TEXT);
+
+      expect(openai.suggestHashtags).not.toHaveBeenCalled();
+      expect(anthropic.suggestHashtags).toHaveBeenCalled();
+    });
+  });
+
+  describe('local only', () => {
+    test('answers disabled features locally', async () => {
+      local.analyzeSentiment.mockResolvedValue(1.7);
+
+      await expect(service.analyzeSentiment(TEXT)).resolves.toBe(1);
+      expect(openai.analyzeSentiment).not.toHaveBeenCalled();
+    });
+
+    test('answers short input locally', async () => {
+      local.suggestHashtags.mockResolvedValue(['rust']);
+
+      await service.suggestHashtags('#rust');
+
+      expect(openai.suggestHashtags).not.toHaveBeenCalled();
+      expect(local.suggestHashtags).toHaveBeenCalled();
+    });
+
+    test('returns empty results for empty input without calling anyone', async () => {
+      await expect(service.analyzeContent('   ')).resolves.toEqual({
+        suggestedHashtags: [],
+        summary: '',
+        sentiment: 0,
+        topicScores: { programming: 0, security: 0 }
+      });
+      expect(local.summarize).not.toHaveBeenCalled();
+    });
+
+    test('returns the empty result if the local backend throws', async () => {
+      local.analyzeSentiment.mockRejectedValue(new Error('boom'));
+
+      await expect(service.analyzeSentiment(TEXT)).resolves.toBe(0);
+    });
+  });
+
+  describe('quotas', () => {
+    test('answers locally once a user is over their hourly quota', async () => {
+      openai.suggestHashtags.mockImplementation(async (text) => [text.split(' ')[0]]);
+      local.suggestHashtags.mockResolvedValue(['local']);
+
+      await service.suggestHashtags(`${TEXT} one`, { userId: 'u1' });
+      await service.suggestHashtags(`${TEXT} two`, { userId: 'u1' });
+      const third = await service.suggestHashtags(`${TEXT} three`, { userId: 'u1' });
+
+      expect(openai.suggestHashtags).toHaveBeenCalledTimes(2);
+      expect(third).toEqual(['local']);
+      await expect(service.getQuota('u1')).resolves.toEqual({ hour: 0, day: 8 });
+    });
+
+    test('quotas are per user', async () => {
+      openai.suggestHashtags.mockResolvedValue(['rust']);
+
+      await service.suggestHashtags(`${TEXT} one`, { userId: 'u1' });
+      await service.suggestHashtags(`${TEXT} two`, { userId: 'u1' });
+      await service.suggestHashtags(`${TEXT} three`, { userId: 'u2' });
+
+      expect(openai.suggestHashtags).toHaveBeenCalledTimes(3);
+    });
+
+    test('answers locally when Redis cannot count requests', async () => {
+      redis.rateLimiter.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+      local.suggestHashtags.mockResolvedValue(['local']);
+
+      await expect(service.suggestHashtags(TEXT, { userId: 'u1' })).resolves.toEqual(['local']);
+      expect(openai.suggestHashtags).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cache', () => {
+    test('serves repeated requests from Redis without using quota', async () => {
+      openai.suggestHashtags.mockResolvedValue(['rust']);
+
+      await service.suggestHashtags(TEXT, { userId: 'u1' });
+      await service.suggestHashtags(TEXT, { userId: 'u1' });
+      await service.suggestHashtags(TEXT, { userId: 'u1' });
+
+      expect(openai.suggestHashtags).toHaveBeenCalledTimes(1);
+      await expect(service.getQuota('u1')).resolves.toEqual({ hour: 1, day: 9 });
+    });
+
+    test('does not cache local answers', async () => {
+      ['openai', 'anthropic', 'huggingface'].forEach(name => {
+        service.providers.get(name).suggestHashtags.mockRejectedValue(new Error('down'));
+      });
+      local.suggestHashtags.mockResolvedValue(['rust']);
+
+      await service.suggestHashtags(TEXT);
+
+      expect(redis.setJson).not.toHaveBeenCalled();
+    });
+  });
+
+  test('extractHashtags returns explicit tags only', () => {
+    expect(service.extractHashtags('Shipping #Rust and #go today #rust')).toEqual(['rust']);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Bulk Email Unit Tests
+ *
+ * Test suite for the permission check of POST /api/email/bulk/send: users
+ * whose repository role does not grant list.send get the same
+ * PermissionError response as the repository routes.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('bull', () => jest.fn());
+jest.mock('../../src/config', () => ({ email: { inbound: { transports: ['webhook'] } } }));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/errors', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}), { virtual: true });
+jest.mock('../../src/utils/constants', () => ({}), { virtual: true });
+jest.mock('express-validator', () => ({ validationResult: jest.fn() }), { virtual: true });
+jest.mock('../../src/models/Repository.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/services/repositoryMail.service', () => ({
+  getRecipientEntries: jest.fn(() => []),
+  getArchiveUrl: jest.fn(),
+  sendToList: jest.fn(async () => 0)
+}));
+jest.mock('../../src/services/consent.service', () => ({}));
+jest.mock('../../src/services/deliverability.service', () => ({}));
+jest.mock('../../src/services/email.service', () => ({}));
+jest.mock('../../src/services/emailParser.service', () => ({}));
+jest.mock('../../src/services/segment.service', () => ({}));
+jest.mock('../../src/services/repository.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/posts.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/users.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/csv.service', () => ({}));
+
+const Repository = require('../../src/models/Repository.model');
+const repositoryMailService = require('../../src/services/repositoryMail.service');
+const permissions = require('../../src/utils/permissions');
+const { errorHandler } = require('../../src/api/middleware/errorHandler.middleware');
+// The controller's file name ends in a space, so it is required verbatim
+const emailController = require('../../src/api/controller/email.controller.js ');
+
+const repository = () => {
+  const doc = { _id: 'r1', owner: 'owner', collaborators: [{ user: 'carol', role: 'viewer' }] };
+  doc.hasPermission = (userId, permission) => permissions.hasPermission(doc, userId, permission);
+  return doc;
+};
+
+// Send as a user and hand whatever reaches next to errorHandler
+const sendBulk = async (userId) => {
+  const req = { body: { repositoryId: 'r1', subject: 'Hello', content: 'Hi all' }, user: { _id: userId, email: 'me@example.com' } };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await emailController.sendBulkEmail(req, res, next);
+  if (next.mock.calls.length > 0) errorHandler(next.mock.calls[0][0], req, res, next);
+  return res;
+};
+
+describe('Bulk email', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Repository.findOne.mockResolvedValue(repository());
+  });
+
+  test('queues the list mail for a role with list.send', async () => {
+    const res = await sendBulk('owner');
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(repositoryMailService.sendToList).toHaveBeenCalled();
+  });
+
+  test('refuses with a PermissionError naming list.send', async () => {
+    const res = await sendBulk('carol');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error).toMatchObject({
+      message: `Your role on this repository does not allow: ${permissions.PERMISSIONS['list.send']}`,
+      type: 'PermissionError',
+      permission: 'list.send'
+    });
+    expect(repositoryMailService.sendToList).not.toHaveBeenCalled();
+  });
+});
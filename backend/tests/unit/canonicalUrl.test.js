@@ -0,0 +1,51 @@
+/**
+ * Canonical URL Unit Tests
+ *
+ * Test suite for the URL form used to spot resubmitted links: scheme,
+ * mirror subdomains, tracking parameters, trailing slashes and index
+ * pages.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { canonicalizeUrl } = require('../../src/utils/canonicalUrl');
+
+describe('canonicalizeUrl', () => {
+  const CANONICAL = 'https://example.com/blog/rust-2';
+
+  test.each([
+    'https://example.com/blog/rust-2',
+    'http://example.com/blog/rust-2',
+    'https://www.example.com/blog/rust-2/',
+    'https://m.example.com/blog/rust-2',
+    'https://mobile.example.com/blog/rust-2',
+    'https://EXAMPLE.com:443/blog/rust-2#comments',
+    'https://example.com/blog/rust-2?utm_source=hn&utm_medium=social',
+    'https://example.com/blog/rust-2/?fbclid=abc123&ref=twitter',
+    'https://example.com/blog/rust-2/index.html'
+  ])('%s is the same story', (url) => {
+    expect(canonicalizeUrl(url)).toBe(CANONICAL);
+  });
+
+  test('keeps and sorts parameters that select content', () => {
+    expect(canonicalizeUrl('https://news.example.com/item?page=2&id=42&utm_campaign=x'))
+      .toBe('https://news.example.com/item?id=42&page=2');
+  });
+
+  test('keeps path case and non-default ports', () => {
+    expect(canonicalizeUrl('http://example.com:8080/Docs/API')).toBe('https://example.com:8080/Docs/API');
+  });
+
+  test('keeps other subdomains', () => {
+    expect(canonicalizeUrl('https://blog.example.com/post')).toBe('https://blog.example.com/post');
+  });
+
+  test('returns null for anything but http(s) URLs', () => {
+    expect(canonicalizeUrl('ftp://example.com/file')).toBeNull();
+    expect(canonicalizeUrl('not a url')).toBeNull();
+    expect(canonicalizeUrl('')).toBeNull();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Consent Service Unit Tests
+ *
+ * Test suite for double opt-in on repository email lists: which addresses
+ * are asked, which tokens may confirm, revocation and the data-subject
+ * export. The ledger, repository and member models and outbound email
+ * are replaced with stubs.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  jwt: { secret: 'test-secret' },
+  email: {
+    consent: { requestTtl: 3600 }
+  }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/services/email.service', () => ({ queueEmail: jest.fn() }));
+jest.mock('../../src/models/Repository.model', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/RepositoryMember.model', () => ({ find: jest.fn(), findOne: jest.fn(), refreshStats: jest.fn() }));
+jest.mock('../../src/models/ConsentRecord.model', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn(),
+  verifyChain: jest.fn(() => true)
+}));
+
+const { createHash } = require('crypto');
+const emailService = require('../../src/services/email.service');
+const Repository = require('../../src/models/Repository.model');
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const ConsentRecord = require('../../src/models/ConsentRecord.model');
+const consentService = require('../../src/services/consent.service');
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+const makeId = (id) => ({ id, equals: other => other.id === id, toString: () => id });
+
+const REPOSITORY = { _id: 'r1', name: 'Tech News', slug: 'tech-news' };
+
+const makeMember = (fields) => ({ save: jest.fn(), saveWithHistory: jest.fn(), ...fields });
+
+// Repository.findById(...).select(...)
+const selectable = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+// findOne(...).sort(...) for the latest-record lookup
+const sortable = (value) => ({ sort: jest.fn().mockResolvedValue(value) });
+
+describe('ConsentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.BASE_URL = 'https://api.shadownews.community';
+    process.env.FRONTEND_URL = 'https://shadownews.community';
+  });
+
+  describe('requestConsent', () => {
+    test('should ask only the given addresses that have not been asked or opted out', async () => {
+      const fresh = makeMember({ email: 'new@example.com', source: 'csv_upload', consent: { status: 'pending' } });
+      const asked = makeMember({ email: 'asked@example.com', consent: { status: 'pending', requestedAt: new Date() } });
+      RepositoryMember.find.mockResolvedValue([fresh, asked]);
+
+      const sent = await consentService.requestConsent(
+        REPOSITORY,
+        ['New@Example.com', 'asked@example.com', 'gone@example.com'],
+        { actor: 'u1' }
+      );
+
+      expect(sent).toBe(1);
+      expect(RepositoryMember.find).toHaveBeenCalledWith({
+        repository: 'r1',
+        email: { $in: ['new@example.com', 'asked@example.com', 'gone@example.com'] },
+        optedOut: { $ne: true }
+      });
+      expect(ConsentRecord.create).toHaveBeenCalledTimes(1);
+      const [record] = ConsentRecord.create.mock.calls[0];
+      expect(record).toMatchObject({ email: 'new@example.com', repository: 'r1', action: 'requested', source: 'csv', actor: 'u1' });
+      expect(record.tokenHash).toMatch(/^[a-f0-9]{64}$/);
+      expect(fresh.consent.requestedAt).toBeInstanceOf(Date);
+      expect(fresh.save).toHaveBeenCalledTimes(1);
+      expect(asked.save).not.toHaveBeenCalled();
+
+      const [type, message] = emailService.queueEmail.mock.calls[0];
+      expect(type).toBe('send-email');
+      expect(message.to).toBe('new@example.com');
+      expect(message.text).toMatch(/https:\/\/shadownews\.community\/consent\/[a-f0-9]{64}/);
+      expect(message.text).toContain('/api/email/consent/export?email=new%40example.com&token=');
+    });
+
+    test('should store only the hash of the confirmation token', async () => {
+      const entry = { email: 'new@example.com', consent: { status: 'pending' } };
+
+      const { token } = await consentService.createRequest(REPOSITORY, entry, { source: 'snowball', token: 'abc' });
+
+      expect(token).toBe('abc');
+      expect(ConsentRecord.create.mock.calls[0][0].tokenHash).toBe(sha256('abc'));
+    });
+  });
+
+  describe('confirm', () => {
+    const request = (overrides = {}) => ({
+      _id: makeId('c1'),
+      email: 'new@example.com',
+      repository: 'r1',
+      action: 'requested',
+      source: 'csv',
+      tokenHash: sha256('token'),
+      expiresAt: new Date(Date.now() + 60000),
+      ...overrides
+    });
+
+    test('should confirm the latest request and record the client', async () => {
+      const pending = request();
+      const member = makeMember({ email: 'new@example.com', consent: { status: 'pending' } });
+      ConsentRecord.findOne.mockResolvedValueOnce(pending).mockReturnValueOnce(sortable(pending));
+      Repository.findById.mockReturnValue(selectable(REPOSITORY));
+      RepositoryMember.findOne.mockResolvedValue(member);
+
+      const result = await consentService.confirm('token', { ip: '203.0.113.9', userAgent: 'Mail/1.0' });
+
+      expect(result).toEqual({ email: 'new@example.com', repository: { _id: 'r1', name: 'Tech News', slug: 'tech-news' } });
+      expect(ConsentRecord.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'confirmed',
+        ip: '203.0.113.9',
+        userAgent: 'Mail/1.0'
+      }));
+      expect(RepositoryMember.findOne).toHaveBeenCalledWith({ repository: 'r1', email: 'new@example.com' });
+      expect(member).toMatchObject({ verified: true, consent: { status: 'confirmed' } });
+      expect(member.saveWithHistory).toHaveBeenCalledWith({ channel: 'api', operation: 'consent_confirmed' });
+      expect(RepositoryMember.refreshStats).toHaveBeenCalledWith('r1');
+    });
+
+    test('should reject expired tokens', async () => {
+      ConsentRecord.findOne.mockResolvedValueOnce(request({ expiresAt: new Date(Date.now() - 1) }));
+
+      await expect(consentService.confirm('token')).resolves.toBeNull();
+      expect(ConsentRecord.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject a request superseded by a newer one', async () => {
+      ConsentRecord.findOne
+        .mockResolvedValueOnce(request())
+        .mockReturnValueOnce(sortable(request({ _id: makeId('c2'), tokenHash: sha256('newer') })));
+
+      await expect(consentService.confirm('token')).resolves.toBeNull();
+      expect(ConsentRecord.create).not.toHaveBeenCalled();
+    });
+
+    test('should not record a repeat confirmation of the same token', async () => {
+      const member = makeMember({ email: 'new@example.com', consent: { status: 'confirmed' } });
+      ConsentRecord.findOne
+        .mockResolvedValueOnce(request())
+        .mockReturnValueOnce(sortable(request({ _id: makeId('c2'), action: 'confirmed' })));
+      Repository.findById.mockReturnValue(selectable(REPOSITORY));
+      RepositoryMember.findOne.mockResolvedValue(member);
+
+      await expect(consentService.confirm('token')).resolves.toMatchObject({ email: 'new@example.com' });
+      expect(ConsentRecord.create).not.toHaveBeenCalled();
+      expect(member.saveWithHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should record revocations and opt the address out', async () => {
+    const member = makeMember({ email: 'bob@example.com', consent: { status: 'confirmed' } });
+    RepositoryMember.findOne.mockResolvedValueOnce(member).mockResolvedValueOnce(null);
+
+    await expect(consentService.revoke(REPOSITORY, 'Bob@Example.com', { channel: 'remove-email', actor: 'u1' }))
+      .resolves.toBe(true);
+    await expect(consentService.revoke(REPOSITORY, 'nobody@example.com', { channel: 'remove-email' })).resolves.toBe(false);
+
+    expect(RepositoryMember.findOne).toHaveBeenCalledWith({ repository: 'r1', email: 'bob@example.com' });
+    expect(member).toMatchObject({ optedOut: true, consent: { status: 'revoked' } });
+    expect(member.saveWithHistory).toHaveBeenCalledTimes(1);
+    expect(member.saveWithHistory).toHaveBeenCalledWith({ channel: 'email', operation: 'consent_revoked', actor: 'u1' });
+    expect(ConsentRecord.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('should accept only export tokens issued for the same address', () => {
+    const token = consentService.buildExportToken('Bob@Example.com');
+
+    expect(consentService.verifyExportToken('bob@example.com', token)).toBe(true);
+    expect(consentService.verifyExportToken('eve@example.com', token)).toBe(false);
+    expect(consentService.verifyExportToken('bob@example.com', 'zz')).toBe(false);
+  });
+
+  test('should export one CSV row per ledger record with quoting', () => {
+    const csv = consentService.ledgerToCsv({
+      email: 'bob@example.com',
+      repositories: [{
+        repository: { name: 'News, "Daily"', slug: 'news-daily' },
+        records: [
+          { action: 'requested', source: 'csv', createdAt: new Date('2025-01-01T00:00:00Z'), hash: 'h1' },
+          { action: 'confirmed', source: 'csv', createdAt: new Date('2025-01-02T00:00:00Z'), ip: '203.0.113.9', hash: 'h2' }
+        ]
+      }]
+    });
+
+    const lines = csv.split('\n');
+    expect(lines[0]).toBe('email,repository,repository_slug,action,source,createdAt,expiresAt,ip,userAgent,channel,tokenHash,hash');
+    expect(lines[1]).toBe('bob@example.com,"News, ""Daily""",news-daily,requested,csv,2025-01-01T00:00:00.000Z,,,,,,h1');
+    expect(lines[2]).toContain(',confirmed,csv,2025-01-02T00:00:00.000Z,,203.0.113.9,');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Consent Ledger Route Unit Tests
+ *
+ * Test suite for GET /api/email/consent and /api/email/consent/export,
+ * mounted the way routes/email.routes mounts them: the controller methods
+ * are passed unbound. The consent service is stubbed.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('bull', () => jest.fn());
+jest.mock('../../src/config', () => ({ email: { inbound: { transports: ['webhook'] } } }));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/errors', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}), { virtual: true });
+jest.mock('../../src/utils/constants', () => ({}), { virtual: true });
+jest.mock('express-validator', () => ({ validationResult: jest.fn() }), { virtual: true });
+jest.mock('../../src/services/consent.service', () => ({
+  exportLedger: jest.fn(),
+  verifyExportToken: jest.fn(),
+  ledgerToCsv: jest.fn()
+}));
+jest.mock('../../src/services/deliverability.service', () => ({}));
+jest.mock('../../src/services/email.service', () => ({}));
+jest.mock('../../src/services/emailParser.service', () => ({}));
+jest.mock('../../src/services/repositoryMail.service', () => ({}));
+jest.mock('../../src/services/segment.service', () => ({}));
+jest.mock('../../src/models/Repository.model', () => ({}));
+jest.mock('../../src/services/repository.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/posts.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/users.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/csv.service', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const consentService = require('../../src/services/consent.service');
+// The controller's file name ends in a space, so it is required verbatim
+const emailController = require('../../src/api/controller/email.controller.js ');
+
+const LEDGER = [{ repository: 'r1', email: 'alice@example.com', status: 'confirmed' }];
+
+const app = express();
+app.get('/api/email/consent/export', emailController.exportConsent);
+app.get('/api/email/consent', (req, res, next) => {
+  req.user = { email: 'alice@example.com' };
+  next();
+}, emailController.getMyConsent);
+// eslint-disable-next-line no-unused-vars
+app.use((error, req, res, next) => {
+  res.status(error.statusCode || 500).json({ error: error.message });
+});
+
+describe('Consent ledger routes', () => {
+  beforeEach(() => {
+    consentService.exportLedger.mockReset().mockResolvedValue(LEDGER);
+    consentService.verifyExportToken.mockReset().mockReturnValue(true);
+    consentService.ledgerToCsv.mockReset().mockReturnValue('repository,email,status\nr1,alice@example.com,confirmed\n');
+  });
+
+  test('returns the signed-in user\'s ledger', async () => {
+    const res = await request(app).get('/api/email/consent');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, data: LEDGER });
+    expect(consentService.exportLedger).toHaveBeenCalledWith('alice@example.com');
+  });
+
+  test('exports the ledger as CSV with a valid token', async () => {
+    const res = await request(app)
+      .get('/api/email/consent/export')
+      .query({ email: 'alice@example.com', token: 'a'.repeat(64), format: 'csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.text).toContain('alice@example.com');
+  });
+
+  test('refuses an export with an invalid token', async () => {
+    consentService.verifyExportToken.mockReturnValue(false);
+
+    const res = await request(app)
+      .get('/api/email/consent/export')
+      .query({ email: 'alice@example.com', token: 'b'.repeat(64) });
+
+    expect(res.status).toBe(403);
+    expect(consentService.exportLedger).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,387 @@
+/**
+ * CSV Import Service Unit Tests
+ *
+ * Test suite for streamed CSV imports: batch commits with checkpoints,
+ * the rejected-rows file, resuming after a crash and retry bookkeeping,
+ * plus the preview/mapping step, saved mapping templates and custom field
+ * values. The parser is replaced with a stub that replays fixed chunks;
+ * models, queue, Redis and custom field validation are stubs too. Rejected-rows files go to a temp dir.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const mockImportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-import-'));
+
+// Members of the repository under import, as RepositoryMember would store them
+const mockMembers = [];
+
+jest.mock('../../src/config', () => ({
+  csvImport: { directory: mockImportDir, batchSize: 2 }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('bull', () => jest.fn(() => ({ process: jest.fn(), add: jest.fn() })), { virtual: true });
+jest.mock('../../src/utils/redis', () => ({ publish: jest.fn() }));
+jest.mock('../../src/models/CsvImport.model', () => Object.assign(
+  jest.fn(function(doc) {
+    Object.assign(this, { _id: 'i2', checkpoint: {}, save: jest.fn() }, doc);
+  }),
+  { findById: jest.fn(), findOne: jest.fn() }
+));
+jest.mock('../../src/models/CsvMappingTemplate.model', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../../src/models/Repository.model', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  find: jest.fn(() => ({ select: () => ({ lean: async () => mockMembers.map(member => ({ ...member })) }) })),
+  addMembers: jest.fn(async (repository, entries) => {
+    mockMembers.push(...entries);
+    return entries;
+  }),
+  refreshStats: jest.fn()
+}));
+jest.mock('../../src/models/User.model', () => ({ findByIdAndUpdate: jest.fn() }), { virtual: true });
+jest.mock('../../src/services/consent.service', () => ({ requestConsent: jest.fn() }));
+jest.mock('../../src/services/snowball.service', () => ({ processSnowball: jest.fn() }));
+jest.mock('../../src/utils/csvParser', () => ({
+  streamParse: jest.fn(),
+  previewFile: jest.fn(),
+  validateMapping: jest.fn((mapping) => (mapping && mapping.email ? [] : ['Map a column to email'])),
+  generateCSV: jest.fn(rows => rows.map(({ row, email, reason }) => `${row},${email},${reason}`).join('\r\n'))
+}));
+
+jest.mock('../../src/api/middleware/validation.middleware', () => ({
+  validateFieldValues: jest.fn((definitions, values) => ({ value: values || {}, errors: [] }))
+}));
+
+jest.mock('../../src/utils/formats', () => ({
+  detect: jest.fn(),
+  toCsv: jest.fn(),
+  suggestMapping: jest.fn(() => null)
+}));
+
+const CsvImport = require('../../src/models/CsvImport.model');
+const CsvMappingTemplate = require('../../src/models/CsvMappingTemplate.model');
+const Repository = require('../../src/models/Repository.model');
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const User = require('../../src/models/User.model');
+const csvParser = require('../../src/utils/csvParser');
+const formats = require('../../src/utils/formats');
+const { validateFieldValues } = require('../../src/api/middleware/validation.middleware');
+const consentService = require('../../src/services/consent.service');
+const redis = require('../../src/utils/redis');
+const csvImportService = require('../../src/services/csvImport.service');
+
+const HEADER = 'row,email,reason\r\n';
+
+const row = (n, email) => ({ email, _rowIndex: n });
+
+// Replays chunks as streamParse would, honouring skipRows
+const replay = (chunks) => async (filePath, onChunk, { skipRows = 0 }) => {
+  let rowsRead = 0;
+  for (const chunk of chunks) {
+    rowsRead += chunk.size;
+    if (rowsRead <= skipRows) continue;
+    await onChunk({ rows: chunk.rows || [], errors: chunk.errors || [], duplicates: chunk.duplicates || [], rowsRead });
+  }
+  return { rowsRead };
+};
+
+const makeImport = (overrides = {}) => {
+  const rejectedPath = path.join(mockImportDir, `${Math.random().toString(36).slice(2)}.rejected.csv`);
+  fs.writeFileSync(rejectedPath, HEADER);
+  return {
+    _id: 'i1',
+    repository: 'r1',
+    user: 'u1',
+    filePath: path.join(mockImportDir, 'missing-upload.csv'),
+    rejectedPath,
+    status: 'queued',
+    attempts: 0,
+    progress: { rowsRead: 0, accepted: 0, rejected: 0, duplicates: 0 },
+    checkpoint: { rowsCommitted: 0, rejectedBytes: HEADER.length },
+    save: jest.fn(),
+    ...overrides
+  };
+};
+
+const CUSTOM_FIELDS = [{ key: 'seats', type: 'number' }];
+
+const makeRepository = (members = []) => {
+  mockMembers.push(...members);
+  return { _id: 'r1', slug: 'tech-news', settings: {}, customFields: CUSTOM_FIELDS };
+};
+
+describe('CsvImportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMembers.length = 0;
+  });
+
+  afterAll(() => {
+    fs.rmSync(mockImportDir, { recursive: true, force: true });
+  });
+
+  test('should commit rows in batches with counts, rejected rows and checkpoints', async () => {
+    const csvImport = makeImport();
+    const repository = makeRepository([{ email: 'old@example.com' }]);
+    CsvImport.findById.mockResolvedValue(csvImport);
+    Repository.findById.mockResolvedValue(repository);
+    csvParser.streamParse.mockImplementation(replay([
+      { size: 2, rows: [row(1, 'a@example.com'), row(2, 'old@example.com')] },
+      { size: 2, rows: [row(3, 'b@example.com')], errors: [{ row: 4, email: 'nope', error: 'Invalid email format' }] },
+      { size: 1, duplicates: [{ row: 5, email: 'a@example.com' }] }
+    ]));
+
+    await csvImportService.runImport('i1');
+
+    expect(csvImport.status).toBe('completed');
+    expect(csvImport.progress).toEqual({ rowsRead: 5, accepted: 2, rejected: 1, duplicates: 2 });
+    expect(csvImport.checkpoint.rowsCommitted).toBe(5);
+    expect(mockMembers.map(entry => entry.email)).toEqual(['old@example.com', 'a@example.com', 'b@example.com']);
+    expect(mockMembers[1]).toMatchObject({ source: 'csv', importId: 'i1', addedBy: 'u1' });
+    expect(RepositoryMember.addMembers).toHaveBeenCalledWith('r1', [expect.objectContaining({ email: 'a@example.com' })], {
+      channel: 'worker',
+      operation: 'csv_import',
+      actor: 'u1'
+    });
+    expect(RepositoryMember.refreshStats).toHaveBeenCalledWith('r1');
+    expect(consentService.requestConsent).toHaveBeenCalledWith(repository, ['a@example.com'], { source: 'csv', actor: 'u1' });
+    expect(fs.readFileSync(csvImport.rejectedPath, 'utf8')).toBe(`${HEADER}4,nope,Invalid email format\r\n`);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith('u1', { $inc: { karma: 10 } });
+
+    const events = redis.publish.mock.calls.map(([channel, message]) => [channel, message.event, message.payload.progress.rowsRead]);
+    expect(events).toEqual([
+      ['websocket:user', 'csv-import:progress', 2],
+      ['websocket:user', 'csv-import:progress', 4],
+      ['websocket:user', 'csv-import:progress', 5],
+      ['websocket:user', 'csv-import:completed', 5]
+    ]);
+  });
+
+  test('should resume after the checkpoint, counting rows the crashed run already added', async () => {
+    const csvImport = makeImport({
+      status: 'running',
+      attempts: 1,
+      progress: { rowsRead: 2, accepted: 2, rejected: 0, duplicates: 0 }
+    });
+    csvImport.checkpoint.rowsCommitted = 2;
+    // The crashed run wrote a rejected row after its checkpoint
+    fs.appendFileSync(csvImport.rejectedPath, '3,bad,Invalid email format\r\n');
+
+    const repository = makeRepository([
+      { email: 'a@example.com', importId: 'i1' },
+      { email: 'b@example.com', importId: 'i1' },
+      { email: 'c@example.com', importId: 'i1' }
+    ]);
+    CsvImport.findById.mockResolvedValue(csvImport);
+    Repository.findById.mockResolvedValue(repository);
+    csvParser.streamParse.mockImplementation(replay([
+      { size: 2, rows: [row(1, 'a@example.com'), row(2, 'b@example.com')] },
+      { size: 2, rows: [row(4, 'c@example.com')], errors: [{ row: 3, email: 'bad', error: 'Invalid email format' }] }
+    ]));
+
+    await csvImportService.runImport('i1');
+
+    expect(csvParser.streamParse.mock.calls[0][2]).toMatchObject({ skipRows: 2 });
+    expect(csvImport.progress).toEqual({ rowsRead: 4, accepted: 3, rejected: 1, duplicates: 0 });
+    expect(mockMembers).toHaveLength(3);
+    expect(fs.readFileSync(csvImport.rejectedPath, 'utf8')).toBe(`${HEADER}3,bad,Invalid email format\r\n`);
+  });
+
+  test('should leave completed imports alone', async () => {
+    CsvImport.findById.mockResolvedValue(makeImport({ status: 'completed' }));
+
+    await csvImportService.runImport('i1');
+
+    expect(csvParser.streamParse).not.toHaveBeenCalled();
+  });
+
+  test('should only mark an import failed after its last attempt', async () => {
+    const csvImport = makeImport({ status: 'running', attempts: 1 });
+    CsvImport.findById.mockResolvedValue(csvImport);
+
+    await csvImportService.recordFailure('i1', new Error('connection reset'), false);
+    expect(csvImport).toMatchObject({ status: 'queued', error: 'connection reset' });
+    expect(redis.publish).not.toHaveBeenCalled();
+
+    await csvImportService.recordFailure('i1', new Error('connection reset'), true);
+    expect(csvImport.status).toBe('failed');
+    expect(redis.publish).toHaveBeenCalledWith('websocket:user', expect.objectContaining({ event: 'csv-import:failed' }));
+  });
+
+  describe('mapping', () => {
+    const preview = (suggestedMapping) => ({
+      encoding: 'latin1',
+      delimiter: ';',
+      headers: ['E-mail', 'Vorname', 'Plan'],
+      sampleRows: [{ 'E-mail': 'a@example.com', Vorname: 'Ana', Plan: 'pro' }],
+      suggestedMapping
+    });
+    const upload = { path: path.join(mockImportDir, 'upload.csv'), originalname: 'contacts.csv' };
+
+    beforeEach(() => {
+      formats.detect.mockResolvedValue({ name: 'csv', tabular: true });
+    });
+
+    test('should queue uploads whose suggested mapping fits', async () => {
+      csvParser.previewFile.mockResolvedValue(preview({ email: 'E-mail', fields: { plan: 'Plan' } }));
+
+      const { csvImport, problems } = await csvImportService.startImport(makeRepository(), upload, 'u1');
+
+      expect(problems).toEqual([]);
+      expect(csvImport).toMatchObject({
+        status: 'queued',
+        encoding: 'latin1',
+        delimiter: ';',
+        mapping: { email: 'E-mail', fields: { plan: 'Plan' } }
+      });
+      expect(csvImportService.importQueue.add).toHaveBeenCalledWith('import-csv', { importId: 'i2' }, expect.objectContaining({ jobId: 'i2' }));
+    });
+
+    test('should wait for a mapping when asked to preview or when none fits', async () => {
+      csvParser.previewFile.mockResolvedValue(preview({ email: 'E-mail', fields: {} }));
+      const previewed = await csvImportService.startImport(makeRepository(), upload, 'u1', { preview: true });
+
+      csvParser.previewFile.mockResolvedValue(preview({ fields: {} }));
+      const unmapped = await csvImportService.startImport(makeRepository(), upload, 'u1');
+
+      expect(previewed).toMatchObject({ csvImport: { status: 'awaiting_mapping' }, problems: [] });
+      expect(unmapped).toMatchObject({ csvImport: { status: 'awaiting_mapping' }, problems: ['Map a column to email'] });
+      expect(unmapped.csvImport.preview.headers).toEqual(['E-mail', 'Vorname', 'Plan']);
+      expect(csvImportService.importQueue.add).not.toHaveBeenCalled();
+    });
+
+    test('should prefer a template over the suggestion and record its use', async () => {
+      csvParser.previewFile.mockResolvedValue(preview({ email: 'E-mail', fields: {} }));
+      const template = { _id: 't1', mapping: { email: 'E-mail', firstName: 'Vorname' } };
+
+      const { csvImport } = await csvImportService.startImport(makeRepository(), upload, 'u1', { template });
+
+      expect(csvImport).toMatchObject({ status: 'queued', template: 't1', mapping: template.mapping });
+      expect(CsvMappingTemplate.updateOne).toHaveBeenCalledWith(
+        { _id: 't1' },
+        { $inc: { usageCount: 1 }, $set: { lastUsedAt: expect.any(Date) } }
+      );
+    });
+
+    test('should convert other formats to CSV and prefer their mapping', async () => {
+      const vcard = path.join(mockImportDir, 'book.vcf');
+      fs.writeFileSync(vcard, 'BEGIN:VCARD\r\nEND:VCARD\r\n');
+      formats.detect.mockResolvedValue({ name: 'vcard' });
+      formats.toCsv.mockResolvedValue({ filePath: `${vcard}.csv`, rows: 1 });
+      formats.suggestMapping.mockReturnValueOnce({ email: 'E-mail', fields: {} });
+      csvParser.previewFile.mockResolvedValue(preview({ fields: {} }));
+
+      const { csvImport } = await csvImportService.startImport(makeRepository(), { path: vcard, originalname: 'book.vcf' }, 'u1');
+
+      expect(csvParser.previewFile).toHaveBeenCalledWith(`${vcard}.csv`, { fields: CUSTOM_FIELDS });
+      expect(csvImport).toMatchObject({ format: 'vcard', filePath: `${vcard}.csv`, status: 'queued', mapping: { email: 'E-mail' } });
+      expect(fs.existsSync(vcard)).toBe(false);
+    });
+
+    test('should save the committed mapping as a template when named', async () => {
+      const csvImport = makeImport({ status: 'awaiting_mapping', preview: { headers: ['E-mail'] } });
+      CsvMappingTemplate.findOneAndUpdate.mockResolvedValue({ _id: 't2' });
+
+      await csvImportService.commitImport(csvImport, { email: 'E-mail' }, { saveAs: ' HubSpot ' });
+
+      expect(CsvMappingTemplate.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: 'u1', name: 'HubSpot' },
+        { $set: { mapping: { email: 'E-mail' }, headers: ['E-mail'] } },
+        expect.objectContaining({ upsert: true })
+      );
+      expect(csvImport).toMatchObject({ status: 'queued', template: 't2' });
+      expect(csvImport.save).toHaveBeenCalled();
+    });
+
+    test('should store mapped columns and skip consent for unsubscribed rows', async () => {
+      const mapping = { email: 'E-mail', fields: { plan: 'Plan' } };
+      const csvImport = makeImport({ mapping, encoding: 'latin1', delimiter: ';' });
+      const repository = makeRepository();
+      CsvImport.findById.mockResolvedValue(csvImport);
+      Repository.findById.mockResolvedValue(repository);
+      csvParser.streamParse.mockImplementation(replay([{
+        size: 2,
+        rows: [
+          { ...row(1, 'a@example.com'), name: 'Ana Lima', company: 'Acme', tags: ['vip'], fields: { plan: 'pro' } },
+          { ...row(2, 'b@example.com'), subscribed: false }
+        ]
+      }]));
+
+      await csvImportService.runImport('i1');
+
+      expect(csvParser.streamParse.mock.calls[0][2]).toMatchObject({ mapping, encoding: 'latin1', delimiter: ';' });
+      expect(mockMembers[0]).toMatchObject({
+        name: 'Ana Lima',
+        metadata: { company: 'Acme', tags: ['vip'] },
+        fields: { plan: 'pro' }
+      });
+      expect(mockMembers[1]).toMatchObject({ email: 'b@example.com', optedOut: true });
+      expect(consentService.requestConsent).toHaveBeenCalledWith(repository, ['a@example.com'], expect.anything());
+      expect(csvImport.progress.accepted).toBe(2);
+    });
+
+    test('should check mappings against the repository custom fields', async () => {
+      csvParser.previewFile.mockResolvedValue(preview({ email: 'E-mail', fields: { seats: 'Plan' } }));
+
+      await csvImportService.startImport(makeRepository(), upload, 'u1');
+
+      expect(csvParser.previewFile).toHaveBeenCalledWith(upload.path, { fields: CUSTOM_FIELDS });
+      expect(csvParser.validateMapping).toHaveBeenCalledWith(
+        { email: 'E-mail', fields: { seats: 'Plan' } },
+        ['E-mail', 'Vorname', 'Plan'],
+        { fields: CUSTOM_FIELDS }
+      );
+    });
+
+    test('should store converted custom field values and reject rows that do not fit', async () => {
+      const csvImport = makeImport({ mapping: { email: 'E-mail', fields: { seats: 'Seats' } } });
+      const repository = makeRepository();
+      CsvImport.findById.mockResolvedValue(csvImport);
+      Repository.findById.mockResolvedValue(repository);
+      validateFieldValues
+        .mockReturnValueOnce({ value: { seats: 12 }, errors: [] })
+        .mockReturnValueOnce({ value: {}, errors: [{ field: 'fields.seats', message: '"seats" must be a number' }] })
+        .mockReturnValueOnce({ value: { seats: '' }, errors: [] });
+      csvParser.streamParse.mockImplementation(replay([{
+        size: 3,
+        rows: [
+          { ...row(1, 'a@example.com'), fields: { seats: '12' } },
+          { ...row(2, 'b@example.com'), fields: { seats: 'many' } },
+          { ...row(3, 'c@example.com'), fields: { seats: '' } }
+        ]
+      }]));
+
+      await csvImportService.runImport('i1');
+
+      expect(validateFieldValues).toHaveBeenCalledWith(CUSTOM_FIELDS, { seats: '12' });
+      expect(mockMembers.map(({ email, fields }) => [email, fields])).toEqual([
+        ['a@example.com', { seats: 12 }],
+        ['c@example.com', undefined]
+      ]);
+      expect(csvImport.progress).toMatchObject({ accepted: 2, rejected: 1 });
+      expect(fs.readFileSync(csvImport.rejectedPath, 'utf8')).toBe(`${HEADER}2,b@example.com,"seats" must be a number\r\n`);
+    });
+
+    test('should offer only templates whose columns are all in the file', async () => {
+      const template = (name, columns) => ({ name, mappedHeaders: () => columns });
+      CsvMappingTemplate.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([template('fits', ['E-mail', 'Plan']), template('other', ['Email', 'Plan'])])
+      });
+
+      const templates = await csvImportService.listTemplates('u1', ['E-mail', 'Vorname', 'Plan']);
+
+      expect(templates.map(({ name }) => name)).toEqual(['fits']);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Deliverability Service Unit Tests
+ *
+ * Test suite for feeding bounces and complaints into repository email
+ * health: status transitions, trusting inbound reports, provider event
+ * mapping and the per-repository report. Models are replaced with stubs.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  email: {
+    deliverability: { softBounceThreshold: 3, softBouncePenalty: 0.1 }
+  }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/models/Repository.model', () => ({ find: jest.fn(), distinct: jest.fn() }));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  find: jest.fn(),
+  refreshStats: jest.fn(),
+  SUPPRESSED_STATUSES: ['bounced', 'complained']
+}));
+jest.mock('../../src/models/Email.model', () => ({ findOne: jest.fn() }));
+
+const Repository = require('../../src/models/Repository.model');
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const Email = require('../../src/models/Email.model');
+const deliverabilityService = require('../../src/services/deliverability.service');
+
+const makeEntry = (overrides = {}) => ({
+  repository: 'r1',
+  email: 'bob@example.com',
+  verified: true,
+  status: 'active',
+  saveWithHistory: jest.fn(),
+  ...overrides
+});
+
+// Query stub that can be awaited directly or through select().lean()
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    lean: jest.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('DeliverabilityService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('applyEvent', () => {
+    test('should suppress an address on a hard bounce', () => {
+      const entry = deliverabilityService.applyEvent(makeEntry(), { type: 'hard_bounce', reason: '5.1.1 User unknown' });
+
+      expect(entry.status).toBe('bounced');
+      expect(entry.deliverability).toMatchObject({ hardBounces: 1, lastEventType: 'hard_bounce', lastReason: '5.1.1 User unknown' });
+    });
+
+    test('should suppress soft bounces only once they reach the threshold', () => {
+      const entry = makeEntry();
+
+      deliverabilityService.applyEvent(entry, { type: 'soft_bounce' });
+      deliverabilityService.applyEvent(entry, { type: 'soft_bounce' });
+      expect(entry.status).toBe('soft_bouncing');
+
+      deliverabilityService.applyEvent(entry, { type: 'soft_bounce' });
+      expect(entry.status).toBe('bounced');
+    });
+
+    test('should clear consecutive soft bounces on delivery', () => {
+      const entry = makeEntry();
+
+      deliverabilityService.applyEvent(entry, { type: 'soft_bounce' });
+      deliverabilityService.applyEvent(entry, { type: 'delivered' });
+
+      expect(entry.status).toBe('active');
+      expect(entry.deliverability.softBounces).toBe(0);
+    });
+
+    test('should never downgrade a complaint', () => {
+      const entry = deliverabilityService.applyEvent(makeEntry(), { type: 'complaint' });
+      deliverabilityService.applyEvent(entry, { type: 'hard_bounce' });
+
+      expect(entry.status).toBe('complained');
+    });
+    test('should count opens and clicks without touching delivery health', () => {
+      const entry = makeEntry({ status: 'soft_bouncing', deliverability: { softBounces: 1 } });
+
+      deliverabilityService.applyEvent(entry, { type: 'open' });
+      deliverabilityService.applyEvent(entry, { type: 'click' });
+      deliverabilityService.applyEvent(entry, { type: 'open' });
+
+      expect(entry.engagement).toMatchObject({ opens: 2, clicks: 1 });
+      expect(entry.engagement.lastEngagedAt).toBeInstanceOf(Date);
+      expect(entry.status).toBe('soft_bouncing');
+      expect(entry.deliverability.softBounces).toBe(1);
+    });
+  });
+
+  describe('processReport', () => {
+    const report = {
+      format: 'dsn',
+      original: { trackingId: 'abc' },
+      events: [
+        { email: 'bob@example.com', type: 'hard_bounce', reason: 'User unknown' },
+        { email: 'carol@example.com', type: 'hard_bounce', reason: 'User unknown' }
+      ]
+    };
+
+    test('should ignore reports that do not return one of our messages', async () => {
+      Email.findOne.mockResolvedValue(null);
+
+      const result = await deliverabilityService.processReport(report);
+
+      expect(result.success).toBe(false);
+      expect(RepositoryMember.find).not.toHaveBeenCalled();
+    });
+
+    test('should only apply events for the recipient of the original message', async () => {
+      const record = { to: 'bob@example.com', status: 'sent', save: jest.fn() };
+      const member = makeEntry();
+      Email.findOne.mockResolvedValue(record);
+      RepositoryMember.find.mockReturnValue(query([member]));
+      Repository.distinct.mockResolvedValue(['r1']);
+
+      const result = await deliverabilityService.processReport(report);
+
+      expect(result.data).toMatchObject({ events: 1, recorded: 1 });
+      expect(RepositoryMember.find).toHaveBeenCalledTimes(1);
+      expect(RepositoryMember.find).toHaveBeenCalledWith({ email: 'bob@example.com' });
+      expect(member.status).toBe('bounced');
+      expect(member.saveWithHistory).toHaveBeenCalledTimes(1);
+      expect(member.saveWithHistory).toHaveBeenCalledWith({ channel: 'email', operation: 'deliverability' });
+      expect(RepositoryMember.refreshStats).toHaveBeenCalledWith('r1');
+      expect(record.status).toBe('bounced');
+    });
+  });
+
+  describe('recordEvent', () => {
+    test('should leave members of deleted repositories alone', async () => {
+      const live = makeEntry();
+      const deleted = makeEntry({ repository: 'r2' });
+      RepositoryMember.find.mockReturnValue(query([live, deleted]));
+      Repository.distinct.mockResolvedValue(['r1']);
+
+      await expect(deliverabilityService.recordEvent({ email: 'Bob@Example.com', type: 'complaint' })).resolves.toBe(1);
+
+      expect(live.status).toBe('complained');
+      expect(deleted.status).toBe('active');
+      expect(deleted.saveWithHistory).not.toHaveBeenCalled();
+    });
+
+    test('should not refresh repository stats for engagement events', async () => {
+      const member = makeEntry();
+      RepositoryMember.find.mockReturnValue(query([member]));
+      Repository.distinct.mockResolvedValue(['r1']);
+
+      await deliverabilityService.recordEvent({ email: 'bob@example.com', type: 'open' });
+
+      expect(member.saveWithHistory).toHaveBeenCalledWith({ channel: 'webhook', operation: 'deliverability' });
+      expect(RepositoryMember.refreshStats).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('normalizeProviderEvent', () => {
+    test('should map SendGrid events', () => {
+      expect(deliverabilityService.normalizeProviderEvent({ email: 'Bob@example.com', event: 'bounce', type: 'bounce' }))
+        .toMatchObject({ email: 'bob@example.com', type: 'hard_bounce' });
+      expect(deliverabilityService.normalizeProviderEvent({ email: 'bob@example.com', event: 'bounce', type: 'blocked' }).type)
+        .toBe('soft_bounce');
+      expect(deliverabilityService.normalizeProviderEvent({ email: 'bob@example.com', event: 'spamreport' }).type)
+        .toBe('complaint');
+    });
+
+    test('should map engagement events and ignore unknown ones', () => {
+      expect(deliverabilityService.normalizeProviderEvent({ email: 'bob@example.com', event: 'open' }).type).toBe('open');
+      expect(deliverabilityService.normalizeProviderEvent({ email: 'bob@example.com', event: 'click' }).type).toBe('click');
+      expect(deliverabilityService.normalizeProviderEvent({ email: 'bob@example.com', event: 'group_unsubscribe' })).toBeNull();
+    });
+  });
+
+  describe('getRepositoryReport', () => {
+    test('should count statuses and list problem addresses', async () => {
+      RepositoryMember.find.mockReturnValue(query([
+        makeEntry({ email: 'a@example.com' }),
+        makeEntry({ email: 'b@example.com', status: 'bounced', deliverability: { hardBounces: 1 } }),
+        makeEntry({ email: 'c@example.com', status: 'complained', deliverability: { complaints: 1 } }),
+        makeEntry({ email: 'd@example.com', status: 'soft_bouncing', deliverability: { softBounces: 2 } })
+      ]));
+
+      const report = await deliverabilityService.getRepositoryReport({ _id: 'r1' });
+
+      expect(report.statuses).toEqual({ active: 1, soft_bouncing: 1, bounced: 1, complained: 1 });
+      expect(report.bounceRate).toBe(25);
+      expect(report.complaintRate).toBe(25);
+      expect(report.addresses.map(a => a.email).sort()).toEqual(['b@example.com', 'c@example.com', 'd@example.com']);
+      expect(RepositoryMember.find).toHaveBeenCalledWith({ repository: 'r1' });
+    });
+  });
+});
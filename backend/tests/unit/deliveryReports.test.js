@@ -0,0 +1,136 @@
+/**
+ * Delivery Report Unit Tests
+ *
+ * Test suite for recognizing DSN (RFC 3464) bounces and ARF (RFC 5965)
+ * complaints in parsed inbound mail and reducing them to delivery events.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const {
+  parseDeliveryStatus,
+  classifyRecipient,
+  parseFeedbackReport,
+  extractReport
+} = require('../../src/utils/deliveryReports');
+
+const ORIGINAL_HEADERS = [
+  'From: Shadownews <noreply@shadownews.community>',
+  'To: bob@example.com',
+  'Subject: [Tech News] Launch day',
+  'X-Shadownews-ID: 0123456789abcdef0123456789abcdef',
+  'X-Shadownews-Type: repository-list'
+].join('\r\n');
+
+const DELIVERY_STATUS = [
+  'Reporting-MTA: dns; mx.example.com',
+  'Arrival-Date: Mon, 1 Jan 2024 10:00:00 +0000',
+  '',
+  'Final-Recipient: rfc822; bob@example.com',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Diagnostic-Code: smtp; 550 5.1.1 <bob@example.com>: Recipient address',
+  '  rejected: User unknown'
+].join('\r\n');
+
+const FEEDBACK_REPORT = [
+  'Feedback-Type: abuse',
+  'User-Agent: SomeGenerator/1.0',
+  'Version: 1',
+  'Original-Mail-From: <noreply@shadownews.community>',
+  'Original-Rcpt-To: <Bob@Example.com>'
+].join('\r\n');
+
+describe('Delivery Report Utilities', () => {
+  describe('parseDeliveryStatus', () => {
+    test('should read per-recipient fields and unfold diagnostic codes', () => {
+      const { reportingMta, recipients } = parseDeliveryStatus(DELIVERY_STATUS);
+
+      expect(reportingMta).toBe('mx.example.com');
+      expect(recipients).toEqual([{
+        recipient: 'bob@example.com',
+        action: 'failed',
+        status: '5.1.1',
+        diagnosticCode: '550 5.1.1 <bob@example.com>: Recipient address rejected: User unknown'
+      }]);
+    });
+  });
+
+  describe('classifyRecipient', () => {
+    test('should treat permanent failures as hard bounces', () => {
+      expect(classifyRecipient({ action: 'failed', status: '5.1.1' })).toBe('hard_bounce');
+    });
+
+    test('should treat delays, 4.x.x and full mailboxes as soft bounces', () => {
+      expect(classifyRecipient({ action: 'delayed', status: '4.4.7' })).toBe('soft_bounce');
+      expect(classifyRecipient({ action: 'failed', status: '4.2.0' })).toBe('soft_bounce');
+      expect(classifyRecipient({ action: 'failed', status: '5.2.2' })).toBe('soft_bounce');
+      expect(classifyRecipient({ action: 'failed', status: '5.7.1' })).toBe('soft_bounce');
+    });
+
+    test('should ignore successful delivery notifications', () => {
+      expect(classifyRecipient({ action: 'delivered', status: '2.0.0' })).toBeNull();
+      expect(classifyRecipient({ action: 'relayed', status: '2.0.0' })).toBeNull();
+    });
+  });
+
+  describe('parseFeedbackReport', () => {
+    test('should read the feedback type and original recipient', () => {
+      expect(parseFeedbackReport(FEEDBACK_REPORT)).toMatchObject({
+        feedbackType: 'abuse',
+        originalRcptTo: 'bob@example.com',
+        originalMailFrom: 'noreply@shadownews.community'
+      });
+    });
+  });
+
+  describe('extractReport', () => {
+    test('should return null for ordinary mail', () => {
+      expect(extractReport({ text: 'Hello', attachments: [] })).toBeNull();
+    });
+
+    test('should turn a DSN into bounce events tied to the original message', () => {
+      const report = extractReport({
+        text: 'Delivery to the following recipient failed permanently.',
+        attachments: [
+          { contentType: 'message/delivery-status', content: Buffer.from(DELIVERY_STATUS) },
+          { contentType: 'text/rfc822-headers', content: Buffer.from(ORIGINAL_HEADERS) }
+        ]
+      });
+
+      expect(report.format).toBe('dsn');
+      expect(report.original.trackingId).toBe('0123456789abcdef0123456789abcdef');
+      expect(report.events).toEqual([expect.objectContaining({
+        email: 'bob@example.com',
+        type: 'hard_bounce',
+        status: '5.1.1'
+      })]);
+    });
+
+    test('should turn an ARF report into a complaint event', () => {
+      const report = extractReport({
+        text: 'This is an email abuse report.',
+        attachments: [
+          { contentType: 'message/feedback-report', content: Buffer.from(FEEDBACK_REPORT) },
+          { contentType: 'message/rfc822', content: Buffer.from(`${ORIGINAL_HEADERS}\r\n\r\nBody`) }
+        ]
+      });
+
+      expect(report.format).toBe('arf');
+      expect(report.original.trackingId).toBe('0123456789abcdef0123456789abcdef');
+      expect(report.events).toEqual([expect.objectContaining({ email: 'bob@example.com', type: 'complaint' })]);
+    });
+
+    test('should find returned headers in the body text when not attached', () => {
+      const report = extractReport({
+        text: `The message could not be delivered.\n\n${ORIGINAL_HEADERS.replace(/\r\n/g, '\n')}\n\nBody`,
+        attachments: [{ contentType: 'message/delivery-status', content: DELIVERY_STATUS }]
+      });
+
+      expect(report.original.trackingId).toBe('0123456789abcdef0123456789abcdef');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Digest Preference Unit Tests
+ *
+ * Round trip of a user's digest frequency: the DIGEST email command
+ * writes it, the User schema keeps it, and the digest worker selects the
+ * user on the matching schedule. Queues, cron and the database are
+ * stubbed; the User schema is the real one.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('bull', () => jest.fn(() => ({ process: jest.fn(), on: jest.fn(), add: jest.fn() })));
+jest.mock('node-cron', () => ({ schedule: jest.fn() }), { virtual: true });
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/redis', () => ({}));
+jest.mock('../../src/utils/emailTemplates', () => ({ generateDigestHTML: jest.fn() }));
+jest.mock('../../src/models/User.model', () => ({ updateOne: jest.fn(), countDocuments: jest.fn(), find: jest.fn() }), { virtual: true });
+jest.mock('../../src/models/Post.model', () => ({}));
+jest.mock('../../src/models/Repository.model', () => ({}));
+jest.mock('../../src/models/RepositoryMember.model', () => ({}));
+jest.mock('../../src/services/email.service', () => ({}));
+jest.mock('../../src/services/repositoryMail.service', () => ({}));
+jest.mock('../../src/services/savedSearch.service', () => ({}));
+
+const User = require('../../src/models/User.model');
+// The real schema; its file name ends in a space, so it is required verbatim
+const UserModel = require('../../src/models/User.model.js ');
+const accountCommands = require('../../src/services/emailCommands/account.commands');
+const { scheduleDigests } = require('../../src/workers/digest.worker');
+
+const digest = accountCommands.find(command => command.name === 'DIGEST');
+
+// Apply the command's update to a real user document, as MongoDB would
+const runDigestCommand = async (user, frequency) => {
+  await digest.execute({ frequency }, { user });
+  const [, update] = User.updateOne.mock.calls[User.updateOne.mock.calls.length - 1];
+  user.set(update.$set);
+  return UserModel.hydrate(user.toObject());
+};
+
+// Users the worker would pick for a frequency; the query is only a list of
+// path equalities, so it can be checked against a document directly
+const selectedBy = async (user, frequency) => {
+  User.countDocuments.mockResolvedValue(0);
+  User.find.mockReturnValue({ select: () => ({ skip: () => ({ limit: () => Promise.resolve([]) }) }) });
+  await scheduleDigests(frequency);
+  const [query] = User.countDocuments.mock.calls[User.countDocuments.mock.calls.length - 1];
+  return Object.entries(query).every(([path, value]) => user.get(path) === value);
+};
+
+describe('Digest frequency', () => {
+  const newUser = () => new UserModel({ emailVerified: true });
+
+  test.each(['daily', 'weekly', 'monthly'])('DIGEST %s is saved and scheduled on that frequency only', async (frequency) => {
+    const user = await runDigestCommand(newUser(), frequency);
+
+    expect(user.validateSync(['preferences.emailDigest.frequency'])).toBeUndefined();
+    expect(user.preferences.emailDigest.frequency).toBe(frequency);
+    for (const schedule of ['daily', 'weekly', 'monthly']) {
+      expect(await selectedBy(user, schedule)).toBe(schedule === frequency);
+    }
+  });
+
+  test('DIGEST never turns the digest off', async () => {
+    const user = await runDigestCommand(await runDigestCommand(newUser(), 'weekly'), 'never');
+
+    expect(user.preferences.emailDigest.enabled).toBe(false);
+    expect(await selectedBy(user, 'weekly')).toBe(false);
+  });
+
+  test('DIGEST after never turns the digest back on', async () => {
+    const user = await runDigestCommand(await runDigestCommand(newUser(), 'never'), 'daily');
+
+    expect(user.preferences.emailDigest.enabled).toBe(true);
+    expect(await selectedBy(user, 'daily')).toBe(true);
+  });
+});
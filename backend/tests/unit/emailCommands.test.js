@@ -0,0 +1,197 @@
+/**
+ * Email Command Unit Tests
+ *
+ * Test suite for the email command grammar and registry: tokenizing,
+ * argument parsing, multi-command bodies and plugin registration. Models
+ * and services used by the built-in plugins are replaced with stubs.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/models/User.model', () => ({ updateOne: jest.fn(), findOne: jest.fn() }), { virtual: true });
+jest.mock('../../src/models/Post.model', () => ({ updateOne: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../src/models/Repository.model', () => ({ findOne: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../src/models/RepositoryMember.model', () => ({ addMembers: jest.fn(), deleteOne: jest.fn(), refreshStats: jest.fn() }));
+jest.mock('../../src/services/csv.service', () => ({ generateCSV: jest.fn() }));
+jest.mock('../../src/services/consent.service', () => ({ requestConsent: jest.fn(), revoke: jest.fn() }));
+jest.mock('../../src/services/savedSearch.service', () => ({ create: jest.fn(), list: jest.fn(), removeAt: jest.fn() }));
+
+const User = require('../../src/models/User.model');
+const savedSearchService = require('../../src/services/savedSearch.service');
+const { tokenize, parseArguments } = require('../../src/services/emailCommands/grammar');
+const commandRegistry = require('../../src/services/emailCommands');
+const { CommandRegistry } = commandRegistry;
+const { MAX_COMMANDS_PER_EMAIL } = require('../../src/services/emailCommands/registry');
+
+describe('Email command grammar', () => {
+  test('should split on whitespace and keep quoted arguments together', () => {
+    expect(tokenize('flag spam "buys followers, see \\"links\\""')).toEqual([
+      'flag',
+      'spam',
+      'buys followers, see "links"'
+    ]);
+  });
+
+  test('should treat apostrophes inside words as literal and reject unterminated quotes', () => {
+    expect(tokenize("post Don't panic")).toEqual(['post', "Don't", 'panic']);
+    expect(tokenize('flag "never closed')).toBeNull();
+  });
+
+  test('should validate and normalize typed arguments', () => {
+    const specs = [{ name: 'email', type: 'email' }];
+
+    expect(parseArguments(['Bob@Example.com'], specs)).toEqual({ email: 'bob@example.com' });
+    expect(parseArguments(['not-an-address'], specs)).toBeNull();
+    expect(parseArguments(['#JavaScript'], [{ name: 'hashtag', type: 'hashtag' }])).toEqual({ hashtag: 'javascript' });
+    expect(parseArguments(['@alice'], [{ name: 'username', type: 'username' }])).toEqual({ username: 'alice' });
+    expect(parseArguments(['12'], [{ name: 'position', type: 'number' }])).toEqual({ position: 12 });
+    expect(parseArguments(['two'], [{ name: 'position', type: 'number' }])).toBeNull();
+  });
+
+  test('should reject leftover tokens', () => {
+    expect(parseArguments(['bob@example.com', 'extra'], [{ name: 'email', type: 'email' }])).toBeNull();
+  });
+});
+
+describe('CommandRegistry', () => {
+  test('should parse several commands from the body in order', () => {
+    const commands = commandRegistry.parse({
+      subject: 'A few things',
+      body: 'SUBSCRIBE #javascript\nfollow @alice\nDIGEST weekly'
+    });
+
+    expect(commands.map(command => command.name)).toEqual(['SUBSCRIBE', 'FOLLOW', 'DIGEST']);
+    expect(commands[0].args).toEqual({ hashtag: 'javascript' });
+    expect(commands[1].args).toEqual({ username: 'alice' });
+    expect(commands[2].args).toEqual({ frequency: 'weekly' });
+  });
+
+  test('should stop at the first line that is not a command', () => {
+    const commands = commandRegistry.parse({
+      subject: '',
+      body: 'upvote\nsave\n\nThanks, this was a great read.\nunsubscribe #news'
+    });
+
+    expect(commands.map(command => command.name)).toEqual(['UPVOTE', 'SAVE']);
+  });
+
+  test('should treat a content command in the subject as the whole email', () => {
+    const commands = commandRegistry.parse({
+      subject: 'POST: Show HN: my side project',
+      body: 'subscribe #javascript\nThis body is the post content.'
+    });
+
+    expect(commands).toHaveLength(1);
+    expect(commands[0].name).toBe('POST');
+    expect(commands[0].args).toEqual({ title: 'Show HN: my side project' });
+  });
+
+  test('should not accept content commands in the body', () => {
+    expect(commandRegistry.parse({ subject: '', body: 'post hello' })).toEqual([]);
+  });
+
+  test('should leave posts starting with "Report" or "Flag" to be posted', () => {
+    // No commands means the parser creates a post from the email
+    expect(commandRegistry.parse({ subject: 'Report on Q3 results', body: 'Revenue is up 12%.' })).toEqual([]);
+    expect(commandRegistry.parse({ subject: 'Flag football is back', body: 'Report cards are out.' })).toEqual([]);
+  });
+
+  test('should take FLAG only with a reason', () => {
+    const [command] = commandRegistry.parse({ subject: '', body: 'flag spam "buys followers"' });
+
+    expect(command.name).toBe('FLAG');
+    expect(command.args).toEqual({ reason: 'spam', details: 'buys followers' });
+    expect(commandRegistry.parse({ subject: '', body: 'flag' })).toEqual([]);
+  });
+
+  test('should prefer the longest matching verb', () => {
+    const [command] = commandRegistry.parse({ subject: 'mute thread', body: '' });
+    expect(command.name).toBe('MUTE_THREAD');
+    expect(command.args).toEqual({});
+  });
+
+  test('should cap the number of commands per email', () => {
+    const body = Array(MAX_COMMANDS_PER_EMAIL + 5).fill('upvote').join('\n');
+    expect(commandRegistry.parse({ subject: '', body })).toHaveLength(MAX_COMMANDS_PER_EMAIL);
+  });
+
+  test('should reject duplicate verbs from plugins', () => {
+    const registry = new CommandRegistry();
+    registry.register({ name: 'PING', verbs: ['ping'], execute: jest.fn() });
+
+    expect(() => registry.register({ name: 'PONG', verbs: ['Ping'], execute: jest.fn() }))
+      .toThrow('already registered');
+  });
+
+  test('should return failures from execute instead of throwing', async () => {
+    User.findOne.mockResolvedValue(null);
+    const [command] = commandRegistry.parse({ subject: 'follow @nobody', body: '' });
+
+    const result = await commandRegistry.execute(command, { user: { _id: 'u1' } });
+
+    expect(result).toEqual({
+      command: 'FOLLOW',
+      success: false,
+      type: 'follow',
+      message: 'No user named @nobody'
+    });
+  });
+
+  test('should list every plugin with usage in HELP and mark confirmed commands', () => {
+    const helpText = commandRegistry.helpText();
+
+    expect(helpText).toContain('EXPORT REPO slug - ');
+    expect(helpText).toContain('MUTE THREAD - ');
+    expect(helpText).toMatch(/REMOVE EMAIL user@example\.com - .* \*/);
+  });
+});
+
+describe('Alert commands', () => {
+  const user = { _id: 'u1' };
+
+  test('should take the quoted query of ALERT ADD whole', () => {
+    const [command] = commandRegistry.parse({ subject: 'alert add "postgres author:alice #databases"', body: '' });
+
+    expect(command.name).toBe('ALERT_ADD');
+    expect(command.args).toEqual({ query: 'postgres author:alice #databases' });
+  });
+
+  test('should report why a search could not be saved', async () => {
+    savedSearchService.create.mockResolvedValue({ savedSearch: null, problems: ['No user named nobody'] });
+    const [command] = commandRegistry.parse({ subject: 'alert add "author:nobody"', body: '' });
+
+    const result = await commandRegistry.execute(command, { user });
+
+    expect(result).toMatchObject({ success: false, message: 'No user named nobody' });
+  });
+
+  test('should number alerts in ALERT LIST and remove them by number', async () => {
+    savedSearchService.list.mockResolvedValue([
+      { id: 's1', position: 1, query: 'rust', notify: { instant: true, digest: false }, matchCount: 3 },
+      { id: 's2', position: 2, query: '#postgres', notify: { instant: false, digest: true }, matchCount: 0 }
+    ]);
+    savedSearchService.removeAt.mockResolvedValue({ id: 's2', position: 2, query: '#postgres' });
+
+    const [list, remove] = commandRegistry.parse({ subject: '', body: 'alert list\nalert remove 2' });
+    const listed = await commandRegistry.execute(list, { user });
+    const removed = await commandRegistry.execute(remove, { user });
+
+    expect(listed.reply).toContain('1. rust (instant) - 3 matches');
+    expect(listed.reply).toContain('2. #postgres (digest) - 0 matches');
+    expect(savedSearchService.removeAt).toHaveBeenCalledWith('u1', 2);
+    expect(removed).toMatchObject({ success: true, message: 'Alert for "#postgres" removed' });
+  });
+
+  test('should not remove an alert that is not in the list', async () => {
+    savedSearchService.removeAt.mockResolvedValue(null);
+    const [command] = commandRegistry.parse({ subject: 'alert remove 9', body: '' });
+
+    const result = await commandRegistry.execute(command, { user });
+
+    expect(result).toMatchObject({ success: false, message: 'No alert 9; send ALERT LIST to see yours' });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Email Confirmation Unit Tests
+ *
+ * Test suite for one-time confirmation tokens used by destructive email
+ * commands and held inbound mail. Redis, the audit model and outbound
+ * email are replaced with in-memory stubs.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  email: { inbound: { replyAddress: 'reply@shadownews.community' } }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/services/email.service', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/models/EmailConfirmation.model', () => ({
+  create: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/utils/redis', () => {
+  const store = new Map();
+  return {
+    store,
+    setJson: jest.fn(async (key, value) => store.set(key, JSON.stringify(value))),
+    getJson: jest.fn(async key => (store.has(key) ? JSON.parse(store.get(key)) : null)),
+    del: jest.fn(async key => (store.delete(key) ? 1 : 0))
+  };
+});
+
+const redis = require('../../src/utils/redis');
+const emailService = require('../../src/services/email.service');
+const EmailConfirmation = require('../../src/models/EmailConfirmation.model');
+const emailConfirmationService = require('../../src/services/emailConfirmation.service');
+
+const USER = { _id: '64b7f0c2e4b0a1a2b3c4d5e6', email: 'alice@example.com' };
+const OTHER_USER = { _id: '64b7f0c2e4b0a1a2b3c4d5e7', email: 'mallory@example.com' };
+
+const requestRemoval = () => emailConfirmationService.request({
+  kind: 'command',
+  user: USER,
+  action: 'REMOVE EMAIL bob@example.com',
+  payload: { command: { name: 'REMOVE_EMAIL', args: { email: 'bob@example.com' } } },
+  ttl: 3600,
+  notice: 'You sent us an email command:'
+});
+
+describe('EmailConfirmationService', () => {
+  beforeEach(() => {
+    redis.store.clear();
+    jest.clearAllMocks();
+  });
+
+  test('should store the action with an expiry and email the token to the owner', async () => {
+    const { token } = await requestRemoval();
+
+    expect(token).toMatch(/^[a-f0-9]{32}$/);
+    expect(redis.setJson).toHaveBeenCalledWith(`email:confirm:${token}`, expect.any(Object), 3600);
+    expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: USER.email,
+      text: expect.stringContaining(`CONFIRM ${token}`)
+    }));
+
+    // The audit trail never holds a usable token
+    const audit = EmailConfirmation.create.mock.calls[0][0];
+    expect(audit.tokenHash).not.toBe(token);
+    expect(audit.action).toBe('REMOVE EMAIL bob@example.com');
+  });
+
+  test('should return the pending action only once', async () => {
+    const { token } = await requestRemoval();
+
+    const first = await emailConfirmationService.consume(token, { user: USER, via: 'reply' });
+    const second = await emailConfirmationService.consume(token, { user: USER, via: 'reply' });
+
+    expect(first.payload.command.name).toBe('REMOVE_EMAIL');
+    expect(second).toBeNull();
+    expect(EmailConfirmation.updateOne).toHaveBeenCalledWith(
+      expect.any(Object),
+      { $set: expect.objectContaining({ status: 'confirmed', confirmedVia: 'reply' }) }
+    );
+  });
+
+  test('should not let another user confirm the action', async () => {
+    const { token } = await requestRemoval();
+
+    expect(await emailConfirmationService.consume(token, { user: OTHER_USER, via: 'reply' })).toBeNull();
+    expect(await emailConfirmationService.consume(token, { user: USER, via: 'reply' })).not.toBeNull();
+  });
+
+  test('should find reply-codes in the subject or first line only', () => {
+    const token = 'a'.repeat(32);
+
+    expect(emailConfirmationService.extractToken({ subject: `CONFIRM ${token}` })).toBe(token);
+    expect(emailConfirmationService.extractToken({ subject: 'Re: hi', body: `confirm ${token}\nthanks` })).toBe(token);
+    expect(emailConfirmationService.extractToken({ subject: 'Re: hi', body: `thanks\nCONFIRM ${token}` })).toBeNull();
+  });
+});
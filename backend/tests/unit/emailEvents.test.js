@@ -0,0 +1,90 @@
+/**
+ * Email Event Webhook Unit Tests
+ *
+ * Test suite for POST /api/email/webhook/events. Bounce and complaint
+ * events suppress addresses, so the handler must refuse every request
+ * without the webhook token, including when no token is configured.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('bull', () => jest.fn());
+jest.mock('../../src/config', () => ({
+  email: { inbound: { apiKey: 'inbound-secret', transports: ['webhook'] } }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/errors', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}), { virtual: true });
+jest.mock('../../src/utils/constants', () => ({}), { virtual: true });
+jest.mock('express-validator', () => ({ validationResult: jest.fn() }), { virtual: true });
+jest.mock('../../src/services/deliverability.service', () => ({ processProviderEvents: jest.fn() }));
+jest.mock('../../src/services/email.service', () => ({}));
+jest.mock('../../src/services/emailParser.service', () => ({}));
+jest.mock('../../src/services/consent.service', () => ({}));
+jest.mock('../../src/services/repositoryMail.service', () => ({}));
+jest.mock('../../src/services/segment.service', () => ({}));
+jest.mock('../../src/models/Repository.model', () => ({}));
+jest.mock('../../src/services/repository.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/posts.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/users.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/csv.service', () => ({}));
+
+const config = require('../../src/config');
+const deliverabilityService = require('../../src/services/deliverability.service');
+// The controller's file name ends in a space, so it is required verbatim
+const emailController = require('../../src/api/controller/email.controller.js ');
+
+const EVENTS = [{ event: 'bounce', email: 'alice@example.com', type: 'bounce' }];
+
+const post = async ({ headers = {}, query = {} } = {}) => {
+  const req = { body: EVENTS, query, get: name => headers[name.toLowerCase()] };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await emailController.handleEmailEvents(req, res, next);
+  return { res, next };
+};
+
+describe('Email event webhook', () => {
+  beforeEach(() => {
+    deliverabilityService.processProviderEvents.mockReset().mockResolvedValue({ processed: 1 });
+  });
+
+  test('processes events posted with the token', async () => {
+    const { res, next } = await post({ query: { token: 'inbound-secret' } });
+
+    expect(deliverabilityService.processProviderEvents).toHaveBeenCalledWith(EVENTS);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('rejects events without a valid token', async () => {
+    const missing = await post();
+    const wrong = await post({ headers: { 'x-inbound-token': 'guess' } });
+
+    expect(missing.next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+    expect(wrong.next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+    expect(deliverabilityService.processProviderEvents).not.toHaveBeenCalled();
+  });
+
+  test('rejects every request when no token is configured', async () => {
+    config.email.inbound.apiKey = undefined;
+
+    try {
+      const { next } = await post({ query: { token: '' } });
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+      expect(deliverabilityService.processProviderEvents).not.toHaveBeenCalled();
+    } finally {
+      config.email.inbound.apiKey = 'inbound-secret';
+    }
+  });
+});
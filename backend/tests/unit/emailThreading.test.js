@@ -0,0 +1,97 @@
+/**
+ * Email Threading Unit Tests
+ *
+ * Test suite for the Message-ID helpers and reply body cleanup used by
+ * reply-by-email. Covers Message-ID round trips, References chains for
+ * nested comments, and removal of quoted history and signatures.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  email: { inbound: { domain: 'shadownews.community' } }
+}));
+
+const {
+  buildMessageId,
+  parseMessageId,
+  normalizeReferences,
+  buildThreadHeaders,
+  stripQuotedReply,
+  extractReplyBody
+} = require('../../src/utils/emailThreading');
+
+const POST_ID = '64b7f0c2e4b0a1a2b3c4d5e6';
+const ROOT_COMMENT_ID = '64b7f0c2e4b0a1a2b3c4d5e7';
+const REPLY_COMMENT_ID = '64b7f0c2e4b0a1a2b3c4d5e8';
+
+describe('Message-ID mapping', () => {
+  test('should round-trip post and comment identifiers', () => {
+    const messageId = buildMessageId('comment', ROOT_COMMENT_ID);
+
+    expect(messageId).toBe(`<comment.${ROOT_COMMENT_ID}@shadownews.community>`);
+    expect(parseMessageId(messageId)).toEqual({ type: 'comment', id: ROOT_COMMENT_ID });
+    expect(parseMessageId(buildMessageId('post', POST_ID))).toEqual({ type: 'post', id: POST_ID });
+  });
+
+  test('should ignore foreign Message-IDs', () => {
+    expect(parseMessageId('<CAF=abc123@mail.gmail.com>')).toBeNull();
+    expect(parseMessageId(`<post.${POST_ID}@example.com>`)).toBeNull();
+    expect(parseMessageId(undefined)).toBeNull();
+  });
+
+  test('should split References headers into individual ids', () => {
+    expect(normalizeReferences('<a@x> <b@y>')).toEqual(['<a@x>', '<b@y>']);
+    expect(normalizeReferences(['<a@x>', '<b@y>'])).toEqual(['<a@x>', '<b@y>']);
+    expect(normalizeReferences(null)).toEqual([]);
+  });
+});
+
+describe('buildThreadHeaders', () => {
+  test('should thread a top-level comment under its post', () => {
+    const headers = buildThreadHeaders({ postId: POST_ID, commentId: ROOT_COMMENT_ID });
+
+    expect(headers.messageId).toBe(buildMessageId('comment', ROOT_COMMENT_ID));
+    expect(headers.inReplyTo).toBe(buildMessageId('post', POST_ID));
+    expect(headers.references).toEqual([buildMessageId('post', POST_ID)]);
+  });
+
+  test('should reference every ancestor of a nested reply', () => {
+    const headers = buildThreadHeaders({
+      postId: POST_ID,
+      commentId: REPLY_COMMENT_ID,
+      ancestorIds: [ROOT_COMMENT_ID]
+    });
+
+    expect(headers.inReplyTo).toBe(buildMessageId('comment', ROOT_COMMENT_ID));
+    expect(headers.references).toEqual([
+      buildMessageId('post', POST_ID),
+      buildMessageId('comment', ROOT_COMMENT_ID)
+    ]);
+  });
+});
+
+describe('stripQuotedReply', () => {
+  test('should drop attribution lines and everything quoted after them', () => {
+    const body = 'Agreed, ship it.\n\nOn Mon, Jan 1, 2024 at 10:00 AM Bob <bob@example.com>\nwrote:\n> Original text';
+    expect(stripQuotedReply(body)).toBe('Agreed, ship it.');
+  });
+
+  test('should keep inline answers but remove quoted lines and signatures', () => {
+    const body = 'Hi\n> quoted question\nInline answer\n-- \nBob\nCEO, Example Inc.';
+    expect(stripQuotedReply(body)).toBe('Hi\nInline answer');
+  });
+
+  test('should stop at Outlook header blocks and mobile footers', () => {
+    expect(stripQuotedReply('Yes\n\nFrom: Bob\nSent: Monday\nTo: Alice')).toBe('Yes');
+    expect(stripQuotedReply('On it\n\nSent from my iPhone')).toBe('On it');
+  });
+
+  test('should fall back to the HTML part without webmail quotes', () => {
+    const html = '<div>Thanks &amp; bye</div><div class="gmail_quote">On x wrote:<blockquote>old</blockquote></div>';
+    expect(extractReplyBody({ text: '', html })).toBe('Thanks & bye');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Contact Format Registry Unit Tests
+ *
+ * Test suite for the import/export format adapters: detection by content
+ * and extension, vCard parsing and export, JSON Lines flattening, mbox
+ * address extraction, the CSV contact dialects and conversion to CSV.
+ * CSV writing, address parsing and the XLSX library are replaced with
+ * stubs; sample files go to a temp dir.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+jest.mock('../../src/utils/csvParser', () => ({
+  // Unquoted CSV is enough to check columns and row order
+  generateCSV: jest.fn((input, options = {}) => {
+    const fields = input.fields || options.columns;
+    const rows = input.data || input;
+    const lines = options.header === false ? [] : [fields.join(',')];
+    rows.forEach(row => lines.push((Array.isArray(row) ? row : fields.map(field => row[field] ?? '')).join(',')));
+    return lines.join('\r\n');
+  })
+}));
+jest.mock('exceljs', () => ({ Workbook: jest.fn(), stream: { xlsx: { WorkbookReader: jest.fn() } } }), { virtual: true });
+jest.mock('libmime', () => ({ decodeWords: jest.fn(name => name.replace('=?UTF-8?Q?Jos=C3=A9?=', 'José')) }), { virtual: true });
+jest.mock('nodemailer/lib/addressparser', () => jest.fn(value => value.split(',').map(part => {
+  const match = part.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  return match ? { name: match[1], address: match[2] } : { name: '', address: part.trim() };
+})), { virtual: true });
+
+const formats = require('../../src/utils/formats');
+const { toContact } = require('../../src/utils/formats');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'formats-'));
+
+const write = (name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+const collect = async (adapter, filePath) => {
+  const rows = [];
+  for await (const row of adapter.records(filePath)) rows.push(row);
+  return rows;
+};
+
+const contact = (overrides = {}) => toContact({
+  email: 'ana@example.com',
+  name: 'Ana Maria Lima',
+  metadata: { company: 'Acme, Inc.', title: 'CTO', tags: ['vip', 'beta'] },
+  fields: new Map([['plan', 'pro']]),
+  source: 'csv',
+  addedAt: new Date('2025-01-01T00:00:00Z'),
+  ...overrides
+});
+
+describe('Contact formats', () => {
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should detect formats by content first, then by extension, else CSV', async () => {
+    const detect = async (name, content) => (await formats.detect(write(name, content), name)).name;
+
+    await expect(detect('contacts.txt', 'BEGIN:VCARD\r\nVERSION:4.0\r\nEND:VCARD\r\n')).resolves.toBe('vcard');
+    await expect(detect('export.csv', 'Name,Given Name,E-mail 1 - Value\r\n')).resolves.toBe('google-csv');
+    await expect(detect('export.csv', '"First Name","Last Name","E-mail Address"\r\n')).resolves.toBe('outlook-csv');
+    await expect(detect('mail', 'From bob@example.com Mon Jan  1 00:00:00 2024\nFrom: bob@example.com\n')).resolves.toBe('mbox');
+    await expect(detect('list.data', '{"email":"a@example.com"}\n')).resolves.toBe('jsonl');
+    await expect(detect('book.xlsx', 'PK\u0003\u0004')).resolves.toBe('xlsx');
+    await expect(detect('list.csv', 'From,Email\r\nBob,bob@example.com\r\n')).resolves.toBe('csv');
+  });
+
+  test('should read vCard 3.0 and 4.0 cards with folding, preference and escapes', async () => {
+    const filePath = write('book.vcf', [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'FN:Bob Stone',
+      'N:Stone;Bob;;;',
+      'EMAIL;TYPE=INTERNET:home@example.com',
+      'item1.EMAIL;TYPE=INTERNET,pref:bob@exam',
+      ' ple.com',
+      'ORG:Stone\\, Sons;Sales',
+      'CATEGORIES:friends,vip',
+      'END:VCARD',
+      'BEGIN:VCARD',
+      'VERSION:4.0',
+      'FN:Eve',
+      'EMAIL;PREF=2:other@example.com',
+      'EMAIL;PREF=1:eve@example.com',
+      'X-SHADOWNEWS-COMPANY-SIZE:50',
+      'END:VCARD'
+    ].join('\r\n'));
+
+    await expect(collect(formats.get('vcard'), filePath)).resolves.toEqual([
+      {
+        email: 'bob@example.com',
+        name: 'Bob Stone',
+        'first name': 'Bob',
+        'last name': 'Stone',
+        company: 'Stone, Sons',
+        tags: 'friends;vip'
+      },
+      { email: 'eve@example.com', name: 'Eve', company_size: '50' }
+    ]);
+  });
+
+  test('should export vCards that read back the same, with lines folded at 75 octets', async () => {
+    const long = contact({ metadata: { company: 'A'.repeat(100), tags: [] } });
+    const text = formats.get('vcard').serialize([contact(), long]);
+
+    expect(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(text).toContain('EMAIL;PREF=1:ana@example.com');
+    expect(formats.get('vcard3').serialize([contact()])).toContain('EMAIL;TYPE=INTERNET,PREF:ana@example.com');
+
+    const rows = await collect(formats.get('vcard'), write('export.vcf', text));
+    expect(rows[0]).toEqual({
+      email: 'ana@example.com',
+      name: 'Ana Maria Lima',
+      'first name': 'Ana Maria',
+      'last name': 'Lima',
+      company: 'Acme, Inc.',
+      title: 'CTO',
+      tags: 'vip;beta',
+      plan: 'pro'
+    });
+    expect(rows[1].company).toBe('A'.repeat(100));
+  });
+
+  test('should flatten JSON Lines and keep malformed lines as rows', async () => {
+    const filePath = write('list.jsonl', [
+      '{"email":"a@example.com","tags":["x","y"],"metadata":{"company":"Acme"},"fields":{"plan":"pro"},"extra":{"a":1}}',
+      '',
+      'not json',
+      '{"email":"b@example.com","subscribed":false}'
+    ].join('\n'));
+
+    await expect(collect(formats.get('jsonl'), filePath)).resolves.toEqual([
+      { email: 'a@example.com', tags: 'x;y', company: 'Acme', plan: 'pro', extra: '{"a":1}' },
+      {},
+      { email: 'b@example.com', subscribed: 'false' }
+    ]);
+  });
+
+  test('should collect each address once from mbox headers, ignoring bodies', async () => {
+    const filePath = write('archive.mbox', [
+      'From bob@example.com Mon Jan  1 00:00:00 2024',
+      'From: "Bob" <Bob@Example.com>',
+      'To: list@example.com,',
+      '  =?UTF-8?Q?Jos=C3=A9?= <jose@example.com>',
+      'Subject: Hello',
+      '',
+      'To: body@example.com',
+      'From alice@example.com Mon Jan  1 00:00:00 2024',
+      'From: alice@example.com',
+      'Cc: bob@example.com',
+      '',
+      'Bye'
+    ].join('\n'));
+
+    await expect(collect(formats.get('mbox'), filePath)).resolves.toEqual([
+      { email: 'bob@example.com', name: 'Bob' },
+      { email: 'list@example.com', name: '' },
+      { email: 'jose@example.com', name: 'José' },
+      { email: 'alice@example.com', name: '' }
+    ]);
+  });
+
+  test('should convert records to CSV with every column in first-seen order', async () => {
+    const filePath = write('convert.jsonl', '{"email":"a@example.com","plan":"pro"}\n{"name":"B","email":"b@example.com","seats":"3"}\n');
+
+    const result = await formats.toCsv(formats.get('jsonl'), filePath);
+
+    expect(result).toEqual({ filePath: `${filePath}.csv`, rows: 2 });
+    expect(fs.readFileSync(result.filePath, 'utf8')).toBe(
+      'email,name,plan,seats\r\na@example.com,,pro,\r\nb@example.com,B,,3\r\n'
+    );
+  });
+
+  test('should suggest dialect mappings only for columns the file has', () => {
+    const outlook = formats.get('outlook-csv');
+
+    expect(formats.suggestMapping(outlook, ['First Name', 'E-mail Address', 'Title', 'Job Title'])).toEqual({
+      email: 'E-mail Address',
+      firstName: 'First Name',
+      title: 'Job Title',
+      fields: {}
+    });
+    expect(formats.suggestMapping(outlook, ['First Name'])).toBeNull();
+    expect(formats.suggestMapping(formats.get('csv'), ['email'])).toBeNull();
+  });
+
+  test('should export contact CSV dialects with their own headers', () => {
+    const [googleHeader, googleRow] = formats.get('google-csv').serialize([contact()]).split('\r\n');
+    const [outlookHeader, outlookRow] = formats.get('outlook-csv').serialize([contact()]).split('\r\n');
+
+    expect(googleHeader).toContain('E-mail 1 - Value');
+    expect(googleRow).toContain('vip ::: beta');
+    expect(outlookHeader).toBe('First Name,Last Name,E-mail Address,E-mail Display Name,Company,Job Title,Categories');
+    expect(outlookRow).toContain('Ana Maria,Lima,ana@example.com');
+    expect(formats.get('csv').serialize([contact()])).toMatch(/^email,name,company,title,tags,source,addedAt,plan\r\n/);
+  });
+
+  test('should refuse adapters that neither import nor export, or reuse a name', () => {
+    expect(() => formats.register({ name: 'noop', extensions: ['.x'], mimeType: 'text/plain' })).toThrow(/neither imports nor exports/);
+    expect(() => formats.register({ ...formats.get('csv') })).toThrow(/already registered/);
+    expect(formats.exporters().map(({ name }) => name)).not.toContain('mbox');
+  });
+});
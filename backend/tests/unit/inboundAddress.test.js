@@ -0,0 +1,123 @@
+/**
+ * Inbound Address Unit Tests
+ *
+ * Test suite for per-repository inbound addresses: building an address
+ * from a slug, resolving recipients back to a repository slug, and
+ * keeping slugs and inbound aliases from naming two repositories.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  email: {
+    inbound: {
+      domain: 'shadownews.community',
+      replyAddress: 'reply@shadownews.community'
+    }
+  }
+}));
+
+const {
+  buildRepositoryAddress,
+  parseRepositoryAddress
+} = require('../../src/utils/inboundAddress');
+const Repository = require('../../src/models/Repository.model');
+
+// Validation errors of a repository whose slug and aliases are checked
+// against `other`, the repository the lookup finds
+const validationErrors = async (fields, other) => {
+  jest.spyOn(Repository, 'findOne').mockReturnValue({
+    select: () => ({ lean: async () => other })
+  });
+  const repository = new Repository({ name: 'Tech News', ...fields });
+  try {
+    await repository.validate();
+    return {};
+  } catch (error) {
+    return error.errors;
+  }
+};
+
+describe('Inbound Address Utilities', () => {
+  describe('buildRepositoryAddress', () => {
+    test('should use the slug as the local part', () => {
+      expect(buildRepositoryAddress('tech-news')).toBe('tech-news@shadownews.community');
+    });
+
+    test('should append a tag after a plus sign', () => {
+      expect(buildRepositoryAddress('tech-news', 'post')).toBe('tech-news+post@shadownews.community');
+    });
+  });
+
+  describe('parseRepositoryAddress', () => {
+    test('should treat an untagged address as a post', () => {
+      expect(parseRepositoryAddress('Tech-News@ShadowNews.community')).toEqual({ slug: 'tech-news', tag: 'post' });
+    });
+
+    test('should round-trip tagged addresses', () => {
+      expect(parseRepositoryAddress(buildRepositoryAddress('tech-news', 'post'))).toEqual({ slug: 'tech-news', tag: 'post' });
+      expect(parseRepositoryAddress('<tech-news+post@shadownews.community>')).toEqual({ slug: 'tech-news', tag: 'post' });
+    });
+
+    test('should ignore other domains and unknown tags', () => {
+      expect(parseRepositoryAddress('tech-news@example.com')).toBeNull();
+      expect(parseRepositoryAddress('tech-news+admin@shadownews.community')).toBeNull();
+      expect(parseRepositoryAddress('tech-news+post+x@shadownews.community')).toBeNull();
+    });
+
+    test('should never match the reply address or reserved mailboxes', () => {
+      expect(parseRepositoryAddress('reply@shadownews.community')).toBeNull();
+      expect(parseRepositoryAddress('postmaster@shadownews.community')).toBeNull();
+    });
+
+    test('should reject malformed input', () => {
+      expect(parseRepositoryAddress('')).toBeNull();
+      expect(parseRepositoryAddress(null)).toBeNull();
+      expect(parseRepositoryAddress('not an address')).toBeNull();
+    });
+  });
+
+  describe('Repository inbound aliases', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should reject an alias that is another repository\'s slug', async () => {
+      const errors = await validationErrors(
+        { slug: 'tech-news', inboundAliases: ['ai-news'] },
+        { slug: 'ai-news', inboundAliases: [] }
+      );
+
+      expect(errors.inboundAliases.message).toBe('"ai-news" is already the address of another repository');
+    });
+
+    test('should reject a slug that is another repository\'s alias', async () => {
+      const errors = await validationErrors(
+        { slug: 'tech-news' },
+        { slug: 'technology', inboundAliases: ['tech-news'] }
+      );
+
+      expect(errors.slug.message).toBe('"tech-news" is already the address of another repository');
+    });
+
+    test('should look up every address the repository answers to', async () => {
+      const errors = await validationErrors({ slug: 'tech-news', inboundAliases: ['tech'] }, null);
+
+      expect(errors.slug).toBeUndefined();
+      expect(errors.inboundAliases).toBeUndefined();
+      expect(Repository.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        $or: [{ slug: { $in: ['tech-news', 'tech'] } }, { inboundAliases: { $in: ['tech-news', 'tech'] } }]
+      }));
+    });
+
+    test('should reject reserved aliases and the repository\'s own slug', async () => {
+      const errors = await validationErrors({ slug: 'tech-news', inboundAliases: ['postmaster', 'tech-news'] }, null);
+
+      expect(errors['inboundAliases.0'].message).toBe('"postmaster" cannot be used as an inbound address');
+      expect(errors['inboundAliases.1'].message).toBe('"tech-news" is already an address of this repository');
+    });
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Inbound Transport Unit Tests
+ *
+ * Test suite for the inbound transports: provider webhooks (raw and
+ * parsed fields, token checks), the SMTP/LMTP listener driven by a real
+ * SMTP client acting as the sending MTA (relay refusal, size limit), and
+ * maildir/mbox import. Each transport must queue a payload that parses
+ * back to the same message.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('bull', () => jest.fn());
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/config', () => ({
+  redis: {},
+  queue: { defaultJobOptions: { attempts: 3, backoff: 1000 } },
+  email: {
+    inbound: {
+      domain: 'shadownews.community',
+      apiKey: 'inbound-secret',
+      transports: ['webhook'],
+      smtp: { protocol: 'smtp', host: '127.0.0.1', port: 0, banner: 'test', maxMessageSize: 4096 },
+      maildir: { path: null, pollInterval: 1000 },
+      auth: { enabled: true }
+    }
+  }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { simpleParser } = require('mailparser');
+const config = require('../../src/config');
+const { InboundTransportService, decodeInboundJob } = require('../../src/services/inbound');
+const WebhookTransport = require('../../src/services/inbound/webhook.transport');
+const SmtpTransport = require('../../src/services/inbound/smtp.transport');
+const MailboxTransport = require('../../src/services/inbound/mailbox.transport');
+
+const RAW = [
+  'From: Alice <alice@example.com>',
+  'To: tech-news@shadownews.community',
+  'Subject: Postgres tips',
+  'Message-ID: <m1@example.com>',
+  '',
+  'Vacuum often.'
+].join('\r\n');
+
+// Stands in for the inbound service: keeps the payloads it would queue
+const fakeInbound = () => {
+  const service = new InboundTransportService();
+  const jobs = [];
+  service.submit = jest.fn(async (raw, meta) => {
+    jobs.push(service.createJob(raw, meta));
+    return { jobId: jobs.length };
+  });
+  return { service, jobs };
+};
+
+// What the email worker would see for a queued payload
+const parse = job => simpleParser(decodeInboundJob(job));
+
+const request = ({ body = {}, headers = {}, query = {} } = {}) => ({
+  body,
+  query,
+  ip: '203.0.113.9',
+  get: name => headers[name.toLowerCase()]
+});
+
+describe('Webhook transport', () => {
+  test('queues a raw MIME message as posted', async () => {
+    const { service, jobs } = fakeInbound();
+    const webhook = new WebhookTransport(service);
+
+    await webhook.receive(request({ body: { email: RAW, envelope: '{"from":"alice@example.com","to":["tech-news@shadownews.community"]}' } }));
+
+    const email = await parse(jobs[0]);
+    expect(email.from.value[0].address).toBe('alice@example.com');
+    expect(email.subject).toBe('Postgres tips');
+    expect(email.text.trim()).toBe('Vacuum often.');
+    expect(jobs[0].envelope.rcptTo).toEqual(['tech-news@shadownews.community']);
+    expect(jobs[0].transport).toBe('webhook');
+  });
+
+  test('rebuilds MIME from parsed fields, keeping the threading headers', async () => {
+    const { service, jobs } = fakeInbound();
+    const webhook = new WebhookTransport(service);
+
+    await webhook.receive(request({
+      body: {
+        from: 'Alice <alice@example.com>',
+        to: 'reply+abc@shadownews.community',
+        subject: 'Re: Postgres tips',
+        text: 'Agreed.',
+        headers: 'Message-ID: <m2@example.com>\nIn-Reply-To:\n <m1@example.com>\nX-Other: ignored'
+      }
+    }));
+
+    const email = await parse(jobs[0]);
+    expect(email.messageId).toBe('<m2@example.com>');
+    expect(email.inReplyTo).toBe('<m1@example.com>');
+    expect(email.subject).toBe('Re: Postgres tips');
+    expect(email.text.trim()).toBe('Agreed.');
+    expect(email.headers.has('x-other')).toBe(false);
+  });
+
+  test('trusts the posted envelope and sender IP only with a valid token', async () => {
+    const { service, jobs } = fakeInbound();
+    const webhook = new WebhookTransport(service);
+    const body = { email: RAW, envelope: { from: 'alice@example.com', to: ['tech-news@shadownews.community'] }, sender_ip: '198.51.100.7' };
+
+    await webhook.receive(request({ body, query: { token: 'inbound-secret' } }));
+    await webhook.receive(request({ body }));
+
+    expect(jobs[0].envelope).toMatchObject({ mailFrom: 'alice@example.com', clientIp: '198.51.100.7' });
+    expect(jobs[1].envelope).toMatchObject({ mailFrom: null, clientIp: null, rcptTo: ['tech-news@shadownews.community'] });
+  });
+
+  test('accepts the token as a header or a query parameter', () => {
+    const webhook = new WebhookTransport(fakeInbound().service);
+
+    expect(webhook.verifyRequest(request({ headers: { 'x-inbound-token': 'inbound-secret' } }))).toBe(true);
+    expect(webhook.verifyRequest(request({ query: { token: 'inbound-secret' } }))).toBe(true);
+  });
+
+  test('rejects missing and wrong tokens', () => {
+    const webhook = new WebhookTransport(fakeInbound().service);
+
+    expect(webhook.verifyRequest(request())).toBe(false);
+    expect(webhook.verifyRequest(request({ headers: { 'x-inbound-token': 'inbound-secreT' } }))).toBe(false);
+    expect(webhook.verifyRequest(request({ query: { token: 'inbound-secret-and-more' } }))).toBe(false);
+  });
+
+  test('rejects every request when no token is configured', () => {
+    const webhook = new WebhookTransport(fakeInbound().service);
+    config.email.inbound.apiKey = undefined;
+
+    try {
+      expect(webhook.verifyRequest(request())).toBe(false);
+      expect(webhook.verifyRequest(request({ headers: { 'x-inbound-token': '' } }))).toBe(false);
+    } finally {
+      config.email.inbound.apiKey = 'inbound-secret';
+    }
+  });
+});
+
+describe('SMTP transport', () => {
+  let smtp;
+  let jobs;
+  let port;
+
+  const send = (message, options = {}) => nodemailer.createTransport({
+    host: '127.0.0.1',
+    port,
+    ignoreTLS: true,
+    ...options
+  }).sendMail({
+    envelope: { from: 'alice@example.com', to: ['tech-news@shadownews.community'] },
+    raw: RAW,
+    ...message
+  });
+
+  beforeEach(async () => {
+    const inbound = fakeInbound();
+    jobs = inbound.jobs;
+    smtp = new SmtpTransport(inbound.service);
+    await smtp.start();
+    ({ port } = smtp.server.server.address());
+  });
+
+  afterEach(async () => {
+    await smtp.stop();
+    config.email.inbound.smtp.protocol = 'smtp';
+  });
+
+  test('queues delivered mail with its envelope', async () => {
+    const info = await send();
+
+    expect(info.response).toMatch(/Queued as 1/);
+    const email = await parse(jobs[0]);
+    expect(email.subject).toBe('Postgres tips');
+    expect(jobs[0].envelope).toMatchObject({
+      mailFrom: 'alice@example.com',
+      rcptTo: ['tech-news@shadownews.community'],
+      clientIp: expect.stringMatching(/127\.0\.0\.1$/)
+    });
+  });
+
+  test('refuses to relay for other domains', async () => {
+    await expect(send({ envelope: { from: 'alice@example.com', to: ['bob@elsewhere.org'] } }))
+      .rejects.toMatchObject({ responseCode: 550 });
+    expect(jobs).toHaveLength(0);
+  });
+
+  test('refuses messages over the size limit', async () => {
+    const large = `${RAW}\r\n${'x'.repeat(8 * 1024)}`;
+
+    await expect(send({ raw: large })).rejects.toMatchObject({ responseCode: 552 });
+    expect(jobs).toHaveLength(0);
+  });
+
+  test('speaks LMTP when configured', async () => {
+    await smtp.stop();
+    config.email.inbound.smtp.protocol = 'lmtp';
+    await smtp.start();
+    ({ port } = smtp.server.server.address());
+
+    await send({}, { lmtp: true });
+
+    expect((await parse(jobs[0])).subject).toBe('Postgres tips');
+  });
+});
+
+describe('Mailbox transport', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shadownews-mailbox-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeMaildir = () => {
+    fs.mkdirSync(path.join(dir, 'new'));
+    fs.mkdirSync(path.join(dir, 'cur'));
+    fs.writeFileSync(path.join(dir, 'new', '1.host'), RAW);
+    fs.writeFileSync(path.join(dir, 'cur', '0.host:2,S'), RAW.replace('Postgres tips', 'Older'));
+  };
+
+  test('imports new and seen messages from a maildir', async () => {
+    writeMaildir();
+    const { service, jobs } = fakeInbound();
+
+    const stats = await new MailboxTransport(service).importPath(dir);
+
+    expect(stats).toEqual({ imported: 2, failed: 0 });
+    expect((await parse(jobs[0])).subject).toBe('Postgres tips');
+    expect(jobs[0].remoteAddress).toBe(path.join(dir, 'new', '1.host'));
+    expect((await parse(jobs[1])).subject).toBe('Older');
+  });
+
+  test('imports each new message once when marking them seen', async () => {
+    writeMaildir();
+    const { service, jobs } = fakeInbound();
+    const mailbox = new MailboxTransport(service);
+
+    expect(await mailbox.importMaildir(dir, { markSeen: true })).toEqual({ imported: 1, failed: 0 });
+    expect(await mailbox.importMaildir(dir, { markSeen: true })).toEqual({ imported: 0, failed: 0 });
+
+    expect(jobs).toHaveLength(1);
+    expect(fs.readdirSync(path.join(dir, 'new'))).toEqual([]);
+    expect(fs.readdirSync(path.join(dir, 'cur')).sort()).toEqual(['0.host:2,S', '1.host:2,S']);
+  });
+
+  test('moves a message that fails to import out of new/', async () => {
+    writeMaildir();
+    fs.writeFileSync(path.join(dir, 'new', '2.host'), RAW.replace('Postgres tips', 'Broken'));
+    const { service, jobs } = fakeInbound();
+    const submit = service.submit;
+    service.submit = jest.fn(async (raw, meta) => {
+      if (raw.toString().includes('Broken')) throw new Error('Unparseable message');
+      return submit(raw, meta);
+    });
+    const mailbox = new MailboxTransport(service);
+
+    expect(await mailbox.importMaildir(dir, { markSeen: true })).toEqual({ imported: 1, failed: 1 });
+    expect(await mailbox.importMaildir(dir, { markSeen: true })).toEqual({ imported: 0, failed: 0 });
+
+    expect(jobs).toHaveLength(1);
+    expect(service.submit).toHaveBeenCalledTimes(2);
+    expect(fs.readdirSync(path.join(dir, 'new'))).toEqual([]);
+    expect(fs.readdirSync(path.join(dir, 'failed'))).toEqual(['2.host']);
+  });
+
+  test('splits an mbox into messages and unescapes From lines', async () => {
+    const mbox = path.join(dir, 'archive.mbox');
+    fs.writeFileSync(mbox, [
+      'From alice@example.com Mon Jan  1 00:00:00 2024',
+      RAW,
+      '>From the archive',
+      '',
+      'From bob@example.com Mon Jan  1 00:01:00 2024',
+      RAW.replace('Postgres tips', 'Second')
+    ].join('\n'));
+    const { service, jobs } = fakeInbound();
+
+    const stats = await new MailboxTransport(service).importPath(mbox);
+
+    expect(stats).toEqual({ imported: 2, failed: 0 });
+    const first = await parse(jobs[0]);
+    expect(first.text).toContain('From the archive');
+    expect(first.text).not.toContain('>From');
+    expect((await parse(jobs[1])).subject).toBe('Second');
+  });
+
+  test('does not poll without a maildir path', async () => {
+    const mailbox = new MailboxTransport(fakeInbound().service);
+
+    await mailbox.start();
+
+    expect(mailbox.timer).toBeNull();
+    await mailbox.stop();
+  });
+});
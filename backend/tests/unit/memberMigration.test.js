@@ -0,0 +1,114 @@
+/**
+ * Repository Member Migration Unit Tests
+ *
+ * Test suite for moving embedded repository emails into RepositoryMember:
+ * copyRepositoryMembers while the old release still writes the embedded
+ * array, and finalizeRepositoryMembers once it no longer does. Members and
+ * change records are kept in memory; no database is needed.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('readline', () => ({ createInterface: () => ({ question: jest.fn(), close: jest.fn() }) }));
+jest.mock('../../src/models/User.model', () => ({}), { virtual: true });
+jest.mock('../../src/models/Post.model', () => ({}));
+jest.mock('../../src/models/Comment.model', () => ({}));
+jest.mock('../../src/models/Repository.model', () => ({}));
+jest.mock('../../src/models/Email.model', () => ({}));
+jest.mock('../../src/models/Karma.model', () => ({}));
+jest.mock('../../src/models/RepositoryChange.model', () => ({ latestRecords: jest.fn() }));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  SUPPRESSED_STATUSES: ['bounced', 'complained'],
+  bulkWrite: jest.fn(),
+  removeMembers: jest.fn(),
+  refreshStats: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const RepositoryChange = require('../../src/models/RepositoryChange.model');
+const { migrations } = require('../../scripts/migrateData');
+
+const REPOSITORY_ID = new mongoose.Types.ObjectId();
+
+describe('Repository member migration', () => {
+  let members;
+  let changes;
+  let repository;
+
+  // Removal through the new release: deletes the member and logs it
+  const removeMember = (email) => {
+    members.delete(email);
+    changes.push({ email, action: 'removed' });
+  };
+
+  beforeEach(() => {
+    members = new Map();
+    changes = [];
+    repository = {
+      _id: REPOSITORY_ID,
+      emails: [
+        { _id: new mongoose.Types.ObjectId(), email: 'alice@example.com' },
+        { _id: new mongoose.Types.ObjectId(), email: 'bob@example.com' }
+      ]
+    };
+
+    mongoose.connection.db = {
+      collection: () => ({
+        find: () => [repository],
+        updateOne: jest.fn(async () => ({}))
+      })
+    };
+
+    RepositoryMember.bulkWrite.mockImplementation(async (operations) => {
+      let upsertedCount = 0;
+      operations.forEach(({ updateOne: { filter, update, upsert } }) => {
+        if (members.has(filter.email)) {
+          Object.assign(members.get(filter.email), update.$set);
+        } else if (upsert) {
+          members.set(filter.email, { ...update.$setOnInsert });
+          upsertedCount++;
+        }
+      });
+      return { upsertedCount };
+    });
+    RepositoryMember.removeMembers.mockImplementation(async (query) => {
+      const removed = [...members.values()]
+        .filter(member => member.migratedAt && !query.email.$nin.includes(member.email));
+      removed.forEach(member => removeMember(member.email));
+      return removed;
+    });
+    RepositoryChange.latestRecords.mockImplementation(async (repositoryId, emails) => emails
+      .map(email => changes.filter(change => change.email === email).pop())
+      .filter(Boolean));
+  });
+
+  test('copies embedded emails into flagged members', async () => {
+    expect(await migrations.copyRepositoryMembers()).toBe(2);
+
+    expect([...members.keys()]).toEqual(['alice@example.com', 'bob@example.com']);
+    expect(members.get('alice@example.com').migratedAt).toBeInstanceOf(Date);
+  });
+
+  test('does not bring back a member deleted between copy and finalize', async () => {
+    await migrations.copyRepositoryMembers();
+    removeMember('bob@example.com');
+
+    // The embedded array is stale: it still lists the deleted address
+    await migrations.finalizeRepositoryMembers();
+
+    expect([...members.keys()]).toEqual(['alice@example.com']);
+  });
+
+  test('copies addresses added to the embedded array after the copy', async () => {
+    await migrations.copyRepositoryMembers();
+    repository.emails.push({ _id: new mongoose.Types.ObjectId(), email: 'carol@example.com' });
+
+    await migrations.finalizeRepositoryMembers();
+
+    expect([...members.keys()]).toEqual(['alice@example.com', 'bob@example.com', 'carol@example.com']);
+  });
+});
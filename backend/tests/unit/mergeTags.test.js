@@ -0,0 +1,42 @@
+/**
+ * Merge Tag Unit Tests
+ *
+ * Test suite for per-recipient personalization: entry properties, custom
+ * field values, fallbacks and escaping of substituted values.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { renderMergeTags } = require('../../src/utils/mergeTags');
+
+const entry = {
+  email: 'ana@example.com',
+  name: 'Ana',
+  metadata: { company: 'Acme & Sons', tags: [] },
+  fields: new Map([['plan', 'pro'], ['renews', new Date('2025-03-01T00:00:00Z')], ['beta', false], ['seats', 0]])
+};
+
+describe('Merge Tag Utilities', () => {
+  test('should fill in entry properties and custom field values', () => {
+    expect(renderMergeTags('Hi {{name}} <{{ email }}> at {{company}}', entry)).toBe('Hi Ana <ana@example.com> at Acme & Sons');
+    expect(renderMergeTags('{{fields.plan}} until {{fields.renews}}, beta: {{fields.beta}}, seats: {{fields.seats}}', entry))
+      .toBe('pro until 2025-03-01, beta: no, seats: 0');
+  });
+
+  test('should use the fallback for missing values and unknown tags', () => {
+    const bare = { email: 'bob@example.com' };
+
+    expect(renderMergeTags('Hi {{name|there}}, on {{fields.plan | free}}', bare)).toBe('Hi there, on free');
+    expect(renderMergeTags('[{{title}}][{{fields.plan.tier}}][{{password|x}}]', { ...bare, fields: { plan: 'pro' } })).toBe('[][][x]');
+  });
+
+  test('should escape substituted values only', () => {
+    const escape = value => value.replace(/&/g, '&amp;');
+
+    expect(renderMergeTags('<b>{{company}}</b> &amp; co', entry, { escape })).toBe('<b>Acme &amp; Sons</b> &amp; co');
+    expect(renderMergeTags('No tags here', entry, { escape })).toBe('No tags here');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Repository Permissions Unit Tests
+ *
+ * Test suite for repository collaborator roles: the permission matrix of
+ * built-in and custom roles, custom role validation, and the authorization
+ * middleware with the 403 response it produces through errorHandler.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/models/Repository.model', () => ({ findOne: jest.fn() }));
+
+const Repository = require('../../src/models/Repository.model');
+const permissions = require('../../src/utils/permissions');
+const { requireRepositoryPermission, requireRepositoryOwner } = require('../../src/api/middleware/authorize.middleware');
+const { errorHandler } = require('../../src/api/middleware/errorHandler.middleware');
+
+// Repository with one collaborator per role, as a document would hold it
+const repository = () => {
+  const doc = {
+    _id: 'r1',
+    owner: 'owner',
+    customRoles: [{ key: 'list-editor', name: 'List editor', permissions: ['members.view', 'members.add', 'members.remove'] }],
+    collaborators: [
+      { user: 'alice', role: 'admin' },
+      { user: 'bob', role: 'moderator' },
+      { user: 'carol', role: 'viewer' },
+      { user: 'dave', role: 'list-editor' },
+      { user: 'erin', role: 'removed-role' }
+    ]
+  };
+  doc.getUserRole = (userId) => permissions.roleOf(doc, userId);
+  doc.hasPermission = (userId, permission) => permissions.hasPermission(doc, userId, permission);
+  return doc;
+};
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a middleware and hand whatever it passes to next to errorHandler
+const run = async (middleware, userId) => {
+  const req = { params: { id: 'r1' }, user: { _id: userId } };
+  const res = response();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  const [error] = next.mock.calls[0];
+  if (error) errorHandler(error, req, res, next);
+  return { req, res, error };
+};
+
+describe('Repository Permissions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Repository.findOne.mockResolvedValue(repository());
+  });
+
+  test('should resolve roles and permissions for the owner and collaborators', () => {
+    const repo = repository();
+
+    expect(permissions.roleOf(repo, 'owner')).toBe('owner');
+    expect(permissions.roleOf(repo, { _id: 'dave' })).toBe('list-editor');
+    expect(permissions.roleOf(repo, 'stranger')).toBeNull();
+
+    expect(permissions.permissionsFor(repo, 'owner')).toEqual(Object.keys(permissions.PERMISSIONS));
+    expect(permissions.hasPermission(repo, 'alice', 'collaborators.manage')).toBe(true);
+    expect(permissions.hasPermission(repo, 'bob', 'collaborators.manage')).toBe(false);
+    expect(permissions.hasPermission(repo, 'bob', 'members.export')).toBe(true);
+    expect(permissions.hasPermission(repo, 'carol', 'members.add')).toBe(false);
+    expect(permissions.hasPermission(repo, 'dave', 'members.remove')).toBe(true);
+    expect(permissions.hasPermission(repo, 'dave', 'members.export')).toBe(false);
+
+    // A role that no longer exists grants nothing
+    expect(permissions.permissionsFor(repo, 'erin')).toEqual([]);
+  });
+
+  test('should list built-in roles before custom ones', () => {
+    const roles = permissions.listRoles(repository());
+
+    expect(roles.map(role => role.key)).toEqual(['admin', 'moderator', 'contributor', 'viewer', 'list-editor']);
+    expect(roles[4]).toEqual({
+      key: 'list-editor',
+      name: 'List editor',
+      permissions: ['members.view', 'members.add', 'members.remove'],
+      builtIn: false
+    });
+  });
+
+  test('should validate custom role definitions', () => {
+    expect(permissions.validateRole({ key: 'list-editor', name: 'List editor', permissions: ['members.view'] })).toEqual([]);
+    expect(permissions.validateRole({ key: 'admin', name: 'Mine', permissions: [] })).toEqual(['"admin" is a built-in role']);
+    expect(permissions.validateRole({ key: 'Bad Key', name: ' ', permissions: ['members.delete'] })).toEqual([
+      'Role keys are 2-30 lowercase letters, digits, hyphens or underscores, starting with a letter',
+      'Role names are 1-50 characters',
+      'Unknown permission "members.delete"'
+    ]);
+  });
+
+  test('should hand the repository and role to the controller when allowed', async () => {
+    const { req, error } = await run(requireRepositoryPermission('members.remove'), 'dave');
+
+    expect(Repository.findOne).toHaveBeenCalledWith({ _id: 'r1', deletedAt: null });
+    expect(error).toBeNull();
+    expect(req.repository._id).toBe('r1');
+    expect(req.repositoryRole).toBe('list-editor');
+  });
+
+  test('should refuse with a 403 naming the missing permission', async () => {
+    const { req, res } = await run(requireRepositoryPermission('members.export'), 'carol');
+
+    expect(req.repository).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: {
+        message: 'Your role on this repository does not allow: Download the email list',
+        code: 403,
+        type: 'PermissionError',
+        permission: 'members.export',
+        timestamp: expect.any(String)
+      }
+    });
+  });
+
+  test('should keep owner-only routes from every collaborator', async () => {
+    const refused = await run(requireRepositoryOwner, 'alice');
+    expect(refused.res.status).toHaveBeenCalledWith(403);
+    expect(refused.res.json.mock.calls[0][0].error.permission).toBe('owner');
+
+    const allowed = await run(requireRepositoryOwner, 'owner');
+    expect(allowed.error).toBeNull();
+    expect(allowed.req.repositoryRole).toBe('owner');
+  });
+
+  test('should answer 404 for missing repositories and reject unknown permissions', async () => {
+    Repository.findOne.mockResolvedValue(null);
+
+    const { res } = await run(requireRepositoryPermission('members.view'), 'owner');
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(() => requireRepositoryPermission('members.delete')).toThrow('Unknown repository permission "members.delete"');
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Ranking Unit Tests
+ *
+ * Test suite for feed ranking: the scores of each strategy, the
+ * registry, tunable parameters and their validation, the query behind a
+ * feed page, previews of tuned parameters, the batched recompute and
+ * its schedule.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  ranking: { defaultSort: 'hot', recomputeWindowDays: 7, batchSize: 2, previewSize: 30, recomputeCron: '*/10 * * * *' }
+}));
+jest.mock('bull', () => jest.fn(() => ({ process: jest.fn(), on: jest.fn(), add: jest.fn() })));
+jest.mock('node-cron', () => ({ schedule: jest.fn() }), { virtual: true });
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/redis', () => ({ getJson: jest.fn(async () => null), setJson: jest.fn(async () => 'OK') }));
+jest.mock('../../src/models/Post.model', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  bulkWrite: jest.fn(async () => ({}))
+}));
+
+const cron = require('node-cron');
+const logger = require('../../src/utils/logger');
+const redis = require('../../src/utils/redis');
+const Post = require('../../src/models/Post.model');
+const rankingService = require('../../src/services/ranking');
+const { RankingService } = require('../../src/services/ranking');
+const { rankingQueue } = require('../../src/workers/ranking.worker');
+
+// Registered when the worker loads, before the mocks are cleared
+const [[recomputeCron, recomputeTick]] = cron.schedule.mock.calls;
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2025-07-27T12:00:00Z');
+
+const votes = (count, hoursAgo = 1) => Array.from({ length: count }, () => ({
+  timestamp: new Date(NOW.getTime() - hoursAgo * HOUR)
+}));
+
+const post = ({ id = 'p1', title = 'A post', ups = 0, downs = 0, comments = 0, ageHours = 1, karma, upvotes, downvotes } = {}) => ({
+  _id: id,
+  title,
+  upvotes: upvotes || votes(ups),
+  downvotes: downvotes || votes(downs),
+  score: (upvotes || votes(ups)).length - (downvotes || votes(downs)).length,
+  commentCount: comments,
+  createdAt: new Date(NOW.getTime() - ageHours * HOUR),
+  author: { username: 'alice', karma: { total: karma || 0 } }
+});
+
+// Query chain whose lean() resolves to result
+const chain = (result) => {
+  const query = {};
+  ['select', 'sort', 'populate', 'skip', 'limit'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.lean = jest.fn(async () => result);
+  return query;
+};
+
+const score = (name, target, context = {}) => rankingService.get(name).score(
+  target,
+  rankingService.defaultParams()[name],
+  { now: NOW.getTime(), ...context }
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  rankingService.cachedParams = null;
+  rankingService.cachedAt = 0;
+});
+
+describe('Strategies', () => {
+  test('registers every built-in sort', () => {
+    expect(rankingService.names()).toEqual(['hot', 'new', 'top', 'controversial', 'rising', 'best', 'quality']);
+  });
+
+  test('hot falls off with age and rises with comments', () => {
+    expect(score('hot', post({ ups: 10, ageHours: 1 }))).toBeGreaterThan(score('hot', post({ ups: 10, ageHours: 10 })));
+    expect(score('hot', post({ ups: 10, comments: 8 }))).toBeGreaterThan(score('hot', post({ ups: 10 })));
+  });
+
+  test('controversial favours many evenly split votes', () => {
+    expect(score('controversial', post({ ups: 10 }))).toBe(0);
+    expect(score('controversial', post({ ups: 10, downs: 10 }))).toBe(20);
+    expect(score('controversial', post({ ups: 10, downs: 10 })))
+      .toBeGreaterThan(score('controversial', post({ ups: 18, downs: 2 })));
+  });
+
+  test('rising counts only votes inside the window', () => {
+    const recent = post({ ageHours: 10, upvotes: votes(5, 1) });
+    const early = post({ ageHours: 10, upvotes: votes(5, 9) });
+    expect(score('rising', recent)).toBeGreaterThan(0);
+    expect(score('rising', early)).toBe(0);
+  });
+
+  test('best ranks a confident share of upvotes above a lucky few', () => {
+    expect(score('best', post())).toBe(0);
+    expect(score('best', post({ ups: 95, downs: 5 }))).toBeGreaterThan(score('best', post({ ups: 2 })));
+    expect(score('best', post({ ups: 100 }))).toBeLessThan(1);
+  });
+
+  test('quality lifts posts by high-karma authors but never sinks negative ones further', () => {
+    const liked = post({ ups: 10 });
+    expect(score('quality', liked, { authorKarma: 10000 })).toBeGreaterThan(score('quality', liked, { authorKarma: 0 }));
+    expect(score('quality', liked, { authorKarma: 0 })).toBeCloseTo(score('hot', liked));
+
+    const disliked = post({ downs: 10 });
+    expect(score('quality', disliked, { authorKarma: 10000 })).toBe(score('hot', disliked));
+  });
+});
+
+describe('Registry', () => {
+  test('rejects strategies without a name, a stored score or a sort', () => {
+    const service = new RankingService();
+    expect(() => service.register({})).toThrow('must have a name');
+    expect(() => service.register({ name: 'broken', field: 'ranking.broken' })).toThrow('needs a field');
+    expect(() => service.register({ name: 'broken' })).toThrow('needs a field');
+  });
+
+  test('accepts new strategies and chains', () => {
+    const service = new RankingService();
+    expect(service.register({ name: 'oldest', sort: { createdAt: 1 } })).toBe(service);
+    expect(service.has('oldest')).toBe(true);
+  });
+
+  test('resolves the request sort, then the user default, then the config default', () => {
+    const user = { preferences: { feedSort: 'best' } };
+    expect(rankingService.resolveSort('new', user)).toBe('new');
+    expect(rankingService.resolveSort(undefined, user)).toBe('best');
+    expect(rankingService.resolveSort(undefined, { preferences: {} })).toBe('hot');
+    expect(rankingService.resolveSort(undefined, undefined)).toBe('hot');
+  });
+});
+
+describe('Parameters', () => {
+  test('puts tuned values from Redis over the defaults', async () => {
+    redis.getJson.mockResolvedValueOnce({ hot: { gravity: 1.2 }, gone: { x: 1 } });
+
+    const params = await rankingService.getParams();
+
+    expect(params.hot).toEqual({ gravity: 1.2, commentWeight: 0.25 });
+    expect(params.best).toEqual({ z: 1.96 });
+    expect(params.gone).toBeUndefined();
+  });
+
+  test('reports unknown strategies and parameters and values out of range', () => {
+    expect(rankingService.validateParams({ hot: { gravity: 1.5 } })).toEqual([]);
+    expect(rankingService.validateParams([])).toHaveLength(1);
+    expect(rankingService.validateParams({
+      nope: { a: 1 },
+      hot: { gravity: 9, wobble: 1, commentWeight: '1' }
+    })).toEqual([
+      'Unknown ranking strategy nope',
+      'hot.gravity must be between 0.5 and 3',
+      'hot has no parameter wobble',
+      'hot.commentWeight must be a number'
+    ]);
+  });
+
+  test('saves only values that differ from the defaults', async () => {
+    const { params, problems } = await rankingService.updateParams({ hot: { gravity: 1.5, commentWeight: 0.25 } });
+
+    expect(problems).toEqual([]);
+    expect(params.hot.gravity).toBe(1.5);
+    expect(redis.setJson).toHaveBeenCalledWith('ranking:params', { hot: { gravity: 1.5 } });
+    expect(rankingService.currentParams().hot.gravity).toBe(1.5);
+  });
+
+  test('saves nothing when there are problems', async () => {
+    const { params, problems } = await rankingService.updateParams({ best: { z: 0 } });
+
+    expect(params).toBeNull();
+    expect(problems).toEqual(['best.z must be between 0.5 and 3.5']);
+    expect(redis.setJson).not.toHaveBeenCalled();
+  });
+
+  test('scores a post for every stored field, skipping karma without an author', () => {
+    const scores = rankingService.scoresFor(post({ ups: 3, downs: 1 }), { now: NOW });
+
+    expect(Object.keys(scores).sort()).toEqual(['ranking.best', 'ranking.controversy', 'ranking.hot', 'ranking.rising']);
+    expect(Object.keys(rankingService.scoresFor(post(), { now: NOW, authorKarma: 10 }))).toContain('ranking.quality');
+  });
+});
+
+describe('Feed', () => {
+  test('sorts on the stored score, newest first among equals', () => {
+    expect(rankingService.buildQuery('hot', { now: NOW })).toEqual({
+      filter: {},
+      sort: { 'ranking.hot': -1, createdAt: -1 }
+    });
+    expect(rankingService.buildQuery('new', { now: NOW }).sort).toEqual({ createdAt: -1 });
+  });
+
+  test('limits periodic sorts to their timeframe', () => {
+    const week = rankingService.buildQuery('top', { timeframe: '1w', filter: { hashtags: 'rust' }, now: NOW });
+    expect(week.filter).toEqual({ hashtags: 'rust', createdAt: { $gte: new Date(NOW.getTime() - 168 * HOUR) } });
+    expect(rankingService.buildQuery('top', { timeframe: 'all', now: NOW }).filter).toEqual({});
+    expect(rankingService.buildQuery('top', { timeframe: 'bogus', now: NOW }).filter.createdAt.$gte)
+      .toEqual(new Date(NOW.getTime() - 24 * HOUR));
+  });
+
+  test('limits rising to young posts', () => {
+    expect(rankingService.buildQuery('rising', { now: NOW }).filter.createdAt.$gte)
+      .toEqual(new Date(NOW.getTime() - 24 * HOUR));
+  });
+
+  test('returns a page and the total', async () => {
+    const query = chain([post()]);
+    Post.find.mockReturnValue(query);
+    Post.countDocuments.mockResolvedValue(41);
+
+    const { posts, total } = await rankingService.feed({ sort: 'best', filter: { status: { $ne: 'merged' } }, page: 2, limit: 20 });
+
+    expect(posts).toHaveLength(1);
+    expect(total).toBe(41);
+    expect(Post.find).toHaveBeenCalledWith({ status: { $ne: 'merged' } });
+    expect(query.sort).toHaveBeenCalledWith({ 'ranking.best': -1, createdAt: -1 });
+    expect(query.skip).toHaveBeenCalledWith(20);
+    expect(query.limit).toHaveBeenCalledWith(20);
+  });
+});
+
+describe('Preview', () => {
+  const candidates = [
+    post({ id: 'old-popular', title: 'Old and popular', ups: 40, ageHours: 20 }),
+    post({ id: 'new-modest', title: 'New and modest', ups: 6, ageHours: 1 })
+  ];
+
+  test('shows how proposed parameters reorder the front page', async () => {
+    Post.find.mockReturnValue(chain(candidates));
+
+    const { preview, problems } = await rankingService.preview('hot', { gravity: 0.5 }, { now: NOW });
+
+    expect(problems).toEqual([]);
+    expect(preview.params).toEqual({
+      current: { gravity: 1.8, commentWeight: 0.25 },
+      proposed: { gravity: 0.5, commentWeight: 0.25 }
+    });
+    expect(preview.current.map(entry => entry.id)).toEqual(['new-modest', 'old-popular']);
+    expect(preview.proposed.map(entry => [entry.id, entry.previousPosition, entry.change])).toEqual([
+      ['old-popular', 2, 1],
+      ['new-modest', 1, -1]
+    ]);
+    expect(preview.dropped).toEqual([]);
+    expect(redis.setJson).not.toHaveBeenCalled();
+  });
+
+  test('lists posts leaving the front page', async () => {
+    Post.find.mockReturnValue(chain(candidates));
+
+    const { preview } = await rankingService.preview('hot', { gravity: 0.5 }, { limit: 1, now: NOW });
+
+    expect(preview.proposed.map(entry => [entry.id, entry.change])).toEqual([['old-popular', null]]);
+    expect(preview.dropped).toEqual(['new-modest']);
+  });
+
+  test('refuses sorts without a score and invalid parameters', async () => {
+    expect((await rankingService.preview('new', {})).problems).toEqual(['new has no score to tune']);
+    expect((await rankingService.preview('nope', {})).problems).toEqual(['Unknown ranking strategy nope']);
+    expect((await rankingService.preview('hot', { gravity: 5 })).problems).toEqual(['hot.gravity must be between 0.5 and 3']);
+    expect(Post.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('Recompute', () => {
+  test('rescores recent posts in batches', async () => {
+    Post.find
+      .mockReturnValueOnce(chain([post({ id: 'a', ups: 2 }), post({ id: 'b', ups: 1 })]))
+      .mockReturnValueOnce(chain([post({ id: 'c', karma: 500 })]));
+
+    const { updated } = await rankingService.recompute({ now: NOW });
+
+    expect(updated).toBe(3);
+    expect(Post.find).toHaveBeenCalledTimes(2);
+    expect(Post.find.mock.calls[1][0]._id).toEqual({ $gt: 'b' });
+    expect(Post.find.mock.calls[0][0].createdAt.$gte).toEqual(new Date(NOW.getTime() - 7 * 24 * HOUR));
+
+    const [operations] = Post.bulkWrite.mock.calls[1];
+    expect(operations).toHaveLength(1);
+    expect(operations[0].updateOne.filter).toEqual({ _id: 'c' });
+    expect(Object.keys(operations[0].updateOne.update.$set)).toContain('ranking.quality');
+  });
+});
+
+describe('Recompute schedule', () => {
+  test('logs a failure to queue the recompute instead of rejecting', async () => {
+    const error = new Error('connect ECONNREFUSED 127.0.0.1:6379');
+    rankingQueue.add.mockRejectedValueOnce(error);
+
+    expect(recomputeCron).toBe('*/10 * * * *');
+    expect(recomputeTick()).toBeUndefined();
+    await new Promise(setImmediate);
+
+    expect(logger.error).toHaveBeenCalledWith('Scheduling ranking recompute failed:', error);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Repository History Service Unit Tests
+ *
+ * Test suite for repository version history: where the history starts,
+ * diffs between two points in time and point-in-time restore. The change
+ * log returns fixed states per time; current members live in an in-memory
+ * stand-in for RepositoryMember, and the consent ledger is a stub.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Current members, as RepositoryMember would store them
+let mockMembers = [];
+
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/models/RepositoryChange.model', () => ({
+  stateAt: jest.fn(),
+  latestRecords: jest.fn(),
+  activity: jest.fn(),
+  findOne: jest.fn(),
+  // The tracked data of a member, as the real model stores it
+  stateOf: jest.fn(member => ({
+    email: member.email,
+    name: member.name,
+    source: member.source,
+    verified: !!member.verified,
+    optedOut: !!member.optedOut,
+    status: member.status || 'active',
+    consent: (member.consent && member.consent.status) || 'pending',
+    metadata: { ...member.metadata },
+    fields: { ...member.fields }
+  }))
+}));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  find: jest.fn(() => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      limit: () => chain,
+      lean: async () => mockMembers,
+      then: (resolve, reject) => Promise.resolve(mockMembers).then(resolve, reject)
+    };
+    return chain;
+  }),
+  removeMembers: jest.fn(async ({ _id: { $in: ids } }) => {
+    const removed = mockMembers.filter(member => ids.includes(member._id));
+    mockMembers = mockMembers.filter(member => !ids.includes(member._id));
+    return removed;
+  }),
+  addMembers: jest.fn(async (repository, entries) => {
+    const added = entries.map(entry => ({ ...entry, repository }));
+    mockMembers.push(...added);
+    return added;
+  }),
+  refreshStats: jest.fn()
+}));
+jest.mock('../../src/services/consent.service', () => ({ consentStates: jest.fn() }));
+
+const RepositoryChange = require('../../src/models/RepositoryChange.model');
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const consentService = require('../../src/services/consent.service');
+const repositoryHistoryService = require('../../src/services/repositoryHistory.service');
+
+const REPOSITORY = { _id: 'r1', createdAt: new Date('2025-01-01T00:00:00Z') };
+const THEN = new Date('2025-03-01T00:00:00Z');
+const NOW = new Date('2025-04-01T00:00:00Z');
+
+const state = (email, extra = {}) => ({
+  email,
+  source: 'manual',
+  verified: true,
+  optedOut: false,
+  status: 'active',
+  consent: 'confirmed',
+  metadata: { tags: [] },
+  fields: {},
+  ...extra
+});
+
+// The list on 1 March, and as the log has it now
+const STATES = {
+  [THEN.toISOString()]: [
+    { email: 'kept@example.com', member: 'm1', state: state('kept@example.com', { name: 'Kept', metadata: { tags: ['vip'] }, fields: { plan: 'pro' } }) },
+    { email: 'gone@example.com', member: 'm2', state: state('gone@example.com', { name: 'Gone', fields: { plan: 'free' } }) }
+  ],
+  [NOW.toISOString()]: [
+    { email: 'kept@example.com', member: 'm1', state: state('kept@example.com', { name: 'Renamed', optedOut: true, metadata: { tags: [] }, fields: { plan: 'pro' } }) },
+    { email: 'new@example.com', member: 'm3', state: state('new@example.com', { name: 'New' }) }
+  ]
+};
+
+// Member document with the set() paths the restore uses
+const member = (fields) => ({
+  saveWithHistory: jest.fn(),
+  set(path, value) {
+    const [parent, key] = path.split('.');
+    this[parent] = { ...this[parent], [key]: value };
+  },
+  ...fields
+});
+
+describe('Repository History Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RepositoryChange.stateAt.mockImplementation(async (repositoryId, at) => STATES[at.toISOString()] || []);
+    RepositoryChange.latestRecords.mockResolvedValue([]);
+    mockMembers = [
+      member({ _id: 'm1', email: 'kept@example.com', name: 'Renamed', optedOut: true, metadata: { tags: [] }, fields: { plan: 'pro' } }),
+      member({ _id: 'm3', email: 'new@example.com', name: 'New', metadata: { tags: [] }, fields: {} })
+    ];
+  });
+
+  test('should start the history at the baseline of older repositories', async () => {
+    const baseline = new Date('2025-02-01T00:00:00Z');
+    const lean = (result) => ({ sort: () => ({ select: () => ({ lean: async () => result }) }) });
+
+    RepositoryChange.findOne.mockReturnValueOnce(lean({ createdAt: baseline })).mockReturnValueOnce(lean(null));
+
+    await expect(repositoryHistoryService.historyStartsAt(REPOSITORY)).resolves.toBe(baseline);
+    await expect(repositoryHistoryService.historyStartsAt(REPOSITORY)).resolves.toBe(REPOSITORY.createdAt);
+  });
+
+  test('should diff the list between two points in time', async () => {
+    RepositoryChange.activity.mockResolvedValue([
+      { channel: 'api', action: 'updated', count: 2 },
+      { channel: 'email', action: 'removed', count: 1 },
+      { channel: 'worker', action: 'added', count: 1 }
+    ]);
+
+    const diff = await repositoryHistoryService.diff(REPOSITORY, THEN, NOW);
+
+    expect(RepositoryChange.activity).toHaveBeenCalledWith('r1', THEN, NOW);
+    expect(diff.members).toEqual({ from: 2, to: 2 });
+    expect(diff.added).toEqual({ count: 1, sample: [{ email: 'new@example.com', name: 'New' }] });
+    expect(diff.removed).toEqual({ count: 1, sample: [{ email: 'gone@example.com', name: 'Gone' }] });
+    expect(diff.changed).toEqual({
+      count: 1,
+      sample: [{
+        email: 'kept@example.com',
+        fields: [
+          { field: 'name', from: 'Kept', to: 'Renamed' },
+          { field: 'optedOut', from: false, to: true },
+          { field: 'metadata.tags', from: ['vip'], to: [] }
+        ]
+      }]
+    });
+    expect(diff.activity).toEqual({
+      total: 4,
+      byChannel: { api: 2, email: 1, worker: 1 },
+      byAction: { updated: 2, removed: 1, added: 1 }
+    });
+  });
+
+  test('should count members missing from the history', async () => {
+    RepositoryChange.stateAt.mockResolvedValueOnce(STATES[NOW.toISOString()]);
+    mockMembers.push(member({ _id: 'm9', email: 'untracked@example.com' }));
+
+    await expect(repositoryHistoryService.countUntracked(REPOSITORY)).resolves.toBe(1);
+  });
+
+  test('should restore the list without rolling back opt-outs or consent', async () => {
+    consentService.consentStates.mockResolvedValue(new Map([
+      ['gone@example.com', { status: 'revoked', revokedAt: new Date('2025-03-15T00:00:00Z') }]
+    ]));
+    const [kept] = mockMembers;
+
+    const result = await repositoryHistoryService.restore(REPOSITORY, THEN, { actor: 'u1' });
+
+    expect(result).toEqual({ removed: 1, updated: 1, readded: 1 });
+    const context = { channel: 'api', operation: 'restore', actor: 'u1' };
+
+    // Added since: removed
+    expect(RepositoryMember.removeMembers).toHaveBeenCalledWith({ _id: { $in: ['m3'] } }, context);
+
+    // Changed since: list data set back, the opt-out kept
+    expect(kept).toMatchObject({ name: 'Kept', optedOut: true, metadata: { tags: ['vip'] }, fields: { plan: 'pro' } });
+    expect(kept.saveWithHistory).toHaveBeenCalledWith(context);
+
+    // Removed since: back under its old id, with consent from the ledger
+    expect(consentService.consentStates).toHaveBeenCalledWith(REPOSITORY, ['gone@example.com']);
+    expect(RepositoryMember.addMembers).toHaveBeenCalledWith('r1', [expect.objectContaining({
+      _id: 'm2',
+      email: 'gone@example.com',
+      name: 'Gone',
+      fields: { plan: 'free' },
+      optedOut: true,
+      consent: { status: 'revoked', revokedAt: new Date('2025-03-15T00:00:00Z') }
+    })], context);
+    expect(RepositoryMember.refreshStats).toHaveBeenCalledWith('r1');
+  });
+
+  test('should re-add removed members with the opt-out and status they were removed with', async () => {
+    consentService.consentStates.mockResolvedValue(new Map([['gone@example.com', { status: 'confirmed' }]]));
+    // Opted out and bounced after 1 March, then removed
+    RepositoryChange.latestRecords.mockResolvedValue([{
+      email: 'gone@example.com',
+      action: 'removed',
+      state: state('gone@example.com', { name: 'Gone', optedOut: true, status: 'bounced', fields: { plan: 'free' } })
+    }]);
+
+    await repositoryHistoryService.restore(REPOSITORY, THEN, { actor: 'u1' });
+
+    expect(RepositoryChange.latestRecords).toHaveBeenCalledWith('r1', ['gone@example.com']);
+    expect(RepositoryMember.addMembers).toHaveBeenCalledWith('r1', [expect.objectContaining({
+      _id: 'm2',
+      email: 'gone@example.com',
+      optedOut: true,
+      status: 'bounced',
+      consent: { status: 'confirmed' }
+    })], expect.any(Object));
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Repository Mail Unit Tests
+ *
+ * Test suite for mailing-list mode: recipient selection, List-* headers,
+ * thread headers and merge tags on redistributed mail, digests to the list
+ * or a segment and token-protected unsubscribe recorded in the consent
+ * ledger.
+ * Models and outbound email are replaced with stubs.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  jwt: { secret: 'test-secret' },
+  email: {
+    inbound: {
+      domain: 'shadownews.community',
+      replyAddress: 'reply@shadownews.community'
+    }
+  }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/services/email.service', () => ({ queueEmail: jest.fn() }));
+jest.mock('../../src/services/notification.service', () => ({
+  getThreadHeaders: jest.fn(async ({ postId, commentId }) => ({
+    messageId: commentId ? `<comment.${commentId}@shadownews.community>` : `<post.${postId}@shadownews.community>`,
+    inReplyTo: commentId ? `<post.${postId}@shadownews.community>` : undefined,
+    references: commentId ? [`<post.${postId}@shadownews.community>`] : []
+  }))
+}));
+jest.mock('../../src/models/Repository.model', () => ({ find: jest.fn(), findById: jest.fn() }));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  refreshStats: jest.fn(),
+  deliverableQuery: jest.fn(repository => ({ repository, verified: true, 'consent.status': 'confirmed' }))
+}));
+jest.mock('../../src/models/ConsentRecord.model', () => ({ create: jest.fn() }));
+jest.mock('../../src/models/Post.model', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Segment.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/services/segment.service', () => ({ getMembers: jest.fn() }));
+
+const emailService = require('../../src/services/email.service');
+const Repository = require('../../src/models/Repository.model');
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const ConsentRecord = require('../../src/models/ConsentRecord.model');
+const Post = require('../../src/models/Post.model');
+const Segment = require('../../src/models/Segment.model');
+const segmentService = require('../../src/services/segment.service');
+const repositoryMailService = require('../../src/services/repositoryMail.service');
+
+const AUTHOR = { _id: 'u1', email: 'alice@example.com', username: 'alice' };
+
+const makeRepository = (overrides = {}) => ({
+  _id: 'r1',
+  name: 'Tech News',
+  slug: 'tech-news',
+  settings: { listMode: true, emailPosting: 'collaborators' },
+  canUserPostByEmail: jest.fn(async () => true),
+  save: jest.fn(),
+  ...overrides
+});
+
+// What RepositoryMember.find returns for the deliverable query
+const makeMembers = () => [
+  { email: 'bob@example.com', verified: true, optedOut: false, consent: { status: 'confirmed' }, saveWithHistory: jest.fn() },
+  { email: 'carol@example.com', verified: true, optedOut: false, consent: { status: 'confirmed' }, saveWithHistory: jest.fn() }
+];
+
+describe('RepositoryMailService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.BASE_URL = 'https://api.shadownews.community';
+    process.env.FRONTEND_URL = 'https://shadownews.community';
+    RepositoryMember.find.mockResolvedValue(makeMembers());
+  });
+
+  test('should send only to deliverable members other than the author', async () => {
+    await expect(repositoryMailService.getRecipients(makeRepository(), AUTHOR))
+      .resolves.toEqual(['bob@example.com', 'carol@example.com']);
+
+    expect(RepositoryMember.deliverableQuery).toHaveBeenCalledWith('r1');
+    expect(RepositoryMember.find).toHaveBeenCalledWith({
+      repository: 'r1',
+      verified: true,
+      'consent.status': 'confirmed',
+      email: { $ne: 'alice@example.com' }
+    });
+  });
+
+  test('should build list headers with a personal one-click unsubscribe link', () => {
+    const headers = repositoryMailService.buildListHeaders(makeRepository(), 'bob@example.com');
+
+    expect(headers['List-Id']).toBe('"Tech News" <tech-news.shadownews.community>');
+    expect(headers['List-Post']).toBe('<mailto:tech-news@shadownews.community>');
+    expect(headers['List-Archive']).toBe('<https://shadownews.community/repositories/r1/archive>');
+    expect(headers['List-Unsubscribe']).toMatch(
+      /^<https:\/\/api\.shadownews\.community\/api\/repositories\/r1\/list\/unsubscribe\?email=bob%40example\.com&token=[a-f0-9]{64}>$/
+    );
+    expect(headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+  });
+
+  test('should advertise List-Post: NO when posting by email is disabled', () => {
+    const repository = makeRepository({ settings: { listMode: true, emailPosting: 'disabled' } });
+    expect(repositoryMailService.buildListHeaders(repository, 'bob@example.com')['List-Post']).toBe('NO');
+  });
+
+  test('should redistribute comments threaded under the post with replies routed to the list', async () => {
+    const repository = makeRepository();
+    Repository.find.mockResolvedValue([repository]);
+
+    const queued = await repositoryMailService.distributeComment(
+      { _id: 'c1', content: '<p>Agreed</p>' },
+      { _id: 'p1', title: 'Launch day', repositories: [{ repository: 'r1' }] },
+      AUTHOR
+    );
+
+    expect(queued).toBe(2);
+    const [type, message] = emailService.queueEmail.mock.calls[0];
+    expect(type).toBe('send-email');
+    expect(message).toMatchObject({
+      to: 'bob@example.com',
+      subject: 'Re: [Tech News] Launch day',
+      messageId: '<comment.c1@shadownews.community>',
+      inReplyTo: '<post.p1@shadownews.community>',
+      replyTo: 'tech-news@shadownews.community'
+    });
+    expect(message.headers['List-Id']).toBeDefined();
+  });
+
+  test('should fill in merge tags from each recipient\'s entry and custom fields', async () => {
+    const repository = makeRepository();
+    const members = makeMembers();
+    members[0].name = 'Bob & Co';
+    members[0].fields = new Map([['plan', 'pro']]);
+    RepositoryMember.find.mockResolvedValue(members);
+
+    await repositoryMailService.sendToList(repository, {
+      subject: 'For {{name|you}}',
+      content: '<p>Hi {{name|there}}, your plan: {{fields.plan|free}}</p>',
+      url: 'https://shadownews.community/post/p1',
+      author: AUTHOR,
+      thread: { references: [] },
+      metadata: {}
+    });
+
+    const [, message] = emailService.queueEmail.mock.calls[0];
+    expect(message.subject).toBe('For Bob & Co');
+    expect(message.html).toContain('<p>Hi Bob &amp; Co, your plan: pro</p>');
+    expect(message.text).toContain('Hi Bob & Co, your plan: pro');
+  });
+
+  test('should not redistribute content from people who may not post to the list', async () => {
+    const repository = makeRepository({ canUserPostByEmail: jest.fn(async () => false) });
+
+    const queued = await repositoryMailService.distributePost({ _id: 'p1', title: 'Spam' }, AUTHOR, [repository]);
+
+    expect(queued).toBe(0);
+    expect(emailService.queueEmail).not.toHaveBeenCalled();
+  });
+
+  describe('sendDigest', () => {
+    const NOW = new Date('2025-03-10T09:00:00Z');
+
+    const mockPosts = (posts) => {
+      const chain = { sort: jest.fn(() => chain), limit: jest.fn(() => Promise.resolve(posts)) };
+      Post.find.mockReturnValue(chain);
+    };
+
+    test('should send recent posts to the whole list and schedule the next digest', async () => {
+      const repository = makeRepository({ settings: { listMode: false, digestFrequency: 'weekly' } });
+      mockPosts([{ _id: 'p1', title: 'Rust <3' }]);
+
+      const queued = await repositoryMailService.sendDigest(repository, { now: NOW });
+
+      expect(queued).toBe(2);
+      expect(Post.find).toHaveBeenCalledWith(expect.objectContaining({
+        'repositories.repository': 'r1',
+        createdAt: { $gte: new Date('2025-03-03T09:00:00Z') }
+      }));
+      const [, message] = emailService.queueEmail.mock.calls[0];
+      expect(message.subject).toBe('[Tech News] weekly digest: 1 new post');
+      expect(message.html).toContain('<a href="https://shadownews.community/post/p1">Rust &lt;3</a>');
+      expect(message.headers['List-Unsubscribe']).toBeDefined();
+      expect(repository.settings.nextDigestDate).toEqual(new Date('2025-03-17T09:00:00Z'));
+      expect(repository.save).toHaveBeenCalled();
+    });
+
+    test('should send to the deliverable members of the digest segment', async () => {
+      const repository = makeRepository({ settings: { digestFrequency: 'daily', digestSegment: 's1' } });
+      const segment = { _id: 's1', filter: { field: 'tags', op: 'includes', value: 'vip' } };
+      mockPosts([{ _id: 'p1', title: 'Launch' }]);
+      Segment.findOne.mockResolvedValue(segment);
+      segmentService.getMembers.mockResolvedValue([{ email: 'vip@example.com', name: 'Vee' }]);
+
+      const queued = await repositoryMailService.sendDigest(repository, { now: NOW });
+
+      expect(queued).toBe(1);
+      expect(Segment.findOne).toHaveBeenCalledWith({ _id: 's1', repository: 'r1' });
+      expect(segmentService.getMembers).toHaveBeenCalledWith(repository, segment.filter, { deliverable: true });
+      expect(emailService.queueEmail.mock.calls[0][1].to).toBe('vip@example.com');
+    });
+
+    test('should send nothing without new posts but still schedule the next digest', async () => {
+      const repository = makeRepository({ settings: { digestFrequency: 'daily' } });
+      mockPosts([]);
+
+      await expect(repositoryMailService.sendDigest(repository, { now: NOW })).resolves.toBe(0);
+
+      expect(emailService.queueEmail).not.toHaveBeenCalled();
+      expect(repository.settings.nextDigestDate).toEqual(new Date('2025-03-11T09:00:00Z'));
+    });
+  });
+
+  test('should opt a member out only with a valid token', async () => {
+    const [member] = makeMembers();
+    Repository.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: 'r1' }) });
+    RepositoryMember.findOne.mockResolvedValue(member);
+    const token = repositoryMailService.buildUnsubscribeToken('r1', 'bob@example.com');
+
+    await expect(repositoryMailService.unsubscribe('r1', 'bob@example.com', 'a'.repeat(64))).resolves.toBe(false);
+    await expect(repositoryMailService.unsubscribe('r1', 'Bob@Example.com', token)).resolves.toBe(true);
+
+    expect(RepositoryMember.findOne).toHaveBeenCalledWith({ repository: 'r1', email: 'bob@example.com' });
+    expect(member.optedOut).toBe(true);
+    expect(member.consent.status).toBe('revoked');
+    expect(member.saveWithHistory).toHaveBeenCalledTimes(1);
+    expect(RepositoryMember.refreshStats).toHaveBeenCalledWith('r1');
+    expect(ConsentRecord.create).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'bob@example.com',
+      action: 'revoked',
+      channel: 'list-unsubscribe'
+    }));
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * Repository Merge Service Unit Tests
+ *
+ * Test suite for repository merges: the dry-run diff, conflict strategies
+ * including manual per-field choices, applying a merge with its undo
+ * snapshot, and undoing it. Members live in an in-memory stand-in for
+ * RepositoryMember; the other models, consent and custom field
+ * validation are stubs, and the change log is collected in memory.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Members of both repositories, as RepositoryMember would store them
+let mockMembers = [];
+// Merge records, as RepositoryMerge would store them
+const mockMerges = [];
+// Undo snapshots, as RepositoryMergeSnapshot would store them
+let mockSnapshots = [];
+// Change log records, as RepositoryChange.record would write them
+const mockChanges = [];
+
+/**
+ * @param {Object} member - Stored member
+ * @param {Object} query - The subset of MongoDB queries the service uses
+ * @returns {boolean} True if the member matches
+ */
+const mockMatches = (member, query) => Object.entries(query).every(([key, condition]) => {
+  if (condition && condition.$in) return condition.$in.includes(member[key]);
+  if (condition && condition.$gt) return member[key] > condition.$gt;
+  return member[key] === condition;
+});
+
+/**
+ * Apply $set and $unset with dotted paths to a stored member.
+ */
+const mockUpdate = (member, { $set = {}, $unset = {} }) => {
+  const walk = (path) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, member);
+    return [parent, last];
+  };
+  Object.entries($set).forEach(([path, value]) => {
+    const [parent, key] = walk(path);
+    parent[key] = value;
+  });
+  Object.keys($unset).forEach(path => {
+    const [parent, key] = walk(path);
+    delete parent[key];
+  });
+};
+
+jest.mock('../../src/config', () => ({ repositoryMerge: { undoHours: 24 } }));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/models/Repository.model', () => ({ updateOne: jest.fn() }));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  SUPPRESSED_STATUSES: ['bounced', 'complained'],
+  find: jest.fn((query) => {
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      lean: async () => mockMembers
+        .filter(member => mockMatches(member, query))
+        .sort((a, b) => (a._id < b._id ? -1 : 1))
+        .map(member => JSON.parse(JSON.stringify(member)))
+    };
+    return chain;
+  }),
+  addMembers: jest.fn(async (repository, entries) => {
+    const added = entries.map((entry, index) => ({ ...entry, _id: `added${mockMembers.length + index}`, repository }));
+    mockMembers.push(...added);
+    return added;
+  }),
+  bulkWrite: jest.fn(async (operations) => {
+    operations.forEach(({ updateOne: { filter, update } }) => {
+      const member = mockMembers.find(stored => mockMatches(stored, filter));
+      if (member) mockUpdate(member, update);
+    });
+  }),
+  removeMembers: jest.fn(async (query) => {
+    const removed = mockMembers.filter(member => mockMatches(member, query));
+    mockMembers = mockMembers.filter(member => !mockMatches(member, query));
+    return removed;
+  }),
+  refreshStats: jest.fn()
+}));
+jest.mock('../../src/models/RepositoryChange.model', () => ({
+  record: jest.fn(async (members, action, context, changes) => {
+    mockChanges.push(...members.map(member => ({ email: member.email, action, ...context, changes })));
+  })
+}));
+jest.mock('../../src/models/RepositoryMerge.model', () => ({
+  create: jest.fn(async (doc) => {
+    const merge = {
+      ...doc,
+      _id: `merge${mockMerges.length + 1}`,
+      status: 'applying',
+      set(fields) {
+        Object.assign(this, fields);
+      },
+      save: jest.fn()
+    };
+    mockMerges.push(merge);
+    return merge;
+  }),
+  updateOne: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../../src/models/RepositoryMergeSnapshot.model', () => ({
+  insertMany: jest.fn(async (docs) => {
+    // Zero-padded ids sort like ObjectIds
+    mockSnapshots.push(...docs.map((doc, index) => ({ ...doc, _id: String(mockSnapshots.length + index).padStart(6, '0') })));
+  }),
+  find: jest.fn((query) => {
+    let limit = Infinity;
+    const chain = {
+      sort: () => chain,
+      limit: (count) => {
+        limit = count;
+        return chain;
+      },
+      lean: async () => mockSnapshots.filter(snapshot => mockMatches(snapshot, query)).slice(0, limit)
+    };
+    return chain;
+  }),
+  deleteMany: jest.fn(async (query) => {
+    mockSnapshots = mockSnapshots.filter(snapshot => !mockMatches(snapshot, query));
+  })
+}));
+jest.mock('../../src/services/consent.service', () => ({ requestConsent: jest.fn() }));
+jest.mock('../../src/api/middleware/validation.middleware', () => ({
+  // Enum values outside the target's options are rejected, like the real validator
+  validateFieldValues: jest.fn(([definition], values) => {
+    const value = values[definition.key];
+    const valid = definition.type !== 'enum' || definition.options.includes(value);
+    return valid
+      ? { value: { [definition.key]: value }, errors: [] }
+      : { value: {}, errors: [{ field: `fields.${definition.key}`, message: 'invalid' }] };
+  })
+}));
+
+const Repository = require('../../src/models/Repository.model');
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const consentService = require('../../src/services/consent.service');
+const repositoryMergeService = require('../../src/services/repositoryMerge.service');
+
+const target = {
+  _id: 't',
+  name: 'Target',
+  customFields: [{ key: 'plan', type: 'enum', options: ['free', 'pro'] }, { key: 'seats', type: 'number' }]
+};
+
+const newSource = () => ({
+  _id: 's',
+  name: 'Source',
+  isArchived: false,
+  customFields: [{ key: 'plan', type: 'enum' }, { key: 'seats', type: 'text' }, { key: 'region', type: 'text' }],
+  save: jest.fn()
+});
+
+const member = (repository, id, email, extra = {}) => ({
+  _id: id,
+  repository,
+  email,
+  status: 'active',
+  optedOut: false,
+  metadata: { tags: [] },
+  fields: {},
+  updatedAt: '2025-01-01T00:00:00.000Z',
+  ...extra
+});
+
+describe('Repository Merge Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMerges.length = 0;
+    mockChanges.length = 0;
+    mockSnapshots = [];
+    mockMembers = [
+      // Only in the source; bounced
+      member('s', 's1', 'new@example.com', { name: 'New', status: 'bounced', fields: { plan: 'pro' } }),
+      // Same on both sides
+      member('s', 's2', 'same@example.com', { name: 'Same' }),
+      member('t', 't2', 'same@example.com', { name: 'Same' }),
+      // Target lacks a name; source has one
+      member('s', 's3', 'fill@example.com', { name: 'Filled' }),
+      member('t', 't3', 'fill@example.com', { optedOut: true }),
+      // Conflicting name, tags and plan; the source was updated later
+      member('s', 's4', 'clash@example.com', {
+        name: 'Source Name',
+        metadata: { tags: ['b', 'a'] },
+        fields: { plan: 'pro', seats: '12', region: 'eu' },
+        updatedAt: '2025-06-01T00:00:00.000Z'
+      }),
+      member('t', 't4', 'clash@example.com', { name: 'Target Name', metadata: { tags: ['a'] }, fields: { plan: 'free' } }),
+      // Enum value the target does not offer
+      member('s', 's5', 'odd@example.com', { fields: { plan: 'gold' } })
+    ];
+  });
+
+  test('should diff without changing anything', async () => {
+    const diff = await repositoryMergeService.diff(target, newSource());
+
+    expect(diff.strategy).toBe('prefer_target');
+    expect(diff.newMembers).toEqual({ count: 2, sample: ['new@example.com', 'odd@example.com'] });
+    expect(diff.duplicates).toEqual({ count: 3, identical: 1, filled: 1 });
+    expect(diff.conflicts.count).toBe(1);
+    expect(diff.conflicts.sample[0]).toEqual({
+      email: 'clash@example.com',
+      fields: [
+        { field: 'name', source: 'Source Name', target: 'Target Name', keep: 'target' },
+        { field: 'tags', source: ['b', 'a'], target: ['a'], keep: 'target' },
+        { field: 'fields.plan', source: 'pro', target: 'free', keep: 'target' }
+      ]
+    });
+    expect(diff.unreachable.sample).toEqual([
+      { email: 'new@example.com', in: 'source', optedOut: false, status: 'bounced' },
+      { email: 'fill@example.com', in: 'target', optedOut: true, status: 'active' }
+    ]);
+    expect(diff.unmappedFields).toEqual(['seats', 'region']);
+    expect(diff.droppedValues).toBe(1);
+
+    expect(RepositoryMember.addMembers).not.toHaveBeenCalled();
+    expect(RepositoryMember.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test('should resolve conflicts by strategy', async () => {
+    const keeps = async (options) => {
+      const diff = await repositoryMergeService.diff(target, newSource(), options);
+      return diff.conflicts.sample[0].fields.map(field => field.keep);
+    };
+
+    expect(await keeps({ strategy: 'prefer_source' })).toEqual(['source', 'source', 'source']);
+    expect(await keeps({ strategy: 'newest' })).toEqual(['source', 'source', 'source']);
+
+    const manual = await repositoryMergeService.diff(target, newSource(), {
+      strategy: 'manual',
+      resolutions: [
+        { email: 'CLASH@example.com', field: 'name', keep: 'source' },
+        { email: 'clash@example.com', field: 'tags', keep: 'target' }
+      ]
+    });
+    expect(manual.conflicts.sample[0].fields.map(field => field.keep)).toEqual(['source', 'target', null]);
+    expect(manual.conflicts.unresolved).toBe(1);
+
+    expect(() => repositoryMergeService.createContext(target, newSource(), { strategy: 'random' })).toThrow('Unknown merge strategy');
+  });
+
+  test('should merge, snapshot the changed members and archive the source', async () => {
+    const source = newSource();
+    const merge = await repositoryMergeService.merge(target, source, { strategy: 'prefer_source', actor: 'u1' });
+
+    expect(merge.status).toBe('applied');
+    expect(merge.summary).toEqual({ added: 2, updated: 2, unchanged: 1, conflicts: 1 });
+    expect(merge.undoExpiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+
+    const clash = mockMembers.find(stored => stored._id === 't4');
+    expect(clash.name).toBe('Source Name');
+    expect(clash.metadata.tags).toEqual(['b', 'a']);
+    expect(clash.fields.plan).toBe('pro');
+    expect(mockMembers.find(stored => stored._id === 't3').name).toBe('Filled');
+
+    const added = mockMembers.filter(stored => stored.merge === merge._id);
+    expect(added.map(stored => stored.email)).toEqual(['new@example.com', 'odd@example.com']);
+    expect(added[0]).toMatchObject({ source: 'merge', status: 'bounced', fields: { plan: 'pro' } });
+    expect(added[0].consent).toBeUndefined();
+    expect(added[1].fields).toBeUndefined();
+
+    // The bounced address is not asked for consent
+    expect(consentService.requestConsent).toHaveBeenCalledWith(target, ['odd@example.com'], expect.objectContaining({ source: 'merge' }));
+    expect(mockSnapshots.map(({ _id, ...snapshot }) => snapshot)).toEqual([
+      { merge: merge._id, member: 't3', values: [{ path: 'name', value: undefined }] },
+      {
+        merge: merge._id,
+        member: 't4',
+        values: [
+          { path: 'name', value: 'Target Name' },
+          { path: 'metadata.tags', value: ['a'] },
+          { path: 'fields.plan', value: 'free' }
+        ]
+      }
+    ]);
+    // Bulk updates reach the change log too
+    expect(mockChanges).toEqual([
+      { email: 'fill@example.com', action: 'updated', channel: 'api', operation: 'merge', actor: 'u1', changes: ['name'] },
+      {
+        email: 'clash@example.com',
+        action: 'updated',
+        channel: 'api',
+        operation: 'merge',
+        actor: 'u1',
+        changes: ['name', 'metadata', 'fields']
+      }
+    ]);
+    expect(RepositoryMember.addMembers).toHaveBeenCalledWith('t', expect.any(Array), {
+      channel: 'api',
+      operation: 'merge',
+      actor: 'u1'
+    });
+    expect(source.isArchived).toBe(true);
+    expect(source.save).toHaveBeenCalled();
+    expect(RepositoryMember.refreshStats).toHaveBeenCalledWith('t');
+  });
+
+  test('should undo a merge', async () => {
+    const merge = await repositoryMergeService.merge(target, newSource(), { strategy: 'prefer_source', actor: 'u1' });
+
+    const result = await repositoryMergeService.undo(merge, 'u1');
+
+    expect(result).toEqual({ removed: 2, restored: 2 });
+    expect(mockMembers.filter(stored => stored.repository === 't').map(stored => stored.email))
+      .toEqual(['same@example.com', 'fill@example.com', 'clash@example.com']);
+
+    const clash = mockMembers.find(stored => stored._id === 't4');
+    expect(clash.name).toBe('Target Name');
+    expect(clash.metadata.tags).toEqual(['a']);
+    expect(clash.fields.plan).toBe('free');
+    expect(mockMembers.find(stored => stored._id === 't3').name).toBeUndefined();
+    expect(RepositoryMember.removeMembers).toHaveBeenCalledWith(
+      { repository: 't', merge: merge._id },
+      { channel: 'api', operation: 'merge_undo', actor: 'u1' }
+    );
+    expect(mockChanges.filter(change => change.operation === 'merge_undo').map(change => change.email))
+      .toEqual(['fill@example.com', 'clash@example.com']);
+
+    expect(Repository.updateOne).toHaveBeenCalledWith(
+      { _id: 's' },
+      { $set: { isArchived: false }, $unset: { archivedAt: '', archiveReason: '' } }
+    );
+    expect(merge.status).toBe('undone');
+    expect(merge.undoneBy).toBe('u1');
+    expect(merge.save).toHaveBeenCalled();
+    expect(mockSnapshots).toEqual([]);
+  });
+});
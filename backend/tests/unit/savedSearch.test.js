@@ -0,0 +1,297 @@
+/**
+ * Saved Search Unit Tests
+ *
+ * Test suite for saved-search alerts: lookup keys and in-memory matching
+ * of new documents, the problems that stop a search from being saved,
+ * alerts published to the websocket and kept for the digest, and
+ * numbering for the email commands.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  search: { snippetLength: 200 },
+  savedSearches: { maxPerUser: 3, digestMatchesPerSearch: 20 }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/redis', () => ({ publish: jest.fn(async () => 1) }));
+jest.mock('../../src/services/search', () => ({ resolveNames: jest.fn() }));
+jest.mock('../../src/models/Post.model', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/SavedSearch.model', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  exists: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const redis = require('../../src/utils/redis');
+const searchService = require('../../src/services/search');
+const Post = require('../../src/models/Post.model');
+const SavedSearch = require('../../src/models/SavedSearch.model');
+const savedSearchService = require('../../src/services/savedSearch.service');
+const { parseQuery } = require('../../src/services/search/queryParser');
+const { toSearchDocument } = require('../../src/services/search/documents');
+const { searchKeys, documentKeys, matchesDocument } = require('../../src/services/search/matcher');
+
+const ALICE = '64a000000000000000000001';
+const BOB = '64a000000000000000000002';
+const RUST_WEEKLY = '64b000000000000000000001';
+
+// Query chain (select/sort) whose lean() resolves to result
+const chain = (result) => {
+  const query = {};
+  ['select', 'sort'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.lean = jest.fn(async () => result);
+  return query;
+};
+
+const POST = {
+  _id: 'p1',
+  title: 'Scaling Postgres to a billion rows',
+  text: 'How we tuned the query planner & vacuum.',
+  hashtags: ['databases', 'postgres'],
+  author: ALICE,
+  repositories: [{ repository: RUST_WEEKLY }],
+  domain: 'blog.example.com',
+  score: 12,
+  status: 'active',
+  visibility: 'public',
+  createdAt: new Date('2025-07-27T10:00:00Z')
+};
+
+const document = toSearchDocument('post', POST);
+
+const matches = (query) => {
+  const parsed = parseQuery(query);
+  const resolved = {
+    authors: parsed.filters.authors.includes('alice') ? [ALICE] : parsed.filters.authors.length > 0 ? [BOB] : [],
+    repositories: parsed.filters.repos.length > 0 ? [RUST_WEEKLY] : []
+  };
+  return matchesDocument(parsed, resolved, document);
+};
+
+const savedSearch = (overrides = {}) => ({
+  _id: 's1',
+  user: BOB,
+  query: 'postgres',
+  authors: [],
+  repositories: [],
+  notify: { instant: true, digest: true },
+  createdAt: new Date('2025-07-01T00:00:00Z'),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  searchService.resolveNames.mockResolvedValue({ missing: [] });
+  SavedSearch.countDocuments.mockResolvedValue(0);
+  SavedSearch.exists.mockResolvedValue(null);
+});
+
+describe('searchKeys', () => {
+  test('keys on the first clause every match must satisfy', () => {
+    expect(searchKeys(parseQuery('postgres #databases "query planner"'))).toEqual(['tag:databases']);
+    expect(searchKeys(parseQuery('postgres "query planners"'))).toEqual(['word:queri', 'word:planner']);
+    expect(searchKeys(parseQuery('postgres author:alice'), { authors: [ALICE] })).toEqual([`author:${ALICE}`]);
+    expect(searchKeys(parseQuery('postgres site:example.com'))).toEqual(['site:example.com']);
+    expect(searchKeys(parseQuery('scaling postgres'))).toEqual(['word:scale', 'word:postgr']);
+  });
+
+  test('has no keys for a query that would match every post', () => {
+    expect(searchKeys(parseQuery('type:post after:2w score:>1'))).toEqual([]);
+  });
+
+  test('shares a key with every document the search matches', () => {
+    const keys = new Set(documentKeys(document));
+    [
+      ['#postgres scaled', {}],
+      ['"query planner"', {}],
+      ['author:alice', { authors: [ALICE] }],
+      ['repo:rust-weekly', { repositories: [RUST_WEEKLY] }],
+      ['site:example.com', {}],
+      ['vacuuming', {}]
+    ].forEach(([query, resolved]) => {
+      expect(searchKeys(parseQuery(query), resolved).some(key => keys.has(key))).toBe(true);
+    });
+  });
+});
+
+describe('matchesDocument', () => {
+  test('needs any word, by stem, and every phrase and hashtag', () => {
+    expect(matches('scaled mysql')).toBe(true);
+    expect(matches('mysql oracle')).toBe(false);
+    expect(matches('"query planner" #postgres #databases')).toBe(true);
+    expect(matches('"planner query"')).toBe(false);
+    expect(matches('#postgres #mysql')).toBe(false);
+  });
+
+  test('rejects documents with excluded words or phrases', () => {
+    expect(matches('postgres -vacuum')).toBe(false);
+    expect(matches('postgres -"billion rows"')).toBe(false);
+    expect(matches('postgres -mysql')).toBe(true);
+  });
+
+  test('applies author, repository, site, type and score filters', () => {
+    expect(matches('postgres author:alice repo:rust-weekly')).toBe(true);
+    expect(matches('postgres author:bob')).toBe(false);
+    expect(matches('site:example.com score:>=12 type:post')).toBe(true);
+    expect(matches('site:other.com')).toBe(false);
+    expect(matches('postgres type:comment')).toBe(false);
+    expect(matches('postgres score:>12')).toBe(false);
+  });
+
+  test('matches comments on their own text only', () => {
+    const comment = toSearchDocument('comment', {
+      _id: 'c1', post: 'p1', content: 'Have you tried partitioning?', author: BOB, createdAt: POST.createdAt
+    }, { post: POST });
+
+    expect(matchesDocument(parseQuery('partitioning'), {}, comment)).toBe(true);
+    expect(matchesDocument(parseQuery('billion'), {}, comment)).toBe(false);
+  });
+});
+
+describe('SavedSearchService.create', () => {
+  test('saves the query with its lookup keys and resolved names', async () => {
+    searchService.resolveNames.mockResolvedValue({ authors: [ALICE], missing: [] });
+    SavedSearch.countDocuments.mockResolvedValue(1);
+    SavedSearch.create.mockImplementation(async (fields) => ({ _id: 's2', createdAt: new Date(), ...fields }));
+
+    const { savedSearch, problems } = await savedSearchService.create({ _id: BOB }, {
+      query: '  postgres author:alice ',
+      notify: { digest: false }
+    });
+
+    expect(problems).toEqual([]);
+    expect(SavedSearch.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: BOB,
+      query: 'postgres author:alice',
+      authors: [ALICE],
+      repositories: [],
+      keys: [`author:${ALICE}`],
+      notify: { instant: true, digest: false }
+    }));
+    expect(savedSearch).toMatchObject({ position: 2, name: 'postgres author:alice', matchCount: 0 });
+  });
+
+  test('reports problems instead of saving', async () => {
+    searchService.resolveNames.mockResolvedValue({ authors: [], missing: ['No user named nobody'] });
+
+    const { savedSearch, problems } = await savedSearchService.create({ _id: BOB }, {
+      query: 'author:nobody before:yesterday'
+    });
+
+    expect(savedSearch).toBeNull();
+    expect(problems).toEqual([
+      expect.stringContaining('before:yesterday'),
+      'No user named nobody',
+      expect.stringContaining('does not match every post')
+    ]);
+    expect(SavedSearch.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses duplicates and searches over the limit', async () => {
+    SavedSearch.exists.mockResolvedValueOnce({ _id: 's1' });
+    expect((await savedSearchService.create({ _id: BOB }, { query: 'postgres' })).problems)
+      .toEqual(['You already saved this search']);
+
+    SavedSearch.countDocuments.mockResolvedValueOnce(3);
+    expect((await savedSearchService.create({ _id: BOB }, { query: 'rust' })).problems)
+      .toEqual(['You can save up to 3 searches']);
+  });
+});
+
+describe('SavedSearchService matching', () => {
+  test('alerts the owners of matching searches and skips the rest', async () => {
+    const query = chain([
+      savedSearch(),
+      savedSearch({ _id: 's2', query: 'postgres -vacuum' }),
+      savedSearch({ _id: 's3', user: 'u3', query: '#databases', name: 'DB news', notify: { instant: false, digest: true } })
+    ]);
+    SavedSearch.find.mockReturnValue(query);
+
+    const alerts = await savedSearchService.matchPost(POST);
+
+    expect(alerts).toBe(2);
+    expect(SavedSearch.find).toHaveBeenCalledWith({
+      keys: { $in: expect.arrayContaining(['word:postgr', 'tag:databases', `author:${ALICE}`]) },
+      user: { $ne: ALICE }
+    });
+    expect(SavedSearch.updateOne).toHaveBeenCalledTimes(2);
+    expect(SavedSearch.updateOne).toHaveBeenCalledWith({ _id: 's1' }, expect.objectContaining({
+      $inc: { matchCount: 1 },
+      $push: { pending: { $each: [expect.objectContaining({ type: 'post', id: 'p1', postId: 'p1' })], $slice: -20 } }
+    }));
+    expect(redis.publish).toHaveBeenCalledTimes(1);
+    expect(redis.publish).toHaveBeenCalledWith('websocket:user', {
+      userId: BOB,
+      event: 'search:alert',
+      payload: expect.objectContaining({
+        savedSearchId: 's1',
+        title: POST.title,
+        snippet: expect.stringContaining('vacuum'),
+        url: expect.stringMatching(/\/post\/p1$/)
+      })
+    });
+  });
+
+  test('ignores posts that search would not show', async () => {
+    expect(await savedSearchService.matchPost({ ...POST, visibility: 'private' })).toBe(0);
+    expect(SavedSearch.find).not.toHaveBeenCalled();
+  });
+
+  test('matches comments with their post and links to the comment', async () => {
+    Post.findById.mockReturnValue(chain(POST));
+    SavedSearch.find.mockReturnValue(chain([savedSearch({ user: ALICE, query: 'partitioning', notify: { instant: true, digest: false } })]));
+
+    await savedSearchService.matchComment({ _id: 'c1', post: 'p1', content: 'Try partitioning', author: BOB, isDeleted: false });
+
+    expect(SavedSearch.updateOne.mock.calls[0][1].$push).toBeUndefined();
+    expect(redis.publish.mock.calls[0][1].payload).toMatchObject({
+      type: 'comment',
+      title: POST.title,
+      url: expect.stringMatching(/\/post\/p1#comment-c1$/)
+    });
+  });
+
+  test('never throws from the save hooks', async () => {
+    SavedSearch.find.mockImplementation(() => { throw new Error('connection lost'); });
+    await expect(savedSearchService.matchPost(POST)).resolves.toBe(0);
+  });
+});
+
+describe('SavedSearchService digests and numbering', () => {
+  test('groups pending matches by search and clears those that were sent', async () => {
+    const pending = [{ type: 'post', id: 'p1', title: POST.title }];
+    SavedSearch.find.mockReturnValue(chain([savedSearch({ pending })]));
+    const sentAt = new Date();
+
+    expect(await savedSearchService.digestMatches(BOB)).toEqual([
+      { id: 's1', name: 'postgres', query: 'postgres', matches: pending }
+    ]);
+    await savedSearchService.clearDigestMatches(BOB, sentAt);
+
+    expect(SavedSearch.updateMany).toHaveBeenCalledWith(
+      { user: BOB },
+      { $pull: { pending: { matchedAt: { $lte: sentAt } } } }
+    );
+  });
+
+  test('removes a search by its position in the list', async () => {
+    SavedSearch.find.mockReturnValue(chain([savedSearch(), savedSearch({ _id: 's2', query: 'rust' })]));
+    SavedSearch.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+    const removed = await savedSearchService.removeAt(BOB, 2);
+
+    expect(removed).toMatchObject({ id: 's2', position: 2, query: 'rust' });
+    expect(SavedSearch.deleteOne).toHaveBeenCalledWith({ _id: 's2', user: BOB });
+    expect(await savedSearchService.removeAt(BOB, 5)).toBeNull();
+  });
+});
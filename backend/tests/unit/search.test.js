@@ -0,0 +1,332 @@
+/**
+ * Search Service Unit Tests
+ *
+ * Test suite for the search service and its backends: MongoDB pipelines
+ * built from query operators, results loaded in hit order with
+ * highlights and named repository facets, typo correction, falling back
+ * to MongoDB when an external backend fails, and keeping external
+ * indexes up to date from the save hooks.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('axios', () => jest.fn());
+jest.mock('../../src/config', () => ({
+  search: {
+    backend: 'mongo',
+    url: 'http://search:7700/',
+    indexPrefix: 'sn_',
+    requestTimeout: 1000,
+    pageSize: 20,
+    maxPageSize: 50,
+    snippetLength: 200,
+    facetLimit: 10
+  }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/redis', () => ({
+  sadd: jest.fn(async () => 1),
+  sismember: jest.fn(async () => 0),
+  smembers: jest.fn(async () => [])
+}));
+jest.mock('../../src/models/Post.model', () => ({
+  aggregate: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn(),
+  collection: { name: 'posts' }
+}));
+jest.mock('../../src/models/Comment.model', () => ({ aggregate: jest.fn(), find: jest.fn() }));
+jest.mock('../../src/models/User.model', () => ({ find: jest.fn() }), { virtual: true });
+jest.mock('../../src/models/Repository.model', () => ({ find: jest.fn(), countDocuments: jest.fn() }));
+
+const axios = require('axios');
+const config = require('../../src/config');
+const redis = require('../../src/utils/redis');
+const Post = require('../../src/models/Post.model');
+const Comment = require('../../src/models/Comment.model');
+const User = require('../../src/models/User.model');
+const Repository = require('../../src/models/Repository.model');
+const searchService = require('../../src/services/search');
+
+const ALICE = '64a000000000000000000001';
+const RUST_WEEKLY = '64b000000000000000000001';
+
+// Query chain (select/populate/sort/skip/limit) whose lean() resolves to result
+const chain = (result) => {
+  const query = {};
+  ['select', 'populate', 'sort', 'skip', 'limit'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.lean = jest.fn(async () => result);
+  return query;
+};
+
+// One $facet result of the MongoDB backend
+const facetResult = ({ hits = [], total = hits.length, hashtags = [], repositories = [], domains = [] } = {}) => [{
+  hits,
+  total: total > 0 ? [{ count: total }] : [],
+  hashtags,
+  repositories,
+  domains
+}];
+
+const POST = {
+  _id: 'p1',
+  title: 'Scaling Postgres to a billion rows',
+  text: 'How we scaled our Postgres cluster.',
+  url: 'https://example.com/postgres',
+  domain: 'example.com',
+  hashtags: ['postgres'],
+  author: { _id: ALICE, username: 'alice' },
+  score: 12,
+  commentCount: 3,
+  createdAt: new Date('2025-07-01')
+};
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.search.backend = 'mongo';
+  });
+
+  describe('MongoDB backend', () => {
+    test('turns operators into a text search and filters', async () => {
+      User.find.mockReturnValueOnce(chain([{ _id: ALICE, username: 'alice' }]));
+      Post.aggregate.mockResolvedValueOnce(facetResult());
+
+      await searchService.search('postgres -mysql #databases author:Alice site:example.com score:>10 after:2025-01-01', {
+        types: ['post']
+      });
+
+      expect(User.find).toHaveBeenCalledWith({ username: { $in: ['alice'] } });
+      expect(Comment.aggregate).not.toHaveBeenCalled();
+
+      const [match] = Post.aggregate.mock.calls[0][0];
+      expect(match.$match).toMatchObject({
+        $text: { $search: 'postgres -mysql' },
+        hashtags: { $all: ['databases'] },
+        author: { $in: [ALICE] },
+        score: { $gt: 10 },
+        createdAt: { $gte: new Date('2025-01-01') },
+        status: 'active',
+        visibility: 'public'
+      });
+      expect(match.$match.$or).toEqual([{ domain: { $regex: '(^|\\.)example\\.com$' } }]);
+    });
+
+    test('joins comments to their post for repository filters', async () => {
+      Repository.find.mockReturnValueOnce(chain([{ _id: RUST_WEEKLY, slug: 'rust-weekly' }]));
+      Comment.aggregate.mockResolvedValueOnce(facetResult());
+
+      await searchService.search('borrow repo:rust-weekly type:comment');
+
+      expect(Post.aggregate).not.toHaveBeenCalled();
+      const pipeline = Comment.aggregate.mock.calls[0][0];
+      expect(pipeline[0].$match).toMatchObject({ $text: { $search: 'borrow' }, isDeleted: false });
+      expect(pipeline).toContainEqual({ $lookup: { from: 'posts', localField: 'post', foreignField: '_id', as: 'thread' } });
+      expect(pipeline).toContainEqual({
+        $match: {
+          'thread.status': 'active',
+          'thread.visibility': 'public',
+          'thread.repositories.repository': { $in: [RUST_WEEKLY] }
+        }
+      });
+    });
+
+    test('returns nothing for an unknown author, with a warning', async () => {
+      User.find.mockReturnValueOnce(chain([]));
+
+      const result = await searchService.search('rust author:nobody');
+
+      expect(Post.aggregate).not.toHaveBeenCalled();
+      expect(result.results).toEqual([]);
+      expect(result.warnings).toEqual(['No user named nobody']);
+    });
+
+    test('loads results in hit order with highlights, totals and named facets', async () => {
+      Post.aggregate.mockResolvedValueOnce(facetResult({
+        hits: [{ _id: 'p1', relevance: 2.5, createdAt: POST.createdAt, score: 12 }],
+        hashtags: [{ _id: 'postgres', count: 1 }],
+        repositories: [{ _id: RUST_WEEKLY, count: 1 }],
+        domains: [{ _id: 'example.com', count: 1 }]
+      }));
+      Comment.aggregate.mockResolvedValueOnce(facetResult({
+        hits: [{ _id: 'c1', relevance: 3, createdAt: new Date('2025-07-02'), score: 2 }],
+        hashtags: [{ _id: 'postgres', count: 1 }]
+      }));
+      Post.find.mockReturnValueOnce(chain([POST]));
+      Comment.find.mockReturnValueOnce(chain([{
+        _id: 'c1',
+        content: 'Postgres handles this fine',
+        post: { _id: 'p1', title: POST.title },
+        author: { _id: ALICE, username: 'alice' },
+        hashtags: [],
+        score: 2,
+        createdAt: new Date('2025-07-02')
+      }]));
+      Repository.find.mockReturnValueOnce(chain([{ _id: RUST_WEEKLY, name: 'Rust Weekly', slug: 'rust-weekly' }]));
+
+      const result = await searchService.search('postgres', { types: ['post', 'comment'] });
+
+      expect(result.results.map(entry => [entry.type, entry.id])).toEqual([['comment', 'c1'], ['post', 'p1']]);
+      expect(result.results[1].highlights.title).toBe('Scaling <mark>Postgres</mark> to a billion rows');
+      expect(result.results[0].highlights.snippet).toBe('<mark>Postgres</mark> handles this fine');
+      expect(result.results[0].post).toEqual({ id: 'p1', title: POST.title });
+      expect(result).toMatchObject({ total: 2, totals: { post: 1, comment: 1 }, sort: 'relevance', backend: 'mongo' });
+      expect(result.facets.hashtags).toEqual([{ value: 'postgres', count: 2 }]);
+      expect(result.facets.repositories).toEqual([{ value: RUST_WEEKLY, count: 1, name: 'Rust Weekly', slug: 'rust-weekly' }]);
+      expect(result.facets.domains).toEqual([{ value: 'example.com', count: 1 }]);
+    });
+
+    test('corrects words that never occur and searches again', async () => {
+      Post.aggregate
+        .mockResolvedValueOnce(facetResult())
+        .mockResolvedValueOnce(facetResult({ hits: [{ _id: 'p1', relevance: 1, createdAt: POST.createdAt, score: 12 }] }));
+      redis.smembers.mockImplementation(async key => (key === 'search:vocab:8' ? ['postgres', 'postgis'] : []));
+      Post.find.mockReturnValueOnce(chain([POST]));
+
+      const result = await searchService.search('postgress');
+
+      expect(redis.sismember).toHaveBeenCalledWith('search:vocab:9', 'postgress');
+      expect(Post.aggregate.mock.calls[1][0][0].$match.$text).toEqual({ $search: 'postgres' });
+      expect(result.corrections).toEqual([{ from: 'postgress', to: 'postgres' }]);
+      expect(result.results[0].highlights.title).toContain('<mark>Postgres</mark>');
+    });
+
+    test('sorts by newest without words to match', async () => {
+      Post.aggregate.mockResolvedValueOnce(facetResult());
+
+      const result = await searchService.search('#rust');
+
+      const pipeline = Post.aggregate.mock.calls[0][0];
+      expect(pipeline[0].$match.$text).toBeUndefined();
+      expect(pipeline[2].$facet.hits[0]).toEqual({ $sort: { createdAt: -1 } });
+      expect(result.sort).toBe('new');
+    });
+  });
+
+  describe('external backends', () => {
+    test('MeiliSearch queries carry filters and facets', async () => {
+      config.search.backend = 'meilisearch';
+      axios.mockImplementation(async ({ url }) => ({
+        data: url.endsWith('/search')
+          ? {
+            hits: [{ type: 'post', objectId: 'p1', _rankingScore: 0.9 }],
+            facetDistribution: { type: { post: 1 }, hashtags: { postgres: 1 }, domain: { 'example.com': 1 } }
+          }
+          : {}
+      }));
+      Post.find.mockReturnValueOnce(chain([POST]));
+
+      const result = await searchService.search('postgres #databases site:example.com score:>=5', {
+        types: ['post'],
+        sort: 'top'
+      });
+
+      const request = axios.mock.calls.find(([options]) => options.url.endsWith('/search'))[0];
+      expect(request.url).toBe('http://search:7700/indexes/sn_content/search');
+      expect(request.data).toMatchObject({
+        q: 'postgres',
+        filter: ['type IN ["post"]', 'hashtags = "databases"', 'sites IN ["example.com"]', 'score >= 5'],
+        sort: ['score:desc', 'createdAt:desc']
+      });
+      expect(result.backend).toBe('meilisearch');
+      expect(result.results[0]).toMatchObject({ id: 'p1', relevance: 0.9 });
+      expect(result.facets.domains).toEqual([{ value: 'example.com', count: 1 }]);
+    });
+
+    test('answers from MongoDB when the backend fails', async () => {
+      config.search.backend = 'opensearch';
+      axios.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      Post.aggregate.mockResolvedValueOnce(facetResult());
+
+      const result = await searchService.search('postgres');
+
+      expect(Post.aggregate).toHaveBeenCalled();
+      expect(result.backend).toBe('mongo');
+    });
+
+    test('indexes visible posts and removes hidden ones', async () => {
+      config.search.backend = 'meilisearch';
+      axios.mockResolvedValue({ data: {} });
+
+      await searchService.indexPost({
+        ...POST,
+        domain: 'blog.example.com',
+        author: ALICE,
+        status: 'active',
+        visibility: 'public',
+        repositories: [{ repository: RUST_WEEKLY }]
+      });
+      const write = axios.mock.calls.find(([options]) => options.url.endsWith('/documents'))[0];
+      expect(write.data).toEqual([expect.objectContaining({
+        id: 'post_p1',
+        type: 'post',
+        author: ALICE,
+        repositories: [RUST_WEEKLY],
+        sites: ['blog.example.com', 'example.com']
+      })]);
+
+      axios.mockClear();
+      await searchService.indexPost({ ...POST, status: 'removed', visibility: 'public' });
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'delete',
+        url: 'http://search:7700/indexes/sn_content/documents/post_p1'
+      }));
+    });
+
+    test('comments carry their post\'s repositories and domain', async () => {
+      config.search.backend = 'opensearch';
+      axios.mockResolvedValue({ data: {} });
+      Post.findById.mockReturnValueOnce(chain({
+        _id: 'p1',
+        title: POST.title,
+        status: 'active',
+        visibility: 'public',
+        domain: 'example.com',
+        repositories: [{ repository: RUST_WEEKLY }]
+      }));
+
+      await searchService.indexComment({ _id: 'c1', post: 'p1', content: 'Nice', author: ALICE, isDeleted: false });
+
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'put',
+        url: 'http://search:7700/sn_content/_doc/comment_c1',
+        data: expect.objectContaining({ postId: 'p1', title: POST.title, repositories: [RUST_WEEKLY], sites: ['example.com'] })
+      }));
+    });
+
+    test('indexing failures are logged, not thrown', async () => {
+      config.search.backend = 'meilisearch';
+      axios.mockRejectedValue(new Error('timeout'));
+
+      await expect(searchService.indexPost({ ...POST, status: 'active', visibility: 'public' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('searchRepositories', () => {
+    test('matches words literally and only finds private repositories for their owner', async () => {
+      const found = chain([{ _id: RUST_WEEKLY, name: 'C++ (weekly)', description: 'News about C++', hashtags: ['cpp'] }]);
+      Repository.find.mockReturnValueOnce(found);
+      Repository.countDocuments.mockResolvedValueOnce(1);
+
+      const result = await searchService.searchRepositories('c++ #cpp -rust', { userId: ALICE });
+
+      const match = Repository.find.mock.calls[0][0];
+      expect(match.$or).toEqual([{ 'settings.isPublic': true }, { owner: ALICE }]);
+      expect(match.$and).toEqual([{
+        $or: [
+          { name: { $regex: 'c\\+\\+', $options: 'i' } },
+          { description: { $regex: 'c\\+\\+', $options: 'i' } },
+          { hashtags: { $regex: 'c\\+\\+', $options: 'i' } }
+        ]
+      }]);
+      expect(match.hashtags).toEqual({ $all: ['cpp'] });
+      expect(match.$nor).toHaveLength(3);
+      expect(result).toMatchObject({ total: 1, page: 1, pages: 1 });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Search Query Unit Tests
+ *
+ * Test suite for the search query parser and result highlighting:
+ * operators, phrases and exclusions, values that are ignored with a
+ * warning, and stem-aware, HTML-safe highlights and snippets.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { parseQuery, escapeRegExp } = require('../../src/services/search/queryParser');
+const { highlight, snippet } = require('../../src/services/search/highlight');
+
+describe('parseQuery', () => {
+  const now = new Date('2025-07-27T12:00:00Z');
+
+  test('separates words, phrases, exclusions and hashtags', () => {
+    const parsed = parseQuery('Postgres "billion rows" -mysql #Databases #databases scaling', { now });
+
+    expect(parsed.terms).toEqual(['postgres', 'scaling']);
+    expect(parsed.text).toBe('postgres scaling');
+    expect(parsed.phrases).toEqual(['billion rows']);
+    expect(parsed.excluded).toEqual(['mysql']);
+    expect(parsed.filters.hashtags).toEqual(['databases']);
+  });
+
+  test('reads field operators', () => {
+    const { filters, warnings } = parseQuery(
+      'author:@Alice repo:rust-weekly site:https://www.Example.com/path score:>=10 type:comments',
+      { now }
+    );
+
+    expect(filters.authors).toEqual(['Alice']);
+    expect(filters.repos).toEqual(['rust-weekly']);
+    expect(filters.sites).toEqual(['example.com']);
+    expect(filters.score).toEqual({ op: '>=', value: 10 });
+    expect(filters.type).toBe('comment');
+    expect(warnings).toEqual([]);
+  });
+
+  test('reads absolute and relative dates', () => {
+    const { filters } = parseQuery('before:2025-06-01 after:2w', { now });
+
+    expect(filters.before).toEqual(new Date('2025-06-01'));
+    expect(filters.after).toEqual(new Date('2025-07-13T12:00:00Z'));
+  });
+
+  test('accepts quoted operator values', () => {
+    expect(parseQuery('author:"bob"', { now }).filters.authors).toEqual(['bob']);
+  });
+
+  test('a bare score is an exact match', () => {
+    expect(parseQuery('score:5', { now }).filters.score).toEqual({ op: '=', value: 5 });
+  });
+
+  test('ignores operator values it cannot use, with a warning', () => {
+    const parsed = parseQuery('before:yesterday score:lots site:localhost type:user rust', { now });
+
+    expect(parsed.filters).toMatchObject({ before: null, score: null, sites: [], type: null });
+    expect(parsed.warnings).toHaveLength(4);
+    expect(parsed.terms).toEqual(['rust']);
+  });
+
+  test('searches unknown name:value pairs as text', () => {
+    expect(parseQuery('http:2 title:rust', { now }).terms).toEqual(['http:2', 'title:rust']);
+  });
+
+  test('handles an empty query', () => {
+    expect(parseQuery('', { now })).toMatchObject({ terms: [], phrases: [], text: '' });
+  });
+});
+
+describe('escapeRegExp', () => {
+  test('matches special characters literally', () => {
+    expect(new RegExp(escapeRegExp('c++ (beta)?')).test('c++ (beta)?')).toBe(true);
+    expect(new RegExp(escapeRegExp('.*')).test('abc')).toBe(false);
+  });
+});
+
+describe('highlight', () => {
+  test('marks words that share a stem with the query', () => {
+    expect(highlight('Scaled databases at scale', ['scaling', 'database']))
+      .toBe('<mark>Scaled</mark> <mark>databases</mark> at <mark>scale</mark>');
+  });
+
+  test('escapes HTML around and inside matches', () => {
+    expect(highlight('<b>Rust</b> & "Go"', ['rust']))
+      .toBe('&lt;b&gt;<mark>Rust</mark>&lt;/b&gt; &amp; &quot;Go&quot;');
+  });
+
+  test('marks the words of phrases', () => {
+    expect(highlight('The borrow checker', ['borrow checker'])).toBe('The <mark>borrow</mark> <mark>checker</mark>');
+  });
+});
+
+describe('snippet', () => {
+  const filler = (words) => Array.from({ length: words }, (_, i) => `word${i}`).join(' ');
+
+  test('returns short text whole', () => {
+    expect(snippet('Short rust text', ['rust'])).toBe('Short <mark>rust</mark> text');
+  });
+
+  test('cuts around the first match at word boundaries', () => {
+    const text = `${filler(60)} the Postgres planner ${filler(60)}`;
+    const result = snippet(text, ['postgres'], { length: 80 });
+
+    expect(result.startsWith('…')).toBe(true);
+    expect(result.endsWith('…')).toBe(true);
+    expect(result).toContain('<mark>Postgres</mark>');
+    const plain = result.replace(/<\/?mark>/g, '');
+    expect(plain.length).toBeLessThanOrEqual(82);
+    // No word is cut in half
+    plain.replace(/…/g, '').split(' ').forEach(word => {
+      expect(word).toMatch(/^(word\d+|the|Postgres|planner)$/);
+    });
+  });
+
+  test('starts at the beginning without a match', () => {
+    const result = snippet(filler(100), ['absent'], { length: 50 });
+
+    expect(result.startsWith('word0 ')).toBe(true);
+    expect(result.endsWith('…')).toBe(true);
+  });
+});
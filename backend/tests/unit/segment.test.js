@@ -0,0 +1,90 @@
+/**
+ * Segment Service Unit Tests
+ *
+ * Test suite for saved segments: the query run against a repository's
+ * members, deliverable-only member lists and stored member counts.
+ * Models are replaced with stubs.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  countDocuments: jest.fn(),
+  find: jest.fn(),
+  deliverableQuery: jest.fn(repository => ({
+    repository,
+    verified: true,
+    optedOut: { $ne: true },
+    'consent.status': 'confirmed',
+    status: { $nin: ['bounced', 'complained'] }
+  }))
+}));
+jest.mock('../../src/models/Segment.model', () => ({ find: jest.fn(), findOne: jest.fn(), deleteOne: jest.fn() }));
+
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const Segment = require('../../src/models/Segment.model');
+const segmentService = require('../../src/services/segment.service');
+
+const makeRepository = (overrides = {}) => ({
+  _id: 'r1',
+  customFields: [{ key: 'plan', type: 'text' }],
+  settings: {},
+  save: jest.fn(),
+  ...overrides
+});
+
+const VIP = { field: 'tags', op: 'includes', value: 'vip' };
+
+describe('SegmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should count the repository\'s members matching the filter', async () => {
+    RepositoryMember.countDocuments.mockResolvedValue(12);
+
+    await expect(segmentService.count(makeRepository(), VIP)).resolves.toBe(12);
+
+    expect(RepositoryMember.countDocuments).toHaveBeenCalledWith({
+      $and: [{ repository: 'r1' }, { 'metadata.tags': 'vip' }]
+    });
+  });
+
+  test('should only return members that may be mailed when asked to', async () => {
+    RepositoryMember.find.mockResolvedValue([]);
+
+    await segmentService.getMembers(makeRepository(), { field: 'fields.plan', op: 'eq', value: 'pro' }, { deliverable: true });
+
+    expect(RepositoryMember.deliverableQuery).toHaveBeenCalledWith('r1');
+    expect(RepositoryMember.find).toHaveBeenCalledWith({
+      $and: [
+        { repository: 'r1', verified: true, optedOut: { $ne: true }, 'consent.status': 'confirmed', status: { $nin: ['bounced', 'complained'] } },
+        { 'fields.plan': 'pro' }
+      ]
+    });
+  });
+
+  test('should store a zero count for filters that no longer fit the repository', async () => {
+    const segment = { _id: 's1', filter: { field: 'fields.seats', op: 'gt', value: 5 }, save: jest.fn() };
+
+    await expect(segmentService.refreshCount(makeRepository(), segment)).resolves.toBe(0);
+
+    expect(RepositoryMember.countDocuments).not.toHaveBeenCalled();
+    expect(segment.lastCount).toBe(0);
+    expect(segment.save).toHaveBeenCalled();
+  });
+
+  test('should stop using a deleted segment for digests', async () => {
+    const repository = makeRepository({ settings: { digestSegment: 's1' } });
+    Segment.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+    await expect(segmentService.deleteSegment(repository, 's1')).resolves.toBe(true);
+
+    expect(repository.settings.digestSegment).toBeUndefined();
+    expect(repository.save).toHaveBeenCalled();
+  });
+});
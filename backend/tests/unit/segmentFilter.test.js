@@ -0,0 +1,107 @@
+/**
+ * Segment Filter Unit Tests
+ *
+ * Test suite for the segment filter language: compilation of conditions
+ * and groups to MongoDB queries, custom fields, relative dates and the
+ * problems reported for invalid filters.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { compileSegmentFilter, validateSegmentFilter } = require('../../src/utils/segmentFilter');
+
+const CUSTOM_FIELDS = [
+  { key: 'plan', type: 'enum', options: ['free', 'pro', 'enterprise'] },
+  { key: 'seats', type: 'number' },
+  { key: 'company_name', type: 'text' }
+];
+
+describe('Segment Filter Utilities', () => {
+  test('should compile nested groups of member field conditions', () => {
+    const query = compileSegmentFilter({
+      all: [
+        { field: 'tags', op: 'includesAll', value: ['vip', 'beta'] },
+        { any: [
+          { field: 'domain', op: 'in', value: ['@Acme.com', 'acme.io'] },
+          { field: 'qualityScore', op: 'between', value: ['0.5', 1] }
+        ] },
+        { not: { field: 'status', op: 'in', value: ['bounced', 'complained'] } },
+        { field: 'verified', op: 'eq', value: 'true' }
+      ]
+    });
+
+    expect(query).toEqual({
+      $and: [
+        { 'metadata.tags': { $all: ['vip', 'beta'] } },
+        { $or: [
+          { domain: { $in: ['acme.com', 'acme.io'] } },
+          { qualityScore: { $gte: 0.5, $lte: 1 } }
+        ] },
+        { $nor: [{ status: { $in: ['bounced', 'complained'] } }] },
+        { verified: true }
+      ]
+    });
+  });
+
+  test('should type custom field conditions by their definition', () => {
+    const query = compileSegmentFilter({
+      all: [
+        { field: 'fields.plan', op: 'ne', value: 'free' },
+        { field: 'fields.seats', op: 'gte', value: '10' },
+        { field: 'fields.company_name', op: 'contains', value: 'a.b' }
+      ]
+    }, { customFields: CUSTOM_FIELDS });
+
+    expect(query.$and).toEqual([
+      { 'fields.plan': { $ne: 'free' } },
+      { 'fields.seats': { $gte: 10 } },
+      { 'fields.company_name': { $regex: 'a\\.b', $options: 'i' } }
+    ]);
+  });
+
+  test('should resolve relative dates and existence checks', () => {
+    const now = new Date('2025-03-31T00:00:00Z');
+
+    expect(compileSegmentFilter({ field: 'joinedAt', op: 'withinDays', value: 30 }, { now }))
+      .toEqual({ addedAt: { $gte: new Date('2025-03-01T00:00:00Z') } });
+    expect(compileSegmentFilter({ field: 'lastEngagedAt', op: 'exists', value: false }))
+      .toEqual({ 'engagement.lastEngagedAt': { $in: [null, ''] } });
+    expect(compileSegmentFilter({ field: 'tags', op: 'exists', value: true }))
+      .toEqual({ 'metadata.tags.0': { $exists: true } });
+  });
+
+  test('should match everyone for an empty "all" and nobody for an empty "any"', () => {
+    expect(compileSegmentFilter({ all: [] })).toEqual({});
+    expect(compileSegmentFilter({ any: [] })).toEqual({ _id: { $exists: false } });
+  });
+
+  test('should report every problem with its position', () => {
+    const problems = validateSegmentFilter({
+      all: [
+        { field: 'password', op: 'eq', value: 'x' },
+        { field: 'status', op: 'gt', value: 'active' },
+        { field: 'fields.plan', op: 'eq', value: 'gold' },
+        { field: 'domain', op: 'in', value: [] }
+      ]
+    }, { customFields: CUSTOM_FIELDS });
+
+    expect(problems).toEqual([
+      'filter.all[0]: unknown field "password"',
+      'filter.all[1]: "gt" does not apply to status; use eq, ne, in, nin, exists',
+      'filter.all[2]: value must be one of free, pro, enterprise',
+      'filter.all[3]: in takes a list of 1 to 100 values'
+    ]);
+  });
+
+  test('should limit nesting and reject unknown custom fields when compiling', () => {
+    let filter = { field: 'verified', op: 'eq', value: true };
+    for (let i = 0; i < 6; i++) filter = { not: filter };
+
+    expect(validateSegmentFilter(filter)).toEqual(['filter.not.not.not.not.not.not: groups can be nested 5 deep at most']);
+    expect(() => compileSegmentFilter({ field: 'fields.plan', op: 'eq', value: 'pro' }))
+      .toThrow('Invalid segment filter: filter: unknown field "fields.plan"');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Share Link Service Unit Tests
+ *
+ * Test suite for repository share links: option checks, token and
+ * password storage, opening links against their expiry, use limit and
+ * password with every attempt logged, the anonymized member list, and
+ * join requests going through double opt-in.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+const { createHash } = require('crypto');
+
+jest.mock('../../src/config', () => ({
+  shareLinks: { defaultTtlHours: 24, maxTtlDays: 30, accessLogSize: 3 }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('bcryptjs', () => ({
+  hash: jest.fn(async (password) => `hashed:${password}`),
+  compare: jest.fn(async (password, hash) => hash === `hashed:${password}`)
+}), { virtual: true });
+jest.mock('../../src/utils/helpers', () => ({
+  anonymizeEmail: (email) => `${email.split('@')[0].substring(0, 3)}***@${email.split('@')[1]}`
+}));
+jest.mock('../../src/models/ShareLink.model', () => ({
+  create: jest.fn(async (doc) => ({ _id: 'l1', status: () => 'active', ...doc })),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  hashToken: (token) => require('crypto').createHash('sha256').update(String(token)).digest('hex')
+}));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  addMembers: jest.fn(),
+  refreshStats: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../src/services/consent.service', () => ({ requestConsent: jest.fn() }));
+jest.mock('../../src/services/deliverability.service', () => ({ isSuppressed: jest.fn(async () => false) }));
+
+const ShareLink = require('../../src/models/ShareLink.model');
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const consentService = require('../../src/services/consent.service');
+const deliverabilityService = require('../../src/services/deliverability.service');
+const shareLinkService = require('../../src/services/shareLink.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const REPOSITORY = { _id: 'r1', name: 'Rust Weekly' };
+const CLIENT = { ip: '203.0.113.5', userAgent: 'jest' };
+
+const link = (fields = {}) => ({
+  _id: 'l1',
+  repository: REPOSITORY,
+  scope: 'members',
+  uses: 0,
+  status: () => 'active',
+  ...fields
+});
+
+describe('Share Link Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.FRONTEND_URL = 'https://shadownews.test';
+  });
+
+  test('should check the options of new links', () => {
+    expect(shareLinkService.validate({ scope: 'stats' })).toEqual([]);
+    expect(shareLinkService.validate({
+      scope: 'everything',
+      expiresAt: new Date(Date.now() + 60 * DAY),
+      maxUses: 0,
+      password: 'abc'
+    })).toEqual([
+      'scope must be one of stats, members, join',
+      'Links expire within 30 days',
+      'maxUses must be a whole number of at least 1',
+      'Passwords are at least 6 characters'
+    ]);
+    expect(shareLinkService.validate({ scope: 'join', expiresAt: new Date(Date.now() - 1000) }))
+      .toEqual(['expiresAt must be in the future']);
+  });
+
+  test('should store only hashes of the token and password', async () => {
+    const before = Date.now();
+
+    const { link: created, token, url } = await shareLinkService.createLink(REPOSITORY, { _id: 'u1' }, {
+      scope: 'join',
+      password: 'open sesame'
+    });
+
+    const [doc] = ShareLink.create.mock.calls[0];
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(url).toBe(`https://shadownews.test/share/${token}`);
+    expect(doc).toMatchObject({
+      repository: 'r1',
+      createdBy: 'u1',
+      scope: 'join',
+      tokenHash: createHash('sha256').update(token).digest('hex'),
+      tokenPrefix: token.slice(0, 8),
+      passwordHash: 'hashed:open sesame',
+      maxUses: null
+    });
+    expect(doc.expiresAt.getTime()).toBeGreaterThanOrEqual(before + DAY);
+    expect(created).toMatchObject({ scope: 'join', passwordProtected: true, status: 'active' });
+    expect(created).not.toHaveProperty('passwordHash');
+  });
+
+  test('should ask for the password before counting a use', async () => {
+    const protectedLink = link({ passwordHash: 'hashed:open sesame' });
+
+    await expect(shareLinkService.open(protectedLink, { ...CLIENT })).resolves.toBe('password_required');
+    await expect(shareLinkService.open(protectedLink, { password: 'guess', ...CLIENT })).resolves.toBe('wrong_password');
+    expect(ShareLink.findOneAndUpdate).not.toHaveBeenCalled();
+
+    ShareLink.findOneAndUpdate.mockResolvedValue({ uses: 1 });
+    await expect(shareLinkService.open(protectedLink, { password: 'open sesame', ...CLIENT })).resolves.toBe('granted');
+    expect(protectedLink.uses).toBe(1);
+
+    // Every attempt is logged, keeping the latest accessLogSize entries
+    expect(ShareLink.updateOne).toHaveBeenCalledTimes(3);
+    expect(ShareLink.updateOne.mock.calls.map(([, update]) => update.$push.accessLog.$each[0].outcome))
+      .toEqual(['password_required', 'wrong_password', 'granted']);
+    expect(ShareLink.updateOne.mock.calls[2]).toEqual([{ _id: 'l1' }, {
+      $push: {
+        accessLog: {
+          $each: [{ at: expect.any(Date), outcome: 'granted', ip: '203.0.113.5', userAgent: 'jest' }],
+          $slice: -3
+        }
+      }
+    }]);
+  });
+
+  test('should count uses only while the link is under its limit', async () => {
+    ShareLink.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(shareLinkService.open(link({ maxUses: 5 }), CLIENT)).resolves.toBe('used_up');
+
+    const [query, update] = ShareLink.findOneAndUpdate.mock.calls[0];
+    expect(query).toMatchObject({
+      _id: 'l1',
+      revokedAt: null,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+    });
+    expect(update.$inc).toEqual({ uses: 1 });
+  });
+
+  test('should refuse revoked and expired links without counting them', async () => {
+    await expect(shareLinkService.open(link({ status: () => 'revoked' }), CLIENT)).resolves.toBe('revoked');
+    await expect(shareLinkService.open(link({ status: () => 'expired', passwordHash: 'hashed:x' }), CLIENT)).resolves.toBe('expired');
+
+    expect(ShareLink.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(ShareLink.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('should list confirmed members with anonymized addresses', async () => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      lean: async () => [{ email: 'jane.doe@example.com', addedAt: new Date('2025-05-01T00:00:00Z') }]
+    };
+    RepositoryMember.find.mockReturnValue(chain);
+    RepositoryMember.countDocuments.mockResolvedValue(51);
+
+    const { members, pagination } = await shareLinkService.listMembers(REPOSITORY, 2);
+
+    expect(RepositoryMember.find).toHaveBeenCalledWith({ repository: 'r1', verified: true, optedOut: { $ne: true } });
+    expect(members).toEqual([{ email: 'jan***@example.com', addedAt: new Date('2025-05-01T00:00:00Z') }]);
+    expect(pagination).toEqual({ page: 2, limit: 50, total: 51, pages: 2 });
+  });
+
+  test('should send join requests through double opt-in', async () => {
+    RepositoryMember.addMembers.mockResolvedValueOnce([{ email: 'new@example.com' }]);
+    consentService.requestConsent.mockResolvedValue(1);
+
+    await expect(shareLinkService.requestJoin(link({ scope: 'join' }), { email: ' New@Example.com ', name: 'New' }, CLIENT))
+      .resolves.toBe(true);
+
+    expect(RepositoryMember.addMembers).toHaveBeenCalledWith('r1', [{
+      email: 'new@example.com',
+      name: 'New',
+      source: 'share_link'
+    }], { channel: 'api', operation: 'share_link' });
+    expect(consentService.requestConsent).toHaveBeenCalledWith(REPOSITORY, ['new@example.com'], {
+      source: 'share_link',
+      ...CLIENT
+    });
+
+    // Addresses already on the list are left alone
+    RepositoryMember.addMembers.mockResolvedValueOnce([]);
+    await expect(shareLinkService.requestJoin(link({ scope: 'join' }), { email: 'new@example.com' }, CLIENT))
+      .resolves.toBe(false);
+    expect(consentService.requestConsent).toHaveBeenCalledTimes(1);
+  });
+
+  test('should skip suppressed addresses without telling the requester', async () => {
+    deliverabilityService.isSuppressed.mockResolvedValueOnce(true);
+
+    await expect(shareLinkService.requestJoin(link({ scope: 'join' }), { email: 'Bounced@Example.com' }, CLIENT))
+      .resolves.toBe(false);
+
+    expect(deliverabilityService.isSuppressed).toHaveBeenCalledWith('bounced@example.com');
+    expect(RepositoryMember.addMembers).not.toHaveBeenCalled();
+    expect(consentService.requestConsent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Post Similarity Unit Tests
+ *
+ * Test suite for term vectors and the similarity service: weighting and
+ * stemming, cosine similarity, related posts, duplicate warnings by
+ * canonical URL and by content, and merging a duplicate into the
+ * canonical discussion.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+jest.mock('../../src/config', () => ({
+  similarity: { relatedLimit: 2, relatedThreshold: 0.1, duplicateThreshold: 0.6, duplicateWindowDays: 30, dfCacheTtl: 60 }
+}));
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/utils/redis', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => 'OK')
+}));
+jest.mock('../../src/models/Comment.model', () => ({ updateMany: jest.fn(async () => ({ modifiedCount: 3 })) }));
+jest.mock('../../src/models/Post.model', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  countDocuments: jest.fn(async () => 10),
+  updateMany: jest.fn()
+}));
+
+const Post = require('../../src/models/Post.model');
+const Comment = require('../../src/models/Comment.model');
+const { buildTermVector, cosineSimilarity } = require('../../src/utils/termVector');
+const similarityService = require('../../src/services/similarity.service');
+
+const indexed = (id, fields) => ({
+  _id: id,
+  createdAt: new Date('2025-07-01'),
+  ...fields,
+  similarity: { vector: buildTermVector(fields) }
+});
+
+// Post.find(...).select().sort().limit().lean() resolving to the next result
+const findReturns = (...results) => {
+  results.forEach(result => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      limit: () => chain,
+      lean: async () => result
+    };
+    Post.find.mockReturnValueOnce(chain);
+  });
+};
+
+const POSTGRES = indexed('p1', { title: 'Scaling Postgres to a billion rows', hashtags: ['postgres', 'databases'] });
+const POSTGRES_AGAIN = indexed('p2', { title: 'How we scaled Postgres to one billion rows', hashtags: ['postgres'] });
+const RUST = indexed('p3', { title: 'Rust 2.0 ships a new borrow checker', hashtags: ['rust'] });
+const INDEXES = indexed('p4', { title: 'Postgres index types explained', hashtags: ['postgres', 'databases'] });
+
+describe('term vectors', () => {
+  test('stems words so different forms match', () => {
+    const terms = buildTermVector({ title: 'Scaling databases' }).map(entry => entry.term);
+    expect(buildTermVector({ title: 'scaled database' }).map(entry => entry.term)).toEqual(terms);
+  });
+
+  test('weighs title and hashtag words over body words', () => {
+    const vector = buildTermVector({ title: 'Postgres', text: 'rust rust', hashtags: ['sql'] });
+    expect(vector.map(entry => entry.term)).toEqual(['postgr', 'sql', 'rust']);
+  });
+
+  test('drops stopwords and numbers', () => {
+    expect(buildTermVector({ title: 'The 10 best of the year' }).map(entry => entry.term)).toEqual(['best', 'year']);
+  });
+
+  test('cosine similarity is 1 for the same content and 0 for nothing shared', () => {
+    expect(cosineSimilarity(POSTGRES.similarity.vector, POSTGRES.similarity.vector)).toBeCloseTo(1);
+    expect(cosineSimilarity(POSTGRES.similarity.vector, RUST.similarity.vector)).toBe(0);
+  });
+});
+
+describe('SimilarityService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getRelatedPosts', () => {
+    test('returns the most similar posts above the threshold, best first', async () => {
+      findReturns([RUST, INDEXES, POSTGRES_AGAIN]);
+
+      const related = await similarityService.getRelatedPosts(POSTGRES);
+
+      expect(related.map(post => post.id)).toEqual(['p2', 'p4']);
+      expect(related[0].similarity).toBeGreaterThan(related[1].similarity);
+      expect(Post.find.mock.calls[0][0]._id).toEqual({ $nin: ['p1'] });
+    });
+
+    test('returns nothing for a post without terms', async () => {
+      await expect(similarityService.getRelatedPosts({ _id: 'p9', title: 'The' })).resolves.toEqual([]);
+      expect(Post.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findDuplicates', () => {
+    test('reports posts with the same canonical URL', async () => {
+      findReturns([indexed('p5', { title: 'Something else entirely', url: 'https://www.example.com/a/' })], []);
+
+      const { canonicalUrl, duplicates } = await similarityService.findDuplicates({
+        title: 'A new title',
+        url: 'http://m.example.com/a?utm_source=newsletter'
+      });
+
+      expect(canonicalUrl).toBe('https://example.com/a');
+      expect(Post.find.mock.calls[0][0].canonicalUrl).toBe('https://example.com/a');
+      expect(duplicates).toEqual([expect.objectContaining({ id: 'p5', reason: 'url', similarity: 1 })]);
+    });
+
+    test('reports near-identical recent stories', async () => {
+      findReturns([POSTGRES, INDEXES]);
+
+      const { duplicates } = await similarityService.findDuplicates({
+        title: 'Scaling Postgres to a billion rows',
+        hashtags: ['postgres']
+      });
+
+      expect(duplicates).toEqual([expect.objectContaining({ id: 'p1', reason: 'similar' })]);
+      expect(Post.find.mock.calls[0][0].createdAt.$gte).toBeInstanceOf(Date);
+    });
+
+    test('lists a post matching both ways once', async () => {
+      findReturns([POSTGRES], [POSTGRES]);
+
+      const { duplicates } = await similarityService.findDuplicates({
+        title: 'Scaling Postgres to a billion rows',
+        url: 'https://example.com/postgres'
+      });
+
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0].reason).toBe('url');
+    });
+  });
+
+  describe('mergePosts', () => {
+    const vote = (user) => ({ user, timestamp: new Date() });
+    const doc = (id, fields) => ({
+      _id: id,
+      upvotes: [],
+      downvotes: [],
+      hashtags: [],
+      repositories: [],
+      commentCount: 0,
+      save: jest.fn(),
+      ...fields
+    });
+
+    test('moves comments, combines votes and marks the duplicate merged', async () => {
+      const canonical = doc('c1', {
+        upvotes: [vote('u1')],
+        downvotes: [vote('u2')],
+        hashtags: ['postgres'],
+        repositories: [{ repository: 'r1' }],
+        commentCount: 4,
+        possibleDuplicates: ['d1']
+      });
+      const duplicate = doc('d1', {
+        upvotes: [vote('u1'), vote('u2'), vote('u3')],
+        downvotes: [vote('u4')],
+        hashtags: ['postgres', 'scaling'],
+        repositories: [{ repository: 'r1' }, { repository: 'r2' }],
+        commentCount: 3
+      });
+
+      const result = await similarityService.mergePosts(duplicate, canonical, { actor: 'admin' });
+
+      expect(Comment.updateMany).toHaveBeenCalledWith({ post: 'd1' }, { $set: { post: 'c1' } });
+      expect(result.commentsMoved).toBe(3);
+      expect(canonical.upvotes.map(v => v.user)).toEqual(['u1', 'u2', 'u3']);
+      expect(canonical.downvotes.map(v => v.user)).toEqual(['u4']);
+      expect(canonical.hashtags).toEqual(['postgres', 'scaling']);
+      expect(canonical.repositories.map(entry => entry.repository)).toEqual(['r1', 'r2']);
+      expect(canonical.commentCount).toBe(7);
+      expect(canonical.possibleDuplicates).toEqual([]);
+      expect(duplicate).toMatchObject({ status: 'merged', mergedInto: 'c1', mergedBy: 'admin', commentCount: 0 });
+      expect(Post.updateMany).toHaveBeenCalledWith({ mergedInto: 'd1' }, { $set: { mergedInto: 'c1' } });
+    });
+
+    test('resolveCanonical follows earlier merges', async () => {
+      const end = { _id: 'c2' };
+      Post.findById.mockResolvedValueOnce({ _id: 'c1', mergedInto: 'c2' }).mockResolvedValueOnce(end);
+
+      await expect(similarityService.resolveCanonical({ _id: 'c0', mergedInto: 'c1' })).resolves.toBe(end);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Snowball Propagation Unit Tests
+ *
+ * Test suite for snowball provenance and limits: recording who introduced
+ * each address, capping depth, fan-out and daily growth, and building the
+ * propagation graph. Models and outbound services are replaced with stubs.
+ *
+ * @author ShadowNews Team
+ * @version 1.0.0
+ * @since 2024-01-01
+ * @lastModified 2025-07-27
+ */
+
+// Members of the repository, as RepositoryMember would store them
+const mockMembers = [];
+
+// Enough of MongoDB's query matching for the queries under test
+const mockMatches = (doc, query) => Object.entries(query).every(([path, condition]) => {
+  const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), doc);
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if ('$gte' in condition) return value >= condition.$gte;
+    // Only { $ne: null } is used
+    if ('$ne' in condition) return value !== undefined && value !== null;
+    if ('$in' in condition) return condition.$in.includes(value);
+  }
+  return value === condition;
+});
+
+jest.mock('../../src/utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../../src/models/Repository.model', () => ({}));
+jest.mock('../../src/models/RepositoryMember.model', () => ({
+  countDocuments: jest.fn(async query => mockMembers.filter(member => mockMatches(member, query)).length),
+  find: jest.fn(query => ({
+    select: () => ({ lean: async () => mockMembers.filter(member => mockMatches(member, query)) })
+  })),
+  addMembers: jest.fn(async (repository, entries) => {
+    const fresh = entries.filter(entry => !mockMembers.some(member => member.email === entry.email));
+    mockMembers.push(...fresh.map(entry => ({ ...entry, repository })));
+    return fresh;
+  }),
+  refreshStats: jest.fn()
+}));
+jest.mock('../../src/models/Email.model', () => ({}));
+jest.mock('../../src/models/User.model', () => ({}), { virtual: true });
+jest.mock('../../src/services/csv.service', () => ({}), { virtual: true });
+jest.mock('../../src/services/email.service', () => ({}));
+jest.mock('../../src/services/deliverability.service', () => ({}));
+jest.mock('../../src/services/consent.service', () => ({}));
+jest.mock('../../src/utils/validators', () => ({ validateEmail: jest.fn(() => true) }));
+
+const RepositoryMember = require('../../src/models/RepositoryMember.model');
+const snowballService = require('../../src/services/snowball.service');
+
+const HOUR = 60 * 60 * 1000;
+
+const makeRepository = (members = [], snowballLimits = {}) => {
+  mockMembers.push(...members);
+  return { _id: 'r1', settings: { snowballLimits } };
+};
+
+const member = (email, overrides = {}) => ({
+  repository: 'r1',
+  email,
+  source: 'csv',
+  verified: true,
+  optedOut: false,
+  status: 'active',
+  addedAt: new Date(Date.now() - 72 * HOUR),
+  ...overrides
+});
+
+const candidates = (count) => Array.from({ length: count }, (_, i) => ({ email: `user${i}@example.com` }));
+
+describe('SnowballService propagation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockMembers.length = 0;
+  });
+
+  describe('applyLimits', () => {
+    test('should reject every candidate beyond the maximum depth', async () => {
+      const { accepted, rejected } = await snowballService.applyLimits(makeRepository([], { maxDepth: 1 }), candidates(3), 2);
+
+      expect(accepted).toHaveLength(0);
+      expect(rejected.depth).toBe(3);
+    });
+
+    test('should cap how many addresses one inviter adds per generation', async () => {
+      const repository = makeRepository([], { maxFanOut: 2, maxDailyGrowthRate: 10 });
+      const { accepted, rejected } = await snowballService.applyLimits(repository, candidates(5), 1);
+
+      expect(accepted.map(c => c.email)).toEqual(['user0@example.com', 'user1@example.com']);
+      expect(rejected.fanOut).toBe(3);
+    });
+
+    test('should cap daily growth relative to the established list', async () => {
+      const established = Array.from({ length: 40 }, (_, i) => member(`m${i}@example.com`));
+      const today = Array.from({ length: 15 }, (_, i) =>
+        member(`s${i}@example.com`, { source: 'snowball', addedAt: new Date(Date.now() - HOUR) })
+      );
+      const repository = makeRepository([...established, ...today], { maxDailyGrowthRate: 0.5 });
+
+      // 40 established * 0.5 = 20 per day, 15 already added today
+      const { accepted, rejected } = await snowballService.applyLimits(repository, candidates(10), 1);
+
+      expect(accepted).toHaveLength(5);
+      expect(rejected.dailyGrowth).toBe(5);
+    });
+  });
+
+  describe('recordGeneration', () => {
+    test('should store the inviter and depth on each new entry', async () => {
+      const repository = makeRepository([member('alice@example.com')]);
+      const inviter = { _id: 'u1', email: 'alice@example.com' };
+
+      const added = await snowballService.recordGeneration(
+        repository,
+        [{ email: 'Bob@Example.com' }, { email: 'alice@example.com' }],
+        { inviter, depth: 1, batchId: 'b1' }
+      );
+
+      expect(added).toHaveLength(1);
+      expect(added[0]).toMatchObject({
+        email: 'bob@example.com',
+        source: 'snowball',
+        snowball: { invitedBy: 'alice@example.com', invitedByUser: 'u1', depth: 1, batchId: 'b1' }
+      });
+      expect(mockMembers).toHaveLength(2);
+      expect(RepositoryMember.refreshStats).toHaveBeenCalledWith('r1');
+    });
+  });
+
+  describe('buildPropagationGraph', () => {
+    test('should return nodes, edges and per-generation conversion', async () => {
+      const repository = makeRepository([
+        member('alice@example.com'),
+        member('bob@example.com', { source: 'snowball', snowball: { invitedBy: 'owner@example.com', depth: 0 } }),
+        member('carol@example.com', { source: 'snowball', verified: false, snowball: { invitedBy: 'owner@example.com', depth: 0 } }),
+        member('dave@example.com', { source: 'snowball', snowball: { invitedBy: 'bob@example.com', depth: 1 } })
+      ]);
+
+      const graph = await snowballService.buildPropagationGraph(repository);
+
+      expect(graph.nodes.map(n => n.id).sort()).toEqual([
+        'bob@example.com', 'carol@example.com', 'dave@example.com', 'owner@example.com'
+      ]);
+      expect(graph.nodes.find(n => n.id === 'owner@example.com')).toEqual({ id: 'owner@example.com', type: 'inviter', depth: null });
+      expect(graph.edges).toEqual(expect.arrayContaining([
+        expect.objectContaining({ from: 'bob@example.com', to: 'dave@example.com', depth: 1 })
+      ]));
+      expect(graph.generations[0]).toMatchObject({
+        depth: 0,
+        added: 2,
+        verified: 1,
+        inviters: 1,
+        conversionRate: 50,
+        propagationRate: 50
+      });
+      expect(graph.limits).toEqual({ maxDepth: 3, maxFanOut: 100, maxDailyGrowthRate: 0.5 });
+    });
+  });
+});